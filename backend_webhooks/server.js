@@ -16,7 +16,7 @@
 
 import express from 'express';
 import dotenv from 'dotenv';
-import { setupTrendiPayRoutes } from './trendiPayWebhooks.js';
+import { setupTrendiPayRoutes, rawBodySaver } from './trendiPayWebhooks.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,7 +41,7 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ verify: rawBodySaver })); // Parse JSON bodies, keeping the raw bytes for signatures
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Request logging middleware
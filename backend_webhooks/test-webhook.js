@@ -11,12 +11,12 @@ const BASE_URL = 'http://localhost:3000';
 const WEBHOOK_SECRET = process.env.TRENDIPAY_WEBHOOK_SECRET || 'test-secret';
 
 /**
- * Generate HMAC signature for webhook payload
+ * Generate HMAC signature over the exact body string that is sent
  */
-function generateSignature(payload, secret) {
+function generateSignature(body, secret) {
   return crypto
     .createHmac('sha256', secret)
-    .update(JSON.stringify(payload))
+    .update(body)
     .digest('hex');
 }
 
@@ -24,7 +24,8 @@ function generateSignature(payload, secret) {
  * Send webhook request
  */
 async function sendWebhook(endpoint, payload) {
-  const signature = generateSignature(payload, WEBHOOK_SECRET);
+  const body = JSON.stringify(payload);
+  const signature = generateSignature(body, WEBHOOK_SECRET);
   
   console.log(`\n📤 Sending webhook to ${endpoint}`);
   console.log('Payload:', JSON.stringify(payload, null, 2));
@@ -37,7 +38,7 @@ async function sendWebhook(endpoint, payload) {
         'Content-Type': 'application/json',
         'X-TrendiPay-Signature': signature
       },
-      body: JSON.stringify(payload)
+      body
     });
     
     const data = await response.json();
@@ -60,7 +61,7 @@ async function testCollectionSuccess() {
     reference: '550e8400-e29b-41d4-a716-446655440000', // Replace with actual bin_payments.id
     transactionId: 'TP' + Date.now(),
     status: 'successful',
-    amount: 50.00,
+    amount: 5000, // pesewas
     accountNumber: '0241234567',
     message: 'Payment successful',
     timestamp: new Date().toISOString()
@@ -80,7 +81,7 @@ async function testCollectionFailed() {
     reference: '550e8400-e29b-41d4-a716-446655440000',
     transactionId: 'TP' + Date.now(),
     status: 'failed',
-    amount: 50.00,
+    amount: 5000, // pesewas
     accountNumber: '0241234567',
     message: 'Insufficient funds',
     timestamp: new Date().toISOString()
@@ -89,6 +90,26 @@ async function testCollectionFailed() {
   return await sendWebhook('/api/webhooks/trendipay/collection', payload);
 }
 
+/**
+ * Test duplicate delivery - the same event twice must only apply once
+ */
+async function testCollectionDuplicate() {
+  console.log('\n🧪 TEST 2b: Collection Webhook - Duplicate Delivery');
+  console.log('═'.repeat(60));
+  
+  const payload = {
+    eventId: 'evt_' + Date.now(),
+    reference: '550e8400-e29b-41d4-a716-446655440000',
+    transactionId: 'TP' + Date.now(),
+    status: 'successful',
+    amount: 5000, // pesewas
+    timestamp: new Date().toISOString()
+  };
+  
+  await sendWebhook('/api/webhooks/trendipay/collection', payload);
+  return await sendWebhook('/api/webhooks/trendipay/collection', payload); // expect duplicate: true
+}
+
 /**
  * Test disbursement webhook - successful payout
  */
@@ -100,7 +121,7 @@ async function testDisbursementSuccess() {
     reference: '660e8400-e29b-41d4-a716-446655440001', // Replace with actual disbursement bin_payments.id
     transactionId: 'TP' + Date.now(),
     status: 'successful',
-    amount: 30.00,
+    amount: 3000, // pesewas
     accountNumber: '0241234567',
     message: 'Disbursement successful',
     timestamp: new Date().toISOString()
@@ -120,7 +141,7 @@ async function testDisbursementFailed() {
     reference: '660e8400-e29b-41d4-a716-446655440001',
     transactionId: 'TP' + Date.now(),
     status: 'failed',
-    amount: 30.00,
+    amount: 3000, // pesewas
     accountNumber: '0241234567',
     message: 'Invalid account',
     timestamp: new Date().toISOString()
@@ -173,6 +194,9 @@ async function runTests() {
   await testCollectionFailed();
   await new Promise(resolve => setTimeout(resolve, 500));
   
+  await testCollectionDuplicate();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  
   await testDisbursementSuccess();
   await new Promise(resolve => setTimeout(resolve, 500));
   
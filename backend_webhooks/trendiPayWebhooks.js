@@ -9,10 +9,14 @@
  * - POST /api/webhooks/trendipay/disbursement
  * 
  * Framework: Express.js (adapt for your framework)
+ *
+ * Verification, dedup and status rules live in the shared webhook module also
+ * used by the Supabase Edge Functions. It needs the request body exactly as it
+ * arrived, so the JSON parser must keep it (see rawBodySaver).
  */
 
 import { createClient } from '@supabase/supabase-js';
-import crypto from 'crypto';
+import { processWebhook, DEFAULT_TOLERANCE_SECONDS } from '../supabase/functions/_shared/webhookProcessing.js';
 
 // Lazy-load Supabase client (initialized after env vars are loaded)
 let supabase = null;
@@ -28,15 +32,48 @@ function getSupabaseClient() {
 }
 
 /**
- * Verify TrendiPay webhook signature
+ * express.json() verify hook: keeps the unparsed bytes for signature checks
+ *
+ * app.use(express.json({ verify: rawBodySaver }));
  */
-function verifySignature(signature, payload, secret) {
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(JSON.stringify(payload))
-    .digest('hex');
-  
-  return signature === expectedSignature;
+export function rawBodySaver(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Verify, record and apply a callback
+ * @returns {Promise<{status: number, body: Object, result?: Object}>}
+ */
+async function processRequest(label, req) {
+  if (!req.rawBody) {
+    console.error(`❌ ${label} webhook: raw body not captured (is express.json using rawBodySaver?)`);
+    return { status: 500, body: { error: 'Raw body unavailable' } };
+  }
+
+  const client = getSupabaseClient();
+  const { status, body, event, result } = await processWebhook(
+    { rawBody: req.rawBody, headers: req.headers },
+    {
+      secret: process.env.TRENDIPAY_WEBHOOK_SECRET,
+      rpc: (name, args) => client.rpc(name, args),
+      toleranceSeconds: Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS
+    }
+  );
+
+  if (status !== 200) {
+    console.error(`❌ ${label} webhook rejected (${status}): ${body.error}`);
+    return { status, body };
+  }
+
+  console.log(`✅ ${label} ${event.reference}: ${event.status} → ${result.outcome}` +
+    (result.duplicate ? ' (duplicate event ' + event.eventId + ')' : '') +
+    (result.new_status ? ` (${result.previous_status} → ${result.new_status})` : ''));
+
+  if (result.outcome === 'conflict' || result.outcome === 'amount_mismatch') {
+    console.warn(`⚠️ ${label} ${event.reference} needs reconciliation: ${result.outcome}`);
+  }
+
+  return { status, body, result };
 }
 
 /**
@@ -49,125 +86,28 @@ function verifySignature(signature, payload, secret) {
 export async function handleCollectionWebhook(req, res) {
   try {
     console.log('📥 TrendiPay Collection Webhook received');
-    
-    // 1. Verify signature (security)
-    const signature = req.headers['x-trendipay-signature'];
-    const payload = req.body;
-    
-    if (!verifySignature(signature, payload, process.env.TRENDIPAY_WEBHOOK_SECRET)) {
-      console.error('❌ Invalid webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-    
-    // 2. Extract webhook data
-    const {
-      reference,        // Our bin_payments.id
-      transactionId,    // TrendiPay transaction ID
-      status,           // 'success', 'failed', 'expired'
-      amount,
-      accountNumber,
-      message,
-      timestamp
-    } = payload;
-    
-    console.log('Webhook data:', {
-      reference,
-      transactionId,
-      status,
-      amount
-    });
-    
-    // 3. Update bin_payments record
-    const { data: payment, error: fetchError } = await getSupabaseClient()
-      .from('bin_payments')
-      .select('*')
-      .eq('id', reference)
-      .single();
-    
-    if (fetchError || !payment) {
-      console.error('Payment record not found:', reference);
-      return res.status(404).json({ error: 'Payment not found' });
-    }
-    
-    // 4. Map TrendiPay status to our system
-    let systemStatus;
-    switch(status) {
-      case 'successful':
-      case 'success':
-        systemStatus = 'success';
-        break;
-      case 'failed':
-      case 'declined':
-        systemStatus = 'failed';
-        break;
-      case 'pending':
-      case 'processing':
-        systemStatus = 'initiated';
-        break;
-      default:
-        systemStatus = 'failed';
-    }
-    
-    // 5. Update status based on webhook
-    const updateData = {
-      status: systemStatus,
-      gateway_reference: transactionId,
-      raw_gateway_response: payload, // Store full webhook payload
-      updated_at: new Date().toISOString()
-    };
-    
-    if (systemStatus === 'failed') {
-      updateData.gateway_error = message || `Payment ${status}`;
-    }
-    
-    const { data: updatedPayment, error: updateError } = await getSupabaseClient()
-      .from('bin_payments')
-      .update(updateData)
-      .eq('id', reference)
-      .select()
-      .single();
-    
-    if (updateError) {
-      console.error('Failed to update payment:', updateError);
-      return res.status(500).json({ error: 'Database update failed' });
-    }
-    
-    console.log(`✅ Collection payment ${reference} updated to: ${systemStatus}`);
-    
-    // 6. Update digital_bin status if payment successful
-    if (systemStatus === 'success' && updatedPayment) {
+    const { status, body, result } = await processRequest('Collection', req);
+
+    // Only the delivery that actually settled the payment moves the bin on
+    if (result?.outcome === 'applied' && result.target_table === 'bin_payments'
+        && result.new_status === 'success' && result.digital_bin_id) {
       const { error: binError } = await getSupabaseClient()
         .from('digital_bins')
         .update({ 
           status: 'picked_up',
           collected_at: new Date().toISOString()
         })
-        .eq('id', payment.digital_bin_id);
+        .eq('id', result.digital_bin_id);
       
       if (binError) {
         console.error('Failed to update digital_bin status:', binError);
       } else {
         console.log('✅ Digital bin marked as picked_up');
       }
-    }
-    
-    // 7. Optional: Send notification to collector (success/failure)
-    if (systemStatus === 'success') {
       // TODO: Send push notification or email to collector
-      console.log('💰 Payment successful - notify collector');
-    } else if (systemStatus === 'failed') {
-      console.log('⚠️ Payment failed - notify collector to retry');
     }
-    
-    // 8. Acknowledge webhook
-    return res.status(200).json({
-      success: true,
-      message: 'Webhook processed',
-      reference,
-      status: systemStatus,
-      originalStatus: status
-    });
-    
+
+    return res.status(status).json(body);
   } catch (error) {
     console.error('Error processing collection webhook:', error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -184,108 +124,9 @@ export async function handleCollectionWebhook(req, res) {
 export async function handleDisbursementWebhook(req, res) {
   try {
     console.log('📤 TrendiPay Disbursement Webhook received');
-    
-    // 1. Verify signature
-    const signature = req.headers['x-trendipay-signature'];
-    const payload = req.body;
-    
-    if (!verifySignature(signature, payload, process.env.TRENDIPAY_WEBHOOK_SECRET)) {
-      console.error('❌ Invalid webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-    
-    // 2. Extract webhook data
-    const {
-      reference,        // Our bin_payments.id (disbursement)
-      transactionId,    // TrendiPay transaction ID
-      status,           // 'success', 'failed', 'processing'
-      amount,
-      accountNumber,
-      message,
-      timestamp
-    } = payload;
-    
-    console.log('Webhook data:', {
-      reference,
-      transactionId,
-      status,
-      amount
-    });
-    
-    // 3. Update bin_payments disbursement record
-    const { data: disbursement, error: fetchError } = await getSupabaseClient()
-      .from('bin_payments')
-      .select('*')
-      .eq('id', reference)
-      .eq('type', 'disbursement')
-      .single();
-    
-    if (fetchError || !disbursement) {
-      console.error('Disbursement record not found:', reference);
-      return res.status(404).json({ error: 'Disbursement not found' });
-    }
-    
-    // 4. Map TrendiPay status to our system
-    let systemStatus;
-    switch(status) {
-      case 'successful':
-      case 'success':
-        systemStatus = 'success';
-        break;
-      case 'failed':
-      case 'declined':
-        systemStatus = 'failed';
-        break;
-      case 'pending':
-      case 'processing':
-        systemStatus = 'initiated';
-        break;
-      default:
-        systemStatus = 'failed';
-    }
-    
-    // 5. Update status
-    const updateData = {
-      status: systemStatus,
-      gateway_reference: transactionId,
-      raw_gateway_response: payload, // Store full webhook payload
-      updated_at: new Date().toISOString()
-    };
-    
-    if (systemStatus === 'failed') {
-      updateData.gateway_error = message || 'Disbursement failed';
-    }
-    
-    const { error: updateError } = await getSupabaseClient()
-      .from('bin_payments')
-      .update(updateData)
-      .eq('id', reference);
-    
-    if (updateError) {
-      console.error('Failed to update disbursement:', updateError);
-      return res.status(500).json({ error: 'Database update failed' });
-    }
-    
-    console.log(`✅ Disbursement ${reference} updated to: ${systemStatus}`);
-    
-    // 6. Optional: Send notification to collector
-    if (systemStatus === 'success') {
-      // TODO: Send push notification - "Your payout of GHS X.XX has been sent!"
-      console.log(`💸 Disbursement successful - GHS ${amount} sent to ${accountNumber}`);
-    } else if (systemStatus === 'failed') {
-      // TODO: Send alert - "Payout failed - contact support"
-      console.log('⚠️ Disbursement failed - notify collector');
-    }
-    
-    // 7. Acknowledge webhook
-    return res.status(200).json({
-      success: true,
-      message: 'Webhook processed',
-      reference,
-      status: systemStatus,
-      originalStatus: status
-    });
-    
+    const { status, body } = await processRequest('Disbursement', req);
+    // TODO: Send push notification - "Your payout of GHS X.XX has been sent!"
+    return res.status(status).json(body);
   } catch (error) {
     console.error('Error processing disbursement webhook:', error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -309,10 +150,10 @@ export function setupTrendiPayRoutes(app) {
  * Usage in your Express app:
  * 
  * import express from 'express';
- * import { setupTrendiPayRoutes } from './webhooks/trendiPayWebhooks.js';
+ * import { setupTrendiPayRoutes, rawBodySaver } from './webhooks/trendiPayWebhooks.js';
  * 
  * const app = express();
- * app.use(express.json());
+ * app.use(express.json({ verify: rawBodySaver }));
  * 
  * setupTrendiPayRoutes(app);
  * 
@@ -334,14 +175,6 @@ export function setupTrendiPayRoutes(app) {
  * 3. Monitor webhook logs:
  *    tail -f server.log
  * 
- * 4. Test with curl:
- *    curl -X POST http://localhost:3000/api/webhooks/trendipay/collection \
- *      -H "Content-Type: application/json" \
- *      -H "X-TrendiPay-Signature: test-signature" \
- *      -d '{
- *        "reference": "payment-id-uuid",
- *        "transactionId": "TP123456",
- *        "status": "success",
- *        "amount": 50.00
- *      }'
+ * 4. Send signed test callbacks (real signature and timestamp):
+ *    TRENDIPAY_WEBHOOK_SECRET=... node test-webhook.js
  */
@@ -1,6 +1,10 @@
 -- ========================================
 -- Fix: Digital Bins Status Transition Trigger
 -- ========================================
+-- SUPERSEDED by supabase/migrations/20261019110000_job_status_state_machine.sql,
+-- which replaces these triggers with one shared transition table. Do not run
+-- this script on a database that has that migration applied.
+--
 -- Run this SQL in your Supabase SQL Editor
 --
 -- Problem: The existing trigger on digital_bins rejects valid status
@@ -0,0 +1,299 @@
+/* global Buffer */
+/**
+ * Mock payment gateway
+ *
+ * A local stand-in for TrendiPay that needs nothing but Node. It serves the same
+ * endpoints the trendipay-proxy Edge Function calls, answers with TrendiPay's
+ * envelope, and settles each transaction a little later by posting a signed callback,
+ * the way the real gateway does once the customer approves on their phone.
+ *
+ *   POST /v1/terminals/:tid/collections                 client pays (amount in pesewas)
+ *   POST /v1/terminals/:tid/disbursements               payout to a MoMo wallet
+ *   GET  /v1/merchants/:mid/transactions/:rrn/status    poll a transaction
+ *
+ * The MoMo number picks what happens next (see MOCK_ACCOUNTS); other numbers use the
+ * default scenario, which POST /__scenario changes at runtime. GET /__transactions and
+ * POST /__reset are there for tests. Run it with `npm run mock:gateway`.
+ */
+
+import http from 'node:http';
+import { createHmac, randomUUID } from 'node:crypto';
+
+export const MOCK_SCENARIOS = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  TIMEOUT: 'timeout',
+  DUPLICATE: 'duplicate'
+};
+
+export const MOCK_ACCOUNTS = {
+  '0240000001': MOCK_SCENARIOS.APPROVE,
+  '0240000002': MOCK_SCENARIOS.REJECT,
+  // Never called back; reads as expired once expireAfterMs has passed
+  '0240000003': MOCK_SCENARIOS.TIMEOUT,
+  // Approved, and the callback is delivered twice
+  '0240000004': MOCK_SCENARIOS.DUPLICATE
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Merchant-ID, Accept'
+};
+
+const OUTCOMES = {
+  [MOCK_SCENARIOS.APPROVE]: { status: 'successful', code: '000', responseCode: '00', reason: 'Transaction successful' },
+  [MOCK_SCENARIOS.DUPLICATE]: { status: 'successful', code: '000', responseCode: '00', reason: 'Transaction successful' },
+  [MOCK_SCENARIOS.REJECT]: { status: 'failed', code: '101', responseCode: '51', reason: 'Transaction declined by customer' }
+};
+
+/**
+ * Hex HMAC-SHA256, as sent in X-TrendiPay-Signature
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string}
+ */
+export const signPayload = (secret, body) => createHmac('sha256', secret).update(body).digest('hex');
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const send = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.webhookSecret] - Signs callbacks; must match the app's
+ * @param {string} [options.callbackUrl] - Used when a request doesn't carry one
+ * @param {string} [options.defaultScenario] - For numbers not in MOCK_ACCOUNTS
+ * @param {number} [options.callbackDelayMs] - Time the "customer" takes to answer
+ * @param {number} [options.expireAfterMs] - When unanswered transactions expire
+ * @param {number} [options.maxDeliveryAttempts] - Callback retries on non-2xx
+ * @param {number} [options.retryDelayMs]
+ * @param {Object} [options.log] - console-like
+ */
+export const createMockGateway = ({
+  webhookSecret = 'mock-gateway-secret',
+  callbackUrl: defaultCallbackUrl = '',
+  defaultScenario = MOCK_SCENARIOS.APPROVE,
+  callbackDelayMs = 1500,
+  expireAfterMs = 60000,
+  maxDeliveryAttempts = 3,
+  retryDelayMs = 1000,
+  log = console
+} = {}) => {
+  const transactions = new Map();
+  const timers = new Set();
+  let scenario = defaultScenario;
+  let server = null;
+
+  const later = (fn, ms) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+  };
+
+  const expireIfStale = (tx) => {
+    if (tx.status === 'pending' && Date.now() - tx.createdAt >= expireAfterMs) {
+      tx.status = 'expired';
+      tx.code = '408';
+      tx.reason = 'Customer did not authorize in time';
+      tx.lastUpdated = Date.now();
+    }
+    return tx;
+  };
+
+  const toWire = (tx) => ({
+    rrn: tx.rrn,
+    externalId: tx.externalId,
+    reference: tx.reference,
+    type: tx.type,
+    amount: tx.amount,
+    currency: tx.currency,
+    status: tx.status,
+    code: tx.code,
+    responseCode: tx.responseCode,
+    reason: tx.reason,
+    lastUpdated: new Date(tx.lastUpdated).toISOString()
+  });
+
+  const deliver = async (tx, attempt = 1) => {
+    if (!tx.callbackUrl) return;
+
+    // Retries and duplicate deliveries of one status change share its event id
+    const eventId = `${tx.externalId}:${tx.status}:${tx.lastUpdated}`;
+    const body = JSON.stringify({ eventId, ...toWire(tx), timestamp: new Date().toISOString() });
+    let statusCode = 0;
+    try {
+      const response = await fetch(tx.callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-TrendiPay-Signature': signPayload(webhookSecret, body) },
+        body
+      });
+      statusCode = response.status;
+    } catch (error) {
+      log.warn?.(`[mock-gateway] callback for ${tx.reference} failed: ${error.message}`);
+    }
+
+    tx.deliveries.push({ attempt, statusCode, at: new Date().toISOString() });
+    if ((statusCode < 200 || statusCode >= 300) && attempt < maxDeliveryAttempts && server) {
+      later(() => deliver(tx, attempt + 1), retryDelayMs);
+    }
+  };
+
+  const settle = (tx) => {
+    const outcome = OUTCOMES[tx.scenario];
+    if (!outcome || tx.status !== 'pending') return;
+
+    Object.assign(tx, outcome, { lastUpdated: Date.now() });
+    log.info?.(`[mock-gateway] ${tx.type} ${tx.reference} → ${tx.status}`);
+    deliver(tx);
+    if (tx.scenario === MOCK_SCENARIOS.DUPLICATE) {
+      later(() => deliver(tx), Math.max(50, callbackDelayMs / 2));
+    }
+  };
+
+  const initiate = async (req, res, endpoint) => {
+    const type = endpoint === 'collections' ? 'purchase' : 'deposit';
+    let body;
+    try {
+      body = JSON.parse(await readBody(req) || '{}');
+    } catch {
+      return send(res, 400, { success: false, code: '400', message: 'Invalid JSON body' });
+    }
+
+    const amount = Number(body.amount);
+    if (!body.reference || !body.accountNumber || !body.rSwitch) {
+      return send(res, 400, { success: false, code: '400', message: 'reference, accountNumber and rSwitch are required' });
+    }
+    if (!Number.isInteger(amount) || amount < 100) {
+      return send(res, 400, { success: false, code: '400', message: 'amount must be a whole number of pesewas, at least 100' });
+    }
+    const duplicate = [...transactions.values()].some(tx => tx.type === type && tx.reference === body.reference);
+    if (duplicate) {
+      return send(res, 409, { success: false, code: '409', message: `Duplicate reference ${body.reference}` });
+    }
+
+    const now = Date.now();
+    const tx = {
+      rrn: String(now).slice(-10) + String(transactions.size).padStart(2, '0'),
+      externalId: randomUUID(),
+      reference: body.reference,
+      type,
+      accountNumber: body.accountNumber,
+      rSwitch: body.rSwitch,
+      amount,
+      currency: body.currency || 'GHS',
+      callbackUrl: body.callbackUrl || defaultCallbackUrl,
+      scenario: MOCK_ACCOUNTS[body.accountNumber] || scenario,
+      status: 'pending',
+      code: '111',
+      responseCode: null,
+      reason: 'Awaiting customer authorization',
+      createdAt: now,
+      lastUpdated: now,
+      deliveries: []
+    };
+    transactions.set(tx.rrn, tx);
+    later(() => settle(tx), callbackDelayMs);
+
+    return send(res, 200, {
+      success: true,
+      code: '111',
+      message: 'Transaction pending',
+      data: {
+        ...toWire(tx),
+        authorizationSteps: type === 'purchase'
+          ? ['Dial *170# if no prompt appears', 'Enter your MoMo PIN to approve the payment']
+          : []
+      }
+    });
+  };
+
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+    if (req.method === 'GET' && pathname === '/health') {
+      return send(res, 200, { success: true, scenario, transactions: transactions.size });
+    }
+    if (req.method === 'POST' && parts[0] === 'v1' && parts[1] === 'terminals' &&
+        ['collections', 'disbursements'].includes(parts[3])) {
+      return initiate(req, res, parts[3]);
+    }
+    if (req.method === 'GET' && parts[0] === 'v1' && parts[1] === 'merchants' &&
+        parts[3] === 'transactions' && parts[5] === 'status') {
+      const tx = transactions.get(parts[4]);
+      if (!tx) return send(res, 404, { success: false, code: '404', message: 'Transaction not found' });
+      expireIfStale(tx);
+      return send(res, 200, { success: true, code: tx.code, data: toWire(tx) });
+    }
+    if (req.method === 'GET' && pathname === '/__transactions') {
+      return send(res, 200, {
+        success: true,
+        data: [...transactions.values()].map(tx => ({ ...toWire(expireIfStale(tx)), scenario: tx.scenario, deliveries: tx.deliveries }))
+      });
+    }
+    if (req.method === 'POST' && pathname === '/__scenario') {
+      const requested = JSON.parse(await readBody(req) || '{}').scenario;
+      if (!Object.values(MOCK_SCENARIOS).includes(requested)) {
+        return send(res, 400, { success: false, message: `Unknown scenario ${requested}` });
+      }
+      scenario = requested;
+      return send(res, 200, { success: true, scenario });
+    }
+    if (req.method === 'POST' && pathname === '/__reset') {
+      transactions.clear();
+      timers.forEach(clearTimeout);
+      timers.clear();
+      scenario = defaultScenario;
+      return send(res, 200, { success: true });
+    }
+    return send(res, 404, { success: false, code: '404', message: `No route for ${req.method} ${pathname}` });
+  };
+
+  return {
+    transactions,
+
+    /**
+     * @param {number} [port] - 0 picks a free port
+     * @returns {Promise<{port: number, url: string}>}
+     */
+    start(port = 4010) {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch(error => send(res, 500, { success: false, code: '500', message: error.message }));
+      });
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          const { port: boundPort } = server.address();
+          resolve({ port: boundPort, url: `http://127.0.0.1:${boundPort}` });
+        });
+      });
+    },
+
+    stop() {
+      timers.forEach(clearTimeout);
+      timers.clear();
+      if (!server) return Promise.resolve();
+      const closing = server;
+      server = null;
+      return new Promise(resolve => {
+        closing.close(() => resolve());
+        closing.closeAllConnections?.();
+      });
+    }
+  };
+};
@@ -0,0 +1,42 @@
+/* global process */
+/**
+ * Starts the mock payment gateway (see mockPaymentGateway.js).
+ *
+ *   npm run mock:gateway
+ *
+ * Point the app at it with VITE_PAYMENT_PROVIDER=mock, or point the trendipay-proxy
+ * Edge Function at it with TRENDIPAY_API_URL. Settings:
+ *
+ *   MOCK_GATEWAY_PORT          default 4010
+ *   MOCK_GATEWAY_SECRET        must match VITE_MOCK_GATEWAY_SECRET
+ *   MOCK_GATEWAY_CALLBACK_URL  for requests that don't send a callbackUrl
+ *   MOCK_GATEWAY_SCENARIO      approve | reject | timeout | duplicate
+ *   MOCK_GATEWAY_DELAY_MS      how long before the callback, default 3000
+ *   MOCK_GATEWAY_EXPIRE_MS     when unanswered payments expire, default 60000
+ */
+
+import { createMockGateway, MOCK_ACCOUNTS } from './mockPaymentGateway.js';
+
+const env = process.env;
+
+const gateway = createMockGateway({
+  webhookSecret: env.MOCK_GATEWAY_SECRET || 'mock-gateway-secret',
+  callbackUrl: env.MOCK_GATEWAY_CALLBACK_URL || '',
+  defaultScenario: env.MOCK_GATEWAY_SCENARIO || 'approve',
+  callbackDelayMs: Number(env.MOCK_GATEWAY_DELAY_MS) || 3000,
+  expireAfterMs: Number(env.MOCK_GATEWAY_EXPIRE_MS) || 60000
+});
+
+const { url } = await gateway.start(Number(env.MOCK_GATEWAY_PORT) || 4010);
+
+console.log(`💳 Mock payment gateway listening on ${url}`);
+Object.entries(MOCK_ACCOUNTS).forEach(([number, scenario]) => {
+  console.log(`   ${number} → ${scenario}`);
+});
+
+const shutdown = async () => {
+  await gateway.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
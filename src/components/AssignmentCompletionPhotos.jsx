@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { getJobEvidencePhotos } from '../services/evidencePhotoService';
+import { EVIDENCE_STAGES, describeEvidenceProblems } from '../utils/photoEvidence';
+
+const STAGE_TITLES = {
+  [EVIDENCE_STAGES.BEFORE]: 'Before',
+  [EVIDENCE_STAGES.AFTER]: 'After'
+};
+
+const formatCaptureTime = (iso) => new Date(iso).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Before/after photos of an assignment, with when and where each was taken. Photos
+ * still waiting to upload from this device, and any the server did not accept, are
+ * shown with a badge.
+ *
+ * @param {Object} props
+ * @param {string} props.assignmentId
+ */
+const AssignmentCompletionPhotos = ({ assignmentId }) => {
+  const [photos, setPhotos] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!assignmentId) return undefined;
+    let cancelled = false;
+    let loaded = [];
+
+    getJobEvidencePhotos('assignment', assignmentId).then(result => {
+      loaded = result.data;
+      if (cancelled) {
+        loaded.filter(photo => photo.pending).forEach(photo => URL.revokeObjectURL(photo.url));
+        return;
+      }
+      setPhotos(result.data);
+      setError(result.success ? null : result.error);
+    });
+
+    return () => {
+      cancelled = true;
+      loaded.filter(photo => photo.pending).forEach(photo => URL.revokeObjectURL(photo.url));
+    };
+  }, [assignmentId]);
+
+  if (photos === null) {
+    return <p className="text-gray-500 text-sm">Loading photos...</p>;
+  }
+  if (photos.length === 0) {
+    return <p className="text-gray-500 text-sm">{error ? 'Could not load photos.' : 'No before/after photos.'}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {Object.entries(STAGE_TITLES).map(([stage, title]) => {
+        const stagePhotos = photos.filter(photo => photo.stage === stage);
+        if (stagePhotos.length === 0) return null;
+        return (
+          <div key={stage}>
+            <p className="text-xs font-medium text-gray-600 mb-1">{title}</p>
+            <div className="grid grid-cols-3 gap-2">
+              {stagePhotos.map((photo, index) => (
+                <a
+                  key={photo.id}
+                  href={photo.url || undefined}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="block"
+                  title={photo.verified === false ? describeEvidenceProblems(photo.problems) : undefined}
+                >
+                  <div className="aspect-square relative rounded-md overflow-hidden border border-gray-200 bg-gray-100">
+                    {photo.url && <img src={photo.url} alt={`${title} photo ${index + 1}`} className="w-full h-full object-cover" />}
+                    {photo.pending && (
+                      <span className="absolute top-1 left-1 bg-amber-500 text-white text-[10px] px-1.5 py-0.5 rounded">
+                        Uploading
+                      </span>
+                    )}
+                    {photo.verified === false && (
+                      <span className="absolute top-1 left-1 bg-red-500 text-white text-[10px] px-1.5 py-0.5 rounded">
+                        Not accepted
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-[11px] text-gray-600 mt-1">{formatCaptureTime(photo.capturedAt)}</p>
+                  <p className="text-[11px] text-gray-500">
+                    {photo.latitude !== null && photo.longitude !== null
+                      ? `${photo.latitude.toFixed(5)}, ${photo.longitude.toFixed(5)}${photo.accuracy ? ` ±${Math.round(photo.accuracy)}m` : ''}`
+                      : 'No GPS fix'}
+                  </p>
+                </a>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AssignmentCompletionPhotos;
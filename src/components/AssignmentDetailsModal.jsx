@@ -1,5 +1,6 @@
 import React from 'react';
 import { AssignmentStatus } from '../utils/types';
+import AssignmentCompletionPhotos from './AssignmentCompletionPhotos';
 import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
@@ -215,6 +216,15 @@ const AssignmentDetailsModal = ({
               )}
             </div>
           </div>
+
+          {(assignment.status === AssignmentStatus.COMPLETED || assignment.status === AssignmentStatus.DISPOSED) && (
+            <div className="mb-4">
+              <h4 className="font-medium text-gray-700 mb-1">Completion Photos</h4>
+              <div className="bg-gray-50 p-3 rounded-md">
+                <AssignmentCompletionPhotos assignmentId={assignment.id} />
+              </div>
+            </div>
+          )}
         </div>
         
         {/* Action Buttons */}
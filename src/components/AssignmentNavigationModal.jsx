@@ -8,6 +8,12 @@ import { useLanguage } from '../context/LanguageContext';
 import { getPhrase, translateNavInstruction } from '../locales/navigationPhrases';
 import useWakeLock from '../hooks/useWakeLock';
 import { useNavigationPersistence } from '../hooks/useNavigationPersistence';
+import {
+  getRoutingProvider,
+  ROUTING_PROVIDERS,
+  formatStepDistance,
+  formatStepDuration
+} from '../services/routing';
 import {
   ASSIGNMENT_ARRIVAL_RADIUS_KM,
   ASSIGNMENT_MANUAL_ARRIVAL_RADIUS_KM,
@@ -50,7 +56,6 @@ const AssignmentNavigationModal = ({
   const locationInterval = useRef(null);
   const toastTimeout = useRef(null);
   const arrivalTimeout = useRef(null);
-  const directionsService = useRef(null);
   const directionsRenderer = useRef(null);
   const navigationControlRef = useRef(null);
 
@@ -199,10 +204,9 @@ const AssignmentNavigationModal = ({
     return null;
   }, []);
 
-  // Initialize Google Maps Directions API
-  const initializeDirectionsAPI = useCallback(() => {
-    if (window.google && window.google.maps) {
-      directionsService.current = new window.google.maps.DirectionsService();
+  // Set up the renderer that draws Google routes on the modal's map
+  const initializeDirectionsRenderer = useCallback(() => {
+    if (!directionsRenderer.current && window.google?.maps?.DirectionsRenderer) {
       directionsRenderer.current = new window.google.maps.DirectionsRenderer({
         suppressMarkers: false,
         suppressInfoWindows: true,
@@ -212,39 +216,16 @@ const AssignmentNavigationModal = ({
           strokeOpacity: 0.8
         }
       });
-      return true;
     }
-    return false;
+    return Boolean(directionsRenderer.current);
   }, []);
 
-  // Get navigation route from Google Maps Directions API
+  // Get navigation route from the configured routing provider (Google, OSRM, ...)
   const getNavigationRoute = useCallback(async (origin, destination) => {
-    if (!directionsService.current) {
-      if (!initializeDirectionsAPI()) {
-        logger.error('Google Maps not loaded');
-        return null;
-      }
-    }
-
-    return new Promise((resolve, reject) => {
-      directionsService.current.route({
-        origin: new window.google.maps.LatLng(origin.lat, origin.lng),
-        destination: new window.google.maps.LatLng(destination.lat, destination.lng),
-        travelMode: window.google.maps.TravelMode.DRIVING,
-        unitSystem: window.google.maps.UnitSystem.METRIC,
-        avoidHighways: false,
-        avoidTolls: false
-      }, (result, status) => {
-        if (status === window.google.maps.DirectionsStatus.OK) {
-          logger.debug('🗺️ Navigation route calculated:', result);
-          resolve(result);
-        } else {
-          logger.error('❌ Directions request failed:', status);
-          reject(new Error(`Directions request failed: ${status}`));
-        }
-      });
-    });
-  }, [initializeDirectionsAPI]);
+    const route = await getRoutingProvider().route([origin, destination]);
+    logger.debug(`🗺️ Navigation route calculated via ${route.provider}:`, route);
+    return route;
+  }, []);
 
   // Start in-app navigation
   const startInAppNavigation = useCallback(async () => {
@@ -278,20 +259,14 @@ const AssignmentNavigationModal = ({
       setCurrentStep(0);
       
       // Extract step-by-step instructions
-      const steps = route.routes[0].legs[0].steps.map((step, index) => ({
+      const steps = route.legs[0].steps.map((step, index) => ({
         index,
-        instruction: step.instructions.replace(/<[^>]*>/g, ''), // Remove HTML tags
-        distance: step.distance.text,
-        duration: step.duration.text,
+        instruction: step.instruction,
+        distance: formatStepDistance(step.distanceMeters),
+        duration: formatStepDuration(step.durationSeconds),
         maneuver: step.maneuver || 'straight',
-        startLocation: {
-          lat: step.start_location.lat(),
-          lng: step.start_location.lng()
-        },
-        endLocation: {
-          lat: step.end_location.lat(),
-          lng: step.end_location.lng()
-        }
+        startLocation: step.startLocation,
+        endLocation: step.endLocation
       }));
       
       setNavigationInstructions(steps);
@@ -307,10 +282,10 @@ const AssignmentNavigationModal = ({
         sourceType: 'assignment'
       });
       
-      // Display route on map if available
-      if (directionsRenderer.current && mapRef.current) {
+      // Google routes can be drawn as-is; the map already shows its own route otherwise
+      if (route.provider === ROUTING_PROVIDERS.GOOGLE && mapRef.current && initializeDirectionsRenderer()) {
         directionsRenderer.current.setMap(mapRef.current);
-        directionsRenderer.current.setDirections(route);
+        directionsRenderer.current.setDirections(route.raw);
       }
       
       showToast({
@@ -327,7 +302,7 @@ const AssignmentNavigationModal = ({
     } finally {
       setIsLoading(false);
     }
-  }, [userLocation, destination, parseDestination, getNavigationRoute, showToast, preferredLang]);
+  }, [userLocation, destination, parseDestination, getNavigationRoute, initializeDirectionsRenderer, showToast, preferredLang]);
 
   // Stop navigation
   const stopNavigation = useCallback(() => {
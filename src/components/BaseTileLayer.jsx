@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { BASEMAP_ATTRIBUTION, ONLINE_TILE_URL, getTileSourceOrder, resolveTileUrl } from '../services/tileSources';
+import { basemapArchiveService } from '../services/basemapArchiveService';
+import { logger } from '../utils/logger';
+
+// Transparent 1x1 PNG for tiles no source has
+const EMPTY_TILE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const releaseTileUrl = (url) => {
+  if (url?.startsWith('blob:')) URL.revokeObjectURL(url);
+};
+
+// Tile layer that walks the tile source chain for every tile (see services/tileSources)
+class SourceTileLayer extends L.TileLayer {
+  constructor(options) {
+    super(ONLINE_TILE_URL, options);
+
+    // The source order depends on connectivity, so redraw when it changes
+    this.handleConnectivity = () => this.redraw();
+    window.addEventListener('online', this.handleConnectivity);
+    window.addEventListener('offline', this.handleConnectivity);
+  }
+
+  onRemove(map) {
+    window.removeEventListener('online', this.handleConnectivity);
+    window.removeEventListener('offline', this.handleConnectivity);
+    return super.onRemove(map);
+  }
+
+  createTile(coords, done) {
+    const tile = document.createElement('img');
+    tile.alt = '';
+    tile.setAttribute('role', 'presentation');
+    this.loadFromSources(getTileSourceOrder(), coords, tile, done);
+    return tile;
+  }
+
+  async loadFromSources(sources, coords, tile, done) {
+    const [source, ...rest] = sources;
+    if (!source) {
+      tile.onload = null;
+      tile.onerror = null;
+      tile.src = EMPTY_TILE;
+      done(new Error('Tile not available offline'), tile);
+      return;
+    }
+
+    let url = null;
+    try {
+      url = await resolveTileUrl(source, coords);
+    } catch (error) {
+      logger.debug(`Tile ${coords.z}/${coords.x}/${coords.y} unavailable from ${source}:`, error.message);
+    }
+    if (!url) {
+      this.loadFromSources(rest, coords, tile, done);
+      return;
+    }
+
+    tile.onload = () => {
+      releaseTileUrl(url);
+      done(null, tile);
+    };
+    tile.onerror = () => {
+      releaseTileUrl(url);
+      this.loadFromSources(rest, coords, tile, done);
+    };
+    tile.src = url;
+  }
+}
+
+/**
+ * Basemap for the react-leaflet maps: local archive, network or cached tiles, whichever
+ * has the tile (see services/tileSources)
+ *
+ * @param {Object} props
+ * @param {number} [props.maxZoom]
+ */
+const BaseTileLayer = ({ maxZoom = 19 }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const layer = new SourceTileLayer({ attribution: BASEMAP_ATTRIBUTION, maxZoom });
+    layer.addTo(map);
+
+    // A newly imported or removed archive changes what every tile should show
+    let archive = basemapArchiveService.record;
+    const unsubscribe = basemapArchiveService.subscribe(record => {
+      if (record === archive) return;
+      archive = record;
+      layer.redraw();
+    });
+    return () => {
+      unsubscribe();
+      map.removeLayer(layer);
+    };
+  }, [map, maxZoom]);
+
+  return null;
+};
+
+export default BaseTileLayer;
@@ -0,0 +1,125 @@
+import { useEffect, useRef, useState } from 'react';
+import { ARCHIVE_SOURCE, basemapArchiveService } from '../services/basemapArchiveService';
+import { BASEMAP_ARCHIVE_URL } from '../config/offlineRegionConfig';
+import { formatBytes } from '../utils/tileMath';
+
+/**
+ * Local basemap archive: pick a PMTiles or MBTiles file from the phone or download the
+ * configured one, so every map can draw without signal
+ */
+const BasemapArchive = () => {
+  const [info, setInfo] = useState(null);
+  const [downloading, setDownloading] = useState(basemapArchiveService.isDownloading());
+  const [progress, setProgress] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    basemapArchiveService.getInfo().then(setInfo);
+    return basemapArchiveService.subscribe(record => {
+      setInfo(record);
+      setDownloading(basemapArchiveService.isDownloading());
+    });
+  }, []);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    setMessage(null);
+    const result = await basemapArchiveService.importFile(file);
+    setBusy(false);
+    if (!result.success) setMessage(result.error);
+  };
+
+  const handleDownload = async () => {
+    setMessage(null);
+    setProgress({ loaded: 0, total: null });
+    const result = await basemapArchiveService.downloadArchive({ onProgress: setProgress });
+    setProgress(null);
+    if (!result.success) setMessage(result.error);
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the offline basemap from this phone?')) return;
+    await basemapArchiveService.remove();
+  };
+
+  const percent = progress?.total ? Math.round((progress.loaded / progress.total) * 100) : null;
+
+  return (
+    <div className="card mb-4">
+      <h2 className="text-xl font-bold mb-1">Offline Basemap</h2>
+      <p className="text-sm text-gray-500 mb-3">
+        A single raster map file (.pmtiles or .mbtiles) that covers your whole area. Maps use
+        it first and only fetch tiles it doesn&apos;t have.
+      </p>
+
+      {message && (
+        <div className="mb-3 p-2 rounded-md bg-red-50 border border-red-200 text-sm text-red-700">{message}</div>
+      )}
+
+      {info ? (
+        <div className="border rounded-lg p-3 mb-3">
+          <p className="font-semibold break-all">{info.name}</p>
+          <p className="text-xs text-gray-500">
+            Zoom {info.minZoom}–{info.maxZoom} · {formatBytes(info.size)} ·{' '}
+            {info.source === ARCHIVE_SOURCE.DOWNLOAD ? 'Downloaded' : 'Added'} {new Date(info.importedAt).toLocaleDateString()}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600 mb-3">No basemap on this phone yet.</p>
+      )}
+
+      {downloading && (
+        <div className="mb-3">
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div className="h-full bg-primary transition-all" style={{ width: `${percent ?? 0}%` }} />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {progress ? formatBytes(progress.loaded) : 'Starting'}
+            {progress?.total ? ` of ${formatBytes(progress.total)} (${percent}%)` : ''}
+          </p>
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".pmtiles,.mbtiles,application/octet-stream,application/vnd.sqlite3,application/x-sqlite3"
+        className="hidden"
+        onChange={handleFile}
+      />
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          className="btn bg-gray-200 text-gray-800 text-sm"
+          disabled={busy || downloading}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          {busy ? 'Checking file…' : info ? 'Replace from file' : 'Add from file'}
+        </button>
+        {BASEMAP_ARCHIVE_URL && !downloading && (
+          <button className="btn btn-primary text-sm" disabled={busy} onClick={handleDownload}>
+            {info ? 'Download again' : 'Download basemap'}
+          </button>
+        )}
+        {downloading && (
+          <button className="btn bg-gray-200 text-gray-800 text-sm" onClick={() => basemapArchiveService.cancelDownload()}>
+            Cancel
+          </button>
+        )}
+        {info && !downloading && (
+          <button className="btn bg-gray-200 text-red-600 text-sm" disabled={busy} onClick={handleRemove}>
+            Remove
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BasemapArchive;
@@ -0,0 +1,257 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { CASH_AGING_BUCKETS, CASH_EVENTS, getCashCustody, remitCash } from '../services/cashCustodyService';
+import { logger } from '../utils/logger';
+
+const EVENT_LABELS = {
+  [CASH_EVENTS.COLLECTED]: 'Cash collected',
+  [CASH_EVENTS.DISPOSED]: 'Your share kept',
+  [CASH_EVENTS.REMITTED]: 'Remitted by MoMo'
+};
+
+const AGING_STYLES = {
+  '0-7': 'bg-green-400',
+  '8-14': 'bg-yellow-400',
+  '15-30': 'bg-orange-400',
+  '31+': 'bg-red-500'
+};
+
+const HISTORY_PREVIEW = 8;
+
+/**
+ * Cash custody: platform money the collector holds from cash jobs, its age, and
+ * paying the outstanding part back by MoMo
+ *
+ * @param {Object} props
+ * @param {string} props.collectorId
+ * @param {string} [props.defaultMomoNumber] - Prefills the remittance wallet
+ * @param {Function} [props.onLoad] - Receives the custody summary whenever it reloads
+ * @param {Function} [props.onRemitted] - Called after a remittance settles
+ */
+const CashCustodyCard = ({ collectorId, defaultMomoNumber = '', onLoad, onRemitted }) => {
+  const [custody, setCustody] = useState(null);
+  const [showRemit, setShowRemit] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [momoNumber, setMomoNumber] = useState('');
+  const [momoProvider, setMomoProvider] = useState('mtn');
+  const [remitState, setRemitState] = useState(null); // { status: 'waiting'|'success'|'failed'|'timeout', text }
+  const stopWatching = useRef(null);
+
+  const load = useCallback(async () => {
+    const result = await getCashCustody(collectorId);
+    if (result.success) {
+      setCustody(result.data);
+      onLoad?.(result.data);
+    }
+  }, [collectorId, onLoad]);
+
+  useEffect(() => {
+    if (collectorId) load();
+    return () => stopWatching.current?.();
+  }, [collectorId, load]);
+
+  if (!custody || (custody.cashInHand <= 0 && custody.history.length === 0)) {
+    return null;
+  }
+
+  const openRemit = () => {
+    setAmount(custody.outstanding.toFixed(2));
+    // Profile phones may be stored as +233XXXXXXXXX
+    setMomoNumber(current => current || String(defaultMomoNumber).replace(/\D/g, '').replace(/^233/, '0').slice(0, 10));
+    setRemitState(null);
+    setShowRemit(true);
+  };
+
+  const handleRemit = async (event) => {
+    event.preventDefault();
+    setRemitState({ status: 'waiting', text: 'Sending payment request...' });
+
+    const result = await remitCash(collectorId, parseFloat(amount), { momoNumber, momoProvider }, {
+      outstanding: custody.outstanding,
+      onStatus: (status) => {
+        if (!status.success) return;
+        if (status.status === 'success') {
+          setRemitState({ status: 'success', text: 'Remittance received. Thank you!' });
+          setShowRemit(false);
+          load();
+          onRemitted?.();
+        } else if (status.status === 'failed') {
+          setRemitState({ status: 'failed', text: status.payment?.gateway_error || 'The payment was not completed.' });
+        }
+      },
+      onTimeout: () => setRemitState({
+        status: 'timeout',
+        text: 'Still waiting for approval. It will be applied once your network confirms it.'
+      })
+    });
+
+    if (!result.success) {
+      logger.warn('Cash remittance not started:', result.error);
+      setRemitState({ status: 'failed', text: result.error });
+      return;
+    }
+    stopWatching.current = result.stop;
+    setRemitState({ status: 'waiting', text: result.message });
+  };
+
+  const agingTotal = CASH_AGING_BUCKETS.reduce((sum, bucket) => sum + custody.aging[bucket.key], 0);
+  const history = showHistory ? [...custody.history].reverse() : [...custody.history].reverse().slice(0, HISTORY_PREVIEW);
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold text-gray-800">💵 Cash Custody</h3>
+        <span className="text-sm text-gray-500">In hand: <span className="font-bold text-gray-800">₵{custody.cashInHand.toFixed(2)}</span></span>
+      </div>
+
+      <div className="space-y-2 text-sm mb-3">
+        {custody.pendingDisposal > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Awaiting disposal</span>
+            <span className="font-semibold">₵{custody.pendingDisposal.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="flex justify-between">
+          <span className="text-gray-600">Platform share of cash jobs</span>
+          <span className="font-semibold">₵{custody.platformShare.toFixed(2)}</span>
+        </div>
+        {custody.remitted > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Remitted by MoMo</span>
+            <span className="font-semibold text-green-600">-₵{custody.remitted.toFixed(2)}</span>
+          </div>
+        )}
+        {custody.netted > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Covered by your digital earnings</span>
+            <span className="font-semibold text-green-600">-₵{custody.netted.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="flex justify-between pt-2 border-t">
+          <span className="font-bold text-gray-800">Outstanding remittance</span>
+          <span className={`font-bold ${custody.outstanding > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+            ₵{custody.outstanding.toFixed(2)}
+          </span>
+        </div>
+      </div>
+
+      {custody.outstanding > 0 && (
+        <div className="mb-3">
+          <div className="flex h-2 rounded-full overflow-hidden bg-gray-100 mb-1">
+            {CASH_AGING_BUCKETS.filter(bucket => custody.aging[bucket.key] > 0).map(bucket => (
+              <div
+                key={bucket.key}
+                className={AGING_STYLES[bucket.key]}
+                style={{ width: `${(custody.aging[bucket.key] / agingTotal) * 100}%` }}
+              />
+            ))}
+          </div>
+          <div className="grid grid-cols-4 gap-1 text-xs text-gray-600">
+            {CASH_AGING_BUCKETS.map(bucket => (
+              <div key={bucket.key}>
+                <p>{bucket.label}</p>
+                <p className="font-semibold">₵{custody.aging[bucket.key].toFixed(2)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {custody.pendingRemittances.length > 0 && (
+        <p className="text-xs text-blue-600 mb-2">
+          ₵{custody.pendingRemittances.reduce((sum, r) => sum + Number(r.amount), 0).toFixed(2)} remittance awaiting confirmation
+        </p>
+      )}
+
+      {remitState && (
+        <p className={`text-sm mb-2 ${remitState.status === 'failed' ? 'text-red-600' : remitState.status === 'success' ? 'text-green-600' : 'text-blue-600'}`}>
+          {remitState.text}
+        </p>
+      )}
+
+      {custody.outstanding > 0 && !showRemit && (
+        <button
+          type="button"
+          onClick={openRemit}
+          className="w-full py-2 mb-3 rounded-lg bg-primary text-white font-semibold"
+        >
+          Remit ₵{custody.outstanding.toFixed(2)} by MoMo
+        </button>
+      )}
+
+      {showRemit && (
+        <form onSubmit={handleRemit} className="space-y-2 mb-3 p-3 bg-gray-50 rounded-lg">
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              max={custody.outstanding}
+              className="border rounded-lg px-3 py-2 text-sm"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              aria-label="Amount"
+            />
+            <select
+              className="border rounded-lg px-3 py-2 text-sm"
+              value={momoProvider}
+              onChange={(e) => setMomoProvider(e.target.value)}
+              aria-label="Network"
+            >
+              <option value="mtn">MTN</option>
+              <option value="vodafone">Telecel</option>
+              <option value="airteltigo">AirtelTigo</option>
+            </select>
+          </div>
+          <input
+            type="tel"
+            className="w-full border rounded-lg px-3 py-2 text-sm"
+            placeholder="MoMo number (0XXXXXXXXX)"
+            value={momoNumber}
+            onChange={(e) => setMomoNumber(e.target.value.replace(/\D/g, '').slice(0, 10))}
+          />
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setShowRemit(false)} className="flex-1 py-2 rounded-lg border text-sm">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={remitState?.status === 'waiting'}
+              className="flex-1 py-2 rounded-lg bg-primary text-white text-sm font-semibold disabled:opacity-50"
+            >
+              Pay now
+            </button>
+          </div>
+        </form>
+      )}
+
+      {custody.history.length > 0 && (
+        <div>
+          <p className="text-sm font-semibold text-gray-700 mb-1">Cash balance</p>
+          <div className="divide-y text-xs">
+            {history.map((event, index) => (
+              <div key={`${event.occurredAt}-${index}`} className="flex justify-between py-1">
+                <span className="text-gray-600">
+                  {new Date(event.occurredAt).toLocaleDateString()} · {EVENT_LABELS[event.type]}
+                </span>
+                <span>
+                  <span className={event.amount >= 0 ? 'text-gray-800' : 'text-green-600'}>
+                    {event.amount >= 0 ? '+' : '-'}₵{Math.abs(event.amount).toFixed(2)}
+                  </span>
+                  <span className="ml-2 font-semibold">₵{event.balance.toFixed(2)}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+          {custody.history.length > HISTORY_PREVIEW && (
+            <button type="button" onClick={() => setShowHistory(v => !v)} className="text-xs text-primary mt-1">
+              {showHistory ? 'Show less' : `Show all ${custody.history.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashCustodyCard;
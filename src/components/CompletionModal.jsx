@@ -1,15 +1,30 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { MapContainer, Marker, Popup, Circle, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { isWithinRadius } from '../utils/locationUtils';
 import usePhotoCapture from '../hooks/usePhotoCapture';
+import BaseTileLayer from './BaseTileLayer';
 import { logger } from '../utils/logger';
 import { ASSIGNMENT_COMPLETION_RADIUS_KM, GEOFENCE_DESCRIPTIONS, kmToMeters } from '../config/geofenceConfig';
+import {
+  EVIDENCE_STAGES,
+  EVIDENCE_REQUIREMENTS,
+  checkEvidenceSet,
+  describeEvidenceProblems
+} from '../utils/photoEvidence';
+
+const MAX_PHOTOS = 6;
+const { minBefore: MIN_BEFORE, minAfter: MIN_AFTER } = EVIDENCE_REQUIREMENTS.assignment;
+
+const REJECTION_BADGES = {
+  no_location: 'No GPS',
+  outside_geofence: 'Too far'
+};
 
 /**
  * Modal component for completing an assignment
- * Includes photo capture interface, location verification, and submit button
+ * Includes before/after photo capture, location verification, and submit button
  * All in a single page form
  */
 const CompletionModal = ({ 
@@ -26,6 +41,8 @@ const CompletionModal = ({
   const [isCheckingLocation, setIsCheckingLocation] = useState(false);
   const [shouldZoomToUser, setShouldZoomToUser] = useState(false);
   const cameraInputRef = useRef(null);
+  // Stage the file-input fallback is capturing for
+  const pendingStageRef = useRef(EVIDENCE_STAGES.BEFORE);
   const RADIUS_METERS = kmToMeters(ASSIGNMENT_COMPLETION_RADIUS_KM); // From centralized config
   
   // Component to control map zoom to user location
@@ -51,7 +68,10 @@ const CompletionModal = ({
     isUploading,
     error: photoError,
     hasPhotos
-  } = usePhotoCapture(assignment?.id);
+  } = usePhotoCapture(assignment?.id, {
+    jobType: 'assignment',
+    label: assignment?.id ? `Assignment ${String(assignment.id).slice(0, 8)}` : undefined
+  });
   
   // Fix Leaflet icon issues with Webpack/Vite
   useEffect(() => {
@@ -67,6 +87,12 @@ const CompletionModal = ({
   // State for map coordinates - NO hardcoded defaults, use null until we have real data
   const [coordinates, setCoordinates] = useState(null);
   const [userCoordinates, setUserCoordinates] = useState(null);
+
+  // Same rules the server applies when the photos are linked
+  const evidence = useMemo(
+    () => checkEvidenceSet(photos, { jobType: 'assignment', target: coordinates }),
+    [photos, coordinates]
+  );
   
   // Helper to parse coordinates from various formats
   const parseCoordinates = (coords) => {
@@ -233,19 +259,19 @@ const CompletionModal = ({
   if (!isOpen || !assignment) return null;
   
   // Handle photo capture from camera
-  const handlePhotoCapture = async (e) => {
+  const handlePhotoCapture = async (e, stage = pendingStageRef.current) => {
     const files = Array.from(e.target.files);
     
-    // Check if adding these files would exceed the maximum (6)
-    if (photos.length + files.length > 6) {
-      alert('Maximum 6 photos allowed');
+    // Check if adding these files would exceed the maximum
+    if (photos.length + files.length > MAX_PHOTOS) {
+      alert(`Maximum ${MAX_PHOTOS} photos allowed`);
       return;
     }
     
     try {
       // Process each file sequentially
       for (const file of files) {
-        await capturePhoto(file);
+        await capturePhoto(file, stage);
       }
     } catch (error) {
       logger.error('Error capturing photos:', error);
@@ -254,7 +280,8 @@ const CompletionModal = ({
   };
   
   // Open camera for photo capture
-  const openCamera = () => {
+  const openCamera = (stage) => {
+    pendingStageRef.current = stage;
     // Check if the MediaDevices API is supported
     if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
       // Use the Web Camera API directly instead of file input
@@ -302,7 +329,7 @@ const CompletionModal = ({
             // Convert the canvas to blob and handle the photo
             canvas.toBlob(blob => {
               const file = new File([blob], `photo_${Date.now()}.jpg`, { type: 'image/jpeg' });
-              handlePhotoCapture({ target: { files: [file] } });
+              handlePhotoCapture({ target: { files: [file] } }, stage);
               
               // Clean up
               stream.getTracks().forEach(track => track.stop());
@@ -374,87 +401,79 @@ const CompletionModal = ({
           <div className="space-y-6">
             {/* Photo Capture Section */}
             <div className="mb-6">
-              <h3 className="font-medium text-gray-700 mb-2">Photo Documentation</h3>
+              <h3 className="font-medium text-gray-700 mb-1">Photo Documentation</h3>
+              <p className="text-xs text-gray-500 mb-2">Photos are stamped with the time and your location, kept on this phone and upload after you complete, even if you have no signal now.</p>
               
-              <div className="grid grid-cols-3 gap-3">
-                {photos.map((photo, index) => {
-                  // Handle photo objects with url property, Blob/File objects, and string URLs
-                  let photoSrc = null;
-                  if (typeof photo === 'string') {
-                    photoSrc = photo;
-                  } else if (photo && photo.url) {
-                    photoSrc = photo.url;
-                  } else if (photo instanceof Blob || photo instanceof File) {
-                    photoSrc = URL.createObjectURL(photo);
-                  }
-                  
-                  if (!photoSrc) return null;
-                  
-                  const photoId = photo?.id || index;
-                  const isPhotoUploading = photo?.isUploading === true;
-                  
-                  return (
-                  <div key={photoId} className="aspect-square relative rounded-md overflow-hidden border-2 border-gray-200">
-                    <img src={photoSrc} alt={`Photo ${index + 1}`} className="w-full h-full object-cover" />
-                    {/* Upload indicator overlay */}
-                    {isPhotoUploading && (
-                      <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center">
-                        <div className="text-white text-center">
-                          <svg className="animate-spin h-6 w-6 mx-auto mb-1" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              {[
+                { stage: EVIDENCE_STAGES.BEFORE, title: 'Before cleanup', hint: `At least ${MIN_BEFORE}, showing the dumping as you found it` },
+                { stage: EVIDENCE_STAGES.AFTER, title: 'After cleanup', hint: `At least ${MIN_AFTER}, showing the cleared site` }
+              ].map(({ stage, title, hint }) => (
+                <div key={stage} className="mb-4">
+                  <div className="flex items-baseline justify-between mb-2">
+                    <h4 className="text-sm font-medium text-gray-700">{title}</h4>
+                    <span className="text-xs text-gray-500">{hint}</span>
+                  </div>
+                  <div className="grid grid-cols-3 gap-3">
+                    {photos.filter(photo => photo.stage === stage).map((photo, index) => {
+                      const photoId = photo.id;
+                      const rejection = evidence.rejected[photoId];
+                      
+                      return (
+                      <div key={photoId} className={`aspect-square relative rounded-md overflow-hidden border-2 ${rejection ? 'border-red-400' : 'border-gray-200'}`}>
+                        <img src={photo.url} alt={`${title} photo ${index + 1}`} className="w-full h-full object-cover" />
+                        {rejection && (
+                          <span className="absolute bottom-1 left-1 bg-red-500 text-white text-[10px] px-1.5 py-0.5 rounded">
+                            {REJECTION_BADGES[rejection]}
+                          </span>
+                        )}
+                        <button 
+                          onClick={() => removePhoto(photoId)}
+                          className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-7 h-7 flex items-center justify-center shadow-lg"
+                          disabled={isUploading}
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
                           </svg>
-                          <span className="text-xs">Uploading...</span>
-                        </div>
+                        </button>
                       </div>
-                    )}
-                    {/* Cloud indicator for uploaded photos */}
-                    {photo?.cloudUrl && !isPhotoUploading && (
-                      <div className="absolute bottom-1 left-1 bg-green-500 text-white rounded-full w-5 h-5 flex items-center justify-center shadow-lg" title="Uploaded to cloud">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                      );
+                    })}
+                    
+                    {photos.length < MAX_PHOTOS && (
+                      <button
+                        type="button"
+                        onClick={() => openCamera(stage)}
+                        disabled={isUploading}
+                        className="aspect-square bg-gray-100 rounded-md flex flex-col items-center justify-center cursor-pointer hover:bg-gray-200 transition-colors border-2 border-dashed border-gray-300 p-4"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
                         </svg>
-                      </div>
+                        <span className="text-xs text-gray-500 mt-1">{isUploading ? 'Processing...' : 'Take Photo'}</span>
+                      </button>
                     )}
-                    <button 
-                      onClick={() => removePhoto(photoId)}
-                      className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-7 h-7 flex items-center justify-center shadow-lg"
-                      disabled={isPhotoUploading}
-                    >
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
-                    </button>
-                  </div>
-                  );
-                })}
-                
-                {photos.length < 6 && (
-                  <div onClick={openCamera} className="aspect-square bg-gray-100 rounded-md flex flex-col items-center justify-center cursor-pointer hover:bg-gray-200 transition-colors border-2 border-dashed border-gray-300 p-4">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
-                    </svg>
-                    <span className="text-xs text-gray-500 mt-1">Take Photo</span>
-                    <input 
-                      ref={cameraInputRef}
-                      type="file" 
-                      accept="image/*" 
-                      capture="camera"
-                      className="hidden" 
-                      onChange={handlePhotoCapture}
-                    />
                   </div>
-                )}
-              </div>
+                </div>
+              ))}
+              
+              <input 
+                ref={cameraInputRef}
+                type="file" 
+                accept="image/*" 
+                capture="camera"
+                className="hidden" 
+                onChange={(e) => handlePhotoCapture(e)}
+              />
               
               <div className="text-sm text-gray-500 mt-2">
-                <p>Add at least 1 photo (up to 6) to document the illegal dumping</p>
-                <p className="mt-1 text-blue-500">Note: Photos can only be taken with your device's camera</p>
-                {photos.length < 3 ? (
-                  <p className="mt-2 text-red-500">Please take at least {3 - photos.length} more photo(s)</p>
+                <p className="text-blue-500">Note: Photos can only be taken with your device's camera, at the site</p>
+                {evidence.complete && evidence.problems.length === 0 ? (
+                  <p className="mt-2 text-green-500">✓ Before and after photos complete</p>
                 ) : (
-                  <p className="mt-2 text-green-500">✓ Minimum photo requirement met</p>
+                  <p className={`mt-2 ${evidence.complete ? 'text-amber-600' : 'text-red-500'}`}>
+                    {describeEvidenceProblems(evidence.problems)}
+                  </p>
                 )}
               </div>
             </div>
@@ -475,10 +494,7 @@ const CompletionModal = ({
                     style={{ height: '100%', width: '100%' }}
                     zoomControl={true}
                   >
-                    <TileLayer
-                      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                    />
+                    <BaseTileLayer />
                     {/* Assignment location marker */}
                     <Marker position={coordinates}>
                       <Popup>
@@ -563,8 +579,8 @@ const CompletionModal = ({
                 ) : (
                   <button 
                     onClick={handleSubmit}
-                    className={`w-full py-3 text-white rounded-md flex items-center justify-center transition-colors ${isSubmitting || photos.length < 3 || !isWithinRange ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-500 hover:bg-green-600'}`}
-                    disabled={isSubmitting || photos.length < 3 || !isWithinRange}
+                    className={`w-full py-3 text-white rounded-md flex items-center justify-center transition-colors ${isSubmitting || !evidence.complete || !isWithinRange ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-500 hover:bg-green-600'}`}
+                    disabled={isSubmitting || !evidence.complete || !isWithinRange}
                   >
                     {isSubmitting ? (
                       <>
@@ -576,8 +592,8 @@ const CompletionModal = ({
                       </>
                     ) : !isWithinRange ? (
                       'Too Far From Assignment Location'
-                    ) : photos.length < 3 ? (
-                      'Need At Least 3 Photos'
+                    ) : !evidence.complete ? (
+                      'Before & After Photos Needed'
                     ) : (
                       'Submit Completion'
                     )}
@@ -601,7 +617,7 @@ const CompletionModal = ({
           <button
             onClick={handleSubmit}
             className="px-6 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition-colors ml-auto flex items-center"
-            disabled={isSubmitting || !locationVerified || photos.length < 3}
+            disabled={isSubmitting || !locationVerified || !evidence.complete}
           >
             {isSubmitting ? (
               <>
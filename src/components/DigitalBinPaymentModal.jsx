@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { X, Loader2, CheckCircle, XCircle, QrCode, Trash2, ScanLine, PencilLine } from 'lucide-react';
 import { Html5Qrcode } from 'html5-qrcode';
 import { logger } from '../utils/logger';
-import { checkPaymentStatus } from '../services/paymentService';
+import { watchPaymentStatus } from '../services/paymentService';
 import { supabase } from '../services/supabase';
 
 /**
@@ -57,9 +57,8 @@ const DigitalBinPaymentModal = ({
   const [processingMessage, setProcessingMessage] = useState('');
   const [authorizationSteps, setAuthorizationSteps] = useState([]);
   const [pollTimedOut, setPollTimedOut] = useState(false);
-  const pollingIntervalRef = useRef(null);
-  const pollingStartRef = useRef(null);
-  const POLL_TIMEOUT_MS = 90000; // 90 seconds before showing manual confirm option
+  const [pollAttempt, setPollAttempt] = useState(0);
+  const POLL_TIMEOUT_MS = 90000; // 90 seconds before offering to keep waiting
 
   // Extract bin ID from QR text (handles URLs and plain IDs)
   const extractBagId = useCallback((text) => {
@@ -154,85 +153,50 @@ const DigitalBinPaymentModal = ({
   // Poll payment status when payment is processing
   useEffect(() => {
     if (!paymentId || !paymentStatus || paymentStatus === 'success' || paymentStatus === 'failed') {
-      // Clear any existing polling interval
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current);
-        pollingIntervalRef.current = null;
-      }
       return;
     }
 
-    // Start polling for payment status updates
     logger.info('Starting payment status polling for:', paymentId);
-    
-    const pollStatus = async () => {
-      try {
-        console.log('🔄 [PaymentModal] Polling status for paymentId:', paymentId);
-        const result = await checkPaymentStatus(paymentId);
-        
-        console.log('🔄 [PaymentModal] Poll result:', { success: result.success, status: result.status, gateway_error: result.payment?.gateway_error });
-        
-        if (result.success) {
-          setPaymentStatus(result.status);
-          
-          if (result.status === 'success') {
-            console.log('✅ [PaymentModal] Payment SUCCESS via polling!');
-            setProcessingMessage('Payment successful! 🎉');
-            if (pollingIntervalRef.current) {
-              clearInterval(pollingIntervalRef.current);
-              pollingIntervalRef.current = null;
-            }
-            setTimeout(() => {
-              onClose();
-            }, 2000);
-          } else if (result.status === 'failed') {
-            console.error('❌ [PaymentModal] Payment FAILED via polling:', result.payment?.gateway_error);
-            setProcessingMessage('Payment failed. Please try again.');
-            setErrors({ submit: result.payment?.gateway_error || 'Payment failed. Please try again.' });
-            if (pollingIntervalRef.current) {
-              clearInterval(pollingIntervalRef.current);
-              pollingIntervalRef.current = null;
-            }
-          } else if (result.status === 'processing') {
-            console.log('⏳ [PaymentModal] Still processing...');
-            setProcessingMessage('Processing payment... Please wait.');
-          } else {
-            console.log('🔄 [PaymentModal] Status:', result.status, '(still polling...)');
-          }
-        } else {
-          console.warn('⚠️ [PaymentModal] Poll returned success=false:', result.error);
-        }
-      } catch (error) {
-        console.error('❌ [PaymentModal] Poll error:', error.message);
-      }
-    };
-
-    // Poll immediately, then every 5 seconds
-    pollingStartRef.current = Date.now();
     setPollTimedOut(false);
-    pollStatus();
-    pollingIntervalRef.current = setInterval(() => {
-      // Check timeout
-      if (pollingStartRef.current && (Date.now() - pollingStartRef.current) > POLL_TIMEOUT_MS) {
-        console.log('⏰ [PaymentModal] Polling timed out after 90s — showing manual confirm option');
-        setPollTimedOut(true);
-        if (pollingIntervalRef.current) {
-          clearInterval(pollingIntervalRef.current);
-          pollingIntervalRef.current = null;
-        }
+
+    const handleStatus = (result) => {
+      console.log('🔄 [PaymentModal] Poll result:', { success: result.success, status: result.status, gateway_error: result.payment?.gateway_error });
+
+      if (!result.success) {
+        console.warn('⚠️ [PaymentModal] Poll returned success=false:', result.error);
         return;
       }
-      pollStatus();
-    }, 5000);
-
-    // Cleanup on unmount
-    return () => {
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current);
-        pollingIntervalRef.current = null;
+
+      setPaymentStatus(result.status);
+
+      if (result.status === 'success') {
+        console.log('✅ [PaymentModal] Payment SUCCESS via polling!');
+        setProcessingMessage('Payment successful! 🎉');
+        setTimeout(() => {
+          onClose();
+        }, 2000);
+      } else if (result.status === 'failed') {
+        console.error('❌ [PaymentModal] Payment FAILED via polling:', result.payment?.gateway_error);
+        setProcessingMessage('Payment failed. Please try again.');
+        setErrors({ submit: result.payment?.gateway_error || 'Payment failed. Please try again.' });
+      } else if (result.status === 'processing') {
+        setProcessingMessage('Processing payment... Please wait.');
       }
     };
-  }, [paymentId, paymentStatus, onClose]);
+
+    // Check right away, then every 5 seconds until it settles or times out
+    const stopWatching = watchPaymentStatus(paymentId, {
+      onStatus: handleStatus,
+      onTimeout: () => {
+        console.log('⏰ [PaymentModal] Polling timed out after 90s — offering to keep waiting');
+        setPollTimedOut(true);
+      },
+      intervalMs: 5000,
+      timeoutMs: POLL_TIMEOUT_MS
+    });
+
+    return stopWatching;
+  }, [paymentId, paymentStatus, pollAttempt, onClose]);
 
   // Cleanup inline scanner
   const cleanupScanner = useCallback(async () => {
@@ -553,56 +517,15 @@ const DigitalBinPaymentModal = ({
                       </div>
                       <p className="text-sm text-gray-600">
                         The client may have approved but confirmation hasn't been received yet.
+                        The payment is recorded as soon as the gateway confirms it.
                       </p>
                       <div className="flex flex-col gap-2">
-                        <button
-                          type="button"
-                          onClick={async () => {
-                            // Mark payment as success in DB
-                            try {
-                              await supabase
-                                .from('bin_payments')
-                                .update({ status: 'success' })
-                                .eq('id', paymentId);
-                              setPaymentStatus('success');
-                              setProcessingMessage('Payment confirmed! 🎉');
-                              setTimeout(() => onClose(), 1500);
-                            } catch (err) {
-                              console.error('Failed to confirm payment:', err);
-                            }
-                          }}
-                          className="w-full py-3 bg-green-600 text-white font-bold rounded-xl hover:bg-green-700 transition-colors"
-                        >
-                          ✅ Client Has Paid — Confirm
-                        </button>
                         <button
                           type="button"
                           onClick={() => {
                             // Resume polling for another 90s
                             setPollTimedOut(false);
-                            pollingStartRef.current = Date.now();
-                            const poll = async () => {
-                              const result = await checkPaymentStatus(paymentId);
-                              if (result.success && result.status === 'success') {
-                                setPaymentStatus('success');
-                                setProcessingMessage('Payment successful! 🎉');
-                                if (pollingIntervalRef.current) clearInterval(pollingIntervalRef.current);
-                                setTimeout(() => onClose(), 2000);
-                              } else if (result.success && result.status === 'failed') {
-                                setPaymentStatus('failed');
-                                setProcessingMessage('Payment failed.');
-                                if (pollingIntervalRef.current) clearInterval(pollingIntervalRef.current);
-                              }
-                            };
-                            poll();
-                            pollingIntervalRef.current = setInterval(() => {
-                              if (Date.now() - pollingStartRef.current > POLL_TIMEOUT_MS) {
-                                setPollTimedOut(true);
-                                clearInterval(pollingIntervalRef.current);
-                                return;
-                              }
-                              poll();
-                            }, 5000);
+                            setPollAttempt(n => n + 1);
                           }}
                           className="w-full py-2.5 bg-blue-100 text-blue-700 font-bold rounded-xl hover:bg-blue-200 transition-colors"
                         >
@@ -4,6 +4,13 @@ import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { isWithinRadius } from '../utils/locationUtils';
 import { logger } from '../utils/logger';
+import {
+  WASTE_CATEGORIES,
+  WASTE_CATEGORY_LABELS,
+  FACILITY_AVAILABILITY,
+  wasteCategoryOf
+} from '../utils/facilityDirectory';
+import { getFacilityDirectory, rankFacilitiesForLoad, subscribeToFacilityStatus } from '../services/facilityDirectoryService';
 import AssignmentNavigationModal from './AssignmentNavigationModal';
 
 // Component to handle map resize when tab becomes visible
@@ -24,14 +31,15 @@ const MapResizer = ({ isVisible }) => {
 
 /**
  * Modal component for disposal process
- * Shows nearest dumping sites, directions, and confirmation
+ * Shows nearest dumping sites that take the load and are open, directions, and confirmation
  */
 const DisposalModal = ({ 
   assignment, 
   isOpen, 
   onClose, 
   onDispose,
-  onGetDirections
+  onGetDirections,
+  wasteType
 }) => {
   const [selectedSite, setSelectedSite] = useState(null);
   const [isDisposing, setIsDisposing] = useState(false);
@@ -57,9 +65,12 @@ const DisposalModal = ({
     });
   }, []);
   
-  // State for disposal centers fetched from Supabase
+  // Facility directory (live status included) and the same list ranked for this load
+  const [facilities, setFacilities] = useState([]);
   const [disposalCenters, setDisposalCenters] = useState([]);
   const [centerTypeFilter, setCenterTypeFilter] = useState('all'); // Filter by center type
+  const carriedCategory = wasteCategoryOf(wasteType || assignment?.waste_type || assignment?.type);
+  const [wasteFilter, setWasteFilter] = useState(carriedCategory);
   
   // Filter options for center types
   const filterOptions = [
@@ -72,170 +83,97 @@ const DisposalModal = ({
     { key: 'treatment_plant', label: 'Treatment', icon: '🔬' },
   ];
   
+  // Badge colours for whether a site can take a load now
+  const availabilityStyles = {
+    [FACILITY_AVAILABILITY.OPEN]: 'bg-green-100 text-green-700',
+    [FACILITY_AVAILABILITY.BUSY]: 'bg-amber-100 text-amber-700',
+    [FACILITY_AVAILABILITY.FULL]: 'bg-red-100 text-red-700',
+    [FACILITY_AVAILABILITY.CLOSED]: 'bg-gray-200 text-gray-700',
+    [FACILITY_AVAILABILITY.UNKNOWN]: 'bg-gray-100 text-gray-500'
+  };
+  
   // Filter disposal centers by type
   const filteredCenters = centerTypeFilter === 'all' 
     ? disposalCenters 
     : disposalCenters.filter(c => c.center_type === centerTypeFilter);
   
-  // Fetch disposal centers from Supabase when modal opens
+  // Start from what is on the truck each time the modal opens
   useEffect(() => {
-    if (isOpen) {
-      const fetchDisposalCenters = async () => {
-        try {
-          // Import supabase client
-          const { supabase } = await import('../services/supabase');
-          
-          // Fetch disposal centers from the disposal_centers table
-          const { data, error } = await supabase
-            .from('disposal_centers')
-            .select('*');
-            
-          if (error) {
-            logger.error('Error fetching disposal centers:', error);
-            return;
-          }
-          
-          if (data && data.length > 0) {
-            // Transform data to match our component's expected format
-            const centers = data.map(center => {
-              // Parse PostGIS GEOGRAPHY coordinates
-              let centerLat = null;
-              let centerLng = null;
-              
-              // Try parsing latitude
-              if (typeof center.latitude === 'number') {
-                centerLat = center.latitude;
-              } else if (typeof center.latitude === 'object') {
-                // PostGIS POINT format: {x: lng, y: lat}
-                if (center.latitude.x !== undefined && center.latitude.y !== undefined) {
-                  centerLng = center.latitude.x;
-                  centerLat = center.latitude.y;
-                }
-                // PostGIS GEOGRAPHY format with coordinates array
-                else if (center.latitude.coordinates && Array.isArray(center.latitude.coordinates)) {
-                  centerLng = center.latitude.coordinates[0];
-                  centerLat = center.latitude.coordinates[1];
-                }
-              } else if (typeof center.latitude === 'string') {
-                const parsed = parseFloat(center.latitude);
-                if (!isNaN(parsed)) centerLat = parsed;
-              }
-              
-              // Try parsing longitude (if not already set from latitude object)
-              if (centerLng === null) {
-                if (typeof center.longitude === 'number') {
-                  centerLng = center.longitude;
-                } else if (typeof center.longitude === 'object') {
-                  if (center.longitude.x !== undefined && center.longitude.y !== undefined) {
-                    centerLng = center.longitude.x;
-                    centerLat = center.longitude.y;
-                  } else if (center.longitude.coordinates && Array.isArray(center.longitude.coordinates)) {
-                    centerLng = center.longitude.coordinates[0];
-                    centerLat = center.longitude.coordinates[1];
-                  }
-                } else if (typeof center.longitude === 'string') {
-                  const parsed = parseFloat(center.longitude);
-                  if (!isNaN(parsed)) centerLng = parsed;
-                }
-              }
-              
-              // Skip centers with invalid coordinates
-              if (centerLat === null || centerLng === null || isNaN(centerLat) || isNaN(centerLng)) {
-                logger.warn('Could not parse disposal center coordinates:', {
-                  id: center.id,
-                  name: center.name,
-                  latType: typeof center.latitude,
-                  lngType: typeof center.longitude
-                });
-                return null;
-              }
-              
-              return {
-                id: center.id,
-                name: center.name,
-                address: center.address,
-                coordinates: [centerLat, centerLng],
-                openHours: center.operating_hours || '8:00 AM - 6:00 PM',
-                rating: center.rating || 4.0,
-                waste_type: center.waste_type || '',
-                region: center.region || 'Greater Accra',
-                district: center.district || '',
-                center_type: center.center_type || 'center',
-                phone: center.phone || null,
-                capacity_notes: center.capacity_notes || '',
-                status: center.status || 'active',
-                // We'll calculate distance dynamically based on user location
-                distance: '...' // Will be calculated when user location is available
-              };
-            }).filter(center => center !== null); // Remove invalid centers
-            
-            setDisposalCenters(centers);
-          }
-        } catch (err) {
-          logger.error('Failed to fetch disposal centers:', err);
-        }
-      };
-      
-      fetchDisposalCenters();
-    }
-  }, [isOpen]);
+    if (isOpen) setWasteFilter(carriedCategory);
+  }, [isOpen, carriedCategory]);
   
-  // Import location utilities
-  const calculateDistance = async () => {
-    const { calculateDistance } = await import('../utils/locationUtils');
-    return calculateDistance;
-  };
-  
-  // Get user's current location when modal opens and update distances
+  // Load the facility directory when the modal opens, and again whenever a facility
+  // reports itself full, busy or closed
   useEffect(() => {
-    if (isOpen) {
-      if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition(
-          async (position) => {
-            const { latitude, longitude } = position.coords;
-            setUserLocation([latitude, longitude]);
-            // Set map center from actual GPS if not already set
-            if (!mapCenter) {
-              setMapCenter([latitude, longitude]);
-            }
-            
-            // Update distances for all disposal centers
-            if (disposalCenters.length > 0) {
-              try {
-                const distanceCalc = await calculateDistance();
-                const updatedCenters = disposalCenters.map(center => {
-                  // Pass coordinates as arrays: [lat, lng]
-                  const distanceMeters = distanceCalc(
-                    [latitude, longitude],
-                    center.coordinates
-                  );
-                  // Convert meters to kilometers
-                  const distanceKm = distanceMeters / 1000;
-                  return {
-                    ...center,
-                    distance: `${distanceKm.toFixed(1)} km`,
-                    distanceValue: distanceKm // Store numeric value for sorting
-                  };
-                });
-                
-                // Sort by distance (closest first)
-                const sortedCenters = updatedCenters.sort((a, b) => a.distanceValue - b.distanceValue);
-                
-                setDisposalCenters(sortedCenters);
-              } catch (err) {
-                logger.error('Error calculating distances:', err);
-              }
-            }
-          },
-          (error) => {
-            logger.error('Error getting location:', error);
-            // Keep default location if there's an error
-          },
-          { enableHighAccuracy: true }
-        );
+    if (!isOpen) return undefined;
+    let cancelled = false;
+    
+    const loadFacilities = async () => {
+      const result = await getFacilityDirectory();
+      if (!cancelled && result.success) {
+        setFacilities(result.facilities);
       }
+    };
+    
+    loadFacilities();
+    const unsubscribe = subscribeToFacilityStatus(() => {
+      logger.info('Facility status changed, refreshing disposal sites');
+      loadFacilities();
+    });
+    
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [isOpen]);
+  
+  // Get user's current location when modal opens
+  useEffect(() => {
+    if (isOpen && navigator.geolocation) {
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          const { latitude, longitude } = position.coords;
+          setUserLocation([latitude, longitude]);
+          // Set map center from actual GPS if not already set
+          setMapCenter(current => current || [latitude, longitude]);
+        },
+        (error) => {
+          logger.error('Error getting location:', error);
+        },
+        { enableHighAccuracy: true }
+      );
     }
-  }, [isOpen, disposalCenters.length]);
+  }, [isOpen]);
+  
+  // Sites that take this load, open ones first, nearest by drive time
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let cancelled = false;
+    
+    rankFacilitiesForLoad(facilities, {
+      origin: userLocation,
+      wasteType: wasteFilter === 'all' ? null : wasteFilter
+    }).then(ranked => {
+      if (cancelled) return;
+      const sites = ranked.map(site => ({
+        ...site,
+        openHours: site.operating_hours || 'Hours not listed',
+        rating: site.rating || 4.0,
+        distance: site.distanceKm == null
+          ? '...'
+          : `${site.distanceKm.toFixed(1)} km${site.driveMinutes != null ? ` · ${Math.round(site.driveMinutes)} min` : ''}`
+      }));
+      setDisposalCenters(sites);
+      // Keep the selection in step with the latest status report
+      setSelectedSite(current => (current ? sites.find(site => site.id === current.id) || null : null));
+    }).catch(err => {
+      logger.error('Error ranking disposal sites:', err);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, facilities, userLocation, wasteFilter]);
 
   // Update map center when a site is selected
   useEffect(() => {
@@ -256,6 +194,8 @@ const DisposalModal = ({
   
   if (!isOpen || !assignment) return null;
   
+  const siteAccepting = !selectedSite?.availability || selectedSite.availability.canDispose;
+  
   // Handle disposal confirmation
   const handleDispose = async () => {
     if (!selectedSite) {
@@ -263,6 +203,11 @@ const DisposalModal = ({
       return;
     }
     
+    if (selectedSite.availability && !selectedSite.availability.canDispose) {
+      alert(`${selectedSite.name} is not accepting loads: ${selectedSite.availability.label}`);
+      return;
+    }
+    
     // Check if user is within 50 meters of the selected site
     if (!isWithinRange) {
       setShowLocationModal(true);
@@ -419,6 +364,23 @@ const DisposalModal = ({
         
         {/* Filter Buttons */}
         <div className="px-4 pt-2 pb-1 border-b border-gray-100 flex-shrink-0">
+          {/* What the site has to accept; starts on what is on the truck */}
+          <div className="flex gap-1 overflow-x-auto pb-2 scrollbar-hide">
+            {['all', ...Object.values(WASTE_CATEGORIES)].map(category => (
+              <button
+                key={category}
+                onClick={() => setWasteFilter(category)}
+                className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap transition-colors ${
+                  wasteFilter === category
+                    ? 'bg-blue-500 text-white'
+                    : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                {category === 'all' ? 'Any waste' : WASTE_CATEGORY_LABELS[category]}
+                {category === carriedCategory && ' (on truck)'}
+              </button>
+            ))}
+          </div>
           <div className="flex gap-1 overflow-x-auto pb-2 scrollbar-hide">
             {filterOptions.map(option => (
               <button
@@ -451,6 +413,12 @@ const DisposalModal = ({
           <p className="text-sm text-gray-500 mb-3">
             {filteredCenters.length} sites found • Select a site to dispose waste
           </p>
+          {filteredCenters.length === 0 && facilities.length > 0 && wasteFilter !== 'all' && (
+            <p className="text-sm text-amber-700 bg-amber-50 rounded-md p-2 mb-3">
+              No site in the directory takes {WASTE_CATEGORY_LABELS[wasteFilter].toLowerCase()} waste.
+              Try &quot;Any waste&quot; and call ahead.
+            </p>
+          )}
           
           {/* Dumping Sites List */}
           <div className="space-y-3">
@@ -462,7 +430,7 @@ const DisposalModal = ({
                   selectedSite?.id === site.id 
                     ? 'border-green-500 bg-green-50' 
                     : 'border-gray-200 hover:border-gray-300'
-                }`}
+                } ${site.availability?.canDispose === false ? 'opacity-60' : ''}`}
               >
                 <div className="flex justify-between items-start">
                   <div className="flex-1 min-w-0">
@@ -484,7 +452,16 @@ const DisposalModal = ({
                          site.center_type === 'compost_plant' ? 'Compost' :
                          site.center_type === 'container' ? 'Container' : 'Center'}
                       </span>
+                      {/* Open / busy / full / closed right now */}
+                      {site.availability && (
+                        <span className={`text-xs px-1.5 py-0.5 rounded-full font-medium ${availabilityStyles[site.availability.state]}`}>
+                          {site.availability.label}
+                        </span>
+                      )}
                     </div>
+                    {site.status_note && site.availability?.state !== FACILITY_AVAILABILITY.OPEN && (
+                      <p className="text-xs text-red-600 truncate" title={site.status_note}>{site.status_note}</p>
+                    )}
                     <p className="text-sm text-gray-600 truncate">{site.address}</p>
                     {/* Region & District */}
                     {site.region && (
@@ -587,7 +564,7 @@ const DisposalModal = ({
                     <div>
                       <strong>{site.name}</strong><br />
                       {site.address}<br />
-                      <span className="text-xs">{site.openHours}</span>
+                      <span className="text-xs">{site.availability?.label || site.openHours}</span>
                     </div>
                   </Popup>
                 </Marker>
@@ -706,16 +683,17 @@ const DisposalModal = ({
           
           <button
             onClick={handleDispose}
-            disabled={!selectedSite || isDisposing || (selectedSite && !isWithinRange)}
+            disabled={!selectedSite || isDisposing || !siteAccepting || (selectedSite && !isWithinRange)}
             className={`px-4 py-2 rounded-md text-white transition-colors ${
               !selectedSite || isDisposing
                 ? 'bg-gray-400 cursor-not-allowed'
-                : selectedSite && !isWithinRange
+                : !siteAccepting || (selectedSite && !isWithinRange)
                   ? 'bg-red-400 cursor-not-allowed'
                   : 'bg-green-500 hover:bg-green-600'
             }`}
           >
             {isDisposing ? 'Confirming...' : 
+              !siteAccepting ? 'Site Not Accepting' :
               (selectedSite && !isWithinRange) ? 
                 'Too Far From Site' : 'Confirm Disposal'}
           </button>
@@ -0,0 +1,216 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useOffline } from '../contexts/OfflineContext';
+import { pickupLifecycle } from '../services/pickupLifecycleService';
+import { closeDisposalTrip, listLoadedJobs, openDisposalTrip } from '../services/disposalTripService';
+import { describeLoad, mergeLoadedJobs, tripJobKey } from '../utils/disposalTrip';
+import { logger } from '../utils/logger';
+import WeighbridgeTicketModal from './WeighbridgeTicketModal';
+
+const JOB_TYPE_LABELS = {
+  pickup_request: 'Pickup',
+  digital_bin: 'Digital bin',
+  assignment: 'Dumping site'
+};
+
+/**
+ * Disposal trip at a site: everything in the vehicle, tipped in one go, with one
+ * receipt for the load and the weighbridge ticket after it.
+ *
+ * The load is read from the server and topped up with what the page already has, so
+ * the list is still there offline; a trip completed offline is queued and sent once
+ * anything still queued for its jobs has gone.
+ *
+ * @param {Object} props
+ * @param {Object} props.site - Disposal site the driver is at ({ id, name, address })
+ * @param {Object|null} [props.location] - Fix where the site's geofence was entered
+ * @param {string} props.collectorId
+ * @param {Array<Object>} [props.localJobs] - The page's own list ({ jobType, jobId, label, loadUnits })
+ * @param {Function} props.onClose
+ * @param {Function} [props.onCompleted] - Called with { receipt, queued, jobs } once the trip is done
+ */
+const DisposalTripModal = ({ site, location = null, collectorId, localJobs = [], onClose, onCompleted }) => {
+  const { online } = useOffline();
+  const [trip, setTrip] = useState(null);
+  const [loadedJobs, setLoadedJobs] = useState([]);
+  const [opening, setOpening] = useState(true);
+  const [listing, setListing] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [weighbridgeOpen, setWeighbridgeOpen] = useState(false);
+
+  // Opened once per site; what's in the vehicle is loaded separately, and again on reconnecting
+  useEffect(() => {
+    let cancelled = false;
+
+    openDisposalTrip(site, location)
+      .then(openTrip => {
+        if (!cancelled) setTrip(openTrip);
+      })
+      .catch(openError => logger.error('Error opening disposal trip:', openError))
+      .finally(() => {
+        if (!cancelled) setOpening(false);
+      });
+    return () => { cancelled = true; };
+  }, [site, location]);
+
+  useEffect(() => {
+    // Offline, the page's own list is all there is
+    if (!online || !collectorId) {
+      setListing(false);
+      return undefined;
+    }
+    let cancelled = false;
+
+    setListing(true);
+    listLoadedJobs(collectorId)
+      .then(loaded => {
+        if (!cancelled && loaded.success) setLoadedJobs(loaded.jobs);
+      })
+      .finally(() => {
+        if (!cancelled) setListing(false);
+      });
+    return () => { cancelled = true; };
+  }, [online, collectorId]);
+
+  const loading = opening || listing;
+  const jobs = useMemo(() => mergeLoadedJobs(loadedJobs, localJobs), [loadedJobs, localJobs]);
+
+  const handleDispose = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const outcome = await pickupLifecycle.disposeTrip({ trip, jobs, collectorId });
+      if (!outcome.success) {
+        setError(outcome.error || 'Could not complete the disposal trip. Please try again.');
+        return;
+      }
+      // Queued or done, this trip is spoken for; the next load opens a new one
+      await closeDisposalTrip(trip.id);
+
+      // Jobs left off (e.g. a bin whose payment hasn't cleared) are still in the vehicle
+      const leftOff = new Set((outcome.receipt?.leftOff || []).map(tripJobKey));
+      const disposedJobs = jobs.filter(job => !leftOff.has(tripJobKey(job)));
+      setResult({ receipt: outcome.receipt, queued: outcome.queued, jobs: disposedJobs, leftOff: leftOff.size });
+      onCompleted?.({ receipt: outcome.receipt, queued: outcome.queued, jobs: disposedJobs });
+    } catch (disposeError) {
+      logger.error('Error completing disposal trip:', disposeError);
+      setError('Could not complete the disposal trip. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (weighbridgeOpen) {
+    return (
+      <WeighbridgeTicketModal
+        site={site}
+        jobs={result.jobs}
+        collectorId={collectorId}
+        onClose={onClose}
+      />
+    );
+  }
+
+  const receipt = result?.receipt;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4" style={{ paddingTop: '4rem', paddingBottom: '5rem' }}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
+          <div>
+            <h2 className="text-lg font-bold">{result ? 'Disposal receipt' : 'Disposal trip'}</h2>
+            {site?.name && <p className="text-xs text-gray-500">{site.name}</p>}
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">✕</button>
+        </div>
+
+        {!result && (
+          <div className="p-4 space-y-3">
+            {loading ? (
+              <p className="text-sm text-gray-500">Checking what's in the vehicle...</p>
+            ) : jobs.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing in the vehicle is waiting to be disposed.</p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-700">
+                  You are at {site?.name || 'the disposal site'} with {describeLoad(jobs)}. Everything below is disposed together.
+                </p>
+                {!online && (
+                  <p className="text-xs text-amber-700">You're offline. The trip will be sent when you're back online.</p>
+                )}
+                <div className="divide-y text-sm border rounded-md">
+                  {jobs.map(job => (
+                    <div key={tripJobKey(job)} className="flex justify-between px-3 py-2">
+                      <span className="truncate mr-2">{job.label || JOB_TYPE_LABELS[job.jobType]}</span>
+                      <span className="text-gray-500 whitespace-nowrap">{JOB_TYPE_LABELS[job.jobType]}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+        )}
+
+        {result && (
+          <div className="p-4 space-y-3 text-sm">
+            {receipt ? (
+              <>
+                <div className="bg-gray-50 rounded-lg p-3 space-y-1">
+                  <div className="flex justify-between"><span className="text-gray-500">Receipt</span><span className="font-mono">{receipt.receiptNumber}</span></div>
+                  <div className="flex justify-between"><span className="text-gray-500">Jobs disposed</span><span>{receipt.jobCount}</span></div>
+                  <div className="flex justify-between font-semibold"><span>Earnings released</span><span>₵{receipt.collectorPayout.toFixed(2)}</span></div>
+                </div>
+                <p className="text-gray-600">These earnings can now be withdrawn.</p>
+              </>
+            ) : (
+              <p className="text-gray-700">
+                Disposal of {describeLoad(result.jobs)} saved offline. Your receipt will be ready once it syncs.
+              </p>
+            )}
+            {result.leftOff > 0 && (
+              <p className="text-amber-700">
+                {result.leftOff} item{result.leftOff === 1 ? ' was' : 's were'} left off the trip until payment is confirmed.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="p-4 border-t border-gray-200 flex gap-2">
+          {!result ? (
+            <>
+              <button type="button" onClick={onClose} className="flex-1 py-2 px-4 border border-gray-300 rounded-md text-gray-700">
+                Not now
+              </button>
+              <button
+                type="button"
+                onClick={handleDispose}
+                disabled={loading || submitting || !trip || jobs.length === 0}
+                className="flex-1 py-2 px-4 bg-green-600 text-white rounded-md disabled:opacity-50"
+              >
+                {submitting ? 'Disposing...' : `Dispose ${jobs.length} item${jobs.length === 1 ? '' : 's'}`}
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" onClick={onClose} className="flex-1 py-2 px-4 border border-gray-300 rounded-md text-gray-700">
+                Done
+              </button>
+              <button
+                type="button"
+                onClick={() => setWeighbridgeOpen(true)}
+                disabled={result.jobs.length === 0}
+                className="flex-1 py-2 px-4 bg-green-600 text-white rounded-md disabled:opacity-50"
+              >
+                Weighbridge ticket
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DisposalTripModal;
@@ -0,0 +1,175 @@
+import { useEffect, useState } from 'react';
+import { DISPUTE_REASONS, DISPUTE_STATUS, getDisputablePayment, raiseDispute, refundableAmount } from '../services/disputeService';
+
+const STATUS_LABELS = {
+  [DISPUTE_STATUS.OPEN]: { text: 'Under review', className: 'bg-amber-100 text-amber-800' },
+  [DISPUTE_STATUS.REJECTED]: { text: 'Rejected', className: 'bg-gray-100 text-gray-700' },
+  [DISPUTE_STATUS.REFUNDING]: { text: 'Refund sending', className: 'bg-blue-100 text-blue-800' },
+  [DISPUTE_STATUS.REFUNDED]: { text: 'Refunded', className: 'bg-green-100 text-green-800' },
+  [DISPUTE_STATUS.REFUND_FAILED]: { text: 'Refund failed', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Raise a dispute on a digital bin's payment and see how earlier ones went
+ *
+ * @param {Object} props
+ * @param {string} props.digitalBinId
+ * @param {Function} props.onClose
+ * @param {Function} [props.onRaised] - Called with the new dispute
+ */
+const DisputeModal = ({ digitalBinId, onClose, onRaised }) => {
+  const [payment, setPayment] = useState(undefined);
+  const [loadError, setLoadError] = useState(null);
+  const [form, setForm] = useState({ reason: '', requestedAmount: '', details: '' });
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [raised, setRaised] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getDisputablePayment(digitalBinId).then(result => {
+      if (cancelled) return;
+      if (!result.success) {
+        setLoadError(result.error);
+        return;
+      }
+      setPayment(result.data);
+    });
+    return () => { cancelled = true; };
+  }, [digitalBinId]);
+
+  const update = (field) => (event) => setForm(current => ({ ...current, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    const result = await raiseDispute(payment, form);
+    setSubmitting(false);
+
+    if (!result.success) {
+      setErrors(result.errors || { form: result.error });
+      return;
+    }
+    setRaised(result.dispute);
+    onRaised?.(result.dispute);
+  };
+
+  const refundable = payment ? refundableAmount(payment, payment.disputes) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4" style={{ paddingTop: '4rem', paddingBottom: '5rem' }}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-lg font-bold">Dispute payment</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">✕</button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {loadError && <p className="text-sm text-red-600">{loadError}</p>}
+          {payment === undefined && !loadError && <p className="text-sm text-gray-500">Loading payment...</p>}
+          {payment === null && <p className="text-sm text-gray-600">This bin has no completed customer payment to dispute.</p>}
+
+          {payment && (
+            <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Paid</span>
+                <span className="font-semibold">₵{parseFloat(payment.total_bill).toFixed(2)} ({payment.payment_mode})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Bags scanned</span>
+                <span className="font-semibold">{payment.scanned_bag_ids?.length || payment.bags_collected}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Date</span>
+                <span>{new Date(payment.created_at).toLocaleString()}</span>
+              </div>
+              {(payment.disputes || []).map(dispute => (
+                <div key={dispute.id} className="flex justify-between items-center pt-1 border-t">
+                  <span className="text-gray-600">
+                    Dispute · ₵{parseFloat(dispute.refund_amount || dispute.requested_amount).toFixed(2)}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_LABELS[dispute.status]?.className}`}>
+                    {STATUS_LABELS[dispute.status]?.text || dispute.status}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {raised && (
+            <p className="text-sm text-green-700">
+              Dispute sent. Support will review it; if a refund is approved it goes to the customer&apos;s MoMo wallet and your earnings are adjusted.
+            </p>
+          )}
+
+          {payment && !raised && (
+            <form onSubmit={handleSubmit} className="space-y-3">
+              <div>
+                <select
+                  className="w-full border rounded-lg px-3 py-2 text-sm"
+                  value={form.reason}
+                  onChange={update('reason')}
+                  aria-label="Reason"
+                >
+                  <option value="">What went wrong?</option>
+                  {DISPUTE_REASONS.map(reason => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </select>
+                {errors.reason && <p className="text-xs text-red-600 mt-1">{errors.reason}</p>}
+              </div>
+
+              <div>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  max={refundable}
+                  className="w-full border rounded-lg px-3 py-2 text-sm"
+                  placeholder={`Amount to refund (up to ₵${refundable.toFixed(2)})`}
+                  value={form.requestedAmount}
+                  onChange={update('requestedAmount')}
+                  aria-label="Amount to refund"
+                />
+                {errors.requestedAmount && <p className="text-xs text-red-600 mt-1">{errors.requestedAmount}</p>}
+              </div>
+
+              <div>
+                <p className="text-sm text-gray-600">
+                  Any refund goes back to the customer&apos;s MoMo wallet
+                  {payment.client_momo ? ` ending ${payment.client_momo.slice(-4)}` : ''}.
+                </p>
+                {errors.refundMomo && <p className="text-xs text-red-600 mt-1">{errors.refundMomo}</p>}
+              </div>
+
+              <div>
+                <textarea
+                  className="w-full border rounded-lg px-3 py-2 text-sm"
+                  rows={3}
+                  placeholder="Details for support"
+                  value={form.details}
+                  onChange={update('details')}
+                />
+                {errors.details && <p className="text-xs text-red-600 mt-1">{errors.details}</p>}
+              </div>
+
+              {(errors.payment || errors.form) && (
+                <p className="text-sm text-red-600">{errors.payment || errors.form}</p>
+              )}
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full py-2 rounded-lg bg-primary text-white font-semibold disabled:opacity-50"
+              >
+                {submitting ? 'Sending...' : 'Send to support'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DisputeModal;
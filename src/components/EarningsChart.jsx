@@ -0,0 +1,163 @@
+import { useEffect, useState } from 'react';
+import { EARNINGS_GRANULARITY, SERIES_CATEGORIES, getEarningsSeries } from '../services/earningsSeriesService';
+
+const PREVIOUS_LABELS = { day: 'previous 14 days', week: 'previous 12 weeks', month: 'previous 12 months' };
+
+const formatChange = (change) => {
+  if (change === null || change === undefined) return null;
+  const percent = Math.round(change * 100);
+  return {
+    text: `${percent > 0 ? '▲' : percent < 0 ? '▼' : ''} ${Math.abs(percent)}%`.trim(),
+    className: percent > 0 ? 'text-green-600' : percent < 0 ? 'text-red-600' : 'text-gray-500'
+  };
+};
+
+const StatTile = ({ label, value, change }) => {
+  const formatted = formatChange(change);
+  return (
+    <div className="bg-gray-50 rounded-lg p-2 text-center">
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="font-bold">{value}</p>
+      {formatted && <p className={`text-xs ${formatted.className}`}>{formatted.text}</p>}
+    </div>
+  );
+};
+
+/**
+ * Stacked earnings bars by day, week or month with per-hour and per-km rates
+ * against the previous period
+ *
+ * @param {Object} props
+ * @param {string} props.collectorId
+ */
+const EarningsChart = ({ collectorId }) => {
+  const [granularity, setGranularity] = useState('day');
+  const [series, setSeries] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    if (!collectorId) return;
+    let cancelled = false;
+    setSeries(null);
+    setError(null);
+    setSelected(null);
+    getEarningsSeries(collectorId, granularity).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setSeries(result.data);
+      } else {
+        setError(result.error);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [collectorId, granularity]);
+
+  const buckets = series?.buckets || [];
+  const maxValue = Math.max(0, ...buckets.map(bucket =>
+    SERIES_CATEGORIES.reduce((sum, category) => sum + Math.max(0, bucket[category.key]), 0)));
+  const detail = selected !== null ? buckets[selected] : null;
+
+  return (
+    <div className="card mt-4 mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <span className="font-bold">Earnings</span>
+        <div className="flex">
+          {Object.entries(EARNINGS_GRANULARITY).map(([key, option], index, all) => (
+            <button
+              key={key}
+              type="button"
+              className={`px-3 py-1 text-xs ${index === 0 ? 'rounded-l-md' : ''} ${index === all.length - 1 ? 'rounded-r-md' : ''} ${granularity === key ? 'bg-primary text-white' : 'bg-gray-100 text-gray-700'}`}
+              onClick={() => setGranularity(key)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 text-center py-8">Couldn&apos;t load earnings: {error}</p>}
+      {!error && !series && <p className="text-sm text-gray-500 text-center py-8">Loading earnings...</p>}
+
+      {!error && series && (
+        <>
+          {maxValue === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">No earnings in this period</p>
+          ) : (
+            <div className="flex items-end h-32 space-x-1">
+              {buckets.map((bucket, index) => (
+                <button
+                  key={bucket.start.toISOString()}
+                  type="button"
+                  className={`flex-1 h-full flex flex-col justify-end items-stretch ${selected === index ? 'opacity-100' : selected !== null ? 'opacity-60' : ''}`}
+                  onClick={() => setSelected(selected === index ? null : index)}
+                  aria-label={`${bucket.label}: ₵${bucket.total.toFixed(2)}`}
+                >
+                  {[...SERIES_CATEGORIES].reverse().map(category => bucket[category.key] > 0 && (
+                    <div
+                      key={category.key}
+                      style={{ height: `${(bucket[category.key] / maxValue) * 100}%`, backgroundColor: category.color }}
+                    />
+                  ))}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex space-x-1 mt-1">
+            {buckets.map((bucket, index) => (
+              <span key={bucket.start.toISOString()} className="flex-1 text-center text-[10px] text-gray-500">
+                {buckets.length <= 14 || index % 2 === 0 ? bucket.label : ''}
+              </span>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-3 mt-2">
+            {SERIES_CATEGORIES.map(category => (
+              <span key={category.key} className="flex items-center text-xs text-gray-600">
+                <span className="inline-block w-2.5 h-2.5 rounded-sm mr-1" style={{ backgroundColor: category.color }} />
+                {category.label}
+              </span>
+            ))}
+          </div>
+
+          {detail && (
+            <div className="bg-gray-50 rounded-lg p-2 mt-3 text-sm space-y-1">
+              <div className="flex justify-between font-semibold">
+                <span>{detail.start.toLocaleDateString(undefined, { timeZone: 'UTC', day: 'numeric', month: 'short', year: 'numeric' })}</span>
+                <span>₵{detail.total.toFixed(2)}</span>
+              </div>
+              {SERIES_CATEGORIES.map(category => (
+                <div key={category.key} className="flex justify-between text-gray-600">
+                  <span>{category.label}</span>
+                  <span>₵{detail[category.key].toFixed(2)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between text-gray-600">
+                <span>{detail.jobs} jobs · {detail.hoursOnline.toFixed(1)} h online · {detail.kmDriven.toFixed(1)} km</span>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-2 mt-3">
+            <StatTile label="Total" value={`₵${series.totals.total.toFixed(2)}`} change={series.change.total} />
+            <StatTile
+              label="Per hour online"
+              value={series.totals.perHour !== null ? `₵${series.totals.perHour.toFixed(2)}` : '—'}
+              change={series.change.perHour}
+            />
+            <StatTile
+              label="Per km driven"
+              value={series.totals.perKm !== null ? `₵${series.totals.perKm.toFixed(2)}` : '—'}
+              change={series.change.perKm}
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-1 text-center">
+            vs {PREVIOUS_LABELS[granularity]}: ₵{series.previous.total.toFixed(2)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EarningsChart;
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { downloadEarningsStatement, validateStatementPeriod } from '../services/earningsStatementService';
+import { logger } from '../utils/logger';
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Quick picks: the usual asks are last month, a tax year and "the last 6 months" for loans
+const presets = (today = new Date()) => {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  return [
+    { label: 'Last month', start: isoDate(new Date(Date.UTC(year, month - 1, 1))), end: isoDate(new Date(Date.UTC(year, month, 0))) },
+    { label: 'Last 6 months', start: isoDate(new Date(Date.UTC(year, month - 6, today.getUTCDate()))), end: isoDate(today) },
+    { label: 'This year', start: `${year}-01-01`, end: isoDate(today) },
+    { label: 'Last year', start: `${year - 1}-01-01`, end: `${year - 1}-12-31` }
+  ];
+};
+
+/**
+ * Proof-of-income export: pick a period, download a CSV or PDF statement with a
+ * verification code
+ *
+ * @param {Object} props
+ * @param {string} props.collectorId
+ */
+const EarningsStatementCard = ({ collectorId }) => {
+  const [period, setPeriod] = useState(() => {
+    const { start, end } = presets()[0];
+    return { start, end };
+  });
+  const [downloading, setDownloading] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleDownload = async (format) => {
+    const invalid = validateStatementPeriod(period.start, period.end);
+    if (invalid) {
+      setMessage({ type: 'error', text: invalid });
+      return;
+    }
+
+    setDownloading(format);
+    setMessage(null);
+    const result = await downloadEarningsStatement(collectorId, period.start, period.end, format);
+    setDownloading(null);
+
+    if (!result.success) {
+      logger.error('Earnings statement download failed:', result.error);
+      setMessage({ type: 'error', text: 'Could not build the statement. Please try again.' });
+      return;
+    }
+    setMessage({
+      type: 'success',
+      text: `Statement downloaded. Verification code ${result.verificationCode} lets a bank or tax office check it with TrashDrop.`
+    });
+  };
+
+  return (
+    <div className="card mt-4">
+      <h3 className="font-bold text-lg mb-1">Earnings Statement</h3>
+      <p className="text-sm text-gray-500 mb-3">Proof of income for tax returns and loan applications.</p>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {presets().map(preset => (
+          <button
+            key={preset.label}
+            type="button"
+            onClick={() => setPeriod({ start: preset.start, end: preset.end })}
+            className={`px-3 py-1 rounded-full text-xs border ${period.start === preset.start && period.end === preset.end ? 'bg-primary text-white border-primary' : 'text-gray-700'}`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <label className="text-xs text-gray-600">
+          From
+          <input
+            type="date"
+            className="w-full border rounded-lg px-2 py-1 text-sm mt-1"
+            value={period.start}
+            max={period.end}
+            onChange={(e) => setPeriod(current => ({ ...current, start: e.target.value }))}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          To
+          <input
+            type="date"
+            className="w-full border rounded-lg px-2 py-1 text-sm mt-1"
+            value={period.end}
+            min={period.start}
+            onChange={(e) => setPeriod(current => ({ ...current, end: e.target.value }))}
+          />
+        </label>
+      </div>
+
+      <div className="flex gap-2">
+        {['pdf', 'csv'].map(format => (
+          <button
+            key={format}
+            type="button"
+            disabled={downloading !== null}
+            onClick={() => handleDownload(format)}
+            className="flex-1 py-2 rounded-lg border font-semibold text-sm disabled:opacity-50"
+          >
+            {downloading === format ? 'Preparing...' : `Download ${format.toUpperCase()}`}
+          </button>
+        ))}
+      </div>
+
+      {message && (
+        <p className={`text-sm mt-3 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default EarningsStatementCard;
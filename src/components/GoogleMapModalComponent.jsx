@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { logger } from '../utils/logger';
+import { getRoutingProvider, ROUTING_PROVIDERS } from '../services/routing';
 
 // Google Maps configuration
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
@@ -197,8 +198,8 @@ const GoogleMapModalComponent = ({
   const mapInstanceRef = useRef(null);
   const userMarkerRef = useRef(null);
   const destinationMarkerRef = useRef(null);
-  const directionsServiceRef = useRef(null);
   const directionsRendererRef = useRef(null);
+  const routeLineRef = useRef(null); // Route from a provider other than Google, drawn as a polyline
   const [isLoading, setIsLoading] = useState(true);
   const [isCalculatingRoute, setIsCalculatingRoute] = useState(false);
   const [loadingPhase, setLoadingPhase] = useState('Initializing map...');
@@ -272,7 +273,6 @@ const GoogleMapModalComponent = ({
       
       // Store references
       mapInstanceRef.current = map;
-      directionsServiceRef.current = new maps.DirectionsService();
       directionsRendererRef.current = new maps.DirectionsRenderer({
         suppressMarkers: true, // We'll add custom markers
         polylineOptions: {
@@ -458,26 +458,38 @@ const GoogleMapModalComponent = ({
       });
     }
 
-    // Calculate and display route
-    if (directionsServiceRef.current && directionsRendererRef.current) {
-      const request = {
-        origin: { lat: normalizedUserLocation[0], lng: normalizedUserLocation[1] },
-        destination: { lat: normalizedDestination[0], lng: normalizedDestination[1] },
-        travelMode: window.google.maps.TravelMode.DRIVING
-      };
-
-      directionsServiceRef.current.route(request, (result, status) => {
-        if (status === 'OK') {
-          directionsRendererRef.current.setDirections(result);
+    // Calculate and display route through the configured routing provider
+    if (directionsRendererRef.current) {
+      getRoutingProvider().route([normalizedUserLocation, normalizedDestination])
+        .then((route) => {
+          routeLineRef.current?.setMap(null);
+          routeLineRef.current = null;
+
+          // Google routes can be drawn as-is; anyone else's is drawn as a line
+          if (route.provider === ROUTING_PROVIDERS.GOOGLE) {
+            directionsRendererRef.current.setDirections(route.raw);
+          } else {
+            directionsRendererRef.current.setDirections({ routes: [] });
+            routeLineRef.current = new window.google.maps.Polyline({
+              path: route.geometry,
+              strokeColor: '#1d4ed8',
+              strokeOpacity: 0.8,
+              strokeWeight: 4,
+              map: mapInstanceRef.current
+            });
+          }
           setIsCalculatingRoute(false);
           // Only log successful route calculation occasionally to reduce console spam
           if (Math.random() < 0.05) { // 5% chance
-            logger.debug('✅ Route calculated successfully');
+            logger.debug(`✅ Route calculated successfully via ${route.provider}`);
           }
-        } else {
-          logger.warn('⚠️ Directions request failed due to', status, '- showing markers only');
+        })
+        .catch((error) => {
+          logger.warn('⚠️ Directions request failed due to', error.message, '- showing markers only');
           setIsCalculatingRoute(false);
           // Clear any existing route
+          routeLineRef.current?.setMap(null);
+          routeLineRef.current = null;
           if (directionsRendererRef.current) {
             directionsRendererRef.current.setDirections({ routes: [] });
           }
@@ -486,8 +498,7 @@ const GoogleMapModalComponent = ({
           bounds.extend({ lat: normalizedUserLocation[0], lng: normalizedUserLocation[1] });
           bounds.extend({ lat: normalizedDestination[0], lng: normalizedDestination[1] });
           mapInstanceRef.current.fitBounds(bounds, { padding: 80 });
-        }
-      });
+        });
     }
   }, [userLocation, destination]);
 
@@ -503,6 +514,7 @@ const GoogleMapModalComponent = ({
       if (directionsRendererRef.current) {
         directionsRendererRef.current.setMap(null);
       }
+      routeLineRef.current?.setMap(null);
     };
   }, []);
 
@@ -2,6 +2,9 @@ import { useEffect, useRef, useState } from 'react';
 import { logger } from '../utils/logger';
 import { audioAlertService } from '../services/audioAlertService';
 import { offlineMapService } from '../services/offlineMapService';
+import { reroute, toNavigationSteps } from '../services/rerouteService';
+import { ROUTING_PROVIDERS, getRoutingProvider } from '../services/routing';
+import { ROUTE_STATUS, createOffRouteDetector, locateOnPolyline } from '../utils/offRouteDetection';
 import OfflineNavigationMap from './OfflineNavigationMap';
 
 // Google Maps API Key from environment variables
@@ -461,127 +464,103 @@ const GoogleMapsNavigation = ({
 
   // --- Road snapping & dynamic rerouting state ---
   const routePolylineRef = useRef(null);       // Stores the decoded polyline path [{lat, lng}, ...]
-  const lastRerouteTimeRef = useRef(0);        // Debounce rerouting (min 10s between re-routes)
   const isReroutingRef = useRef(false);        // Prevents concurrent reroute requests
-  const REROUTE_DISTANCE_THRESHOLD = 20;       // meters off-route before triggering reroute
-  const REROUTE_COOLDOWN_MS = 10000;           // minimum ms between reroute requests
+  const offRouteDetectorRef = useRef(null);    // Hysteresis, heading check and cooldown (utils/offRouteDetection)
+  const routeLineRef = useRef(null); // Route drawn as a polyline when there is no DirectionsResult to render
+  const SNAP_DISTANCE_THRESHOLD = 20;          // meters from the route within which the marker is snapped to it
+  if (!offRouteDetectorRef.current) {
+    offRouteDetectorRef.current = createOffRouteDetector();
+  }
 
-  // Find the closest point on the route polyline to a given GPS position.
-  // Returns { point: {lat, lng}, distance: number (meters), segmentIndex: number }
-  const snapToPolyline = (userLat, userLng) => {
+  // Snap a GPS fix to the route for display, and reroute when the detector says the
+  // driver has really left it. Returns where to draw the marker and the distance from the route.
+  const checkRoutePosition = (fix, { detect = true } = {}) => {
+    const raw = { lat: fix.lat, lng: fix.lng };
     const path = routePolylineRef.current;
-    if (!path || path.length < 2 || !window.google?.maps?.geometry) return null;
-
-    const userLatLng = new window.google.maps.LatLng(userLat, userLng);
-    let minDist = Infinity;
-    let closestPoint = null;
-    let closestSegment = 0;
-
-    for (let i = 0; i < path.length - 1; i++) {
-      const a = new window.google.maps.LatLng(path[i].lat, path[i].lng);
-      const b = new window.google.maps.LatLng(path[i + 1].lat, path[i + 1].lng);
-
-      // Project userLatLng onto segment a-b
-      const projected = projectPointOnSegment(userLatLng, a, b);
-      const dist = window.google.maps.geometry.spherical.computeDistanceBetween(userLatLng, projected);
-
-      if (dist < minDist) {
-        minDist = dist;
-        closestPoint = { lat: projected.lat(), lng: projected.lng() };
-        closestSegment = i;
+    if (!path || path.length < 2) return { position: raw, distance: 0 };
+
+    if (detect) {
+      const check = offRouteDetectorRef.current.update(fix, path);
+      if (check.status === ROUTE_STATUS.OFF_ROUTE) {
+        if (check.shouldReroute) {
+          logger.info(`⚠️ Off-route by ${check.distance.toFixed(0)}m${check.wrongWay ? ' (wrong way)' : ''} — requesting reroute`);
+          triggerReroute(fix.lat, fix.lng);
+        }
+        return { position: raw, distance: check.distance };
       }
     }
 
-    return { point: closestPoint, distance: minDist, segmentIndex: closestSegment };
+    const located = locateOnPolyline(fix, path);
+    if (!located) return { position: raw, distance: 0 };
+    return {
+      position: located.distance <= SNAP_DISTANCE_THRESHOLD ? located.point : raw,
+      distance: located.distance
+    };
   };
 
-  // Project a point onto a line segment (returns the closest LatLng on segment a-b)
-  const projectPointOnSegment = (p, a, b) => {
-    const geometry = window.google.maps.geometry.spherical;
-    const headingAB = geometry.computeHeading(a, b);
-    const headingAP = geometry.computeHeading(a, p);
-    const distAB = geometry.computeDistanceBetween(a, b);
-    const distAP = geometry.computeDistanceBetween(a, p);
-
-    // Projection scalar along segment a-b
-    const angle = (headingAP - headingAB) * Math.PI / 180;
-    let projectedDist = distAP * Math.cos(angle);
-
-    // Clamp to segment bounds
-    projectedDist = Math.max(0, Math.min(distAB, projectedDist));
-
-    return geometry.computeOffset(a, projectedDist, headingAB);
+  // Draw a RouteResult from the routing provider: Google's through the DirectionsRenderer,
+  // anyone else's (or a route from the offline cache) as a plain polyline
+  const showRoute = (route) => {
+    routePolylineRef.current = route.geometry;
+    const steps = toNavigationSteps(route);
+    setNavigationSteps(steps);
+    setCurrentStepIndex(0);
+
+    if (!mapInstanceRef.current || !window.google?.maps) return steps;
+    routeLineRef.current?.setMap(null);
+    routeLineRef.current = null;
+
+    if (route.provider === ROUTING_PROVIDERS.GOOGLE && route.raw && directionsRendererRef.current) {
+      directionsRendererRef.current.setMap(mapInstanceRef.current);
+      directionsRendererRef.current.setDirections(route.raw);
+
+      // Re-apply track-up camera after setDirections resets tilt/heading
+      if (isTrackUpRef.current && window.google.maps.event) {
+        window.google.maps.event.addListenerOnce(mapInstanceRef.current, 'idle', () => {
+          if (isTrackUpRef.current) {
+            mapInstanceRef.current.setTilt(45);
+            mapInstanceRef.current.setHeading(currentHeading);
+            if (mapInstanceRef.current.getZoom() < 18) mapInstanceRef.current.setZoom(18);
+          }
+        });
+      }
+    } else {
+      directionsRendererRef.current?.setMap(null);
+      routeLineRef.current = new window.google.maps.Polyline({
+        path: route.geometry,
+        strokeColor: '#4285F4',
+        strokeOpacity: 0.8,
+        strokeWeight: 6,
+        map: mapInstanceRef.current
+      });
+    }
+    return steps;
   };
 
   // Trigger a dynamic reroute from the user's current position to the destination
+  // (cooldown and hysteresis live in the off-route detector)
   const triggerReroute = (fromLat, fromLng) => {
-    const now = Date.now();
     if (isReroutingRef.current) return;
-    if (now - lastRerouteTimeRef.current < REROUTE_COOLDOWN_MS) return;
-
-    isReroutingRef.current = true;
-    lastRerouteTimeRef.current = now;
 
     const destLat = Array.isArray(destination) ? destination[0] : destination?.lat;
     const destLng = Array.isArray(destination) ? destination[1] : destination?.lng;
-    if (!destLat || !destLng) { isReroutingRef.current = false; return; }
+    if (!destLat || !destLng) return;
 
+    isReroutingRef.current = true;
     logger.info(`🔄 Rerouting from (${fromLat.toFixed(5)}, ${fromLng.toFixed(5)}) — driver is off-route`);
 
-    const directionsService = new window.google.maps.DirectionsService();
-    directionsService.route(
-      {
-        origin: { lat: fromLat, lng: fromLng },
-        destination: { lat: destLat, lng: destLng },
-        travelMode: window.google.maps.TravelMode.DRIVING,
-      },
-      (result, status) => {
-        isReroutingRef.current = false;
-        if (status === window.google.maps.DirectionsStatus.OK && directionsRendererRef.current) {
-          directionsRendererRef.current.setDirections(result);
-
-          // Re-apply track-up camera after setDirections resets tilt/heading
-          if (isTrackUpRef.current && mapInstanceRef.current && window.google?.maps?.event) {
-            window.google.maps.event.addListenerOnce(mapInstanceRef.current, 'idle', () => {
-              if (isTrackUpRef.current) {
-                mapInstanceRef.current.setTilt(45);
-                mapInstanceRef.current.setHeading(currentHeading);
-                if (mapInstanceRef.current.getZoom() < 18) mapInstanceRef.current.setZoom(18);
-              }
-            });
-          }
-
-          // Update stored polyline path from new route
-          const overviewPath = result.routes[0]?.overview_path;
-          if (overviewPath) {
-            routePolylineRef.current = overviewPath.map(p => ({ lat: p.lat(), lng: p.lng() }));
-          }
-
-          // Update navigation steps from new route
-          const allSteps = [];
-          result.routes[0].legs.forEach((leg, legIndex) => {
-            leg.steps.forEach((step, stepIndex) => {
-              allSteps.push({
-                legIndex, stepIndex,
-                instruction: step.instructions,
-                distance: step.distance.text,
-                distanceValue: step.distance.value,
-                duration: step.duration.text,
-                maneuver: step.maneuver || 'continue',
-                startLocation: step.start_location,
-                endLocation: step.end_location
-              });
-            });
-          });
-          setNavigationSteps(allSteps);
-          setCurrentStepIndex(0);
-
-          logger.info('✅ Reroute complete — new route displayed');
-        } else {
-          logger.warn('⚠️ Reroute failed:', status);
+    // The configured routing provider, or the cached route when offline
+    reroute({ lat: fromLat, lng: fromLng }, { lat: destLat, lng: destLng })
+      .then(({ success, route, source, error }) => {
+        if (!success) {
+          logger.warn('⚠️ Reroute failed:', error);
+          return;
         }
-      }
-    );
+        showRoute(route);
+        offRouteDetectorRef.current.reset();
+        logger.info(`✅ Reroute complete (${source}) — new route displayed`);
+      })
+      .finally(() => { isReroutingRef.current = false; });
   };
 
   // Helper function to check if Google Maps API is fully loaded
@@ -930,7 +909,7 @@ const GoogleMapsNavigation = ({
         });
       }
 
-      // Initialize Directions Service and Renderer
+      // Initialize the Directions Renderer (draws Google routes)
       if (!directionsRendererRef.current) {
         directionsRendererRef.current = new window.google.maps.DirectionsRenderer({
           map: map,
@@ -943,202 +922,135 @@ const GoogleMapsNavigation = ({
         });
       }
 
-      // Calculate and display route
-      const directionsService = new window.google.maps.DirectionsService();
-      
-      // Prepare waypoints for Google Maps API
-      const formattedWaypoints = waypoints.map(wp => ({
-        location: { lat: wp.lat, lng: wp.lng },
-        stopover: true
-      }));
-      
-      const hasWaypoints = formattedWaypoints.length > 0;
-      logger.info(`🛣️ Calculating route with ${hasWaypoints ? formattedWaypoints.length + ' waypoints' : 'direct path'}...`);
-      
-      const directionsRequest = {
-        origin: { lat: userLocation.lat, lng: userLocation.lng },
-        destination: { lat: destLat, lng: destLng },
-        travelMode: window.google.maps.TravelMode.DRIVING,
-      };
-      
-      // Add waypoints if present
-      if (hasWaypoints) {
-        directionsRequest.waypoints = formattedWaypoints;
-        directionsRequest.optimizeWaypoints = false; // Use our optimized order
-      }
+      // Calculate and display route through the configured routing provider
+      const routePoints = [
+        { lat: userLocation.lat, lng: userLocation.lng },
+        ...waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng })),
+        { lat: destLat, lng: destLng }
+      ];
+      const hasWaypoints = routePoints.length > 2;
+      logger.info(`🛣️ Calculating route with ${hasWaypoints ? (routePoints.length - 2) + ' waypoints' : 'direct path'}...`);
       
       // Mark that we're calculating for this destination
       routeCalculatedForRef.current = destinationKey;
       
-      directionsService.route(
-        directionsRequest,
-        (result, status) => {
-          if (status === window.google.maps.DirectionsStatus.OK) {
-            directionsRendererRef.current.setDirections(result);
-
-            // Re-apply track-up camera after setDirections resets tilt/heading
-            if (isTrackUpRef.current && mapInstanceRef.current && window.google?.maps?.event) {
-              window.google.maps.event.addListenerOnce(mapInstanceRef.current, 'idle', () => {
-                if (isTrackUpRef.current) {
-                  mapInstanceRef.current.setTilt(45);
-                  mapInstanceRef.current.setHeading(currentHeading);
-                  if (mapInstanceRef.current.getZoom() < 18) mapInstanceRef.current.setZoom(18);
-                }
-              });
-            }
-            
-            // Extract route information
-            const route = result.routes[0];
-            
-            // Store the overview polyline path for road-snapping & off-route detection
-            if (route.overview_path) {
-              routePolylineRef.current = route.overview_path.map(p => ({ lat: p.lat(), lng: p.lng() }));
-              logger.debug(`📐 Stored route polyline with ${routePolylineRef.current.length} points for snapping`);
-            }
-            
-            // Calculate total distance and duration across all legs
-            let totalDistance = 0;
-            let totalDuration = 0;
-            let totalSteps = 0;
-            
-            // Extract all navigation steps from all legs
-            const allSteps = [];
-            route.legs.forEach((leg, legIndex) => {
-              totalDistance += leg.distance.value; // in meters
-              totalDuration += leg.duration.value; // in seconds
-              
-              leg.steps.forEach((step, stepIndex) => {
-                allSteps.push({
-                  legIndex,
-                  stepIndex,
-                  instruction: step.instructions,
-                  distance: step.distance.text,
-                  distanceValue: step.distance.value,
-                  duration: step.duration.text,
-                  maneuver: step.maneuver || 'continue',
-                  startLocation: step.start_location,
-                  endLocation: step.end_location
-                });
-              });
-              
-              totalSteps += leg.steps.length;
-            });
-            
-            // Store navigation steps for turn-by-turn
-            setNavigationSteps(allSteps);
-            
-            const routeInfo = {
-              distance: `${(totalDistance / 1000).toFixed(1)} km`,
-              duration: `${Math.round(totalDuration / 60)} min`,
-              steps: totalSteps,
-              legs: route.legs.length
+      getRoutingProvider().route(routePoints)
+        .then((route) => {
+          // Stores the road geometry for road-snapping & off-route detection
+          const allSteps = showRoute(route);
+          logger.debug(`📐 Stored route polyline with ${route.geometry.length} points for snapping`);
+          
+          const routeInfo = {
+            distance: `${(route.distanceMeters / 1000).toFixed(1)} km`,
+            duration: `${Math.round(route.durationSeconds / 60)} min`,
+            steps: allSteps.length,
+            legs: route.legs.length
+          };
+          
+          // Cache route data for offline use
+          try {
+            const offlineRouteData = {
+              steps: allSteps,
+              routeInfo,
+              timestamp: Date.now(),
+              expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
             };
-            
-            // Cache route data for offline use
-            try {
-              const offlineRouteData = {
-                steps: allSteps,
-                routeInfo,
-                timestamp: Date.now(),
-                expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
-              };
-              localStorage.setItem('cachedNavigationRoute', JSON.stringify(offlineRouteData));
-              logger.info('💾 Route cached for offline navigation');
-            } catch (error) {
-              logger.warn('Failed to cache route:', error);
+            localStorage.setItem('cachedNavigationRoute', JSON.stringify(offlineRouteData));
+            logger.info('💾 Route cached for offline navigation');
+          } catch (error) {
+            logger.warn('Failed to cache route:', error);
+          }
+          
+          logger.info(`✅ Route calculated successfully via ${route.provider}:`, routeInfo);
+          logger.info(`📍 Extracted ${allSteps.length} navigation steps`);
+          
+          // --- Draw dotted walking line from last road point to bin ---
+          // Routers include the off-road final approach in BOTH the route
+          // geometry AND the last leg's end, so comparing either to the
+          // destination always gives ~0m. Instead, we scan backward through
+          // the geometry to find the last point that is meaningfully away
+          // from the destination — that's the real road endpoint.
+          const actualDestLat = Array.isArray(destination) ? destination[0] : destination?.lat;
+          const actualDestLng = Array.isArray(destination) ? destination[1] : destination?.lng;
+          const overviewPath = route.geometry;
+          
+          if (overviewPath && overviewPath.length >= 2 && mapInstanceRef.current && actualDestLat && actualDestLng) {
+            // Scan backward to find the last road point (first point > 8m from destination)
+            let roadEndLat = null;
+            let roadEndLng = null;
+            for (let i = overviewPath.length - 1; i >= 0; i--) {
+              const pt = overviewPath[i];
+              const ptLat = typeof pt.lat === 'function' ? pt.lat() : pt.lat;
+              const ptLng = typeof pt.lng === 'function' ? pt.lng() : pt.lng;
+              const distFromDest = calculateGPSDistance(ptLat, ptLng, actualDestLat, actualDestLng);
+              if (distFromDest > 8) {
+                roadEndLat = ptLat;
+                roadEndLng = ptLng;
+                logger.info(`🚶 Found road point at index ${i}/${overviewPath.length - 1}, ${distFromDest.toFixed(1)}m from bin`);
+                break;
+              }
             }
             
-            logger.info('✅ Route calculated successfully:', routeInfo);
-            logger.info(`📍 Extracted ${allSteps.length} navigation steps`);
-            
-            // --- Draw dotted walking line from last road point to bin ---
-            // Google's Directions API includes the off-road final approach in
-            // BOTH overview_path AND lastLeg.end_location, so comparing either
-            // to the destination always gives ~0m. Instead, we scan backward
-            // through overview_path to find the last point that is meaningfully
-            // away from the destination — that's the real road endpoint.
-            const actualDestLat = Array.isArray(destination) ? destination[0] : destination?.lat;
-            const actualDestLng = Array.isArray(destination) ? destination[1] : destination?.lng;
-            const overviewPath = route.overview_path;
-            
-            if (overviewPath && overviewPath.length >= 2 && mapInstanceRef.current && actualDestLat && actualDestLng) {
-              // Scan backward to find the last road point (first point > 8m from destination)
-              let roadEndLat = null;
-              let roadEndLng = null;
-              for (let i = overviewPath.length - 1; i >= 0; i--) {
-                const pt = overviewPath[i];
-                const ptLat = typeof pt.lat === 'function' ? pt.lat() : pt.lat;
-                const ptLng = typeof pt.lng === 'function' ? pt.lng() : pt.lng;
-                const distFromDest = calculateGPSDistance(ptLat, ptLng, actualDestLat, actualDestLng);
-                if (distFromDest > 8) {
-                  roadEndLat = ptLat;
-                  roadEndLng = ptLng;
-                  logger.info(`🚶 Found road point at index ${i}/${overviewPath.length - 1}, ${distFromDest.toFixed(1)}m from bin`);
-                  break;
-                }
-              }
+            if (roadEndLat !== null) {
+              const walkDist = calculateGPSDistance(roadEndLat, roadEndLng, actualDestLat, actualDestLng);
+              logger.info(`🚶 Walking gap: ${walkDist.toFixed(1)}m (road: ${roadEndLat.toFixed(6)},${roadEndLng.toFixed(6)} → bin: ${actualDestLat.toFixed(6)},${actualDestLng.toFixed(6)})`);
               
-              if (roadEndLat !== null) {
-                const walkDist = calculateGPSDistance(roadEndLat, roadEndLng, actualDestLat, actualDestLng);
-                logger.info(`🚶 Walking gap: ${walkDist.toFixed(1)}m (road: ${roadEndLat.toFixed(6)},${roadEndLng.toFixed(6)} → bin: ${actualDestLat.toFixed(6)},${actualDestLng.toFixed(6)})`);
-                
-                // Draw walking line if gap > 15m (smaller gaps mean bin is basically on the road)
-                if (walkDist > 15) {
-                  // Remove old walking polyline
-                  if (walkingPolylineRef.current) {
-                    walkingPolylineRef.current.setMap(null);
-                  }
-                  
-                  walkingPolylineRef.current = new window.google.maps.Polyline({
-                    path: [
-                      { lat: roadEndLat, lng: roadEndLng },
-                      { lat: actualDestLat, lng: actualDestLng }
-                    ],
-                    map: mapInstanceRef.current,
-                    strokeColor: '#F97316',
-                    strokeOpacity: 0,
-                    strokeWeight: 3,  // Must be >0 for icons to render on all browsers
-                    icons: [{
-                      icon: {
-                        path: window.google.maps.SymbolPath.CIRCLE,
-                        scale: 5,
-                        fillColor: '#F97316',
-                        fillOpacity: 1,
-                        strokeColor: '#EA580C',
-                        strokeWeight: 1,
-                      },
-                      offset: '0',
-                      repeat: '14px'
-                    }],
-                    zIndex: 100
-                  });
-                  
-                  logger.info(`🚶 Walking line drawn: ${walkDist.toFixed(0)}m from last road point to bin`);
-                } else {
-                  logger.info(`🚶 No walking line needed — road point is only ${walkDist.toFixed(1)}m from bin`);
+              // Draw walking line if gap > 15m (smaller gaps mean bin is basically on the road)
+              if (walkDist > 15) {
+                // Remove old walking polyline
+                if (walkingPolylineRef.current) {
+                  walkingPolylineRef.current.setMap(null);
                 }
+                
+                walkingPolylineRef.current = new window.google.maps.Polyline({
+                  path: [
+                    { lat: roadEndLat, lng: roadEndLng },
+                    { lat: actualDestLat, lng: actualDestLng }
+                  ],
+                  map: mapInstanceRef.current,
+                  strokeColor: '#F97316',
+                  strokeOpacity: 0,
+                  strokeWeight: 3,  // Must be >0 for icons to render on all browsers
+                  icons: [{
+                    icon: {
+                      path: window.google.maps.SymbolPath.CIRCLE,
+                      scale: 5,
+                      fillColor: '#F97316',
+                      fillOpacity: 1,
+                      strokeColor: '#EA580C',
+                      strokeWeight: 1,
+                    },
+                    offset: '0',
+                    repeat: '14px'
+                  }],
+                  zIndex: 100
+                });
+                
+                logger.info(`🚶 Walking line drawn: ${walkDist.toFixed(0)}m from last road point to bin`);
               } else {
-                logger.info('🚶 All overview_path points are within 8m of destination — bin is on the road');
+                logger.info(`🚶 No walking line needed — road point is only ${walkDist.toFixed(1)}m from bin`);
               }
             } else {
-              logger.warn('🚶 Could not evaluate walking line — missing overview_path or destination');
-            }
-            
-            if (onRouteCalculatedRef.current) {
-              onRouteCalculatedRef.current(routeInfo);
+              logger.info('🚶 All route points are within 8m of destination — bin is on the road');
             }
-            
-            setIsLoading(false);
           } else {
-            const error = `Directions request failed: ${status}`;
-            logger.error('❌ Routing error:', error);
-            setHasError(true);
-            setErrorMessage(error);
-            if (onErrorRef.current) onErrorRef.current(error);
-            setIsLoading(false);
+            logger.warn('🚶 Could not evaluate walking line — missing route geometry or destination');
           }
-        }
-      );
+          
+          if (onRouteCalculatedRef.current) {
+            onRouteCalculatedRef.current(routeInfo);
+          }
+          
+          setIsLoading(false);
+        })
+        .catch((routeError) => {
+          const error = `Directions request failed: ${routeError.message}`;
+          logger.error('❌ Routing error:', error);
+          setHasError(true);
+          setErrorMessage(error);
+          if (onErrorRef.current) onErrorRef.current(error);
+          setIsLoading(false);
+        });
 
     } catch (error) {
       logger.error('❌ Error initializing Google Maps:', error);
@@ -1264,27 +1176,15 @@ const GoogleMapsNavigation = ({
     previousPositionRef.current = { lat: userLocation.lat, lng: userLocation.lng };
 
     // --- Road snapping & off-route detection ---
-    let displayLat = userLocation.lat;
-    let displayLng = userLocation.lng;
-    let offRouteDistance = 0;
-
-    const snapResult = snapToPolyline(userLocation.lat, userLocation.lng);
-    if (snapResult && snapResult.point) {
-      offRouteDistance = snapResult.distance;
-
-      if (offRouteDistance <= REROUTE_DISTANCE_THRESHOLD) {
-        // Within tolerance — snap marker to the road (polyline)
-        displayLat = snapResult.point.lat;
-        displayLng = snapResult.point.lng;
-      } else {
-        // Off-route by >20m — keep raw GPS position and trigger reroute
-        logger.info(`⚠️ Off-route by ${offRouteDistance.toFixed(0)}m (threshold: ${REROUTE_DISTANCE_THRESHOLD}m) — requesting reroute`);
-        triggerReroute(userLocation.lat, userLocation.lng);
-      }
-    }
+    // While our own GPS watch runs it feeds the detector; counting these fixes too
+    // would confirm an off-route state twice as fast
+    const { position: displayPosition, distance: offRouteDistance } = checkRoutePosition(
+      { lat: userLocation.lat, lng: userLocation.lng, heading: gpsHeading, speed, accuracy: userLocation.accuracy },
+      { detect: !gpsWatchIdRef.current }
+    );
 
     // Update marker position (snapped or raw)
-    userMarkerRef.current.setPosition({ lat: displayLat, lng: displayLng });
+    userMarkerRef.current.setPosition(displayPosition);
     
     // Update marker icon with new heading rotation (async load)
     // In Track-Up mode the map itself rotates, so the icon should face "up" (0°)
@@ -1322,7 +1222,7 @@ const GoogleMapsNavigation = ({
       }
       
       // Smoothly pan to snapped position
-      map.panTo({ lat: displayLat, lng: displayLng });
+      map.panTo(displayPosition);
     }
 
     logger.debug(`📍 Marker updated | Heading: ${newHeading.toFixed(1)}° (${headingSource}) | Speed: ${speed !== null ? (speed * 3.6).toFixed(1) + ' km/h' : 'N/A'} | Off-route: ${offRouteDistance.toFixed(0)}m`);
@@ -1388,23 +1288,17 @@ const GoogleMapsNavigation = ({
         previousPositionRef.current = { lat: userLat, lng: userLng };
 
         // --- Road snapping & off-route detection (same as marker update useEffect) ---
-        let displayLat = userLat;
-        let displayLng = userLng;
-
-        const snapResult = snapToPolyline(userLat, userLng);
-        if (snapResult && snapResult.point) {
-          if (snapResult.distance <= REROUTE_DISTANCE_THRESHOLD) {
-            displayLat = snapResult.point.lat;
-            displayLng = snapResult.point.lng;
-          } else {
-            // Off-route — trigger reroute
-            triggerReroute(userLat, userLng);
-          }
-        }
+        const { position: displayPosition } = checkRoutePosition({
+          lat: userLat,
+          lng: userLng,
+          heading: gpsBearing,
+          speed: gpsSpeed,
+          accuracy: position.coords.accuracy
+        });
 
         // Update user marker on map with snapped position + heading rotation
         if (userMarkerRef.current && mapInstanceRef.current) {
-          userMarkerRef.current.setPosition({ lat: displayLat, lng: displayLng });
+          userMarkerRef.current.setPosition(displayPosition);
           // In Track-Up mode icon faces "up" (0°) since the map rotates
           const gpsIconHeading = isTrackUpRef.current ? 0 : heading;
           createRotatedTricycleUrl(gpsIconHeading).then((url) => {
@@ -1422,7 +1316,7 @@ const GoogleMapsNavigation = ({
             const map = mapInstanceRef.current;
             map.setHeading(heading);
             map.setTilt(45);
-            map.panTo({ lat: displayLat, lng: displayLng });
+            map.panTo(displayPosition);
           }
         }
 
@@ -1726,6 +1620,7 @@ const GoogleMapsNavigation = ({
           // Serialize navigation steps to plain objects (remove Google Maps functions)
           const serializedSteps = navigationSteps.map(step => ({
             instruction: step.instruction,
+            maneuver: step.maneuver,
             distance: step.distance,
             duration: step.duration,
             startLocation: step.startLocation ? {
@@ -1742,6 +1637,8 @@ const GoogleMapsNavigation = ({
           await offlineMapService.saveRoute('current-navigation', {
             steps: serializedSteps,
             polylineCoords,
+            // Full road geometry, so an offline reroute can follow the actual streets
+            overviewPath: routePolylineRef.current || null,
             destination,
             destinationName,
             userLocation: lastUserLocationRef.current || userLocation
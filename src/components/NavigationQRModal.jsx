@@ -14,6 +14,14 @@ import { useLanguage } from '../context/LanguageContext';
 import { getPhrase, translateNavInstruction } from '../locales/navigationPhrases';
 import useWakeLock from '../hooks/useWakeLock';
 import { supabase } from '../services/supabase';
+import { pickupLifecycle } from '../services/pickupLifecycleService';
+import { QUEUE_ENTITY_TYPES } from '../utils/offlineUtils';
+import {
+  getRoutingProvider,
+  ROUTING_PROVIDERS,
+  formatStepDistance,
+  formatStepDuration
+} from '../services/routing';
 import {
   PICKUP_ARRIVAL_RADIUS_KM,
   PICKUP_MANUAL_ARRIVAL_RADIUS_KM,
@@ -100,7 +108,6 @@ const NavigationQRModal = ({
   const toastTimeout = useRef(null);
   
   // Voice navigation refs
-  const directionsService = useRef(null);
   const directionsRenderer = useRef(null);
   const hasArrivedRef = useRef(false); // Ref to track arrival state inside useEffect closures
   const { language: preferredLang, bcp47 } = useLanguage();
@@ -130,39 +137,21 @@ const NavigationQRModal = ({
       }
       
       // Update DB status to 'arrived' so client's Active Pickup modal shows step 3
-      // DB trigger enforces transitions, so walk through intermediate steps if needed
+      // (queued with the arrival time and fix when there's no signal at the pickup point)
       const isValidUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(requestId);
       if (isValidUuid) {
         const tableName = sourceType === 'digital_bin' ? 'digital_bins' : 'pickup_requests';
-        supabase
-          .from(tableName)
-          .update({ status: 'arrived' })
-          .eq('id', requestId)
-          .then(async ({ error }) => {
-            if (error) {
-              // Transition failed — likely still 'accepted', try en_route first
-              logger.warn('Direct arrived update failed, trying en_route first:', error.message);
-              const { error: enRouteErr } = await supabase
-                .from(tableName)
-                .update({ status: 'en_route' })
-                .eq('id', requestId);
-              if (!enRouteErr) {
-                const { error: arrivedErr } = await supabase
-                  .from(tableName)
-                  .update({ status: 'arrived' })
-                  .eq('id', requestId);
-                if (arrivedErr) {
-                  logger.warn('Could not update status to arrived after en_route:', arrivedErr.message);
-                } else {
-                  logger.info(`✅ Status updated to arrived in ${tableName} (via en_route)`);
-                }
-              } else {
-                logger.warn('Could not update status to en_route:', enRouteErr.message);
-              }
-            } else {
-              logger.info(`✅ Status updated to arrived in ${tableName}`);
-            }
-          });
+        pickupLifecycle.transition({
+          entityType: sourceType === 'digital_bin' ? QUEUE_ENTITY_TYPES.DIGITAL_BIN : QUEUE_ENTITY_TYPES.PICKUP_REQUEST,
+          entityId: requestId,
+          toStatus: 'arrived'
+        }).then(result => {
+          if (!result.success) {
+            logger.warn('Could not update status to arrived:', result.error);
+          } else {
+            logger.info(`✅ Status ${result.queued ? 'queued' : 'updated'}: arrived in ${tableName}`);
+          }
+        });
         
         // Send arrival notification to client
         supabase
@@ -278,10 +267,9 @@ const NavigationQRModal = ({
     return `${distance.toFixed(1)}km`;
   }, []);
 
-  // Initialize Google Maps Directions API
-  const initializeDirectionsAPI = useCallback(() => {
-    if (window.google && window.google.maps) {
-      directionsService.current = new window.google.maps.DirectionsService();
+  // Set up the renderer that draws Google routes on the modal's map
+  const initializeDirectionsRenderer = useCallback(() => {
+    if (!directionsRenderer.current && window.google?.maps?.DirectionsRenderer) {
       directionsRenderer.current = new window.google.maps.DirectionsRenderer({
         suppressMarkers: false,
         suppressInfoWindows: true,
@@ -291,48 +279,16 @@ const NavigationQRModal = ({
           strokeOpacity: 0.8
         }
       });
-      return true;
     }
-    return false;
+    return Boolean(directionsRenderer.current);
   }, []);
 
-  // Get navigation route from Google Maps Directions API
+  // Get navigation route from the configured routing provider (Google, OSRM, ...)
   const getNavigationRoute = useCallback(async (origin, dest) => {
-    if (!directionsService.current) {
-      if (!initializeDirectionsAPI()) {
-        logger.error('Google Maps not loaded');
-        return null;
-      }
-    }
-
-    // Convert destination array to object if needed
-    const destinationObj = Array.isArray(dest) 
-      ? { lat: dest[0], lng: dest[1] }
-      : dest;
-    
-    const originObj = Array.isArray(origin)
-      ? { lat: origin[0], lng: origin[1] }
-      : origin;
-
-    return new Promise((resolve, reject) => {
-      directionsService.current.route({
-        origin: new window.google.maps.LatLng(originObj.lat, originObj.lng),
-        destination: new window.google.maps.LatLng(destinationObj.lat, destinationObj.lng),
-        travelMode: window.google.maps.TravelMode.DRIVING,
-        unitSystem: window.google.maps.UnitSystem.METRIC,
-        avoidHighways: false,
-        avoidTolls: false
-      }, (result, status) => {
-        if (status === window.google.maps.DirectionsStatus.OK) {
-          logger.debug('🗺️ Navigation route calculated:', result);
-          resolve(result);
-        } else {
-          logger.error('❌ Directions request failed:', status);
-          reject(new Error(`Directions request failed: ${status}`));
-        }
-      });
-    });
-  }, [initializeDirectionsAPI]);
+    const route = await getRoutingProvider().route([origin, dest]);
+    logger.debug(`🗺️ Navigation route calculated via ${route.provider}:`, route);
+    return route;
+  }, []);
 
   // Start voice navigation with turn-by-turn instructions
   const startVoiceNavigation = useCallback(async () => {
@@ -365,20 +321,14 @@ const NavigationQRModal = ({
       setCurrentStep(0);
       
       // Extract step-by-step instructions
-      const steps = route.routes[0].legs[0].steps.map((step, index) => ({
+      const steps = route.legs[0].steps.map((step, index) => ({
         index,
-        instruction: step.instructions.replace(/<[^>]*>/g, ''), // Remove HTML tags
-        distance: step.distance.text,
-        duration: step.duration.text,
+        instruction: step.instruction,
+        distance: formatStepDistance(step.distanceMeters),
+        duration: formatStepDuration(step.durationSeconds),
         maneuver: step.maneuver || 'straight',
-        startLocation: {
-          lat: step.start_location.lat(),
-          lng: step.start_location.lng()
-        },
-        endLocation: {
-          lat: step.end_location.lat(),
-          lng: step.end_location.lng()
-        }
+        startLocation: step.startLocation,
+        endLocation: step.endLocation
       }));
       
       setNavigationInstructions(steps);
@@ -392,10 +342,10 @@ const NavigationQRModal = ({
         speak(`${startMsg}. ${firstStep}`, 'high');
       }
       
-      // Display route on map if available
-      if (directionsRenderer.current && mapRef.current) {
+      // Google routes can be drawn as-is; the map already shows its own route otherwise
+      if (route.provider === ROUTING_PROVIDERS.GOOGLE && mapRef.current && initializeDirectionsRenderer()) {
         directionsRenderer.current.setMap(mapRef.current);
-        directionsRenderer.current.setDirections(route);
+        directionsRenderer.current.setDirections(route.raw);
       }
       
       // Enable Track-Up (heading-up) mode in the map component
@@ -419,7 +369,7 @@ const NavigationQRModal = ({
     } finally {
       setIsLoading(false);
     }
-  }, [userLocation, destination, destinationName, getNavigationRoute, showToast, speak, preferredLang]);
+  }, [userLocation, destination, destinationName, getNavigationRoute, initializeDirectionsRenderer, showToast, speak, preferredLang]);
 
   // Stop voice navigation
   const stopVoiceNavigation = useCallback(() => {
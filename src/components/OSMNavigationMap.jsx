@@ -4,6 +4,48 @@ import 'leaflet/dist/leaflet.css';
 import 'leaflet-routing-machine';
 import 'leaflet-routing-machine/dist/leaflet-routing-machine.css';
 import { logger } from '../utils/logger';
+import { announceReroute, reroute } from '../services/rerouteService';
+import { createOffRouteDetector } from '../utils/offRouteDetection';
+
+/**
+ * Convert a routing provider result to the route object leaflet-routing-machine draws
+ */
+const toLeafletRoute = (result, inputWaypoints) => {
+  const coordinates = result.geometry.map(point => L.latLng(point.lat, point.lng));
+  const steps = result.legs.flatMap(leg => leg.steps);
+
+  // Each instruction points at the closest geometry vertex at or after the previous one
+  let vertex = 0;
+  const instructions = steps.map(step => {
+    let best = vertex;
+    for (let i = vertex; i < coordinates.length; i++) {
+      if (coordinates[i].distanceTo(step.startLocation) < coordinates[best].distanceTo(step.startLocation)) {
+        best = i;
+      }
+    }
+    vertex = best;
+    return {
+      text: step.instruction,
+      distance: step.distanceMeters,
+      time: step.durationSeconds,
+      index: best,
+      type: step.maneuver ? 'Straight' : 'DestinationReached',
+      road: step.road
+    };
+  });
+
+  return {
+    name: result.approximate ? 'Direct Path' : `Route via ${result.provider}`,
+    coordinates,
+    inputWaypoints,
+    waypoints: inputWaypoints.map(wp => ({ latLng: wp.latLng, name: wp.name || '' })),
+    summary: {
+      totalDistance: result.distanceMeters,
+      totalTime: result.durationSeconds
+    },
+    instructions
+  };
+};
 
 // Fix Leaflet default marker icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -30,9 +72,20 @@ const OSMNavigationMap = ({
   const [errorMessage, setErrorMessage] = useState('');
   const [useSatellite, setUseSatellite] = useState(false);
   const tileLayerRef = useRef(null);
+  const routePathRef = useRef(null);
+  const offRouteDetectorRef = useRef(null);
+  if (!offRouteDetectorRef.current) {
+    offRouteDetectorRef.current = createOffRouteDetector();
+  }
+
+  // Latest fix for the route-planning effect, which must not rerun on every GPS update
+  const userLocationRef = useRef(userLocation);
+  userLocationRef.current = userLocation;
+  const hasUserLocation = Boolean(userLocation);
 
   useEffect(() => {
-    if (!mapRef.current || !userLocation || !destination) {
+    const start = userLocationRef.current;
+    if (!mapRef.current || !start || !destination) {
       return;
     }
 
@@ -44,7 +97,7 @@ const OSMNavigationMap = ({
         }
         
         const map = L.map(mapRef.current, {
-          center: [userLocation.lat, userLocation.lng],
+          center: [start.lat, start.lng],
           zoom: 15,
           zoomControl: true,
           attributionControl: false, // Disable attribution control to prevent external links
@@ -111,7 +164,7 @@ const OSMNavigationMap = ({
       });
 
       // Add user location marker
-      userMarkerRef.current = L.marker([userLocation.lat, userLocation.lng], {
+      userMarkerRef.current = L.marker([start.lat, start.lng], {
         icon: userIcon,
         title: 'Your Location'
       }).addTo(map);
@@ -125,197 +178,26 @@ const OSMNavigationMap = ({
         title: 'Destination'
       }).addTo(map);
 
-      // Add routing with multiple fallback options
-      if (Math.random() < 0.1) { // Reduce console spam - 10% logging
-        logger.info('🛣️ Calculating route with enhanced navigation...');
-      }
-      
-      // Custom router with fallback to direct path
-      const customRouter = L.Routing.osrmv1({
-        serviceUrl: 'https://router.project-osrm.org/route/v1',
-        profile: 'driving',
-        timeout: 5000
-      });
-      
-      // Wrap the original route method to add fallback
-      const originalRoute = customRouter.route.bind(customRouter);
-      customRouter.route = function(waypoints, callback, context) {
-        // Validate waypoints first
-        if (!waypoints || !Array.isArray(waypoints) || waypoints.length < 2) {
-          if (Math.random() < 0.1) { // Reduce console spam - 10% logging
-            logger.warn('⚠️ Invalid waypoints provided to router:', waypoints);
-          }
-          callback.call(context || this, new Error('Invalid waypoints'), []);
-          return;
-        }
-        
-        // Ensure each waypoint has valid lat/lng
-        const validatedWaypoints = waypoints.filter(wp => {
-          return wp && wp.latLng && typeof wp.latLng.lat === 'function' && 
-                 typeof wp.latLng.lng === 'function';
-        });
-        
-        if (validatedWaypoints.length < 2) {
-          if (Math.random() < 0.05) { // Reduce console spam - 5% logging
-            logger.warn('⚠️ Not enough valid waypoints for routing, using direct path');
-          }
-          // Use fallback direct path with original waypoints (will be processed inside)
-          useDirectPath(waypoints, callback, context);
-          return;
-        }
-        
-        const start = validatedWaypoints[0];
-        const end = validatedWaypoints[validatedWaypoints.length - 1];
-        let callbackInvoked = false; // Prevent duplicate callbacks
-        let routeSucceeded = false; // Track if route succeeded
-        
-        // Wrap callback to ensure it's only called once
-        const safeCallback = function(err, routes) {
-          if (callbackInvoked) {
-            logger.warn('⚠️ Preventing duplicate callback invocation');
-            return;
-          }
-          callbackInvoked = true;
-          callback.call(context, err, routes);
-        };
-        
-        // Try original OSRM routing first
-        try {
-          originalRoute.call(this, validatedWaypoints, (err, routes) => {
-            if (!err && routes && routes.length > 0) {
-              // Success! Use the real route
+      // Router for leaflet-routing-machine: the configured routing provider online (which
+      // falls back to a direct path), the route cached for offline use when offline
+      const customRouter = {
+        route(waypoints, callback, context) {
+          const points = (waypoints || [])
+            .filter(wp => wp && wp.latLng)
+            .map(wp => ({ lat: wp.latLng.lat, lng: wp.latLng.lng }));
+
+          reroute(points[0], points[points.length - 1], { announce: false })
+            .then(({ success, route, error }) => {
+              if (!success) throw new Error(error);
+              callback.call(context, null, [toLeafletRoute(route, waypoints)]);
+            })
+            .catch(error => {
               if (Math.random() < 0.1) { // Reduce console spam - 10% logging
-                logger.info('✅ OSRM route calculated successfully');
+                logger.warn('⚠️ Routing failed:', error.message);
               }
-              routeSucceeded = true;
-              safeCallback(null, routes);
-            } else if (!callbackInvoked) {
-              // OSRM failed, use direct path fallback
-              useDirectPath(validatedWaypoints, safeCallback, context);
-            }
-          }, context);
-        } catch (error) {
-          // If OSRM completely fails and we haven't already succeeded, use direct path
-          if (routeSucceeded || callbackInvoked) {
-            if (Math.random() < 0.05) { // Reduce console spam - 5% logging
-              logger.info('Route already processed, skipping catch block');
-            }
-            return;
-          }
-          if (Math.random() < 0.05) { // Reduce console spam - 5% logging
-            logger.warn('⚠️ OSRM router error, using direct path:', error.message);
-          }
-          
-          useDirectPath(validatedWaypoints, safeCallback, context);
-        }
-      };
-      
-      // Helper function for direct path creation to avoid code duplication
-      const useDirectPath = (waypoints, callback, context) => {
-        if (Math.random() < 0.05) { // Reduce console spam - 5% logging
-          logger.info('📍 Showing direct path as fallback');
-        }
-        
-        if (!waypoints || waypoints.length < 2) {
-          if (Math.random() < 0.1) { // Reduce console spam - 10% logging
-            logger.warn('⚠️ Cannot create direct path - invalid waypoints');
-          }
-          callback.call(context || this, new Error('Invalid waypoints'), []);
-          return;
-        }
-        
-        try {
-          // Get start and end coordinates
-          const start = waypoints[0];
-          const end = waypoints[waypoints.length - 1];
-          
-          // Safely extract coordinates from different waypoint structures
-          // Waypoints can be: L.LatLng objects, L.Routing.Waypoint objects, or plain objects
-          const extractCoords = (wp) => {
-            if (!wp) return { lat: 0, lng: 0 };
-            
-            // Check if it's a L.Routing.Waypoint with latLng property
-            if (wp.latLng) {
-              const latLng = wp.latLng;
-              return {
-                lat: typeof latLng.lat === 'function' ? latLng.lat() : latLng.lat ?? 0,
-                lng: typeof latLng.lng === 'function' ? latLng.lng() : latLng.lng ?? 0
-              };
-            }
-            
-            // Check if it's a plain L.LatLng or object with lat/lng
-            return {
-              lat: typeof wp.lat === 'function' ? wp.lat() : wp.lat ?? 0,
-              lng: typeof wp.lng === 'function' ? wp.lng() : wp.lng ?? 0
-            };
-          };
-          
-          const startCoords = extractCoords(start);
-          const endCoords = extractCoords(end);
-          
-          const startLat = startCoords.lat;
-          const startLng = startCoords.lng;
-          const endLat = endCoords.lat;
-          const endLng = endCoords.lng;
-          
-          // Validate coordinates
-          if (isNaN(startLat) || isNaN(startLng) || isNaN(endLat) || isNaN(endLng) ||
-              (startLat === 0 && startLng === 0) || (endLat === 0 && endLng === 0)) {
-            throw new Error('Invalid coordinates for direct path');
-          }
-          
-          // Calculate distance using Haversine formula
-          const R = 6371000; // Earth's radius in meters
-          const dLat = (endLat - startLat) * Math.PI / 180;
-          const dLon = (endLng - startLng) * Math.PI / 180;
-          const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                    Math.cos(startLat * Math.PI / 180) * Math.cos(endLat * Math.PI / 180) *
-                    Math.sin(dLon/2) * Math.sin(dLon/2);
-          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-          const distance = R * c; // Distance in meters
-              
-          // Create a proper route structure that matches OSRM format
-          const directRoute = {
-            name: 'Direct Path',
-            coordinates: [
-              L.latLng(startLat, startLng),
-              L.latLng(endLat, endLng)
-            ],
-            waypoints: [
-              { latLng: L.latLng(startLat, startLng), name: 'Start' },
-              { latLng: L.latLng(endLat, endLng), name: 'Destination' }
-            ],
-            inputWaypoints: waypoints,
-            summary: {
-              totalDistance: distance,
-              totalTime: Math.round(distance / 1000 * 3) * 60 // Estimate: 3 min per km
-            },
-            instructions: [
-              { 
-                text: `Head towards destination`, 
-                distance: distance, 
-                time: Math.round(distance / 1000 * 3) * 60,
-                index: 0,
-                type: 'Straight',
-                modifier: undefined,
-                road: 'Direct route'
-              }
-            ]
-          };
-          
-          if (Math.random() < 0.05) { // Reduce console spam - 5% logging
-            logger.info('📍 Showing direct path:', {
-              distance: `${(distance / 1000).toFixed(2)} km (straight line)`
+              callback.call(context, error, []);
             });
-          }
-          
-          // Return success with direct route
-          callback.call(context || this, null, [directRoute]);
-        } catch (error) {
-          if (Math.random() < 0.1) { // Reduce console spam - 10% logging
-            logger.warn('⚠️ Failed to create direct path:', error);
-          }
-          callback.call(context || this, error, []);
+          return this;
         }
       };
       
@@ -323,9 +205,9 @@ const OSMNavigationMap = ({
       const waypointsArray = [];
       
       // Add user location waypoint with validation
-      if (userLocation && typeof userLocation.lat === 'number' && typeof userLocation.lng === 'number' &&
-          !isNaN(userLocation.lat) && !isNaN(userLocation.lng)) {
-        waypointsArray.push(L.latLng(userLocation.lat, userLocation.lng));
+      if (start && typeof start.lat === 'number' && typeof start.lng === 'number' &&
+          !isNaN(start.lat) && !isNaN(start.lng)) {
+        waypointsArray.push(L.latLng(start.lat, start.lng));
       } else {
         if (Math.random() < 0.1) { // Reduce console spam - 10% logging
           logger.warn('⚠️ Invalid user location coordinates - cannot create route');
@@ -468,6 +350,8 @@ const OSMNavigationMap = ({
       routingControlRef.current.on('routesfound', (e) => {
         const routes = e.routes;
         const summary = routes[0].summary;
+        routePathRef.current = routes[0].coordinates.map(point => ({ lat: point.lat, lng: point.lng }));
+        offRouteDetectorRef.current.reset();
         const isDirect = routes[0].name === 'Direct Path';
         
         if (isDirect) {
@@ -538,7 +422,27 @@ const OSMNavigationMap = ({
         }
       }
     };
-  }, [userLocation, destination, onMapReady, onRouteCalculated, onError]);
+    // The route is planned once per destination; later fixes only move the marker (below)
+    // and replan when the driver leaves the route
+  }, [hasUserLocation, destination, onMapReady, onRouteCalculated, onError]);
+
+  // Follow the driver and replan once they have clearly left the route
+  useEffect(() => {
+    if (!userLocation || !userMarkerRef.current) return;
+    userMarkerRef.current.setLatLng([userLocation.lat, userLocation.lng]);
+
+    const check = offRouteDetectorRef.current.update(userLocation, routePathRef.current);
+    if (check.shouldReroute && routingControlRef.current) {
+      const destLat = Array.isArray(destination) ? destination[0] : destination?.lat;
+      const destLng = Array.isArray(destination) ? destination[1] : destination?.lng;
+      logger.info(`⚠️ Off-route by ${check.distance.toFixed(0)}m — replanning from current position`);
+      announceReroute();
+      routingControlRef.current.setWaypoints([
+        L.latLng(userLocation.lat, userLocation.lng),
+        L.latLng(destLat, destLng)
+      ]);
+    }
+  }, [userLocation, destination]);
 
   // Handle satellite layer toggle
   useEffect(() => {
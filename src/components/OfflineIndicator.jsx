@@ -1,17 +1,92 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useOffline } from '../contexts/OfflineContext';
+import { QUEUE_ITEM_STATUS } from '../utils/offlineUtils';
+import { OFFLINE_ACTION_TYPES, OFFLINE_ENTITY_LABELS } from '../services/offlineSyncService';
+
+const STATUS_BADGES = {
+  [QUEUE_ITEM_STATUS.PENDING]: { label: 'Waiting', className: 'bg-gray-100 text-gray-700' },
+  [QUEUE_ITEM_STATUS.PROCESSING]: { label: 'Sending', className: 'bg-blue-100 text-blue-700' },
+  [QUEUE_ITEM_STATUS.FAILED]: { label: 'Retrying', className: 'bg-yellow-100 text-yellow-800' },
+  [QUEUE_ITEM_STATUS.STUCK]: { label: 'Stuck', className: 'bg-red-100 text-red-700' },
+  [QUEUE_ITEM_STATUS.CONFLICT]: { label: 'Conflict', className: 'bg-orange-100 text-orange-800' }
+};
+
+/**
+ * Describe a queued action for the driver
+ */
+const describeAction = (item) => {
+  const entity = OFFLINE_ENTITY_LABELS[item.entityType] || 'Action';
+  const shortId = item.entityId ? ` #${String(item.entityId).slice(0, 8)}` : '';
+  const target = item.actionType === OFFLINE_ACTION_TYPES.UPLOAD_PHOTO
+    ? ' photo upload'
+    : item.payload?.newStatus ? ` → ${item.payload.newStatus.replace(/_/g, ' ')}` : '';
+  return `${entity}${shortId}${target}`;
+};
+
+/**
+ * Queue inspector: lists queued actions so the driver can see and retry stuck ones
+ */
+const OfflineQueueInspector = ({ queue, onRetry, onDiscard }) => (
+  <ul className="mt-2 max-h-64 overflow-y-auto rounded-md bg-white text-gray-800 divide-y divide-gray-100">
+    {queue.map(item => {
+      const badge = STATUS_BADGES[item.status] || STATUS_BADGES[QUEUE_ITEM_STATUS.PENDING];
+      const needsDriver = item.status === QUEUE_ITEM_STATUS.STUCK ||
+        item.status === QUEUE_ITEM_STATUS.CONFLICT ||
+        item.status === QUEUE_ITEM_STATUS.FAILED;
+
+      return (
+        <li key={item.id} className="p-2 text-xs">
+          <div className="flex items-center justify-between">
+            <span className="font-medium">{describeAction(item)}</span>
+            <span className={`px-2 py-0.5 rounded-full ${badge.className}`}>{badge.label}</span>
+          </div>
+          <div className="text-gray-500 mt-0.5">
+            Queued {new Date(item.createdAt).toLocaleTimeString()}
+            {item.attempts > 0 && ` · ${item.attempts} ${item.attempts === 1 ? 'attempt' : 'attempts'}`}
+          </div>
+          {item.lastError && (
+            <div className="text-red-600 mt-0.5">{item.lastError}</div>
+          )}
+          {needsDriver && (
+            <div className="flex gap-2 mt-1">
+              <button
+                className="bg-blue-600 text-white px-2 py-0.5 rounded"
+                onClick={() => onRetry(item.id)}
+              >
+                Retry
+              </button>
+              {item.status !== QUEUE_ITEM_STATUS.FAILED && (
+                <button
+                  className="bg-gray-200 text-gray-800 px-2 py-0.5 rounded"
+                  onClick={() => onDiscard(item.id)}
+                >
+                  Discard
+                </button>
+              )}
+            </div>
+          )}
+        </li>
+      );
+    })}
+  </ul>
+);
 
 /**
  * Component that displays an offline status indicator and sync status
  */
 const OfflineIndicator = () => {
-  const { online, offlineQueue, syncing } = useOffline();
-  
+  const { online, offlineQueue, syncing, syncOfflineActions, retryAction, removeOfflineAction } = useOffline();
+  const [showDetails, setShowDetails] = useState(false);
+
   // If online and no pending items, don't show anything
   if (online && offlineQueue.length === 0 && !syncing) {
     return null;
   }
-  
+
+  const attentionCount = offlineQueue.filter(item =>
+    item.status === QUEUE_ITEM_STATUS.STUCK || item.status === QUEUE_ITEM_STATUS.CONFLICT
+  ).length;
+
   return (
     <div className={`fixed top-0 left-0 right-0 z-[9999] p-2 text-sm font-medium text-white bg-red-600`}>
       <div className="container mx-auto flex items-center justify-between">
@@ -19,31 +94,56 @@ const OfflineIndicator = () => {
           {!online && (
             <>
               <div className="w-3 h-3 rounded-full bg-white mr-2 animate-pulse"></div>
-              <span>You are offline</span>
+              <span>
+                You are offline
+                {offlineQueue.length > 0 && ` · ${offlineQueue.length} ${offlineQueue.length === 1 ? 'action' : 'actions'} saved`}
+              </span>
             </>
           )}
-          
+
           {online && offlineQueue.length > 0 && (
             <>
               <div className={`w-3 h-3 rounded-full mr-2 ${syncing ? 'bg-yellow-300 animate-pulse' : 'bg-white'}`}></div>
               <span>
-                {syncing 
-                  ? `Syncing ${offlineQueue.length} pending ${offlineQueue.length === 1 ? 'action' : 'actions'}...` 
+                {syncing
+                  ? `Syncing ${offlineQueue.length} pending ${offlineQueue.length === 1 ? 'action' : 'actions'}...`
                   : `${offlineQueue.length} pending ${offlineQueue.length === 1 ? 'action' : 'actions'} to sync`}
+                {attentionCount > 0 && ` · ${attentionCount} need attention`}
               </span>
             </>
           )}
         </div>
-        
-        {online && offlineQueue.length > 0 && !syncing && (
-          <button 
-            className="bg-white text-blue-600 px-3 py-1 rounded-md text-xs font-medium"
-            onClick={() => useOffline().syncOfflineActions()}
-          >
-            Sync Now
-          </button>
-        )}
+
+        <div className="flex items-center gap-2">
+          {offlineQueue.length > 0 && (
+            <button
+              className="underline text-xs"
+              onClick={() => setShowDetails(prev => !prev)}
+            >
+              {showDetails ? 'Hide' : 'Details'}
+            </button>
+          )}
+
+          {online && offlineQueue.length > 0 && !syncing && (
+            <button
+              className="bg-white text-blue-600 px-3 py-1 rounded-md text-xs font-medium"
+              onClick={() => syncOfflineActions()}
+            >
+              Sync Now
+            </button>
+          )}
+        </div>
       </div>
+
+      {showDetails && offlineQueue.length > 0 && (
+        <div className="container mx-auto">
+          <OfflineQueueInspector
+            queue={offlineQueue}
+            onRetry={retryAction}
+            onDiscard={removeOfflineAction}
+          />
+        </div>
+      )}
     </div>
   );
 };
@@ -5,20 +5,24 @@
  * Falls back to this when Google Maps is unavailable due to no internet.
  * 
  * Features:
- * - Uses cached OpenStreetMap tiles from IndexedDB
+ * - Draws from the local basemap archive or cached OpenStreetMap tiles (route area and region packs)
  * - Displays pre-cached route polyline
  * - Shows user location marker (GPS works offline)
  * - Shows destination marker
  * - Provides distance/ETA based on cached route data
+ * - Reroutes along the cached route when the driver leaves it
  */
 
 import { useEffect, useRef, useState, useCallback } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, useMap } from 'react-leaflet';
+import { MapContainer, Marker, Popup, Polyline, Circle, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { offlineMapService } from '../services/offlineMapService';
+import BaseTileLayer from './BaseTileLayer';
+import { reroute, toNavigationSteps } from '../services/rerouteService';
 import { logger } from '../utils/logger';
 import { calculateDistance } from '../utils/geoUtils';
+import { createOffRouteDetector, locateOnPolyline } from '../utils/offRouteDetection';
 
 // Fix Leaflet default icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -97,62 +101,6 @@ const createDestinationIcon = (wasteType = 'general') => {
   });
 };
 
-// Custom tile layer that uses cached tiles when offline
-class CachedTileLayer extends L.TileLayer {
-  constructor(urlTemplate, options) {
-    super(urlTemplate, options);
-    this.isOffline = !navigator.onLine;
-    
-    // Listen for online/offline events
-    window.addEventListener('online', () => {
-      this.isOffline = false;
-      this.redraw();
-    });
-    window.addEventListener('offline', () => {
-      this.isOffline = true;
-      this.redraw();
-    });
-  }
-
-  createTile(coords, done) {
-    const tile = document.createElement('img');
-    
-    tile.onerror = () => {
-      // If online fetch fails, try cache
-      this.loadFromCache(coords, tile, done);
-    };
-
-    tile.onload = () => {
-      done(null, tile);
-    };
-
-    if (this.isOffline) {
-      // Offline: try cache first
-      this.loadFromCache(coords, tile, done);
-    } else {
-      // Online: try network first
-      tile.src = this.getTileUrl(coords);
-    }
-
-    return tile;
-  }
-
-  async loadFromCache(coords, tile, done) {
-    try {
-      const cachedUrl = await offlineMapService.getTileUrl(coords.z, coords.x, coords.y);
-      if (cachedUrl) {
-        tile.src = cachedUrl;
-      } else {
-        // No cached tile - show placeholder
-        tile.src = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
-        done(new Error('Tile not cached'), tile);
-      }
-    } catch (error) {
-      done(error, tile);
-    }
-  }
-}
-
 // Map controller component to handle map updates
 const MapController = ({ center, zoom, userLocation, followUser }) => {
   const map = useMap();
@@ -182,6 +130,12 @@ const OfflineNavigationMap = ({
   const [followUser, setFollowUser] = useState(true);
   const [distanceToDestination, setDistanceToDestination] = useState(null);
   const [cachedRouteCoords, setCachedRouteCoords] = useState([]);
+  const [reroutedRoute, setReroutedRoute] = useState(null); // { geometry, steps, source } after leaving the route
+  const offRouteDetectorRef = useRef(null);
+  const isReroutingRef = useRef(false);
+  if (!offRouteDetectorRef.current) {
+    offRouteDetectorRef.current = createOffRouteDetector();
+  }
   
   // Initialize map and load cached route if needed
   useEffect(() => {
@@ -215,6 +169,38 @@ const OfflineNavigationMap = ({
     }
   }, [userLocation, destination]);
   
+  // A new destination means a new route
+  useEffect(() => {
+    setReroutedRoute(null);
+    offRouteDetectorRef.current.reset();
+  }, [destination]);
+
+  // Off-route detection against whichever route is on screen
+  useEffect(() => {
+    if (!userLocation || !destination || isReroutingRef.current) return;
+
+    const fix = {
+      lat: userLocation.lat ?? userLocation[0],
+      lng: userLocation.lng ?? userLocation[1],
+      heading: userLocation.heading,
+      speed: userLocation.speed,
+      accuracy: userLocation.accuracy
+    };
+    const path = reroutedRoute?.geometry || (routeCoordinates.length > 0 ? routeCoordinates : cachedRouteCoords);
+    const check = offRouteDetectorRef.current.update(fix, path);
+    if (!check.shouldReroute) return;
+
+    logger.info(`⚠️ Off-route by ${check.distance.toFixed(0)}m — rerouting from cached route`);
+    isReroutingRef.current = true;
+    reroute(fix, destination)
+      .then(({ success, route, source }) => {
+        if (!success) return;
+        setReroutedRoute({ geometry: route.geometry, steps: toNavigationSteps(route), source });
+        offRouteDetectorRef.current.reset();
+      })
+      .finally(() => { isReroutingRef.current = false; });
+  }, [userLocation, destination, routeCoordinates, cachedRouteCoords, reroutedRoute]);
+
   // Handle map ready
   const handleMapReady = useCallback(() => {
     setIsMapReady(true);
@@ -242,8 +228,21 @@ const OfflineNavigationMap = ({
     return `${distanceKm.toFixed(1)}km`;
   };
   
-  // Use route coordinates from props or cache
-  const displayRouteCoords = routeCoordinates.length > 0 ? routeCoordinates : cachedRouteCoords;
+  // Use the rerouted path first, then route coordinates from props or cache
+  const displayRouteCoords = reroutedRoute?.geometry
+    || (routeCoordinates.length > 0 ? routeCoordinates : cachedRouteCoords);
+
+  // After a reroute the parent's step index no longer applies: the current step is the
+  // first one that ends further along the new route than the driver
+  const displaySteps = reroutedRoute?.steps || navigationSteps;
+  let displayStepIndex = currentStepIndex;
+  if (reroutedRoute && userLocation) {
+    const driverAlong = locateOnPolyline(userLocation, reroutedRoute.geometry)?.distanceAlong ?? 0;
+    const nextIndex = reroutedRoute.steps.findIndex(step =>
+      (locateOnPolyline(step.endLocation, reroutedRoute.geometry)?.distanceAlong ?? 0) > driverAlong
+    );
+    displayStepIndex = nextIndex === -1 ? reroutedRoute.steps.length - 1 : nextIndex;
+  }
   
   // Convert route coordinates to Leaflet format
   const polylinePositions = displayRouteCoords.map(coord => {
@@ -262,17 +261,17 @@ const OfflineNavigationMap = ({
       </div>
       
       {/* Current navigation instruction */}
-      {isNavigating && navigationSteps.length > 0 && currentStepIndex < navigationSteps.length && (
+      {isNavigating && displaySteps.length > 0 && displayStepIndex < displaySteps.length && (
         <div className="absolute top-12 left-2 right-2 z-[1000] bg-blue-600 text-white p-3 rounded-lg shadow-lg">
           <div className="flex items-center justify-between mb-1">
             <span className="text-xs bg-white bg-opacity-20 px-2 py-0.5 rounded-full">
-              Step {currentStepIndex + 1}/{navigationSteps.length}
+              Step {displayStepIndex + 1}/{displaySteps.length}
             </span>
-            <span className="font-bold">{navigationSteps[currentStepIndex]?.distance}</span>
+            <span className="font-bold">{displaySteps[displayStepIndex]?.distance}</span>
           </div>
           <div 
             className="text-sm font-medium"
-            dangerouslySetInnerHTML={{ __html: navigationSteps[currentStepIndex]?.instruction }}
+            dangerouslySetInnerHTML={{ __html: displaySteps[displayStepIndex]?.instruction }}
           />
         </div>
       )}
@@ -307,13 +306,8 @@ const OfflineNavigationMap = ({
         whenReady={handleMapReady}
         zoomControl={false}
       >
-        {/* Use standard OSM tiles - they'll fail gracefully offline */}
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-          url="https://tile.openstreetmap.org/{z}/{x}/{y}.png"
-          maxZoom={19}
-          errorTileUrl="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=="
-        />
+        {/* OSM tiles online; downloaded region packs and route tiles offline */}
+        <BaseTileLayer />
         
         {/* Map controller for auto-follow */}
         <MapController 
@@ -389,7 +383,12 @@ const OfflineNavigationMap = ({
       
       {/* Cached data notice */}
       <div className="absolute bottom-2 left-2 right-2 z-[1000] bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded-lg text-xs">
-        <span className="font-medium">📡 Offline Navigation:</span> GPS tracking active. Route may not update until connection restored.
+        <span className="font-medium">📡 Offline Navigation:</span>{' '}
+        {reroutedRoute?.source === 'cache'
+          ? 'Off route — follow the blue line back to your saved route.'
+          : reroutedRoute
+            ? 'Route updated from your current position.'
+            : 'GPS tracking active. If you leave the route you will be guided back to it.'}
       </div>
     </div>
   );
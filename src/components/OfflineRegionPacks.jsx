@@ -0,0 +1,227 @@
+import { useCallback, useEffect, useState } from 'react';
+import { PACK_STATUS, offlineMapService } from '../services/offlineMapService';
+import {
+  PACK_MAX_ZOOM_OPTIONS,
+  PACK_MIN_ZOOM,
+  PACK_QUOTA_SHARE,
+  REGION_PACKS_ENABLED,
+  getOfflineRegions
+} from '../config/offlineRegionConfig';
+import { formatBytes } from '../utils/tileMath';
+import { logger } from '../utils/logger';
+
+const STATUS_LABELS = {
+  [PACK_STATUS.PENDING]: { text: 'Not started', className: 'bg-gray-100 text-gray-700' },
+  [PACK_STATUS.DOWNLOADING]: { text: 'Downloading', className: 'bg-blue-100 text-blue-700' },
+  [PACK_STATUS.PAUSED]: { text: 'Paused', className: 'bg-yellow-100 text-yellow-800' },
+  [PACK_STATUS.COMPLETE]: { text: 'Ready offline', className: 'bg-green-100 text-green-700' },
+  [PACK_STATUS.FAILED]: { text: 'Failed', className: 'bg-red-100 text-red-700' }
+};
+
+const isMeteredConnection = () => {
+  const connection = navigator.connection;
+  return Boolean(connection && (connection.type === 'cellular' || connection.saveData));
+};
+
+/**
+ * Offline region packs: download whole service areas over Wi-Fi for offline navigation
+ *
+ * @param {Object} props
+ * @param {string} [props.workRegion] - Region from the collector profile, offered first
+ */
+const OfflineRegionPacks = ({ workRegion = null }) => {
+  const [packs, setPacks] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [zoomChoice, setZoomChoice] = useState({});
+  const [message, setMessage] = useState(null);
+  const regions = getOfflineRegions(workRegion);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPacks(await offlineMapService.listRegionPacks());
+      setStorage(await offlineMapService.getStorageEstimate());
+    } catch (error) {
+      logger.error('❌ Failed to load offline region packs:', error);
+      setMessage('Offline maps are not available in this browser.');
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return offlineMapService.subscribeToRegionPacks(() => { refresh(); });
+  }, [refresh]);
+
+  const runDownload = (download) => {
+    setMessage(null);
+    download.then(result => {
+      if (!result.success && result.error) setMessage(result.error);
+    });
+  };
+
+  const handleDownload = async (region) => {
+    const maxZoom = zoomChoice[region.id] || region.maxZoom;
+    await offlineMapService.createRegionPack(region, { maxZoom });
+    runDownload(offlineMapService.downloadRegionPack(region.id));
+  };
+
+  const handleDelete = async (pack) => {
+    if (!window.confirm(`Delete the offline map for ${pack.name}?`)) return;
+    await offlineMapService.deleteRegionPack(pack.id);
+  };
+
+  const packIds = new Set(packs.map(pack => pack.id));
+  const availableRegions = regions.filter(region => !packIds.has(region.id));
+  const freeBytes = storage?.quota > 0 ? storage.quota * PACK_QUOTA_SHARE - storage.usage : null;
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-1">Offline Maps</h2>
+      <p className="text-sm text-gray-500 mb-3">
+        Download your service area at the depot so maps keep working without signal.
+      </p>
+
+      {storage?.quota > 0 && (
+        <p className="text-xs text-gray-500 mb-3">
+          Storage used: {formatBytes(storage.usage)} of {formatBytes(storage.quota)} available to the app
+        </p>
+      )}
+
+      {!REGION_PACKS_ENABLED && (
+        <div className="mb-3 p-2 rounded-md bg-gray-50 border border-gray-200 text-xs text-gray-600">
+          Region downloads are not available yet. Maps along your routes are still saved as you drive.
+        </div>
+      )}
+
+      {REGION_PACKS_ENABLED && isMeteredConnection() && (
+        <div className="mb-3 p-2 rounded-md bg-yellow-50 border border-yellow-200 text-xs text-yellow-800">
+          📶 You seem to be on mobile data. Region packs are large — connect to Wi-Fi first.
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-3 p-2 rounded-md bg-red-50 border border-red-200 text-sm text-red-700">{message}</div>
+      )}
+
+      {packs.length > 0 && (
+        <div className="space-y-3 mb-5">
+          {packs.map(pack => {
+            const status = STATUS_LABELS[pack.status] || STATUS_LABELS[PACK_STATUS.PENDING];
+            const canResume = REGION_PACKS_ENABLED && !pack.isDownloading && pack.status !== PACK_STATUS.COMPLETE;
+
+            return (
+              <div key={pack.id} className="border rounded-lg p-3">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-semibold">{pack.name}</p>
+                    <p className="text-xs text-gray-500">
+                      Zoom {pack.minZoom}–{pack.maxZoom} · {formatBytes(pack.bytes || pack.estimatedBytes)}
+                      {pack.status !== PACK_STATUS.COMPLETE && ` of ~${formatBytes(pack.estimatedBytes)}`}
+                    </p>
+                  </div>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${pack.isExpired ? 'bg-orange-100 text-orange-700' : status.className}`}>
+                    {pack.isExpired ? 'Needs update' : status.text}
+                  </span>
+                </div>
+
+                {pack.status !== PACK_STATUS.COMPLETE && (
+                  <div className="mt-2">
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div className="h-full bg-primary transition-all" style={{ width: `${pack.percent}%` }} />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {pack.percent}% · {pack.nextIndex.toLocaleString()} / {pack.totalTiles.toLocaleString()} tiles
+                      {pack.failedTiles > 0 && ` · ${pack.failedTiles} failed`}
+                    </p>
+                  </div>
+                )}
+
+                {pack.status === PACK_STATUS.COMPLETE && pack.completedAt && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Downloaded {new Date(pack.completedAt).toLocaleDateString()}
+                    {pack.failedTiles > 0 && ` · ${pack.failedTiles} tiles missing`}
+                  </p>
+                )}
+
+                {pack.error && <p className="text-xs text-red-600 mt-1">{pack.error}</p>}
+
+                <div className="flex gap-2 mt-2">
+                  {pack.isDownloading && (
+                    <button className="btn bg-gray-200 text-gray-800 text-sm" onClick={() => offlineMapService.pauseRegionPack(pack.id)}>
+                      Pause
+                    </button>
+                  )}
+                  {canResume && (
+                    <button className="btn btn-primary text-sm" onClick={() => runDownload(offlineMapService.downloadRegionPack(pack.id))}>
+                      {pack.nextIndex > 0 ? 'Resume' : 'Download'}
+                    </button>
+                  )}
+                  {REGION_PACKS_ENABLED && pack.status === PACK_STATUS.COMPLETE && (
+                    <button
+                      className={`btn text-sm ${pack.isExpired ? 'btn-primary' : 'bg-gray-200 text-gray-800'}`}
+                      onClick={() => runDownload(offlineMapService.updateRegionPack(pack.id))}
+                    >
+                      Update
+                    </button>
+                  )}
+                  {!pack.isDownloading && (
+                    <button className="btn bg-gray-200 text-red-600 text-sm" onClick={() => handleDelete(pack)}>
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {REGION_PACKS_ENABLED && availableRegions.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-sm font-semibold text-gray-700">Available areas</h3>
+          {availableRegions.map(region => {
+            const maxZoom = zoomChoice[region.id] || region.maxZoom;
+            const estimate = offlineMapService.estimateRegionPack({ bounds: region.bounds, maxZoom });
+            const tooBig = freeBytes !== null && estimate.bytes > freeBytes;
+
+            return (
+              <div key={region.id} className="border rounded-lg p-3">
+                <div className="flex items-center justify-between mb-2">
+                  <p className="font-semibold">
+                    {region.name}
+                    {region.region === workRegion && (
+                      <span className="ml-2 text-xs bg-primary/10 text-primary px-2 py-0.5 rounded-full">Your region</span>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 text-sm">
+                  <label className="text-gray-500" htmlFor={`zoom-${region.id}`}>Detail</label>
+                  <select
+                    id={`zoom-${region.id}`}
+                    value={maxZoom}
+                    onChange={(e) => setZoomChoice({ ...zoomChoice, [region.id]: Number(e.target.value) })}
+                    className="border rounded-md px-2 py-1"
+                  >
+                    {PACK_MAX_ZOOM_OPTIONS.map(zoom => (
+                      <option key={zoom} value={zoom}>
+                        Zoom {PACK_MIN_ZOOM}–{zoom}{zoom >= 17 ? ' (street level)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <p className={`text-xs mt-1 ${tooBig ? 'text-red-600' : 'text-gray-500'}`}>
+                  ~{formatBytes(estimate.bytes)} · {estimate.tiles.toLocaleString()} tiles
+                  {tooBig && ' · more than the free space on this phone'}
+                </p>
+                <button className="btn btn-primary text-sm mt-2" disabled={tooBig} onClick={() => handleDownload(region)}>
+                  Download
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineRegionPacks;
@@ -0,0 +1,228 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  PAYOUT_FREQUENCIES,
+  getPayoutSchedule,
+  savePayoutSchedule,
+  getRecentPayouts,
+  downloadPayoutStatement
+} from '../services/payoutService';
+import { logger } from '../utils/logger';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const DEFAULT_SCHEDULE = {
+  frequency: PAYOUT_FREQUENCIES.WEEKLY,
+  weekday: 5,
+  threshold: 50,
+  momoNumber: '',
+  momoProvider: 'mtn',
+  accountName: '',
+  enabled: false
+};
+
+/**
+ * Payouts tab: automatic payout settings and downloadable statements for past payouts
+ *
+ * @param {Object} props
+ * @param {string} props.collectorId
+ */
+const PayoutsPanel = ({ collectorId }) => {
+  const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
+  const [nextRunAt, setNextRunAt] = useState(null);
+  const [payouts, setPayouts] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    const [scheduleResult, payoutsResult] = await Promise.all([
+      getPayoutSchedule(collectorId),
+      getRecentPayouts(collectorId)
+    ]);
+    if (scheduleResult.success && scheduleResult.data) {
+      const { nextRunAt: next, lastRunAt: _lastRunAt, ...saved } = scheduleResult.data;
+      setSchedule({ ...DEFAULT_SCHEDULE, ...saved, weekday: saved.weekday ?? DEFAULT_SCHEDULE.weekday });
+      setNextRunAt(saved.enabled ? next : null);
+    }
+    if (payoutsResult.success) setPayouts(payoutsResult.data);
+  }, [collectorId]);
+
+  useEffect(() => {
+    if (collectorId) load();
+  }, [collectorId, load]);
+
+  const update = (field, value) => setSchedule(current => ({ ...current, [field]: value }));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    const result = await savePayoutSchedule(collectorId, { ...schedule, threshold: parseFloat(schedule.threshold) });
+    setIsSaving(false);
+
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error });
+      return;
+    }
+    setNextRunAt(result.data.enabled ? result.data.nextRunAt : null);
+    setMessage({ type: 'success', text: result.data.enabled ? 'Automatic payouts are on' : 'Automatic payouts are off' });
+  };
+
+  const handleDownload = async (withdrawalId, format) => {
+    setDownloading(`${withdrawalId}:${format}`);
+    const result = await downloadPayoutStatement(withdrawalId, format);
+    setDownloading(null);
+    if (!result.success) {
+      logger.error('Statement download failed:', result.error);
+      setMessage({ type: 'error', text: 'Could not build the statement. Please try again.' });
+    }
+  };
+
+  return (
+    <div>
+      <form className="card mb-4" onSubmit={handleSave}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold text-lg">Automatic Payouts</h3>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={schedule.enabled}
+              onChange={(e) => update('enabled', e.target.checked)}
+            />
+            <span>{schedule.enabled ? 'On' : 'Off'}</span>
+          </label>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Your withdrawable balance is sent to your mobile money wallet at 5pm when it reaches your minimum.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">How often</span>
+            <select
+              className="w-full border rounded-lg px-3 py-2"
+              value={schedule.frequency}
+              onChange={(e) => update('frequency', e.target.value)}
+            >
+              <option value={PAYOUT_FREQUENCIES.DAILY}>Daily</option>
+              <option value={PAYOUT_FREQUENCIES.WEEKLY}>Weekly</option>
+            </select>
+          </label>
+          {schedule.frequency === PAYOUT_FREQUENCIES.WEEKLY ? (
+            <label className="text-sm">
+              <span className="block text-gray-600 mb-1">Payout day</span>
+              <select
+                className="w-full border rounded-lg px-3 py-2"
+                value={schedule.weekday}
+                onChange={(e) => update('weekday', parseInt(e.target.value, 10))}
+              >
+                {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+              </select>
+            </label>
+          ) : <div />}
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Minimum payout (₵)</span>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              className="w-full border rounded-lg px-3 py-2"
+              value={schedule.threshold}
+              onChange={(e) => update('threshold', e.target.value)}
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Network</span>
+            <select
+              className="w-full border rounded-lg px-3 py-2"
+              value={schedule.momoProvider}
+              onChange={(e) => update('momoProvider', e.target.value)}
+            >
+              <option value="mtn">MTN Mobile Money</option>
+              <option value="vodafone">Telecel Cash</option>
+              <option value="airteltigo">AirtelTigo Money</option>
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">MoMo number</span>
+            <input
+              type="tel"
+              className="w-full border rounded-lg px-3 py-2"
+              placeholder="0XXXXXXXXX"
+              value={schedule.momoNumber}
+              onChange={(e) => update('momoNumber', e.target.value.replace(/\D/g, '').slice(0, 10))}
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Account name</span>
+            <input
+              type="text"
+              className="w-full border rounded-lg px-3 py-2"
+              value={schedule.accountName}
+              onChange={(e) => update('accountName', e.target.value)}
+            />
+          </label>
+        </div>
+
+        {nextRunAt && (
+          <p className="text-xs text-gray-500 mb-3">Next check: {new Date(nextRunAt).toLocaleString()}</p>
+        )}
+        {message && (
+          <p className={`text-sm mb-3 ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message.text}</p>
+        )}
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full py-2 rounded-lg bg-primary text-white font-semibold disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+
+      <div className="card">
+        <h3 className="font-bold text-lg mb-4">Payout Statements</h3>
+        <div className="divide-y">
+          {payouts.map(payout => (
+            <div key={payout.id} className="py-3 flex items-center justify-between gap-2">
+              <div>
+                <p className="font-semibold">₵{Number(payout.amount).toFixed(2)}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(payout.created_at).toLocaleDateString()} · {payout.source === 'scheduled' ? 'Automatic' : 'Manual'}
+                </p>
+                <span className={`inline-block mt-1 px-2 py-0.5 rounded text-xs ${STATUS_STYLES[payout.status] || STATUS_STYLES.pending}`}>
+                  {payout.status}
+                </span>
+              </div>
+              <div className="flex gap-2">
+                {['pdf', 'csv'].map(format => (
+                  <button
+                    key={format}
+                    type="button"
+                    disabled={downloading !== null}
+                    onClick={() => handleDownload(payout.id, format)}
+                    className="px-3 py-1 rounded border text-sm disabled:opacity-50"
+                  >
+                    {downloading === `${payout.id}:${format}` ? '...' : format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          {payouts.length === 0 && (
+            <p className="text-gray-500 text-center py-4">No payouts yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PayoutsPanel;
@@ -0,0 +1,196 @@
+import { useMemo, useRef, useState } from 'react';
+import usePhotoCapture from '../hooks/usePhotoCapture';
+import { logger } from '../utils/logger';
+import {
+  EVIDENCE_STAGES,
+  EVIDENCE_REQUIREMENTS,
+  checkEvidenceSet,
+  describeEvidenceProblems
+} from '../utils/photoEvidence';
+
+const MAX_PHOTOS = 6;
+
+const REJECTION_BADGES = {
+  no_location: 'No GPS',
+  outside_geofence: 'Too far'
+};
+
+// Job location as [lat, lng]; Request.jsx normalises it to { lat, lng }
+const toTarget = (coordinates) => {
+  if (!coordinates) return null;
+  const [lat, lng] = Array.isArray(coordinates)
+    ? coordinates
+    : [coordinates.lat ?? coordinates.latitude, coordinates.lng ?? coordinates.longitude];
+  return Number.isFinite(Number(lat)) && Number.isFinite(Number(lng)) ? [Number(lat), Number(lng)] : null;
+};
+
+/**
+ * Before/after photos of a pickup or digital bin, taken at the collection point.
+ *
+ * The server only lets the job go to 'collecting' once the photos are linked, so the
+ * driver confirms here first and the caller queues the uploads ahead of the status
+ * change. Photos stay on the device until then, signal or not.
+ *
+ * @param {Object} props
+ * @param {Object} props.request - Accepted pickup or bin ({ id, source_type, coordinates, location })
+ * @param {Function} props.onClose - Called when the driver backs out
+ * @param {Function} props.onConfirm - Called with the photos once the set is complete;
+ *   resolves truthy once they are queued
+ */
+const PickupEvidenceModal = ({ request, onClose, onConfirm }) => {
+  const jobType = request.source_type === 'digital_bin' ? 'digital_bin' : 'pickup_request';
+  const { minBefore, minAfter } = EVIDENCE_REQUIREMENTS[jobType];
+  const subject = jobType === 'digital_bin' ? 'bin' : 'waste';
+
+  const [submitting, setSubmitting] = useState(false);
+  const fileInputRef = useRef(null);
+  // Stage the camera input is capturing for
+  const pendingStageRef = useRef(EVIDENCE_STAGES.BEFORE);
+
+  const {
+    photos,
+    capturePhoto,
+    removePhoto,
+    clearPhotos,
+    isUploading,
+    error: photoError
+  } = usePhotoCapture(request.id, {
+    jobType,
+    label: `${jobType === 'digital_bin' ? 'Bin' : 'Pickup'} ${String(request.id).slice(0, 8)}`
+  });
+
+  // Same rules the server applies when the photos are linked
+  const target = useMemo(() => toTarget(request.coordinates), [request.coordinates]);
+  const evidence = useMemo(() => checkEvidenceSet(photos, { jobType, target }), [photos, jobType, target]);
+
+  const openCamera = (stage) => {
+    pendingStageRef.current = stage;
+    fileInputRef.current?.click();
+  };
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    try {
+      for (const file of files.slice(0, MAX_PHOTOS - photos.length)) {
+        await capturePhoto(file, pendingStageRef.current);
+      }
+    } catch (error) {
+      // The hook keeps the message for the footer
+      logger.error('Error capturing evidence photo:', error);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    try {
+      if (await onConfirm(photos)) {
+        clearPhotos();
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-[60] flex items-center justify-center p-4" style={{ paddingTop: '4rem', paddingBottom: '5rem' }}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
+          <div>
+            <h2 className="text-lg font-bold">Collection photos</h2>
+            {request.location && <p className="text-xs text-gray-500">{request.location}</p>}
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">✕</button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <p className="text-xs text-gray-500">
+            Photos are stamped with the time and your location, kept on this phone and upload once the {subject} is marked as collected, even if you have no signal now.
+          </p>
+
+          {[
+            { stage: EVIDENCE_STAGES.BEFORE, title: 'Before collection', hint: `At least ${minBefore}, showing the ${subject} as you found it` },
+            { stage: EVIDENCE_STAGES.AFTER, title: 'After collection', hint: `At least ${minAfter}, ${jobType === 'digital_bin' ? 'once the bin is emptied' : "once it's on the vehicle"}` }
+          ].map(({ stage, title, hint }) => (
+            <div key={stage}>
+              <div className="flex items-baseline justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-700">{title}</h3>
+                <span className="text-xs text-gray-500">{hint}</span>
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                {photos.filter(photo => photo.stage === stage).map((photo, index) => {
+                  const rejection = evidence.rejected[photo.id];
+                  return (
+                    <div key={photo.id} className={`aspect-square relative rounded-md overflow-hidden border-2 ${rejection ? 'border-red-400' : 'border-gray-200'}`}>
+                      <img src={photo.url} alt={`${title} photo ${index + 1}`} className="w-full h-full object-cover" />
+                      {rejection && (
+                        <span className="absolute bottom-1 left-1 bg-red-500 text-white text-[10px] px-1.5 py-0.5 rounded">
+                          {REJECTION_BADGES[rejection]}
+                        </span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removePhoto(photo.id)}
+                        disabled={isUploading || submitting}
+                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-7 h-7 flex items-center justify-center shadow-lg"
+                        aria-label="Remove photo"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  );
+                })}
+
+                {photos.length < MAX_PHOTOS && (
+                  <button
+                    type="button"
+                    onClick={() => openCamera(stage)}
+                    disabled={isUploading || submitting}
+                    className="aspect-square bg-gray-100 rounded-md flex flex-col items-center justify-center hover:bg-gray-200 border-2 border-dashed border-gray-300 p-4"
+                  >
+                    <span className="text-2xl" aria-hidden="true">📷</span>
+                    <span className="text-xs text-gray-500 mt-1">{isUploading ? 'Processing...' : 'Take Photo'}</span>
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            className="hidden"
+            onChange={handleFiles}
+          />
+
+          {evidence.complete && evidence.problems.length === 0 ? (
+            <p className="text-sm text-green-600">✓ Before and after photos complete</p>
+          ) : (
+            <p className={`text-sm ${evidence.complete ? 'text-amber-600' : 'text-red-500'}`}>
+              {describeEvidenceProblems(evidence.problems)}
+            </p>
+          )}
+          {photoError && <p className="text-sm text-red-600">{photoError}</p>}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex gap-2">
+          <button type="button" onClick={onClose} className="flex-1 py-2 px-4 border border-gray-300 rounded-md text-gray-700">
+            Not now
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={!evidence.complete || isUploading || submitting}
+            className="flex-1 py-2 px-4 bg-green-600 text-white rounded-md disabled:opacity-50"
+          >
+            {submitting ? 'Saving...' : 'Continue'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PickupEvidenceModal;
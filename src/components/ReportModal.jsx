@@ -1,4 +1,5 @@
 import React from 'react';
+import AssignmentCompletionPhotos from './AssignmentCompletionPhotos';
 
 /**
  * Modal component for displaying a detailed disposal report
@@ -91,9 +92,9 @@ const ReportModal = ({
                   <p className="text-sm text-gray-500">Completed On</p>
                   <p className="font-medium">{formatDate(assignment.completed_at)}</p>
                 </div>
-                <div>
-                  <p className="text-sm text-gray-500">Photos Taken</p>
-                  <p className="font-medium">{assignment.photos || 'N/A'}</p>
+                <div className="col-span-2">
+                  <p className="text-sm text-gray-500 mb-1">Completion Photos</p>
+                  <AssignmentCompletionPhotos assignmentId={assignment.id} />
                 </div>
                 <div className="col-span-2">
                   <p className="text-sm text-gray-500">Status</p>
@@ -543,7 +543,12 @@ const RequestCard = ({
           </div>
         </div>
         
-        <p className="text-sm text-gray-600 mb-3">{formattedLocation}</p>
+        <p className="text-sm text-gray-600 mb-3">
+          {formattedLocation}
+          {Number.isFinite(request.etaMinutes) && !request.etaApproximate && (
+            <span className="ml-1 text-gray-500">· ~{Math.max(1, Math.round(request.etaMinutes))} min drive</span>
+          )}
+        </p>
         
         {/* Bin photos - only for digital bins */}
         {(() => {
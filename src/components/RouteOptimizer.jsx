@@ -1,12 +1,8 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
 import L from 'leaflet';
-import { 
-  calculateNearestNeighborRoute, 
-  calculateRouteDistance, 
-  estimateRouteTime, 
-  generateDirectionsUrl 
-} from '../utils/routeOptimizationUtils';
+import { generateDirectionsUrl } from '../utils/routeOptimizationUtils';
+import { optimizeRoute } from '../utils/routeOptimizerWorkerClient';
 import { calculateDistance } from '../utils/locationUtils';
 import { initOfflineMapStorage, createOfflineTileLayer, optimizeMapPerformance } from '../utils/mapUtils';
 import { startMarkerIcon, assignmentMarkerIcon, requestMarkerIcon, getStopIcon, tricycleIcon } from '../utils/markerIcons';
@@ -90,11 +86,25 @@ const MapOptimizer = ({ mapRef, offlineTileLayerRef, isOfflineMode }) => {
 /**
  * Route optimizer component for planning efficient collection routes
  */
-const RouteOptimizer = ({ assignments, requests, userLocation }) => {
+// Colour for a load level, from empty to full
+const loadBarColor = (percent) => {
+  if (percent >= 90) return 'bg-red-500';
+  if (percent >= 70) return 'bg-orange-400';
+  return 'bg-green-500';
+};
+
+// Shared default, so the route isn't re-optimised on every render for want of centres
+const NO_DISPOSAL_CENTERS = [];
+
+const RouteOptimizer = ({ assignments, requests, userLocation, vehicleType = null, disposalCenters = NO_DISPOSAL_CENTERS }) => {
   const { saveNavigationState, restoreNavigationState, clearNavigationState } = useNavigationPersistence();
   const [optimizedRoute, setOptimizedRoute] = useState([]);
   const [totalDistance, setTotalDistance] = useState(0);
   const [estimatedTime, setEstimatedTime] = useState(0);
+  const [routeGain, setRouteGain] = useState(null);
+  const [lateStopCount, setLateStopCount] = useState(0);
+  const [disposalTripCount, setDisposalTripCount] = useState(0);
+  const [vehicleCapacity, setVehicleCapacity] = useState(null);
   const [mapCenter, setMapCenter] = useState([0, 0]);
   const [mapZoom, setMapZoom] = useState(13);
   const [isLoading, setIsLoading] = useState(true);
@@ -112,6 +122,8 @@ const RouteOptimizer = ({ assignments, requests, userLocation }) => {
   const mapRef = useRef(null);
   const offlineTileLayerRef = useRef(null);
   const hasShownTooFarWarning = useRef(false);
+  // Only the latest optimisation may update state; older ones finishing late are ignored
+  const routeJobRef = useRef(0);
   
   // Using SVG-based marker icons imported from markerIcons.js
   // These replace the previous PNG-based icons that were missing
@@ -164,8 +176,73 @@ const RouteOptimizer = ({ assignments, requests, userLocation }) => {
     };
   }, []);
   
+  // Store an optimizer result and warn about routes that can't be done in a day
+  const applyOptimizedRoute = useCallback((result, location) => {
+    const { route, metrics, gain, stats, capacity } = result;
+    const distance = metrics.distanceKm;
+    const time = metrics.durationMinutes;
+    
+    logger.debug('Route calculated with stops:', route.length, {
+      savedKm: gain.distanceKm.toFixed(2),
+      savedPercent: gain.distancePercent.toFixed(1),
+      lateStops: metrics.lateStops,
+      disposalTrips: metrics.disposalTrips,
+      passes: stats.passes,
+      elapsedMs: stats.elapsedMs
+    });
+    
+    // Count assignments and requests in the optimized route
+    const assignmentCount = route.filter(stop => !stop.type || stop.type === 'assignment').length;
+    const requestCount = route.filter(stop => stop.type === 'request').length;
+    logger.debug(`Route contains ${assignmentCount} assignments and ${requestCount} requests`);
+    
+    // Data validation: Detect unrealistic calculations
+    const maxReasonableDistance = 100; // 100 km max for daily collection routes
+    const maxReasonableTime = 600; // 600 minutes (10 hours) max for a workday
+    
+    if (distance > maxReasonableDistance || time > maxReasonableTime || isNaN(distance) || isNaN(time)) {
+      logger.error('⚠️ Unrealistic route detected:', { 
+        distance: `${distance.toFixed(1)} km`, 
+        time: `${time} min`,
+        routeLength: route.length,
+        isNaN: isNaN(distance) || isNaN(time)
+      });
+      
+      // Show warning only once (prevents duplicate toasts from StrictMode)
+      if (!hasShownTooFarWarning.current) {
+        hasShownTooFarWarning.current = true;
+        toast.warning(
+          <div className="text-center">
+            <div className="text-2xl mb-1">⚠️ Too Far!</div>
+            <div className="text-base font-bold">{distance.toFixed(0)} km • {Math.round(time/60)} hours</div>
+            <div className="text-sm mt-1">📍 Pick closer jobs</div>
+          </div>, 
+          {
+            position: "top-center",
+            autoClose: 10000,
+            style: { fontSize: '16px', padding: '16px' }
+          }
+        );
+      }
+    }
+    
+    // Still show an unrealistic route, the toast above warns the user
+    setOptimizedRoute(route);
+    setTotalDistance(distance);
+    setEstimatedTime(time);
+    setRouteGain(gain);
+    setLateStopCount(metrics.lateStops);
+    setDisposalTripCount(metrics.disposalTrips);
+    setVehicleCapacity(capacity);
+    
+    // Set map center to user location
+    setMapCenter([location.latitude, location.longitude]);
+    
+    setIsLoading(false);
+  }, []);
+  
   // Process route with given assignments, requests, and location
-  const processRoute = (assignments, requests, location) => {
+  const processRoute = useCallback((assignments, requests, location) => {
     setIsLoading(true);
     logger.debug('Processing route with location:', location);
     
@@ -204,9 +281,13 @@ const RouteOptimizer = ({ assignments, requests, userLocation }) => {
     
     if (acceptedAssignments.length === 0 && pendingRequests.length === 0) {
       logger.debug('No accepted assignments or pending requests found');
+      routeJobRef.current++;
       setOptimizedRoute([]);
       setTotalDistance(0);
       setEstimatedTime(0);
+      setRouteGain(null);
+      setLateStopCount(0);
+      setDisposalTripCount(0);
       setIsLoading(false);
       // Still set map center to user location
       setMapCenter([location.latitude, location.longitude]);
@@ -235,62 +316,31 @@ const RouteOptimizer = ({ assignments, requests, userLocation }) => {
     
     logger.debug('Combined stops for routing:', combinedStops.length);
     
-    // Calculate the optimized route with all stops
-    const route = calculateNearestNeighborRoute(combinedStops, startPosition);
-    const distance = calculateRouteDistance(route, startPosition);
-    const time = estimateRouteTime(route, startPosition);
-    
-    logger.debug('Route calculated with stops:', route.length);
-    
-    // Count assignments and requests in the optimized route
-    const assignmentCount = route.filter(stop => !stop.type || stop.type === 'assignment').length;
-    const requestCount = route.filter(stop => stop.type === 'request').length;
-    logger.debug(`Route contains ${assignmentCount} assignments and ${requestCount} requests`);
-    
-    // Data validation: Detect unrealistic calculations
-    const maxReasonableDistance = 100; // 100 km max for daily collection routes
-    const maxReasonableTime = 600; // 600 minutes (10 hours) max for a workday
-    
-    if (distance > maxReasonableDistance || time > maxReasonableTime || isNaN(distance) || isNaN(time)) {
-      logger.error('⚠️ Unrealistic route detected:', { 
-        distance: `${distance.toFixed(1)} km`, 
-        time: `${time} min`,
-        routeLength: route.length,
-        isNaN: isNaN(distance) || isNaN(time)
+    // Calculate the optimized route with all stops (in the route optimizer worker),
+    // adding disposal trips wherever the vehicle would be full
+    const jobId = ++routeJobRef.current;
+    optimizeRoute(combinedStops, startPosition, { vehicleType, disposalCenters })
+      .then(result => {
+        if (jobId !== routeJobRef.current) return;
+        applyOptimizedRoute(result, location);
+      })
+      .catch(error => {
+        if (jobId !== routeJobRef.current) return;
+        logger.error('Route optimization failed:', error);
+        setIsLoading(false);
       });
-      
-      // Show warning only once (prevents duplicate toasts from StrictMode)
-      if (!hasShownTooFarWarning.current) {
-        hasShownTooFarWarning.current = true;
-        toast.warning(
-          <div className="text-center">
-            <div className="text-2xl mb-1">⚠️ Too Far!</div>
-            <div className="text-base font-bold">{distance.toFixed(0)} km • {Math.round(time/60)} hours</div>
-            <div className="text-sm mt-1">📍 Pick closer jobs</div>
-          </div>, 
-          {
-            position: "top-center",
-            autoClose: 10000,
-            style: { fontSize: '16px', padding: '16px' }
-          }
-        );
-      }
-      
-      // Still show the route but warn user
-      setOptimizedRoute(route);
-      setTotalDistance(distance);
-      setEstimatedTime(time);
-    } else {
-      setOptimizedRoute(route);
-      setTotalDistance(distance);
-      setEstimatedTime(time);
-    }
-    
-    // Set map center to user location
-    setMapCenter([location.latitude, location.longitude]);
-    
-    setIsLoading(false);
-  };
+  }, [vehicleType, disposalCenters, applyOptimizedRoute]);
+  
+  // Always route from somewhere: the default location stands in until we have the user's
+  const routeOrigin = useMemo(() => {
+    if (userLocation) return userLocation;
+    logger.debug('No user location provided, using default');
+    return {
+      latitude: import.meta.env.VITE_DEFAULT_LATITUDE ? parseFloat(import.meta.env.VITE_DEFAULT_LATITUDE) : 5.6037,
+      longitude: import.meta.env.VITE_DEFAULT_LONGITUDE ? parseFloat(import.meta.env.VITE_DEFAULT_LONGITUDE) : -0.1870,
+      isFallback: true
+    };
+  }, [userLocation]);
   
   // Calculate optimized route when assignments, requests, or user location changes
   useEffect(() => {
@@ -300,21 +350,8 @@ const RouteOptimizer = ({ assignments, requests, userLocation }) => {
       return;
     }
     
-    // Always ensure we have a valid userLocation
-    if (!userLocation) {
-      logger.debug('No user location provided, using default');
-      const defaultLocation = {
-        latitude: import.meta.env.VITE_DEFAULT_LATITUDE ? parseFloat(import.meta.env.VITE_DEFAULT_LATITUDE) : 5.6037,
-        longitude: import.meta.env.VITE_DEFAULT_LONGITUDE ? parseFloat(import.meta.env.VITE_DEFAULT_LONGITUDE) : -0.1870,
-        isFallback: true
-      };
-      // Continue with default location
-      processRoute(assignments, requests, defaultLocation);
-      return;
-    }
-    
-    processRoute(assignments, requests, userLocation);
-  }, [assignments, requests, userLocation]);
+    processRoute(assignments, requests, routeOrigin);
+  }, [assignments, requests, routeOrigin, processRoute]);
   
   // Generate route coordinates for polyline
   const routeCoordinates = optimizedRoute.map(assignment => [
@@ -678,6 +715,55 @@ View route: ${generateDirectionsUrl(optimizedRoute, {lat: userLocation.latitude,
               </div>
             </div>
             
+            {(routeGain?.distanceKm > 0.05 || routeGain?.lateStopsAvoided > 0 || lateStopCount > 0) && (
+              <div className="text-xs mb-3 space-y-1">
+                {routeGain.distanceKm > 0.05 && (
+                  <p className="text-green-700">
+                    Saves {routeGain.distanceKm.toFixed(1)} km ({routeGain.distancePercent.toFixed(0)}%) over visiting the nearest stop each time
+                  </p>
+                )}
+                {routeGain.lateStopsAvoided > 0 && (
+                  <p className="text-green-700">
+                    Reaches {routeGain.lateStopsAvoided} more {routeGain.lateStopsAvoided === 1 ? 'job' : 'jobs'} before the deadline
+                  </p>
+                )}
+                {lateStopCount > 0 && (
+                  <p className="text-orange-600 font-medium">
+                    ⚠️ {lateStopCount} {lateStopCount === 1 ? 'job is' : 'jobs are'} likely to be reached after the deadline
+                  </p>
+                )}
+              </div>
+            )}
+            
+            {vehicleCapacity && (
+              <div className="text-xs mb-3">
+                <p className="text-gray-700 font-medium mb-1">
+                  Load by stop <span className="text-gray-500 font-normal">(vehicle holds {vehicleCapacity.bags} bags)</span>
+                </p>
+                {disposalTripCount > 0 && (
+                  <p className="text-purple-700 mb-1">
+                    🏭 {disposalTripCount} disposal {disposalTripCount === 1 ? 'trip' : 'trips'} added when the vehicle is full
+                  </p>
+                )}
+                <ol className="space-y-1">
+                  {optimizedRoute.map((stop, index) => (
+                    <li key={`load-${stop.id || 'stop'}-${index}`} className="flex items-center gap-2">
+                      <span className={`w-24 truncate ${stop.type === 'disposal' ? 'text-purple-700 font-medium' : 'text-gray-600'}`}>
+                        {index + 1}. {stop.type === 'disposal' ? 'Empty load' : (stop.customer_name || 'Stop')}
+                      </span>
+                      <div className="flex-1 h-2 bg-gray-200 rounded">
+                        <div
+                          className={`h-2 rounded ${loadBarColor(stop.load.percent)}`}
+                          style={{ width: `${Math.min(100, stop.load.percent)}%` }}
+                        />
+                      </div>
+                      <span className="w-16 text-right text-gray-600">{stop.load.bags} bags</span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+            
             <div className="flex space-x-2 mb-2">
               <button
                 onClick={navigateToRoute}
@@ -786,9 +872,15 @@ View route: ${generateDirectionsUrl(optimizedRoute, {lat: userLocation.latitude,
                   >
                     <Popup>
                       <div>
-                        <div className={`text-sm font-bold ${stop.type === 'request' ? 'text-red-600' : 'text-blue-600'} mb-1`}>
-                          {stop.type === 'request' ? 'Request' : 'Assignment'} #{index + 1}
-                        </div>
+                        {stop.type === 'disposal' ? (
+                          <div className="text-sm font-bold text-purple-700 mb-1">
+                            Disposal #{index + 1}
+                          </div>
+                        ) : (
+                          <div className={`text-sm font-bold ${stop.type === 'request' ? 'text-red-600' : 'text-blue-600'} mb-1`}>
+                            {stop.type === 'request' ? 'Request' : 'Assignment'} #{index + 1}
+                          </div>
+                        )}
                         <p className="text-xs">{stop.location}</p>
                         <p className="text-xs text-gray-600">{stop.customer_name}</p>
                         {stop.waste_type && (
@@ -799,7 +891,21 @@ View route: ${generateDirectionsUrl(optimizedRoute, {lat: userLocation.latitude,
                         <div className="mt-2 pt-2 border-t border-gray-200">
                           <p className="text-xs text-gray-500">
                             Stop {index + 1} of {optimizedRoute.length}
+                            {typeof stop.etaMinutes === 'number' && ` · ETA ~${stop.etaMinutes} min`}
                           </p>
+                          {stop.isLate && (
+                            <p className="text-xs text-orange-600 font-medium">Likely after its deadline</p>
+                          )}
+                          {stop.type === 'disposal' && stop.loadOnArrival && (
+                            <p className="text-xs text-purple-700">
+                              Empty {stop.loadOnArrival.bags} bags ({stop.loadOnArrival.percent}% full) here
+                            </p>
+                          )}
+                          {vehicleCapacity && stop.type !== 'disposal' && stop.load && (
+                            <p className="text-xs text-gray-600">
+                              Load after pickup: {stop.load.bags} bags ({stop.load.percent}% full)
+                            </p>
+                          )}
                         </div>
                       </div>
                     </Popup>
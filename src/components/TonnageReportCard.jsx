@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import { getTonnageReport } from '../services/weighbridgeService';
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Accra is on UTC, so UTC calendar days are the report's days
+const periods = (today = new Date()) => {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  return [
+    { label: 'This month', from: isoDate(new Date(Date.UTC(year, month, 1))), to: isoDate(today) },
+    { label: 'Last month', from: isoDate(new Date(Date.UTC(year, month - 1, 1))), to: isoDate(new Date(Date.UTC(year, month, 0))) },
+    { label: 'This year', from: `${year}-01-01`, to: isoDate(today) }
+  ];
+};
+
+const formatTonnes = (kg) => `${(Number(kg || 0) / 1000).toFixed(2)} t`;
+
+/**
+ * Tonnage tipped from weighbridge tickets, per day and site, with the tipping fees
+ * still waiting to be reimbursed
+ */
+const TonnageReportCard = () => {
+  const [period, setPeriod] = useState(() => periods()[0]);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getTonnageReport({ from: period.from, to: period.to }).then(result => {
+      if (!cancelled) setReport(result);
+    });
+    return () => { cancelled = true; };
+  }, [period.from, period.to]);
+
+  return (
+    <div className="card mt-4">
+      <h3 className="font-bold text-lg mb-1">Tonnage</h3>
+      <p className="text-sm text-gray-500 mb-3">From the weighbridge tickets you saved at disposal.</p>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {periods().map(option => (
+          <button
+            key={option.label}
+            type="button"
+            onClick={() => setPeriod(option)}
+            className={`px-3 py-1 rounded-full text-xs border ${period.label === option.label ? 'bg-primary text-white border-primary' : 'text-gray-700'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {!report && <p className="text-sm text-gray-500">Loading tonnage...</p>}
+      {report && !report.success && <p className="text-sm text-red-600">Could not load tonnage. Please try again.</p>}
+
+      {report?.success && (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center mb-3">
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="font-bold">{formatTonnes(report.totals.netKg)}</div>
+              <div className="text-xs text-gray-500">Tipped</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="font-bold">{report.totals.tickets}</div>
+              <div className="text-xs text-gray-500">Loads</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="font-bold">₵{report.totals.tippingFeesPending.toFixed(2)}</div>
+              <div className="text-xs text-gray-500">Fees to reimburse</div>
+            </div>
+          </div>
+
+          {report.data.length === 0 ? (
+            <p className="text-sm text-gray-500">No weighbridge tickets in this period.</p>
+          ) : (
+            <div className="divide-y text-sm">
+              {report.data.map(row => (
+                <div key={`${row.day}-${row.disposal_center_id}`} className="flex justify-between py-2">
+                  <div>
+                    <div>{row.disposal_center_name || 'Unknown site'}</div>
+                    <div className="text-xs text-gray-500">
+                      {row.day} · {row.tickets} load{Number(row.tickets) === 1 ? '' : 's'}, {row.jobs} job{Number(row.jobs) === 1 ? '' : 's'}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <div className="font-semibold">{formatTonnes(row.net_kg)}</div>
+                    {Number(row.tipping_fees) > 0 && (
+                      <div className="text-xs text-gray-500">Fees ₵{Number(row.tipping_fees).toFixed(2)}</div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TonnageReportCard;
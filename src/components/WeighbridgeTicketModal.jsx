@@ -0,0 +1,272 @@
+import { useEffect, useMemo, useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useOffline } from '../contexts/OfflineContext';
+import { OFFLINE_ACTION_TYPES } from '../services/offlineSyncService';
+import { canReadTicketPhotos, queueWeighbridgeTicket, readTicketPhoto } from '../services/weighbridgeService';
+import {
+  allocateTonnage,
+  resolveTicketWeights,
+  TICKET_PROBLEM_MESSAGES,
+  WEIGHT_UNITS
+} from '../utils/weighbridgeTicket';
+import { logger } from '../utils/logger';
+
+const JOB_TYPE_LABELS = {
+  pickup_request: 'Pickup',
+  digital_bin: 'Digital bin',
+  assignment: 'Dumping site'
+};
+
+const EMPTY_FORM = { ticketNumber: '', gross: '', tare: '', net: '', unit: WEIGHT_UNITS.KG, tippingFee: '' };
+
+const formatKg = (kg) => (kg >= 1000 ? `${(kg / 1000).toFixed(2)} t` : `${kg.toFixed(1)} kg`);
+
+/**
+ * Weighbridge ticket for a load just tipped: weights typed in or read off a photo of
+ * the ticket, and how the net weight is shared over the jobs on the load. The ticket is
+ * saved on the device and recorded through the offline queue; sites without a
+ * weighbridge can be skipped.
+ *
+ * @param {Object} props
+ * @param {Object} props.site - Disposal site ({ id, name })
+ * @param {Array<{jobType: string, jobId: string, loadUnits: number, label?: string}>} props.jobs
+ * @param {string} props.collectorId
+ * @param {Function} props.onClose - Called when skipped or after saving
+ * @param {Function} [props.onSaved] - Called with the ticket's net weight in kg
+ */
+const WeighbridgeTicketModal = ({ site, jobs, collectorId, onClose, onSaved }) => {
+  const { queueOfflineAction } = useOffline();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [photo, setPhoto] = useState(null);
+  const [photoUrl, setPhotoUrl] = useState(null);
+  const [ocrText, setOcrText] = useState(null);
+  const [weighedAt, setWeighedAt] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [readMessage, setReadMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    if (!photo) return undefined;
+    const url = URL.createObjectURL(photo);
+    setPhotoUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [photo]);
+
+  const weights = useMemo(() => resolveTicketWeights(form), [form]);
+  const shares = useMemo(
+    () => (weights.netKg ? allocateTonnage(weights.netKg, jobs, parseFloat(form.tippingFee) || 0) : []),
+    [weights.netKg, jobs, form.tippingFee]
+  );
+
+  const update = (field) => (event) => setForm(current => ({ ...current, [field]: event.target.value }));
+
+  const handlePhoto = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setPhoto(file);
+    setOcrText(null);
+    setReadMessage(null);
+  };
+
+  const handleReadTicket = async () => {
+    setReading(true);
+    const result = await readTicketPhoto(photo);
+    setReading(false);
+
+    if (!result.success) {
+      setReadMessage('Could not read the ticket. Please type the weights in.');
+      return;
+    }
+
+    const { fields } = result;
+    const found = ['gross', 'tare', 'net'].filter(field => fields[field] !== null);
+    setOcrText(result.text);
+    setWeighedAt(fields.weighedAt);
+    // Only fill what was found; anything the driver already typed stays unless read
+    setForm(current => ({
+      ...current,
+      ticketNumber: fields.ticketNumber || current.ticketNumber,
+      gross: fields.gross ?? current.gross,
+      tare: fields.tare ?? current.tare,
+      net: fields.net ?? current.net,
+      unit: found.length ? fields.unit : current.unit,
+      tippingFee: fields.tippingFee ?? current.tippingFee
+    }));
+    setReadMessage(found.length
+      ? 'Read from the photo. Check the figures against the ticket.'
+      : 'No weights found on the photo. Please type them in.');
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (weights.problems.length) return;
+
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await queueWeighbridgeTicket(queueOfflineAction, OFFLINE_ACTION_TYPES.RECORD_WEIGHBRIDGE_TICKET, {
+        id: uuidv4(),
+        collectorId,
+        disposalCenterId: site?.id || null,
+        ticketNumber: form.ticketNumber.trim() || null,
+        grossKg: weights.grossKg,
+        tareKg: weights.tareKg,
+        netKg: weights.netKg,
+        tippingFee: parseFloat(form.tippingFee) || 0,
+        entryMethod: ocrText ? 'ocr' : 'manual',
+        ocrText,
+        weighedAt: weighedAt || new Date().toISOString(),
+        photo,
+        jobs: jobs.map(({ jobType, jobId, loadUnits }) => ({ jobType, jobId, loadUnits }))
+      });
+      onSaved?.(weights.netKg);
+      onClose();
+    } catch (error) {
+      logger.error('Error saving weighbridge ticket:', error);
+      setSaveError('Could not save the ticket. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const hasEntry = form.gross !== '' || form.tare !== '' || form.net !== '';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4" style={{ paddingTop: '4rem', paddingBottom: '5rem' }}>
+      <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
+          <div>
+            <h2 className="text-lg font-bold">Weighbridge ticket</h2>
+            {site?.name && <p className="text-xs text-gray-500">{site.name}</p>}
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">✕</button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ticket photo</label>
+            {photoUrl && <img src={photoUrl} alt="Weighbridge ticket" className="w-full max-h-48 object-contain rounded border mb-2" />}
+            <div className="flex gap-2">
+              <label className="flex-1 text-center py-2 px-3 border border-gray-300 rounded-md text-sm cursor-pointer hover:bg-gray-50">
+                {photo ? 'Retake photo' : 'Take photo'}
+                <input type="file" accept="image/*" capture="environment" className="hidden" onChange={handlePhoto} />
+              </label>
+              {photo && canReadTicketPhotos() && (
+                <button
+                  type="button"
+                  onClick={handleReadTicket}
+                  disabled={reading}
+                  className="flex-1 py-2 px-3 bg-blue-600 text-white rounded-md text-sm disabled:opacity-50"
+                >
+                  {reading ? 'Reading...' : 'Read ticket'}
+                </button>
+              )}
+            </div>
+            {readMessage && <p className="text-xs text-gray-600 mt-1">{readMessage}</p>}
+          </div>
+
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-700">Weights in</span>
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+              {[WEIGHT_UNITS.KG, WEIGHT_UNITS.TONNE].map(unit => (
+                <button
+                  key={unit}
+                  type="button"
+                  onClick={() => setForm(current => ({ ...current, unit }))}
+                  className={`px-3 py-1 ${form.unit === unit ? 'bg-green-600 text-white' : 'bg-white text-gray-700'}`}
+                >
+                  {unit === WEIGHT_UNITS.KG ? 'kg' : 'tonnes'}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            {[['gross', 'Gross'], ['tare', 'Tare'], ['net', 'Net']].map(([field, label]) => (
+              <div key={field}>
+                <label className="block text-xs text-gray-600 mb-1" htmlFor={`weighbridge-${field}`}>{label}</label>
+                <input
+                  id={`weighbridge-${field}`}
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="any"
+                  value={form[field]}
+                  onChange={update(field)}
+                  placeholder={field === 'net' ? 'auto' : ''}
+                  className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1" htmlFor="weighbridge-ticket-number">Ticket no.</label>
+              <input
+                id="weighbridge-ticket-number"
+                type="text"
+                value={form.ticketNumber}
+                onChange={update('ticketNumber')}
+                className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1" htmlFor="weighbridge-fee">Tipping fee (₵)</label>
+              <input
+                id="weighbridge-fee"
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step="0.01"
+                value={form.tippingFee}
+                onChange={update('tippingFee')}
+                className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+            </div>
+          </div>
+
+          {hasEntry && weights.problems.map(problem => (
+            <p key={problem} className="text-sm text-red-600">{TICKET_PROBLEM_MESSAGES[problem]}</p>
+          ))}
+
+          {shares.length > 0 && (
+            <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+              <div className="flex justify-between font-semibold">
+                <span>Net on this load</span>
+                <span>{formatKg(weights.netKg)}</span>
+              </div>
+              {shares.map((share, index) => (
+                <div key={`${share.jobType}-${share.jobId}`} className="flex justify-between text-gray-600">
+                  <span>{jobs[index].label || JOB_TYPE_LABELS[share.jobType] || share.jobType}</span>
+                  <span>
+                    {formatKg(share.netKg)}
+                    {share.tippingFee > 0 && ` · ₵${share.tippingFee.toFixed(2)}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex gap-2">
+          <button type="button" onClick={onClose} className="flex-1 py-2 px-4 border border-gray-300 rounded-md text-gray-700">
+            No weighbridge
+          </button>
+          <button
+            type="submit"
+            disabled={saving || weights.problems.length > 0}
+            className="flex-1 py-2 px-4 bg-green-600 text-white rounded-md disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save ticket'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default WeighbridgeTicketModal;
@@ -0,0 +1,113 @@
+/**
+ * Offline Region Pack Configuration
+ *
+ * Areas a driver can download in full for offline navigation (Profile → Offline Maps).
+ * `region` matches the work region chosen at signup, so a driver's own region is
+ * offered first. Bounds are generous rectangles around each region; whole-region
+ * packs at street zoom run to hundreds of MB, so the large rural regions default to a
+ * lower maximum zoom and the main cities have their own street-level packs.
+ *
+ * Bulk downloads are not allowed on the public OpenStreetMap tile servers, so region
+ * packs stay switched off until VITE_OFFLINE_TILE_URL points at our own tile server or
+ * a commercial provider that allows them.
+ *
+ * A single-file raster basemap (PMTiles or MBTiles) can be used instead of, or
+ * alongside, region packs: sideloaded from the phone's storage or downloaded once
+ * from VITE_BASEMAP_ARCHIVE_URL.
+ */
+
+const env = import.meta.env;
+
+/** Tile URL template used for region pack downloads; null when packs are switched off */
+export const OFFLINE_TILE_URL = env.VITE_OFFLINE_TILE_URL || null;
+
+/** Whether drivers can download region packs at all */
+export const REGION_PACKS_ENABLED = Boolean(OFFLINE_TILE_URL);
+
+/** Where the Profile → Offline Maps "Download basemap" button fetches the archive from */
+export const BASEMAP_ARCHIVE_URL = env.VITE_BASEMAP_ARCHIVE_URL || null;
+
+/**
+ * Which tile source the maps try first: 'archive' (local archive, then network, then
+ * cached tiles) or 'online' (network first, local sources only as a fallback)
+ */
+export const BASEMAP_PREFERENCE = env.VITE_BASEMAP_PREFERENCE === 'online' ? 'online' : 'archive';
+
+/** Zoom levels a driver can choose as the most detailed level of a pack */
+export const PACK_MAX_ZOOM_OPTIONS = [14, 15, 16, 17];
+export const PACK_MIN_ZOOM = 12;
+
+/** Packs older than this are flagged for update */
+export const PACK_EXPIRY_DAYS = 30;
+
+/** Fraction of the browser storage quota region packs may fill */
+export const PACK_QUOTA_SHARE = 0.8;
+
+export const OFFLINE_REGIONS = [
+  {
+    id: 'accra-metro',
+    name: 'Accra & Tema (city)',
+    region: 'Greater Accra',
+    bounds: { north: 5.78, south: 5.52, west: -0.35, east: 0.05 },
+    maxZoom: 17
+  },
+  {
+    id: 'greater-accra',
+    name: 'Greater Accra (whole region)',
+    region: 'Greater Accra',
+    bounds: { north: 6.10, south: 5.47, west: -0.52, east: 0.70 },
+    maxZoom: 17
+  },
+  {
+    id: 'kumasi-metro',
+    name: 'Kumasi (city)',
+    region: 'Ashanti',
+    bounds: { north: 6.80, south: 6.58, west: -1.72, east: -1.50 },
+    maxZoom: 17
+  },
+  {
+    id: 'ashanti',
+    name: 'Ashanti (whole region)',
+    region: 'Ashanti',
+    bounds: { north: 7.60, south: 5.80, west: -2.55, east: -0.80 },
+    maxZoom: 15
+  },
+  {
+    id: 'western',
+    name: 'Western',
+    region: 'Western',
+    bounds: { north: 6.50, south: 4.70, west: -3.25, east: -1.60 },
+    maxZoom: 15
+  },
+  {
+    id: 'eastern',
+    name: 'Eastern',
+    region: 'Eastern',
+    bounds: { north: 7.10, south: 5.75, west: -1.30, east: 0.45 },
+    maxZoom: 15
+  },
+  {
+    id: 'central',
+    name: 'Central',
+    region: 'Central',
+    bounds: { north: 6.20, south: 5.00, west: -2.00, east: -0.40 },
+    maxZoom: 15
+  },
+  {
+    id: 'northern',
+    name: 'Northern',
+    region: 'Northern',
+    bounds: { north: 10.40, south: 8.20, west: -2.80, east: 0.55 },
+    maxZoom: 14
+  }
+];
+
+/**
+ * Regions ordered with the driver's own work region first
+ * @param {string} [workRegion] - Region from the collector profile
+ */
+export const getOfflineRegions = (workRegion) => {
+  if (!workRegion) return OFFLINE_REGIONS;
+  const own = OFFLINE_REGIONS.filter(region => region.region === workRegion);
+  return [...own, ...OFFLINE_REGIONS.filter(region => region.region !== workRegion)];
+};
@@ -0,0 +1,33 @@
+/**
+ * Payment Gateway Configuration
+ *
+ * Chooses the gateway used for client collections and collector payouts (see
+ * services/payments). Set VITE_PAYMENT_PROVIDER to one of:
+ *
+ * - 'trendipay'  TrendiPay through the trendipay-proxy Edge Function
+ * - 'mock'       The local mock gateway (npm run mock:gateway), for development and CI
+ * - 'none'       No gateway: MoMo payments stay pending and payouts complete immediately
+ *
+ * When unset, VITE_ENABLE_TRENDIPAY=true selects TrendiPay and anything else 'none',
+ * which is how the app behaved before the setting existed.
+ */
+
+const env = import.meta.env;
+
+const functionsUrl = env.VITE_SUPABASE_FUNCTIONS_URL ||
+  (env.VITE_SUPABASE_URL ? `${env.VITE_SUPABASE_URL.replace(/\/$/, '')}/functions/v1` : '');
+
+export const PAYMENT_CONFIG = {
+  provider: env.VITE_PAYMENT_PROVIDER || (env.VITE_ENABLE_TRENDIPAY === 'true' ? 'trendipay' : 'none'),
+
+  mock: {
+    baseUrl: env.VITE_MOCK_GATEWAY_URL || 'http://localhost:4010',
+    terminalId: 'mock-terminal',
+    merchantId: 'mock-merchant',
+    // Where the mock posts its callbacks; defaults to the trendipay-webhook Edge Function
+    callbackUrl: env.VITE_MOCK_GATEWAY_CALLBACK_URL || (functionsUrl ? `${functionsUrl}/trendipay-webhook` : ''),
+    webhookSecret: env.VITE_MOCK_GATEWAY_SECRET || 'mock-gateway-secret'
+  },
+
+  timeoutMs: 30000
+};
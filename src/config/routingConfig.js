@@ -0,0 +1,43 @@
+/**
+ * Routing Configuration
+ *
+ * Chooses the routing backend used for directions, travel-time matrices and
+ * snap-to-road (see services/routing). Set VITE_ROUTING_PROVIDER to one of:
+ *
+ * - 'google'       Google Directions / Distance Matrix / Roads (billed per request)
+ * - 'osrm'         OSRM HTTP API, e.g. a self-hosted server with the Ghana OSM extract
+ * - 'graphhopper'  GraphHopper HTTP API, self-hosted or hosted with an API key
+ * - 'offline'      No network: straight-line estimates
+ *
+ * When unset, Google is used if a Maps key is configured and OSRM otherwise. Any
+ * online provider falls back to the offline one when a request fails.
+ */
+
+const env = import.meta.env;
+
+export const ROUTING_CONFIG = {
+  provider: env.VITE_ROUTING_PROVIDER || (env.VITE_GOOGLE_MAPS_API_KEY ? 'google' : 'osrm'),
+
+  google: {
+    apiKey: env.VITE_GOOGLE_MAPS_API_KEY || ''
+  },
+
+  osrm: {
+    baseUrl: env.VITE_OSRM_URL || 'https://router.project-osrm.org',
+    profile: env.VITE_OSRM_PROFILE || 'driving'
+  },
+
+  graphhopper: {
+    baseUrl: env.VITE_GRAPHHOPPER_URL || 'https://graphhopper.com/api/1',
+    profile: env.VITE_GRAPHHOPPER_PROFILE || 'car',
+    apiKey: env.VITE_GRAPHHOPPER_API_KEY || ''
+  },
+
+  offline: {
+    averageSpeedKmh: 25, // Accra traffic, tricycles included
+    detourFactor: 1.3    // Roads are rarely straight; typical urban ratio
+  },
+
+  timeoutMs: 8000,
+  fallbackToOffline: true
+};
@@ -0,0 +1,50 @@
+/**
+ * Vehicle Capacity Configuration
+ *
+ * How much waste each vehicle type chosen at signup (collector_profiles.vehicle_type)
+ * can carry before the collector has to go to a disposal centre. The route optimizer
+ * uses these limits to plan disposal trips.
+ *
+ * Capacity is tracked in bags and in litres; a vehicle is full when either is reached.
+ * Pickup requests are counted by bag_count; digital bins add their bin_size_liters.
+ */
+
+/** Volume of a typical collection bag, used to convert bag counts to litres */
+export const LITRES_PER_BAG = 60;
+
+/** Carrying capacity per vehicle type */
+export const VEHICLE_CAPACITY = {
+  tricycle:   { bags: 12,  litres: 720 },   // Aboboyaa
+  motorcycle: { bags: 4,   litres: 240 },
+  bicycle:    { bags: 3,   litres: 180 },
+  cart:       { bags: 6,   litres: 360 },
+  van:        { bags: 40,  litres: 2400 },
+  truck:      { bags: 150, litres: 9000 },
+  other:      { bags: 12,  litres: 720 }
+};
+
+/** Used when the vehicle type is missing or unknown */
+export const DEFAULT_VEHICLE_TYPE = 'tricycle';
+
+/**
+ * Capacity for a vehicle type
+ * @param {string} vehicleType - collector_profiles.vehicle_type
+ * @returns {{bags: number, litres: number}}
+ */
+export const getVehicleCapacity = (vehicleType) =>
+  VEHICLE_CAPACITY[vehicleType?.toLowerCase()] || VEHICLE_CAPACITY[DEFAULT_VEHICLE_TYPE];
+
+/**
+ * How much of the vehicle a stop fills
+ * @param {Object} stop - Route stop with bag_count and (for digital bins) bin_size_liters
+ * @returns {{bags: number, litres: number}}
+ */
+export const getStopLoad = (stop) => {
+  const bags = Math.max(1, parseInt(stop?.bag_count, 10) || 1);
+  const binLitres = parseFloat(stop?.bin_size_liters);
+
+  return {
+    bags,
+    litres: binLitres > 0 ? binLitres : bags * LITRES_PER_BAG
+  };
+};
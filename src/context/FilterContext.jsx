@@ -1,12 +1,15 @@
 import { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
 import { logger } from '../utils/logger';
+import { REQUEST_SORT } from '../utils/filterUtils';
 
 const FilterContext = createContext();
 
 const MAX_RADIUS = 10; // Maximum search radius in km
+const DRIVE_TIME_OPTIONS = [0, 5, 10, 15, 20, 30]; // Max drive time choices in minutes, 0 = any
 
 export const FilterProvider = ({ children }) => {
   const getMaxRadius = () => MAX_RADIUS;
+  const getDriveTimeOptions = () => DRIVE_TIME_OPTIONS;
 
   // Default filter values - IMMEDIATE startup, defer localStorage
   const [filters, setFilters] = useState(() => {
@@ -17,6 +20,8 @@ export const FilterProvider = ({ children }) => {
       minPayment: 0,
       priority: 'all',
       activeFilter: 'all',
+      sortBy: REQUEST_SORT.DISTANCE,
+      maxDriveMinutes: 0,
     };
   });
   
@@ -42,6 +47,8 @@ export const FilterProvider = ({ children }) => {
           minPayment: typeof parsed.minPayment === 'number' ? parsed.minPayment : 0,
           priority: parsed.priority || 'all',
           activeFilter: parsed.activeFilter || 'all',
+          sortBy: Object.values(REQUEST_SORT).includes(parsed.sortBy) ? parsed.sortBy : REQUEST_SORT.DISTANCE,
+          maxDriveMinutes: DRIVE_TIME_OPTIONS.includes(parsed.maxDriveMinutes) ? parsed.maxDriveMinutes : 0,
         };
         logger.debug('[Filters] 📁 Loaded saved filters:', updatedFilters);
         setFilters(updatedFilters);
@@ -89,7 +96,8 @@ export const FilterProvider = ({ children }) => {
       updateFilters, 
       filteredRequests, 
       updateFilteredRequests,
-      getMaxRadius
+      getMaxRadius,
+      getDriveTimeOptions
     }}>
       {children}
     </FilterContext.Provider>
@@ -1,13 +1,17 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
-import { 
-  isOnline, 
-  addToOfflineQueue, 
-  removeFromOfflineQueue, 
-  getOfflineQueue, 
-  processOfflineQueue, 
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
+import {
+  isOnline,
+  addToOfflineQueue,
+  removeFromOfflineQueue,
+  retryOfflineAction,
+  getOfflineQueue,
+  getNextRetryTime,
+  processOfflineQueue,
   clearOfflineQueue,
+  subscribeToOfflineQueue,
   registerConnectivityListeners
 } from '../utils/offlineUtils';
+import { processOfflineAction } from '../services/offlineSyncService';
 import { logger } from '../utils/logger';
 
 // Create context
@@ -20,90 +24,123 @@ export const OfflineProvider = ({ children }) => {
   const [online, setOnline] = useState(isOnline());
   const [offlineQueue, setOfflineQueue] = useState([]);
   const [syncing, setSyncing] = useState(false);
-  
+  const syncingRef = useRef(false);
+  const resyncRef = useRef(false);
+  const retryTimerRef = useRef(null);
+  const syncRef = useRef(() => {});
+
+  // Sync offline actions when back online
+  const syncOfflineActions = useCallback(async () => {
+    if (!isOnline()) return [];
+    if (syncingRef.current) {
+      // A pass only sees what was queued when it started; go round again afterwards
+      resyncRef.current = true;
+      return [];
+    }
+
+    syncingRef.current = true;
+    setSyncing(true);
+
+    try {
+      const results = await processOfflineQueue(processOfflineAction);
+      if (results.length > 0) {
+        const synced = results.filter(result => result.success).length;
+        logger.info(`🔄 Offline sync: ${synced}/${results.length} actions applied`);
+      }
+      return results;
+    } catch (error) {
+      logger.error('Error syncing offline actions:', error);
+      return [];
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+
+      // Wake up when the earliest backed-off action becomes due
+      if (retryTimerRef.current) {
+        clearTimeout(retryTimerRef.current);
+        retryTimerRef.current = null;
+      }
+      const nextRetry = await getNextRetryTime();
+      if (nextRetry !== null) {
+        retryTimerRef.current = setTimeout(() => {
+          retryTimerRef.current = null;
+          syncRef.current();
+        }, Math.max(0, nextRetry - Date.now()));
+      }
+
+      if (resyncRef.current) {
+        resyncRef.current = false;
+        syncRef.current();
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    syncRef.current = syncOfflineActions;
+  }, [syncOfflineActions]);
+
   // Initialize offline queue and set up event listeners
   useEffect(() => {
-    // Update queue state from storage
-    setOfflineQueue(getOfflineQueue());
-    
+    const unsubscribe = subscribeToOfflineQueue(setOfflineQueue);
+
+    // Load persisted queue, then flush anything left from a previous session
+    getOfflineQueue().then(queue => {
+      setOfflineQueue(queue);
+      if (queue.length > 0) {
+        syncOfflineActions();
+      }
+    });
+
     // Handle online event
     const handleOnline = () => {
       setOnline(true);
       syncOfflineActions();
     };
-    
+
     // Handle offline event
     const handleOffline = () => {
       setOnline(false);
     };
-    
+
     // Register event listeners
     const cleanup = registerConnectivityListeners(handleOnline, handleOffline);
-    
+
     // Clean up event listeners on unmount
-    return cleanup;
-  }, []);
-  
-  // Sync offline actions when back online
-  const syncOfflineActions = async () => {
-    if (!online || syncing || offlineQueue.length === 0) return;
-    
-    setSyncing(true);
-    
-    try {
-      // Process each action in the queue
-      await processOfflineQueue(async (actionType, payload) => {
-        // Implement action processing based on action type
-        switch (actionType) {
-          case 'completePickup':
-            // Call API to complete pickup
-            logger.info('Processing offline pickup completion:', payload);
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            return { success: true };
-            
-          case 'disposeBag':
-            // Call API to dispose bag
-            logger.info('Processing offline bag disposal:', payload);
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            return { success: true };
-            
-          default:
-            logger.warn('Unknown action type:', actionType);
-            return { success: false };
-        }
-      });
-      
-      // Update queue state after processing
-      setOfflineQueue(getOfflineQueue());
-      
-    } catch (error) {
-      logger.error('Error syncing offline actions:', error);
-    } finally {
-      setSyncing(false);
-    }
-  };
-  
+    return () => {
+      cleanup();
+      unsubscribe();
+      if (retryTimerRef.current) {
+        clearTimeout(retryTimerRef.current);
+      }
+    };
+  }, [syncOfflineActions]);
+
   // Add an action to the offline queue
-  const queueOfflineAction = (actionType, payload) => {
-    const id = addToOfflineQueue(actionType, payload);
-    setOfflineQueue(getOfflineQueue());
-    return id;
-  };
-  
+  const queueOfflineAction = useCallback(async (actionType, payload, options) => {
+    const item = await addToOfflineQueue(actionType, payload, options);
+    // Try right away when connected - the queue gives us retries and ordering for free
+    if (isOnline()) {
+      syncOfflineActions();
+    }
+    return item;
+  }, [syncOfflineActions]);
+
   // Remove an action from the offline queue
-  const removeOfflineAction = (id) => {
-    removeFromOfflineQueue(id);
-    setOfflineQueue(getOfflineQueue());
-  };
-  
+  const removeOfflineAction = useCallback((id) => {
+    return removeFromOfflineQueue(id);
+  }, []);
+
+  // Reset a stuck or conflicting action and sync again
+  const retryAction = useCallback(async (id) => {
+    await retryOfflineAction(id);
+    return syncOfflineActions();
+  }, [syncOfflineActions]);
+
   // Clear the entire offline queue
-  const clearQueue = () => {
-    clearOfflineQueue();
-    setOfflineQueue([]);
-  };
-  
+  const clearQueue = useCallback(() => {
+    return clearOfflineQueue();
+  }, []);
+
   // Context value
   const value = {
     online,
@@ -111,10 +148,11 @@ export const OfflineProvider = ({ children }) => {
     syncing,
     queueOfflineAction,
     removeOfflineAction,
+    retryAction,
     clearQueue,
     syncOfflineActions
   };
-  
+
   return (
     <OfflineContext.Provider value={value}>
       {children}
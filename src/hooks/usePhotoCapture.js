@@ -1,14 +1,37 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import ImageManager from '../utils/imageManager';
 import { logger } from '../utils/logger';
-import { authService } from '../services/supabase';
+import { v4 as uuidv4 } from 'uuid';
+import { captureFix } from '../services/pickupLifecycleService';
+import {
+  saveEvidencePhotoLocally,
+  discardLocalEvidencePhoto,
+  listLocalEvidencePhotos
+} from '../services/evidencePhotoService';
+import { EVIDENCE_STAGES, prepareEvidencePhoto } from '../utils/photoEvidence';
+
+// Shape the capture UI works with, from a record kept on the device
+const toPhotoData = (record) => ({
+  id: record.id,
+  stage: record.stage,
+  url: URL.createObjectURL(record.blob),
+  file: record.blob,
+  timestamp: record.capturedAt,
+  capturedAt: record.capturedAt,
+  location: record.location,
+  sha256: record.sha256,
+  fileSize: record.size,
+  type: record.contentType
+});
 
 /**
  * Custom hook for managing photo capture state and operations
  * @param {string} requestId - The ID of the request/assignment
+ * @param {Object} [options]
+ * @param {string} [options.jobType] - 'assignment', 'pickup_request' or 'digital_bin'
+ * @param {string} [options.label] - Job reference burnt into the watermark
  * @returns {Object} Photo capture state and methods
  */
-const usePhotoCapture = (requestId) => {
+const usePhotoCapture = (requestId, { jobType = 'assignment', label } = {}) => {
   const [photos, setPhotos] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
   const [error, setError] = useState(null);
@@ -21,13 +44,14 @@ const usePhotoCapture = (requestId) => {
     
     const loadPhotos = async () => {
       try {
-        const savedPhotos = await ImageManager.getCapturedPhotos(requestId);
+        // Everything taken for this job and not yet queued is still on the device, reload or not
+        const restoredPhotos = (await listLocalEvidencePhotos(jobType, requestId)).map(toPhotoData);
         if (isMounted.current) {
-          setPhotos(savedPhotos);
+          setPhotos(restoredPhotos);
           setIsInitialized(true);
           
           if (process.env.NODE_ENV === 'development') {
-            logger.debug(`📸 Loaded ${savedPhotos.length} saved photos for request ${requestId}`);
+            logger.debug(`📸 Loaded ${restoredPhotos.length} saved photos for request ${requestId}`);
           }
         }
       } catch (err) {
@@ -43,15 +67,18 @@ const usePhotoCapture = (requestId) => {
     return () => {
       isMounted.current = false;
     };
-  }, [requestId]);
+  }, [requestId, jobType]);
 
   /**
    * Captures a photo from a file input or camera
-   * Uploads to Supabase Storage for web-accessible permanent URLs
+   * The photo is resized, watermarked with the stage, time and GPS fix, and hashed
+   * (utils/photoEvidence), then kept on the device until the job is completed, so
+   * taking photos works without signal
    * @param {File} file - The image file to capture
-   * @returns {Promise<Object>} The captured photo data with permanent URL
+   * @param {string} [stage] - EVIDENCE_STAGES.BEFORE or EVIDENCE_STAGES.AFTER
+   * @returns {Promise<Object>} The captured photo data
    */
-  const capturePhoto = useCallback(async (file) => {
+  const capturePhoto = useCallback(async (file, stage = EVIDENCE_STAGES.AFTER) => {
     if (!file) {
       throw new Error('No file provided');
     }
@@ -64,72 +91,37 @@ const usePhotoCapture = (requestId) => {
       setIsUploading(true);
       setError(null);
 
-      // Create a temporary blob URL for immediate preview
-      const tempUrl = URL.createObjectURL(file);
-      const photoId = `photo_${Date.now()}`;
-      
-      // Create initial photo data with temp URL for instant feedback
-      const tempPhotoData = {
-        id: photoId,
-        url: tempUrl,
-        isUploading: true,
-        timestamp: new Date().toISOString(),
-        fileSize: file.size,
-        type: file.type
-      };
-
-      // Add temp photo immediately for instant preview
-      const tempPhotos = [...photos, tempPhotoData];
-      setPhotos(tempPhotos);
-
-      // Upload to Supabase Storage for permanent web URL
-      logger.debug('📤 Uploading photo to cloud storage...');
-      const uploadResult = await authService.uploadPhoto(file, `assignment_${requestId}`);
-      
-      if (!uploadResult.success) {
-        // Upload failed - remove temp photo and show error
-        setPhotos(photos); // Revert to original photos
-        URL.revokeObjectURL(tempUrl);
-        throw new Error(uploadResult.error || 'Failed to upload photo');
-      }
+      const capturedAt = new Date().toISOString();
+      const location = await captureFix();
+      const evidence = await prepareEvidencePhoto(file, { stage, capturedAt, location, label });
+
+      const record = await saveEvidencePhotoLocally({
+        id: uuidv4(),
+        jobType,
+        jobId: requestId,
+        stage,
+        file: evidence.blob,
+        capturedAt,
+        location,
+        sha256: evidence.sha256,
+        width: evidence.width,
+        height: evidence.height,
+        exif: evidence.exif
+      });
+      const photoData = toPhotoData(record);
 
-      // Replace temp URL with permanent cloud URL
-      const photoData = {
-        id: photoId,
-        url: uploadResult.url, // Permanent web-accessible URL
-        cloudUrl: uploadResult.url,
-        isUploading: false,
-        timestamp: new Date().toISOString(),
-        fileSize: file.size,
-        type: file.type
-      };
-
-      // Revoke temp blob URL to free memory
-      URL.revokeObjectURL(tempUrl);
-
-      // Update photos with permanent URL
-      const updatedPhotos = photos.map(p => p.id === photoId ? photoData : p);
-      if (!updatedPhotos.find(p => p.id === photoId)) {
-        updatedPhotos.push(photoData);
-      }
-      
-      // Save to session storage with permanent URL
-      await ImageManager.saveCapturedPhotos(requestId, updatedPhotos);
-      
-      // Update local state
-      setPhotos(updatedPhotos);
-      
-      logger.info('✅ Photo uploaded successfully:', uploadResult.url);
-      
+      setPhotos(prev => [...prev, photoData]);
+
+      logger.debug(`📸 ${stage} photo ${photoData.id} kept on device for ${requestId} (${evidence.width}x${evidence.height}, ${Math.round(evidence.blob.size / 1024)} KB)`);
       return photoData;
     } catch (err) {
-      logger.error('Error capturing/uploading photo:', err);
+      logger.error('Error capturing photo:', err);
       setError(err.message || 'Failed to capture photo');
       throw err;
     } finally {
       setIsUploading(false);
     }
-  }, [photos, requestId]);
+  }, [requestId, jobType, label]);
 
   /**
    * Removes a photo by ID
@@ -142,7 +134,7 @@ const usePhotoCapture = (requestId) => {
       }
 
       const updatedPhotos = photos.filter(photo => photo.id !== photoId);
-      await ImageManager.saveCapturedPhotos(requestId, updatedPhotos);
+      await discardLocalEvidencePhoto(photoId);
       
       // Revoke the blob URL to free memory
       const photoToRemove = photos.find(p => p.id === photoId);
@@ -176,10 +168,7 @@ const usePhotoCapture = (requestId) => {
         }
       });
       
-      // Clear from storage
-      await ImageManager.clearAllImages(requestId);
-      
-      // Update local state
+      // Only the previews go; the device copies stay until their queued uploads finish
       setPhotos([]);
       setError(null);
       
@@ -205,7 +194,7 @@ const usePhotoCapture = (requestId) => {
       isMounted.current = false;
       
       // Note: We don't clear photos here to maintain them during navigation
-      // The ImageManager will handle cleanup when the session ends or explicitly cleared
+      // They stay on the device until removed or uploaded (evidencePhotoService)
     };
   }, []);
 
@@ -300,6 +300,7 @@ const NAVIGATION_PHRASES = {
     starting_navigation: 'Starting navigation to {destination}',
     navigation_stopped: 'Navigation stopped',
     route_calculated: '{steps} steps to destination. Let\'s go!',
+    recalculating_route: 'You are off route. Finding a new route.',
 
     turn_left: 'Turn left',
     turn_right: 'Turn right',
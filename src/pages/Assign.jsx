@@ -6,11 +6,17 @@ import AssignmentDetailsModal from '../components/AssignmentDetailsModal';
 import CompletionModal from '../components/CompletionModal';
 import DisposalModal from '../components/DisposalModal';
 import ReportModal from '../components/ReportModal';
+import DisposalTripModal from '../components/DisposalTripModal';
 import AssignmentNavigationModal from '../components/AssignmentNavigationModal';
 import { supabase, authService } from '../services/supabase';
 import { useAuth } from '../context/AuthContext';
 import { useAppState } from '../context/AppStateContext';
+import { useOffline } from '../contexts/OfflineContext';
+import { OFFLINE_ACTION_TYPES } from '../services/offlineSyncService';
+import { queueEvidencePhotoUploads } from '../services/evidencePhotoService';
+import { QUEUE_ENTITY_TYPES } from '../utils/offlineUtils';
 import { logger } from '../utils/logger';
+import { loadUnitsOf } from '../utils/weighbridgeTicket';
 import { getCurrentLocation, calculateDistance } from '../utils/geoUtils';
 import { ASSIGNMENT_COMPLETION_RADIUS_KM, GEOFENCE_DESCRIPTIONS, kmToMeters } from '../config/geofenceConfig';
 
@@ -317,6 +323,7 @@ const loadAssignActiveTab = () => {
 const AssignPage = () => {
   const { user } = useAuth();
   const { setActiveModal, clearActiveModal } = useAppState();
+  const { queueOfflineAction } = useOffline();
   const [userProfile, setUserProfile] = useState(null);
   const [activeTab, setActiveTabState] = useState(loadAssignActiveTab);
   const [loading, setLoading] = useState(true);
@@ -335,6 +342,7 @@ const AssignPage = () => {
   const [detailsModalOpen, setDetailsModalOpen] = useState(false);
   const [completionModalOpen, setCompletionModalOpen] = useState(false);
   const [disposalModalOpen, setDisposalModalOpen] = useState(false);
+  const [disposalTrip, setDisposalTrip] = useState(null);
   const [reportModalOpen, setReportModalOpen] = useState(false);
   const [navigationModalOpen, setNavigationModalOpen] = useState(savedAssignNavState?.isOpen || false);
   const [selectedAssignment, setSelectedAssignment] = useState(savedAssignNavState?.assignment || null);
@@ -800,63 +808,27 @@ const AssignPage = () => {
   };
   
   // Handle assignment arrival (called when navigation modal confirms user is within 50m)
+  // Arrival no longer completes the assignment: the collector takes the "before"
+  // photos now and the "after" photos once the site is clear, in the completion modal
   const handleAssignmentArrival = async (assignmentId) => {
-    try {
-      logger.info(`✅ Assignment ${assignmentId} arrival confirmed via navigation modal`);
-      
-      // Mark this assignment as having confirmed arrival (for geofence fallback)
-      setConfirmedArrivals(prev => new Set([...prev, assignmentId]));
-      
-      // Clear persisted navigation modal state on arrival
-      saveAssignNavModalState(null);
-      clearActiveModal();
-      
-      const assignmentToComplete = assignments.accepted.find(assign => assign.id === assignmentId);
-      if (!assignmentToComplete) {
-        showToast('Assignment not found', 'error');
-        return;
-      }
-
-      // Update assignment status to completed in Supabase
-      // Write directly to illegal_dumping_mobile table (not the view)
-      const { error } = await supabase
-        .from('illegal_dumping_mobile')
-        .update({ 
-          status: 'completed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', assignmentId);
-
-      if (error) {
-        logger.error('Error auto-completing assignment:', error);
-        showToast('Failed to complete assignment. Please try again.', 'error');
-        return;
-      }
-
-      // Update local state
-      const updatedAssignment = {
-        ...assignmentToComplete,
-        status: AssignmentStatus.COMPLETED,
-        completed_at: new Date().toISOString(),
-        hasDisposed: false
-      };
-      
-      setAssignments(prev => ({
-        available: prev.available,
-        accepted: prev.accepted.filter(assign => assign.id !== assignmentId),
-        completed: [...prev.completed, updatedAssignment]
-      }));
-      
-      // Switch to completed tab to show the result
-      setActiveTab('completed');
-      
-      // Show success toast
-      showToast('🎉 Assignment completed successfully!');
-      
-    } catch (error) {
-      logger.error('Unexpected error auto-completing assignment:', error);
-      showToast('An unexpected error occurred. Please try again.', 'error');
+    logger.info(`✅ Assignment ${assignmentId} arrival confirmed via navigation modal`);
+    
+    // Mark this assignment as having confirmed arrival (for geofence fallback)
+    setConfirmedArrivals(prev => new Set([...prev, assignmentId]));
+    
+    // Clear persisted navigation modal state on arrival
+    saveAssignNavModalState(null);
+    clearActiveModal();
+    
+    const arrivedAssignment = assignments.accepted.find(assign => assign.id === assignmentId);
+    if (!arrivedAssignment) {
+      showToast('Assignment not found', 'error');
+      return;
     }
+
+    setSelectedAssignment(arrivedAssignment);
+    setCompletionModalOpen(true);
+    showToast('📸 Take the "before" photos, then clean up the site');
   };
   
   // Legacy Google Maps navigation (keeping for fallback)
@@ -965,18 +937,33 @@ const AssignPage = () => {
         return false;
       }
 
-      // Update in Supabase
-      // Write directly to illegal_dumping_mobile table (not the view)
-      const { error } = await supabase
-        .from('illegal_dumping_mobile')
-        .update({ 
-          status: 'completed',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', assignmentId);
+      // The server only accepts the completion once the before/after photos are linked,
+      // so the photos go on the assignment's queue first and the status change after
+      // them; both upload in the background and resume after a dead zone
+      let photosQueued = 0;
+      try {
+        photosQueued = await queueEvidencePhotoUploads(queueOfflineAction, OFFLINE_ACTION_TYPES.UPLOAD_PHOTO, {
+          jobType: QUEUE_ENTITY_TYPES.ASSIGNMENT,
+          jobId: assignmentId,
+          collectorId: user?.id,
+          photos: photos || []
+        });
 
-      if (error) {
-        logger.error('Error completing assignment:', error);
+        const completedAt = new Date().toISOString();
+        await queueOfflineAction(OFFLINE_ACTION_TYPES.STATUS_CHANGE, {
+          expectedStatus: 'in_progress',
+          newStatus: 'completed',
+          fields: { updated_at: completedAt },
+          occurredAt: completedAt,
+          location: submissionData?.userCoordinates
+            ? { lat: submissionData.userCoordinates[0], lng: submissionData.userCoordinates[1] }
+            : null
+        }, {
+          entityType: QUEUE_ENTITY_TYPES.ASSIGNMENT,
+          entityId: assignmentId
+        });
+      } catch (queueError) {
+        logger.error('Error queuing assignment completion:', queueError);
         showToast('Failed to complete assignment. Please try again.', 'error');
         return false;
       }
@@ -986,7 +973,7 @@ const AssignPage = () => {
         ...assignmentToComplete,
         status: AssignmentStatus.COMPLETED,
         completed_at: new Date().toISOString(),
-        photos: photos?.length || 0, // In a real app, we would upload the photos to a server
+        completionPhotoCount: photosQueued,
         hasDisposed: false
       };
       
@@ -1061,7 +1048,7 @@ const AssignPage = () => {
     window.open(googleMapsUrl, '_blank');
   };
   
-  // Handle dispose
+  // Handle dispose: the assignment is tipped with the rest of the load on one disposal trip
   const handleDispose = async (assignmentId, site) => {
     // If site is not provided, we need to open the disposal modal instead
     if (!site) {
@@ -1072,48 +1059,49 @@ const AssignPage = () => {
     const assignmentToDispose = assignments.completed.find(assign => assign.id === assignmentId);
     if (!assignmentToDispose) return;
 
+    let location = null;
     try {
-      // Persist disposal to database
-      const { error } = await supabase
-        .from('illegal_dumping_mobile')
-        .update({
-          status: 'disposed',
-          disposed_at: new Date().toISOString(),
-          disposal_site_id: site.id || null,
-          disposal_site_name: site.name || null,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', assignmentId);
-
-      if (error) {
-        logger.error('Error saving disposal:', error);
-        showToast('Failed to record disposal. Please try again.', 'error');
-        return;
-      }
-
-      // Update local state after successful DB write
-      const updatedAssignment = {
-        ...assignmentToDispose,
-        status: AssignmentStatus.DISPOSED,
-        hasDisposed: true,
-        disposedAt: new Date().toISOString(),
-        disposalSite: site.name,
-        disposal_site_id: site.id || null
-      };
-      
-      setAssignments(prev => ({
-        available: prev.available,
-        accepted: prev.accepted,
-        completed: prev.completed.map(assign => 
-          assign.id === assignmentId ? updatedAssignment : assign
-        )
-      }));
-      
-      showToast('Waste disposed successfully!');
+      const fix = await getCurrentLocation();
+      location = { lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy ?? null };
     } catch (error) {
-      logger.error('Unexpected error saving disposal:', error);
-      showToast('An unexpected error occurred. Please try again.', 'error');
+      logger.warn('Could not get location for disposal trip:', error.message);
     }
+    setDisposalTrip({ site, location });
+  };
+
+  // Completed assignments still in the vehicle, as jobs on a disposal trip
+  const loadedAssignments = assignments.completed
+    .filter(assign => !assign.hasDisposed)
+    .map(assign => ({
+      jobType: QUEUE_ENTITY_TYPES.ASSIGNMENT,
+      jobId: assign.id,
+      loadUnits: loadUnitsOf(assign),
+      label: assign.location
+    }));
+
+  // A trip was completed (or saved offline): mark its assignments disposed
+  const handleTripCompleted = ({ receipt, queued, jobs }) => {
+    const disposedAt = receipt?.completedAt || new Date().toISOString();
+    const disposed = new Set(jobs.filter(job => job.jobType === QUEUE_ENTITY_TYPES.ASSIGNMENT).map(job => job.jobId));
+
+    setAssignments(prev => ({
+      available: prev.available,
+      accepted: prev.accepted,
+      completed: prev.completed.map(assign => (disposed.has(assign.id)
+        ? {
+            ...assign,
+            status: AssignmentStatus.DISPOSED,
+            hasDisposed: true,
+            disposedAt,
+            disposalSite: disposalTrip?.site?.name,
+            disposal_site_id: disposalTrip?.site?.id || null
+          }
+        : assign))
+    }));
+
+    showToast(queued
+      ? 'Disposal saved offline. It will sync when you\'re back online.'
+      : `Waste disposed successfully! Receipt ${receipt?.receiptNumber}`);
   };
   
   // Handle view report
@@ -1334,6 +1322,17 @@ const AssignPage = () => {
         // onGetDirections is NOT provided - let DisposalModal handle in-app navigation internally
       />
       
+      {disposalTrip && (
+        <DisposalTripModal
+          site={disposalTrip.site}
+          location={disposalTrip.location}
+          collectorId={user?.id}
+          localJobs={loadedAssignments}
+          onClose={() => setDisposalTrip(null)}
+          onCompleted={handleTripCompleted}
+        />
+      )}
+      
       <ReportModal
         assignment={selectedAssignment}
         isOpen={reportModalOpen}
@@ -3,11 +3,18 @@ import { TopNavBar } from '../components/NavBar';
 import BottomNavBar from '../components/BottomNavBar';
 import { useAuth } from '../context/AuthContext';
 import { createEarningsService } from '../services/earningsService';
+import PayoutsPanel from '../components/PayoutsPanel';
+import CashCustodyCard from '../components/CashCustodyCard';
+import DisputeModal from '../components/DisputeModal';
+import EarningsChart from '../components/EarningsChart';
+import EarningsStatementCard from '../components/EarningsStatementCard';
+import TonnageReportCard from '../components/TonnageReportCard';
 import { authService } from '../services/supabase';
 import { logger } from '../utils/logger';
+import { formatCriterionValue } from '../utils/loyaltyTiers';
 
 // Cash Out Modal Component
-const CashOutModal = ({ isOpen, onClose, totalEarnings, availableForWithdrawal, pendingDisposalAmount = 0, onWithdrawalSuccess }) => {
+const CashOutModal = ({ isOpen, onClose, totalEarnings, availableForWithdrawal, pendingDisposalAmount = 0, cashNetted = 0, onWithdrawalSuccess }) => {
   // Available for withdrawal is only from disposed bins
   const withdrawableAmount = availableForWithdrawal ?? 0;
   const hasPendingEarnings = pendingDisposalAmount > 0;
@@ -138,6 +145,11 @@ const CashOutModal = ({ isOpen, onClose, totalEarnings, availableForWithdrawal,
                         + ₵{pendingDisposalAmount.toFixed(2)} pending — dispose to unlock
                       </p>
                     )}
+                    {cashNetted > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        ₵{cashNetted.toFixed(2)} platform share of your cash jobs is already deducted
+                      </p>
+                    )}
                   </div>
                 ) : (
                   <div className="mt-2 p-2 bg-amber-50 border border-amber-200 rounded-lg">
@@ -263,45 +275,8 @@ const CashOutModal = ({ isOpen, onClose, totalEarnings, availableForWithdrawal,
   );
 };
 
-// Chart component (simplified for this example)
-const EarningsLineChart = ({ data, period }) => {
-  // In a real implementation, we would use a library like Chart.js or Recharts
-  // This is a simplified visual representation
-  
-  // Guard against undefined or empty data
-  if (!data || !Array.isArray(data) || data.length === 0) {
-    return (
-      <div className="mt-4 mb-6 text-center text-gray-500">
-        <p>No earnings data available</p>
-      </div>
-    );
-  }
-  
-  const maxValue = Math.max(...data.map(d => d.amount));
-  
-  return (
-    <div className="mt-4 mb-6">
-      <div className="flex justify-between mb-2">
-        <span className="text-sm text-gray-500">Earnings ({period})</span>
-        <span className="text-sm text-gray-500">Max: ₵{maxValue.toFixed(2)}</span>
-      </div>
-      <div className="flex items-end h-32 space-x-1">
-        {data.map((item, index) => (
-          <div key={index} className="flex-1 flex flex-col items-center">
-            <div
-              className="w-full bg-primary rounded-t"
-              style={{ height: `${(item.amount / maxValue) * 100}%` }}
-            ></div>
-            <span className="text-xs mt-1">{item.label}</span>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-};
-
 // Transaction list item component
-const TransactionItem = ({ transaction }) => {
+const TransactionItem = ({ transaction, onDispute }) => {
   // Format transaction type name
   const formatTransactionType = (type) => {
     switch (type) {
@@ -315,6 +290,8 @@ const TransactionItem = ({ transaction }) => {
         return 'Bonus';
       case 'referral':
         return 'Referral';
+      case 'refund':
+        return 'Refund';
       default:
         return type;
     }
@@ -326,6 +303,11 @@ const TransactionItem = ({ transaction }) => {
         <div>
           <p className="font-medium">{formatTransactionType(transaction.type)}</p>
           <p className="text-xs text-gray-500">{transaction.id}</p>
+          {transaction.originalId && (
+            <p className="text-xs text-gray-500">
+              ↩ Reverses {formatTransactionType(transaction.originalType)} {transaction.originalId}
+            </p>
+          )}
         </div>
         <div className="text-right">
           <p className={`font-bold ${transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>
@@ -347,6 +329,15 @@ const TransactionItem = ({ transaction }) => {
           {transaction.note}
         </span>
       )}
+      {onDispute && transaction.type === 'digital_bin' && transaction.note === 'Disposed' && (
+        <button
+          type="button"
+          onClick={() => onDispute(transaction)}
+          className="mt-2 ml-2 text-xs text-primary underline"
+        >
+          Dispute payment
+        </button>
+      )}
     </div>
   );
 };
@@ -356,8 +347,10 @@ const EarningsPage = () => {
   const [userProfile, setUserProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('summary');
+  const [disputeBinId, setDisputeBinId] = useState(null);
   const [period, setPeriod] = useState('week');
   const [showCashOutModal, setShowCashOutModal] = useState(false);
+  const [cashCustody, setCashCustody] = useState(null);
   
   // Offline and cache status
   const [isOffline, setIsOffline] = useState(!navigator.onLine);
@@ -403,8 +396,7 @@ const EarningsPage = () => {
     collectorSharePercent: 0,
     platformSharePercent: 0,
     paymentModeBreakdown: null,
-    // Chart and transactions
-    chartData: {},
+    // Transactions
     transactions: [],
     // Detailed breakdown
     detailedEarnings: null,
@@ -421,7 +413,7 @@ const EarningsPage = () => {
     pendingDisposalEarnings, disposedEarnings,
     withdrawableEarnings, estimatedPendingEarnings, cashCollectedEarnings,
     platformEarnings, grossRevenue, 
-    chartData: earningsData, transactions,
+    transactions,
     detailedEarnings, loyaltyTier,
     paymentModeBreakdown,
     ...stats 
@@ -494,7 +486,6 @@ const EarningsPage = () => {
       const statsData = data.stats || data;
       setEarningsState(prev => ({
         ...prev,
-        chartData: data.chartData || {},
         transactions: data.transactions || [],
         totalEarnings: statsData.totalEarnings || data.totalEarnings || 0,
         weeklyEarnings: statsData.weeklyEarnings || data.weeklyEarnings || 0,
@@ -745,6 +736,7 @@ const EarningsPage = () => {
           totalEarnings={totalEarnings}
           availableForWithdrawal={actualWithdrawableAmount}
           pendingDisposalAmount={estimatedPendingEarnings}
+          cashNetted={cashCustody?.netted || 0}
           onWithdrawalSuccess={handleWithdrawalSuccess}
         />
         
@@ -1019,6 +1011,15 @@ const EarningsPage = () => {
           </div>
         )}
         
+        {user?.id && (
+          <CashCustodyCard
+            collectorId={user.id}
+            defaultMomoNumber={userProfile?.phone || ''}
+            onLoad={setCashCustody}
+            onRemitted={fetchEarningsData}
+          />
+        )}
+        
         {/* Earnings Breakdown (SOP v4.5.6) */}
         {detailedEarnings && detailedEarnings.buckets && (
           <div className="bg-white rounded-lg shadow mb-6 p-4">
@@ -1098,6 +1099,38 @@ const EarningsPage = () => {
                 style={{ width: `${Math.min(((loyaltyTier.cashback_earned || 0) / loyaltyTier.monthly_cap) * 100, 100)}%` }}
               ></div>
             </div>
+
+            {loyaltyTier.progress?.next ? (
+              <div className="mt-4 pt-3 border-t border-white border-opacity-30">
+                <div className="flex justify-between items-center text-sm mb-2">
+                  <span className="font-semibold">
+                    Next: {loyaltyTier.progress.next.tier} ({(loyaltyTier.progress.next.cashback_rate * 100).toFixed(0)}%)
+                  </span>
+                  <span className="text-xs opacity-90">
+                    {loyaltyTier.progress.onTrack ? 'On track this month' : 'This month so far'}
+                  </span>
+                </div>
+                {loyaltyTier.progress.criteria.map(item => (
+                  <div key={item.key} className="mb-2">
+                    <div className="flex justify-between text-xs">
+                      <span>{item.met ? '✓ ' : ''}{item.label}</span>
+                      <span>
+                        {formatCriterionValue(item, item.value)} / {item.direction === 'max' ? '≤ ' : ''}{formatCriterionValue(item, item.target)}
+                      </span>
+                    </div>
+                    <div className="w-full bg-white bg-opacity-30 rounded-full h-1.5 mt-1">
+                      <div
+                        className={`h-1.5 rounded-full transition-all ${item.met ? 'bg-green-300' : 'bg-white'}`}
+                        style={{ width: `${item.progress * 100}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                ))}
+                <p className="text-xs opacity-80 mt-2">Tiers are reviewed on the 1st of each month using the month before.</p>
+              </div>
+            ) : loyaltyTier.progress && (
+              <p className="text-xs opacity-90 mt-3">Top tier. Keep these numbers up to stay here next month.</p>
+            )}
           </div>
         )}
         
@@ -1125,13 +1158,24 @@ const EarningsPage = () => {
             <span className="text-lg">📋</span>
             <span>Transactions</span>
           </button>
+          <button
+            className={`flex-1 flex items-center justify-center gap-2 px-6 py-3 rounded-lg text-base font-bold transition-all ${
+              activeTab === 'payouts' 
+                ? 'bg-green-500 text-white shadow-md' 
+                : 'bg-transparent text-gray-600 hover:bg-gray-200'
+            }`}
+            onClick={() => setActiveTab('payouts')}
+          >
+            <span className="text-lg">💸</span>
+            <span>Payouts</span>
+          </button>
         </div>
         
         {/* Tab Content */}
         {activeTab === 'summary' && (
           <div>
-            {/* Earnings Line Chart */}
-            <EarningsLineChart data={earningsData[period]} period={period} />
+            {/* Earnings by day, week or month from the server-side aggregate */}
+            <EarningsChart collectorId={user?.id} />
             
             {/* Stats Summary */}
             <div className="grid grid-cols-2 gap-4 mb-4">
@@ -1176,7 +1220,11 @@ const EarningsPage = () => {
             {/* Fix #7: Paginated transactions */}
             <div className="divide-y">
               {paginatedTransactions.map((transaction, index) => (
-                <TransactionItem key={transaction.id || index} transaction={transaction} />
+                <TransactionItem
+                  key={transaction.id || index}
+                  transaction={transaction}
+                  onDispute={(item) => setDisputeBinId(item.id)}
+                />
               ))}
               {filteredTransactions.length === 0 && (
                 <p className="text-gray-500 text-center py-4">
@@ -1209,6 +1257,18 @@ const EarningsPage = () => {
             )}
           </div>
         )}
+        
+        {activeTab === 'payouts' && user?.id && (
+          <>
+            <PayoutsPanel collectorId={user.id} />
+            <EarningsStatementCard collectorId={user.id} />
+            <TonnageReportCard />
+          </>
+        )}
+
+        {disputeBinId && (
+          <DisputeModal digitalBinId={disputeBinId} onClose={() => setDisputeBinId(null)} />
+        )}
         </div>
       </div>
       
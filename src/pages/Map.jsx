@@ -1,11 +1,12 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo, useContext } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
+import { MapContainer, Marker, Popup, Circle, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { useFilters } from '../context/FilterContext';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import MapControls from '../components/MapControls';
+import BaseTileLayer from '../components/BaseTileLayer';
 import { TopNavBar } from '../components/NavBar';
 import BottomNavBar from '../components/BottomNavBar';
 import Toast from '../components/Toast';
@@ -16,7 +17,11 @@ import { AssignmentStatus, WasteType } from '../utils/types';
 import { requestMarkerIcon, assignmentMarkerIcon, tricycleIcon, createTricycleIcon, calculateBearing, getStopIcon, digitalBinMarkerIcon } from '../utils/markerIcons';
 import { statusService, COLLECTOR_STATUS } from '../services/statusService';
 import { logger } from '../utils/logger';
+import { transitionJobStatus } from '../services/jobStatusService';
+import { StatusTransitionError } from '../utils/statusTransitions';
 import { realtimeNotificationService } from '../services/realtimeNotificationService';
+import { getTravelEstimates } from '../services/distanceMatrixService';
+import { REQUEST_SORT, passesDriveTimeFilter, sortRequests, withTravelEstimate } from '../utils/filterUtils';
 
 // Simple online status check
 const isOnline = () => navigator.onLine;
@@ -157,7 +162,7 @@ const RecenterButton = ({ onClick }) => {
 };
 
 // New Filter Card component that appears at the bottom of the map
-const FilterCard = ({ filters = {}, updateFilters, applyFilters, getMaxRadius }) => {
+const FilterCard = ({ filters = {}, updateFilters, applyFilters, getMaxRadius, driveTimeOptions = [] }) => {
   const [filtersExpanded, setFiltersExpanded] = useState(false);
   
   // Get current maximum radius (10km standard, 10km during extension)
@@ -250,7 +255,7 @@ const FilterCard = ({ filters = {}, updateFilters, applyFilters, getMaxRadius })
       <div 
         className={`transition-all duration-300 ease-in-out overflow-hidden ${
           filtersExpanded 
-            ? 'max-h-32 opacity-100' 
+            ? 'max-h-72 opacity-100' 
             : 'max-h-0 opacity-0'
         }`}
       >
@@ -270,6 +275,43 @@ const FilterCard = ({ filters = {}, updateFilters, applyFilters, getMaxRadius })
               </button>
             ))}
           </div>
+          
+          {/* Ranking by road drive time rather than straight-line distance */}
+          <div className="grid grid-cols-2 gap-2 mt-3">
+            {[
+              [REQUEST_SORT.DISTANCE, 'Nearest'],
+              [REQUEST_SORT.ETA, 'Quickest to reach']
+            ].map(([sortBy, label]) => (
+              <button
+                key={sortBy}
+                onClick={() => handleFilterChange({ sortBy })}
+                className={`py-2 px-4 rounded-md text-center transition-colors duration-200 ${
+                  (safeFilters.sortBy || REQUEST_SORT.DISTANCE) === sortBy
+                    ? 'bg-green-500 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          
+          {driveTimeOptions.length > 0 && (
+            <label className="flex items-center justify-between mt-3 text-sm" style={{ color: '#0a0a0a' }}>
+              <span>Max drive time</span>
+              <select
+                value={safeFilters.maxDriveMinutes || 0}
+                onChange={(e) => handleFilterChange({ maxDriveMinutes: parseInt(e.target.value, 10) || 0 })}
+                className="p-1 border rounded"
+              >
+                {driveTimeOptions.map(minutes => (
+                  <option key={minutes} value={minutes}>
+                    {minutes === 0 ? 'Any' : `${minutes} min`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
       </div>
     </div>
@@ -386,7 +428,7 @@ const FilterPanel = ({ isOpen, onClose, filters, updateFilters, applyFilters })
 const MapPage = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { filters, updateFilters, updateFilteredRequests, getMaxRadius } = useFilters();
+  const { filters, updateFilters, updateFilteredRequests, getMaxRadius, getDriveTimeOptions } = useFilters();
   const [map, setMap] = useState(null);
   
   // User profile data
@@ -1035,6 +1077,35 @@ const MapPage = () => {
   };
 
   // Apply filters to requests
+  // Road distance and ETA to requests in the search radius, looked up only when the
+  // collector sorts or filters by drive time
+  const [travelEstimates, setTravelEstimates] = useState({});
+  const needsTravelEstimates = filters?.sortBy === REQUEST_SORT.ETA || filters?.maxDriveMinutes > 0;
+  // Rounded to ~100 m so GPS jitter doesn't trigger new lookups
+  const etaLat = position?.[0] && position?.[1] ? Number(position[0].toFixed(3)) : null;
+  const etaLng = position?.[0] && position?.[1] ? Number(position[1].toFixed(3)) : null;
+  const etaOrigin = useMemo(
+    () => (etaLat !== null && etaLng !== null ? [etaLat, etaLng] : null),
+    [etaLat, etaLng]
+  );
+  const searchRadius = filters?.searchRadius;
+  
+  useEffect(() => {
+    if (!needsTravelEstimates || !etaOrigin || !isOnlineStatus) return;
+    
+    const radiusKm = parseFloat(searchRadius) || 10;
+    const candidates = allRequests
+      .filter(req => req?.coordinates && calculateDistance(etaOrigin, req.coordinates) <= radiusKm)
+      .map(req => ({ id: req.id, coordinates: req.coordinates }));
+    if (candidates.length === 0) return;
+    
+    let cancelled = false;
+    getTravelEstimates(etaOrigin, candidates).then(estimates => {
+      if (!cancelled) setTravelEstimates(estimates);
+    });
+    return () => { cancelled = true; };
+  }, [needsTravelEstimates, etaOrigin, allRequests, searchRadius, isOnlineStatus]);
+
   const applyFilters = useCallback(async () => {
     // Position should always be available now (fallback or real GPS)
     if (!position || !position[0] || !position[1]) {
@@ -1097,16 +1168,24 @@ const MapPage = () => {
       return true;
     });
     
-    // Sort by distance
-    filteredRequests.sort((a, b) => (a.distance || 0) - (b.distance || 0));
+    // Sort by distance, or by road ETA (straight-line estimate until the lookup returns)
+    const usesTravelEstimates = safeFilters.sortBy === REQUEST_SORT.ETA || safeFilters.maxDriveMinutes > 0;
+    const rankedRequests = sortRequests(
+      usesTravelEstimates
+        ? filteredRequests
+          .map(req => withTravelEstimate(req, travelEstimates[req.id]))
+          .filter(req => passesDriveTimeFilter(req, safeFilters.maxDriveMinutes))
+        : filteredRequests,
+      safeFilters.sortBy
+    );
     
     // Single summary log instead of per-item logging
-    logger.debug('🔍 Filtered requests:', filteredRequests.length, 'of', allRequests.length,
-      '| radius:', radiusKm + 'km | filter:', activeFilter);
+    logger.debug('🔍 Filtered requests:', rankedRequests.length, 'of', allRequests.length,
+      '| radius:', radiusKm + 'km | filter:', activeFilter, '| sort:', safeFilters.sortBy || REQUEST_SORT.DISTANCE);
     
-    setRequests(filteredRequests);
-    updateFilteredRequests({ available: filteredRequests });
-  }, [allRequests, filters, position, updateFilteredRequests]);
+    setRequests(rankedRequests);
+    updateFilteredRequests({ available: rankedRequests });
+  }, [allRequests, filters, position, travelEstimates, updateFilteredRequests]);
 
   // Debounced filter application — batches rapid GPS/state changes into one run
   const filterTimerRef = useRef(null);
@@ -1481,19 +1560,22 @@ const MapPage = () => {
       // Show processing toast
       showToast('Processing your request...', 'info');
       
-      // Update request in Supabase
-      const { data, error } = await supabase
-        .from('pickup_requests')
-        .update({ 
-          status: 'accepted',
+      // Update request in Supabase (refused if someone else accepted it first)
+      const acceptedAt = new Date().toISOString();
+      const hasGpsFix = position[0] !== DEFAULT_POSITION[0] || position[1] !== DEFAULT_POSITION[1];
+      await transitionJobStatus({
+        entityType: 'pickup_request',
+        entityId: requestId,
+        toStatus: 'accepted',
+        expectedStatus: 'pending',
+        occurredAt: acceptedAt,
+        location: hasGpsFix ? { lat: position[0], lng: position[1] } : null,
+        fields: {
           collector_id: user?.id,
-          accepted_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', requestId)
-        .select();
-      
-      if (error) throw error;
+          accepted_at: acceptedAt,
+          updated_at: acceptedAt
+        }
+      });
       
       // Remove the accepted request from the available requests
       setAllRequests(prev => {
@@ -1509,7 +1591,10 @@ const MapPage = () => {
       await fetchAssignments();
     } catch (err) {
       logger.error('Error accepting assignment:', err);
-      showToast('Failed to accept request. Please try again.', 'error');
+      showToast(
+        err instanceof StatusTransitionError ? err.message : 'Failed to accept request. Please try again.',
+        'error'
+      );
     }
   };
 
@@ -1656,6 +1741,7 @@ const MapPage = () => {
               updateFilters={updateFilters} 
               applyFilters={applyFilters}
               getMaxRadius={getMaxRadius}
+              driveTimeOptions={getDriveTimeOptions()}
             />
             
             {/* Waste type legend - moved outside map container */}
@@ -1697,10 +1783,7 @@ const MapPage = () => {
                 zoomControl={false}
               >
                 <LocationUpdater position={position} setMap={setMap} />
-                <TileLayer
-                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                />
+                <BaseTileLayer />
                 
                 {/* User location marker with heading-based rotation */}
                 <Marker position={position} icon={createTricycleIcon(currentHeading)}>
@@ -1804,6 +1887,9 @@ const MapPage = () => {
                             <p className="text-sm text-gray-600 mb-2">{request.location}</p>
                             <p className="text-sm text-gray-600 mb-2">
                               Distance: {formatDistance(calculateDistance(position, request.coordinates))}
+                              {Number.isFinite(request.etaMinutes) && !request.etaApproximate && (
+                                <> · ~{Math.max(1, Math.round(request.etaMinutes))} min drive</>
+                              )}
                             </p>
                             {request.source_type === 'digital_bin' ? (
                               <p className="text-sm text-blue-600 mb-2 font-medium">Digital Bin Collection</p>
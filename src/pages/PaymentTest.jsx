@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { initiateCollection, checkCollectionStatus } from '../services/paymentService';
 import { testConnection } from '../services/trendiPayService';
+import { PAYMENT_CONFIG } from '../config/paymentConfig';
 import { supabase } from '../services/supabase';
 import { useAuth } from '../context/AuthContext';
 
@@ -277,7 +278,15 @@ export default function PaymentTest() {
               <p><span className="font-medium">Webhook URL:</span> {import.meta.env.VITE_API_URL}</p>
               <p><span className="font-medium">Terminal ID:</span> {import.meta.env.VITE_TRENDIPAY_TERMINAL_ID}</p>
               <p><span className="font-medium">TrendiPay Enabled:</span> {import.meta.env.VITE_ENABLE_TRENDIPAY}</p>
+              <p><span className="font-medium">Payment Provider:</span> {PAYMENT_CONFIG.provider}</p>
             </div>
+            {PAYMENT_CONFIG.provider === 'mock' && (
+              <div className="text-xs text-blue-800 mt-3 space-y-0.5">
+                <p className="font-medium">Mock gateway at {PAYMENT_CONFIG.mock.baseUrl} — test numbers:</p>
+                <p>0240000001 approves · 0240000002 is declined</p>
+                <p>0240000003 never answers · 0240000004 sends the callback twice</p>
+              </div>
+            )}
           </div>
 
           {/* Quick Tests */}
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { TopNavBar } from '../components/NavBar';
 import BottomNavBar from '../components/BottomNavBar';
+import OfflineRegionPacks from '../components/OfflineRegionPacks';
+import BasemapArchive from '../components/BasemapArchive';
 import { useAuth } from '../context/AuthContext';
 import { useLanguage } from '../context/LanguageContext';
 import { authService } from '../services/supabase';
@@ -206,6 +208,12 @@ const ProfilePage = () => {
           >
             Vehicle
           </button>
+          <button
+            className={`flex-1 px-4 py-2 text-sm sm:text-base whitespace-nowrap ${activeTab === 'offline' ? 'border-b-2 border-primary text-primary font-semibold' : 'text-gray-500'}`}
+            onClick={() => setActiveTab('offline')}
+          >
+            Offline Maps
+          </button>
         </div>
         
         {/* Personal Info Tab */}
@@ -393,6 +401,14 @@ const ProfilePage = () => {
             </button>
           </div>
         )}
+
+        {/* Offline Maps Tab */}
+        {activeTab === 'offline' && (
+          <>
+            <BasemapArchive />
+            <OfflineRegionPacks workRegion={user.region} />
+          </>
+        )}
       </div>
 
       {/* Developer Tools Section */}
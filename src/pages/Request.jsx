@@ -7,6 +7,7 @@ import 'leaflet/dist/leaflet.css';
 
 import { useFilters } from '../context/FilterContext';
 import { useAuth } from '../context/AuthContext';
+import { useOffline } from '../contexts/OfflineContext';
 import { useAppState } from '../context/AppStateContext'; // Add for modal management
 import { TopNavBar } from '../components/NavBar';
 import BottomNavBar from '../components/BottomNavBar';
@@ -14,21 +15,28 @@ import RequestCard from '../components/RequestCard';
 import NavigationQRModal from '../components/NavigationQRModal';
 import DisposalModal from '../components/DisposalModal';
 import DigitalBinPaymentModal from '../components/DigitalBinPaymentModal';
+import DisposalTripModal from '../components/DisposalTripModal';
+import PickupEvidenceModal from '../components/PickupEvidenceModal';
 import Toast from '../components/Toast';
 
 import { PickupRequestStatus, WasteType, AssignmentStatus } from '../utils/types';
 import { transformRequestsData } from '../utils/requestUtils';
 import { getCurrentLocation, getLocationWithRetry, isWithinRadius } from '../utils/geoUtils';
-import { registerConnectivityListeners } from '../utils/offlineUtils';
+import { registerConnectivityListeners, QUEUE_ENTITY_TYPES } from '../utils/offlineUtils';
 import { supabase, authService } from '../services/supabase';
 import usePhotoCapture from '../hooks/usePhotoCapture';
 import { logger } from '../utils/logger';
 import { DISPOSAL_SITE_RADIUS_KM, GEOFENCE_DESCRIPTIONS } from '../config/geofenceConfig';
 import { initiateCollection } from '../services/paymentService';
-import { disposeDigitalBin, disposePickupRequest } from '../services/disposalService';
+import { pickupLifecycle } from '../services/pickupLifecycleService';
+import { OFFLINE_ACTION_TYPES } from '../services/offlineSyncService';
+import { queueEvidencePhotoUploads } from '../services/evidencePhotoService';
+import { StatusTransitionError } from '../utils/statusTransitions';
 
 // OPTIMIZATION: Memoize RequestCard for better performance
 import { requestManager } from '../services/requestManagement';
+import { getFacilityDirectory, rankFacilitiesForLoad } from '../services/facilityDirectoryService';
+import { loadUnitsOf } from '../utils/weighbridgeTicket';
 
 // Fix Leaflet default marker icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -83,10 +91,26 @@ const loadNavModalState = () => {
   }
 };
 
+// A picked-up item as a job in the load (disposal trip, weighbridge ticket)
+const toLoadJob = (request) => ({
+  jobType: request.source_type === 'digital_bin' ? QUEUE_ENTITY_TYPES.DIGITAL_BIN : QUEUE_ENTITY_TYPES.PICKUP_REQUEST,
+  jobId: request.id,
+  loadUnits: loadUnitsOf(request),
+  label: request.location
+});
+
+// A location from state (lat/lng or latitude/longitude) as the fix a trip records
+const toFix = (location) => {
+  const lat = location?.lat ?? location?.latitude;
+  const lng = location?.lng ?? location?.longitude;
+  return lat != null && lng != null ? { lat, lng, accuracy: location.accuracy ?? null } : null;
+};
+
 const RequestPage = () => {
   const { id: requestId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { queueOfflineAction } = useOffline();
   const { setActiveModal, clearActiveModal, activeModal, activeModalData } = useAppState(); // Add modal management
   const [userProfile, setUserProfile] = useState(null);
   
@@ -141,6 +165,11 @@ const RequestPage = () => {
     logger.info('🔄 Restored navigation modal state:', savedNavState);
   }
   const [showDisposalModal, setShowDisposalModal] = useState(false);
+  // Disposal trip open at a site ({ site, location }), shown until the load is tipped or dismissed
+  const [disposalTrip, setDisposalTrip] = useState(null);
+  // Pickup or bin whose collection photos are being taken, and who is waiting on them
+  const [evidenceRequest, setEvidenceRequest] = useState(null);
+  const evidenceResolverRef = useRef(null);
   const [selectedDisposalCenter, setSelectedDisposalCenter] = useState(null);
   const [currentDisposalRequestId, setCurrentDisposalRequestId] = useState(null);
   
@@ -544,9 +573,16 @@ const RequestPage = () => {
           const hasMapFiltered = filteredRequests.available != null;
           
           if (hasMapFiltered) {
-            // Map has run filtering - respect its results (even if empty array)
-            const mapFilteredIds = new Set(filteredRequests.available.map(r => r.id));
-            availableRequests = allAvailable.filter(r => mapFilteredIds.has(r.id));
+            // Map has run filtering - respect its results (even if empty array) and its
+            // ranking, which may be by road ETA rather than distance
+            const availableById = new Map(allAvailable.map(r => [r.id, r]));
+            availableRequests = filteredRequests.available
+              .filter(r => availableById.has(r.id))
+              .map(r => ({
+                ...availableById.get(r.id),
+                etaMinutes: r.etaMinutes,
+                etaApproximate: r.etaApproximate
+              }));
             logger.debug('📋 Available requests (Map-filtered):', availableRequests.length, 'of', allAvailable.length, '| Map found:', filteredRequests.available.length);
           } else {
             // Fallback: Map hasn't loaded/filtered yet — show all
@@ -735,93 +771,31 @@ const RequestPage = () => {
         phone: user?.phone
       });
       
-      if (isDigitalBin) {
-        // Handle digital bin acceptance - update digital_bins table to 'accepted' status
-        logger.info('📦 Updating digital_bins table for request:', requestId);
-        
-        // DUPLICATE CHECK: Verify bin is not already accepted by any collector
-        const { data: existingBin, error: checkError } = await supabase
-          .from('digital_bins')
-          .select('id, status, collector_id')
-          .eq('id', requestId)
-          .single();
-        
-        if (checkError) {
-          logger.error('❌ Error checking bin status:', checkError);
-          throw new Error('Failed to verify bin availability');
-        }
-        
-        // Check if bin is already accepted or picked up
-        if (['accepted', 'en_route', 'arrived', 'collecting'].includes(existingBin.status)) {
-          logger.warn('⚠️ Digital bin already accepted/picked up:', {
-            binId: requestId,
-            status: existingBin.status,
-            collectorId: existingBin.collector_id,
-            currentUser: user?.id,
-            isSameCollector: existingBin.collector_id === user?.id
-          });
-          
-          if (existingBin.collector_id === user?.id) {
-            showToast('You have already accepted this bin.', 'warning');
-          } else {
-            showToast('This bin has already been accepted by another collector.', 'error');
+      if (isDigitalBin || isPickupRequest) {
+        // Applied now when online, queued otherwise. Only goes through while the job is
+        // still in the status shown here, so a collector who accepted it in the meantime
+        // keeps it (a queued accept is refused on replay)
+        result = await pickupLifecycle.transition({
+          entityType: isDigitalBin ? QUEUE_ENTITY_TYPES.DIGITAL_BIN : QUEUE_ENTITY_TYPES.PICKUP_REQUEST,
+          entityId: requestId,
+          fromStatus: requestToAccept.status || PickupRequestStatus.PENDING,
+          toStatus: PickupRequestStatus.ACCEPTED,
+          fields: {
+            collector_id: user?.id,
+            ...(isPickupRequest
+              ? { assignment_expires_at: new Date(Date.now() + requestManager.ASSIGNMENT_DURATION).toISOString() }
+              : {})
           }
-          
-          // Force refresh to sync UI with actual database state
-          localStorage.setItem('force_cache_reset', 'true');
-          await fetchRequests();
+        });
+
+        if (!result.success) {
+          logger.error('❌ Acceptance refused:', result);
+          showToast(result.error || 'Failed to accept request. Please try again.', 'error');
+          // Whatever it is now, the list is out of date
+          fetchRequests();
           return;
         }
-        
-        // Now that accepted_at column exists, set status properly in DB
-        const updateData = {
-          status: 'accepted',
-          collector_id: user?.id
-        };
-        
-        logger.info('📦 Update payload:', updateData);
-        
-        const { data, error } = await supabase
-          .from('digital_bins')
-          .update(updateData)
-          .eq('id', requestId)
-          .select(); // CRITICAL: Must add .select() to get updated data back
-          
-        logger.info('📊 Digital bin update response:', { data, error, hasData: !!data, dataLength: data?.length });
-          
-        // Check for database errors
-        if (error) {
-          logger.error('❌ Digital bin acceptance failed:', error);
-          logger.error('❌ Error details:', {
-            code: error.code,
-            message: error.message,
-            details: error.details,
-            hint: error.hint
-          });
-          throw new Error(error.message || 'Failed to accept digital bin');
-        }
-        
-        // Verify the update actually affected a row
-        if (!data || data.length === 0) {
-          logger.error('❌ Digital bin not found or already accepted:', requestId);
-          logger.error('❌ Possible causes: RLS policy blocking update, bin already accepted, or bin does not exist');
-          throw new Error('Digital bin not found or already accepted by another collector');
-        }
-        
-        logger.info('✅ Digital bin accepted in database:', data[0]);
-        result = { success: true, data: data[0] }; // Normalize response format
-      } else if (isPickupRequest) {
-        // Ensure requestManager is initialized
-        if (!requestManager.isInitialized) {
-          logger.info('🔄 Initializing requestManager before accepting request...');
-          await requestManager.initialize(user?.id);
-        }
-        
-        // Use requestManager for pickup requests
-        logger.debug('📦 Using requestManager.acceptRequest()...');
-        result = await requestManager.acceptRequest(requestId, user?.id);
-        
-        logger.debug('📊 RequestManager result:', { success: result?.success, error: result?.error });
+        logger.info(`✅ ${isDigitalBin ? 'Digital bin' : 'Pickup request'} ${result.queued ? 'accept queued' : 'accepted'}:`, requestId);
       } else if (isAuthorityAssignment) {
         // Direct Supabase call for authority assignments
         logger.debug('📦 Updating authority_assignments table...');
@@ -906,13 +880,18 @@ const RequestPage = () => {
         const requestType = isDigitalBin ? 'digital bin' : 
                            isPickupRequest ? 'pickup' : 
                            'assignment';
-        showToast(`Successfully accepted ${requestType}!`, 'success');
+        showToast(
+          result.queued
+            ? `Accepted ${requestType} offline. It will sync when you're back online.`
+            : `Successfully accepted ${requestType}!`,
+          'success'
+        );
         // Switch to accepted tab for all request types
         setActiveTab('accepted');
       }
     } catch (err) {
       logger.error('Error accepting request:', err);
-      if (err?.message?.includes('already accepted') || err?.message?.includes('reservation expired')) {
+      if (err instanceof StatusTransitionError || err?.message?.includes('already accepted') || err?.message?.includes('reservation expired')) {
         showToast(err.message, 'error');
         // Refresh the list to show current state
         fetchRequests();
@@ -1063,6 +1042,8 @@ const RequestPage = () => {
           if (checkWithinDisposalRange(userLocation, siteWithCoords)) {
             logger.info('🎯 Auto-detected at disposal site:', center.name);
             setSelectedDisposalCenter(siteWithCoords);
+            // Entering the geofence opens the trip for everything in the vehicle
+            setDisposalTrip({ site: siteWithCoords, location: toFix(userLocation) });
             return;
           }
         }
@@ -1377,19 +1358,19 @@ const RequestPage = () => {
         // Update DB status to 'en_route' so the client's Active Pickup modal shows progress
         const isDigitalBin = request.source_type === 'digital_bin';
         const isValidUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(requestId);
-        if (isValidUuid) {
-          const tableName = isDigitalBin ? 'digital_bins' : 'pickup_requests';
-          supabase
-            .from(tableName)
-            .update({ status: PickupRequestStatus.EN_ROUTE })
-            .eq('id', requestId)
-            .then(({ error }) => {
-              if (error) {
-                logger.warn('Could not update status to en_route:', error.message);
-              } else {
-                logger.info(`✅ Status updated to en_route in ${tableName}`);
-              }
-            });
+        if (isValidUuid && request.status === PickupRequestStatus.ACCEPTED) {
+          pickupLifecycle.transition({
+            entityType: isDigitalBin ? QUEUE_ENTITY_TYPES.DIGITAL_BIN : QUEUE_ENTITY_TYPES.PICKUP_REQUEST,
+            entityId: requestId,
+            fromStatus: request.status,
+            toStatus: PickupRequestStatus.EN_ROUTE
+          }).then(result => {
+            if (!result.success) {
+              logger.warn('Could not update status to en_route:', result.error);
+            } else {
+              logger.info(`✅ Status ${result.queued ? 'queued' : 'updated'}: en_route for ${requestId}`);
+            }
+          });
         }
         
         // Clear any highlight on this request
@@ -1438,6 +1419,37 @@ const RequestPage = () => {
   }, []);
 
   // Handle QR scan - Optimized for better performance
+  // The server only takes a pickup or bin to 'collecting' once its before/after photos
+  // are linked: ask for them, then queue their uploads on the job so the status change
+  // that follows waits for them. Resolves false if the driver backs out.
+  const collectPickupEvidence = (request) => new Promise(resolve => {
+    evidenceResolverRef.current = resolve;
+    setEvidenceRequest(request);
+  });
+
+  const settlePickupEvidence = (ready) => {
+    evidenceResolverRef.current?.(ready);
+    evidenceResolverRef.current = null;
+    setEvidenceRequest(null);
+  };
+
+  const handleEvidenceConfirm = async (photos) => {
+    try {
+      await queueEvidencePhotoUploads(queueOfflineAction, OFFLINE_ACTION_TYPES.UPLOAD_PHOTO, {
+        jobType: evidenceRequest.source_type === 'digital_bin' ? QUEUE_ENTITY_TYPES.DIGITAL_BIN : QUEUE_ENTITY_TYPES.PICKUP_REQUEST,
+        jobId: evidenceRequest.id,
+        collectorId: user?.id,
+        photos
+      });
+    } catch (queueError) {
+      logger.error('Error queuing collection photos:', queueError);
+      showToast('Could not save the photos. Please try again.', 'error');
+      return false;
+    }
+    settlePickupEvidence(true);
+    return true;
+  };
+
   const handleScanQR = async (requestId, scannedBags) => {
     const startTime = performance.now();
     
@@ -1490,13 +1502,14 @@ const RequestPage = () => {
           .eq('id', requestId)
           .single();
 
-        if (checkError) {
+        // Offline: trust the status we last saw, the lifecycle queue validates on replay
+        if (checkError && navigator.onLine) {
           logger.error('Error checking bin status before pickup:', checkError);
           showToast('Error verifying bin status. Please try again.', 'error');
           return;
         }
 
-        if (existingBin.status === 'collecting') {
+        if (existingBin?.status === 'collecting') {
           logger.warn('⚠️ Bin already picked up:', requestId);
           showToast('This bin has already been picked up.', 'warning');
           localStorage.setItem('force_cache_reset', 'true');
@@ -1504,39 +1517,24 @@ const RequestPage = () => {
           return;
         }
 
-        if (existingBin.collector_id && existingBin.collector_id !== user?.id) {
+        if (existingBin?.collector_id && existingBin.collector_id !== user?.id) {
           logger.error('❌ Collector mismatch:', { binCollector: existingBin.collector_id, currentUser: user?.id });
           showToast('This bin was accepted by a different collector.', 'error');
           return;
         }
 
-        // Walk through DB status transition chain (accepted → en_route → arrived → collecting)
-        const transitionChain = {
-          'accepted': ['en_route', 'arrived', 'collecting'],
-          'en_route': ['arrived', 'collecting'],
-          'arrived': ['collecting'],
-        };
-        const steps = transitionChain[existingBin.status] || ['collecting'];
-        let transitionError = null;
-
-        for (const step of steps) {
-          const { error: stepError } = await supabase
-            .from('digital_bins')
-            .update({ status: step })
-            .eq('id', requestId)
-            .eq('collector_id', user?.id);
-
-          if (stepError) {
-            logger.warn(`Status transition to '${step}' failed:`, stepError.message);
-            transitionError = stepError;
-            break;
-          }
-          logger.info(`✅ Status transitioned to '${step}'`);
-        }
+        if (!(await collectPickupEvidence(currentRequest))) return;
 
-        if (transitionError) {
-          logger.error('Error updating digital bin status:', transitionError);
-          showToast('Error updating bin status. Please try again.', 'error');
+        // Walk through the status chain (accepted → en_route → arrived → collecting)
+        const transitionResult = await pickupLifecycle.transition({
+          entityType: QUEUE_ENTITY_TYPES.DIGITAL_BIN,
+          entityId: requestId,
+          fromStatus: existingBin?.status || currentRequest.status,
+          toStatus: PickupRequestStatus.PICKED_UP
+        });
+        if (!transitionResult.success) {
+          logger.error('Error updating digital bin status:', transitionResult.error);
+          showToast(transitionResult.error || 'Error updating bin status. Please try again.', 'error');
           return;
         }
 
@@ -1677,6 +1675,10 @@ const RequestPage = () => {
         showToast('Request not found', 'error');
         return;
       }
+
+      // Check if the request ID is a valid UUID (for Supabase) or a custom format (for demo/local data)
+      const isValidUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(requestId);
+      if (isValidUuid && !(await collectPickupEvidence(requestToComplete))) return;
       
       // Show processing toast
       showToast('Processing your request...', 'info');
@@ -1693,49 +1695,22 @@ const RequestPage = () => {
       const completionBonus = totalBagFees * 0.1;
       const totalEarnings = totalBagFees + completionBonus;
       
-      // Check if the request ID is a valid UUID (for Supabase) or a custom format (for demo/local data)
-      const isValidUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(requestId);
-      
+      let savedOffline = false;
+      let pickedUpAt = new Date().toISOString();
+
       if (isValidUuid) {
-        // Determine if this is a digital bin or pickup request
+        // Walks accepted → en_route → arrived → collecting, offline-capable
         const isDigitalBin = requestToComplete.source_type === 'digital_bin';
-        
-        if (isDigitalBin) {
-          // Update digital bin status via transition chain
-          // DB trigger enforces: accepted → en_route → arrived → collecting
-          const { data: currentBin } = await supabase
-            .from('digital_bins')
-            .select('status')
-            .eq('id', requestId)
-            .single();
-          
-          const chain = {
-            'accepted': ['en_route', 'arrived', 'collecting'],
-            'en_route': ['arrived', 'collecting'],
-            'arrived': ['collecting'],
-          };
-          const steps = chain[currentBin?.status] || ['collecting'];
-          
-          for (const step of steps) {
-            const { error: stepErr } = await supabase
-              .from('digital_bins')
-              .update({ status: step })
-              .eq('id', requestId);
-            if (stepErr) throw stepErr;
-          }
-        } else {
-          // Update pickup request in Supabase
-          const { error: assignmentError } = await supabase
-            .from('pickup_requests')
-            .update({ 
-              status: PickupRequestStatus.PICKED_UP,
-              picked_up_at: new Date().toISOString()
-              // Removed non-existent columns: scanned_bags, environmental_impact, completion_bonus, total_earnings
-            })
-            .eq('id', requestId);
-          
-          if (assignmentError) throw assignmentError;
-        }
+        const result = await pickupLifecycle.transition({
+          entityType: isDigitalBin ? QUEUE_ENTITY_TYPES.DIGITAL_BIN : QUEUE_ENTITY_TYPES.PICKUP_REQUEST,
+          entityId: requestId,
+          fromStatus: requestToComplete.status,
+          toStatus: PickupRequestStatus.PICKED_UP
+        });
+
+        if (!result.success) throw new Error(result.error);
+        savedOffline = result.queued;
+        pickedUpAt = result.occurredAt || pickedUpAt;
       } else {
         // For non-UUID IDs (like A-42861), we'll only update the local state
         // This is for demo/test data that doesn't exist in the database
@@ -1817,7 +1792,7 @@ const RequestPage = () => {
       const updatedRequest = {
         ...requestToComplete,
         status: PickupRequestStatus.PICKED_UP,
-        picked_up_at: new Date().toISOString(),
+        picked_up_at: pickedUpAt,
         scanned_bags: scannedBags,
         environmental_impact: environmentalImpact,
         completion_bonus: completionBonus,
@@ -1841,7 +1816,9 @@ const RequestPage = () => {
       
       // Show success toast with bonus info
       showToast(
-        `Successfully completed pickup! Earned ₵${completionBonus.toFixed(2)} bonus for ${scannedBags.length} bags.`,
+        savedOffline
+          ? `Pickup saved offline for ${scannedBags.length} bags. It will sync when you're back online.`
+          : `Successfully completed pickup! Earned ₵${completionBonus.toFixed(2)} bonus for ${scannedBags.length} bags.`,
         'success'
       );
       
@@ -1867,168 +1844,52 @@ const RequestPage = () => {
       // Show loading state
       showToast('Finding nearest disposal center...', 'info');
       
-      // Fetch all disposal centers from Supabase
-      const { data: disposalCenters, error: fetchError } = await supabase
-        .from('disposal_centers')
-        .select('id, name, address, latitude, longitude, waste_type, center_type')
-        .order('name');
+      const { success, facilities } = await getFacilityDirectory();
       
-      if (fetchError) {
-        logger.error('Error fetching disposal centers:', fetchError);
+      if (!success) {
         showToast('Unable to fetch disposal centers. Please check your connection and try again.', 'error');
         return;
       }
       
-      if (!disposalCenters || disposalCenters.length === 0) {
+      if (facilities.length === 0) {
         showToast('No disposal centers found in the database.', 'error');
         return;
       }
       
-      // Find nearest disposal center based on user location
-      let nearestCenter = null;
-      let minDistance = Infinity;
-      
       // Check for userLocation with either lat/lng or latitude/longitude format
       const hasValidLocation = userLocation && 
         ((userLocation.lat && userLocation.lng) || 
          (userLocation.latitude && userLocation.longitude));
       
-      if (hasValidLocation) {
-        // Normalize coordinates to lat/lng format
-        const userLat = userLocation.lat || userLocation.latitude;
-        const userLng = userLocation.lng || userLocation.longitude;
-        
+      const origin = hasValidLocation
+        ? { lat: userLocation.lat || userLocation.latitude, lng: userLocation.lng || userLocation.longitude }
+        : null;
+      
+      if (origin) {
         logger.info('📍 Using user location for disposal center search:', {
-          lat: userLat,
-          lng: userLng,
+          ...origin,
           isFallback: userLocation.isFallback || false
         });
-        
-        // Calculate distance to each disposal center
-        disposalCenters.forEach(center => {
-          // Parse coordinates - handle multiple PostGIS formats
-          let centerLat = null;
-          let centerLng = null;
-          
-          // Try parsing latitude
-          if (typeof center.latitude === 'number') {
-            centerLat = center.latitude;
-          } else if (typeof center.latitude === 'object') {
-            // PostGIS POINT format: {x: lng, y: lat}
-            if (center.latitude.x !== undefined && center.latitude.y !== undefined) {
-              centerLng = center.latitude.x;
-              centerLat = center.latitude.y;
-            }
-            // PostGIS GEOGRAPHY format with coordinates array
-            else if (center.latitude.coordinates && Array.isArray(center.latitude.coordinates)) {
-              centerLng = center.latitude.coordinates[0];
-              centerLat = center.latitude.coordinates[1];
-            }
-          } else if (typeof center.latitude === 'string') {
-            // Try parsing numeric string
-            const parsed = parseFloat(center.latitude);
-            if (!isNaN(parsed)) centerLat = parsed;
-          }
-          
-          // Try parsing longitude (if not already set from latitude object)
-          if (centerLng === null) {
-            if (typeof center.longitude === 'number') {
-              centerLng = center.longitude;
-            } else if (typeof center.longitude === 'object') {
-              if (center.longitude.x !== undefined && center.longitude.y !== undefined) {
-                centerLng = center.longitude.x;
-                centerLat = center.longitude.y;
-              } else if (center.longitude.coordinates && Array.isArray(center.longitude.coordinates)) {
-                centerLng = center.longitude.coordinates[0];
-                centerLat = center.longitude.coordinates[1];
-              }
-            } else if (typeof center.longitude === 'string') {
-              const parsed = parseFloat(center.longitude);
-              if (!isNaN(parsed)) centerLng = parsed;
-            }
-          }
-          
-          // Skip if we couldn't parse coordinates
-          if (centerLat === null || centerLng === null || isNaN(centerLat) || isNaN(centerLng)) {
-            logger.warn('Could not parse disposal center coordinates:', {
-              id: center.id,
-              name: center.name,
-              latType: typeof center.latitude,
-              lngType: typeof center.longitude
-            });
-            return;
-          }
-          
-          const distance = calculateDistance(
-            { lat: userLat, lng: userLng },
-            { lat: centerLat, lng: centerLng }
-          );
-          
-          if (distance < minDistance) {
-            minDistance = distance;
-            nearestCenter = {
-              ...center,
-              lat: centerLat,
-              lng: centerLng,
-              coordinates: [centerLat, centerLng], // Add coordinates array for DisposalModal
-              distance: distance
-            };
-          }
-        });
       } else {
-        // No user location available, use first disposal center
-        logger.warn('User location not available, using first disposal center');
-        const firstCenter = disposalCenters[0];
-        let centerLat = null;
-        let centerLng = null;
-        
-        // Parse coordinates using same logic as above
-        if (typeof firstCenter.latitude === 'number') {
-          centerLat = firstCenter.latitude;
-        } else if (typeof firstCenter.latitude === 'object') {
-          if (firstCenter.latitude.x !== undefined && firstCenter.latitude.y !== undefined) {
-            centerLng = firstCenter.latitude.x;
-            centerLat = firstCenter.latitude.y;
-          } else if (firstCenter.latitude.coordinates && Array.isArray(firstCenter.latitude.coordinates)) {
-            centerLng = firstCenter.latitude.coordinates[0];
-            centerLat = firstCenter.latitude.coordinates[1];
-          }
-        } else if (typeof firstCenter.latitude === 'string') {
-          const parsed = parseFloat(firstCenter.latitude);
-          if (!isNaN(parsed)) centerLat = parsed;
-        }
-        
-        if (centerLng === null) {
-          if (typeof firstCenter.longitude === 'number') {
-            centerLng = firstCenter.longitude;
-          } else if (typeof firstCenter.longitude === 'object') {
-            if (firstCenter.longitude.x !== undefined && firstCenter.longitude.y !== undefined) {
-              centerLng = firstCenter.longitude.x;
-              centerLat = firstCenter.longitude.y;
-            } else if (firstCenter.longitude.coordinates && Array.isArray(firstCenter.longitude.coordinates)) {
-              centerLng = firstCenter.longitude.coordinates[0];
-              centerLat = firstCenter.longitude.coordinates[1];
-            }
-          } else if (typeof firstCenter.longitude === 'string') {
-            const parsed = parseFloat(firstCenter.longitude);
-            if (!isNaN(parsed)) centerLng = parsed;
-          }
-        }
-        
-        nearestCenter = {
-          ...firstCenter,
-          lat: centerLat,
-          lng: centerLng,
-          coordinates: [centerLat, centerLng], // Add coordinates array for DisposalModal
-          distance: null
-        };
+        logger.warn('User location not available, disposal centers are not ranked by distance');
       }
       
-      if (!nearestCenter) {
-        showToast('Unable to find a suitable disposal center.', 'error');
+      // Sites that take this waste, open ones first, nearest by drive time
+      const ranked = await rankFacilitiesForLoad(facilities, { origin, wasteType: request.waste_type });
+      const best = ranked.find(site => site.availability.canDispose) || ranked[0];
+      
+      if (!best) {
+        showToast(`No disposal center takes ${request.waste_type || 'this'} waste.`, 'error');
         return;
       }
       
+      const nearestCenter = {
+        ...best,
+        lat: best.latitude,
+        lng: best.longitude,
+        distance: origin ? best.distanceKm : null
+      };
+      
       // Log disposal center details
       logger.info('🗺️ Found nearest disposal center:', {
         name: nearestCenter.name,
@@ -2054,7 +1915,11 @@ const RequestPage = () => {
       const distanceText = nearestCenter.distance 
         ? ` (${nearestCenter.distance.toFixed(1)} km away)` 
         : '';
-      showToast(`Found ${nearestCenter.name}${distanceText}`, 'success', 3000);
+      if (nearestCenter.availability.canDispose) {
+        showToast(`Found ${nearestCenter.name}${distanceText}`, 'success', 3000);
+      } else {
+        showToast(`No suitable site is open right now. ${nearestCenter.name}: ${nearestCenter.availability.label}`, 'warning', 5000);
+      }
       
     } catch (error) {
       logger.error('Error in handleLocateSite:', error);
@@ -2249,107 +2114,9 @@ const GeofenceErrorModal = ({
       setGeofenceModalOpen(true);
       return;
     }
-    try {
-      // Validate input
-      if (!requestId) {
-        logger.error('Invalid requestId in handleDisposeBag:', requestId);
-        showToast('Invalid request data', 'error');
-        return;
-      }
 
-      // Ensure requests.picked_up exists and is an array
-      if (!requests.picked_up || !Array.isArray(requests.picked_up)) {
-        logger.error('requests.picked_up is not an array:', requests.picked_up);
-        showToast('Error accessing request data. Please refresh the page.', 'error');
-        return;
-      }
-      
-      // Find the request
-      const requestIndex = requests.picked_up.findIndex(req => req && req.id === requestId);
-      
-      if (requestIndex === -1) {
-        showToast('Request not found', 'error');
-        return;
-      }
-      
-      const request = requests.picked_up[requestIndex];
-      if (!request) {
-        logger.error('Request at index not found:', requestIndex);
-        showToast('Error processing request. Please try again.', 'error');
-        return;
-      }
-      
-      // **NEW: Check if this is a digital bin**
-      if (request.source_type === 'digital_bin') {
-        logger.info('Disposing digital bin with sharing model:', requestId);
-        
-        // Show processing toast
-        showToast('Processing disposal and calculating earnings...', 'info');
-        
-        // Call disposal service with sharing model
-        const result = await disposeDigitalBin(requestId, user?.id);
-        
-        if (!result.success) {
-          showToast(result.error || 'Failed to dispose bin', 'error', 5000);
-          return;
-        }
-        
-        logger.info('Digital bin disposed successfully:', result);
-        
-        // Show earnings info
-        const earnings = result.payoutBreakdown?.collector_total_payout || 0;
-        showToast(
-          `Bin disposed! Your earnings: GHS ${earnings.toFixed(2)}`,
-          'success',
-          5000
-        );
-        
-        // Refresh requests to update UI
-        await fetchRequests();
-        
-        return; // Exit early for digital bins
-      }
-      
-      // **Regular pickup request disposal with v4.5.6 sharing model**
-      const isValidUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(requestId);
-      
-      if (isValidUuid) {
-        showToast('Processing disposal and calculating earnings...', 'info');
-        
-        const result = await disposePickupRequest(requestId, user?.id, {
-          id: targetSite?.id,
-          name: targetSite?.name,
-          address: targetSite?.address
-        });
-        
-        if (!result.success) {
-          showToast(result.error || 'Failed to dispose request', 'error', 5000);
-          return;
-        }
-        
-        logger.info('Pickup request disposed successfully:', result);
-        
-        const earnings = result.payoutBreakdown?.collector_total_payout || 0;
-        showToast(
-          `Disposed! Your earnings: GHS ${earnings.toFixed(2)}`,
-          'success',
-          5000
-        );
-        
-        await fetchRequests();
-        return;
-      } else {
-        logger.debug(`Skipping database update for non-UUID request ID: ${requestId} (using local state only for disposal)`);
-      }
-      
-      // Fallback for non-UUID (demo/test) data — local state only
-      const newPickedUp = requests.picked_up.filter((_, idx) => idx !== requestIndex);
-      setRequests({ ...requests, picked_up: newPickedUp });
-      showToast('Successfully disposed bags!', 'success');
-    } catch (err) {
-      logger.error('Error disposing bags:', err);
-      showToast('Failed to dispose bags. Please try again.', 'error');
-    }
+    // The bag goes with the rest of the load: one trip, one receipt
+    setDisposalTrip({ site: targetSite, location: toFix(freshLocation) });
   };
 
   // Handle view report
@@ -2403,82 +2170,32 @@ const GeofenceErrorModal = ({
       return;
     }
     
-    const itemsToDispose = requests.picked_up?.filter(req => req.status !== 'disposed') || [];
-    
-    if (itemsToDispose.length === 0) {
+    if (itemsToDisposeCount === 0) {
       showToast('No items to dispose', 'info');
       return;
     }
     
-    const totalItems = itemsToDispose.length;
-    showToast(`Disposing ${totalItems} item${totalItems > 1 ? 's' : ''}...`, 'info');
-    
-    let successCount = 0;
-    let totalEarnings = 0;
-    const disposalTimestamp = new Date().toISOString();
-    const disposalSite = selectedDisposalCenter?.name || 'Disposal Center';
-    
-    try {
-      for (const request of itemsToDispose) {
-        try {
-          if (request.source_type === 'digital_bin') {
-            // Dispose digital bin with payout calculation
-            const result = await disposeDigitalBin(request.id, user?.id, selectedDisposalCenter?.id);
-            if (result.success) {
-              successCount++;
-              totalEarnings += result.payoutBreakdown?.collector_total_payout || 0;
-            } else if (result.error) {
-              logger.warn(`Skipped digital bin ${request.id}: ${result.error}`);
-            }
-          } else {
-            // Dispose regular pickup request with v4.5.6 sharing model
-            const isValidUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(request.id);
-            
-            if (isValidUuid) {
-              const result = await disposePickupRequest(request.id, user?.id, {
-                id: selectedDisposalCenter?.id,
-                name: selectedDisposalCenter?.name,
-                address: selectedDisposalCenter?.address
-              });
-              if (result.success) {
-                successCount++;
-                totalEarnings += result.payoutBreakdown?.collector_total_payout || 0;
-              } else if (result.error) {
-                logger.warn(`Skipped pickup request ${request.id}: ${result.error}`);
-              }
-            } else {
-              successCount++;
-            }
-          }
-        } catch (itemError) {
-          logger.error(`Error disposing item ${request.id}:`, itemError);
-        }
-      }
-      
-      // Clear all disposed items from picked_up list
-      setRequests(prev => ({
-        ...prev,
-        picked_up: []
-      }));
-      
-      // Refresh requests to sync with database
-      await fetchRequests();
-      
-      // Show success message with earnings if applicable
-      if (totalEarnings > 0) {
-        showToast(
-          `✅ Disposed ${successCount}/${totalItems} items! Earnings: GHS ${totalEarnings.toFixed(2)}`,
-          'success',
-          5000
-        );
-      } else {
-        showToast(`✅ Disposed ${successCount}/${totalItems} items at ${disposalSite}!`, 'success', 4000);
-      }
-      
-    } catch (err) {
-      logger.error('Error in handleDisposeAll:', err);
-      showToast('Some items failed to dispose. Please try again.', 'error');
+    setDisposalTrip({ site: selectedDisposalCenter, location: toFix(freshLocation) });
+  };
+
+  // A trip was completed (or saved offline): its jobs have left the vehicle
+  const handleTripCompleted = async ({ receipt, queued, jobs }) => {
+    const disposed = new Set(jobs.map(job => job.jobId));
+    setRequests(prev => ({ ...prev, picked_up: (prev.picked_up || []).filter(req => !disposed.has(req.id)) }));
+
+    if (queued) {
+      showToast(`Disposal of ${jobs.length} item${jobs.length === 1 ? '' : 's'} saved offline. It will sync when you're back online.`, 'success', 5000);
+      return;
     }
+
+    showToast(
+      receipt?.collectorPayout > 0
+        ? `✅ Disposed ${receipt.jobCount} items! Earnings: GHS ${receipt.collectorPayout.toFixed(2)}`
+        : `✅ Disposed ${receipt?.jobCount ?? jobs.length} items at ${receipt?.siteName || 'the disposal site'}!`,
+      'success',
+      5000
+    );
+    await fetchRequests();
   };
 
   // Check if user is within disposal site radius (for FAB visibility)
@@ -2928,7 +2645,7 @@ const GeofenceErrorModal = ({
       
       {/* Dispose All FAB - Only shows when at disposal site with items to dispose */}
       {/* z-[70] ensures it stays above modals (z-50/z-60) so collectors always see it */}
-      {activeTab === 'picked_up' && isAtDisposalSite && itemsToDisposeCount > 0 && (
+      {activeTab === 'picked_up' && isAtDisposalSite && itemsToDisposeCount > 0 && !disposalTrip && (
         <button
           onClick={handleDisposeAll}
           className="fixed bottom-24 right-4 z-[70] bg-green-600 hover:bg-green-700 text-white px-5 py-3 rounded-full shadow-lg flex items-center gap-2 transition-all duration-300 animate-pulse hover:animate-none"
@@ -3022,35 +2739,19 @@ const GeofenceErrorModal = ({
                       return;
                     }
                     
-                    // Update digital bin status to 'collecting' via proper transition chain
-                    // The DB trigger enforces: accepted → en_route → arrived → collecting
-                    // Walk through any missing intermediate steps based on current status
-                    const transitionChain = {
-                      'accepted': ['en_route', 'arrived', 'collecting'],
-                      'en_route': ['arrived', 'collecting'],
-                      'arrived': ['collecting'],
-                    };
-                    const steps = transitionChain[existingBin.status] || ['collecting'];
-                    let transitionError = null;
+                    if (!(await collectPickupEvidence(request))) return;
+
+                    // Walks any missing intermediate steps (en_route, arrived) so each is audited
+                    const transitionResult = await pickupLifecycle.transition({
+                      entityType: QUEUE_ENTITY_TYPES.DIGITAL_BIN,
+                      entityId: navigationRequestId,
+                      fromStatus: existingBin.status,
+                      toStatus: PickupRequestStatus.PICKED_UP
+                    });
                     
-                    for (const step of steps) {
-                      const { error: stepError } = await supabase
-                        .from('digital_bins')
-                        .update({ status: step })
-                        .eq('id', navigationRequestId)
-                        .eq('collector_id', user?.id);
-                      
-                      if (stepError) {
-                        logger.warn(`Status transition to '${step}' failed:`, stepError.message);
-                        transitionError = stepError;
-                        break;
-                      }
-                      logger.info(`✅ Status transitioned to '${step}'`);
-                    }
-                    
-                    if (transitionError) {
-                      logger.error('Error updating digital bin status:', transitionError);
-                      showToast('Error updating bin status. Please try again.', 'error');
+                    if (!transitionResult.success) {
+                      logger.error('Error updating digital bin status:', transitionResult.error);
+                      showToast(transitionResult.error || 'Error updating bin status. Please try again.', 'error');
                       return;
                     }
                     
@@ -3103,12 +2804,22 @@ const GeofenceErrorModal = ({
         />
       )}
       
+      {/* Before/after photos, taken ahead of marking a pickup or bin collected */}
+      {evidenceRequest && (
+        <PickupEvidenceModal
+          request={evidenceRequest}
+          onClose={() => settlePickupEvidence(false)}
+          onConfirm={handleEvidenceConfirm}
+        />
+      )}
+      
       {/* Report Modal will be implemented separately */}
       
       {/* Disposal Center Modal */}
       {showDisposalModal && selectedDisposalCenter && (
         <DisposalModal
           assignment={{ id: currentDisposalRequestId }}
+          wasteType={requests.picked_up?.find(req => req.id === currentDisposalRequestId)?.waste_type}
           isOpen={showDisposalModal}
           onClose={() => {
             setShowDisposalModal(false);
@@ -3116,57 +2827,9 @@ const GeofenceErrorModal = ({
             setCurrentDisposalRequestId(null);
           }}
           onDispose={async (assignmentId, site) => {
-            logger.info('Disposal confirmed:', { assignmentId, site });
-            
-            try {
-              // Find the request to determine if it's a digital bin or pickup request
-              const request = requests.picked_up?.find(req => req.id === assignmentId);
-              
-              if (!request) {
-                showToast('Request not found', 'error');
-                setShowDisposalModal(false);
-                return;
-              }
-              
-              showToast('Processing disposal...', 'info');
-              
-              if (request.source_type === 'digital_bin') {
-                // Use disposeDigitalBin for digital bins
-                const result = await disposeDigitalBin(assignmentId, user?.id, site?.id);
-                
-                if (!result.success) {
-                  throw new Error(result.error || 'Failed to dispose bin');
-                }
-                
-                const earnings = result.payoutBreakdown?.collector_total_payout || 0;
-                showToast(`Disposal confirmed at ${site.name}! Earnings: GHS ${earnings.toFixed(2)}`, 'success', 5000);
-              } else {
-                // Update pickup_requests status to 'disposed'
-                const { error } = await supabase
-                  .from('pickup_requests')
-                  .update({
-                    status: 'disposed',
-                    disposal_site: site?.name || 'Disposal Center',
-                    disposal_timestamp: new Date().toISOString(),
-                    disposed_at: new Date().toISOString()
-                  })
-                  .eq('id', assignmentId);
-                
-                if (error) {
-                  throw new Error(error.message);
-                }
-                
-                showToast(`Disposal confirmed at ${site.name}!`, 'success');
-              }
-              
-              // Refresh requests to update UI and earnings
-              await fetchRequests();
-              
-            } catch (error) {
-              logger.error('Error confirming disposal:', error);
-              showToast(`Disposal failed: ${error.message}`, 'error');
-            }
-            
+            logger.info('Disposal site confirmed:', { assignmentId, site });
+            // The item goes with the rest of the load: one trip, one receipt
+            setDisposalTrip({ site, location: toFix(userLocation) });
             setShowDisposalModal(false);
             // KEEP selectedDisposalCenter set so subsequent items show "Site Found" button
             // User is still at the same disposal site, no need to re-locate
@@ -3176,6 +2839,18 @@ const GeofenceErrorModal = ({
         />
       )}
       
+      {/* Disposal trip: the whole load tipped at once, then its weighbridge ticket */}
+      {disposalTrip && (
+        <DisposalTripModal
+          site={disposalTrip.site}
+          location={disposalTrip.location}
+          collectorId={user?.id}
+          localJobs={(requests.picked_up || []).filter(req => req.status !== 'disposed').map(toLoadJob)}
+          onClose={() => setDisposalTrip(null)}
+          onCompleted={handleTripCompleted}
+        />
+      )}
+      
       {/* Digital Bin Payment Modal (Client Collection) */}
       {showPaymentModal && currentPaymentBinId && (
         <DigitalBinPaymentModal
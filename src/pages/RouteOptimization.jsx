@@ -8,7 +8,8 @@ import RouteOptimizer from '../components/RouteOptimizer';
 import RouteStatistics from '../components/RouteStatistics';
 import ItemList from '../components/ItemList';
 import { createAnalyticsService } from '../services/analyticsService';
-import { supabase } from '../services/supabase';
+import { supabase, authService } from '../services/supabase';
+import { getDisposalCenters } from '../services/disposalService';
 import { logger } from '../utils/logger';
 
 // Part 1: Main component and state management
@@ -24,6 +25,8 @@ const RouteOptimizationPage = () => {
   const [error, setError] = useState(null);
   const [usingFallback, setUsingFallback] = useState(false);
   const [analyticsService, setAnalyticsService] = useState(null);
+  const [vehicleType, setVehicleType] = useState(null);
+  const [disposalCenters, setDisposalCenters] = useState([]);
   
   // Get offline status
   const { online } = useOffline();
@@ -49,6 +52,35 @@ const RouteOptimizationPage = () => {
     }
   }, [user]);
   
+  // Load what's needed to plan disposal trips: vehicle capacity and where to empty it
+  useEffect(() => {
+    if (!user?.id || !online) return;
+    let cancelled = false;
+    
+    const fetchCapacityData = async () => {
+      const [profileResult, centersResult] = await Promise.all([
+        authService.getUserProfile(user.id),
+        getDisposalCenters()
+      ]);
+      if (cancelled) return;
+      
+      if (profileResult.success && profileResult.profile?.vehicle_type) {
+        setVehicleType(profileResult.profile.vehicle_type);
+      }
+      if (centersResult.success) {
+        setDisposalCenters(centersResult.centers);
+      }
+    };
+    
+    fetchCapacityData().catch(error => {
+      logger.warn('Could not load vehicle capacity data, planning without disposal trips:', error);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, online]);
+  
   // Get default location from environment variables
   const getDefaultLocation = () => ({
     latitude: import.meta.env.VITE_DEFAULT_LATITUDE ? parseFloat(import.meta.env.VITE_DEFAULT_LATITUDE) : 5.6037, // Default to Accra, Ghana
@@ -342,6 +374,8 @@ const RouteOptimizationPage = () => {
                   requests={requests}
                   userLocation={userLocation}
                   analyticsService={analyticsService}
+                  vehicleType={vehicleType}
+                  disposalCenters={disposalCenters}
                 />
                 
                 {/* Route Statistics */}
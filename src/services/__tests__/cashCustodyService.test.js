@@ -0,0 +1,115 @@
+import { summarizeCashCustody, remitCash, CASH_EVENTS } from '../cashCustodyService';
+import { initiateCashRemittance } from '../paymentService';
+
+jest.mock('../supabase', () => ({ supabase: {} }));
+jest.mock('../paymentService', () => ({
+  initiateCashRemittance: jest.fn(),
+  checkRemittanceStatus: jest.fn(),
+  watchPaymentStatus: jest.fn(() => () => {})
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const COLLECTOR = 'collector-1';
+const entry = (account_type, component, amount) => ({
+  component,
+  amount: String(amount),
+  ledger_accounts: { account_type, owner_id: account_type === 'collector' ? COLLECTOR : null }
+});
+
+const cashCollection = (id, jobId, type, bill, at) => ({
+  id, kind: 'collection', source_type: type, source_id: jobId, occurred_at: at,
+  metadata: { payment_mode: 'cash', bill },
+  ledger_entries: [entry('escrow', 'bill', bill), entry('collector', 'cash_collected', -bill)]
+});
+
+const disposal = (id, jobId, type, bill, core, at, mode = 'cash') => ({
+  id, kind: 'disposal', source_type: type, source_id: jobId, occurred_at: at,
+  metadata: { payment_mode: mode, bill },
+  ledger_entries: [
+    entry('escrow', 'bill', -bill),
+    entry('collector', 'core', core),
+    entry('platform', 'commission', bill - core)
+  ]
+});
+
+const ledger = () => [
+  cashCollection('t1', 'b1', 'digital_bin', 30, '2026-09-10T09:00:00Z'),
+  disposal('t2', 'b1', 'digital_bin', 30, 20, '2026-09-11T09:00:00Z'),
+  {
+    id: 't3', kind: 'remittance', source_type: 'cash_remittance', source_id: 'r1', occurred_at: '2026-10-01T09:00:00Z',
+    metadata: {}, ledger_entries: [entry('gateway', 'remittance', -4), entry('collector', 'remittance', 4)]
+  },
+  cashCollection('t4', 'p1', 'pickup_request', 20, '2026-10-15T09:00:00Z'),
+  disposal('t5', 'p1', 'pickup_request', 20, 14, '2026-10-15T12:00:00Z'),
+  {
+    id: 't6', kind: 'collection', source_type: 'digital_bin', source_id: 'd1', occurred_at: '2026-10-16T09:00:00Z',
+    metadata: { payment_mode: 'momo' }, ledger_entries: [entry('escrow', 'bill', 5), entry('gateway', 'bill', -5)]
+  },
+  disposal('t7', 'd1', 'digital_bin', 5, 3, '2026-10-16T12:00:00Z', 'momo'),
+  cashCollection('t8', 'b2', 'digital_bin', 15, '2026-10-19T09:00:00Z')
+];
+
+const NOW = new Date('2026-10-20T09:00:00Z');
+
+describe('summarizeCashCustody', () => {
+  test('splits cash in hand into pending, netted and outstanding', () => {
+    expect(summarizeCashCustody(ledger(), NOW)).toMatchObject({
+      pendingDisposal: 15,
+      platformShare: 16,
+      remitted: 4,
+      custody: 12,
+      netted: 3,
+      outstanding: 9,
+      cashInHand: 27
+    });
+  });
+
+  test('ages what is still owed, oldest cash settled first', () => {
+    const custody = summarizeCashCustody(ledger(), NOW);
+
+    expect(custody.outstandingJobs).toEqual([
+      expect.objectContaining({ id: 'b1', owed: 3, ageDays: 40 }),
+      expect.objectContaining({ id: 'p1', owed: 6, ageDays: 5 })
+    ]);
+    expect(custody.aging).toEqual({ '0-7': 6, '8-14': 0, '15-30': 0, '31+': 3 });
+  });
+
+  test('keeps a running cash balance', () => {
+    const { history } = summarizeCashCustody(ledger(), NOW);
+
+    expect(history.map(event => [event.type, event.amount, event.balance])).toEqual([
+      [CASH_EVENTS.COLLECTED, 30, 30],
+      [CASH_EVENTS.DISPOSED, -20, 10],
+      [CASH_EVENTS.REMITTED, -4, 6],
+      [CASH_EVENTS.COLLECTED, 20, 26],
+      [CASH_EVENTS.DISPOSED, -14, 12],
+      [CASH_EVENTS.COLLECTED, 15, 27]
+    ]);
+  });
+
+  test('a reversed disposal puts the job back to awaiting disposal', () => {
+    const transactions = [
+      ...ledger().slice(0, 2),
+      {
+        id: 'rev', kind: 'reversal', source_type: 'ledger_transaction', source_id: 't2', reverses_id: 't2',
+        occurred_at: '2026-09-12T09:00:00Z', metadata: { payment_mode: 'cash', reversed_kind: 'disposal' },
+        ledger_entries: disposal('x', 'b1', 'digital_bin', 30, 20).ledger_entries.map(e => ({ ...e, amount: String(-e.amount) }))
+      }
+    ];
+
+    expect(summarizeCashCustody(transactions, NOW)).toMatchObject({
+      pendingDisposal: 30, platformShare: 0, outstanding: 0, cashInHand: 30
+    });
+  });
+});
+
+describe('remitCash', () => {
+  test('refuses to collect more than is owed', async () => {
+    const result = await remitCash(COLLECTOR, 20, { momoNumber: '0240000001' }, { outstanding: 9 });
+
+    expect(result.success).toBe(false);
+    expect(initiateCashRemittance).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+import { listLoadedJobs } from '../disposalTripService';
+import { supabase } from '../supabase';
+
+jest.mock('localforage', () => ({ createInstance: () => ({}) }));
+jest.mock('../supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../disposalService', () => ({}));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// Records each query's filters and answers with rows for that table
+const mockTables = (rows) => {
+  const filters = {};
+  supabase.from.mockImplementation((table) => {
+    filters[table] = {};
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters[table][column] = value;
+        return query;
+      },
+      then: (resolve) => resolve({ data: rows[table] || [], error: null })
+    };
+    return query;
+  });
+  return filters;
+};
+
+describe('listLoadedJobs', () => {
+  test('asks for pickups and bins in the status the database uses for picked up', async () => {
+    const filters = mockTables({
+      pickup_requests: [{ id: 'pickup-1', status: 'collecting', location: 'East Legon' }],
+      digital_bins: [{ id: 'bin-1', status: 'collecting' }],
+      collector_assignments_view: [{ id: 'assignment-1', status: 'completed' }]
+    });
+
+    const result = await listLoadedJobs('collector-1');
+
+    expect(filters.pickup_requests).toEqual({ collector_id: 'collector-1', status: 'collecting' });
+    expect(filters.digital_bins).toEqual({ collector_id: 'collector-1', status: 'collecting' });
+    expect(filters.collector_assignments_view).toEqual({ collector_id: 'collector-1', status: 'completed' });
+    expect(result.success).toBe(true);
+    expect(result.jobs.map(job => `${job.jobType}:${job.jobId}`)).toEqual([
+      'pickup_request:pickup-1',
+      'digital_bin:bin-1',
+      'assignment:assignment-1'
+    ]);
+  });
+});
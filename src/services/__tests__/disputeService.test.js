@@ -0,0 +1,53 @@
+import { validateDispute, raiseDispute, refundableAmount, DISPUTE_STATUS } from '../disputeService';
+import { supabase } from '../supabase';
+
+jest.mock('../supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const payment = (disputes = []) => ({
+  id: 'pay-1', status: 'success', total_bill: '30.00', client_momo: '0240000001', disputes
+});
+
+const valid = { reason: 'double_scan', requestedAmount: '10', details: '' };
+
+describe('disputeService', () => {
+  test('only refunds what earlier refunds have left on the payment', () => {
+    const disputes = [
+      { status: DISPUTE_STATUS.REFUNDED, refund_amount: '10.00' },
+      { status: DISPUTE_STATUS.REJECTED, refund_amount: null },
+      { status: DISPUTE_STATUS.REFUND_FAILED, refund_amount: '5.00' }
+    ];
+
+    expect(refundableAmount(payment(disputes), disputes)).toBe(20);
+    expect(validateDispute({ ...valid, requestedAmount: '25' }, payment([disputes[0]])).errors.requestedAmount)
+      .toBe('At most ₵20.00 can be refunded');
+  });
+
+  test('accepts a reasoned dispute with the payment number as the refund wallet', () => {
+    expect(validateDispute(valid, payment())).toEqual({ valid: true, errors: {} });
+  });
+
+  test('refuses a second live dispute, missing details and unpaid payments', () => {
+    expect(validateDispute(valid, payment([{ status: DISPUTE_STATUS.OPEN }])).errors.payment)
+      .toBe('This payment already has a dispute in progress');
+    expect(validateDispute({ ...valid, reason: 'other' }, payment()).errors.details).toBeDefined();
+    expect(validateDispute(valid, { ...payment(), status: 'pending' }).valid).toBe(false);
+    expect(validateDispute(valid, { ...payment(), client_momo: null }).errors.refundMomo).toBeDefined();
+  });
+
+  test('never sends a refund wallet; the server refunds the payer', async () => {
+    const insert = jest.fn(() => ({
+      select: () => ({ single: async () => ({ data: { id: 'dispute-1' }, error: null }) })
+    }));
+    supabase.from.mockReturnValue({ insert });
+
+    const result = await raiseDispute(payment(), { ...valid, refundMomo: '0550000009', refundNetwork: 'mtn' });
+
+    expect(result.success).toBe(true);
+    expect(insert).toHaveBeenCalledWith({
+      bin_payment_id: 'pay-1', reason: 'double_scan', details: null, requested_amount: 10
+    });
+  });
+});
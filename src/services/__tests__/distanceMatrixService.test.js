@@ -0,0 +1,64 @@
+import { clearTravelEstimates, getTravelEstimates } from '../distanceMatrixService';
+
+jest.mock('../routing', () => ({ getRoutingProvider: jest.fn() }));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// Answers 1 km / 2 min per destination index
+const stubProvider = (approximate = false) => ({
+  matrix: jest.fn(async (origins, destinations) => ({
+    provider: approximate ? 'offline' : 'osrm',
+    distances: [destinations.map((_, i) => (i + 1) * 1000)],
+    durations: [destinations.map((_, i) => (i + 1) * 120)],
+    approximate
+  }))
+});
+
+const requests = Array.from({ length: 5 }, (_, i) => ({
+  id: `req-${i}`,
+  coordinates: [5.6 + i * 0.01, -0.18]
+}));
+
+describe('distanceMatrixService', () => {
+  beforeEach(() => {
+    clearTravelEstimates();
+  });
+
+  test('looks requests up in batches', async () => {
+    const provider = stubProvider();
+    const estimates = await getTravelEstimates([5.6037, -0.187], requests, { provider, batchSize: 2 });
+
+    expect(provider.matrix).toHaveBeenCalledTimes(3);
+    expect(estimates['req-1']).toEqual({ distanceKm: 2, durationMinutes: 4, approximate: false, provider: 'osrm' });
+    expect(estimates['req-4']).toMatchObject({ distanceKm: 1, durationMinutes: 2 });
+  });
+
+  test('reuses cached answers after a small move', async () => {
+    const provider = stubProvider();
+    await getTravelEstimates([5.6037, -0.187], requests, { provider });
+    // ~20 m away: same rounded origin
+    const estimates = await getTravelEstimates([5.60385, -0.18705], requests, { provider });
+
+    expect(provider.matrix).toHaveBeenCalledTimes(1);
+    expect(Object.keys(estimates)).toHaveLength(5);
+  });
+
+  test('does not cache straight-line fallback answers', async () => {
+    const offline = stubProvider(true);
+    await getTravelEstimates([5.6037, -0.187], requests, { provider: offline });
+
+    const online = stubProvider();
+    const estimates = await getTravelEstimates([5.6037, -0.187], requests, { provider: online });
+
+    expect(online.matrix).toHaveBeenCalledTimes(1);
+    expect(estimates['req-0'].approximate).toBe(false);
+  });
+
+  test('leaves out requests whose batch failed', async () => {
+    const provider = { matrix: jest.fn().mockRejectedValue(new Error('down')) };
+    const estimates = await getTravelEstimates([5.6037, -0.187], requests, { provider });
+
+    expect(estimates).toEqual({});
+  });
+});
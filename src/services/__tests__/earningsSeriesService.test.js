@@ -0,0 +1,36 @@
+import { normalizeEarningsSeries, seriesRange } from '../earningsSeriesService';
+
+jest.mock('../supabase', () => ({ supabase: {} }));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+describe('earningsSeriesService', () => {
+  test('ranges start on bucket boundaries so the first bar is a whole period', () => {
+    const now = new Date('2026-10-22T15:30:00Z'); // a Thursday
+
+    expect(seriesRange('day', now).startDate.toISOString()).toBe('2026-10-09T00:00:00.000Z');
+    expect(seriesRange('week', now).startDate.toISOString()).toBe('2026-08-03T00:00:00.000Z');
+    expect(seriesRange('month', now).startDate.toISOString()).toBe('2025-11-01T00:00:00.000Z');
+    expect(seriesRange('month', now).endDate).toBe(now);
+  });
+
+  test('derives hourly and per-km rates and compares them with the previous period', () => {
+    const series = normalizeEarningsSeries({
+      granularity: 'week',
+      buckets: [
+        { start: '2026-10-12T00:00:00+00:00', pickup: '20.5', digital_bin: 10, tips: 2, loyalty: 0.5, total: 33, jobs: 4, hours_online: 6, km_driven: 12 },
+        { start: '2026-10-19T00:00:00+00:00', pickup: 0, digital_bin: 0, tips: 0, loyalty: 0, total: 0, jobs: 0, hours_online: 0, km_driven: 0 }
+      ],
+      totals: { pickup: 20.5, digital_bin: 10, tips: 2, loyalty: 0.5, total: 33, jobs: 4, hours_online: 6, km_driven: 12 },
+      previous: { total: 22, hours_online: 5.5, km_driven: 0 }
+    });
+
+    expect(series.buckets[0]).toMatchObject({ label: '12 Oct', pickup: 20.5, digitalBin: 10, perHour: 5.5, perKm: 2.75 });
+    expect(series.buckets[1].perHour).toBeNull();
+    expect(series.totals).toMatchObject({ total: 33, perHour: 5.5, perKm: 2.75 });
+    expect(series.change.total).toBeCloseTo(0.5);
+    expect(series.change.perHour).toBeCloseTo(0.375);
+    expect(series.change.perKm).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+import { summarizeLedger } from '../ledgerService';
+
+jest.mock('../supabase', () => ({ supabase: {} }));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const entry = (account_type, component, amount) => ({
+  component,
+  amount: String(amount),
+  ledger_accounts: { account_type, owner_id: account_type === 'collector' ? 'collector-1' : null }
+});
+
+const tx = (id, kind, source_id, entries, extra = {}) => ({
+  id,
+  kind,
+  source_type: 'digital_bin',
+  source_id,
+  metadata: {},
+  occurred_at: '2026-10-01T10:00:00Z',
+  ledger_entries: entries,
+  ...extra
+});
+
+// Digital bin billed 20, cash bin billed 10, a tip and a withdrawal
+const ledger = [
+  tx('c1', 'collection', 'bin-digital', [entry('escrow', 'bill', 20), entry('gateway', 'bill', -20)],
+    { metadata: { payment_mode: 'momo' } }),
+  tx('d1', 'disposal', 'bin-digital', [
+    entry('escrow', 'bill', -20),
+    entry('collector', 'core', 15),
+    entry('collector', 'urgent', 2),
+    entry('platform', 'commission', 3)
+  ], { metadata: { payment_mode: 'momo' } }),
+  tx('c2', 'collection', 'bin-cash', [entry('escrow', 'bill', 10), entry('collector', 'cash_collected', -10)],
+    { metadata: { payment_mode: 'cash' } }),
+  tx('d2', 'disposal', 'bin-cash', [
+    entry('escrow', 'bill', -10),
+    entry('collector', 'core', 8),
+    entry('platform', 'commission', 2)
+  ], { metadata: { payment_mode: 'cash' } }),
+  tx('t1', 'tip', 'tip-1', [entry('tips', 'tips', -5), entry('collector', 'tips', 5)],
+    { source_type: 'collector_tip', metadata: { job_id: 'bin-digital', job_type: 'digital_bin' } }),
+  tx('w1', 'withdrawal', 'wd-1', [entry('collector', 'payout', -12), entry('payouts', 'payout', 12)],
+    { source_type: 'withdrawal' })
+];
+
+describe('ledgerService.summarizeLedger', () => {
+  test('nets cash commission and withdrawals into the balance', () => {
+    const summary = summarizeLedger(ledger);
+
+    // 17 + 5 digital/tip, -10 + 8 cash, -12 withdrawn
+    expect(summary.balance).toBe(8);
+    expect(summary.available).toBe(8);
+    expect(summary.earned).toBe(30);
+    expect(summary.cashCollected).toBe(10);
+    expect(summary.withdrawn).toBe(12);
+  });
+
+  test('groups earnings by component and job', () => {
+    const summary = summarizeLedger(ledger);
+
+    expect(summary.byComponent).toMatchObject({ core: 23, urgent: 2, tips: 5, recyclables: 0 });
+    expect(summary.byJob['bin-digital']).toMatchObject({ type: 'digital_bin', earned: 22, bill: 20, paymentMode: 'digital' });
+    expect(summary.byJob['bin-cash']).toMatchObject({ earned: 8, bill: 10, paymentMode: 'cash' });
+  });
+
+  test('splits disposed revenue by payment mode', () => {
+    const { grossRevenue, platformEarnings, paymentModes } = summarizeLedger(ledger);
+
+    expect(grossRevenue).toBe(30);
+    expect(platformEarnings).toBe(5);
+    expect(paymentModes.cash).toEqual({ grossRevenue: 10, collected: 10, platformDue: 2 });
+    expect(paymentModes.digital).toEqual({ grossRevenue: 20, collected: 20, collectorDue: 17 });
+  });
+
+  test('counts a reversal against whatever it reversed', () => {
+    const reversal = tx('r1', 'reversal', 'w1', [entry('collector', 'payout', 12), entry('payouts', 'payout', -12)],
+      { source_type: 'ledger_transaction', reverses_id: 'w1' });
+    const summary = summarizeLedger([...ledger, reversal]);
+
+    expect(summary.withdrawn).toBe(0);
+    expect(summary.balance).toBe(20);
+  });
+
+  test('takes a refund off the job it was made on and links it to the disposal', () => {
+    const refund = tx('f1', 'refund', 'dispute-1', [
+      entry('gateway', 'refund', 4),
+      entry('collector', 'core', -3),
+      entry('collector', 'urgent', -0.4),
+      entry('platform', 'refund', -0.6)
+    ], {
+      source_type: 'payment_dispute',
+      occurred_at: '2026-10-02T10:00:00Z',
+      metadata: {
+        job_type: 'digital_bin', job_id: 'bin-digital', dispute_id: 'dispute-1',
+        reason: 'double_scan', original_transaction_id: 'd1'
+      }
+    });
+    const summary = summarizeLedger([...ledger, refund]);
+
+    expect(summary.balance).toBe(4.6);
+    expect(summary.byComponent).toMatchObject({ core: 20, urgent: 1.6 });
+    expect(summary.byJob['bin-digital'].earned).toBeCloseTo(18.6);
+    expect(summary.byJob['bin-digital'].bill).toBe(16);
+    expect(summary.grossRevenue).toBe(26);
+    expect(summary.platformEarnings).toBe(4.4);
+    expect(summary.refunds).toEqual([expect.objectContaining({
+      jobId: 'bin-digital', amount: 4, collectorShare: 3.4, disputeId: 'dispute-1', originalTransactionId: 'd1'
+    })]);
+  });
+
+  test('never offers a negative balance for withdrawal', () => {
+    const summary = summarizeLedger(ledger.slice(2, 4));
+
+    expect(summary.balance).toBe(-2);
+    expect(summary.available).toBe(0);
+  });
+});
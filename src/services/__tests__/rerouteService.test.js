@@ -0,0 +1,84 @@
+import { offlineMapService } from '../offlineMapService';
+import { getRoutingProvider } from '../routing';
+import { reroute, routeFromCache } from '../rerouteService';
+
+jest.mock('../offlineMapService', () => ({ offlineMapService: { getRoute: jest.fn() } }));
+jest.mock('../audioAlertService', () => ({ audioAlertService: { speakPhrase: jest.fn() } }));
+jest.mock('../routing', () => ({
+  ROUTING_PROVIDERS: { OFFLINE: 'offline' },
+  formatStepDistance: (meters) => `${Math.round(meters)} m`,
+  formatStepDuration: (seconds) => `${Math.round(seconds / 60)} mins`,
+  getRoutingProvider: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// North along one street, then east along another
+const CACHED_ROUTE = {
+  destination: [5.61, -0.17],
+  overviewPath: [
+    { lat: 5.6, lng: -0.18 },
+    { lat: 5.605, lng: -0.18 },
+    { lat: 5.61, lng: -0.18 },
+    { lat: 5.61, lng: -0.17 }
+  ],
+  steps: [
+    { instruction: 'Head north', maneuver: '', startLocation: { lat: 5.6, lng: -0.18 }, endLocation: { lat: 5.61, lng: -0.18 } },
+    { instruction: 'Turn right', maneuver: 'turn-right', startLocation: { lat: 5.61, lng: -0.18 }, endLocation: { lat: 5.61, lng: -0.17 } }
+  ]
+};
+
+const setOnline = (online) => {
+  Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+};
+
+describe('rerouteService', () => {
+  beforeEach(() => {
+    offlineMapService.getRoute.mockResolvedValue(CACHED_ROUTE);
+    setOnline(true);
+  });
+
+  test('leads the driver back to the cached route and keeps the turns ahead', async () => {
+    // ~100 m east of the first street, a third of the way up
+    const route = await routeFromCache({ lat: 5.6033, lng: -0.1791 }, [5.61, -0.17]);
+    const steps = route.legs[0].steps;
+
+    expect(route.fromCache).toBe(true);
+    expect(route.geometry[1].lng).toBeCloseTo(-0.18, 6);
+    expect(steps[0]).toMatchObject({ instruction: 'Head back to the route', maneuver: 'straight' });
+    expect(steps[0].distanceMeters).toBeCloseTo(100, -1);
+    expect(steps.map(step => step.instruction)).toEqual(['Head back to the route', 'Head north', 'Turn right']);
+    expect(route.distanceMeters).toBeGreaterThan(1800);
+  });
+
+  test('drops turns already behind the driver', async () => {
+    const route = await routeFromCache({ lat: 5.6105, lng: -0.175 }, [5.61, -0.17]);
+
+    expect(route.legs[0].steps.map(step => step.instruction)).toEqual(['Head back to the route', 'Turn right']);
+  });
+
+  test('does not reuse a route cached for another job', async () => {
+    expect(await routeFromCache({ lat: 5.6033, lng: -0.1791 }, [5.7, -0.2])).toBeNull();
+  });
+
+  test('uses the cache when offline without asking the router', async () => {
+    setOnline(false);
+    const route = jest.fn();
+    getRoutingProvider.mockReturnValue({ route });
+
+    const result = await reroute({ lat: 5.6033, lng: -0.1791 }, [5.61, -0.17]);
+
+    expect(result).toMatchObject({ success: true, source: 'cache' });
+    expect(route).not.toHaveBeenCalled();
+  });
+
+  test('asks the routing provider when online', async () => {
+    const planned = { provider: 'osrm', approximate: false, geometry: [], legs: [] };
+    getRoutingProvider.mockReturnValue({ route: jest.fn().mockResolvedValue(planned) });
+
+    const result = await reroute({ lat: 5.6033, lng: -0.1791 }, [5.61, -0.17], { announce: false });
+
+    expect(result).toEqual({ success: true, route: planned, source: 'network' });
+  });
+});
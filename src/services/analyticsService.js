@@ -101,6 +101,8 @@ export class AnalyticsService {
           location,
           bag_count,
           special_instructions,
+          assignment_expires_at,
+          urgent_enabled,
           created_at
         `)
         .eq('collector_id', this.collectorId)
@@ -335,6 +337,9 @@ export class AnalyticsService {
           special_instructions: pickup.special_instructions || '',
           bag_count: pickup.bag_count || 1,
           accepted_at: pickup.accepted_at,
+          // Deadlines for the route optimizer
+          assignment_expires_at: pickup.assignment_expires_at || null,
+          is_urgent: Boolean(pickup.urgent_enabled),
           created_at: pickup.created_at
         };
       }).filter(a => a.latitude !== null && a.longitude !== null);
@@ -415,7 +420,10 @@ export class AnalyticsService {
           waste_type: wasteType,
           special_instructions: `${binSize}L bin, ${frequency} pickup${isUrgent ? ' (URGENT)' : ''}${bin.details ? `, ${bin.details}` : ''}`,
           bag_count: bin.bag_count || 1,
+          bin_size_liters: binSize,
           accepted_at: bin.updated_at || bin.created_at,
+          assignment_expires_at: bin.assignment_expires_at || null,
+          is_urgent: isUrgent,
           created_at: bin.created_at
         };
       });
@@ -0,0 +1,321 @@
+/**
+ * Basemap Archive Service
+ *
+ * Keeps one local PMTiles basemap on the phone and serves tiles from it. The archive
+ * is stored as a single Blob in IndexedDB, which browsers keep on disk, and read with
+ * byte-range slices, so a region-wide basemap costs one record instead of the tens of
+ * thousands a raster tile cache needs.
+ *
+ * The archive either comes from the phone's storage (sideloaded, e.g. copied over USB
+ * at the depot) or is downloaded once from BASEMAP_ARCHIVE_URL, as PMTiles or MBTiles.
+ * MBTiles files are converted to PMTiles on import; the converted archive points back
+ * into the original file's bytes, so it takes no more room than the file itself.
+ *
+ * Only raster tiles (PNG/JPEG/WebP) can be drawn by the Leaflet maps. Vector archives
+ * of either kind would need a vector renderer, which this app doesn't ship, and are
+ * rejected on import with an explanation.
+ */
+
+import { logger } from '../utils/logger';
+import { BASEMAP_ARCHIVE_URL } from '../config/offlineRegionConfig';
+import { offlineMapService } from './offlineMapService';
+import { TILE_MIME_TYPES, TILE_TYPE, blobSource, openPmtiles } from '../utils/pmtiles';
+import { isMbtiles, mbtilesToPmtiles } from '../utils/mbtiles';
+
+const DB_NAME = 'trashdrop-basemap';
+const DB_VERSION = 1;
+const ARCHIVE_STORE = 'archives';
+const ARCHIVE_ID = 'basemap';
+
+export const ARCHIVE_SOURCE = {
+  SIDELOAD: 'sideload',
+  DOWNLOAD: 'download'
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open an archive, converting MBTiles to PMTiles, and check the maps can draw it
+ * @returns {Promise<{blob: Blob, archive: Object}>} The PMTiles archive to store and its reader
+ * @throws {Error} With a message suitable for the driver
+ */
+const inspectArchive = async (file) => {
+  let blob = file;
+  if (isMbtiles(await file.slice(0, 16).arrayBuffer())) {
+    try {
+      blob = new Blob(await mbtilesToPmtiles(blobSource(file)));
+    } catch (error) {
+      logger.warn('MBTiles conversion failed:', error.message);
+      throw new Error(`This MBTiles file could not be read (${error.message}).`);
+    }
+  }
+
+  const archive = await openPmtiles(blobSource(blob));
+  const { tileType } = archive.header;
+  if (tileType === TILE_TYPE.MVT) {
+    throw new Error('This is a vector basemap. The app can only show raster (PNG, JPEG or WebP) archives.');
+  }
+  if (!TILE_MIME_TYPES[tileType]) {
+    throw new Error('This archive does not contain map images the app can show.');
+  }
+  return { blob, archive };
+};
+
+// Stored record without the Blob, for display
+const describeArchive = (stored) => ({
+  name: stored.name,
+  source: stored.source,
+  size: stored.size,
+  importedAt: stored.importedAt,
+  tileType: stored.tileType,
+  minZoom: stored.minZoom,
+  maxZoom: stored.maxZoom,
+  bounds: stored.bounds
+});
+
+class BasemapArchiveService {
+  constructor() {
+    this.db = null;
+    this.isInitialized = false;
+    this.archive = null; // Open reader for the stored archive
+    this.record = null; // Stored archive details (without the Blob)
+    this.loading = null;
+    this.download = null; // { controller } while a download runs
+    this.listeners = new Set();
+  }
+
+  async initialize() {
+    if (this.isInitialized) return true;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = (event) => {
+        logger.error('❌ Failed to open basemap database:', event.target.error);
+        reject(event.target.error);
+      };
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        this.isInitialized = true;
+        resolve(true);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(ARCHIVE_STORE)) {
+          db.createObjectStore(ARCHIVE_STORE, { keyPath: 'id' });
+        }
+      };
+    });
+  }
+
+  /**
+   * Be told when the archive is added, replaced, removed or downloading
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.record);
+      } catch (error) {
+        logger.warn('Basemap listener failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Open the stored archive once and keep the reader
+   * @returns {Promise<Object|null>} Reader from openPmtiles, or null when there is no archive
+   */
+  async load() {
+    if (this.archive) return this.archive;
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          await this.initialize();
+          const store = this.db.transaction([ARCHIVE_STORE], 'readonly').objectStore(ARCHIVE_STORE);
+          const stored = await promisify(store.get(ARCHIVE_ID));
+          if (!stored?.blob) return null;
+
+          this.archive = await openPmtiles(blobSource(stored.blob));
+          this.record = describeArchive(stored);
+          return this.archive;
+        } catch (error) {
+          logger.warn('⚠️ Could not open the basemap archive:', error.message);
+          return null;
+        } finally {
+          this.loading = null;
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Details of the stored archive
+   * @returns {Promise<Object|null>} { name, size, source, importedAt, minZoom, maxZoom, bounds, tileType }
+   */
+  async getInfo() {
+    await this.load();
+    return this.record;
+  }
+
+  /**
+   * Blob URL for a tile from the archive, for an <img> to draw
+   * @returns {Promise<string|null>} null when there is no archive or it lacks the tile
+   */
+  async getTileUrl(z, x, y) {
+    const archive = this.archive || await this.load();
+    if (!archive) return null;
+
+    const data = await archive.getTile(z, x, y);
+    if (!data || data.byteLength === 0) return null;
+    return URL.createObjectURL(new Blob([data], { type: TILE_MIME_TYPES[archive.header.tileType] }));
+  }
+
+  /**
+   * Check and store a PMTiles or MBTiles archive, replacing any previous one
+   */
+  async saveArchive(file, { name, source }) {
+    const { blob, archive } = await inspectArchive(file);
+
+    const quota = await offlineMapService.checkQuota(blob.size);
+    if (!quota.ok) {
+      throw new Error('Not enough free storage on this phone for this basemap.');
+    }
+
+    const { header } = archive;
+    const stored = {
+      id: ARCHIVE_ID,
+      blob,
+      name,
+      source,
+      size: blob.size,
+      importedAt: new Date().toISOString(),
+      tileType: header.tileType,
+      minZoom: header.minZoom,
+      maxZoom: header.maxZoom,
+      bounds: header.bounds
+    };
+
+    await this.initialize();
+    const store = this.db.transaction([ARCHIVE_STORE], 'readwrite').objectStore(ARCHIVE_STORE);
+    await promisify(store.put(stored));
+
+    const info = describeArchive(stored);
+    this.archive = archive;
+    this.record = info;
+    logger.info(`🗺️ Basemap archive stored: ${name} (zoom ${header.minZoom}-${header.maxZoom})`);
+    this.notify();
+    return info;
+  }
+
+  /**
+   * Use an archive file picked from the phone's storage
+   * @param {File} file
+   * @returns {Promise<{success: boolean, info?: Object, error?: string}>}
+   */
+  async importFile(file) {
+    try {
+      const info = await this.saveArchive(file, { name: file.name, source: ARCHIVE_SOURCE.SIDELOAD });
+      return { success: true, info };
+    } catch (error) {
+      logger.error('❌ Basemap import failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Download the basemap archive once
+   *
+   * @param {Object} [options]
+   * @param {string} [options.url] - Defaults to BASEMAP_ARCHIVE_URL
+   * @param {Function} [options.onProgress] - ({ loaded, total }) with total null when unknown
+   * @returns {Promise<{success: boolean, info?: Object, error?: string}>}
+   */
+  async downloadArchive({ url = BASEMAP_ARCHIVE_URL, onProgress = null } = {}) {
+    if (!url) return { success: false, error: 'No basemap download is configured for this app.' };
+    if (this.download) return { success: false, error: 'The basemap is already downloading.' };
+    if (!navigator.onLine) return { success: false, error: 'Connect to the internet to download the basemap.' };
+
+    const controller = new AbortController();
+    this.download = { controller };
+    this.notify();
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) throw new Error(`Download failed (${response.status})`);
+
+      const total = Number(response.headers.get('content-length')) || null;
+      if (total) {
+        const quota = await offlineMapService.checkQuota(total);
+        if (!quota.ok) throw new Error('Not enough free storage on this phone for this basemap.');
+      }
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        if (onProgress) onProgress({ loaded, total });
+      }
+
+      const name = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop() || 'basemap.pmtiles');
+      const info = await this.saveArchive(new Blob(chunks), { name, source: ARCHIVE_SOURCE.DOWNLOAD });
+      return { success: true, info };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, error: 'Download cancelled.' };
+      }
+      logger.error('❌ Basemap download failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.download = null;
+      this.notify();
+    }
+  }
+
+  cancelDownload() {
+    this.download?.controller.abort();
+  }
+
+  isDownloading() {
+    return Boolean(this.download);
+  }
+
+  /**
+   * Delete the stored archive; maps fall back to the network and cached tiles
+   */
+  async remove() {
+    try {
+      await this.initialize();
+      const store = this.db.transaction([ARCHIVE_STORE], 'readwrite').objectStore(ARCHIVE_STORE);
+      await promisify(store.delete(ARCHIVE_ID));
+      this.archive = null;
+      this.record = null;
+      logger.info('🗑️ Basemap archive removed');
+      this.notify();
+      return { success: true };
+    } catch (error) {
+      logger.error('❌ Failed to remove basemap archive:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+export const basemapArchiveService = new BasemapArchiveService();
+
+export default basemapArchiveService;
@@ -0,0 +1,226 @@
+/**
+ * Cash Custody Service
+ * What a collector owes the platform for cash jobs, and paying it back (migration
+ * 20261022090000).
+ *
+ * Worked out from the collector's ledger, where a cash job is:
+ *   collection  collector -bill  (cash_collected)  - they hold the customer's money
+ *   disposal    collector +share (core, urgent...) - their part of it is now theirs
+ * so once a cash job is disposed, bill - share is platform money in their hands. That
+ * custody is covered first by remittances, then by whatever positive balance their
+ * digital earnings leave (withdrawals already net it off: the withdrawable balance is
+ * the ledger balance). Anything left is the outstanding remittance.
+ *
+ * Cash on jobs not yet disposed is shown apart: the split is only final at disposal.
+ */
+
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+import { getCollectorLedger, jobOf, LEDGER_ACCOUNTS, LEDGER_KINDS, EARNING_COMPONENTS } from './ledgerService';
+import { initiateCashRemittance, checkRemittanceStatus, watchPaymentStatus } from './paymentService';
+
+export const CASH_AGING_BUCKETS = [
+  { key: '0-7', label: '0-7 days', maxDays: 7 },
+  { key: '8-14', label: '8-14 days', maxDays: 14 },
+  { key: '15-30', label: '15-30 days', maxDays: 30 },
+  { key: '31+', label: 'Over 30 days', maxDays: Infinity }
+];
+
+export const CASH_EVENTS = {
+  COLLECTED: 'collected',
+  DISPOSED: 'disposed',
+  REMITTED: 'remitted'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const bucketFor = (ageDays) => CASH_AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key;
+
+/**
+ * Roll a collector's ledger into their cash position
+ *
+ * Pure: takes the rows returned by getCollectorLedger.
+ *
+ * @param {Object[]} transactions
+ * @param {Date} [now]
+ * @returns {Object} {
+ *   cashInHand, pendingDisposal, platformShare, remitted, custody, netted, outstanding,
+ *   aging: { [bucketKey]: amount }, outstandingJobs: [{ id, type, owed, collectedAt, ageDays }],
+ *   history: [{ occurredAt, type, jobId, amount, balance }]
+ * }
+ */
+export const summarizeCashCustody = (transactions = [], now = new Date()) => {
+  const byId = new Map(transactions.map(transaction => [transaction.id, transaction]));
+  const jobs = new Map();
+  const history = [];
+  let balance = 0;
+  let cashRelated = 0;
+  let remitted = 0;
+
+  const jobRecord = (job) => {
+    if (!jobs.has(job.id)) {
+      jobs.set(job.id, { id: job.id, type: job.type, bill: 0, share: 0, disposals: 0, collectedAt: null });
+    }
+    return jobs.get(job.id);
+  };
+
+  transactions.forEach(transaction => {
+    const reversal = transaction.kind === LEDGER_KINDS.REVERSAL;
+    const kind = reversal
+      ? byId.get(transaction.reverses_id)?.kind || transaction.metadata?.reversed_kind
+      : transaction.kind;
+    const job = jobOf(transaction, byId);
+
+    let cashCollected = 0;
+    let earned = 0;
+    let remittance = 0;
+
+    (transaction.ledger_entries || []).forEach(entry => {
+      if (entry.ledger_accounts?.account_type !== LEDGER_ACCOUNTS.COLLECTOR) return;
+      const amount = parseFloat(entry.amount) || 0;
+      balance += amount;
+      if (entry.component === 'cash_collected') cashCollected -= amount;
+      else if (entry.component === 'remittance') remittance += amount;
+      else if (EARNING_COMPONENTS.includes(entry.component)) earned += amount;
+    });
+
+    if (cashCollected !== 0 && job) {
+      const record = jobRecord(job);
+      record.bill += cashCollected;
+      record.collectedAt = record.collectedAt || transaction.occurred_at;
+      cashRelated -= cashCollected;
+      history.push({ occurredAt: transaction.occurred_at, type: CASH_EVENTS.COLLECTED, jobId: job.id, amount: cashCollected });
+    }
+
+    if (kind === LEDGER_KINDS.DISPOSAL && transaction.metadata?.payment_mode === 'cash' && job) {
+      const record = jobRecord(job);
+      record.share += earned;
+      record.disposals += reversal ? -1 : 1;
+      cashRelated += earned;
+      history.push({ occurredAt: transaction.occurred_at, type: CASH_EVENTS.DISPOSED, jobId: job.id, amount: -earned });
+    }
+
+    if (remittance !== 0) {
+      remitted += remittance;
+      cashRelated += remittance;
+      history.push({ occurredAt: transaction.occurred_at, type: CASH_EVENTS.REMITTED, jobId: null, amount: -remittance });
+    }
+  });
+
+  const disposedJobs = [...jobs.values()]
+    .filter(job => job.disposals > 0)
+    .sort((a, b) => new Date(a.collectedAt) - new Date(b.collectedAt));
+  const pendingDisposal = round2([...jobs.values()]
+    .filter(job => job.disposals <= 0)
+    .reduce((sum, job) => sum + job.bill, 0));
+  const platformShare = round2(disposedJobs.reduce((sum, job) => sum + Math.max(job.bill - job.share, 0), 0));
+
+  const custody = round2(Math.max(platformShare - remitted, 0));
+  // What everything else on the ledger (digital earnings, tips, withdrawals) leaves over
+  const otherBalance = balance - cashRelated;
+  const outstanding = round2(Math.max(custody - Math.max(otherBalance, 0), 0));
+  const netted = round2(custody - outstanding);
+
+  // Remittances and netting settle the oldest cash first; what's left is aged by collection date
+  let covered = round2(platformShare - outstanding);
+  const aging = Object.fromEntries(CASH_AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const outstandingJobs = [];
+  disposedJobs.forEach(job => {
+    const share = Math.max(job.bill - job.share, 0);
+    const settled = Math.min(share, covered);
+    covered -= settled;
+    const owed = round2(share - settled);
+    if (owed <= 0) return;
+
+    const ageDays = Math.max(0, Math.floor((now - new Date(job.collectedAt)) / DAY_MS));
+    aging[bucketFor(ageDays)] = round2(aging[bucketFor(ageDays)] + owed);
+    outstandingJobs.push({ id: job.id, type: job.type, owed, collectedAt: job.collectedAt, ageDays });
+  });
+
+  let running = 0;
+  const runningHistory = history
+    .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+    .map(event => {
+      running = round2(running + event.amount);
+      return { ...event, amount: round2(event.amount), balance: running };
+    });
+
+  return {
+    cashInHand: round2(pendingDisposal + custody),
+    pendingDisposal,
+    platformShare,
+    remitted: round2(remitted),
+    custody,
+    netted,
+    outstanding,
+    aging,
+    outstandingJobs,
+    history: runningHistory
+  };
+};
+
+/**
+ * Load a collector's cash position and their remittances still awaiting the gateway
+ * @param {string} collectorId
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const getCashCustody = async (collectorId) => {
+  try {
+    const [ledger, { data: pendingRemittances, error }] = await Promise.all([
+      getCollectorLedger(collectorId),
+      supabase
+        .from('cash_remittances')
+        .select('id, amount, status, created_at')
+        .eq('collector_id', collectorId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+    ]);
+
+    if (!ledger.success) throw new Error(ledger.error);
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: { ...summarizeCashCustody(ledger.data), pendingRemittances: pendingRemittances || [] }
+    };
+  } catch (error) {
+    logger.error('Error loading cash custody:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Pay back outstanding platform cash by MoMo and follow the payment until it settles
+ *
+ * @param {string} collectorId
+ * @param {number} amount - GHS, at most the outstanding remittance
+ * @param {Object} wallet - { momoNumber, momoProvider }
+ * @param {Object} [options]
+ * @param {number} [options.outstanding] - Current outstanding remittance, to cap the amount
+ * @param {Function} [options.onStatus] - Called with each status check while waiting
+ * @param {Function} [options.onTimeout] - Called if the collector hasn't approved in time
+ * @returns {Promise<{success: boolean, remittanceId?: string, stop?: Function, error?: string}>}
+ */
+export const remitCash = async (collectorId, amount, wallet, { outstanding, onStatus, onTimeout } = {}) => {
+  if (outstanding !== undefined && amount > outstanding + 0.001) {
+    return { success: false, error: `You only owe ₵${outstanding.toFixed(2)}` };
+  }
+
+  const result = await initiateCashRemittance({
+    collectorId,
+    amount,
+    momoNumber: wallet.momoNumber,
+    network: wallet.momoProvider
+  });
+  if (!result.success) return result;
+
+  const stop = watchPaymentStatus(result.remittanceId, {
+    check: checkRemittanceStatus,
+    onStatus: status => onStatus?.(status),
+    onTimeout
+  });
+
+  return { success: true, remittanceId: result.remittanceId, message: result.message, stop };
+};
@@ -0,0 +1,234 @@
+/**
+ * Disposal Trip Service
+ * Tipping a whole load as one disposal trip (migration 20261101090000).
+ *
+ * The trip opens on the device when the driver reaches a disposal site and is kept in
+ * IndexedDB until completed, so a reload at the gate doesn't lose when and where it
+ * opened. Completing it goes through the offline queue: each job is checked against the
+ * server's copy when the action is sent, then complete_disposal_trip() disposes every job
+ * on the load in one transaction and returns the trip's receipt. The device only sends
+ * where each job was disposed; payouts are split by the ledger on the server.
+ */
+
+import localforage from 'localforage';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from './supabase';
+import { prepareDigitalBinDisposal, preparePickupDisposal } from './disposalService';
+import { logger } from '../utils/logger';
+import { OfflineConflictError } from '../utils/offlineUtils';
+import { PickupRequestStatus } from '../utils/types';
+import { loadUnitsOf } from '../utils/weighbridgeTicket';
+import { toTripReceipt, tripErrorMessage, TRIP_JOB_TYPES } from '../utils/disposalTrip';
+
+const tripStore = localforage.createInstance({
+  name: 'TrashDropCarter',
+  storeName: 'disposal_trips',
+  description: 'Disposal trip open on this device'
+});
+
+const OPEN_TRIP_KEY = 'open';
+
+/**
+ * Open a trip at a site, or carry on with the one already open there
+ *
+ * @param {Object} site - Disposal center ({ id, name, address })
+ * @param {Object|null} location - { lat, lng, accuracy } where the geofence was entered
+ * @returns {Promise<Object>} { id, site, openedAt, openedLocation }
+ */
+export async function openDisposalTrip(site, location = null) {
+  const open = await tripStore.getItem(OPEN_TRIP_KEY);
+  if (open && open.site?.id === site?.id) {
+    return open;
+  }
+
+  const trip = {
+    id: uuidv4(),
+    site: { id: site?.id || null, name: site?.name || null, address: site?.address || null },
+    openedAt: new Date().toISOString(),
+    openedLocation: location
+  };
+  await tripStore.setItem(OPEN_TRIP_KEY, trip);
+  logger.info(`🚛 Disposal trip ${trip.id} opened at ${trip.site.name || trip.site.id}`);
+  return trip;
+}
+
+/**
+ * Trip open on this device, if any
+ * @returns {Promise<Object|null>}
+ */
+export const getOpenDisposalTrip = () => tripStore.getItem(OPEN_TRIP_KEY);
+
+/**
+ * Forget the open trip (completed, or the driver left without tipping)
+ * @param {string} [tripId] - Only forget it when it is this trip
+ */
+export async function closeDisposalTrip(tripId) {
+  const open = await tripStore.getItem(OPEN_TRIP_KEY);
+  if (open && (!tripId || open.id === tripId)) {
+    await tripStore.removeItem(OPEN_TRIP_KEY);
+  }
+}
+
+/**
+ * Everything in the vehicle waiting to be tipped: picked-up pickups, bins being
+ * collected and completed dumping-site assignments. "Picked up" is 'collecting' in
+ * the database for both pickups and bins.
+ *
+ * @param {string} collectorId - Collector user UUID
+ * @returns {Promise<{success: boolean, jobs: Array<Object>, error?: string}>}
+ *   jobs: [{ jobType, jobId, status, label, loadUnits }]
+ */
+export async function listLoadedJobs(collectorId) {
+  try {
+    const [pickups, bins, assignments] = await Promise.all([
+      supabase.from('pickup_requests').select('*').eq('collector_id', collectorId).eq('status', PickupRequestStatus.PICKED_UP),
+      supabase.from('digital_bins').select('*').eq('collector_id', collectorId).eq('status', PickupRequestStatus.COLLECTING),
+      supabase.from('collector_assignments_view').select('*').eq('collector_id', collectorId).eq('status', 'completed')
+    ]);
+
+    const failed = [pickups, bins, assignments].find(result => result.error);
+    if (failed) {
+      throw new Error(`Failed to fetch load: ${failed.error.message}`);
+    }
+
+    const toJob = (jobType) => (row) => ({
+      jobType,
+      jobId: row.id,
+      status: row.status,
+      label: row.location || row.address || null,
+      loadUnits: loadUnitsOf(row)
+    });
+
+    return {
+      success: true,
+      jobs: [
+        ...(pickups.data || []).map(toJob(TRIP_JOB_TYPES.PICKUP_REQUEST)),
+        ...(bins.data || []).map(toJob(TRIP_JOB_TYPES.DIGITAL_BIN)),
+        ...(assignments.data || []).map(toJob(TRIP_JOB_TYPES.ASSIGNMENT))
+      ]
+    };
+  } catch (error) {
+    logger.error('Error listing loaded jobs:', error);
+    return { success: false, error: error.message, jobs: [] };
+  }
+}
+
+/**
+ * What disposing one job on the trip writes: its expected status and disposal site
+ * @returns {Promise<Object|null>} complete_disposal_trip() job, or null to leave it off
+ */
+async function prepareTripJob(job, collectorId, site, completedAt) {
+  if (job.jobType === TRIP_JOB_TYPES.ASSIGNMENT) {
+    return {
+      job_type: job.jobType,
+      job_id: String(job.jobId),
+      expected_status: 'completed',
+      fields: { disposal_site_id: site.id || null, disposal_site_name: site.name || null }
+    };
+  }
+
+  const prepared = job.jobType === TRIP_JOB_TYPES.DIGITAL_BIN
+    ? await prepareDigitalBinDisposal(job.jobId, collectorId, site.id || null, completedAt)
+    : await preparePickupDisposal(job.jobId, collectorId, site, completedAt);
+
+  if (prepared.paymentPending) {
+    logger.warn(`Leaving ${job.jobType} ${job.jobId} off the trip: ${prepared.paymentPending}`);
+    return null;
+  }
+
+  // Disposed on its own earlier; the trip takes it in so its earnings are released
+  if (prepared.alreadyDisposed) {
+    return { job_type: job.jobType, job_id: String(job.jobId), expected_status: null, fields: {} };
+  }
+
+  // Only the site; anything else in the prepared fields is the server's to work out
+  const { disposal_site, disposal_site_id, disposal_timestamp } = prepared.fields;
+  return {
+    job_type: job.jobType,
+    job_id: String(job.jobId),
+    expected_status: prepared.expectedStatus,
+    fields: job.jobType === TRIP_JOB_TYPES.DIGITAL_BIN
+      ? { disposal_site_id }
+      : { disposal_site, disposal_timestamp }
+  };
+}
+
+/**
+ * Complete a trip; the offline queue's processor for
+ * OFFLINE_ACTION_TYPES.COMPLETE_DISPOSAL_TRIP
+ *
+ * @param {Object} payload
+ * @param {string} payload.collectorId
+ * @param {Object} payload.trip - { id, site, openedAt, openedLocation, completedAt, location }
+ * @param {Array<{jobType: string, jobId: string}>} payload.jobs
+ * @param {Object} item - Queue item (replayed items have an id)
+ * @returns {Promise<Object>} Receipt (see toTripReceipt) plus the jobs left off the trip
+ */
+export const completeQueuedDisposalTrip = async ({ collectorId, trip, jobs }, item = {}) => {
+  const site = trip.site || {};
+  const completedAt = trip.completedAt || new Date().toISOString();
+
+  let prepared;
+  try {
+    prepared = await Promise.all(jobs.map(job => prepareTripJob(job, collectorId, site, completedAt)));
+  } catch (error) {
+    // Wrong status or another collector's job won't fix itself by retrying
+    if (/must be in|different collector|not found/i.test(error.message || '')) {
+      throw new OfflineConflictError(error.message, { status: null, reason: 'trip_job_conflict' });
+    }
+    throw error;
+  }
+
+  const tripJobs = prepared.filter(Boolean);
+  const leftOff = jobs.filter((_, index) => !prepared[index]);
+  if (tripJobs.length === 0) {
+    throw new OfflineConflictError('Nothing on this load can be disposed yet', { status: null, reason: 'payment_pending' });
+  }
+
+  const { data, error } = await supabase.rpc('complete_disposal_trip', {
+    p_trip: {
+      id: trip.id,
+      disposal_center_id: site.id || null,
+      opened_at: trip.openedAt || null,
+      opened_latitude: trip.openedLocation?.lat ?? null,
+      opened_longitude: trip.openedLocation?.lng ?? null,
+      completed_at: completedAt,
+      latitude: trip.location?.lat ?? null,
+      longitude: trip.location?.lng ?? null,
+      accuracy_m: trip.location?.accuracy ?? null,
+      // Items replayed from the queue have an id; direct online attempts don't
+      source: item.id ? 'offline_replay' : 'online'
+    },
+    p_jobs: tripJobs
+  });
+
+  const refusal = tripErrorMessage(error);
+  if (refusal) {
+    throw new OfflineConflictError(refusal, { status: null, reason: error.hint || 'trip_rejected' });
+  }
+  if (error) throw error;
+
+  await closeDisposalTrip(trip.id);
+  const receipt = toTripReceipt(data);
+  logger.info(`🧾 Disposal trip ${trip.id} completed (${data?.outcome}): ${receipt?.jobCount} jobs, receipt ${receipt?.receiptNumber}`);
+  return { ...receipt, leftOff };
+};
+
+/**
+ * Receipt of a completed trip
+ *
+ * @param {string} tripId
+ * @returns {Promise<{success: boolean, receipt: Object|null, error?: string}>}
+ */
+export async function getDisposalTripReceipt(tripId) {
+  try {
+    const { data, error } = await supabase.rpc('get_disposal_trip_receipt', { p_trip_id: tripId });
+    if (error) {
+      throw new Error(`Failed to fetch trip receipt: ${error.message}`);
+    }
+    return { success: true, receipt: toTripReceipt(data) };
+  } catch (error) {
+    logger.error('Error loading disposal trip receipt:', error);
+    return { success: false, error: error.message, receipt: null };
+  }
+}
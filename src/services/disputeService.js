@@ -0,0 +1,172 @@
+/**
+ * Dispute Service
+ * Disputes and refunds on digital bin payments (migration 20261024090000).
+ *
+ * Collectors raise a dispute on a settled customer payment (wrong amount, a bag
+ * scanned twice...). Support approves or rejects it through the payment-disputes
+ * Edge Function; an approved refund goes back to the customer's MoMo wallet and,
+ * once the gateway confirms it, is posted to the ledger against the original
+ * disposal, lowering the collector's earnings by their share of it.
+ */
+
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+
+export const DISPUTE_REASONS = [
+  { value: 'wrong_amount', label: 'Wrong amount charged' },
+  { value: 'double_scan', label: 'Bag scanned twice' },
+  { value: 'duplicate_payment', label: 'Customer paid twice' },
+  { value: 'service_not_rendered', label: 'Collection not completed' },
+  { value: 'other', label: 'Other' }
+];
+
+export const DISPUTE_STATUS = {
+  OPEN: 'open',
+  REJECTED: 'rejected',
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded',
+  REFUND_FAILED: 'refund_failed'
+};
+
+// Still counting against what can be refunded on the payment
+const COMMITTED_STATUSES = [DISPUTE_STATUS.REFUNDING, DISPUTE_STATUS.REFUNDED];
+const LIVE_STATUSES = [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.REFUNDING, DISPUTE_STATUS.REFUND_FAILED];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * What is left to refund on a payment given its disputes
+ * @param {Object} payment - bin_payments row
+ * @param {Object[]} disputes - payment_disputes rows for it
+ * @returns {number}
+ */
+export const refundableAmount = (payment, disputes = []) => {
+  const committed = disputes
+    .filter(dispute => COMMITTED_STATUSES.includes(dispute.status))
+    .reduce((sum, dispute) => sum + (parseFloat(dispute.refund_amount) || 0), 0);
+  return Math.max(0, round2((parseFloat(payment?.total_bill) || 0) - committed));
+};
+
+/**
+ * Check a dispute before it is sent
+ *
+ * @param {Object} dispute - { reason, requestedAmount, details }
+ * @param {Object} payment - bin_payments row, with its disputes in payment.disputes
+ * @returns {{valid: boolean, errors: Object}} errors keyed by field
+ */
+export const validateDispute = (dispute, payment) => {
+  const errors = {};
+  const amount = parseFloat(dispute.requestedAmount);
+
+  if (!payment || payment.status !== 'success') {
+    errors.payment = 'Only a completed payment can be disputed';
+  } else if ((payment.disputes || []).some(existing => LIVE_STATUSES.includes(existing.status))) {
+    errors.payment = 'This payment already has a dispute in progress';
+  }
+
+  if (!DISPUTE_REASONS.some(reason => reason.value === dispute.reason)) {
+    errors.reason = 'Choose a reason';
+  }
+  if (dispute.reason === 'other' && !dispute.details?.trim()) {
+    errors.details = 'Describe what went wrong';
+  }
+
+  const refundable = refundableAmount(payment, payment?.disputes);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    errors.requestedAmount = 'Enter the amount to refund';
+  } else if (amount > refundable + 0.001) {
+    errors.requestedAmount = `At most ₵${refundable.toFixed(2)} can be refunded`;
+  }
+
+  // Refunds always go back to the wallet that paid; the server ignores any other
+  if ((payment?.client_momo || '').replace(/\D/g, '').length < 10) {
+    errors.refundMomo = "This payment has no customer MoMo number to refund to. Ask support to raise the dispute.";
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Latest successful customer payment for a bin, with its disputes
+ * @param {string} digitalBinId
+ * @returns {Promise<{success: boolean, data?: Object|null, error?: string}>}
+ */
+export const getDisputablePayment = async (digitalBinId) => {
+  try {
+    const { data, error } = await supabase
+      .from('bin_payments')
+      .select(`
+        id, digital_bin_id, total_bill, bags_collected, scanned_bag_ids, payment_mode,
+        client_momo, client_rswitch, status, created_at,
+        disputes:payment_disputes ( id, status, reason, requested_amount, refund_amount, created_at, refunded_at, gateway_error )
+      `)
+      .eq('digital_bin_id', digitalBinId)
+      .eq('type', 'collection')
+      .eq('status', 'success')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    logger.error('Error loading payment for dispute:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Raise a dispute on a payment; support reviews it before anything is refunded
+ *
+ * @param {Object} payment - From getDisputablePayment
+ * @param {Object} dispute - { reason, requestedAmount, details }
+ * @returns {Promise<{success: boolean, dispute?: Object, error?: string, errors?: Object}>}
+ */
+export const raiseDispute = async (payment, dispute) => {
+  const { valid, errors } = validateDispute(dispute, payment);
+  if (!valid) {
+    return { success: false, error: Object.values(errors)[0], errors };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('payment_disputes')
+      .insert({
+        bin_payment_id: payment.id,
+        reason: dispute.reason,
+        details: dispute.details?.trim() || null,
+        requested_amount: round2(parseFloat(dispute.requestedAmount))
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Dispute ${data.id} raised on payment ${payment.id}`);
+    return { success: true, dispute: data };
+  } catch (error) {
+    logger.error('Error raising dispute:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * A collector's disputes, newest first
+ * @param {string} collectorId - Auth user id
+ * @returns {Promise<{success: boolean, data?: Object[], error?: string}>}
+ */
+export const getDisputes = async (collectorId) => {
+  try {
+    const { data, error } = await supabase
+      .from('payment_disputes')
+      .select('*')
+      .eq('collector_id', collectorId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    logger.error('Error loading disputes:', error);
+    return { success: false, error: error.message };
+  }
+};
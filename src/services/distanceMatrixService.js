@@ -0,0 +1,170 @@
+/**
+ * Distance Matrix Service
+ * Road distance and drive time from the collector to many requests at once.
+ *
+ * Requests go to the configured routing provider's matrix call in batches. Results are
+ * cached in sessionStorage keyed on rounded coordinates, so small GPS movements and
+ * re-renders reuse earlier answers instead of paying for a new lookup. Straight-line
+ * fallback answers are returned but never cached, so real road times replace them as
+ * soon as the routing service is reachable again.
+ */
+
+import { getRoutingProvider } from './routing';
+import { logger } from '../utils/logger';
+
+const CACHE_PREFIX = 'eta_cache_';
+const CACHE_TTL_MS = 10 * 60 * 1000; // Traffic changes; don't trust an ETA for long
+const MAX_CACHE_SIZE = 300;
+
+// ~110 m for the collector, ~11 m for the request: moving down the street reuses the cache
+const ORIGIN_DECIMALS = 3;
+const DESTINATION_DECIMALS = 4;
+
+/** Destinations sent per matrix call; Google allows 25, OSRM and GraphHopper more */
+export const DISTANCE_MATRIX_BATCH_SIZE = 25;
+
+const toPoint = (coords) => (Array.isArray(coords)
+  ? { lat: Number(coords[0]), lng: Number(coords[1]) }
+  : { lat: Number(coords?.lat ?? coords?.latitude), lng: Number(coords?.lng ?? coords?.longitude) });
+
+const roundPoint = ({ lat, lng }, decimals) => `${lat.toFixed(decimals)},${lng.toFixed(decimals)}`;
+
+const cacheKey = (origin, destination) =>
+  `${CACHE_PREFIX}${roundPoint(origin, ORIGIN_DECIMALS)}_to_${roundPoint(destination, DESTINATION_DECIMALS)}`;
+
+const readCache = (key) => {
+  try {
+    const cached = sessionStorage.getItem(key);
+    if (!cached) return null;
+
+    const { estimate, timestamp } = JSON.parse(cached);
+    if (Date.now() - timestamp < CACHE_TTL_MS) return estimate;
+    sessionStorage.removeItem(key);
+  } catch (error) {
+    logger.warn('Failed to read cached ETA:', error);
+  }
+  return null;
+};
+
+/**
+ * Drop expired entries, then the oldest ones, until there is room for `incoming` more
+ */
+const makeRoom = (incoming) => {
+  const entries = [];
+  for (let i = 0; i < sessionStorage.length; i++) {
+    const key = sessionStorage.key(i);
+    if (!key?.startsWith(CACHE_PREFIX)) continue;
+    try {
+      entries.push({ key, timestamp: JSON.parse(sessionStorage.getItem(key)).timestamp || 0 });
+    } catch {
+      entries.push({ key, timestamp: 0 });
+    }
+  }
+
+  const now = Date.now();
+  const live = entries.filter(entry => {
+    if (now - entry.timestamp < CACHE_TTL_MS) return true;
+    sessionStorage.removeItem(entry.key);
+    return false;
+  });
+
+  const excess = live.length + incoming - MAX_CACHE_SIZE;
+  if (excess > 0) {
+    live.sort((a, b) => a.timestamp - b.timestamp)
+      .slice(0, excess)
+      .forEach(entry => sessionStorage.removeItem(entry.key));
+  }
+};
+
+const writeCache = (entries) => {
+  if (entries.length === 0) return;
+  try {
+    makeRoom(entries.length);
+    const timestamp = Date.now();
+    entries.forEach(({ key, estimate }) => {
+      sessionStorage.setItem(key, JSON.stringify({ estimate, timestamp }));
+    });
+  } catch (error) {
+    logger.warn('Failed to cache ETAs:', error);
+  }
+};
+
+/**
+ * Road distance and drive time from one origin to many destinations
+ *
+ * @param {Array|Object} origin - Collector position, [lat, lng] or { lat, lng }
+ * @param {Array<{id: string, coordinates: Array|Object}>} destinations - Requests to estimate
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Destinations per matrix call
+ * @param {Object} [options.provider] - Routing provider, defaults to the app-wide one
+ * @returns {Promise<Object>} - { [id]: { distanceKm, durationMinutes, approximate, provider } };
+ *   durationMinutes is null for unreachable destinations. Destinations whose batch
+ *   failed are left out, so callers should fall back to straight-line distance.
+ */
+export const getTravelEstimates = async (origin, destinations, {
+  batchSize = DISTANCE_MATRIX_BATCH_SIZE,
+  provider = getRoutingProvider()
+} = {}) => {
+  const from = toPoint(origin);
+  if (!Number.isFinite(from.lat) || !Number.isFinite(from.lng)) return {};
+
+  const estimates = {};
+  const missing = [];
+
+  (destinations || []).forEach(({ id, coordinates }) => {
+    const to = toPoint(coordinates);
+    if (!Number.isFinite(to.lat) || !Number.isFinite(to.lng)) return;
+
+    const key = cacheKey(from, to);
+    const cached = readCache(key);
+    if (cached) {
+      estimates[id] = cached;
+    } else {
+      missing.push({ id, to, key });
+    }
+  });
+
+  for (let offset = 0; offset < missing.length; offset += batchSize) {
+    const batch = missing.slice(offset, offset + batchSize);
+
+    try {
+      const { distances, durations, approximate, provider: answeredBy } =
+        await provider.matrix([from], batch.map(item => item.to));
+      const toCache = [];
+
+      batch.forEach((item, index) => {
+        const meters = distances?.[0]?.[index];
+        const seconds = durations?.[0]?.[index];
+        const estimate = {
+          distanceKm: meters == null ? null : meters / 1000,
+          durationMinutes: seconds == null ? null : seconds / 60,
+          approximate: Boolean(approximate),
+          provider: answeredBy
+        };
+
+        estimates[item.id] = estimate;
+        if (!approximate) toCache.push({ key: item.key, estimate });
+      });
+
+      writeCache(toCache);
+    } catch (error) {
+      logger.warn(`ETA lookup failed for ${batch.length} requests:`, error.message);
+    }
+  }
+
+  logger.debug(`🚗 ETAs: ${destinations?.length || 0} requests, ${missing.length} looked up`);
+  return estimates;
+};
+
+/**
+ * Forget all cached ETAs, e.g. after changing routing provider
+ */
+export const clearTravelEstimates = () => {
+  try {
+    Object.keys(sessionStorage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => sessionStorage.removeItem(key));
+  } catch (error) {
+    logger.warn('Failed to clear cached ETAs:', error);
+  }
+};
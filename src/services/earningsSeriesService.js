@@ -0,0 +1,165 @@
+/**
+ * Earnings Series Service
+ * Time series behind the Earnings chart, aggregated server-side by
+ * get_collector_earnings_aggregate (migration 20261025090000).
+ *
+ * Each bucket splits what the collector earned into pickups, digital bins,
+ * tips and loyalty cashback, with the hours they were online and the km they
+ * drove to jobs, so the page can show earnings per hour and per km and compare
+ * them with the period before.
+ */
+
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+
+export const EARNINGS_GRANULARITY = {
+  day: { label: 'Daily', buckets: 14 },
+  week: { label: 'Weekly', buckets: 12 },
+  month: { label: 'Monthly', buckets: 12 }
+};
+
+export const SERIES_CATEGORIES = [
+  { key: 'pickup', label: 'Pickups', color: '#16a34a' },
+  { key: 'digitalBin', label: 'Digital bins', color: '#2563eb' },
+  { key: 'tips', label: 'Tips', color: '#f59e0b' },
+  { key: 'loyalty', label: 'Loyalty', color: '#9333ea' }
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Start of the bucket a date falls in, in UTC like the database's date_trunc
+ * (Ghana time is UTC)
+ * @param {Date} date
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {Date}
+ */
+export const bucketStart = (date, granularity) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === 'week') {
+    // ISO weeks start on Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (granularity === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+/**
+ * Range covering the last N buckets, the current one included
+ * @param {'day'|'week'|'month'} granularity
+ * @param {Date} [now]
+ * @returns {{startDate: Date, endDate: Date}}
+ */
+export const seriesRange = (granularity, now = new Date()) => {
+  const { buckets } = EARNINGS_GRANULARITY[granularity];
+  const startDate = bucketStart(now, granularity);
+  if (granularity === 'month') {
+    startDate.setUTCMonth(startDate.getUTCMonth() - (buckets - 1));
+  } else {
+    startDate.setUTCDate(startDate.getUTCDate() - (buckets - 1) * (granularity === 'week' ? 7 : 1));
+  }
+  return { startDate, endDate: now };
+};
+
+/**
+ * Short axis label for a bucket
+ * @param {Date} start
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {string}
+ */
+export const bucketLabel = (start, granularity) => {
+  if (granularity === 'month') return MONTHS[start.getUTCMonth()];
+  if (granularity === 'week') return `${start.getUTCDate()} ${MONTHS[start.getUTCMonth()]}`;
+  return DAYS[start.getUTCDay()];
+};
+
+/**
+ * Change from the previous period as a fraction, null when there is nothing to compare with
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null}
+ */
+export const relativeChange = (current, previous) => {
+  if (!previous) return null;
+  return (current - previous) / Math.abs(previous);
+};
+
+const normalizeTotals = (totals = {}) => {
+  const total = round2(toNumber(totals.total));
+  const hoursOnline = toNumber(totals.hours_online);
+  const kmDriven = toNumber(totals.km_driven);
+  return {
+    pickup: round2(toNumber(totals.pickup)),
+    digitalBin: round2(toNumber(totals.digital_bin)),
+    tips: round2(toNumber(totals.tips)),
+    loyalty: round2(toNumber(totals.loyalty)),
+    total,
+    jobs: toNumber(totals.jobs),
+    hoursOnline,
+    kmDriven,
+    perHour: hoursOnline > 0 ? round2(total / hoursOnline) : null,
+    perKm: kmDriven > 0 ? round2(total / kmDriven) : null
+  };
+};
+
+/**
+ * Shape the RPC result for the chart
+ * @param {Object} data - get_collector_earnings_aggregate result
+ * @returns {Object} { granularity, buckets, totals, previous, change }
+ */
+export const normalizeEarningsSeries = (data) => {
+  const granularity = data?.granularity || 'day';
+  const buckets = (data?.buckets || []).map(bucket => {
+    const start = new Date(bucket.start);
+    return {
+      start,
+      label: bucketLabel(start, granularity),
+      ...normalizeTotals(bucket)
+    };
+  });
+  const totals = normalizeTotals(data?.totals);
+  const previous = normalizeTotals(data?.previous);
+
+  return {
+    granularity,
+    buckets,
+    totals,
+    previous,
+    change: {
+      total: relativeChange(totals.total, previous.total),
+      perHour: totals.perHour !== null && previous.perHour !== null
+        ? relativeChange(totals.perHour, previous.perHour) : null,
+      perKm: totals.perKm !== null && previous.perKm !== null
+        ? relativeChange(totals.perKm, previous.perKm) : null
+    }
+  };
+};
+
+/**
+ * Earnings series for the last few days, weeks or months
+ * @param {string} collectorId - Auth user id
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const getEarningsSeries = async (collectorId, granularity = 'day') => {
+  try {
+    const { startDate, endDate } = seriesRange(granularity);
+    const { data, error } = await supabase.rpc('get_collector_earnings_aggregate', {
+      p_collector_id: collectorId,
+      p_start_date: startDate.toISOString(),
+      p_end_date: endDate.toISOString(),
+      p_granularity: granularity
+    });
+
+    if (error) throw error;
+    return { success: true, data: normalizeEarningsSeries(data) };
+  } catch (error) {
+    logger.error('Error loading earnings series:', error);
+    return { success: false, error: error.message };
+  }
+};
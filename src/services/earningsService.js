@@ -1,10 +1,24 @@
 import { supabase } from './supabase';
 import { logger } from '../utils/logger';
-import * as TrendiPayService from './trendiPayService';
-import { getDeadheadShare } from '../utils/paymentCalculations';
+import { calculatePaymentSharing } from '../utils/paymentCalculations';
+import { getAvailableBalance, getCollectorLedger, summarizeLedger, EARNING_COMPONENTS } from './ledgerService';
+import { getPaymentProvider, isGatewayEnabled } from './payments';
+import { loyaltyTierProgress } from '../utils/loyaltyTiers';
 
-// Feature flag for TrendiPay integration
-const ENABLE_TRENDIPAY = import.meta.env.VITE_ENABLE_TRENDIPAY === 'true';
+/**
+ * Turn a timeframe like '30d', or an explicit { startDate, endDate }, into dates
+ * @param {string|{startDate: Date|string, endDate: Date|string}} timeframe
+ * @returns {{startDate: Date, endDate: Date}}
+ */
+const resolveTimeframe = (timeframe) => {
+  if (timeframe && typeof timeframe === 'object') {
+    return { startDate: new Date(timeframe.startDate), endDate: new Date(timeframe.endDate) };
+  }
+  const endDate = new Date();
+  const startDate = new Date();
+  startDate.setDate(endDate.getDate() - (parseInt(timeframe) || 30));
+  return { startDate, endDate };
+};
 
 // ========================================
 // OFFLINE CACHING CONFIGURATION
@@ -272,283 +286,6 @@ class EarningsCacheManager {
   }
 }
 
-// SOP v4.5.6 Payment Model Constants
-// CRITICAL: These values must remain consistent with disposalService.js
-const PAYMENT_SPLITS = {
-  // Collector shares
-  URGENT_COLLECTOR_SHARE: 0.75,      // 75% of urgent surcharge to collector
-  SURGE_COLLECTOR_SHARE: 0.75,       // 75% of surge uplift to collector
-  TIPS_COLLECTOR_SHARE: 1.0,         // 100% of tips to collector
-  RECYCLABLES_COLLECTOR_SHARE: 0.60, // 60% of recyclables to collector
-  RECYCLABLES_USER_SHARE: 0.25,      // 25% of recyclables to user
-  DISTANCE_COLLECTOR_SHARE: 1.0,     // 100% of distance bonus to collector
-  DEFAULT_DEADHEAD_SHARE: 0.87,      // Average of 85-92% for legacy data without deadhead info
-  
-  // Platform shares (App Bucket)
-  URGENT_PLATFORM_SHARE: 0.25,       // 25% of urgent surcharge to platform
-  SURGE_PLATFORM_SHARE: 0.25,        // 25% of surge uplift to platform
-  RECYCLABLES_PLATFORM_SHARE: 0.15,  // 15% of recyclables to platform
-  REQUEST_FEE_PLATFORM_SHARE: 1.0,   // 100% of request fee to platform
-  
-  // Platform request fee - excluded from sharing, goes directly to platform
-  PLATFORM_REQUEST_FEE: 1.00,        // GHC 1.00 fixed platform fee
-};
-
-/**
- * Calculate collector's earnings from a pickup request applying SOP v4.5.6 percentage shares
- * NOTE: Request fee (GHC 1.00) is EXCLUDED from bucket sharing - it's 100% platform revenue
- * @param {Object} pickup - Pickup request object
- * @returns {number} Collector's total earnings
- */
-function calculateCollectorEarnings(pickup) {
-  // If new payment model fields exist, use them directly (already calculated)
-  // VALIDATION: payout must be LESS than the fee (SOP always deducts platform cut)
-  if (pickup.collector_total_payout !== null && pickup.collector_total_payout !== undefined) {
-    const rawFee = pickup.fee || pickup.base_amount || 0;
-    if (rawFee <= 0 || pickup.collector_total_payout < rawFee) {
-      return pickup.collector_total_payout;
-    }
-    // payout >= fee → legacy bug, fall through to recalculate
-  }
-  
-  // Legacy data: Apply percentage sharing algorithm
-  // IMPORTANT: Subtract request fee from base - it's 100% platform revenue, not shared
-  const rawFee = pickup.fee || pickup.base_amount || 0;
-  const requestFee = pickup.request_fee || 1.0; // Default GHC 1.00 request fee
-  const baseFee = Math.max(0, rawFee - requestFee); // Exclude request fee from sharing
-  if (baseFee === 0) return 0;
-  
-  // Get deadhead share based on distance (85-92%), or use default average
-  const deadheadKm = pickup.deadhead_km || pickup.distance_km || 0;
-  const deadheadShare = deadheadKm > 0 ? getDeadheadShare(deadheadKm) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
-  
-  // Calculate core payout (base * deadhead share)
-  let collectorTotal = baseFee * deadheadShare;
-  
-  // Add urgent bonus (75% of urgent surcharge)
-  if (pickup.urgent_enabled && pickup.urgent_amount) {
-    collectorTotal += pickup.urgent_amount * PAYMENT_SPLITS.URGENT_COLLECTOR_SHARE;
-  }
-  
-  // Add surge bonus (75% of surge uplift)
-  if (pickup.surge_multiplier && pickup.surge_multiplier > 1) {
-    const surgeUplift = baseFee * (pickup.surge_multiplier - 1);
-    collectorTotal += surgeUplift * PAYMENT_SPLITS.SURGE_COLLECTOR_SHARE;
-  }
-  
-  // Add distance bonus (100% when urgent and >5km)
-  if (pickup.distance_billed_km && pickup.distance_billed_km > 0) {
-    const perKm = 0.06 * baseFee; // 6% per km
-    collectorTotal += pickup.distance_billed_km * perKm * PAYMENT_SPLITS.DISTANCE_COLLECTOR_SHARE;
-  }
-  
-  // Add tips (100%)
-  if (pickup.tips) {
-    collectorTotal += pickup.tips * PAYMENT_SPLITS.TIPS_COLLECTOR_SHARE;
-  }
-  
-  // Add recyclables (60%)
-  if (pickup.recycler_gross_payout) {
-    collectorTotal += pickup.recycler_gross_payout * PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE;
-  }
-  
-  // Add loyalty cashback
-  if (pickup.collector_loyalty_cashback) {
-    collectorTotal += pickup.collector_loyalty_cashback;
-  }
-  
-  return collectorTotal;
-}
-
-/**
- * Calculate collector's earnings from a digital bin applying SOP v4.5.6 percentage shares
- * CRITICAL: Platform fee (GHC 1.00) is EXCLUDED from sharing - must match disposalService.js
- * @param {Object} bin - Digital bin object
- * @param {number} actualCollectedAmount - Actual amount collected from client (from bin_payments.total_bill)
- * @returns {number} Collector's total earnings
- */
-function calculateBinCollectorEarnings(bin, actualCollectedAmount = null) {
-  // Only use actual collected amount from bin_payments
-  // No actual payment processed = no earnings
-  if (actualCollectedAmount === null || actualCollectedAmount === undefined) {
-    return 0; // No payment processed through TrendiPay
-  }
-  
-  const totalBill = actualCollectedAmount;
-  
-  // CRITICAL: Exclude platform request fee from sharing - it goes directly to platform
-  const platformRequestFee = PAYMENT_SPLITS.PLATFORM_REQUEST_FEE;
-  const shareableAmount = Math.max(0, totalBill - platformRequestFee);
-  if (shareableAmount === 0) return 0;
-  
-  const isUrgent = bin.is_urgent || false;
-  const deadheadKm = parseFloat(bin.deadhead_km) || 0;
-  const deadheadShare = deadheadKm > 0 ? getDeadheadShare(deadheadKm) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
-  
-  // Extract base and urgent portions FROM shareable amount (fee already includes urgent)
-  let basePortion, urgentPortion;
-  if (isUrgent) {
-    // shareableAmount = base + (base * 0.30) = base * 1.30
-    basePortion = shareableAmount / 1.30;
-    urgentPortion = shareableAmount - basePortion;
-  } else {
-    basePortion = shareableAmount;
-    urgentPortion = 0;
-  }
-  
-  // Collector core payout (deadhead share of base)
-  const collectorCore = basePortion * deadheadShare;
-  
-  // Collector urgent payout (75% of urgent portion)
-  const collectorUrgent = urgentPortion * PAYMENT_SPLITS.URGENT_COLLECTOR_SHARE;
-  
-  // Total payout from fee (before external sources)
-  let collectorTotal = collectorCore + collectorUrgent;
-  
-  // Add tips (100%) - external source
-  if (bin.collector_tips) {
-    collectorTotal += bin.collector_tips * PAYMENT_SPLITS.TIPS_COLLECTOR_SHARE;
-  }
-  
-  // Add recyclables (60%) - external source from recycler
-  if (bin.recycler_gross_payout) {
-    collectorTotal += bin.recycler_gross_payout * PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE;
-  }
-  
-  // Add loyalty cashback - external source from platform
-  if (bin.collector_loyalty_cashback) {
-    collectorTotal += bin.collector_loyalty_cashback;
-  }
-  
-  return collectorTotal;
-}
-
-/**
- * Calculate platform earnings (App Bucket) from a pickup request applying SOP v4.5.6 percentage shares
- * @param {Object} pickup - Pickup request object
- * @returns {Object} Platform earnings breakdown
- */
-function calculatePlatformEarnings(pickup) {
-  // Request fee is ALWAYS 100% platform revenue (GHC 1.00 default)
-  const requestFee = pickup.request_fee || 1.0;
-  
-  // If new payment model fields exist, calculate from stored values
-  if (pickup.collector_total_payout !== null && pickup.collector_total_payout !== undefined) {
-    const rawFee = pickup.base_amount || pickup.fee || 0;
-    // Exclude request fee from base for core calculation (it's already accounted for separately)
-    const baseFeeForSharing = Math.max(0, rawFee - requestFee);
-    const collectorCore = pickup.collector_core_payout || 0;
-    const collectorUrg = pickup.collector_urgent_payout || 0;
-    const collectorSurge = pickup.collector_surge_payout || 0;
-    const collectorRecyclables = pickup.collector_recyclables_payout || 0;
-    
-    // Platform gets the remainder of shared amounts
-    const platformCore = baseFeeForSharing - collectorCore;
-    const platformUrg = pickup.urgent_amount ? pickup.urgent_amount - collectorUrg : 0;
-    const platformSurge = pickup.surge_amount ? pickup.surge_amount - collectorSurge : 0;
-    const platformRecyclables = pickup.recycler_gross_payout ? 
-      pickup.recycler_gross_payout * PAYMENT_SPLITS.RECYCLABLES_PLATFORM_SHARE : 0;
-    
-    return {
-      platformCore,
-      platformUrg,
-      platformSurge,
-      platformRecyclables,
-      requestFee, // 100% to platform, not shared
-      total: platformCore + platformUrg + platformSurge + platformRecyclables + requestFee
-    };
-  }
-  
-  // Legacy data: Apply percentage sharing algorithm
-  // IMPORTANT: Exclude request fee from base - it's 100% platform revenue
-  const rawFee = pickup.fee || pickup.base_amount || 0;
-  const baseFee = Math.max(0, rawFee - requestFee); // Exclude request fee from sharing
-  if (baseFee === 0) return { platformCore: 0, platformUrg: 0, platformSurge: 0, platformRecyclables: 0, requestFee, total: requestFee };
-  
-  const deadheadKm = pickup.deadhead_km || pickup.distance_km || 0;
-  const deadheadShare = deadheadKm > 0 ? getDeadheadShare(deadheadKm) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
-  
-  // Platform core = base * (1 - deadhead share) = 8-15%
-  const platformCore = baseFee * (1 - deadheadShare);
-  
-  // Platform urgent = 25% of urgent surcharge
-  let platformUrg = 0;
-  if (pickup.urgent_enabled && pickup.urgent_amount) {
-    platformUrg = pickup.urgent_amount * PAYMENT_SPLITS.URGENT_PLATFORM_SHARE;
-  }
-  
-  // Platform surge = 25% of surge uplift
-  let platformSurge = 0;
-  if (pickup.surge_multiplier && pickup.surge_multiplier > 1) {
-    const surgeUplift = baseFee * (pickup.surge_multiplier - 1);
-    platformSurge = surgeUplift * PAYMENT_SPLITS.SURGE_PLATFORM_SHARE;
-  }
-  
-  // Platform recyclables = 15%
-  let platformRecyclables = 0;
-  if (pickup.recycler_gross_payout) {
-    platformRecyclables = pickup.recycler_gross_payout * PAYMENT_SPLITS.RECYCLABLES_PLATFORM_SHARE;
-  }
-  
-  // Request fee already extracted at line 111 (100% to platform, not shared)
-  return {
-    platformCore,
-    platformUrg,
-    platformSurge,
-    platformRecyclables,
-    requestFee,
-    total: platformCore + platformUrg + platformSurge + platformRecyclables + requestFee
-  };
-}
-
-/**
- * Calculate platform earnings from a digital bin
- * CRITICAL: Includes platform request fee (GHC 1.00) - must match disposalService.js
- * @param {Object} bin - Digital bin object
- * @returns {Object} Platform earnings breakdown
- */
-function calculateBinPlatformEarnings(bin) {
-  const totalBill = parseFloat(bin.fee) || parseFloat(bin.payout) || 0;
-  
-  // Platform request fee is 100% platform revenue
-  const requestFee = PAYMENT_SPLITS.PLATFORM_REQUEST_FEE;
-  const shareableAmount = Math.max(0, totalBill - requestFee);
-  
-  const isUrgent = bin.is_urgent || false;
-  const deadheadKm = parseFloat(bin.deadhead_km) || 0;
-  const deadheadShare = deadheadKm > 0 ? getDeadheadShare(deadheadKm) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
-  
-  // Extract base and urgent portions FROM shareable amount
-  let basePortion, urgentPortion;
-  if (isUrgent) {
-    basePortion = shareableAmount / 1.30;
-    urgentPortion = shareableAmount - basePortion;
-  } else {
-    basePortion = shareableAmount;
-    urgentPortion = 0;
-  }
-  
-  // Platform core = base * (1 - deadhead share) = 8-15%
-  const platformCore = basePortion * (1 - deadheadShare);
-  
-  // Platform urgent = 25% of urgent portion
-  const platformUrg = urgentPortion * PAYMENT_SPLITS.URGENT_PLATFORM_SHARE;
-  
-  // Platform recyclables = 15%
-  const platformRecyclables = bin.recycler_gross_payout 
-    ? bin.recycler_gross_payout * PAYMENT_SPLITS.RECYCLABLES_PLATFORM_SHARE 
-    : 0;
-  
-  return {
-    platformCore,
-    platformUrg,
-    platformSurge: 0,
-    platformRecyclables,
-    requestFee, // GHC 1.00 fixed platform fee
-    total: platformCore + platformUrg + platformRecyclables + requestFee
-  };
-}
-
 class EarningsService {
   constructor(collectorId) {
     this.collectorId = collectorId;
@@ -866,8 +603,14 @@ class EarningsService {
 
   async getEarningsData() {
     try {
+      // === LEDGER ===
+      // Everything earned, withdrawn or owed comes from the collector's ledger entries;
+      // the job tables below only supply counts, ratings and estimates for jobs not yet disposed
+      const ledgerResult = await getCollectorLedger(this.collectorId);
+      if (!ledgerResult.success) throw new Error(ledgerResult.error);
+      const ledger = summarizeLedger(ledgerResult.data);
+
       // === PICKUP REQUESTS ===
-      // Get ALL pickups for this collector (both picked_up and disposed)
       const { data: allPickups, error: pickupsError } = await supabase
         .from('pickup_requests')
         .select('*')
@@ -876,12 +619,10 @@ class EarningsService {
 
       if (pickupsError) throw pickupsError;
 
-      // Separate by status
       const pickedUpRequests = allPickups?.filter(p => p.status === 'collecting') || [];
       const disposedRequests = allPickups?.filter(p => p.status === 'disposed') || [];
 
       // === DIGITAL BINS ===
-      // Get digital bins for this collector (both picked_up and disposed)
       const { data: digitalBins, error: binsError } = await supabase
         .from('digital_bins')
         .select('*')
@@ -892,91 +633,34 @@ class EarningsService {
         logger.warn('Error fetching digital bins:', binsError);
       }
 
-      // Separate digital bins by status
       const pickedUpBins = digitalBins?.filter(b => b.status === 'collecting') || [];
       const disposedBins = digitalBins?.filter(b => b.status === 'disposed') || [];
 
-      // === BIN PAYMENTS ===
-      // Fetch ALL bin_payments ordered by created_at DESC.
-      //
-      // Status semantics:
-      //   success → TrendiPay confirmed receipt → app bucket HAS the funds → can disburse to collector
-      //   pending → TrendiPay initiated but NOT confirmed → app bucket has NO funds yet
-      //   failed  → never received → cannot disburse
-      //
-      // Map rules:
-      //   binPaymentAmountMap       — total_bill from LATEST record (any status): bill is set at collection
-      //   binPaymentCollectorShareMap — collector_share from SUCCESS only: app bucket must hold the funds
-      //   binPaymentPlatformShareMap  — platform_share from SUCCESS only: same reason
-      //   binPaymentModeMap           — payment_mode from SUCCESS only: mode confirmed on successful charge
-      //   binPaymentSuccessAmountMap  — total_bill from SUCCESS only (for pending: confirmed receipts only)
-      const binIds = (digitalBins || []).map(b => b.id);
-      const binPaymentModeMap = {};
-      const binPaymentAmountMap = {};         // total_bill — latest record, any status (for tracking all bills)
-      const binPaymentSuccessAmountMap = {}; // total_bill — SUCCESS only (for pending: only confirmed MoMo/e-Cash)
-      const binPaymentCollectorShareMap = {}; // collector_share — SUCCESS records only
-      const binPaymentPlatformShareMap = {};  // platform_share — SUCCESS records only
-      
-      if (binIds.length > 0) {
+      // Confirmed receipts for bins still being collected: only 'success' payments count,
+      // since the app bucket holds nothing for pending ones
+      const binPaymentSuccessAmountMap = {};
+      const collectingBinIds = pickedUpBins.map(b => b.id);
+      if (collectingBinIds.length > 0) {
         const { data: payments, error: paymentsError } = await supabase
           .from('bin_payments')
-          .select('digital_bin_id, payment_mode, total_bill, collector_share, platform_share, type, status, created_at')
-          .in('digital_bin_id', binIds)
+          .select('digital_bin_id, total_bill')
+          .in('digital_bin_id', collectingBinIds)
           .eq('type', 'collection')
+          .eq('status', 'success')
           .order('created_at', { ascending: false });
-        
+
         if (!paymentsError && payments) {
-          // Single pass: latest record per bin wins (already sorted DESC)
           payments.forEach(p => {
-            const binId = p.digital_bin_id;
             const bill = parseFloat(p.total_bill) || 0;
-            
-            // total_bill: latest record regardless of status (bill is valid at collection time)
-            if (binPaymentAmountMap[binId] === undefined && bill > 0) {
-              binPaymentAmountMap[binId] = bill;
-            }
-            
-            // total_bill from SUCCESS only — for pending (only confirmed receipts count)
-            if (p.status === 'success' && binPaymentSuccessAmountMap[binId] === undefined && bill > 0) {
-              binPaymentSuccessAmountMap[binId] = bill;
-            }
-            
-            // shares + mode: SUCCESS only — app bucket must have confirmed receipt
-            if (p.status === 'success' && binPaymentModeMap[binId] === undefined) {
-              binPaymentModeMap[binId] = p.payment_mode;
-              if (p.collector_share !== null && p.collector_share !== undefined) {
-                binPaymentCollectorShareMap[binId] = parseFloat(p.collector_share);
-              }
-              if (p.platform_share !== null && p.platform_share !== undefined) {
-                binPaymentPlatformShareMap[binId] = parseFloat(p.platform_share);
-              }
+            if (binPaymentSuccessAmountMap[p.digital_bin_id] === undefined && bill > 0) {
+              binPaymentSuccessAmountMap[p.digital_bin_id] = bill;
             }
           });
         }
       }
-      
-      // For downstream references
-      const binPayments = Object.keys(binPaymentModeMap).length;
-
-      // DEBUG: Log total_bill map for verification
-      if (Object.keys(binPaymentAmountMap).length > 0) {
-        logger.info('💰 bin_payments total_bill map:', 
-          Object.fromEntries(Object.entries(binPaymentAmountMap).map(([k, v]) => [k.slice(0, 8), v]))
-        );
-      }
-      if (digitalBins?.length > 0) {
-        logger.info('💰 digital_bins fee vs total_bill:', digitalBins.map(b => ({
-          bin: b.id?.slice(0,8),
-          fee: b.fee,
-          payout: b.payout,
-          collector_total_payout: b.collector_total_payout,
-          actual_total_bill: binPaymentAmountMap[b.id],
-          status: b.status
-        })));
-      }
 
       // === AUTHORITY ASSIGNMENTS ===
-      // Get completed authority assignments
+      // Paid by the authority directly, so they never pass through the ledger
       const { data: authorityAssignments, error: assignmentsError } = await supabase
         .from('authority_assignments')
         .select('*')
@@ -987,200 +671,62 @@ class EarningsService {
         logger.warn('Error fetching authority assignments:', assignmentsError);
       }
 
-      // === CALCULATE COLLECTOR EARNINGS (SOP v4.5.6 Percentage Sharing) ===
-      // Pickup requests earnings - apply percentage sharing algorithm
-      const pickupPendingDisposal = pickedUpRequests.reduce((sum, p) => sum + calculateCollectorEarnings(p), 0);
-      const pickupDisposedEarnings = disposedRequests.reduce((sum, p) => sum + calculateCollectorEarnings(p), 0);
-      const totalPickupEarnings = pickupPendingDisposal + pickupDisposedEarnings;
+      // === COLLECTOR EARNINGS ===
+      const jobEarned = (id) => ledger.byJob[id]?.earned || 0;
+      // What disposal will post for a pickup still being collected (same split as disposalService)
+      const estimatePickupEarnings = (p) =>
+        calculatePaymentSharing(p, { total_bill: p.fee || p.base_amount }, parseFloat(p.collector_tips) || 0).collector_total_payout;
 
-      // Helper: resolve collector earnings for a digital bin with priority:
-      //   1. bin_payments.collector_share (pre-computed at collection time — authoritative)
-      //      VALIDATION: collector_share must be LESS than total_bill (SOP always deducts platform cut)
-      //      If collector_share >= total_bill, SOP was never applied (legacy bug) — return 0
-      //   2. No bin_payments record = no actual payment processed = 0 earnings
-      //   3. Bin must be 'disposed' to be withdrawable
-      const resolveBinCollectorEarnings = (b) => {
-        // Only disposed bins are withdrawable
-        if (b.status !== 'disposed') {
-          return 0; // Not yet disposed - not withdrawable
-        }
-        
-        const storedShare = binPaymentCollectorShareMap[b.id];
-        const actualAmount = binPaymentAmountMap[b.id] ?? null;
-        if (storedShare !== undefined) {
-          // If we have total_bill to validate against: collector_share must be < total_bill
-          // If collector_share >= total_bill, SOP was never applied (legacy bug) — return 0
-          if (actualAmount !== null && actualAmount > 0 && storedShare >= actualAmount) {
-            return 0; // Invalid data, no actual earnings
-          }
-          // Trust stored share (actual processed payment)
-          return storedShare;
-        }
-        // No bin_payments record = no actual payment processed through TrendiPay
-        return 0;
-      };
+      const pickupPendingDisposal = pickedUpRequests.reduce((sum, p) => sum + estimatePickupEarnings(p), 0);
+      const pickupDisposedEarnings = disposedRequests.reduce((sum, p) => sum + jobEarned(p.id), 0);
+      const totalPickupEarnings = pickupPendingDisposal + pickupDisposedEarnings;
 
-      // Digital bin earnings - ONLY disposed bins with successful payments count
-      const binsPendingDisposal = pickedUpBins.reduce((sum, b) => sum + resolveBinCollectorEarnings(b), 0); // Will be 0 (not disposed)
-      const binsDisposedEarnings = disposedBins.reduce((sum, b) => sum + resolveBinCollectorEarnings(b), 0);
+      // Bins earn nothing until disposal posts them
+      const binsPendingDisposal = 0;
+      const binsDisposedEarnings = disposedBins.reduce((sum, b) => sum + jobEarned(b.id), 0);
       const totalBinEarnings = binsPendingDisposal + binsDisposedEarnings;
 
-      // Estimated pending earnings for collecting bins (not yet withdrawable, shows what's coming)
-      // Standard: only SUCCESS payments count as "pending" — confirmed MoMo/e-Cash receipts
-      const estimatedPendingBinEarnings = pickedUpBins.reduce((sum, b) => {
-        const totalBill = binPaymentSuccessAmountMap[b.id]; // SUCCESS only
-        return sum + (totalBill || 0);
-      }, 0);
+      const estimatedPendingBinEarnings = pickedUpBins.reduce((sum, b) => sum + (binPaymentSuccessAmountMap[b.id] || 0), 0);
       // Prepaid pickup requests only (platform already holds the funds)
       const estimatedPendingPickupEarnings = pickedUpRequests
         .filter(p => p.payment_mode !== 'cash' && p.payment_type !== 'cash')
-        .reduce((sum, p) => sum + calculateCollectorEarnings(p), 0);
-
-      // Split disposed bin earnings by payment mode:
-      // - Digital (momo/e_cash): platform holds funds → collector can withdraw
-      // - Cash: collector already received from client → not withdrawable via platform
-      const binsDisposedDigitalEarnings = disposedBins.reduce((sum, b) => {
-        const mode = binPaymentModeMap[b.id];
-        if (mode === 'cash') return sum; // Already in collector's hands
-        return sum + resolveBinCollectorEarnings(b);
-      }, 0);
-      const binsDisposedCashEarnings = disposedBins.reduce((sum, b) => {
-        const mode = binPaymentModeMap[b.id];
-        if (mode !== 'cash') return sum;
-        return sum + resolveBinCollectorEarnings(b);
-      }, 0);
-
-      // Authority assignment earnings
+        .reduce((sum, p) => sum + estimatePickupEarnings(p), 0);
+
+      const binsDisposedCashEarnings = disposedBins
+        .filter(b => ledger.byJob[b.id]?.paymentMode === 'cash')
+        .reduce((sum, b) => sum + jobEarned(b.id), 0);
+
       const assignmentEarnings = authorityAssignments?.reduce((sum, a) => sum + (a.payment || 0), 0) || 0;
 
-      // Total collector earnings from all sources
       const totalEarnings = totalPickupEarnings + totalBinEarnings + assignmentEarnings;
       const pendingDisposalEarnings = pickupPendingDisposal + binsPendingDisposal;
       const estimatedPendingEarnings = estimatedPendingBinEarnings + estimatedPendingPickupEarnings;
       const disposedEarnings = pickupDisposedEarnings + binsDisposedEarnings + assignmentEarnings;
 
-      // Withdrawable earnings = disposed digital-payment bin earnings + disposed pickup request earnings.
-      // Cash bins are excluded: collector already has the cash from the client.
-      // Pickup requests are PREPAID (platform holds the funds), so disposed pickups are withdrawable.
-      const pickupDisposedWithdrawable = disposedRequests.reduce((sum, p) => sum + calculateCollectorEarnings(p), 0);
-      const withdrawableEarnings = binsDisposedDigitalEarnings + pickupDisposedWithdrawable;
-
-      // === CALCULATE PLATFORM EARNINGS (App Bucket) ===
-      
-      // Helper: resolve platform earnings for a digital bin with priority:
-      //   1. bin_payments.platform_share (pre-computed at collection time — authoritative)
-      //      VALIDATION: Skip if collector_share was invalid (legacy bug) — recalculate both
-      //   2. Runtime calculation from actual total_bill
-      //   3. Runtime calculation from estimated fee (legacy)
-      const resolveBinPlatformEarnings = (b) => {
-        const storedPlatformShare = binPaymentPlatformShareMap[b.id];
-        const storedCollectorShare = binPaymentCollectorShareMap[b.id];
-        const actualAmount = binPaymentAmountMap[b.id];
-        if (storedPlatformShare !== undefined) {
-          // If collector_share was invalid (>= total_bill), platform_share is also suspect
-          const collectorShareInvalid = storedCollectorShare !== undefined && actualAmount !== undefined && actualAmount > 0 && storedCollectorShare >= actualAmount;
-          if (!collectorShareInvalid) return storedPlatformShare;
-        }
-        if (actualAmount !== undefined && actualAmount > 0) {
-          const binWithActualAmount = { ...b, fee: actualAmount };
-          return calculateBinPlatformEarnings(binWithActualAmount).total;
-        }
-        return calculateBinPlatformEarnings(b).total;
-      };
+      // Ready to withdraw = collector ledger balance: digital earnings, less the platform's
+      // cut of cash jobs and everything already withdrawn, and less disposals not yet on a
+      // completed disposal trip (what validate_cashout allows)
+      const availableResult = await getAvailableBalance(this.collectorId);
+      const withdrawableEarnings = availableResult.success ? availableResult.available : ledger.available;
+
+      // === PLATFORM EARNINGS (App Bucket) ===
+      let pickupPlatformEarnings = 0;
+      let binPlatformEarnings = 0;
+      Object.values(ledger.byJob).forEach(job => {
+        const platformShare = Math.max(0, job.bill - job.earned);
+        if (job.type === 'digital_bin') binPlatformEarnings += platformShare;
+        else pickupPlatformEarnings += platformShare;
+      });
+      const totalPlatformEarnings = ledger.platformEarnings;
 
-      // Digital bin platform earnings — scope to DISPOSED bins only (matching collector earnings)
-      const binPlatformEarnings = disposedBins.reduce((sum, b) => sum + resolveBinPlatformEarnings(b), 0);
-      
-      // Total platform earnings from DISPOSED work only (authority assignments are 100% to collector)
-      const pickupPlatformEarnings = disposedRequests.reduce((sum, p) => sum + calculatePlatformEarnings(p).total, 0);
-      const totalPlatformEarnings = pickupPlatformEarnings + binPlatformEarnings;
-      
-      // Gross revenue = total user paid for DISPOSED work (consistent scope with earnings)
-      const pickupGrossRevenue = disposedRequests.reduce((sum, p) => {
-        const fee = parseFloat(p.fee) || parseFloat(p.base_amount) || 0;
-        return sum + fee;
-      }, 0);
-      
-      const binGrossRevenue = disposedBins.reduce((sum, b) => {
-        const actualAmount = binPaymentAmountMap[b.id];
-        const fee = actualAmount !== undefined ? actualAmount : (parseFloat(b.fee) || parseFloat(b.payout) || 0);
-        return sum + fee;
-      }, 0);
-      
-      const assignmentGrossRevenue = authorityAssignments?.reduce((sum, a) => sum + (a.payment || 0), 0) || 0;
-      
-      const grossRevenue = pickupGrossRevenue + binGrossRevenue + assignmentGrossRevenue;
+      // Gross revenue = what users paid for disposed work, plus authority payments
+      const grossRevenue = ledger.grossRevenue + assignmentEarnings;
 
       // === PAYMENT MODE TRACKING (Cash vs Digital) ===
-      // Track what collector owes platform (cash payments) vs what platform owes collector (digital payments)
-      // Cash: Collector received full amount, owes platform its commission
-      // Digital (momo/e_cash): Platform received full amount, owes collector their share
-      
-      let cashGrossRevenue = 0;        // Raw fees from cash payments (what user actually paid)
-      let digitalGrossRevenue = 0;     // Raw fees from digital payments (what user actually paid)
-      let cashCollected = 0;           // Total cash collected by collector
-      let cashPlatformDue = 0;         // Platform's share from cash payments (collector owes this)
-      let digitalCollected = 0;        // Total digital payments received by platform
-      let digitalCollectorDue = 0;     // Collector's share from digital payments (platform owes this)
-      
-      // Track DISPOSED pickup requests by payment mode
-      disposedRequests.forEach(p => {
-        const paymentMode = p.payment_mode || p.payment_type || 'digital'; // Default to digital
-        const collectorEarnings = calculateCollectorEarnings(p);
-        const platformEarnings = calculatePlatformEarnings(p).total;
-        const rawFee = parseFloat(p.fee) || parseFloat(p.base_amount) || 0;
-        
-        if (paymentMode === 'cash') {
-          cashGrossRevenue += rawFee;
-          cashCollected += collectorEarnings + platformEarnings;
-          cashPlatformDue += platformEarnings;
-        } else {
-          digitalGrossRevenue += rawFee;
-          digitalCollected += collectorEarnings + platformEarnings;
-          digitalCollectorDue += collectorEarnings;
-        }
-      });
-      
-      // Track DISPOSED digital bins by payment mode (from bin_payments)
-      disposedBins.forEach(b => {
-        const paymentMode = binPaymentModeMap[b.id] || 'digital'; // Default to digital
-        const collectorEarnings = resolveBinCollectorEarnings(b);
-        const platformEarnings = resolveBinPlatformEarnings(b);
-        const actualAmount = binPaymentAmountMap[b.id];
-        const rawFee = actualAmount !== undefined ? actualAmount : (parseFloat(b.fee) || parseFloat(b.payout) || 0);
-        
-        if (paymentMode === 'cash') {
-          cashGrossRevenue += rawFee;
-          cashCollected += collectorEarnings + platformEarnings;
-          cashPlatformDue += platformEarnings;
-        } else {
-          digitalGrossRevenue += rawFee;
-          digitalCollected += collectorEarnings + platformEarnings;
-          digitalCollectorDue += collectorEarnings;
-        }
-      });
-      
-      // Net settlement: positive = collector owes platform, negative = platform owes collector
-      const netSettlement = cashPlatformDue - digitalCollectorDue;
-      
-      // DEBUG: Log payment mode tracking results
-      logger.info('💰 Payment Mode Tracking:', {
-        cash: {
-          grossRevenue: cashGrossRevenue,
-          collected: cashCollected,
-          platformDue: cashPlatformDue,
-          binIds: digitalBins.filter(b => binPaymentModeMap[b.id] === 'cash').map(b => b.id?.slice(0,8))
-        },
-        digital: {
-          grossRevenue: digitalGrossRevenue,
-          collected: digitalCollected,
-          collectorDue: digitalCollectorDue,
-          binIds: digitalBins.filter(b => binPaymentModeMap[b.id] !== 'cash').map(b => b.id?.slice(0,8))
-        },
-        binPaymentModeMap: Object.fromEntries(
-          Object.entries(binPaymentModeMap).map(([k,v]) => [k.slice(0,8), v])
-        )
-      });
+      // Cash: collector received the bill, owes the platform its commission
+      // Digital (momo/e_cash): platform received the bill, owes the collector their share
+      const { cash, digital } = ledger.paymentModes;
+      const netSettlement = cash.platformDue - digital.collectorDue;
 
       // Job counts
       const totalPickedUpJobs = pickedUpRequests.length + pickedUpBins.length;
@@ -1189,24 +735,22 @@ class EarningsService {
       const avgPerJob = completedJobs > 0 ? totalEarnings / completedJobs : 0;
 
       // === CALCULATE REAL RATING ===
-      // Get ratings from completed requests that have ratings
       const ratingsData = [...(allPickups || []), ...(authorityAssignments || [])]
         .filter(item => item.rating !== null && item.rating !== undefined)
         .map(item => item.rating);
-      
-      const rating = ratingsData.length > 0 
-        ? ratingsData.reduce((sum, r) => sum + r, 0) / ratingsData.length 
+
+      const rating = ratingsData.length > 0
+        ? ratingsData.reduce((sum, r) => sum + r, 0) / ratingsData.length
         : 0;
 
       // === CALCULATE REAL COMPLETION RATE ===
       // Include both pickup_requests AND digital_bins in completion rate
-      const { data: allAcceptedPickups, error: acceptedError } = await supabase
+      const { data: allAcceptedPickups } = await supabase
         .from('pickup_requests')
         .select('id, status')
         .eq('collector_id', this.collectorId)
         .in('status', ['accepted', 'en_route', 'arrived', 'collecting', 'disposed', 'expired', 'cancelled']);
 
-      // Digital bins we already fetched above - use them for completion rate too
       const allAcceptedJobs = [
         ...(allAcceptedPickups || []),
         ...(digitalBins || []).map(b => ({ id: b.id, status: b.status }))
@@ -1214,7 +758,7 @@ class EarningsService {
 
       let completionRate = 0;
       if (allAcceptedJobs.length > 0) {
-        const completedCount = allAcceptedJobs.filter(j => 
+        const completedCount = allAcceptedJobs.filter(j =>
           j.status === 'collecting' || j.status === 'disposed'
         ).length;
         completionRate = Math.round((completedCount / allAcceptedJobs.length) * 100);
@@ -1225,19 +769,12 @@ class EarningsService {
       const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
       const monthAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
 
-      // Combine all items with timestamps - using percentage sharing algorithm
+      // Dated by when each amount was posted (disposal, tip), plus authority payments
       const allItemsWithTimestamps = [
-        ...allPickups.map(p => ({ 
-          amount: calculateCollectorEarnings(p), 
-          timestamp: p.picked_up_at || p.disposed_at || p.updated_at 
-        })),
-        ...(digitalBins || []).map(b => ({ 
-          amount: resolveBinCollectorEarnings(b), 
-          timestamp: b.picked_up_at || b.disposed_at || b.updated_at 
-        })),
-        ...(authorityAssignments || []).map(a => ({ 
-          amount: a.payment || 0, 
-          timestamp: a.completed_at || a.updated_at 
+        ...ledger.earnings.map(e => ({ amount: e.amount, timestamp: e.timestamp })),
+        ...(authorityAssignments || []).map(a => ({
+          amount: a.payment || 0,
+          timestamp: a.completed_at || a.updated_at
         }))
       ];
 
@@ -1249,29 +786,26 @@ class EarningsService {
         .filter(item => item.timestamp && new Date(item.timestamp) > monthAgo)
         .reduce((sum, item) => sum + item.amount, 0);
 
-      // === FORMAT TRANSACTIONS (with SOP v4.5.6 percentage sharing) ===
+      // === FORMAT TRANSACTIONS ===
       const transactions = [
-        // Pickup requests
         ...allPickups.map(pickup => ({
           id: pickup.id,
           type: 'pickup_request',
-          amount: calculateCollectorEarnings(pickup),
+          amount: pickup.status === 'collecting' ? estimatePickupEarnings(pickup) : jobEarned(pickup.id),
           status: pickup.status,
           date: pickup.picked_up_at || pickup.disposed_at || pickup.updated_at,
           location: pickup.location,
           note: pickup.status === 'collecting' ? 'Pending disposal' : 'Disposed'
         })),
-        // Digital bins
         ...(digitalBins || []).map(bin => ({
           id: bin.id,
           type: 'digital_bin',
-          amount: resolveBinCollectorEarnings(bin),
+          amount: jobEarned(bin.id),
           status: bin.status,
           date: bin.picked_up_at || bin.disposed_at || bin.updated_at,
           location: bin.location_id,
           note: bin.status === 'collecting' ? 'Pending disposal' : 'Disposed'
         })),
-        // Authority assignments
         ...(authorityAssignments || []).map(assignment => ({
           id: assignment.id,
           type: 'authority_assignment',
@@ -1280,6 +814,17 @@ class EarningsService {
           date: assignment.completed_at || assignment.updated_at,
           location: assignment.location,
           note: assignment.title || 'Authority Assignment'
+        })),
+        // Refunds show as their own line, pointing back at the job they were taken from
+        ...ledger.refunds.map(refund => ({
+          id: refund.id,
+          type: 'refund',
+          amount: -refund.collectorShare,
+          status: 'refunded',
+          date: refund.timestamp,
+          originalId: refund.jobId,
+          originalType: refund.jobType,
+          note: `₵${refund.amount.toFixed(2)} refunded to customer`
         }))
       ].sort((a, b) => new Date(b.date) - new Date(a.date));
 
@@ -1340,11 +885,12 @@ class EarningsService {
         completedJobs,
         rating,
         completionRate,
+        ledgerBalance: ledger.balance,
         paymentMode: {
-          cashCollected,
-          cashPlatformDue,
-          digitalCollected,
-          digitalCollectorDue,
+          cashCollected: cash.collected,
+          cashPlatformDue: cash.platformDue,
+          digitalCollected: digital.collected,
+          digitalCollectorDue: digital.collectorDue,
           netSettlement
         }
       });
@@ -1383,8 +929,11 @@ class EarningsService {
             // Time-based earnings
             weeklyEarnings,
             monthlyEarnings,
-            // Withdrawal-ready amount: disposed digital bins + disposed pickup requests
+            // Withdrawal-ready amount: the collector's ledger balance, never below zero
             withdrawableEarnings,
+            // Raw ledger balance; negative when cash commission exceeds digital earnings
+            ledgerBalance: ledger.balance,
+            withdrawnEarnings: ledger.withdrawn,
             // Estimated pending: what collector can expect after disposing current collecting bins/pickups
             estimatedPendingEarnings,
             // Cash already collected by collector (tracked but not platform-withdrawable)
@@ -1392,26 +941,26 @@ class EarningsService {
             // Payment mode tracking (cash vs digital settlement)
             paymentModeBreakdown: {
               cash: {
-                grossRevenue: cashGrossRevenue,     // Raw fees from cash payments (what user paid)
-                collected: cashCollected,           // Total cash collector received from users
-                platformDue: cashPlatformDue        // Platform's share collector owes
+                grossRevenue: cash.grossRevenue,    // Raw fees from cash payments (what user paid)
+                collected: cash.collected,          // Total cash collector received from users
+                platformDue: cash.platformDue       // Platform's share collector owes
               },
               digital: {
-                grossRevenue: digitalGrossRevenue,  // Raw fees from digital payments (what user paid)
-                collected: digitalCollected,        // Total digital payments platform received
-                collectorDue: digitalCollectorDue   // Collector's share platform owes
+                grossRevenue: digital.grossRevenue, // Raw fees from digital payments (what user paid)
+                collected: digital.collected,       // Total digital payments platform received
+                collectorDue: digital.collectorDue  // Collector's share platform owes
               },
               // Reconciliation: Platform deducts commission from what it owes collector
               // Only if platform owes less than commission due, collector must pay back difference
               reconciliation: {
                 // Amount platform will deduct from collector's digital payout
-                commissionDeducted: Math.min(cashPlatformDue, digitalCollectorDue),
+                commissionDeducted: Math.min(cash.platformDue, digital.collectorDue),
                 // Net payout after deduction (platform pays this to collector)
-                netPayoutToCollector: Math.max(0, digitalCollectorDue - cashPlatformDue),
+                netPayoutToCollector: Math.max(0, digital.collectorDue - cash.platformDue),
                 // Only if collector owes more than platform owes, collector must pay this back via MoMo
-                collectorMustPayBack: Math.max(0, cashPlatformDue - digitalCollectorDue),
+                collectorMustPayBack: Math.max(0, cash.platformDue - digital.collectorDue),
                 // Whether collector needs to make a payment to platform
-                requiresPayback: cashPlatformDue > digitalCollectorDue
+                requiresPayback: cash.platformDue > digital.collectorDue
               },
               // Legacy fields for compatibility
               netSettlement,
@@ -1464,27 +1013,35 @@ class EarningsService {
   }
 
   /**
-   * Get detailed earnings breakdown by bucket type (SOP v4.5.6)
-   * Falls back to legacy fee calculation if new fields unavailable
-   * Includes both picked_up (pending disposal) and disposed items
-   * 
+   * Get detailed earnings breakdown by bucket type (SOP v4.5.6), summed from the ledger
+   *
+   * @param {{startDate: Date|string, endDate: Date|string}} [range] - Limit the buckets to
+   *   postings in this range; job counts are always current
    * @returns {Promise<Object>} Earnings breakdown by bucket type
    */
-  async getDetailedEarningsBreakdown() {
+  async getDetailedEarningsBreakdown(range = null) {
     try {
-      // Get ALL pickups (both picked_up and disposed) with all fields
+      let ledgerOptions = {};
+      if (range) {
+        const { startDate, endDate } = resolveTimeframe(range);
+        ledgerOptions = { from: startDate.toISOString(), until: endDate.toISOString() };
+      }
+      const ledgerResult = await getCollectorLedger(this.collectorId, ledgerOptions);
+      if (!ledgerResult.success) throw new Error(ledgerResult.error);
+      const { byComponent } = summarizeLedger(ledgerResult.data);
+
+      // Job counts still come from the job tables
       const { data: allPickups, error: pickupsError } = await supabase
         .from('pickup_requests')
-        .select('*')
+        .select('id, status')
         .eq('collector_id', this.collectorId)
         .in('status', ['collecting', 'disposed']);
 
       if (pickupsError) throw pickupsError;
 
-      // Get digital bins (both picked_up and disposed)
       const { data: digitalBins, error: binsError } = await supabase
         .from('digital_bins')
-        .select('*')
+        .select('id, status')
         .eq('collector_id', this.collectorId)
         .in('status', ['collecting', 'disposed']);
 
@@ -1492,119 +1049,19 @@ class EarningsService {
         logger.warn('Error fetching digital bins for breakdown:', binsError);
       }
 
-      // Fetch bin_payments to get actual collected amounts (total_bill) for digital bins
-      const breakdownBinIds = (digitalBins || []).map(b => b.id);
-      const breakdownBinPaymentMap = {};
-      if (breakdownBinIds.length > 0) {
-        const { data: bPayments } = await supabase
-          .from('bin_payments')
-          .select('digital_bin_id, total_bill')
-          .in('digital_bin_id', breakdownBinIds)
-          .eq('type', 'collection')
-          .not('status', 'eq', 'failed');
-        
-        if (bPayments) {
-          bPayments.forEach(p => {
-            breakdownBinPaymentMap[p.digital_bin_id] = parseFloat(p.total_bill) || 0;
-          });
-        }
-      }
-
-      // Aggregate by bucket type
-      const buckets = {
-        core: 0,
-        urgent: 0,
-        distance: 0,
-        surge: 0,
-        tips: 0,
-        recyclables: 0,
-        loyalty: 0
-      };
-
-      // Process pickup requests with SOP v4.5.6 percentage sharing
-      allPickups?.forEach(pickup => {
-        // Use new fields if available
-        if (pickup.collector_core_payout !== null && pickup.collector_core_payout !== undefined) {
-          buckets.core += pickup.collector_core_payout || 0;
-          buckets.urgent += pickup.collector_urgent_payout || 0;
-          buckets.distance += pickup.collector_distance_payout || 0;
-          buckets.surge += pickup.collector_surge_payout || 0;
-          buckets.tips += pickup.collector_tips || 0;
-          buckets.recyclables += pickup.collector_recyclables_payout || 0;
-          buckets.loyalty += pickup.collector_loyalty_cashback || 0;
-        } else {
-          // Legacy: Apply SOP v4.5.6 percentage sharing algorithm
-          // IMPORTANT: Exclude request fee (GHC 1.00) from bucket sharing - it's 100% platform revenue
-          const rawFee = pickup.fee || pickup.base_amount || 0;
-          const requestFee = pickup.request_fee || 1.0; // Default GHC 1.00 request fee
-          const baseFee = Math.max(0, rawFee - requestFee); // Exclude request fee from sharing
-          const deadheadKm = pickup.deadhead_km || pickup.distance_km || 0;
-          const deadheadShare = deadheadKm > 0 ? getDeadheadShare(deadheadKm) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
-          
-          // Core payout with deadhead share (request fee excluded)
-          buckets.core += baseFee * deadheadShare;
-          
-          // Apply other percentage splits for legacy data
-          if (pickup.urgent_enabled && pickup.urgent_amount) {
-            buckets.urgent += pickup.urgent_amount * PAYMENT_SPLITS.URGENT_COLLECTOR_SHARE;
-          }
-          if (pickup.surge_multiplier && pickup.surge_multiplier > 1) {
-            buckets.surge += baseFee * (pickup.surge_multiplier - 1) * PAYMENT_SPLITS.SURGE_COLLECTOR_SHARE;
-          }
-          if (pickup.tips) {
-            buckets.tips += pickup.tips * PAYMENT_SPLITS.TIPS_COLLECTOR_SHARE;
-          }
-          if (pickup.recycler_gross_payout) {
-            buckets.recyclables += pickup.recycler_gross_payout * PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE;
-          }
-        }
-      });
-
-      // Process digital bins - ONLY use actual bin_payments data
-      // No payment processed through TrendiPay = no earnings
-      // Bin must be 'disposed' to be withdrawable
-      digitalBins?.forEach(bin => {
-        // Only disposed bins are withdrawable
-        if (bin.status !== 'disposed') {
-          return; // Skip - not yet disposed
-        }
-        
-        // Only count earnings if there's an actual bin_payments record
-        const actualBill = breakdownBinPaymentMap[bin.id];
-        if (actualBill === undefined || actualBill === null) {
-          return; // Skip - no actual payment processed
-        }
-        
-        // Use stored payout fields if available and valid
-        if (bin.collector_core_payout !== null && bin.collector_core_payout !== undefined && 
-            bin.collector_core_payout < actualBill) {
-          buckets.core += bin.collector_core_payout || 0;
-          buckets.urgent += bin.collector_urgent_payout || 0;
-          buckets.distance += bin.collector_distance_payout || 0;
-          buckets.surge += bin.collector_surge_payout || 0;
-          buckets.tips += bin.collector_tips || 0;
-          buckets.recyclables += bin.collector_recyclables_payout || 0;
-          buckets.loyalty += bin.collector_loyalty_cashback || 0;
-        } else {
-          // Calculate from actual bill using SOP v4.5.6
-          const shareableAmount = Math.max(0, actualBill - (PAYMENT_SPLITS.PLATFORM_REQUEST_FEE || 1.0));
-          buckets.core += shareableAmount * PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
-        }
-      });
-
+      // Buckets are the ledger's entry components; only disposed jobs and confirmed tips are posted
+      const buckets = Object.fromEntries(EARNING_COMPONENTS.map(type => [type, byComponent[type] || 0]));
       const total = Object.values(buckets).reduce((sum, val) => sum + val, 0);
 
-      // Calculate percentages
       const breakdown = Object.keys(buckets).map(type => ({
         type,
         amount: buckets[type],
         percentage: total > 0 ? (buckets[type] / total) * 100 : 0
       }));
 
-      // Separate counts by status
-      const pendingDisposalCount = (allPickups?.filter(p => p.status === 'collecting').length || 0) + 
+      const pendingDisposalCount = (allPickups?.filter(p => p.status === 'collecting').length || 0) +
                                    (digitalBins?.filter(b => b.status === 'collecting').length || 0);
-      const disposedCount = (allPickups?.filter(p => p.status === 'disposed').length || 0) + 
+      const disposedCount = (allPickups?.filter(p => p.status === 'disposed').length || 0) +
                            (digitalBins?.filter(b => b.status === 'disposed').length || 0);
 
       return {
@@ -1680,42 +1137,33 @@ class EarningsService {
   }
 
   /**
-   * Get current loyalty tier information
-   * 
-   * @returns {Promise<Object>} Loyalty tier details
+   * Get this month's loyalty tier, with month-to-date progress towards the next one
+   *
+   * Tiers are set monthly by evaluate_loyalty_tiers(); cashback_earned follows the
+   * loyalty entries the ledger accrues at disposal (migration 20261027090000).
+   *
+   * @returns {Promise<Object>} Loyalty tier details, plus metrics, levels, history and progress
    */
   async getLoyaltyTier() {
     try {
-      // Get current month (first day)
-      const now = new Date();
-      const currentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-      const currentMonthStr = currentMonth.toISOString().split('T')[0];
+      const { data, error } = await supabase.rpc('get_loyalty_progress');
+      if (error) throw error;
 
-      const { data: tier, error } = await supabase
-        .from('collector_loyalty_tiers')
-        .select('*')
-        .eq('collector_id', this.collectorId)
-        .eq('month', currentMonthStr)
-        .single();
-
-      if (error && error.code !== 'PGRST116') throw error;
-
-      // Default to Silver if no tier found
-      const tierData = tier || {
-        tier: 'Silver',
-        cashback_rate: 0.01,
-        monthly_cap: 100,
-        cashback_earned: 0,
-        csat_score: 0,
-        completion_rate: 0,
-        recyclables_percentage: 0
-      };
+      const monthlyCap = parseFloat(data.monthly_cap) || 0;
+      const cashbackEarned = parseFloat(data.cashback_earned) || 0;
 
       return {
         success: true,
         data: {
-          ...tierData,
-          remaining: (tierData.monthly_cap || 0) - (tierData.cashback_earned || 0)
+          tier: data.tier,
+          cashback_rate: parseFloat(data.cashback_rate) || 0,
+          monthly_cap: monthlyCap,
+          cashback_earned: cashbackEarned,
+          remaining: Math.max(0, monthlyCap - cashbackEarned),
+          metrics: data.metrics || {},
+          levels: data.levels || [],
+          history: data.history || [],
+          progress: loyaltyTierProgress({ tier: data.tier, metrics: data.metrics, levels: data.levels || [] })
         }
       };
 
@@ -1738,22 +1186,20 @@ class EarningsService {
   /**
    * Get tips received (all-time and by timeframe)
    * 
-   * @param {string} [timeframe='30d'] - Timeframe for tips
+   * @param {string|Object} [timeframe='30d'] - Timeframe for tips, or { startDate, endDate }
    * @returns {Promise<Object>} Tips summary
    */
   async getTipsReceived(timeframe = '30d') {
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      const days = parseInt(timeframe) || 30;
-      startDate.setDate(endDate.getDate() - days);
+      const { startDate, endDate } = resolveTimeframe(timeframe);
 
       const { data: tips, error } = await supabase
         .from('collector_tips')
         .select('*')
         .eq('collector_id', this.collectorId)
         .eq('status', 'confirmed')
-        .gte('created_at', startDate.toISOString());
+        .gte('created_at', startDate.toISOString())
+        .lte('created_at', endDate.toISOString());
 
       if (error) throw error;
 
@@ -1798,7 +1244,7 @@ class EarningsService {
   /**
    * Process withdrawal (cashout) using withdrawals + withdrawal_items tables.
    * Creates a withdrawal record, links each eligible bin and pickup request,
-   * then calls TrendiPay to send funds to the collector's MoMo.
+   * then asks the payment gateway to send funds to the collector's MoMo.
    * 
    * @param {number} amount - Amount to disburse in GHS
    * @param {Object} paymentDetails - MoMo details {momoNumber, momoProvider, accountName}
@@ -1813,7 +1259,7 @@ class EarningsService {
         throw new Error('Invalid withdrawal amount');
       }
 
-      // Step 2: Validate cashout amount using RPC (checks both bins + pickups)
+      // Step 2: Validate cashout amount against the ledger balance
       const { data: validation, error: validationError } = await supabase
         .rpc('validate_cashout', {
           p_collector_id: this.collectorId,
@@ -1826,94 +1272,41 @@ class EarningsService {
 
       if (!validation.valid) {
         const available = validation.available || 0;
+        const held = parseFloat(validation.held) || 0;
         if (available === 0) {
-          throw new Error('No funds available for withdrawal. You must dispose your collected waste at a facility before you can withdraw earnings.');
+          throw new Error(held > 0
+            ? 'No funds available for withdrawal yet. Complete a disposal trip at a facility to release your earnings.'
+            : 'No funds available for withdrawal. You must dispose your collected waste at a facility before you can withdraw earnings.');
         } else if (amount > available) {
-          throw new Error(`Insufficient balance. Available: ₵${available.toFixed(2)}. Dispose your pending collections first.`);
+          throw new Error(held > 0
+            ? `Insufficient balance. Available: ₵${available.toFixed(2)}. ₵${held.toFixed(2)} is waiting on a disposal trip.`
+            : `Insufficient balance. Available: ₵${available.toFixed(2)}. Dispose your pending collections first.`);
         }
         throw new Error(validation.error || 'Insufficient balance');
       }
 
       logger.info('Cashout validation passed:', validation);
 
-      // Step 3: Collect eligible items (digital bins + pickup requests)
-      // --- 3a: Undisbursed digital bins (MoMo/e-Cash, disposed) ---
-      // Exclude bins already in a non-failed withdrawal
-      const { data: alreadyWithdrawnBinRows } = await supabase
+      // Step 3: Link the withdrawal to the jobs it pays out, for statements. The amount
+      // itself is governed by the ledger balance (validated above and again when the
+      // withdrawal row posts), so a balance made up of tips or older credits may leave
+      // fewer items than the amount.
+      const { data: alreadyWithdrawnRows } = await supabase
         .from('withdrawal_items')
-        .select('item_id, withdrawals!inner(status)')
-        .eq('item_type', 'digital_bin')
+        .select('item_id, withdrawals!inner(status, collector_id)')
+        .eq('withdrawals.collector_id', this.collectorId)
         .not('withdrawals.status', 'in', '("failed","cancelled")');
-      const alreadyWithdrawnBinIds = new Set((alreadyWithdrawnBinRows || []).map(r => r.item_id));
+      const alreadyWithdrawnIds = new Set((alreadyWithdrawnRows || []).map(r => String(r.item_id)));
 
-      // Also exclude legacy bin_payments disbursements
-      const { data: legacyDisbursedRows } = await supabase
-        .from('bin_payments')
-        .select('digital_bin_id')
-        .eq('type', 'disbursement')
-        .eq('status', 'success');
-      (legacyDisbursedRows || []).forEach(r => { if (r.digital_bin_id) alreadyWithdrawnBinIds.add(r.digital_bin_id); });
+      const ledgerResult = await getCollectorLedger(this.collectorId);
+      const { byJob } = summarizeLedger(ledgerResult.success ? ledgerResult.data : []);
 
-      // Fetch eligible bins
-      const { data: allDisposedBins } = await supabase
-        .from('digital_bins')
-        .select('id')
-        .eq('collector_id', this.collectorId)
-        .eq('status', 'disposed');
+      const allItems = Object.entries(byJob)
+        .filter(([jobId, job]) => job.paymentMode !== 'cash' && job.earned > 0 && !alreadyWithdrawnIds.has(jobId))
+        .sort(([, a], [, b]) => new Date(a.occurredAt) - new Date(b.occurredAt))
+        .map(([jobId, job]) => ({ item_type: job.type, item_id: jobId, amount: job.earned }));
 
-      const eligibleBinIds = (allDisposedBins || []).map(b => b.id).filter(id => !alreadyWithdrawnBinIds.has(id) && !alreadyWithdrawnBinIds.has(String(id)));
-
-      // Get actual collector_share for each eligible bin from bin_payments
-      let binItems = [];
-      if (eligibleBinIds.length > 0) {
-        const { data: binPayments } = await supabase
-          .from('bin_payments')
-          .select('digital_bin_id, collector_share, payment_mode')
-          .in('digital_bin_id', eligibleBinIds)
-          .eq('type', 'collection')
-          .not('status', 'eq', 'failed')
-          .in('payment_mode', ['momo', 'e_cash']);
-
-        binItems = (binPayments || [])
-          .filter(bp => bp.collector_share > 0)
-          .map(bp => ({
-            item_type: 'digital_bin',
-            item_id: String(bp.digital_bin_id),
-            amount: parseFloat(bp.collector_share)
-          }));
-      }
-
-      // --- 3b: Undisbursed pickup requests (prepaid, disposed) ---
-      const { data: alreadyWithdrawnPickupRows } = await supabase
-        .from('withdrawal_items')
-        .select('item_id, withdrawals!inner(status)')
-        .eq('item_type', 'pickup_request')
-        .not('withdrawals.status', 'in', '("failed","cancelled")');
-      const alreadyWithdrawnPickupIds = new Set((alreadyWithdrawnPickupRows || []).map(r => r.item_id));
-
-      const { data: disposedPickups } = await supabase
-        .from('pickup_requests')
-        .select('id, collector_total_payout')
-        .eq('collector_id', this.collectorId)
-        .eq('status', 'disposed')
-        .gt('collector_total_payout', 0);
-
-      const pickupItems = (disposedPickups || [])
-        .filter(p => !alreadyWithdrawnPickupIds.has(p.id))
-        .map(p => ({
-          item_type: 'pickup_request',
-          item_id: String(p.id),
-          amount: parseFloat(p.collector_total_payout)
-        }));
-
-      const allItems = [...binItems, ...pickupItems];
-      const totalAvailable = allItems.reduce((s, i) => s + i.amount, 0);
-
-      logger.info(`Eligible items: ${binItems.length} bins, ${pickupItems.length} pickups, total ₵${totalAvailable.toFixed(2)}`);
-
-      if (allItems.length === 0 || totalAvailable <= 0) {
-        throw new Error('No eligible items for withdrawal.');
-      }
+      logger.info(`Eligible items: ${allItems.length} jobs, total ₵${allItems.reduce((s, i) => s + i.amount, 0).toFixed(2)}`);
 
       // Step 4: Select items up to the requested amount
       let remaining = amount;
@@ -1957,9 +1350,9 @@ class EarningsService {
         amount: item.amount
       }));
 
-      const { error: itemsError } = await supabase
-        .from('withdrawal_items')
-        .insert(itemRecords);
+      const { error: itemsError } = itemRecords.length > 0
+        ? await supabase.from('withdrawal_items').insert(itemRecords)
+        : { error: null };
 
       if (itemsError) {
         logger.error('Failed to insert withdrawal_items:', itemsError);
@@ -1970,17 +1363,18 @@ class EarningsService {
 
       logger.info(`Linked ${itemRecords.length} items to withdrawal ${withdrawal.id}`);
 
-      // Step 7: Call TrendiPay disbursement API
-      if (ENABLE_TRENDIPAY) {
-        logger.info('Calling TrendiPay disbursement API...');
+      // Step 7: Pay out through the gateway
+      if (isGatewayEnabled()) {
+        const provider = getPaymentProvider();
+        logger.info(`Requesting disbursement via ${provider.name}...`);
 
-        const gatewayResult = await TrendiPayService.initiateDisbursement({
+        const gatewayResult = await provider.disburse({
           reference: withdrawal.id,
           accountNumber: paymentDetails.momoNumber,
-          rSwitch: paymentDetails.momoProvider,
+          network: paymentDetails.momoProvider,
           amount,
           description: `TrashDrop payout (${selectedItems.length} items)`,
-          currency: 'GHS'
+          accountName: paymentDetails.accountName
         });
 
         if (!gatewayResult.success) {
@@ -2000,7 +1394,7 @@ class EarningsService {
           })
           .eq('id', withdrawal.id);
 
-        logger.info('TrendiPay disbursement initiated:', { withdrawalId: withdrawal.id, transactionId: gatewayResult.transactionId });
+        logger.info('Disbursement initiated:', { withdrawalId: withdrawal.id, transactionId: gatewayResult.transactionId });
 
         return {
           success: true,
@@ -2013,7 +1407,7 @@ class EarningsService {
         };
       } else {
         // Stub mode: Mark as completed immediately for testing
-        logger.warn('TrendiPay disabled - using stub mode');
+        logger.warn('No payment gateway configured - using stub mode');
 
         await supabase
           .from('withdrawals')
@@ -2088,8 +1482,13 @@ class EarningsService {
         throw new Error(`Maximum retry attempts (${maxRetries}) exceeded. Please contact support.`);
       }
 
-      // Step 5: Update record to pending and increment retry count
-      await supabase
+      if (!isGatewayEnabled()) {
+        throw new Error('Mobile money payouts are not available right now');
+      }
+
+      // Step 5: Update record to pending and increment retry count. The server refuses
+      // this if the collector's balance no longer covers the payout
+      const { error: retryError } = await supabase
         .from('bin_payments')
         .update({ 
           status: 'pending',
@@ -2101,78 +1500,61 @@ class EarningsService {
         })
         .eq('id', disbursementId);
 
-      logger.info(`Retry attempt ${retryCount}/${maxRetries} for disbursement:`, disbursementId);
-
-      // Step 6: Call TrendiPay disbursement API
-      if (ENABLE_TRENDIPAY) {
-        const gatewayResult = await TrendiPayService.initiateDisbursement({
-          reference: `${disbursementId}_retry${retryCount}`,
-          accountNumber: momoNumber,
-          rSwitch: momoProvider,
-          amount: amount,
-          description: `TrashDrop payout retry #${retryCount}`,
-          currency: 'GHS'
-        });
+      if (retryError) {
+        throw new Error(retryError.message);
+      }
 
-        if (!gatewayResult.success) {
-          // Update with new error
-          await supabase
-            .from('bin_payments')
-            .update({ 
-              status: 'failed',
-              gateway_error: gatewayResult.error,
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', disbursementId);
+      logger.info(`Retry attempt ${retryCount}/${maxRetries} for disbursement:`, disbursementId);
 
-          throw new Error(gatewayResult.error || 'Disbursement retry failed');
-        }
+      // Step 6: Pay out through the gateway
+      const gatewayResult = await getPaymentProvider().disburse({
+        reference: `${disbursementId}_retry${retryCount}`,
+        accountNumber: momoNumber,
+        network: momoProvider,
+        amount: amount,
+        description: `TrashDrop payout retry #${retryCount}`
+      });
 
-        // Update with success
+      if (!gatewayResult.success) {
+        // Update with new error
         await supabase
           .from('bin_payments')
           .update({ 
-            status: gatewayResult.status,
-            gateway_reference: gatewayResult.gatewayReference,
-            gateway_transaction_id: gatewayResult.transactionId,
+            status: 'failed',
+            gateway_error: gatewayResult.error,
             updated_at: new Date().toISOString()
           })
           .eq('id', disbursementId);
 
-        logger.info('✅ Disbursement retry successful:', {
-          disbursementId,
-          transactionId: gatewayResult.transactionId,
-          retryCount
-        });
+        throw new Error(gatewayResult.error || 'Disbursement retry failed');
+      }
 
-        return {
-          success: true,
-          disbursementId,
-          transactionId: gatewayResult.transactionId,
-          amount,
-          message: `Withdrawal retry #${retryCount} initiated successfully`,
-          status: gatewayResult.status,
-          retryCount
-        };
-      } else {
-        // Stub mode
-        await supabase
-          .from('bin_payments')
-          .update({ 
-            status: 'success',
-            gateway_reference: `stub_retry_${Date.now()}`,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', disbursementId);
+      // Only the webhook or the server's status check marks it paid, since that posts
+      // the withdrawal to the ledger
+      await supabase
+        .from('bin_payments')
+        .update({ 
+          gateway_reference: gatewayResult.gatewayReference,
+          gateway_transaction_id: gatewayResult.transactionId,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', disbursementId);
 
-        return {
-          success: true,
-          disbursementId,
-          amount,
-          message: `Retry #${retryCount} processed successfully (stub mode)`,
-          retryCount
-        };
-      }
+      logger.info('✅ Disbursement retry successful:', {
+        disbursementId,
+        transactionId: gatewayResult.transactionId,
+        retryCount
+      });
+
+      return {
+        success: true,
+        disbursementId,
+        transactionId: gatewayResult.transactionId,
+        amount,
+        message: `Withdrawal retry #${retryCount} initiated successfully`,
+        status: gatewayResult.status,
+        retryCount
+      };
 
     } catch (error) {
       logger.error('Error retrying disbursement:', error);
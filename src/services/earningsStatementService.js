@@ -0,0 +1,168 @@
+/**
+ * Earnings Statement Service
+ * Proof-of-income statements for tax returns and loan applications (migration 20261026090000).
+ *
+ * issue_earnings_statement() records the period and the server's own totals under a
+ * verification code; the statement's job lines come from the ledger up to the same
+ * cut-off, alongside the collector's profile, earnings by payout bucket, tips and
+ * withdrawals. A third party checks the code with the verify-earnings-statement
+ * Edge Function.
+ */
+
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+import { getCollectorLedger } from './ledgerService';
+import { createEarningsService } from './earningsService';
+import {
+  buildStatementLines,
+  normalizeStatementTotals,
+  buildEarningsStatementCsv,
+  buildEarningsStatementPdf,
+  earningsStatementFileName
+} from '../utils/earningsStatement';
+
+const STATEMENT_FORMATS = {
+  csv: { mime: 'text/csv;charset=utf-8', build: buildEarningsStatementCsv },
+  pdf: { mime: 'application/pdf', build: buildEarningsStatementPdf }
+};
+
+const VERIFY_URL = import.meta.env.VITE_SUPABASE_URL
+  ? `${import.meta.env.VITE_SUPABASE_URL.replace(/\/$/, '')}/functions/v1/verify-earnings-statement`
+  : '';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a statement period picked on the Earnings page
+ * @param {string} periodStart - YYYY-MM-DD
+ * @param {string} periodEnd - YYYY-MM-DD
+ * @param {Date} [today]
+ * @returns {string|null} What is wrong, or null
+ */
+export const validateStatementPeriod = (periodStart, periodEnd, today = new Date()) => {
+  if (!DATE_PATTERN.test(periodStart || '') || !DATE_PATTERN.test(periodEnd || '')) {
+    return 'Choose a start and end date';
+  }
+  if (periodEnd < periodStart) {
+    return 'The end date is before the start date';
+  }
+  if (periodStart > today.toISOString().slice(0, 10)) {
+    return 'The period has not started yet';
+  }
+  return null;
+};
+
+/**
+ * Issue a statement and gather everything printed on it
+ *
+ * @param {string} collectorId - Auth user id
+ * @param {string} periodStart - YYYY-MM-DD
+ * @param {string} periodEnd - YYYY-MM-DD, inclusive
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const getEarningsStatement = async (collectorId, periodStart, periodEnd) => {
+  const invalid = validateStatementPeriod(periodStart, periodEnd);
+  if (invalid) return { success: false, error: invalid };
+
+  try {
+    const { data: issued, error: issueError } = await supabase.rpc('issue_earnings_statement', {
+      p_start: periodStart,
+      p_end: periodEnd
+    });
+    if (issueError) throw issueError;
+
+    const range = { startDate: `${periodStart}T00:00:00Z`, endDate: issued.covered_until };
+    const earningsService = createEarningsService(collectorId);
+
+    const [profileResult, ledgerResult, breakdownResult, tipsResult, withdrawalsResult] = await Promise.all([
+      supabase
+        .from('collector_profiles')
+        .select('first_name, last_name, phone, region, id_type, company_name, vehicle_type, license_plate')
+        .eq('user_id', collectorId)
+        .maybeSingle(),
+      getCollectorLedger(collectorId, { from: range.startDate, until: range.endDate }),
+      earningsService.getDetailedEarningsBreakdown(range),
+      earningsService.getTipsReceived(range),
+      supabase
+        .from('withdrawals')
+        .select('id, amount, network, status, created_at')
+        .eq('collector_id', collectorId)
+        .eq('status', 'completed')
+        .gte('created_at', range.startDate)
+        .lte('created_at', range.endDate)
+        .order('created_at', { ascending: true })
+    ]);
+
+    if (profileResult.error) throw profileResult.error;
+    if (!ledgerResult.success) throw new Error(ledgerResult.error);
+    if (withdrawalsResult.error) throw withdrawalsResult.error;
+
+    const profile = profileResult.data || {};
+    const { lines, totals: lineTotals } = buildStatementLines(ledgerResult.data);
+    const totals = normalizeStatementTotals(issued.totals);
+
+    if (Math.abs(lineTotals.earnings - totals.earnings) >= 0.01) {
+      logger.warn(`Statement ${issued.verification_code}: lines add up to ${lineTotals.earnings}, server says ${totals.earnings}`);
+    }
+
+    return {
+      success: true,
+      data: {
+        verificationCode: issued.verification_code,
+        verifyUrl: VERIFY_URL,
+        issuedAt: issued.issued_at,
+        periodStart: issued.period_start,
+        periodEnd: issued.period_end,
+        coveredUntil: issued.covered_until,
+        collector: {
+          name: issued.collector_name || [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+          phone: profile.phone || issued.collector_phone || '',
+          region: profile.region || '',
+          idType: profile.id_type || '',
+          companyName: profile.company_name || '',
+          vehicleType: profile.vehicle_type || '',
+          licensePlate: profile.license_plate || ''
+        },
+        totals,
+        lines,
+        components: breakdownResult.success ? breakdownResult.data.buckets : null,
+        withdrawals: withdrawalsResult.data || [],
+        tipsByType: tipsResult.success ? tipsResult.data.byType : null
+      }
+    };
+  } catch (error) {
+    logger.error('Error building earnings statement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Issue a statement and hand it to the browser as a download
+ *
+ * @param {string} collectorId
+ * @param {string} periodStart - YYYY-MM-DD
+ * @param {string} periodEnd - YYYY-MM-DD
+ * @param {'csv'|'pdf'} [format='pdf']
+ * @returns {Promise<{success: boolean, verificationCode?: string, error?: string}>}
+ */
+export const downloadEarningsStatement = async (collectorId, periodStart, periodEnd, format = 'pdf') => {
+  const output = STATEMENT_FORMATS[format];
+  if (!output) {
+    return { success: false, error: `Unsupported statement format: ${format}` };
+  }
+
+  const result = await getEarningsStatement(collectorId, periodStart, periodEnd);
+  if (!result.success) return result;
+
+  const url = URL.createObjectURL(new Blob([output.build(result.data)], { type: output.mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = earningsStatementFileName(result.data, format);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  logger.info(`Earnings statement ${result.data.verificationCode} downloaded as ${format}`);
+  return { success: true, verificationCode: result.data.verificationCode };
+};
@@ -0,0 +1,324 @@
+/**
+ * Evidence Photo Service
+ * Before/after photos for assignments, pickups and digital bins (migrations
+ * 20261028090000 and 20261029090000).
+ *
+ * Photos are kept on the device (IndexedDB) from the moment they are taken, already
+ * resized, watermarked and hashed (utils/photoEvidence), with the capture time and GPS
+ * fix. Completing the job queues one upload per photo on the offline queue, ahead of
+ * the status change itself; each upload goes to the private assignment-photos bucket
+ * with a resumable upload and is then linked in job_evidence_photos, where the server
+ * verifies it. A photo only leaves the device once it is linked, so a dead zone or a
+ * reload never loses evidence.
+ */
+
+import localforage from 'localforage';
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+import { OfflineConflictError } from '../utils/offlineUtils';
+import { resumableUpload } from '../utils/resumableUpload';
+
+export const EVIDENCE_PHOTO_BUCKET = 'assignment-photos';
+
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+const RESUMABLE_ENDPOINT = import.meta.env.VITE_SUPABASE_URL
+  ? `${import.meta.env.VITE_SUPABASE_URL.replace(/\/$/, '')}/storage/v1/upload/resumable`
+  : '';
+
+// Store name predates pickups; kept so photos already waiting on devices are found
+const photoStore = localforage.createInstance({
+  name: 'TrashDropCarter',
+  storeName: 'assignment_photos',
+  description: 'Evidence photos waiting to be uploaded'
+});
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+// Records written before before/after evidence only knew about assignments
+const normalizeRecord = (record) => (record && !record.jobType
+  ? { ...record, jobType: 'assignment', jobId: record.assignmentId, stage: 'after', queued: Boolean(record.collectorId) }
+  : record);
+
+const getRecord = async (id) => normalizeRecord(await photoStore.getItem(id));
+
+/**
+ * Where a photo goes in the bucket: <collector>/<job>/<photo>.<ext>
+ * @param {Object} record - Stored photo
+ * @returns {string}
+ */
+export const evidencePhotoPath = (record) =>
+  `${record.collectorId}/${record.jobId}/${record.id}.${FILE_EXTENSIONS[record.contentType] || 'jpg'}`;
+
+/**
+ * Keep a freshly processed photo on the device until it has been uploaded
+ *
+ * @param {Object} photo
+ * @param {string} photo.id - uuid, also the job_evidence_photos id
+ * @param {string} photo.jobType - 'assignment', 'pickup_request' or 'digital_bin'
+ * @param {string} photo.jobId
+ * @param {string} photo.stage - 'before' or 'after'
+ * @param {Blob} photo.file - Processed image (see prepareEvidencePhoto)
+ * @param {string} photo.capturedAt - ISO time on the device
+ * @param {Object|null} photo.location - { lat, lng, accuracy }
+ * @param {string} photo.sha256 - Hash of `file`
+ * @param {number} photo.width
+ * @param {number} photo.height
+ * @param {Object} photo.exif - { takenAt, latitude, longitude } of the original
+ * @returns {Promise<Object>} The stored record
+ */
+export const saveEvidencePhotoLocally = async ({
+  id, jobType, jobId, stage, file, capturedAt, location = null, sha256, width, height, exif
+}) => {
+  const record = {
+    id,
+    jobType,
+    jobId,
+    stage,
+    collectorId: null,
+    blob: file,
+    contentType: file.type || 'image/jpeg',
+    size: file.size,
+    capturedAt,
+    location,
+    sha256,
+    width,
+    height,
+    exif: exif || null,
+    uploadUrl: null
+  };
+  await photoStore.setItem(id, record);
+  return record;
+};
+
+/**
+ * Forget a photo that was taken but not kept
+ * @param {string} id
+ */
+export const discardLocalEvidencePhoto = async (id) => {
+  try {
+    await photoStore.removeItem(id);
+  } catch (error) {
+    logger.warn(`Could not remove local photo ${id}:`, error);
+  }
+};
+
+/**
+ * A photo still on the device, for previews after a reload
+ * @param {string} id
+ * @returns {Promise<Object|null>} Stored record (blob, stage, capture details)
+ */
+export const getLocalEvidencePhoto = async (id) => getRecord(id);
+
+/**
+ * Photos taken for a job that are still on the device and not yet handed to the
+ * upload queue, oldest first. This is the driver's work in progress: it survives
+ * reloads and closed tabs, unlike the session copy ImageManager keeps.
+ *
+ * @param {string} jobType
+ * @param {string} jobId
+ * @returns {Promise<Array<Object>>} Stored records
+ */
+export const listLocalEvidencePhotos = async (jobType, jobId) => {
+  const records = [];
+  await photoStore.iterate((stored) => {
+    const record = normalizeRecord(stored);
+    if (record.jobType === jobType && String(record.jobId) === String(jobId) && !record.queued) {
+      records.push(record);
+    }
+  });
+  return records.sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt));
+};
+
+/**
+ * Hand a job's evidence photos to the upload queue. They are queued on the job's own
+ * queue entity, so a status change queued afterwards waits until they are linked.
+ *
+ * @param {Function} queueAction - queueOfflineAction from OfflineContext
+ * @param {string} actionType - OFFLINE_ACTION_TYPES.UPLOAD_PHOTO
+ * @param {Object} params
+ * @param {string} params.jobType - Also the queue entity type (QUEUE_ENTITY_TYPES)
+ * @param {string} params.jobId
+ * @param {string} params.collectorId
+ * @param {Array<{id: string}>} params.photos
+ * @returns {Promise<number>} Photos queued
+ */
+export const queueEvidencePhotoUploads = async (queueAction, actionType, { jobType, jobId, collectorId, photos }) => {
+  let queued = 0;
+  for (const photo of photos) {
+    const record = await getRecord(photo.id);
+    if (!record) {
+      logger.warn(`Photo ${photo.id} is not on this device any more, skipping upload`);
+      continue;
+    }
+    await photoStore.setItem(photo.id, { ...record, jobType, jobId, collectorId, queued: true });
+    // The photo id doubles as the idempotency key: completing twice queues it once
+    await queueAction(actionType, { photoId: photo.id }, {
+      entityType: jobType,
+      entityId: jobId,
+      idempotencyKey: photo.id
+    });
+    queued += 1;
+  }
+  return queued;
+};
+
+/**
+ * Upload one queued photo and link it to its job; the offline queue's processor for
+ * OFFLINE_ACTION_TYPES.UPLOAD_PHOTO
+ *
+ * @param {Object} payload - { photoId }
+ * @returns {Promise<{photoId: string, storagePath: string}>}
+ */
+export const uploadQueuedEvidencePhoto = async ({ photoId }) => {
+  const record = await getRecord(photoId);
+  if (!record) {
+    const { data: linked } = await supabase
+      .from('job_evidence_photos')
+      .select('id, storage_path')
+      .eq('id', photoId)
+      .maybeSingle();
+    if (linked) return { photoId, storagePath: linked.storage_path };
+    throw new OfflineConflictError('The photo is no longer on this device');
+  }
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.access_token) {
+    throw new Error('Not signed in');
+  }
+
+  const storagePath = evidencePhotoPath(record);
+
+  await resumableUpload({
+    endpoint: RESUMABLE_ENDPOINT,
+    headers: {
+      authorization: `Bearer ${session.access_token}`,
+      apikey: import.meta.env.VITE_SUPABASE_ANON_KEY
+    },
+    file: record.blob,
+    metadata: {
+      bucketName: EVIDENCE_PHOTO_BUCKET,
+      objectName: storagePath,
+      contentType: record.contentType,
+      cacheControl: '3600'
+    },
+    uploadUrl: record.uploadUrl,
+    // Remember the upload so the next attempt resumes it
+    onUploadUrl: (uploadUrl) => photoStore.setItem(photoId, { ...record, uploadUrl })
+  });
+
+  // The server verifies location, time and hash as the row goes in
+  const { data: linked, error } = await supabase
+    .from('job_evidence_photos')
+    .upsert({
+      id: record.id,
+      job_type: record.jobType,
+      job_id: String(record.jobId),
+      stage: record.stage,
+      collector_id: record.collectorId,
+      storage_path: storagePath,
+      content_type: record.contentType,
+      size_bytes: record.size,
+      width: record.width ?? null,
+      height: record.height ?? null,
+      sha256: record.sha256 ?? null,
+      captured_at: record.capturedAt,
+      latitude: record.location?.lat ?? null,
+      longitude: record.location?.lng ?? null,
+      accuracy_m: record.location?.accuracy ?? null,
+      exif_taken_at: record.exif?.takenAt ?? null,
+      exif_latitude: record.exif?.latitude ?? null,
+      exif_longitude: record.exif?.longitude ?? null
+    }, { onConflict: 'id', ignoreDuplicates: true })
+    .select('verified, verification');
+  if (error) throw error;
+
+  await photoStore.removeItem(photoId);
+  const row = linked?.[0];
+  if (row && !row.verified) {
+    logger.warn(`📸 Evidence photo ${photoId} uploaded but not accepted:`, row.verification?.problems);
+  } else {
+    logger.info(`📸 Evidence photo ${photoId} uploaded to ${storagePath}`);
+  }
+  return { photoId, storagePath };
+};
+
+/**
+ * Evidence photos of a job: uploaded ones with signed URLs and the server's verdict,
+ * then any still waiting on this device
+ *
+ * @param {string} jobType
+ * @param {string} jobId
+ * @returns {Promise<{success: boolean, data: Array<Object>, error?: string}>}
+ *   Each photo: { id, stage, url, capturedAt, latitude, longitude, accuracy, pending,
+ *   verified, problems }
+ */
+export const getJobEvidencePhotos = async (jobType, jobId) => {
+  const photos = [];
+  let failure = null;
+
+  try {
+    const { data: rows, error } = await supabase
+      .from('job_evidence_photos')
+      .select('id, stage, storage_path, captured_at, latitude, longitude, accuracy_m, verified, verification')
+      .eq('job_type', jobType)
+      .eq('job_id', String(jobId))
+      .order('captured_at', { ascending: true });
+    if (error) throw error;
+
+    if (rows?.length) {
+      const { data: signed, error: signError } = await supabase.storage
+        .from(EVIDENCE_PHOTO_BUCKET)
+        .createSignedUrls(rows.map(row => row.storage_path), SIGNED_URL_TTL_SECONDS);
+      if (signError) throw signError;
+
+      const urls = new Map((signed || []).map(item => [item.path, item.signedUrl]));
+      rows.forEach(row => photos.push({
+        id: row.id,
+        stage: row.stage,
+        url: urls.get(row.storage_path) || null,
+        capturedAt: row.captured_at,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        accuracy: row.accuracy_m,
+        pending: false,
+        verified: row.verified,
+        problems: row.verification?.problems || []
+      }));
+    }
+  } catch (error) {
+    logger.error(`Error loading evidence photos for ${jobType} ${jobId}:`, error);
+    failure = error.message;
+  }
+
+  try {
+    const uploaded = new Set(photos.map(photo => photo.id));
+    await photoStore.iterate((stored) => {
+      const record = normalizeRecord(stored);
+      if (record.jobType !== jobType || String(record.jobId) !== String(jobId) || uploaded.has(record.id)) return;
+      photos.push({
+        id: record.id,
+        stage: record.stage,
+        url: URL.createObjectURL(record.blob),
+        capturedAt: record.capturedAt,
+        latitude: record.location?.lat ?? null,
+        longitude: record.location?.lng ?? null,
+        accuracy: record.location?.accuracy ?? null,
+        pending: true,
+        verified: null,
+        problems: []
+      });
+    });
+  } catch (error) {
+    logger.warn('Could not read photos waiting on this device:', error);
+  }
+
+  return failure && photos.length === 0
+    ? { success: false, data: [], error: failure }
+    : { success: true, data: photos };
+};
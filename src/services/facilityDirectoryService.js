@@ -0,0 +1,199 @@
+/**
+ * Facility Directory Service
+ * Where a driver can tip the load on the truck right now.
+ *
+ * Reads disposal_center_directory (active disposal centres with the live capacity and
+ * "closed today" flags their staff report), works out from the published hours whether
+ * each one is open, matches what it accepts against the waste being carried, and ranks
+ * them by drive time from the driver (utils/facilityDirectory for the rules).
+ */
+
+import { supabase } from './supabase';
+import { getTravelEstimates } from './distanceMatrixService';
+import { logger } from '../utils/logger';
+import { calculateDistance } from '../utils/geoUtils';
+import {
+  facilityAvailability,
+  facilityWasteCategories,
+  rankFacilities,
+  wasteCategoryOf
+} from '../utils/facilityDirectory';
+
+/**
+ * Read a coordinate that may be a number, a numeric string or a PostGIS point
+ * ({x, y} or GeoJSON coordinates) from a disposal_centers row
+ *
+ * @param {Object} center - Row with latitude/longitude columns
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export const parseCenterCoordinates = (center) => {
+  const toNum = (value) => {
+    const parsed = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof parsed === 'number' && Number.isFinite(parsed) ? parsed : null;
+  };
+  const fromPoint = (point) => {
+    if (!point || typeof point !== 'object') return null;
+    if (point.x !== undefined && point.y !== undefined) {
+      return { latitude: toNum(point.y), longitude: toNum(point.x) };
+    }
+    if (Array.isArray(point.coordinates)) {
+      return { latitude: toNum(point.coordinates[1]), longitude: toNum(point.coordinates[0]) };
+    }
+    return null;
+  };
+
+  const point = fromPoint(center.latitude) || fromPoint(center.longitude);
+  const latitude = point?.latitude ?? toNum(center.latitude);
+  const longitude = point?.longitude ?? toNum(center.longitude);
+
+  return latitude === null || longitude === null ? null : { latitude, longitude };
+};
+
+/**
+ * Shape a disposal_center_directory row for the app
+ * @param {Object} row
+ * @param {Date} at - Moment to judge opening hours against
+ * @returns {Object|null} null when the row has no usable coordinates
+ */
+const toFacility = (row, at) => {
+  const coordinates = parseCenterCoordinates(row);
+  if (!coordinates) {
+    logger.warn('Skipping disposal center without coordinates:', row.id);
+    return null;
+  }
+  return {
+    ...row,
+    ...coordinates,
+    coordinates: [coordinates.latitude, coordinates.longitude],
+    center_type: row.center_type || 'center',
+    capacity: row.capacity || 'available',
+    accepts: facilityWasteCategories(row),
+    availability: facilityAvailability(row, at)
+  };
+};
+
+/**
+ * Every active facility with its live status
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Judge opening hours at this moment (default now)
+ * @returns {Promise<{success: boolean, facilities: Array<Object>, error?: string}>} Each
+ *   facility is the directory row plus latitude, longitude, coordinates [lat, lng],
+ *   accepts (WASTE_CATEGORIES it takes) and availability ({ state, label, canDispose })
+ */
+export async function getFacilityDirectory({ at = new Date() } = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('disposal_center_directory')
+      .select('*')
+      .order('name');
+
+    if (error) {
+      throw new Error(`Failed to fetch disposal facilities: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      facilities: (data || []).map(row => toFacility(row, at)).filter(Boolean)
+    };
+  } catch (error) {
+    logger.error('Error loading facility directory:', error);
+    return { success: false, error: error.message, facilities: [] };
+  }
+}
+
+/**
+ * Rank facilities for the load on the truck: ones open and accepting it first, then
+ * by drive time. Drive times come from the routing provider's matrix; a facility it
+ * could not answer for keeps its straight-line distance only.
+ *
+ * @param {Array<Object>} facilities - From getFacilityDirectory
+ * @param {Object} options
+ * @param {Array|Object} [options.origin] - Driver position, [lat, lng] or { lat, lng }
+ * @param {string} [options.wasteType] - Job waste type or WASTE_CATEGORIES value;
+ *   leave out to keep every facility
+ * @param {Object} [options.provider] - Routing provider (tests)
+ * @returns {Promise<Array<Object>>} Facilities taking that waste, with distanceKm,
+ *   driveMinutes and approximate added, best first
+ */
+export async function rankFacilitiesForLoad(facilities, { origin, wasteType, provider } = {}) {
+  const category = wasteType ? wasteCategoryOf(wasteType) : null;
+  const candidates = category
+    ? facilities.filter(facility => facility.accepts.includes(category))
+    : facilities;
+
+  const from = Array.isArray(origin)
+    ? { lat: origin[0], lng: origin[1] }
+    : origin && { lat: origin.lat ?? origin.latitude, lng: origin.lng ?? origin.longitude };
+
+  let estimates = {};
+  if (from && candidates.length) {
+    estimates = await getTravelEstimates(
+      [from.lat, from.lng],
+      candidates.map(facility => ({ id: facility.id, coordinates: facility.coordinates })),
+      provider ? { provider } : undefined
+    );
+  }
+
+  return rankFacilities(candidates.map(facility => {
+    const estimate = estimates[facility.id];
+    const straightLine = from
+      ? calculateDistance(from, { lat: facility.latitude, lng: facility.longitude })
+      : null;
+    return {
+      ...facility,
+      distanceKm: estimate?.distanceKm ?? straightLine,
+      driveMinutes: estimate?.durationMinutes ?? null,
+      approximate: estimate ? estimate.approximate : true
+    };
+  }));
+}
+
+/**
+ * Hear about capacity and closure reports as facilities make them
+ *
+ * @param {Function} onChange - Called with the changed disposal_center_status row
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToFacilityStatus(onChange) {
+  const channel = supabase
+    .channel('disposal_center_status_changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'disposal_center_status' }, (payload) => {
+      onChange(payload.new || payload.old);
+    })
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+/**
+ * Report a facility's capacity or closure; for its staff (disposal_center_staff)
+ *
+ * @param {string} centerId
+ * @param {Object} status
+ * @param {string} [status.capacity] - 'available', 'limited' or 'full'
+ * @param {boolean} [status.closedToday] - true to close for the rest of the day, false to reopen
+ * @param {string} [status.note]
+ * @param {string} [status.until] - ISO time the report lapses (default end of today)
+ * @returns {Promise<{success: boolean, status?: Object, error?: string}>}
+ */
+export async function setFacilityStatus(centerId, { capacity, closedToday, note, until } = {}) {
+  try {
+    const { data, error } = await supabase.rpc('set_disposal_center_status', {
+      p_center_id: centerId,
+      p_capacity: capacity ?? null,
+      p_closed_today: closedToday ?? null,
+      p_note: note ?? null,
+      p_until: until ?? null
+    });
+    if (error) throw error;
+
+    logger.info('Facility status updated:', { centerId, capacity, closedToday });
+    return { success: true, status: data };
+  } catch (error) {
+    logger.error('Error updating facility status:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Job Status Service
+ * The single entry point for changing the status of a pickup request or digital bin.
+ *
+ * Changes are checked against the shared transition table in utils/statusTransitions
+ * and then applied through the `transition_job_status` RPC, which enforces the same
+ * table on the server and writes a job_status_events audit row with the actor, time
+ * and GPS fix. Illegal or stale changes throw a StatusTransitionError whose message
+ * can be shown to the driver.
+ */
+
+import { supabase } from './supabase';
+import {
+  StatusTransitionError,
+  assertTransition,
+  toStatusTransitionError
+} from '../utils/statusTransitions';
+import { logger } from '../utils/logger';
+
+const ENTITY_TABLES = {
+  pickup_request: 'pickup_requests',
+  digital_bin: 'digital_bins',
+  assignment: 'illegal_dumping_mobile'
+};
+
+/**
+ * Change a job's status
+ *
+ * @param {object} params
+ * @param {string} params.entityType - 'pickup_request', 'digital_bin' or 'assignment'
+ * @param {string} params.entityId - Job ID
+ * @param {string} params.toStatus - Target status
+ * @param {string} params.expectedStatus - Status the caller believes the job is in; the
+ *   change is refused if the server disagrees (optional)
+ * @param {object} params.fields - Extra columns to write in the same update
+ * @param {object} params.location - { lat, lng, accuracy } where the driver acted (optional)
+ * @param {string} params.occurredAt - When the driver acted, defaults to now
+ * @param {string} params.source - 'online' or 'offline_replay'
+ * @param {string} params.idempotencyKey - Offline queue key, recorded on the audit row
+ * @returns {Promise<{outcome: string, fromStatus: string, status: string}>}
+ * @throws {StatusTransitionError} When the change is not allowed or lost a race
+ */
+export async function transitionJobStatus({
+  entityType,
+  entityId,
+  toStatus,
+  expectedStatus = null,
+  fields = {},
+  location = null,
+  occurredAt = null,
+  source = 'online',
+  idempotencyKey = null
+}) {
+  if (!ENTITY_TABLES[entityType]) {
+    throw new Error(`Unsupported entity type: ${entityType}`);
+  }
+
+  // Assignments have their own status set and aren't covered by the pickup graph
+  if (expectedStatus && entityType !== 'assignment') {
+    assertTransition(expectedStatus, toStatus, entityType);
+  }
+
+  const { data, error } = await supabase.rpc('transition_job_status', {
+    p_entity_type: entityType,
+    p_entity_id: entityId,
+    p_to_status: toStatus,
+    p_expected_status: expectedStatus,
+    p_fields: fields,
+    p_occurred_at: occurredAt || new Date().toISOString(),
+    p_latitude: location?.lat ?? null,
+    p_longitude: location?.lng ?? null,
+    p_accuracy_m: location?.accuracy ?? null,
+    p_source: source,
+    p_idempotency_key: idempotencyKey
+  });
+
+  if (error) {
+    throw toStatusTransitionError(error, toStatus);
+  }
+
+  if (data?.outcome === 'conflict' || data?.outcome === 'rejected') {
+    logger.warn(`Status change ${entityType} ${entityId} → ${toStatus} refused:`, data);
+    throw new StatusTransitionError(data.current_status || null, toStatus, {
+      reason: data.reason,
+      entityType
+    });
+  }
+
+  logger.debug(`✅ ${entityType} ${entityId} → ${toStatus} (${data?.outcome})`);
+  return {
+    outcome: data?.outcome,
+    fromStatus: data?.from_status || null,
+    status: data?.current_status || toStatus
+  };
+}
+
+/**
+ * Change a job's status and return the updated row
+ * @param {object} params - Same as transitionJobStatus
+ * @returns {Promise<object>} - Updated row
+ */
+export async function transitionJobStatusAndFetch(params) {
+  await transitionJobStatus(params);
+
+  const { data, error } = await supabase
+    .from(ENTITY_TABLES[params.entityType])
+    .select('*')
+    .eq('id', params.entityId)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,262 @@
+/**
+ * Ledger Service
+ * Read side of the double-entry earnings ledger (migration 20261019120000).
+ *
+ * Postings are made by database triggers when a payment succeeds, a job is disposed,
+ * a tip is confirmed or a withdrawal is requested, so the app never writes here. Every
+ * earnings figure the collector sees is a sum over their ledger entries:
+ *
+ * - amount > 0 credits an account, amount < 0 debits it
+ * - the collector account's balance is what the platform owes them; cash taken from a
+ *   customer is debited at collection, so the platform's cut of cash jobs nets off
+ *   digital earnings automatically
+ * - corrections are reversal transactions carrying the original's negated entries
+ */
+
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+
+export const LEDGER_ACCOUNTS = {
+  COLLECTOR: 'collector',
+  USER_RECYCLABLES: 'user_recyclables',
+  PLATFORM: 'platform',
+  ESCROW: 'escrow',
+  GATEWAY: 'gateway',
+  TIPS: 'tips',
+  LOYALTY: 'loyalty',
+  RECYCLER: 'recycler',
+  PAYOUTS: 'payouts'
+};
+
+export const LEDGER_KINDS = {
+  COLLECTION: 'collection',
+  DISPOSAL: 'disposal',
+  TIP: 'tip',
+  WITHDRAWAL: 'withdrawal',
+  REVERSAL: 'reversal',
+  REMITTANCE: 'remittance',
+  REFUND: 'refund'
+};
+
+// Collector entry components that count as earnings (payout buckets on the Earnings page)
+export const EARNING_COMPONENTS = ['core', 'urgent', 'distance', 'surge', 'tips', 'recyclables', 'loyalty'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const emptyBuckets = () => Object.fromEntries(EARNING_COMPONENTS.map(component => [component, 0]));
+
+/**
+ * Fetch a collector's ledger transactions with their entries, oldest first
+ *
+ * @param {string} collectorId
+ * @param {Object} [options]
+ * @param {string} [options.since] - ISO timestamp; only transactions that occurred after it
+ * @param {string} [options.from] - ISO timestamp; only transactions at or after it
+ * @param {string} [options.until] - ISO timestamp; only transactions at or before it
+ * @returns {Promise<{success: boolean, data?: Object[], error?: string}>}
+ */
+export const getCollectorLedger = async (collectorId, { since, from, until } = {}) => {
+  try {
+    let query = supabase
+      .from('ledger_transactions')
+      .select(`
+        id, kind, source_type, source_id, reverses_id, description, metadata, occurred_at,
+        ledger_entries ( component, amount, ledger_accounts ( account_type, owner_id ) )
+      `)
+      .eq('collector_id', collectorId)
+      .order('occurred_at', { ascending: true });
+
+    if (since) {
+      query = query.gt('occurred_at', since);
+    }
+    if (from) {
+      query = query.gte('occurred_at', from);
+    }
+    if (until) {
+      query = query.lte('occurred_at', until);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    logger.error('Error fetching collector ledger:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Job a transaction belongs to: disposals and collections are keyed by the job, tips
+ * and refunds carry it in their metadata, reversals inherit it from the transaction
+ * they reverse
+ *
+ * @param {Object} transaction
+ * @param {Map<string, Object>} byId - All of the collector's transactions by id
+ * @returns {{id: string, type: string}|null}
+ */
+export const jobOf = (transaction, byId) => {
+  if (transaction.kind === LEDGER_KINDS.REVERSAL) {
+    const original = byId.get(transaction.reverses_id);
+    return original ? jobOf(original, byId) : null;
+  }
+  if (transaction.kind === LEDGER_KINDS.TIP || transaction.kind === LEDGER_KINDS.REFUND) {
+    const jobId = transaction.metadata?.job_id;
+    return jobId ? { id: jobId, type: transaction.metadata?.job_type || 'pickup_request' } : null;
+  }
+  if (transaction.kind === LEDGER_KINDS.COLLECTION || transaction.kind === LEDGER_KINDS.DISPOSAL) {
+    return { id: transaction.source_id, type: transaction.source_type };
+  }
+  return null;
+};
+
+/**
+ * Roll a collector's ledger transactions up into the figures the Earnings page shows
+ *
+ * Pure: takes the rows returned by getCollectorLedger.
+ *
+ * @param {Object[]} transactions
+ * @returns {Object} {
+ *   balance, available, earned, cashCollected, withdrawn,
+ *   byComponent, byJob: { [jobId]: { type, earned, bill, paymentMode, occurredAt } },
+ *   earnings: [{ amount, timestamp, jobId }],
+ *   refunds: [{ id, jobId, jobType, amount, collectorShare, reason, disputeId, originalTransactionId, timestamp }],
+ *   platformEarnings, grossRevenue,
+ *   paymentModes: { cash: {...}, digital: {...} }
+ * }
+ */
+export const summarizeLedger = (transactions = []) => {
+  const byId = new Map(transactions.map(transaction => [transaction.id, transaction]));
+  const summary = {
+    balance: 0,
+    available: 0,
+    earned: 0,
+    cashCollected: 0,
+    withdrawn: 0,
+    byComponent: emptyBuckets(),
+    byJob: {},
+    earnings: [],
+    refunds: [],
+    platformEarnings: 0,
+    grossRevenue: 0,
+    paymentModes: {
+      cash: { grossRevenue: 0, collected: 0, platformDue: 0 },
+      digital: { grossRevenue: 0, collected: 0, collectorDue: 0 }
+    }
+  };
+
+  transactions.forEach(transaction => {
+    // A reversal counts as a negative instance of whatever it reversed
+    const kind = transaction.kind === LEDGER_KINDS.REVERSAL
+      ? byId.get(transaction.reverses_id)?.kind || transaction.metadata?.reversed_kind
+      : transaction.kind;
+    const job = jobOf(transaction, byId);
+    const paymentMode = transaction.metadata?.payment_mode === 'cash' ? 'cash' : 'digital';
+
+    let collectorEarned = 0;
+    let bill = 0;
+    let commission = 0;
+    let refunded = 0;
+
+    (transaction.ledger_entries || []).forEach(entry => {
+      const amount = parseFloat(entry.amount) || 0;
+      const accountType = entry.ledger_accounts?.account_type;
+
+      if (accountType === LEDGER_ACCOUNTS.COLLECTOR) {
+        summary.balance += amount;
+        if (entry.component === 'cash_collected') {
+          summary.cashCollected -= amount;
+        } else if (entry.component === 'payout') {
+          summary.withdrawn -= amount;
+        } else if (EARNING_COMPONENTS.includes(entry.component)) {
+          summary.byComponent[entry.component] += amount;
+          collectorEarned += amount;
+        }
+      } else if (accountType === LEDGER_ACCOUNTS.PLATFORM && kind === LEDGER_KINDS.DISPOSAL) {
+        summary.platformEarnings += amount;
+        if (entry.component === 'commission') commission += amount;
+      } else if (accountType === LEDGER_ACCOUNTS.ESCROW && kind === LEDGER_KINDS.DISPOSAL) {
+        bill -= amount;
+      } else if (kind === LEDGER_KINDS.REFUND) {
+        // Money going back to the customer comes off the job's bill and the platform's cut
+        if (accountType === LEDGER_ACCOUNTS.GATEWAY) refunded += amount;
+        else if (accountType === LEDGER_ACCOUNTS.PLATFORM) summary.platformEarnings += amount;
+      }
+    });
+
+    if (refunded !== 0) {
+      bill -= refunded;
+      summary.grossRevenue -= refunded;
+      summary.refunds.push({
+        id: transaction.id,
+        jobId: job?.id || null,
+        jobType: job?.type || null,
+        amount: round2(refunded),
+        collectorShare: round2(-collectorEarned),
+        reason: transaction.metadata?.reason || null,
+        disputeId: transaction.metadata?.dispute_id || transaction.source_id,
+        originalTransactionId: transaction.metadata?.original_transaction_id || null,
+        timestamp: transaction.occurred_at
+      });
+    }
+
+    if (collectorEarned !== 0) {
+      summary.earned += collectorEarned;
+      summary.earnings.push({ amount: collectorEarned, timestamp: transaction.occurred_at, jobId: job?.id || null });
+    }
+
+    if (job && (collectorEarned !== 0 || bill !== 0)) {
+      const record = summary.byJob[job.id] || { type: job.type, earned: 0, bill: 0, paymentMode, occurredAt: null };
+      record.earned += collectorEarned;
+      record.bill += bill;
+      if (kind === LEDGER_KINDS.DISPOSAL) {
+        record.paymentMode = paymentMode;
+        record.occurredAt = record.occurredAt || transaction.occurred_at;
+      }
+      summary.byJob[job.id] = record;
+    }
+
+    if (kind === LEDGER_KINDS.DISPOSAL) {
+      summary.grossRevenue += bill;
+      const mode = summary.paymentModes[paymentMode];
+      mode.grossRevenue += bill;
+      mode.collected += bill;
+      if (paymentMode === 'cash') {
+        mode.platformDue += commission;
+      } else {
+        mode.collectorDue += collectorEarned;
+      }
+    }
+  });
+
+  summary.balance = round2(summary.balance);
+  summary.available = Math.max(0, summary.balance);
+  summary.earned = round2(summary.earned);
+  summary.cashCollected = round2(summary.cashCollected);
+  summary.withdrawn = round2(summary.withdrawn);
+  summary.platformEarnings = round2(summary.platformEarnings);
+  summary.grossRevenue = round2(summary.grossRevenue);
+  Object.keys(summary.byComponent).forEach(component => {
+    summary.byComponent[component] = round2(summary.byComponent[component]);
+  });
+
+  return summary;
+};
+
+/**
+ * Amount the collector can withdraw right now, as the database sees it
+ * @param {string} collectorId
+ * @returns {Promise<{success: boolean, available?: number, error?: string}>}
+ */
+export const getAvailableBalance = async (collectorId) => {
+  try {
+    const { data, error } = await supabase.rpc('get_collector_available_earnings', {
+      p_collector_id: collectorId
+    });
+    if (error) throw error;
+    return { success: true, available: parseFloat(data) || 0 };
+  } catch (error) {
+    logger.error('Error fetching available balance:', error);
+    return { success: false, error: error.message };
+  }
+};
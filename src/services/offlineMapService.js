@@ -8,18 +8,48 @@
  * - Caches map tiles along the route when online
  * - Serves cached tiles when offline
  * - Caches route polyline for offline display
+ * - Downloads whole-region packs (resumable, with size estimates and quota checks)
  * - Manages cache expiration and storage limits
  */
 
 import { logger } from '../utils/logger';
+import {
+  OFFLINE_TILE_URL,
+  PACK_EXPIRY_DAYS,
+  PACK_MIN_ZOOM,
+  PACK_QUOTA_SHARE
+} from '../config/offlineRegionConfig';
+import { countTiles, estimateTileBytes, getTileRanges, latLngToTile, tileAtIndex } from '../utils/tileMath';
 
 const DB_NAME = 'trashdrop-offline-maps';
-const DB_VERSION = 1;
+const DB_VERSION = 2; // v2: region packs
 const TILE_STORE = 'map-tiles';
 const ROUTE_STORE = 'cached-routes';
-const MAX_CACHE_SIZE_MB = 100; // Maximum cache size in MB
-const TILE_EXPIRY_DAYS = 7; // Tiles expire after 7 days
+const PACK_STORE = 'region-packs';
+const TILE_EXPIRY_DAYS = 7; // Route-area tiles expire after 7 days; pack tiles live as long as their pack
 const ROUTE_EXPIRY_HOURS = 24; // Routes expire after 24 hours
+const PACK_BATCH_SIZE = 10; // Tiles fetched in parallel while downloading a pack
+const PACK_BATCH_DELAY_MS = 100; // Pause between batches so the tile server isn't hammered
+const QUOTA_CHECK_EVERY_BATCHES = 50;
+
+export const PACK_STATUS = {
+  PENDING: 'pending',
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+};
+
+// Tiles cached along a route are ones the map is showing anyway; region packs are bulk
+// downloads and only go to a server that allows them (OFFLINE_TILE_URL)
+const ROUTE_TILE_URL = OFFLINE_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+const tileUrlFor = (template, z, x, y) => template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = (event) => reject(event.target.error);
+});
 
 class OfflineMapService {
   constructor() {
@@ -27,8 +57,12 @@ class OfflineMapService {
     this.isInitialized = false;
     this.cacheStats = {
       tilesCount: 0,
-      sizeBytes: 0
+      sizeBytes: 0,
+      quotaBytes: null,
+      usageBytes: null
     };
+    this.activeDownloads = new Map(); // packId -> { cancelled }
+    this.packListeners = new Set();
   }
 
   /**
@@ -57,11 +91,21 @@ class OfflineMapService {
         const db = event.target.result;
 
         // Create tile store with compound key (z, x, y)
-        if (!db.objectStoreNames.contains(TILE_STORE)) {
-          const tileStore = db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+        const tileStore = db.objectStoreNames.contains(TILE_STORE)
+          ? event.target.transaction.objectStore(TILE_STORE)
+          : db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+        if (!tileStore.indexNames.contains('timestamp')) {
           tileStore.createIndex('timestamp', 'timestamp', { unique: false });
           tileStore.createIndex('zoom', 'zoom', { unique: false });
         }
+        // Tiles remember which region packs need them, so deleting one pack keeps shared tiles
+        if (!tileStore.indexNames.contains('packIds')) {
+          tileStore.createIndex('packIds', 'packIds', { unique: false, multiEntry: true });
+        }
+
+        if (!db.objectStoreNames.contains(PACK_STORE)) {
+          db.createObjectStore(PACK_STORE, { keyPath: 'id' });
+        }
 
         // Create route store
         if (!db.objectStoreNames.contains(ROUTE_STORE)) {
@@ -85,11 +129,7 @@ class OfflineMapService {
    * Convert lat/lng to tile coordinates
    */
   latLngToTile(lat, lng, zoom) {
-    const n = Math.pow(2, zoom);
-    const x = Math.floor((lng + 180) / 360 * n);
-    const latRad = lat * Math.PI / 180;
-    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
-    return { x, y, z: zoom };
+    return latLngToTile(lat, lng, zoom);
   }
 
   /**
@@ -145,20 +185,27 @@ class OfflineMapService {
 
   /**
    * Fetch and cache a single tile
+   * @param {Object} [options]
+   * @param {string} [options.packId] - Region pack the tile belongs to
+   * @param {number} [options.refreshBefore] - Refetch tiles stored before this timestamp
+   * @throws {DOMException} QuotaExceededError when storage is full; other failures return null
    */
-  async cacheTile(z, x, y, tileUrl = null) {
+  async cacheTile(z, x, y, tileUrl = null, { packId = null, refreshBefore = 0 } = {}) {
     if (!this.isInitialized) await this.initialize();
 
     const key = this.getTileKey(z, x, y);
     
     // Check if tile already cached and not expired
     const existing = await this.getTile(z, x, y);
-    if (existing && !this.isTileExpired(existing)) {
+    const packIds = existing?.packIds || [];
+    if (existing && !this.isTileExpired(existing) && existing.timestamp >= refreshBefore) {
+      if (packId && !packIds.includes(packId)) {
+        await this.storeTile({ ...existing, packIds: [...packIds, packId] }, { isNew: false });
+      }
       return existing;
     }
 
-    // Fetch tile from OpenStreetMap
-    const url = tileUrl || `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
+    const url = tileUrl || tileUrlFor(ROUTE_TILE_URL, z, x, y);
     
     try {
       const response = await fetch(url);
@@ -174,14 +221,16 @@ class OfflineMapService {
         y,
         data: arrayBuffer,
         timestamp: Date.now(),
-        size: arrayBuffer.byteLength
+        size: arrayBuffer.byteLength,
+        packIds: packId && !packIds.includes(packId) ? [...packIds, packId] : packIds
       };
 
       // Store in IndexedDB
-      await this.storeTile(tileData);
+      await this.storeTile(tileData, { isNew: !existing });
       
       return tileData;
     } catch (error) {
+      if (error?.name === 'QuotaExceededError') throw error;
       logger.warn(`⚠️ Failed to cache tile ${key}:`, error.message);
       return null;
     }
@@ -190,15 +239,17 @@ class OfflineMapService {
   /**
    * Store tile in IndexedDB
    */
-  async storeTile(tileData) {
+  async storeTile(tileData, { isNew = true } = {}) {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([TILE_STORE], 'readwrite');
       const store = transaction.objectStore(TILE_STORE);
       const request = store.put(tileData);
 
       request.onsuccess = () => {
-        this.cacheStats.tilesCount++;
-        this.cacheStats.sizeBytes += tileData.size;
+        if (isNew) {
+          this.cacheStats.tilesCount++;
+          this.cacheStats.sizeBytes += tileData.size;
+        }
         resolve(true);
       };
 
@@ -391,12 +442,18 @@ class OfflineMapService {
       const store = transaction.objectStore(TILE_STORE);
       const countRequest = store.count();
 
-      countRequest.onsuccess = () => {
+      countRequest.onsuccess = async () => {
         this.cacheStats.tilesCount = countRequest.result;
         
         // Estimate size (we'd need to iterate for exact size)
         // Average tile is about 20KB
         this.cacheStats.sizeBytes = this.cacheStats.tilesCount * 20000;
+
+        const estimate = await this.getStorageEstimate();
+        if (estimate) {
+          this.cacheStats.quotaBytes = estimate.quota;
+          this.cacheStats.usageBytes = estimate.usage;
+        }
         
         resolve(this.cacheStats);
       };
@@ -428,8 +485,11 @@ class OfflineMapService {
       cursorRequest.onsuccess = (event) => {
         const cursor = event.target.result;
         if (cursor) {
-          cursor.delete();
-          deletedCount++;
+          // Region pack tiles are refreshed by updating the pack, not aged out
+          if (!cursor.value.packIds?.length) {
+            cursor.delete();
+            deletedCount++;
+          }
           cursor.continue();
         } else {
           logger.info(`🧹 Cleared ${deletedCount} expired tiles`);
@@ -449,15 +509,19 @@ class OfflineMapService {
   async clearAll() {
     if (!this.isInitialized) await this.initialize();
 
+    this.activeDownloads.forEach(download => { download.cancelled = true; });
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([TILE_STORE, ROUTE_STORE], 'readwrite');
+      const transaction = this.db.transaction([TILE_STORE, ROUTE_STORE, PACK_STORE], 'readwrite');
       
       transaction.objectStore(TILE_STORE).clear();
       transaction.objectStore(ROUTE_STORE).clear();
+      transaction.objectStore(PACK_STORE).clear();
 
       transaction.oncomplete = () => {
-        this.cacheStats = { tilesCount: 0, sizeBytes: 0 };
+        this.cacheStats = { ...this.cacheStats, tilesCount: 0, sizeBytes: 0 };
         logger.info('🧹 All offline map data cleared');
+        this.notifyPackListeners();
         resolve(true);
       };
 
@@ -471,13 +535,330 @@ class OfflineMapService {
    * Get cache info
    */
   getCacheInfo() {
+    const { quotaBytes } = this.cacheStats;
     return {
       ...this.cacheStats,
       sizeMB: (this.cacheStats.sizeBytes / (1024 * 1024)).toFixed(2),
-      maxSizeMB: MAX_CACHE_SIZE_MB
+      // The browser's storage quota is the real limit; null until it has been read
+      maxSizeMB: quotaBytes ? Math.floor(quotaBytes * PACK_QUOTA_SHARE / (1024 * 1024)) : null
+    };
+  }
+
+  // ─── Region packs ───────────────────────────────────────────
+
+  /**
+   * Browser storage usage and quota
+   * @returns {Promise<{usage: number, quota: number}|null>} null when the browser can't tell
+   */
+  async getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      logger.warn('⚠️ Could not read storage estimate:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether `bytes` more can be stored without passing the region pack share of the quota
+   * @returns {Promise<{ok: boolean, neededBytes: number, availableBytes: number|null}>}
+   */
+  async checkQuota(bytes) {
+    const estimate = await this.getStorageEstimate();
+    if (!estimate || !estimate.quota) {
+      return { ok: true, neededBytes: bytes, availableBytes: null };
+    }
+    const availableBytes = Math.max(0, estimate.quota * PACK_QUOTA_SHARE - estimate.usage);
+    return { ok: bytes <= availableBytes, neededBytes: bytes, availableBytes };
+  }
+
+  /**
+   * Tile count and download size for an area, before anything is downloaded
+   * @param {{bounds: Object, minZoom?: number, maxZoom: number}} area
+   * @returns {{tiles: number, bytes: number}}
+   */
+  estimateRegionPack({ bounds, minZoom = PACK_MIN_ZOOM, maxZoom }) {
+    const ranges = getTileRanges(bounds, minZoom, maxZoom);
+    return { tiles: countTiles(ranges), bytes: estimateTileBytes(ranges) };
+  }
+
+  /**
+   * Listen for region pack changes (progress, status, deletion)
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToRegionPacks(listener) {
+    this.packListeners.add(listener);
+    return () => this.packListeners.delete(listener);
+  }
+
+  notifyPackListeners(pack = null) {
+    this.packListeners.forEach(listener => {
+      try {
+        listener(pack);
+      } catch (error) {
+        logger.warn('⚠️ Region pack listener failed:', error.message);
+      }
+    });
+  }
+
+  async putRegionPack(pack) {
+    if (!this.isInitialized) await this.initialize();
+    const store = this.db.transaction([PACK_STORE], 'readwrite').objectStore(PACK_STORE);
+    await promisify(store.put(pack));
+    this.notifyPackListeners(pack);
+    return pack;
+  }
+
+  /**
+   * Describe a stored pack for display: a download interrupted by closing the app shows
+   * as paused, and completed packs past their expiry are flagged for update
+   */
+  describeRegionPack(pack) {
+    if (!pack) return null;
+    const interrupted = pack.status === PACK_STATUS.DOWNLOADING && !this.activeDownloads.has(pack.id);
+    return {
+      ...pack,
+      status: interrupted ? PACK_STATUS.PAUSED : pack.status,
+      isDownloading: this.activeDownloads.has(pack.id),
+      isExpired: Boolean(pack.expiresAt && Date.now() > pack.expiresAt),
+      percent: pack.totalTiles ? Math.round(pack.nextIndex / pack.totalTiles * 100) : 0
     };
   }
 
+  async getStoredRegionPack(packId) {
+    if (!this.isInitialized) await this.initialize();
+    const store = this.db.transaction([PACK_STORE], 'readonly').objectStore(PACK_STORE);
+    return (await promisify(store.get(packId))) || null;
+  }
+
+  async getRegionPack(packId) {
+    return this.describeRegionPack(await this.getStoredRegionPack(packId));
+  }
+
+  async listRegionPacks() {
+    if (!this.isInitialized) await this.initialize();
+    const store = this.db.transaction([PACK_STORE], 'readonly').objectStore(PACK_STORE);
+    const packs = await promisify(store.getAll());
+    return packs
+      .map(pack => this.describeRegionPack(pack))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Register a region pack (or change the zoom of an existing one) without downloading
+   * @param {Object} region - Entry from OFFLINE_REGIONS
+   * @param {Object} [options]
+   * @param {number} [options.maxZoom] - Most detailed zoom level, defaults to the region's
+   */
+  async createRegionPack(region, { maxZoom = region.maxZoom } = {}) {
+    const existing = await this.getStoredRegionPack(region.id);
+    const minZoom = PACK_MIN_ZOOM;
+    const { tiles, bytes } = this.estimateRegionPack({ bounds: region.bounds, minZoom, maxZoom });
+    const sameArea = existing && existing.maxZoom === maxZoom;
+
+    return this.putRegionPack({
+      id: region.id,
+      name: region.name,
+      bounds: region.bounds,
+      minZoom,
+      maxZoom,
+      status: sameArea ? existing.status : PACK_STATUS.PENDING,
+      totalTiles: tiles,
+      estimatedBytes: bytes,
+      nextIndex: sameArea ? existing.nextIndex : 0,
+      downloadedTiles: sameArea ? existing.downloadedTiles : 0,
+      failedTiles: sameArea ? existing.failedTiles : 0,
+      bytes: sameArea ? existing.bytes : 0,
+      refreshBefore: existing?.refreshBefore || 0,
+      createdAt: existing?.createdAt || Date.now(),
+      completedAt: sameArea ? existing.completedAt : null,
+      expiresAt: sameArea ? existing.expiresAt : null,
+      error: null
+    });
+  }
+
+  /**
+   * Download (or resume downloading) a region pack
+   *
+   * Progress is saved after every batch, so closing the app or losing the connection
+   * only loses the batch in flight. Stops with status 'paused' when paused, offline or
+   * out of storage.
+   *
+   * @param {string} packId
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with the pack after each batch
+   * @returns {Promise<{success: boolean, pack?: Object, paused?: boolean, error?: string}>}
+   */
+  async downloadRegionPack(packId, { onProgress = null } = {}) {
+    if (!OFFLINE_TILE_URL) {
+      return { success: false, error: 'Offline map downloads are not set up yet' };
+    }
+    if (this.activeDownloads.has(packId)) {
+      return { success: false, error: 'This pack is already downloading' };
+    }
+    const stored = await this.getStoredRegionPack(packId);
+    if (!stored) return { success: false, error: 'Region pack not found' };
+    if (!navigator.onLine) return { success: false, error: 'Connect to the internet (ideally Wi-Fi) to download maps' };
+
+    const ranges = getTileRanges(stored.bounds, stored.minZoom, stored.maxZoom);
+    const total = countTiles(ranges);
+    const measuredTileBytes = stored.downloadedTiles > 0 ? stored.bytes / stored.downloadedTiles : null;
+    const remainingBytes = estimateTileBytes(ranges, measuredTileBytes) * (total - stored.nextIndex) / Math.max(1, total);
+
+    const quota = await this.checkQuota(remainingBytes);
+    if (!quota.ok) {
+      const error = 'Not enough storage on this phone for this pack. Delete another pack or choose a lower zoom.';
+      await this.putRegionPack({ ...stored, status: PACK_STATUS.PAUSED, error });
+      return { success: false, error };
+    }
+
+    // Ask the browser not to evict the tiles under storage pressure
+    if (navigator.storage?.persist) {
+      navigator.storage.persist().catch(() => {});
+    }
+
+    const download = { cancelled: false };
+    this.activeDownloads.set(packId, download);
+    let pack = { ...stored, status: PACK_STATUS.DOWNLOADING, totalTiles: total, error: null };
+    await this.putRegionPack(pack);
+    logger.info(`📦 Downloading region pack ${pack.name}: ${total - pack.nextIndex} tiles to go`);
+
+    const stop = async (status, error = null) => {
+      this.activeDownloads.delete(packId);
+      pack = { ...pack, status, error };
+      await this.putRegionPack(pack);
+      return pack;
+    };
+
+    try {
+      let batches = 0;
+      while (pack.nextIndex < total) {
+        if (download.cancelled) {
+          return { success: true, paused: true, pack: await stop(PACK_STATUS.PAUSED) };
+        }
+        if (!navigator.onLine) {
+          return { success: false, paused: true, pack: await stop(PACK_STATUS.PAUSED, 'Connection lost; resume when back online') };
+        }
+
+        const end = Math.min(pack.nextIndex + PACK_BATCH_SIZE, total);
+        const tiles = [];
+        for (let i = pack.nextIndex; i < end; i++) tiles.push(tileAtIndex(ranges, i));
+
+        const results = await Promise.all(tiles.map(({ z, x, y }) =>
+          this.cacheTile(z, x, y, tileUrlFor(OFFLINE_TILE_URL, z, x, y), { packId, refreshBefore: pack.refreshBefore })
+        ));
+        const saved = results.filter(Boolean);
+
+        pack = {
+          ...pack,
+          nextIndex: end,
+          downloadedTiles: pack.downloadedTiles + saved.length,
+          failedTiles: pack.failedTiles + (results.length - saved.length),
+          bytes: pack.bytes + saved.reduce((sum, tile) => sum + (tile.size || 0), 0)
+        };
+        await this.putRegionPack(pack);
+        if (onProgress) onProgress(this.describeRegionPack(pack));
+
+        batches++;
+        if (batches % QUOTA_CHECK_EVERY_BATCHES === 0 && !(await this.checkQuota(0)).ok) {
+          return { success: false, paused: true, pack: await stop(PACK_STATUS.PAUSED, 'Storage is full') };
+        }
+        if (end < total) {
+          await new Promise(resolve => setTimeout(resolve, PACK_BATCH_DELAY_MS));
+        }
+      }
+    } catch (error) {
+      const full = error?.name === 'QuotaExceededError';
+      logger.error(`❌ Region pack ${packId} download stopped:`, error);
+      return {
+        success: false,
+        paused: full,
+        error: full ? 'Storage is full' : error.message,
+        pack: await stop(full ? PACK_STATUS.PAUSED : PACK_STATUS.FAILED, full ? 'Storage is full' : error.message)
+      };
+    }
+
+    const completedAt = Date.now();
+    pack = {
+      ...pack,
+      completedAt,
+      expiresAt: completedAt + PACK_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+    };
+    await stop(PACK_STATUS.COMPLETE);
+    this.updateCacheStats();
+    logger.info(`✅ Region pack ${pack.name} downloaded: ${pack.downloadedTiles} tiles (${pack.failedTiles} failed)`);
+    return { success: true, pack: this.describeRegionPack(pack) };
+  }
+
+  /**
+   * Pause a running download after the batch in flight
+   */
+  pauseRegionPack(packId) {
+    const download = this.activeDownloads.get(packId);
+    if (download) download.cancelled = true;
+  }
+
+  /**
+   * Re-download a pack's tiles, replacing ones fetched before now
+   */
+  async updateRegionPack(packId, options = {}) {
+    const pack = await this.getStoredRegionPack(packId);
+    if (!pack) return { success: false, error: 'Region pack not found' };
+    if (this.activeDownloads.has(packId)) return { success: false, error: 'This pack is already downloading' };
+
+    await this.putRegionPack({
+      ...pack,
+      status: PACK_STATUS.PENDING,
+      refreshBefore: Date.now(),
+      nextIndex: 0,
+      downloadedTiles: 0,
+      failedTiles: 0,
+      bytes: 0,
+      error: null
+    });
+    return this.downloadRegionPack(packId, options);
+  }
+
+  /**
+   * Delete a pack and the tiles no other pack needs
+   */
+  async deleteRegionPack(packId) {
+    if (!this.isInitialized) await this.initialize();
+    this.pauseRegionPack(packId);
+    this.activeDownloads.delete(packId);
+
+    const deleted = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([TILE_STORE, PACK_STORE], 'readwrite');
+      const tiles = transaction.objectStore(TILE_STORE);
+      const cursorRequest = tiles.index('packIds').openCursor(IDBKeyRange.only(packId));
+      let count = 0;
+
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const remaining = (cursor.value.packIds || []).filter(id => id !== packId);
+        if (remaining.length === 0) {
+          cursor.delete();
+          count++;
+        } else {
+          cursor.update({ ...cursor.value, packIds: remaining });
+        }
+        cursor.continue();
+      };
+      transaction.objectStore(PACK_STORE).delete(packId);
+
+      transaction.oncomplete = () => resolve(count);
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+
+    logger.info(`🧹 Region pack ${packId} deleted (${deleted} tiles removed)`);
+    await this.updateCacheStats();
+    this.notifyPackListeners();
+    return { success: true, deletedTiles: deleted };
+  }
+
   /**
    * Check if we have cached tiles for an area
    */
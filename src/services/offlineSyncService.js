@@ -0,0 +1,129 @@
+/**
+ * Offline Sync Service
+ * Replays queued offline actions against Supabase.
+ *
+ * Every action is sent through the `apply_offline_action` RPC together with its
+ * idempotency key. The server records a receipt per key, so an action that was
+ * applied but whose response was lost in a dead zone is not applied twice. When the
+ * row is no longer in the status the action expected, the RPC reports a conflict
+ * and the action is parked for the driver instead of overwriting newer server state.
+ */
+
+import { supabase } from './supabase';
+import { completeQueuedDisposalTrip } from './disposalTripService';
+import { uploadQueuedEvidencePhoto } from './evidencePhotoService';
+import { recordQueuedWeighbridgeTicket } from './weighbridgeService';
+import { OfflineConflictError, QUEUE_ENTITY_TYPES } from '../utils/offlineUtils';
+import { StatusTransitionError } from '../utils/statusTransitions';
+import { evidenceErrorMessage } from '../utils/photoEvidence';
+import { logger } from '../utils/logger';
+
+export const OFFLINE_ACTION_TYPES = {
+  STATUS_CHANGE: 'statusChange',
+  DISPOSE: 'dispose',
+  UPLOAD_PHOTO: 'uploadPhoto',
+  RECORD_WEIGHBRIDGE_TICKET: 'recordWeighbridgeTicket',
+  COMPLETE_DISPOSAL_TRIP: 'completeDisposalTrip'
+};
+
+/**
+ * Human readable labels for the queue inspector
+ */
+export const OFFLINE_ENTITY_LABELS = {
+  [QUEUE_ENTITY_TYPES.PICKUP_REQUEST]: 'Pickup',
+  [QUEUE_ENTITY_TYPES.DIGITAL_BIN]: 'Digital bin',
+  [QUEUE_ENTITY_TYPES.ASSIGNMENT]: 'Assignment',
+  [QUEUE_ENTITY_TYPES.WEIGHBRIDGE_TICKET]: 'Weighbridge ticket',
+  [QUEUE_ENTITY_TYPES.DISPOSAL_TRIP]: 'Disposal trip'
+};
+
+/**
+ * Send a queued status change to the server
+ * @param {object} payload - { expectedStatus, newStatus, fields, occurredAt, location }
+ * @param {object} item - Queue item (provides entity and idempotency key)
+ */
+const applyStatusChange = async (payload, item) => {
+  const { data, error } = await supabase.rpc('apply_offline_action', {
+    p_idempotency_key: item.idempotencyKey,
+    p_action_type: item.actionType,
+    p_entity_type: item.entityType,
+    p_entity_id: item.entityId,
+    p_expected_status: payload.expectedStatus || null,
+    p_new_status: payload.newStatus,
+    p_fields: payload.fields || {},
+    p_occurred_at: payload.occurredAt || null,
+    p_latitude: payload.location?.lat ?? null,
+    p_longitude: payload.location?.lng ?? null,
+    p_accuracy_m: payload.location?.accuracy ?? null,
+    // Items replayed from the queue have an id; direct online attempts don't
+    p_source: item.id ? 'offline_replay' : 'online'
+  });
+
+  // Refused for missing or rejected photos: retrying won't help until the driver retakes them
+  const evidenceMessage = evidenceErrorMessage(error);
+  if (evidenceMessage) {
+    throw new OfflineConflictError(evidenceMessage, { status: null, reason: 'evidence_required' });
+  }
+  if (error) throw error;
+
+  if (data?.outcome === 'conflict' || data?.outcome === 'rejected') {
+    const transitionError = new StatusTransitionError(data.current_status || null, payload.newStatus, {
+      reason: data.reason,
+      entityType: item.entityType
+    });
+    throw new OfflineConflictError(transitionError.message, {
+      status: data.current_status || null,
+      reason: data.reason || null
+    });
+  }
+
+  logger.debug(`✅ Offline ${item.entityType} ${item.entityId} → ${payload.newStatus} (${data?.outcome})`);
+  return data;
+};
+
+/**
+ * Send a single-job disposal queued before disposal trips existed. It goes through as
+ * a trip of its own, using the disposal's key as the trip id so a replay is recorded
+ * once; the time, site and fix are the ones captured on the device.
+ * @param {object} payload - { collectorId, site, occurredAt, location }
+ * @param {object} item - Queue item (provides entity and idempotency key)
+ */
+const applyDisposal = (payload, item) => completeQueuedDisposalTrip({
+  collectorId: payload.collectorId,
+  trip: {
+    id: item.idempotencyKey,
+    site: payload.site || {},
+    completedAt: payload.occurredAt,
+    location: payload.location || null
+  },
+  jobs: [{ jobType: item.entityType, jobId: item.entityId }]
+}, item);
+
+/**
+ * Process a single queued action; used as the processor for processOfflineQueue
+ * @param {string} actionType - Queued action type
+ * @param {object} payload - Queued payload
+ * @param {object} item - Full queue item
+ */
+export const processOfflineAction = async (actionType, payload, item) => {
+  switch (actionType) {
+    case OFFLINE_ACTION_TYPES.STATUS_CHANGE:
+      return applyStatusChange(payload, item);
+
+    case OFFLINE_ACTION_TYPES.DISPOSE:
+      return applyDisposal(payload, item);
+
+    case OFFLINE_ACTION_TYPES.UPLOAD_PHOTO:
+      return uploadQueuedEvidencePhoto(payload);
+
+    case OFFLINE_ACTION_TYPES.RECORD_WEIGHBRIDGE_TICKET:
+      return recordQueuedWeighbridgeTicket(payload);
+
+    case OFFLINE_ACTION_TYPES.COMPLETE_DISPOSAL_TRIP:
+      return completeQueuedDisposalTrip(payload, item);
+
+    default:
+      // Unknown actions can't succeed by retrying, surface them to the driver
+      throw new OfflineConflictError(`Unknown offline action type: ${actionType}`);
+  }
+};
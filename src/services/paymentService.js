@@ -1,20 +1,25 @@
 import { supabase } from './supabase';
 import { logger } from '../utils/logger';
-import * as TrendiPayService from './trendiPayService';
 import { computeBinPaymentShares } from '../utils/paymentCalculations';
+import { getPaymentProvider, isGatewayEnabled, PAYMENT_STATUS } from './payments';
 
 /**
  * Payment Service
  * 
- * Handles client collections and collector disbursements via TrendiPay gateway.
- * 
- * Phase 4: Real TrendiPay integration enabled
+ * Handles client collections and collector disbursements through the configured
+ * payment provider (TrendiPay, or the local mock gateway in development and CI).
  */
 
-// Feature flag for TrendiPay integration
-const ENABLE_TRENDIPAY = import.meta.env.VITE_ENABLE_TRENDIPAY === 'true';
-
-console.log('💰 [PaymentService] Loaded. ENABLE_TRENDIPAY:', ENABLE_TRENDIPAY, '(raw env:', import.meta.env.VITE_ENABLE_TRENDIPAY, ')');
+/**
+ * bin_payments only knows pending, success and failed
+ * @param {string} status - PAYMENT_STATUS value
+ * @returns {string}
+ */
+const toRowStatus = (status) => {
+  if (status === PAYMENT_STATUS.SUCCESS) return 'success';
+  if (status === PAYMENT_STATUS.FAILED || status === PAYMENT_STATUS.EXPIRED) return 'failed';
+  return 'pending';
+};
 
 /**
  * Initiate client collection payment
@@ -34,7 +39,7 @@ export async function initiateCollection(paymentData) {
   try {
     console.log('💰 [PaymentService] === INITIATE COLLECTION ===');
     console.log('💰 [PaymentService] Input paymentData:', JSON.stringify(paymentData, null, 2));
-    console.log('💰 [PaymentService] ENABLE_TRENDIPAY:', ENABLE_TRENDIPAY);
+    console.log('💰 [PaymentService] Payment provider:', getPaymentProvider().name);
 
     // Validate required fields
     if (!paymentData.digitalBinId || !paymentData.collectorId) {
@@ -143,21 +148,21 @@ export async function initiateCollection(paymentData) {
         message: 'Cash payment recorded successfully'
       };
     } else {
-      // MoMo/e-cash - Call TrendiPay API
-      if (ENABLE_TRENDIPAY) {
-        console.log('💰 [PaymentService] TrendiPay ENABLED — calling gateway...');
+      // MoMo/e-cash - Collect through the payment gateway
+      if (isGatewayEnabled()) {
+        const provider = getPaymentProvider();
+        console.log(`💰 [PaymentService] Collecting via ${provider.name}...`);
         
         const gatewayParams = {
           reference: data.id,
           accountNumber: paymentData.clientMomo,
-          rSwitch: paymentData.clientRSwitch,
+          network: paymentData.clientRSwitch,
           amount: paymentData.totalBill,
-          description: `Digital bin ${paymentData.digitalBinId.substring(0, 8)}`,
-          currency: 'GHS'
+          description: `Digital bin ${paymentData.digitalBinId.substring(0, 8)}`
         };
         console.log('💰 [PaymentService] Gateway params:', JSON.stringify(gatewayParams, null, 2));
         
-        const gatewayResult = await TrendiPayService.initiateCollection(gatewayParams);
+        const gatewayResult = await provider.collect(gatewayParams);
 
         console.log('💰 [PaymentService] Gateway result:', JSON.stringify(gatewayResult, null, 2));
 
@@ -179,10 +184,13 @@ export async function initiateCollection(paymentData) {
           throw new Error(gatewayResult.error || 'Payment gateway error');
         }
 
-        // Update payment record with gateway details
+        // Update payment record with gateway details. Only the webhook or the server's
+        // status check can mark it paid; a refusal the gateway reports straight away is
+        // recorded here
         console.log('💰 [PaymentService] Updating DB with gateway details...');
+        const status = toRowStatus(gatewayResult.status) === 'failed' ? 'failed' : 'pending';
         const updatePayload = { 
-          status: gatewayResult.status,
+          status,
           gateway_reference: gatewayResult.gatewayReference,
           gateway_transaction_id: gatewayResult.transactionId
         };
@@ -202,7 +210,7 @@ export async function initiateCollection(paymentData) {
         const finalResult = {
           success: true,
           paymentId: data.id,
-          status: gatewayResult.status,
+          status,
           message: gatewayResult.message || 'Payment initiated. Awaiting client approval.',
           transactionId: gatewayResult.transactionId,
           authorizationSteps: gatewayResult.authorizationSteps // MoMo approval steps for user
@@ -211,13 +219,13 @@ export async function initiateCollection(paymentData) {
 
         return finalResult;
       } else {
-        console.warn('⚠️ [PaymentService] TrendiPay DISABLED — using stub mode');
+        console.warn('⚠️ [PaymentService] No payment gateway configured — using stub mode');
         
         return {
           success: true,
           paymentId: data.id,
           status: 'pending',
-          message: 'Payment initiated (stub mode). Use simulatePaymentSuccess() for testing.'
+          message: 'Payment initiated (stub mode). Nothing will confirm it without a gateway.'
         };
       }
     }
@@ -232,17 +240,20 @@ export async function initiateCollection(paymentData) {
 }
 
 /**
- * Check payment status
- * 
- * @param {string} paymentId - Payment record UUID
- * @returns {Promise<Object>} Payment status details
+ * Status of a gateway-backed row (bin_payments or cash_remittances). While the row is
+ * still pending the payment-status Edge Function asks the gateway and settles it
+ * server-side; the app never writes a success itself, since that credits the ledger.
+ *
+ * @param {string} table
+ * @param {string} paymentId - Row UUID
+ * @returns {Promise<Object>} { success, status, payment }
  */
-export async function checkPaymentStatus(paymentId) {
+async function checkGatewayRowStatus(table, paymentId) {
   try {
-    console.log('🔍 [PaymentService] Checking status for paymentId:', paymentId);
+    console.log(`🔍 [PaymentService] Checking ${table} status for:`, paymentId);
     
     const { data, error } = await supabase
-      .from('bin_payments')
+      .from(table)
       .select('*')
       .eq('id', paymentId)
       .single();
@@ -254,29 +265,18 @@ export async function checkPaymentStatus(paymentId) {
 
     console.log('🔍 [PaymentService] Payment status:', { id: data.id, status: data.status, gateway_error: data.gateway_error, gateway_transaction_id: data.gateway_transaction_id });
 
-    // If DB still says pending but we have a gateway transaction ID,
-    // check TrendiPay API directly as fallback (webhook may have failed)
-    if (data.status === 'pending' && data.gateway_transaction_id && ENABLE_TRENDIPAY) {
-      try {
-        console.log('🔍 [PaymentService] DB still pending — checking TrendiPay API directly...');
-        const gatewayResult = await TrendiPayService.checkCollectionStatus(
-          data.gateway_transaction_id,
-          data.id
-        );
-        if (gatewayResult.success && gatewayResult.status && gatewayResult.status !== 'pending') {
-          const newStatus = gatewayResult.status === 'successful' || gatewayResult.status === 'success' ? 'success' : 
-                           gatewayResult.status === 'failed' ? 'failed' : data.status;
-          if (newStatus !== data.status) {
-            console.log(`✅ [PaymentService] TrendiPay says ${newStatus} — updating DB`);
-            await supabase
-              .from('bin_payments')
-              .update({ status: newStatus, updated_at: new Date().toISOString() })
-              .eq('id', paymentId);
-            return { success: true, status: newStatus, payment: { ...data, status: newStatus } };
-          }
-        }
-      } catch (gwErr) {
-        console.warn('⚠️ [PaymentService] Gateway status check failed (non-fatal):', gwErr.message);
+    // If DB still says pending but we have a gateway transaction ID, have the
+    // server ask the gateway as fallback (webhook may have failed)
+    if (data.status === 'pending' && data.gateway_transaction_id && isGatewayEnabled()) {
+      const { data: checked, error: checkError } = await supabase.functions.invoke('payment-status', {
+        body: { table, id: paymentId }
+      });
+
+      if (checkError || !checked?.success) {
+        console.warn('⚠️ [PaymentService] Server status check failed (non-fatal):', checkError?.message || checked?.error);
+      } else if (checked.status !== data.status) {
+        console.log(`✅ [PaymentService] Gateway settled ${table} ${paymentId} as ${checked.status}`);
+        return { success: true, status: checked.status, payment: checked.payment };
       }
     }
 
@@ -287,7 +287,7 @@ export async function checkPaymentStatus(paymentId) {
     };
 
   } catch (error) {
-    console.error('❌ [PaymentService] checkPaymentStatus error:', error.message);
+    console.error('❌ [PaymentService] status check error:', error.message);
     return {
       success: false,
       error: error.message
@@ -296,26 +296,94 @@ export async function checkPaymentStatus(paymentId) {
 }
 
 /**
- * Check TrendiPay collection status directly
+ * Check payment status
  * 
- * @param {string} transactionId - TrendiPay transaction ID
+ * @param {string} paymentId - Payment record UUID
+ * @returns {Promise<Object>} Payment status details
+ */
+export async function checkPaymentStatus(paymentId) {
+  return checkGatewayRowStatus('bin_payments', paymentId);
+}
+
+/**
+ * Check a cash remittance's status
+ *
+ * @param {string} remittanceId - cash_remittances UUID
+ * @returns {Promise<Object>} Same shape as checkPaymentStatus; the row is in `payment`
+ */
+export async function checkRemittanceStatus(remittanceId) {
+  return checkGatewayRowStatus('cash_remittances', remittanceId);
+}
+
+/**
+ * Watch a payment until it settles
+ *
+ * Polls checkPaymentStatus (which itself falls back to the gateway) straight away and
+ * then every intervalMs, until the payment is success or failed or timeoutMs passes.
+ *
+ * @param {string} paymentId - Payment record UUID
+ * @param {Object} options
+ * @param {Function} options.onStatus - Called with each checkPaymentStatus result
+ * @param {Function} [options.onTimeout] - Called once if the payment is still pending at timeoutMs
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.timeoutMs]
+ * @param {Function} [options.check] - Status check to poll; checkRemittanceStatus for remittances
+ * @returns {Function} Stops watching
+ */
+export function watchPaymentStatus(paymentId, { onStatus, onTimeout, intervalMs = 5000, timeoutMs = 90000, check = checkPaymentStatus }) {
+  const startedAt = Date.now();
+  let stopped = false;
+  let timer = null;
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+
+    const result = await check(paymentId);
+    if (stopped) return;
+
+    onStatus(result);
+    if (result.success && (result.status === 'success' || result.status === 'failed')) {
+      stop();
+      return;
+    }
+    if (Date.now() - startedAt >= timeoutMs) {
+      stop();
+      onTimeout?.();
+      return;
+    }
+    timer = setTimeout(poll, intervalMs);
+  };
+
+  timer = setTimeout(poll, 0);
+  return stop;
+}
+
+/**
+ * Check a collection's status with the gateway directly
+ * 
+ * @param {string} transactionId - Gateway transaction ID
  * @param {string} reference - Original payment reference
- * @returns {Promise<Object>} TrendiPay status
+ * @returns {Promise<Object>} Gateway status
  */
 export async function checkCollectionStatus(transactionId, reference) {
   try {
-    if (!ENABLE_TRENDIPAY) {
+    if (!isGatewayEnabled()) {
       return {
         success: false,
-        error: 'TrendiPay is not enabled'
+        error: 'No payment gateway configured'
       };
     }
 
-    logger.info('Checking TrendiPay collection status:', { transactionId, reference });
+    logger.info('Checking collection status:', { transactionId, reference });
     
-    const result = await TrendiPayService.checkCollectionStatus(transactionId, reference);
+    const result = await getPaymentProvider().status(transactionId, reference);
     
-    logger.info('TrendiPay status result:', result);
+    logger.info('Collection status result:', result);
     
     return result;
 
@@ -329,25 +397,84 @@ export async function checkCollectionStatus(transactionId, reference) {
 }
 
 /**
- * Simulate client payment approval (Phase 1 testing only)
- * Remove this in Phase 4 when real webhooks are implemented
+ * Collect platform cash a collector owes from their own MoMo wallet
+ *
+ * The cash_remittances row is the reference sent to the gateway, so the webhook and
+ * checkRemittanceStatus (via the payment-status Edge Function) can settle it; the
+ * ledger is credited when it turns 'success'.
+ *
+ * @param {Object} remittance
+ * @param {string} remittance.collectorId - Collector auth user id
+ * @param {number} remittance.amount - GHS
+ * @param {string} remittance.momoNumber - Wallet to debit
+ * @param {string} remittance.network - 'mtn' | 'vodafone' | 'airteltigo'
+ * @returns {Promise<Object>} { success, remittanceId, status, message }
  */
-export async function simulatePaymentSuccess(paymentId) {
+export async function initiateCashRemittance({ collectorId, amount, momoNumber, network }) {
   try {
-    const { error } = await supabase
-      .from('bin_payments')
-      .update({ 
-        status: 'success',
-        gateway_reference: `sim_${Date.now()}`
+    if (!collectorId) throw new Error('Missing collector');
+    if (!(amount >= 1)) throw new Error('Remittance must be at least ₵1.00');
+    if (!/^0\d{9}$/.test(momoNumber || '')) throw new Error('Enter a valid 10-digit mobile money number');
+    if (!isGatewayEnabled()) throw new Error('Mobile money payments are not available right now');
+
+    const { data, error } = await supabase
+      .from('cash_remittances')
+      .insert({
+        collector_id: collectorId,
+        amount: Math.round(amount * 100) / 100,
+        phone_number: momoNumber,
+        network: (network || 'mtn').toLowerCase()
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const provider = getPaymentProvider();
+    logger.info(`Collecting cash remittance ${data.id} via ${provider.name}`);
+
+    const gatewayResult = await provider.collect({
+      reference: data.id,
+      accountNumber: momoNumber,
+      network: data.network,
+      amount: data.amount,
+      description: `TrashDrop cash remittance ${data.id.substring(0, 8)}`
+    });
+
+    if (!gatewayResult.success) {
+      await supabase
+        .from('cash_remittances')
+        .update({ status: 'failed', gateway_error: gatewayResult.error })
+        .eq('id', data.id);
+      throw new Error(gatewayResult.error || 'Payment gateway error');
+    }
+
+    // Only the webhook or the server's status check can mark it paid; a refusal the
+    // gateway reports straight away is recorded here
+    const status = toRowStatus(gatewayResult.status) === 'failed' ? 'failed' : 'pending';
+    const { error: updateError } = await supabase
+      .from('cash_remittances')
+      .update({
+        status,
+        gateway_reference: gatewayResult.gatewayReference,
+        gateway_transaction_id: gatewayResult.transactionId,
+        ...(status === 'failed' ? { gateway_error: gatewayResult.message || 'Payment failed' } : {})
       })
-      .eq('id', paymentId);
+      .eq('id', data.id);
 
-    if (error) throw error;
+    if (updateError) {
+      logger.warn('Failed to store remittance gateway reference:', updateError.message);
+    }
 
-    return { success: true };
+    return {
+      success: true,
+      remittanceId: data.id,
+      status,
+      message: gatewayResult.message || 'Approve the payment on your phone to complete the remittance.'
+    };
   } catch (error) {
-    logger.error('Error simulating payment:', error);
-    return { success: false, error: error.message };
+    logger.error('Cash remittance error:', error);
+    return { success: false, error: error.message || 'Failed to start remittance' };
   }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * @jest-environment node
+ */
+import http from 'node:http';
+import { createMockGateway } from '../../../../scripts/mockPaymentGateway';
+import { createMockGatewayProvider, setPaymentProvider, SIGNATURE_HEADER, PAYMENT_STATUS } from '..';
+import { initiateCollection, watchPaymentStatus } from '../../paymentService';
+
+jest.mock('../../../config/paymentConfig', () => ({ PAYMENT_CONFIG: { provider: 'none', mock: {} } }));
+jest.mock('../../trendiPayService', () => ({}));
+jest.mock('../../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// In-memory tables behind a cut-down supabase query builder
+const mockDb = { bin_payments: [], digital_bins: [] };
+
+jest.mock('../../supabase', () => {
+  let nextId = 0;
+  const from = (table) => {
+    const filters = [];
+    let op = 'select';
+    let payload;
+    const matching = () => mockDb[table].filter(row => filters.every(([key, value]) => row[key] === value));
+    const run = () => {
+      if (op === 'insert') {
+        const rows = payload.map(row => ({ id: `pay-${++nextId}`, ...row }));
+        mockDb[table].push(...rows);
+        return rows;
+      }
+      if (op === 'update') matching().forEach(row => Object.assign(row, payload));
+      return matching();
+    };
+    const builder = {
+      select: () => builder,
+      insert: (rows) => { op = 'insert'; payload = rows; return builder; },
+      update: (values) => { op = 'update'; payload = values; return builder; },
+      eq: (key, value) => { filters.push([key, value]); return builder; },
+      single: async () => {
+        const [row] = run();
+        return row ? { data: { ...row }, error: null } : { data: null, error: { message: 'Row not found' } };
+      },
+      maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+    };
+    return builder;
+  };
+  return {
+    supabase: {
+      from,
+      functions: { invoke: async (name, { body }) => ({ data: await mockPaymentStatus(body), error: null }) }
+    }
+  };
+});
+
+const SECRET = 'test-secret';
+
+// Stands in for the payment-status function: asks the gateway and settles a pending row
+const mockPaymentStatus = async ({ table, id }) => {
+  const row = mockDb[table].find(p => p.id === id);
+  const result = await provider.status(row.gateway_transaction_id, row.id);
+  if (row.status === 'pending' && result.success && result.status !== PAYMENT_STATUS.PENDING) {
+    row.status = result.status === PAYMENT_STATUS.SUCCESS ? 'success' : 'failed';
+    row.gateway_error = row.status === 'failed' ? result.message : null;
+  }
+  return { success: true, status: row.status, payment: { ...row } };
+};
+
+// Stands in for the trendipay-webhook function: verifies, then settles pending rows once
+const webhook = { received: [], rejected: 0, transitions: {} };
+let provider;
+
+const receiver = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', async () => {
+    const { valid, event } = await provider.verifyWebhook(raw, req.headers[SIGNATURE_HEADER]);
+    if (!valid) {
+      webhook.rejected += 1;
+      res.writeHead(401).end();
+      return;
+    }
+    webhook.received.push(event);
+    const row = mockDb.bin_payments.find(p => p.id === event.reference);
+    if (row && row.status === 'pending') {
+      row.status = event.status === PAYMENT_STATUS.SUCCESS ? 'success' : 'failed';
+      row.gateway_error = event.status === PAYMENT_STATUS.SUCCESS ? null : event.reason;
+      webhook.transitions[row.id] = (webhook.transitions[row.id] || 0) + 1;
+    }
+    res.writeHead(200).end();
+  });
+});
+
+const gateway = createMockGateway({
+  webhookSecret: SECRET,
+  callbackDelayMs: 60,
+  expireAfterMs: 300,
+  retryDelayMs: 20,
+  log: {}
+});
+
+const collect = (clientMomo) => initiateCollection({
+  digitalBinId: `bin-${clientMomo}`,
+  collectorId: 'collector-1',
+  totalBill: 12.5,
+  paymentMode: 'momo',
+  clientMomo,
+  clientRSwitch: 'mtn'
+});
+
+// Same watcher the payment modal uses, on a fast clock
+const settled = (paymentId) => new Promise(resolve => {
+  watchPaymentStatus(paymentId, {
+    onStatus: result => {
+      if (result.status === 'success' || result.status === 'failed') resolve(result);
+    },
+    onTimeout: () => resolve({ timedOut: true }),
+    intervalMs: 25,
+    timeoutMs: 3000
+  });
+});
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const startedAt = Date.now();
+  while (!check()) {
+    if (Date.now() - startedAt > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('payments against the mock gateway', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { url } = await gateway.start(0);
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    provider = createMockGatewayProvider({
+      baseUrl: url,
+      terminalId: 'tid',
+      merchantId: 'mid',
+      callbackUrl: `http://127.0.0.1:${receiver.address().port}/webhook`,
+      webhookSecret: SECRET
+    });
+    setPaymentProvider(provider);
+  });
+
+  afterAll(async () => {
+    setPaymentProvider(null);
+    await gateway.stop();
+    await new Promise(resolve => receiver.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  test('approved payment settles as success', async () => {
+    const payment = await collect('0240000001');
+    expect(payment).toMatchObject({ success: true, status: 'pending' });
+    expect(payment.authorizationSteps.length).toBeGreaterThan(0);
+
+    const result = await settled(payment.paymentId);
+    expect(result.status).toBe('success');
+
+    await waitFor(() => webhook.received.some(e => e.reference === payment.paymentId));
+    const event = webhook.received.find(e => e.reference === payment.paymentId);
+    expect(event).toMatchObject({ status: PAYMENT_STATUS.SUCCESS, type: 'collection', amount: 12.5 });
+  });
+
+  test('declined payment settles as failed with the reason', async () => {
+    const payment = await collect('0240000002');
+    const result = await settled(payment.paymentId);
+
+    expect(result.status).toBe('failed');
+    await waitFor(() => webhook.received.some(e => e.reference === payment.paymentId));
+    expect(mockDb.bin_payments.find(p => p.id === payment.paymentId).gateway_error)
+      .toBe('Transaction declined by customer');
+  });
+
+  test('unanswered payment expires through status polling alone', async () => {
+    const payment = await collect('0240000003');
+    const result = await settled(payment.paymentId);
+
+    expect(result.status).toBe('failed');
+    expect(result.payment.gateway_error).toMatch(/did not authorize/);
+    expect(webhook.received.some(e => e.reference === payment.paymentId)).toBe(false);
+  });
+
+  test('duplicate callbacks settle the payment once', async () => {
+    const payment = await collect('0240000004');
+    await settled(payment.paymentId);
+    await waitFor(() => webhook.received.filter(e => e.reference === payment.paymentId).length === 2);
+
+    expect(mockDb.bin_payments.find(p => p.id === payment.paymentId).status).toBe('success');
+    expect(webhook.transitions[payment.paymentId] || 0).toBeLessThanOrEqual(1);
+  });
+
+  test('watcher gives up while the client has not answered', async () => {
+    const payment = await collect('0240000003');
+    const onTimeout = jest.fn();
+
+    await new Promise(resolve => {
+      watchPaymentStatus(payment.paymentId, {
+        onStatus: () => {},
+        onTimeout: () => { onTimeout(); resolve(); },
+        intervalMs: 20,
+        timeoutMs: 100
+      });
+    });
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  test('gateway refuses repeated references and tiny amounts', async () => {
+    const request = { reference: 'ref-1', accountNumber: '0240000001', network: 'mtn', amount: 5 };
+    expect((await provider.collect(request)).success).toBe(true);
+    expect(await provider.collect(request)).toMatchObject({ success: false, error: expect.stringMatching(/Duplicate/) });
+    expect(await provider.collect({ ...request, reference: 'ref-2', amount: 0.5 }))
+      .toMatchObject({ success: false, error: expect.stringMatching(/at least 1.00 GHS/) });
+  });
+
+  test('callbacks with a bad signature are refused', async () => {
+    const { port } = receiver.address();
+    const response = await fetch(`http://127.0.0.1:${port}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: 'deadbeef' },
+      body: JSON.stringify({ reference: 'pay-1', status: 'successful' })
+    });
+
+    expect(response.status).toBe(401);
+    expect(webhook.rejected).toBe(1);
+  });
+});
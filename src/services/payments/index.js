@@ -0,0 +1,70 @@
+/**
+ * Payments
+ *
+ * getPaymentProvider() returns the gateway selected in config/paymentConfig. Services
+ * collect and pay out through it rather than calling TrendiPay directly, so the same
+ * flows run against the local mock gateway in development and CI.
+ */
+
+import { PAYMENT_CONFIG } from '../../config/paymentConfig';
+import { logger } from '../../utils/logger';
+import { PAYMENT_PROVIDERS, createNoGatewayProvider } from './paymentProvider';
+import { createTrendiPayProvider } from './trendiPayProvider';
+import { createMockGatewayProvider } from './mockGatewayProvider';
+
+export {
+  PAYMENT_PROVIDERS,
+  PAYMENT_STATUS,
+  SIGNATURE_HEADER,
+  PaymentError,
+  normalizeGatewayStatus,
+  parseWebhookEvent
+} from './paymentProvider';
+export { createTrendiPayProvider, createMockGatewayProvider };
+
+let activeProvider = null;
+
+/**
+ * Build a payment provider from a config object
+ * @param {Object} [config] - Same shape as PAYMENT_CONFIG
+ * @returns {Object} Payment provider
+ */
+export const createPaymentProvider = (config = PAYMENT_CONFIG) => {
+  switch (config.provider) {
+    case PAYMENT_PROVIDERS.TRENDIPAY:
+      return createTrendiPayProvider();
+    case PAYMENT_PROVIDERS.MOCK:
+      return createMockGatewayProvider({ ...config.mock, timeoutMs: config.timeoutMs });
+    case PAYMENT_PROVIDERS.NONE:
+      return createNoGatewayProvider();
+    default:
+      logger.warn(`Unknown payment provider "${config.provider}", payments will not reach a gateway`);
+      return createNoGatewayProvider();
+  }
+};
+
+/**
+ * The app-wide payment provider, created on first use
+ * @returns {Object} Payment provider
+ */
+export const getPaymentProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createPaymentProvider();
+    logger.debug(`💳 Payments via ${activeProvider.name}`);
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the app-wide provider, e.g. with the mock gateway in tests
+ * @param {Object|null} provider - Payment provider, or null to rebuild from config
+ */
+export const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Whether payments actually go to a gateway; without one, callers keep their stub paths
+ * @returns {boolean}
+ */
+export const isGatewayEnabled = () => getPaymentProvider().name !== PAYMENT_PROVIDERS.NONE;
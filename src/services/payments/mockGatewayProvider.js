@@ -0,0 +1,116 @@
+/**
+ * Mock gateway adapter
+ *
+ * Talks straight to the local mock gateway (scripts/mockPaymentGateway.js), which
+ * speaks TrendiPay's wire format: same endpoints, pesewa amounts, response envelope
+ * and signed callbacks. No proxy is involved since the mock allows CORS.
+ *
+ * Test numbers pick the outcome (see MOCK_ACCOUNTS in the mock gateway); any other
+ * number gets the gateway's default scenario.
+ */
+
+import {
+  PAYMENT_PROVIDERS,
+  PaymentError,
+  normalizeGatewayStatus,
+  parseWebhookEvent,
+  toPesewas
+} from './paymentProvider';
+import { verifySignature } from '../../../supabase/functions/_shared/webhookProcessing.js';
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseUrl - e.g. http://localhost:4010
+ * @param {string} options.terminalId
+ * @param {string} options.merchantId
+ * @param {string} options.callbackUrl - Where the mock should post callbacks
+ * @param {string} options.webhookSecret - Shared with the mock, signs callbacks
+ * @param {number} [options.timeoutMs]
+ * @returns {Object} Payment provider
+ */
+export const createMockGatewayProvider = ({
+  baseUrl,
+  terminalId,
+  merchantId,
+  callbackUrl,
+  webhookSecret,
+  timeoutMs = 10000
+}) => {
+  const request = async (method, path, body) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok || payload.success === false) {
+        throw new PaymentError(payload.message || `Mock gateway error: ${response.status}`, payload.code || 'GATEWAY_ERROR');
+      }
+      return payload.data || {};
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const initiate = async (kind, { reference, accountNumber, network, amount, description, accountName }) => {
+    try {
+      if (!reference || !accountNumber || !network) {
+        throw new PaymentError('Missing reference, account number or network', 'INVALID_REQUEST');
+      }
+      const data = await request('POST', `/v1/terminals/${terminalId}/${kind}`, {
+        reference,
+        accountNumber,
+        rSwitch: String(network).toLowerCase(),
+        amount: toPesewas(amount),
+        description,
+        accountName,
+        callbackUrl,
+        type: kind === 'collections' ? 'purchase' : 'deposit',
+        currency: 'GHS'
+      });
+      return {
+        success: true,
+        status: normalizeGatewayStatus(data.status, data),
+        transactionId: data.rrn,
+        gatewayReference: data.externalId || data.rrn,
+        message: data.reason,
+        authorizationSteps: data.authorizationSteps
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  return {
+    name: PAYMENT_PROVIDERS.MOCK,
+
+    collect: (params) => initiate('collections', params),
+
+    disburse: (params) => initiate('disbursements', params),
+
+    // Collections and payouts share the transaction status endpoint
+    async status(transactionId) {
+      try {
+        const data = await request('GET', `/v1/merchants/${merchantId}/transactions/${transactionId}/status`);
+        return {
+          success: true,
+          status: normalizeGatewayStatus(data.status, data),
+          message: data.reason,
+          amount: data.amount / 100,
+          completedAt: data.lastUpdated
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    async verifyWebhook(rawBody, signature) {
+      const valid = await verifySignature(webhookSecret, rawBody, signature);
+      return { valid, event: valid ? parseWebhookEvent(JSON.parse(rawBody)) : null };
+    }
+  };
+};
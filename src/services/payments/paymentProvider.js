@@ -0,0 +1,128 @@
+/**
+ * Payment Provider Interface
+ *
+ * Every payment gateway (TrendiPay, the local mock gateway) is wrapped in an object
+ * with the same four methods, so paymentService and earningsService don't care which
+ * one is configured:
+ *
+ *   collect(request)                    → Promise<GatewayResult>   client pays TrashDrop
+ *   disburse(request)                   → Promise<GatewayResult>   TrashDrop pays a collector
+ *   status(transactionId, reference, { type })  → Promise<StatusResult>
+ *   verifyWebhook(rawBody, signature)   → Promise<{ valid, event }>
+ *
+ * status() takes type 'collection' (default) or 'disbursement'.
+ * Amounts are GHS; adapters convert to whatever the gateway wants (TrendiPay: pesewas).
+ * Statuses are normalised to PAYMENT_STATUS whatever words the gateway uses.
+ *
+ * Signature checks and callback parsing are the trendipay-webhook function's own
+ * (supabase/functions/_shared/webhookProcessing), so the app and the server read
+ * callbacks the same way.
+ */
+
+import {
+  SIGNATURE_HEADER,
+  normalizeGatewayStatus,
+  parseEvent
+} from '../../../supabase/functions/_shared/webhookProcessing.js';
+
+export { SIGNATURE_HEADER, normalizeGatewayStatus };
+
+/**
+ * @typedef {Object} GatewayRequest
+ * @property {string} reference - Our id for the payment (bin_payments.id, withdrawals.id)
+ * @property {string} accountNumber - MoMo number
+ * @property {string} network - 'mtn' | 'vodafone' | 'airteltigo'
+ * @property {number} amount - GHS
+ * @property {string} [description]
+ * @property {string} [accountName] - Payouts only
+ */
+
+/**
+ * @typedef {Object} GatewayResult
+ * @property {boolean} success - False when the gateway refused the request
+ * @property {string} [status] - PAYMENT_STATUS value
+ * @property {string} [transactionId] - Gateway's id, used for status checks
+ * @property {string} [gatewayReference]
+ * @property {string} [message]
+ * @property {string[]} [authorizationSteps] - What the client does on their phone
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} StatusResult
+ * @property {boolean} success
+ * @property {string} [status] - PAYMENT_STATUS value
+ * @property {string} [message]
+ * @property {number} [amount] - GHS
+ * @property {string} [completedAt]
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} reference - Our id, as sent with the request
+ * @property {string} status - PAYMENT_STATUS value
+ * @property {string} type - 'collection' | 'disbursement'
+ * @property {string|null} transactionId
+ * @property {string|null} gatewayReference
+ * @property {string|null} reason
+ * @property {number|null} amount - GHS
+ * @property {Object} raw - Payload as received
+ */
+
+export const PAYMENT_PROVIDERS = {
+  TRENDIPAY: 'trendipay',
+  MOCK: 'mock',
+  NONE: 'none'
+};
+
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+export class PaymentError extends Error {
+  constructor(message, code = 'GATEWAY_ERROR') {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read a TrendiPay-format callback body
+ * @param {Object} payload
+ * @returns {WebhookEvent}
+ */
+export const parseWebhookEvent = (payload = {}) => ({ ...parseEvent(payload), raw: payload });
+
+/**
+ * GHS to whole pesewas; TrendiPay refuses anything under 1 GHS
+ * @param {number|string} amount
+ * @returns {number}
+ */
+export const toPesewas = (amount) => {
+  const pesewas = Math.round(parseFloat(amount) * 100);
+  if (!Number.isFinite(pesewas) || pesewas < 100) {
+    throw new PaymentError('Amount must be at least 1.00 GHS (100 pesewas)', 'INVALID_AMOUNT');
+  }
+  return pesewas;
+};
+
+/**
+ * Provider used when no gateway is configured: refuses everything, so callers fall
+ * back to their own stub behaviour
+ */
+export const createNoGatewayProvider = () => {
+  const refuse = async () => ({ success: false, error: 'No payment gateway configured' });
+  return {
+    name: PAYMENT_PROVIDERS.NONE,
+    collect: refuse,
+    disburse: refuse,
+    status: refuse,
+    verifyWebhook: async () => ({ valid: false, event: null })
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * TrendiPay adapter
+ *
+ * Wraps trendiPayService, which talks to TrendiPay through the trendipay-proxy Edge
+ * Function (the browser can't call the API directly because of CORS).
+ */
+
+import * as TrendiPayService from '../trendiPayService';
+import { PAYMENT_PROVIDERS, normalizeGatewayStatus, parseWebhookEvent } from './paymentProvider';
+
+const withStatus = (result) => (
+  result.success ? { ...result, status: normalizeGatewayStatus(result.status, result.rawData) } : result
+);
+
+/**
+ * @returns {Object} Payment provider
+ */
+export const createTrendiPayProvider = () => ({
+  name: PAYMENT_PROVIDERS.TRENDIPAY,
+
+  async collect({ reference, accountNumber, network, amount, description }) {
+    return withStatus(await TrendiPayService.initiateCollection({
+      reference,
+      accountNumber,
+      rSwitch: network,
+      amount,
+      description,
+      currency: 'GHS'
+    }));
+  },
+
+  async disburse({ reference, accountNumber, network, amount, description, accountName }) {
+    return withStatus(await TrendiPayService.initiateDisbursement({
+      reference,
+      accountNumber,
+      rSwitch: network,
+      amount,
+      description,
+      accountName,
+      currency: 'GHS'
+    }));
+  },
+
+  async status(transactionId, reference, { type = 'collection' } = {}) {
+    const check = type === 'disbursement'
+      ? TrendiPayService.checkDisbursementStatus
+      : TrendiPayService.checkCollectionStatus;
+    const result = withStatus(await check(transactionId, reference));
+    // TrendiPay reports pesewas
+    return result.success && result.amount != null ? { ...result, amount: Number(result.amount) / 100 } : result;
+  },
+
+  async verifyWebhook(rawBody, signature) {
+    const valid = await TrendiPayService.verifyWebhookSignature(signature, rawBody);
+    return { valid, event: valid ? parseWebhookEvent(JSON.parse(rawBody)) : null };
+  }
+});
@@ -0,0 +1,201 @@
+/**
+ * Payout Service
+ * Automatic payout schedules and per-payout statements (migration 20261021090000).
+ *
+ * Collectors opt into a daily or weekly payout above a threshold; the
+ * scheduled-payouts Edge Function does the actual paying, server side, so the app
+ * only reads and writes the schedule row. Every withdrawal, scheduled or manual,
+ * can be downloaded as a CSV or PDF statement listing the jobs it paid out.
+ */
+
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+import {
+  toStatementLine,
+  summarizeStatement,
+  buildStatementCsv,
+  buildStatementPdf,
+  statementFileName
+} from '../utils/payoutStatement';
+
+export const PAYOUT_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+// TrendiPay will not disburse less than 1 GHS
+export const MIN_PAYOUT_THRESHOLD = 1;
+
+const STATEMENT_FORMATS = {
+  csv: { mime: 'text/csv;charset=utf-8', build: buildStatementCsv },
+  pdf: { mime: 'application/pdf', build: buildStatementPdf }
+};
+
+/**
+ * Check a schedule before saving it
+ * @param {Object} schedule
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePayoutSchedule = ({ frequency, weekday, threshold, momoNumber }) => {
+  if (!Object.values(PAYOUT_FREQUENCIES).includes(frequency)) {
+    return 'Choose daily or weekly payouts';
+  }
+  if (frequency === PAYOUT_FREQUENCIES.WEEKLY && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+    return 'Choose a payout day';
+  }
+  if (!(Number(threshold) >= MIN_PAYOUT_THRESHOLD)) {
+    return `Minimum payout must be at least ₵${MIN_PAYOUT_THRESHOLD.toFixed(2)}`;
+  }
+  if (!/^0\d{9}$/.test(momoNumber || '')) {
+    return 'Enter a valid 10-digit mobile money number';
+  }
+  return null;
+};
+
+const fromScheduleRow = (row) => ({
+  frequency: row.frequency,
+  weekday: row.weekday,
+  threshold: Number(row.threshold),
+  momoNumber: row.momo_number,
+  momoProvider: row.momo_provider,
+  accountName: row.account_name || '',
+  enabled: row.enabled,
+  nextRunAt: row.next_run_at,
+  lastRunAt: row.last_run_at
+});
+
+/**
+ * Fetch the collector's automatic payout schedule
+ * @param {string} collectorId
+ * @returns {Promise<{success: boolean, data?: Object|null, error?: string}>} data is null when not opted in
+ */
+export const getPayoutSchedule = async (collectorId) => {
+  try {
+    const { data, error } = await supabase
+      .from('payout_schedules')
+      .select('*')
+      .eq('collector_id', collectorId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { success: true, data: data ? fromScheduleRow(data) : null };
+  } catch (error) {
+    logger.error('Error fetching payout schedule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create or update the collector's automatic payout schedule
+ * @param {string} collectorId
+ * @param {Object} schedule - { frequency, weekday, threshold, momoNumber, momoProvider, accountName, enabled }
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const savePayoutSchedule = async (collectorId, schedule) => {
+  const validationError = validatePayoutSchedule(schedule);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('payout_schedules')
+      .upsert({
+        collector_id: collectorId,
+        frequency: schedule.frequency,
+        weekday: schedule.frequency === PAYOUT_FREQUENCIES.WEEKLY ? schedule.weekday : null,
+        threshold: Number(schedule.threshold),
+        momo_number: schedule.momoNumber,
+        momo_provider: schedule.momoProvider || 'mtn',
+        account_name: schedule.accountName || null,
+        enabled: schedule.enabled !== false
+      }, { onConflict: 'collector_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    logger.info('Payout schedule saved:', { frequency: data.frequency, nextRunAt: data.next_run_at });
+    return { success: true, data: fromScheduleRow(data) };
+  } catch (error) {
+    logger.error('Error saving payout schedule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Recent withdrawals, newest first, for the statement list
+ * @param {string} collectorId
+ * @param {number} [limit=20]
+ * @returns {Promise<{success: boolean, data?: Object[], error?: string}>}
+ */
+export const getRecentPayouts = async (collectorId, limit = 20) => {
+  try {
+    const { data, error } = await supabase
+      .from('withdrawals')
+      .select('id, amount, status, source, network, phone_number, created_at, completed_at')
+      .eq('collector_id', collectorId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    logger.error('Error fetching payouts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Load a withdrawal with one statement line per job it paid out
+ * @param {string} withdrawalId
+ * @returns {Promise<{success: boolean, data?: {withdrawal: Object, lines: Object[], totals: Object}, error?: string}>}
+ */
+export const getPayoutStatement = async (withdrawalId) => {
+  try {
+    const [{ data: withdrawal, error: withdrawalError }, { data: rows, error: linesError }] = await Promise.all([
+      supabase
+        .from('withdrawals')
+        .select('id, amount, status, source, network, phone_number, created_at, completed_at')
+        .eq('id', withdrawalId)
+        .single(),
+      supabase.rpc('get_payout_statement', { p_withdrawal_id: withdrawalId })
+    ]);
+
+    if (withdrawalError) throw withdrawalError;
+    if (linesError) throw linesError;
+
+    const lines = (rows || []).map(toStatementLine);
+    return { success: true, data: { withdrawal, lines, totals: summarizeStatement(lines) } };
+  } catch (error) {
+    logger.error('Error building payout statement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Build a statement file and hand it to the browser as a download
+ * @param {string} withdrawalId
+ * @param {'csv'|'pdf'} [format='pdf']
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const downloadPayoutStatement = async (withdrawalId, format = 'pdf') => {
+  const output = STATEMENT_FORMATS[format];
+  if (!output) {
+    return { success: false, error: `Unsupported statement format: ${format}` };
+  }
+
+  const result = await getPayoutStatement(withdrawalId);
+  if (!result.success) return result;
+
+  const url = URL.createObjectURL(new Blob([output.build(result.data)], { type: output.mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = statementFileName(result.data.withdrawal, format);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  return { success: true };
+};
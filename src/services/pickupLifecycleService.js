@@ -0,0 +1,265 @@
+/**
+ * Pickup Lifecycle Service
+ * Runs the pickup status lifecycle (accept, en_route, arrived, collecting, completed,
+ * disposed) optimistically, with or without a network connection.
+ *
+ * Each status change:
+ * 1. is validated locally against the allowed status graph
+ * 2. captures the time and GPS fix at the moment the driver acted
+ * 3. is applied immediately when online, or queued in the offline queue otherwise
+ *
+ * Queued changes replay in order per job, carrying the captured time and fix, so
+ * server history shows when the driver actually acted rather than when the phone
+ * found signal again.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  isOnline,
+  addToOfflineQueue,
+  getOfflineQueue,
+  toEntityKey,
+  QUEUE_ENTITY_TYPES
+} from '../utils/offlineUtils';
+import { getTransitionPath, PICKUP_LIFECYCLE_ORDER, StatusTransitionError } from '../utils/statusTransitions';
+import { getCurrentLocation } from '../utils/geoUtils';
+import { PickupRequestStatus } from '../utils/types';
+import { supabase } from './supabase';
+import { OFFLINE_ACTION_TYPES, processOfflineAction } from './offlineSyncService';
+import { logger } from '../utils/logger';
+
+const GPS_CAPTURE_TIMEOUT_MS = 4000;
+
+/**
+ * Timestamp column written alongside each status, per entity
+ */
+const STATUS_TIMESTAMP_FIELDS = {
+  [QUEUE_ENTITY_TYPES.PICKUP_REQUEST]: {
+    [PickupRequestStatus.ACCEPTED]: 'accepted_at',
+    [PickupRequestStatus.COLLECTING]: 'picked_up_at',
+    [PickupRequestStatus.COMPLETED]: 'completed_at',
+    [PickupRequestStatus.DISPOSED]: 'disposed_at'
+  },
+  [QUEUE_ENTITY_TYPES.DIGITAL_BIN]: {
+    [PickupRequestStatus.ACCEPTED]: 'accepted_at',
+    [PickupRequestStatus.COLLECTING]: 'collected_at',
+    [PickupRequestStatus.DISPOSED]: 'disposed_at'
+  }
+};
+
+/**
+ * Errors that mean "no connectivity" rather than "the server said no"
+ */
+const isNetworkError = (error) => {
+  if (!isOnline()) return true;
+  if (error instanceof TypeError) return true;
+  return /failed to fetch|network ?error|load failed|timed? ?out/i.test(error?.message || '');
+};
+
+/**
+ * Capture the current GPS fix without holding up the driver for long
+ * @returns {Promise<object|null>} - { lat, lng, accuracy } or null
+ */
+export const captureFix = async () => {
+  try {
+    const fix = await Promise.race([
+      getCurrentLocation(),
+      new Promise(resolve => setTimeout(() => resolve(null), GPS_CAPTURE_TIMEOUT_MS))
+    ]);
+    if (!fix) return null;
+    return { lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy ?? null };
+  } catch (error) {
+    logger.warn('Could not capture GPS fix for status change:', error.message);
+    return null;
+  }
+};
+
+const ENTITY_TABLES = {
+  [QUEUE_ENTITY_TYPES.PICKUP_REQUEST]: 'pickup_requests',
+  [QUEUE_ENTITY_TYPES.DIGITAL_BIN]: 'digital_bins'
+};
+
+class PickupLifecycleService {
+  constructor() {
+    // Last status this device applied or queued per job, so later steps can be
+    // validated without a round trip (e.g. arrival right after going en_route offline)
+    this.localStatus = new Map();
+  }
+
+  getLocalKey(entityType, entityId) {
+    return `${entityType}:${entityId}`;
+  }
+
+  /**
+   * Work out the status a job is in from this device's point of view
+   */
+  async resolveCurrentStatus(entityType, entityId, fromStatus) {
+    const cached = this.localStatus.get(this.getLocalKey(entityType, entityId));
+
+    // The UI may not have caught up with a change this device queued a moment ago
+    if (cached && fromStatus) {
+      const cachedIndex = PICKUP_LIFECYCLE_ORDER.indexOf(cached);
+      const shownIndex = PICKUP_LIFECYCLE_ORDER.indexOf(fromStatus);
+      return shownIndex !== -1 && cachedIndex > shownIndex ? cached : fromStatus;
+    }
+    if (cached || fromStatus) return cached || fromStatus;
+    if (!isOnline()) return null;
+
+    const { data, error } = await supabase
+      .from(ENTITY_TABLES[entityType])
+      .select('status')
+      .eq('id', entityId)
+      .single();
+
+    if (error) {
+      logger.warn(`Could not read current status of ${entityId}:`, error.message);
+      return null;
+    }
+    return data?.status || null;
+  }
+
+  /**
+   * Move a job to a new status, walking intermediate lifecycle steps when needed
+   * (e.g. accepted → collecting records en_route and arrived too).
+   *
+   * @param {object} params
+   * @param {string} params.entityType - QUEUE_ENTITY_TYPES.PICKUP_REQUEST or DIGITAL_BIN
+   * @param {string} params.entityId - Job ID
+   * @param {string} params.fromStatus - Status the driver's app currently shows (optional)
+   * @param {string} params.toStatus - Target status
+   * @param {object} params.fields - Extra columns to write with the final step
+   * @returns {Promise<{success: boolean, queued?: boolean, status?: string, occurredAt?: string, error?: string, code?: string}>}
+   */
+  async transition({ entityType, entityId, fromStatus, toStatus, fields = {} }) {
+    const currentStatus = await this.resolveCurrentStatus(entityType, entityId, fromStatus);
+    if (!currentStatus) {
+      return { success: false, error: 'Current job status is unknown. Please reconnect and try again.' };
+    }
+
+    const path = getTransitionPath(currentStatus, toStatus);
+
+    if (path === null) {
+      const transitionError = new StatusTransitionError(currentStatus, toStatus, { entityType });
+      return { success: false, error: transitionError.message, code: transitionError.code };
+    }
+
+    if (path.length === 0) {
+      return { success: true, queued: false, status: toStatus };
+    }
+
+    // One timestamp and fix for the whole action - it's a single thing the driver did
+    const occurredAt = new Date().toISOString();
+    const location = await captureFix();
+
+    let stepStatus = currentStatus;
+    let queued = false;
+
+    for (const [index, step] of path.entries()) {
+      const isLastStep = index === path.length - 1;
+      const timestampField = STATUS_TIMESTAMP_FIELDS[entityType]?.[step];
+
+      const result = await this.runOrQueue(OFFLINE_ACTION_TYPES.STATUS_CHANGE, entityType, entityId, {
+        expectedStatus: stepStatus,
+        newStatus: step,
+        fields: {
+          ...(timestampField ? { [timestampField]: occurredAt } : {}),
+          updated_at: occurredAt,
+          ...(isLastStep ? fields : {})
+        },
+        occurredAt,
+        location
+      });
+
+      if (!result.success) {
+        return { ...result, status: stepStatus };
+      }
+
+      queued = queued || result.queued;
+      stepStatus = step;
+      this.localStatus.set(this.getLocalKey(entityType, entityId), step);
+    }
+
+    return { success: true, queued, status: stepStatus, occurredAt };
+  }
+
+  /**
+   * Complete a disposal trip: every job on the load is disposed together. Payouts are
+   * calculated when the trip reaches the server; the completion time and fix are the
+   * ones captured here, and the server checks the fix against the site's geofence.
+   * A queued trip waits for anything still queued on its jobs.
+   *
+   * @param {object} params
+   * @param {object} params.trip - Open trip ({ id, site, openedAt, openedLocation })
+   * @param {Array<{jobType: string, jobId: string}>} params.jobs - The load
+   * @param {string} params.collectorId - Collector user ID
+   * @returns {Promise<{success: boolean, queued?: boolean, receipt?: object, error?: string}>}
+   */
+  async disposeTrip({ trip, jobs, collectorId }) {
+    const completedAt = new Date().toISOString();
+    const location = await captureFix();
+
+    const result = await this.runOrQueue(OFFLINE_ACTION_TYPES.COMPLETE_DISPOSAL_TRIP, QUEUE_ENTITY_TYPES.DISPOSAL_TRIP, trip.id, {
+      collectorId,
+      trip: { ...trip, completedAt, location },
+      jobs: jobs.map(({ jobType, jobId }) => ({ jobType, jobId }))
+    }, {
+      idempotencyKey: trip.id,
+      dependsOn: jobs.map(job => toEntityKey(job.jobType, job.jobId))
+    });
+
+    if (result.success) {
+      jobs.forEach(job => this.localStatus.set(this.getLocalKey(job.jobType, job.jobId), PickupRequestStatus.DISPOSED));
+    }
+
+    return {
+      ...result,
+      receipt: result.data || null
+    };
+  }
+
+  /**
+   * Apply an action now when possible, otherwise queue it for replay
+   *
+   * @param {object} [options] - { idempotencyKey, dependsOn } as for addToOfflineQueue
+   */
+  async runOrQueue(actionType, entityType, entityId, payload, options = {}) {
+    const item = {
+      idempotencyKey: options.idempotencyKey || uuidv4(),
+      actionType,
+      entityType,
+      entityId
+    };
+    const dependsOn = options.dependsOn || [];
+
+    // Earlier changes for this job (or what it depends on) are still queued - keep them in order
+    const queue = await getOfflineQueue();
+    const waitingOn = new Set([toEntityKey(entityType, entityId), ...dependsOn]);
+    const hasQueuedChanges = queue.some(entry => waitingOn.has(toEntityKey(entry.entityType, entry.entityId)));
+
+    if (isOnline() && !hasQueuedChanges) {
+      try {
+        const data = await processOfflineAction(actionType, payload, item);
+        return { success: true, queued: false, data };
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          logger.error(`${actionType} rejected for ${entityType} ${entityId}:`, error);
+          return { success: false, error: error.message };
+        }
+        logger.warn(`📴 Network lost while updating ${entityId}, queuing ${actionType}`);
+      }
+    }
+
+    // Same idempotency key as the attempt above, in case it reached the server
+    await addToOfflineQueue(actionType, payload, {
+      entityType,
+      entityId,
+      idempotencyKey: item.idempotencyKey,
+      dependsOn
+    });
+
+    logger.info(`📦 Queued ${actionType} for ${entityType} ${entityId}`);
+    return { success: true, queued: true };
+  }
+}
+
+export const pickupLifecycle = new PickupLifecycleService();
@@ -2,6 +2,8 @@ import { supabase } from './supabase.js';
 import { calculatePaymentBreakdown, calculateBilledDistance, applyOnlyDownRule } from '../utils/paymentCalculations.js';
 import { calculateDistance, getCurrentLocation } from '../utils/geoUtils.js';
 import { logger } from '../utils/logger.js';
+import { transitionJobStatus, transitionJobStatusAndFetch } from './jobStatusService.js';
+import { StatusTransitionError } from '../utils/statusTransitions.js';
 
 // Mock data for development mode - initialized with real data from Supabase
 let mockPickupRequests = [
@@ -325,10 +327,11 @@ export class RequestManagementService {
 
       // Calculate payment breakdown (SOP v4.5.6)
       let paymentFields = {};
+      let collectorLocation = null;
       
       try {
         // Get collector's current GPS position
-        const collectorLocation = await getCurrentLocation();
+        collectorLocation = await getCurrentLocation();
         
         if (collectorLocation && existingRequest.coordinates) {
           // Parse coordinates (supports arrays or PostGIS formats)
@@ -425,34 +428,24 @@ export class RequestManagementService {
       
       logger.info(`📊 DIAGNOSTIC: Setting collector_id in database to: ${this.collectorId}`);
 
-      // Try simple update first (without RLS restrictions)
+      // Only succeeds while the request is still pending, so two collectors can't both accept it
       // NOTE: pickup_requests table doesn't have payment calculation columns
-      const { data, error } = await supabase
-        .from('pickup_requests')
-        .update({
-          status: 'accepted',
+      const acceptedRequest = await transitionJobStatusAndFetch({
+        entityType: 'pickup_request',
+        entityId: requestId,
+        toStatus: 'accepted',
+        expectedStatus: 'pending',
+        occurredAt: currentTime,
+        location: collectorLocation,
+        fields: {
           collector_id: this.collectorId,
           accepted_at: currentTime,
           assignment_expires_at: assignmentExpiry
-        })
-        .eq('id', requestId)
-        .select();
-
-      logger.debug('📊 Update query result:', { data, error, requestId });
-
-      if (error) throw error;
+        }
+      });
+      const data = [acceptedRequest];
 
-      if (!data || data.length === 0) {
-        // Get current status to debug why update failed
-        const { data: currentData } = await supabase
-          .from('pickup_requests')
-          .select('id, status, collector_id')
-          .eq('id', requestId)
-          .single();
-        
-        logger.warn('🔍 Request status after failed update:', currentData);
-        throw new Error(`Request could not be accepted - current status: ${currentData?.status || 'not found'}, collector: ${currentData?.collector_id || 'none'}`);
-      }
+      logger.debug('📊 Accept result:', { data, requestId });
 
       // Update session's reserved requests (optional - may not exist)
       try {
@@ -490,7 +483,11 @@ export class RequestManagementService {
       
       // Provide more specific error messages
       let errorMessage = error.message;
-      if (error.code === 'PGRST116') {
+      if (error instanceof StatusTransitionError) {
+        errorMessage = error.reason === 'status_changed'
+          ? 'Request is no longer available - it was accepted or updated by someone else'
+          : error.message;
+      } else if (error.code === 'PGRST116') {
         errorMessage = 'Request not found or no longer available';
       } else if (error.message.includes('duplicate key')) {
         errorMessage = 'Request has already been accepted';
@@ -603,26 +600,26 @@ export class RequestManagementService {
 
   /**
    * Update request status (for pickup and disposal)
+   * Illegal transitions come back with `code: 'INVALID_STATUS_TRANSITION'`.
    */
-  async updateRequestStatus(requestId, status, additionalData = {}) {
+  async updateRequestStatus(requestId, status, additionalData = {}, { expectedStatus = null, location = null } = {}) {
     try {
-      const { data, error } = await supabase
-        .from('pickup_requests')
-        .update({
-          status,
+      const data = await transitionJobStatusAndFetch({
+        entityType: 'pickup_request',
+        entityId: requestId,
+        toStatus: status,
+        expectedStatus,
+        location,
+        fields: {
           updated_at: new Date().toISOString(),
           ...additionalData
-        })
-        .eq('id', requestId)
-        .select()
-        .single();
-
-      if (error) throw error;
+        }
+      });
       
       return { success: true, request: data };
     } catch (error) {
       logger.error('Error updating request status:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
@@ -741,7 +738,7 @@ export class RequestManagementService {
       // Find assignments that have expired
       const { data: expiredAssignments, error } = await supabase
         .from('pickup_requests')
-        .select('id')
+        .select('id, status')
         .in('status', ['accepted', 'en_route', 'arrived'])
         .lt('assignment_expires_at', new Date().toISOString());
 
@@ -757,26 +754,28 @@ export class RequestManagementService {
         return { success: true, cleaned: 0 };
       }
 
-      // Reset expired assignments to available
-      const { error: updateError } = await supabase
-        .from('pickup_requests')
-        .update({
-          status: 'pending',
-          collector_id: null,
-          accepted_at: null,
-          assignment_expires_at: null
-        })
-        .in('id', expiredAssignments.map(a => a.id));
-
-      if (updateError) {
-        if (import.meta.env.DEV) {
-          logger.debug('[DEV MODE] Error updating expired assignments:', updateError);
-          return { success: true, cleaned: 0 };
+      // Reset expired assignments to available; one that moved on meanwhile is left alone
+      let cleaned = 0;
+      for (const assignment of expiredAssignments) {
+        try {
+          await transitionJobStatus({
+            entityType: 'pickup_request',
+            entityId: assignment.id,
+            toStatus: 'pending',
+            expectedStatus: assignment.status,
+            fields: {
+              collector_id: null,
+              accepted_at: null,
+              assignment_expires_at: null
+            }
+          });
+          cleaned++;
+        } catch (updateError) {
+          logger.debug(`Could not release expired assignment ${assignment.id}:`, updateError.message);
         }
-        throw updateError;
       }
 
-      return { success: true, cleaned: expiredAssignments.length };
+      return { success: true, cleaned };
     } catch (error) {
       logger.error('Error cleaning up expired assignments:', error);
       throw error;
@@ -0,0 +1,185 @@
+/**
+ * Reroute Service
+ * New route from the driver's current position once they have left the planned one.
+ *
+ * Online, the configured routing provider plans a fresh route. Offline, the route
+ * saved by the navigation screen (offlineMapService, 'current-navigation') is reused:
+ * the driver is sent back to the closest point on it and the remaining turns are kept,
+ * which beats the straight line the offline provider would otherwise draw.
+ */
+
+import { ROUTING_PROVIDERS, formatStepDistance, formatStepDuration, getRoutingProvider } from './routing';
+import { haversineMeters, toLatLng } from './routing/routingProvider';
+import { offlineMapService } from './offlineMapService';
+import { audioAlertService } from './audioAlertService';
+import { locateOnPolyline } from '../utils/offRouteDetection';
+import { logger } from '../utils/logger';
+
+export const CURRENT_NAVIGATION_ROUTE_ID = 'current-navigation';
+
+// A cached route for a destination further than this away belongs to another job
+const SAME_DESTINATION_METERS = 100;
+// Cached routes carry no timings; tricycles in traffic average about this
+const CACHED_ROUTE_SPEED_KMH = 25;
+
+const travelSeconds = (meters) => meters / (CACHED_ROUTE_SPEED_KMH / 3.6);
+
+const safeLatLng = (point) => {
+  try {
+    return toLatLng(point);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Route back onto the cached navigation route
+ *
+ * @param {Object|Array} position - Driver position
+ * @param {Object|Array} destination - Current destination
+ * @param {Object} [options]
+ * @param {string} [options.routeId] - offlineMapService route id
+ * @returns {Promise<Object|null>} RouteResult (see routing/routingProvider) with
+ *   `fromCache: true`, or null when there is no usable cached route
+ */
+export const routeFromCache = async (position, destination, { routeId = CURRENT_NAVIGATION_ROUTE_ID } = {}) => {
+  const cached = await offlineMapService.getRoute(routeId);
+  if (!cached) return null;
+
+  const here = safeLatLng(position);
+  const target = safeLatLng(destination);
+  const cachedTarget = safeLatLng(cached.destination);
+  if (!here || !target) return null;
+  if (cachedTarget && haversineMeters(target, cachedTarget) > SAME_DESTINATION_METERS) {
+    logger.debug('Cached route is for another destination, not reusing it');
+    return null;
+  }
+
+  // Prefer the full road geometry; older saves only kept step start points
+  const path = (cached.overviewPath?.length >= 2 ? cached.overviewPath : cached.polylineCoords || [])
+    .map(safeLatLng)
+    .filter(Boolean);
+  const rejoin = locateOnPolyline(here, path);
+  if (!rejoin) return null;
+
+  const geometry = [here, rejoin.point, ...path.slice(rejoin.segmentIndex + 1)];
+
+  // Keep the turns that are still ahead, measured along the cached route
+  const steps = [];
+  let previousAlong = rejoin.distanceAlong;
+  (cached.steps || []).forEach(step => {
+    const end = safeLatLng(step.endLocation);
+    const along = end ? locateOnPolyline(end, path)?.distanceAlong : null;
+    if (along == null || along <= rejoin.distanceAlong) return;
+
+    const distanceMeters = Math.max(0, along - previousAlong);
+    previousAlong = along;
+    steps.push({
+      instruction: step.instruction || '',
+      maneuver: step.maneuver || '',
+      road: '',
+      distanceMeters,
+      durationSeconds: travelSeconds(distanceMeters),
+      startLocation: steps.length === 0 ? rejoin.point : safeLatLng(step.startLocation) || rejoin.point,
+      endLocation: end
+    });
+  });
+
+  if (rejoin.distance > 0) {
+    steps.unshift({
+      instruction: 'Head back to the route',
+      maneuver: 'straight',
+      road: '',
+      distanceMeters: rejoin.distance,
+      durationSeconds: travelSeconds(rejoin.distance),
+      startLocation: here,
+      endLocation: rejoin.point
+    });
+  }
+
+  const pathLength = path.reduce((sum, point, index) => (index === 0 ? 0 : sum + haversineMeters(path[index - 1], point)), 0);
+  const distanceMeters = rejoin.distance + Math.max(0, pathLength - rejoin.distanceAlong);
+  const durationSeconds = travelSeconds(distanceMeters);
+
+  return {
+    provider: ROUTING_PROVIDERS.OFFLINE,
+    distanceMeters,
+    durationSeconds,
+    geometry,
+    legs: [{ distanceMeters, durationSeconds, steps }],
+    approximate: false,
+    fromCache: true
+  };
+};
+
+/**
+ * Tell the driver a new route is being worked out
+ */
+export const announceReroute = () => {
+  audioAlertService.speakPhrase('recalculating_route');
+};
+
+/**
+ * Plan a new route from the driver's position to the destination
+ *
+ * @param {Object|Array} position - Driver position
+ * @param {Object|Array} destination - Where they are heading
+ * @param {Object} [options]
+ * @param {string} [options.routeId] - Cached route to fall back on when offline
+ * @param {boolean} [options.announce] - Speak the "recalculating" prompt (default true)
+ * @returns {Promise<Object>} - { success, route, source: 'network'|'cache'|'estimate', error }
+ */
+export const reroute = async (position, destination, {
+  routeId = CURRENT_NAVIGATION_ROUTE_ID,
+  announce = true
+} = {}) => {
+  if (announce) announceReroute();
+
+  const tryCache = async () => {
+    try {
+      return await routeFromCache(position, destination, { routeId });
+    } catch (error) {
+      logger.warn('Could not read cached route:', error.message);
+      return null;
+    }
+  };
+
+  const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  if (offline) {
+    const cachedRoute = await tryCache();
+    if (cachedRoute) {
+      logger.info('🔄 Rerouted onto the cached route (offline)');
+      return { success: true, route: cachedRoute, source: 'cache' };
+    }
+  }
+
+  try {
+    const route = await getRoutingProvider().route([position, destination]);
+    return { success: true, route, source: route.approximate ? 'estimate' : 'network' };
+  } catch (error) {
+    logger.warn('⚠️ Reroute failed:', error.message);
+
+    const cachedRoute = offline ? null : await tryCache();
+    if (cachedRoute) {
+      return { success: true, route: cachedRoute, source: 'cache' };
+    }
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Flatten a RouteResult into the step objects the navigation screens display
+ */
+export const toNavigationSteps = (route) => (route?.legs || []).flatMap((leg, legIndex) =>
+  leg.steps.map((step, stepIndex) => ({
+    legIndex,
+    stepIndex,
+    instruction: step.instruction,
+    distance: formatStepDistance(step.distanceMeters),
+    distanceValue: step.distanceMeters,
+    duration: formatStepDuration(step.durationSeconds),
+    maneuver: step.maneuver || 'continue',
+    startLocation: step.startLocation,
+    endLocation: step.endLocation
+  }))
+);
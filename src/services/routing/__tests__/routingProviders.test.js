@@ -0,0 +1,171 @@
+/**
+ * Tests for the routing providers. The OSRM adapter runs against a local stub server.
+ */
+import http from 'http';
+import { createOsrmProvider, toGoogleManeuver } from '../osrmProvider';
+import { createOfflineProvider } from '../offlineProvider';
+import { RoutingError, withFallback } from '../routingProvider';
+
+jest.mock('../../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// jsdom has no fetch; a minimal one over Node's http is enough for the stub server
+const httpFetch = (url) => new Promise((resolve, reject) => {
+  http.get(url, (response) => {
+    let body = '';
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve({
+      ok: response.statusCode < 400,
+      status: response.statusCode,
+      json: async () => JSON.parse(body)
+    }));
+  }).on('error', reject);
+});
+
+const OSRM_ROUTE = {
+  code: 'Ok',
+  routes: [{
+    distance: 1250,
+    duration: 180,
+    geometry: { coordinates: [[-0.187, 5.6037], [-0.186, 5.6037], [-0.186, 5.61]] },
+    legs: [{
+      distance: 1250,
+      duration: 180,
+      steps: [
+        { distance: 110, duration: 20, name: 'Ring Road', maneuver: { type: 'depart', location: [-0.187, 5.6037] }, geometry: { coordinates: [[-0.187, 5.6037], [-0.186, 5.6037]] } },
+        { distance: 1140, duration: 160, name: 'Oxford Street', maneuver: { type: 'turn', modifier: 'left', location: [-0.186, 5.6037] }, geometry: { coordinates: [[-0.186, 5.6037], [-0.186, 5.61]] } },
+        { distance: 0, duration: 0, name: '', maneuver: { type: 'arrive', location: [-0.186, 5.61] }, geometry: { coordinates: [] } }
+      ]
+    }]
+  }]
+};
+
+describe('routing providers', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url.startsWith('/route/v1/driving/')) {
+        res.end(JSON.stringify(OSRM_ROUTE));
+      } else if (req.url.startsWith('/table/v1/driving/')) {
+        res.end(JSON.stringify({ code: 'Ok', distances: [[900, 2100]], durations: [[120, 300]] }));
+      } else if (req.url.startsWith('/nearest/v1/driving/')) {
+        res.end(JSON.stringify({ code: 'Ok', waypoints: [{ location: [-0.1871, 5.6036], distance: 12.5 }] }));
+      } else {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ message: 'stub down' }));
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  describe('OSRM', () => {
+    test('returns a normalised route with Google-style maneuvers', async () => {
+      const osrm = createOsrmProvider({ baseUrl, fetchImpl: httpFetch });
+      const route = await osrm.route([{ lat: 5.6037, lng: -0.187 }, [5.61, -0.186]]);
+
+      expect(requests[0]).toContain('/route/v1/driving/-0.187,5.6037;-0.186,5.61');
+      expect(route.provider).toBe('osrm');
+      expect(route.distanceMeters).toBe(1250);
+      expect(route.geometry[2]).toEqual({ lat: 5.61, lng: -0.186 });
+      expect(route.legs[0].steps[1]).toMatchObject({
+        instruction: 'Turn left onto Oxford Street',
+        maneuver: 'turn-left',
+        startLocation: { lat: 5.6037, lng: -0.186 },
+        endLocation: { lat: 5.61, lng: -0.186 }
+      });
+      expect(route.approximate).toBe(false);
+    });
+
+    test('asks the table service for origin → destination cells only', async () => {
+      const osrm = createOsrmProvider({ baseUrl, fetchImpl: httpFetch });
+      const matrix = await osrm.matrix([[5.6, -0.18]], [[5.61, -0.19], [5.62, -0.2]]);
+
+      expect(requests[0]).toContain('sources=0&destinations=1;2');
+      expect(matrix.durations).toEqual([[120, 300]]);
+      expect(matrix.distances).toEqual([[900, 2100]]);
+    });
+
+    test('snaps points with the nearest service', async () => {
+      const osrm = createOsrmProvider({ baseUrl, fetchImpl: httpFetch });
+      const { points } = await osrm.snapToRoad([[5.6037, -0.187]]);
+
+      expect(points[0]).toEqual({ lat: 5.6036, lng: -0.1871, snapped: true, offsetMeters: 12.5 });
+    });
+
+    test('maps OSRM maneuvers to the voice prompt vocabulary', () => {
+      expect(toGoogleManeuver({ type: 'turn', modifier: 'slight right' })).toBe('turn-slight-right');
+      expect(toGoogleManeuver({ type: 'fork', modifier: 'left' })).toBe('keep-left');
+      expect(toGoogleManeuver({ type: 'roundabout', modifier: 'right' })).toBe('roundabout-right');
+      expect(toGoogleManeuver({ type: 'continue', modifier: 'uturn' })).toBe('uturn-left');
+      expect(toGoogleManeuver({ type: 'arrive' })).toBe('');
+    });
+  });
+
+  describe('offline', () => {
+    test('estimates road distance from the straight line', async () => {
+      const offline = createOfflineProvider({ averageSpeedKmh: 36, detourFactor: 1.5 });
+      const route = await offline.route([[5.6, -0.18], [5.61, -0.18]]);
+
+      // 0.01° of latitude ≈ 1112 m
+      expect(route.distanceMeters).toBeCloseTo(1112 * 1.5, -1);
+      expect(route.durationSeconds).toBeCloseTo(route.distanceMeters / 10, 5);
+      expect(route.approximate).toBe(true);
+    });
+
+    test('follows a road graph when one is supplied', async () => {
+      // A square block: the direct diagonal isn't a road, the graph goes round the corner
+      const graph = {
+        nodes: { a: [5.6, -0.18], b: [5.6, -0.17], c: [5.61, -0.17] },
+        edges: [['a', 'b'], ['b', 'c']]
+      };
+      const offline = createOfflineProvider({ graph });
+      const route = await offline.route([[5.6, -0.18], [5.61, -0.17]]);
+
+      expect(route.approximate).toBe(false);
+      expect(route.geometry.map(point => [point.lat, point.lng])).toContainEqual([5.6, -0.17]);
+      expect(route.distanceMeters).toBeGreaterThan(2200);
+
+      const { points } = await offline.snapToRoad([[5.605, -0.1695]]);
+      expect(points[0].snapped).toBe(true);
+      expect(points[0].lng).toBeCloseTo(-0.17, 6);
+    });
+
+    test('rejects invalid coordinates', async () => {
+      const offline = createOfflineProvider();
+      await expect(offline.route([[5.6, -0.18], [null, undefined]])).rejects.toBeInstanceOf(RoutingError);
+    });
+  });
+
+  describe('withFallback', () => {
+    test('answers from the fallback when the primary is down', async () => {
+      const broken = createOsrmProvider({ baseUrl: `${baseUrl}/down`, fetchImpl: httpFetch });
+      const provider = withFallback(broken, createOfflineProvider());
+      const route = await provider.route([[5.6, -0.18], [5.61, -0.18]]);
+
+      expect(route.provider).toBe('offline');
+      expect(route.approximate).toBe(true);
+    });
+
+    test('does not retry invalid input', async () => {
+      const fallback = { name: 'spy', route: jest.fn() };
+      const provider = withFallback(createOfflineProvider(), fallback);
+
+      await expect(provider.route([[5.6, -0.18]])).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+      expect(fallback.route).not.toHaveBeenCalled();
+    });
+  });
+});
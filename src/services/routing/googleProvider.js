@@ -0,0 +1,175 @@
+/**
+ * Google routing provider
+ *
+ * Directions and Distance Matrix go through the Maps JavaScript API (loaded on first
+ * use if no map has loaded it yet); snap-to-road uses the Roads API over HTTP. The
+ * DirectionsResult is kept on `raw` so a DirectionsRenderer can still draw it.
+ */
+
+import {
+  ROUTING_PROVIDERS,
+  RoutingError,
+  fetchJson,
+  haversineMeters,
+  toLatLng,
+  toWaypoints
+} from './routingProvider';
+
+const ROADS_API_URL = 'https://roads.googleapis.com/v1/snapToRoads';
+const ROADS_API_MAX_POINTS = 100;
+
+/**
+ * Resolve with window.google.maps, adding the Maps script if nothing has yet
+ */
+const loadMapsApi = (apiKey, timeoutMs) => new Promise((resolve, reject) => {
+  if (typeof window === 'undefined') {
+    reject(new RoutingError('Google Maps needs a browser', { provider: ROUTING_PROVIDERS.GOOGLE }));
+    return;
+  }
+  if (window.google?.maps?.DirectionsService) {
+    resolve(window.google.maps);
+    return;
+  }
+  if (!apiKey) {
+    reject(new RoutingError('VITE_GOOGLE_MAPS_API_KEY is not set', { provider: ROUTING_PROVIDERS.GOOGLE }));
+    return;
+  }
+
+  if (!document.querySelector('script[src*="maps.googleapis.com"]')) {
+    const script = document.createElement('script');
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=geometry&loading=async`;
+    script.async = true;
+    script.defer = true;
+    document.head.appendChild(script);
+  }
+
+  const startedAt = Date.now();
+  const waitForApi = () => {
+    if (window.google?.maps?.DirectionsService) {
+      resolve(window.google.maps);
+    } else if (Date.now() - startedAt > timeoutMs) {
+      reject(new RoutingError('Google Maps did not load', { provider: ROUTING_PROVIDERS.GOOGLE, code: 'TIMEOUT' }));
+    } else {
+      setTimeout(waitForApi, 100);
+    }
+  };
+  waitForApi();
+});
+
+const fromGoogleLatLng = (latLng) => ({ lat: latLng.lat(), lng: latLng.lng() });
+
+/**
+ * Create a Google routing provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Maps/Roads API key
+ * @param {number} [options.timeoutMs] - How long to wait for the Maps script and the Roads API
+ * @returns {Object} Routing provider
+ */
+export const createGoogleProvider = ({ apiKey = '', timeoutMs = 8000 } = {}) => ({
+  name: ROUTING_PROVIDERS.GOOGLE,
+
+  async route(waypoints) {
+    const points = toWaypoints(waypoints);
+    const maps = await loadMapsApi(apiKey, timeoutMs);
+    const directionsService = new maps.DirectionsService();
+
+    const result = await new Promise((resolve, reject) => {
+      directionsService.route({
+        origin: points[0],
+        destination: points[points.length - 1],
+        waypoints: points.slice(1, -1).map(location => ({ location, stopover: true })),
+        optimizeWaypoints: false,
+        travelMode: maps.TravelMode.DRIVING,
+        unitSystem: maps.UnitSystem.METRIC
+      }, (response, status) => {
+        if (status === maps.DirectionsStatus.OK) {
+          resolve(response);
+        } else {
+          reject(new RoutingError(`Directions request failed: ${status}`, {
+            provider: ROUTING_PROVIDERS.GOOGLE,
+            code: status === maps.DirectionsStatus.ZERO_RESULTS ? 'NO_ROUTE' : 'UNAVAILABLE'
+          }));
+        }
+      });
+    });
+
+    const [best] = result.routes;
+    const legs = best.legs.map(leg => ({
+      distanceMeters: leg.distance.value,
+      durationSeconds: leg.duration.value,
+      steps: leg.steps.map(step => ({
+        instruction: (step.instructions || '').replace(/<[^>]*>/g, ''),
+        maneuver: step.maneuver || '',
+        road: '',
+        distanceMeters: step.distance.value,
+        durationSeconds: step.duration.value,
+        startLocation: fromGoogleLatLng(step.start_location),
+        endLocation: fromGoogleLatLng(step.end_location)
+      }))
+    }));
+
+    return {
+      provider: ROUTING_PROVIDERS.GOOGLE,
+      distanceMeters: legs.reduce((sum, leg) => sum + leg.distanceMeters, 0),
+      durationSeconds: legs.reduce((sum, leg) => sum + leg.durationSeconds, 0),
+      geometry: (best.overview_path || []).map(fromGoogleLatLng),
+      legs,
+      approximate: false,
+      raw: result
+    };
+  },
+
+  async matrix(origins, destinations = origins) {
+    const sources = origins.map(toLatLng);
+    const targets = destinations.map(toLatLng);
+    if (sources.length === 0 || targets.length === 0) {
+      return { provider: ROUTING_PROVIDERS.GOOGLE, distances: [], durations: [], approximate: false };
+    }
+
+    const maps = await loadMapsApi(apiKey, timeoutMs);
+    const service = new maps.DistanceMatrixService();
+    const response = await service.getDistanceMatrix({
+      origins: sources,
+      destinations: targets,
+      travelMode: maps.TravelMode.DRIVING,
+      unitSystem: maps.UnitSystem.METRIC
+    }).catch(error => {
+      throw new RoutingError(error.message || 'Distance matrix request failed', { provider: ROUTING_PROVIDERS.GOOGLE });
+    });
+
+    const cell = (element, key) => (element.status === 'OK' ? element[key].value : null);
+    return {
+      provider: ROUTING_PROVIDERS.GOOGLE,
+      distances: response.rows.map(row => row.elements.map(element => cell(element, 'distance'))),
+      durations: response.rows.map(row => row.elements.map(element => cell(element, 'duration'))),
+      approximate: false
+    };
+  },
+
+  async snapToRoad(points) {
+    const inputs = points.map(toLatLng);
+    if (!apiKey) {
+      throw new RoutingError('VITE_GOOGLE_MAPS_API_KEY is not set', { provider: ROUTING_PROVIDERS.GOOGLE });
+    }
+
+    const snapped = inputs.map(point => ({ ...point, snapped: false, offsetMeters: 0 }));
+    for (let offset = 0; offset < inputs.length; offset += ROADS_API_MAX_POINTS) {
+      const batch = inputs.slice(offset, offset + ROADS_API_MAX_POINTS);
+      const path = batch.map(({ lat, lng }) => `${lat},${lng}`).join('|');
+      const body = await fetchJson(`${ROADS_API_URL}?path=${encodeURIComponent(path)}&key=${apiKey}`, {
+        provider: ROUTING_PROVIDERS.GOOGLE,
+        timeoutMs
+      });
+
+      (body?.snappedPoints || []).forEach(({ location, originalIndex }) => {
+        if (originalIndex === undefined) return;
+        const index = offset + originalIndex;
+        const point = { lat: location.latitude, lng: location.longitude };
+        snapped[index] = { ...point, snapped: true, offsetMeters: haversineMeters(inputs[index], point) };
+      });
+    }
+
+    return { provider: ROUTING_PROVIDERS.GOOGLE, points: snapped, approximate: false };
+  }
+});
@@ -0,0 +1,162 @@
+/**
+ * GraphHopper routing provider
+ *
+ * Uses the GraphHopper HTTP API (/route, /matrix, /nearest). Works with a
+ * self-hosted graphhopper-web server and with the hosted API when a key is given.
+ */
+
+import {
+  ROUTING_PROVIDERS,
+  RoutingError,
+  fetchJson,
+  toLatLng,
+  toWaypoints
+} from './routingProvider';
+
+// GraphHopper instruction signs → Google maneuvers
+const SIGN_TO_MANEUVER = {
+  '-98': 'uturn-left',
+  '-8': 'uturn-left',
+  '-7': 'keep-left',
+  '-3': 'turn-sharp-left',
+  '-2': 'turn-left',
+  '-1': 'turn-slight-left',
+  '0': 'straight',
+  '1': 'turn-slight-right',
+  '2': 'turn-right',
+  '3': 'turn-sharp-right',
+  '6': 'roundabout-right',
+  '7': 'keep-right',
+  '8': 'uturn-right'
+};
+const SIGN_VIA = 5;
+
+const fromLngLat = ([lng, lat]) => ({ lat, lng });
+
+/**
+ * Split GraphHopper's flat instruction list into one leg per pair of waypoints
+ */
+const toLegs = (path) => {
+  const coordinates = path.points.coordinates;
+  const legs = [{ distanceMeters: 0, durationSeconds: 0, steps: [] }];
+
+  path.instructions.forEach((instruction) => {
+    const leg = legs[legs.length - 1];
+    const [from, to] = instruction.interval;
+
+    leg.distanceMeters += instruction.distance;
+    leg.durationSeconds += instruction.time / 1000;
+    leg.steps.push({
+      instruction: instruction.text,
+      maneuver: SIGN_TO_MANEUVER[String(instruction.sign)] ?? '',
+      road: instruction.street_name || '',
+      distanceMeters: instruction.distance,
+      durationSeconds: instruction.time / 1000,
+      startLocation: fromLngLat(coordinates[from]),
+      endLocation: fromLngLat(coordinates[to])
+    });
+
+    if (instruction.sign === SIGN_VIA) {
+      legs.push({ distanceMeters: 0, durationSeconds: 0, steps: [] });
+    }
+  });
+
+  return legs;
+};
+
+/**
+ * Create a GraphHopper routing provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server root, e.g. http://graphhopper.local:8989
+ * @param {string} [options.profile] - GraphHopper profile ('car', 'bike', 'foot')
+ * @param {string} [options.apiKey] - Only needed for the hosted API
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {Function} [options.fetchImpl] - fetch replacement, used by tests
+ * @returns {Object} Routing provider
+ */
+export const createGraphHopperProvider = ({
+  baseUrl = 'https://graphhopper.com/api/1',
+  profile = 'car',
+  apiKey = '',
+  timeoutMs = 8000,
+  fetchImpl = null
+} = {}) => {
+  const root = baseUrl.replace(/\/$/, '');
+  const keyParam = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+  const request = (path, init) => fetchJson(`${root}${path}`, {
+    provider: ROUTING_PROVIDERS.GRAPHHOPPER,
+    timeoutMs,
+    fetchImpl,
+    init
+  });
+
+  return {
+    name: ROUTING_PROVIDERS.GRAPHHOPPER,
+
+    async route(waypoints, { steps = true } = {}) {
+      const points = toWaypoints(waypoints)
+        .map(({ lat, lng }) => `point=${lat},${lng}`)
+        .join('&');
+      const body = await request(
+        `/route?${points}&profile=${profile}&points_encoded=false&instructions=${steps}&locale=en${keyParam}`
+      );
+
+      const [best] = body?.paths || [];
+      if (!best) {
+        throw new RoutingError('GraphHopper returned no route', {
+          provider: ROUTING_PROVIDERS.GRAPHHOPPER,
+          code: 'NO_ROUTE'
+        });
+      }
+
+      return {
+        provider: ROUTING_PROVIDERS.GRAPHHOPPER,
+        distanceMeters: best.distance,
+        durationSeconds: best.time / 1000,
+        geometry: best.points.coordinates.map(fromLngLat),
+        legs: best.instructions ? toLegs(best) : [],
+        approximate: false,
+        raw: body
+      };
+    },
+
+    async matrix(origins, destinations = origins) {
+      const sources = origins.map(toLatLng);
+      const targets = destinations.map(toLatLng);
+      if (sources.length === 0 || targets.length === 0) {
+        return { provider: ROUTING_PROVIDERS.GRAPHHOPPER, distances: [], durations: [], approximate: false };
+      }
+
+      const body = await request(`/matrix?profile=${profile}${keyParam}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from_points: sources.map(({ lat, lng }) => [lng, lat]),
+          to_points: targets.map(({ lat, lng }) => [lng, lat]),
+          out_arrays: ['distances', 'times'],
+          profile
+        })
+      });
+
+      return {
+        provider: ROUTING_PROVIDERS.GRAPHHOPPER,
+        distances: body.distances,
+        durations: body.times,
+        approximate: false
+      };
+    },
+
+    async snapToRoad(points) {
+      const inputs = points.map(toLatLng);
+      const snapped = await Promise.all(inputs.map(async (point) => {
+        const body = await request(`/nearest?point=${point.lat},${point.lng}${keyParam}`);
+        return Array.isArray(body?.coordinates)
+          ? { ...fromLngLat(body.coordinates), snapped: true, offsetMeters: body.distance ?? 0 }
+          : { ...point, snapped: false, offsetMeters: 0 };
+      }));
+
+      return { provider: ROUTING_PROVIDERS.GRAPHHOPPER, points: snapped, approximate: false };
+    }
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Routing
+ *
+ * getRoutingProvider() returns the provider selected in config/routingConfig, wrapped
+ * so that failed requests are answered by the offline provider instead. Screens should
+ * route through it rather than calling Google, OSRM or GraphHopper directly.
+ */
+
+import { ROUTING_CONFIG } from '../../config/routingConfig';
+import { logger } from '../../utils/logger';
+import { ROUTING_PROVIDERS, withFallback } from './routingProvider';
+import { createGoogleProvider } from './googleProvider';
+import { createOsrmProvider } from './osrmProvider';
+import { createGraphHopperProvider } from './graphhopperProvider';
+import { createOfflineProvider } from './offlineProvider';
+
+export {
+  ROUTING_PROVIDERS,
+  RoutingError,
+  formatStepDistance,
+  formatStepDuration
+} from './routingProvider';
+export { createGoogleProvider, createOsrmProvider, createGraphHopperProvider, createOfflineProvider };
+
+let activeProvider = null;
+
+/**
+ * Build a routing provider from a config object
+ * @param {Object} [config] - Same shape as ROUTING_CONFIG
+ * @returns {Object} Routing provider
+ */
+export const createRoutingProvider = (config = ROUTING_CONFIG) => {
+  const { timeoutMs } = config;
+  const offline = createOfflineProvider(config.offline);
+
+  let primary;
+  switch (config.provider) {
+    case ROUTING_PROVIDERS.GOOGLE:
+      primary = createGoogleProvider({ ...config.google, timeoutMs });
+      break;
+    case ROUTING_PROVIDERS.OSRM:
+      primary = createOsrmProvider({ ...config.osrm, timeoutMs });
+      break;
+    case ROUTING_PROVIDERS.GRAPHHOPPER:
+      primary = createGraphHopperProvider({ ...config.graphhopper, timeoutMs });
+      break;
+    case ROUTING_PROVIDERS.OFFLINE:
+      return offline;
+    default:
+      logger.warn(`Unknown routing provider "${config.provider}", using offline routing`);
+      return offline;
+  }
+
+  return config.fallbackToOffline ? withFallback(primary, offline) : primary;
+};
+
+/**
+ * The app-wide routing provider, created on first use
+ * @returns {Object} Routing provider
+ */
+export const getRoutingProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createRoutingProvider();
+    logger.debug(`🛣️ Routing via ${activeProvider.name}`);
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the app-wide provider, e.g. with a stub in tests
+ * @param {Object|null} provider - Routing provider, or null to rebuild from config
+ */
+export const setRoutingProvider = (provider) => {
+  activeProvider = provider;
+};
@@ -0,0 +1,236 @@
+/**
+ * Offline routing provider
+ *
+ * Needs no network. Without a road graph it draws straight lines and stretches their
+ * length by a detour factor to estimate road distance. Given a road graph (e.g. one
+ * shipped with an offline map pack) it runs Dijkstra over it instead, walking in a
+ * straight line only between the waypoints and the nearest graph nodes.
+ *
+ * Road graph format:
+ *   { nodes: { [id]: [lat, lng] }, edges: [[fromId, toId, speedKmh?, oneway?]] }
+ */
+
+import {
+  ROUTING_PROVIDERS,
+  formatStepDistance,
+  haversineMeters,
+  toLatLng,
+  toWaypoints
+} from './routingProvider';
+
+/**
+ * Prepare a road graph for routing: node positions and adjacency lists
+ */
+const buildGraph = ({ nodes = {}, edges = [] }, defaultSpeedKmh) => {
+  const positions = new Map();
+  Object.entries(nodes).forEach(([id, [lat, lng]]) => positions.set(id, { lat, lng }));
+
+  const adjacency = new Map();
+  const addArc = (from, to, meters, seconds) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push({ to, meters, seconds });
+  };
+
+  edges.forEach(([from, to, speedKmh = defaultSpeedKmh, oneway = false]) => {
+    const a = positions.get(String(from));
+    const b = positions.get(String(to));
+    if (!a || !b) return;
+
+    const meters = haversineMeters(a, b);
+    const seconds = meters / (speedKmh / 3.6);
+    addArc(String(from), String(to), meters, seconds);
+    if (!oneway) addArc(String(to), String(from), meters, seconds);
+  });
+
+  return { positions, adjacency };
+};
+
+const nearestNode = (graph, point) => {
+  let best = null;
+  let bestMeters = Infinity;
+  graph.positions.forEach((position, id) => {
+    const meters = haversineMeters(point, position);
+    if (meters < bestMeters) {
+      best = id;
+      bestMeters = meters;
+    }
+  });
+  return best === null ? null : { id: best, meters: bestMeters };
+};
+
+/**
+ * Fastest path between two graph nodes
+ * @returns {{nodes: Array<string>, meters: number, seconds: number}|null}
+ */
+const shortestPath = (graph, source, target) => {
+  const seconds = new Map([[source, 0]]);
+  const meters = new Map([[source, 0]]);
+  const previous = new Map();
+  const done = new Set();
+  const queue = [{ id: source, seconds: 0 }];
+
+  while (queue.length > 0) {
+    // Small graphs: a sorted array is simpler than a heap and fast enough
+    queue.sort((a, b) => a.seconds - b.seconds);
+    const { id } = queue.shift();
+    if (done.has(id)) continue;
+    done.add(id);
+    if (id === target) break;
+
+    (graph.adjacency.get(id) || []).forEach(arc => {
+      const candidate = seconds.get(id) + arc.seconds;
+      if (candidate < (seconds.get(arc.to) ?? Infinity)) {
+        seconds.set(arc.to, candidate);
+        meters.set(arc.to, meters.get(id) + arc.meters);
+        previous.set(arc.to, id);
+        queue.push({ id: arc.to, seconds: candidate });
+      }
+    });
+  }
+
+  if (!done.has(target)) return null;
+
+  const nodes = [target];
+  while (nodes[0] !== source) nodes.unshift(previous.get(nodes[0]));
+  return { nodes, meters: meters.get(target), seconds: seconds.get(target) };
+};
+
+/**
+ * Closest point on the graph's roads to a position
+ */
+const projectOntoGraph = (graph, point) => {
+  // Local equirectangular projection is accurate enough over a single road segment
+  const cosLat = Math.cos(point.lat * Math.PI / 180);
+  let best = null;
+
+  graph.adjacency.forEach((arcs, from) => {
+    const a = graph.positions.get(from);
+    arcs.forEach(({ to }) => {
+      const b = graph.positions.get(to);
+      const dx = (b.lng - a.lng) * cosLat;
+      const dy = b.lat - a.lat;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1,
+        (((point.lng - a.lng) * cosLat) * dx + (point.lat - a.lat) * dy) / lengthSquared
+      ));
+      const candidate = { lat: a.lat + t * (b.lat - a.lat), lng: a.lng + t * (b.lng - a.lng) };
+      const meters = haversineMeters(point, candidate);
+      if (!best || meters < best.meters) best = { point: candidate, meters };
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Create the offline routing provider
+ *
+ * @param {Object} [options]
+ * @param {number} [options.averageSpeedKmh] - Speed used for straight-line and off-graph travel
+ * @param {number} [options.detourFactor] - Road distance / straight-line distance estimate
+ * @param {Object} [options.graph] - Road graph, see the module comment
+ * @returns {Object} Routing provider
+ */
+export const createOfflineProvider = ({ averageSpeedKmh = 25, detourFactor = 1.3, graph = null } = {}) => {
+  const metersPerSecond = averageSpeedKmh / 3.6;
+  const roads = graph ? buildGraph(graph, averageSpeedKmh) : null;
+
+  const straightLeg = (from, to) => {
+    const meters = haversineMeters(from, to) * detourFactor;
+    const seconds = meters / metersPerSecond;
+    return {
+      geometry: [from, to],
+      approximate: true,
+      leg: {
+        distanceMeters: meters,
+        durationSeconds: seconds,
+        steps: [{
+          instruction: `Head towards the destination (${formatStepDistance(meters)})`,
+          maneuver: 'straight',
+          road: '',
+          distanceMeters: meters,
+          durationSeconds: seconds,
+          startLocation: from,
+          endLocation: to
+        }]
+      }
+    };
+  };
+
+  const graphLeg = (from, to) => {
+    const start = nearestNode(roads, from);
+    const end = nearestNode(roads, to);
+    const path = start && end ? shortestPath(roads, start.id, end.id) : null;
+    if (!path) return null;
+
+    const accessMeters = start.meters + end.meters;
+    const meters = path.meters + accessMeters;
+    const seconds = path.seconds + accessMeters / metersPerSecond;
+    const geometry = [from, ...path.nodes.map(id => roads.positions.get(id)), to];
+
+    return {
+      geometry,
+      approximate: false,
+      leg: {
+        distanceMeters: meters,
+        durationSeconds: seconds,
+        steps: [{
+          instruction: `Follow the route to the destination (${formatStepDistance(meters)})`,
+          maneuver: 'straight',
+          road: '',
+          distanceMeters: meters,
+          durationSeconds: seconds,
+          startLocation: from,
+          endLocation: to
+        }]
+      }
+    };
+  };
+
+  const travel = (from, to) => (roads && graphLeg(from, to)) || straightLeg(from, to);
+
+  return {
+    name: ROUTING_PROVIDERS.OFFLINE,
+
+    async route(waypoints) {
+      const points = toWaypoints(waypoints);
+      const parts = points.slice(1).map((to, index) => travel(points[index], to));
+      const geometry = parts.flatMap((part, index) => (index === 0 ? part.geometry : part.geometry.slice(1)));
+      const legs = parts.map(part => part.leg);
+
+      return {
+        provider: ROUTING_PROVIDERS.OFFLINE,
+        distanceMeters: legs.reduce((sum, leg) => sum + leg.distanceMeters, 0),
+        durationSeconds: legs.reduce((sum, leg) => sum + leg.durationSeconds, 0),
+        geometry,
+        legs,
+        approximate: parts.some(part => part.approximate)
+      };
+    },
+
+    async matrix(origins, destinations = origins) {
+      const sources = origins.map(toLatLng);
+      const targets = destinations.map(toLatLng);
+      const cells = sources.map(from => targets.map(to => travel(from, to)));
+
+      return {
+        provider: ROUTING_PROVIDERS.OFFLINE,
+        distances: cells.map(row => row.map(cell => cell.leg.distanceMeters)),
+        durations: cells.map(row => row.map(cell => cell.leg.durationSeconds)),
+        approximate: cells.some(row => row.some(cell => cell.approximate))
+      };
+    },
+
+    async snapToRoad(points) {
+      const inputs = points.map(toLatLng);
+      const snapped = inputs.map(point => {
+        const projection = roads ? projectOntoGraph(roads, point) : null;
+        return projection
+          ? { ...projection.point, snapped: true, offsetMeters: projection.meters }
+          : { ...point, snapped: false, offsetMeters: 0 };
+      });
+
+      return { provider: ROUTING_PROVIDERS.OFFLINE, points: snapped, approximate: !roads };
+    }
+  };
+};
@@ -0,0 +1,201 @@
+/**
+ * OSRM routing provider
+ *
+ * Talks to the OSRM HTTP API (route, table and nearest services), so it works with
+ * the public demo server as well as a self-hosted osrm-backend built from a Ghana
+ * OpenStreetMap extract.
+ */
+
+import {
+  ROUTING_PROVIDERS,
+  RoutingError,
+  fetchJson,
+  toLatLng,
+  toWaypoints
+} from './routingProvider';
+
+const fromLngLat = ([lng, lat]) => ({ lat, lng });
+const toLngLat = ({ lat, lng }) => `${lng},${lat}`;
+
+/**
+ * Map an OSRM maneuver to the Google vocabulary used by the voice prompts
+ */
+export const toGoogleManeuver = ({ type, modifier = '' } = {}) => {
+  const side = modifier.includes('left') ? 'left' : modifier.includes('right') ? 'right' : '';
+
+  switch (type) {
+    case 'depart':
+    case 'arrive':
+      return '';
+    case 'roundabout':
+    case 'rotary':
+    case 'roundabout turn':
+    case 'exit roundabout':
+    case 'exit rotary':
+      return `roundabout-${side || 'right'}`;
+    case 'merge':
+      return 'merge';
+    case 'fork':
+    case 'on ramp':
+    case 'off ramp':
+      return side ? `keep-${side}` : 'straight';
+    default:
+      break;
+  }
+
+  if (modifier === 'uturn') return 'uturn-left';
+  if (modifier === 'straight' || !side) return 'straight';
+  if (modifier.startsWith('slight')) return `turn-slight-${side}`;
+  if (modifier.startsWith('sharp')) return `turn-sharp-${side}`;
+  return `turn-${side}`;
+};
+
+/**
+ * Build an instruction sentence for an OSRM step, which only carries the maneuver
+ */
+export const describeOsrmStep = ({ maneuver = {}, name = '' }) => {
+  const road = name ? ` onto ${name}` : '';
+  const modifier = maneuver.modifier || '';
+
+  switch (maneuver.type) {
+    case 'depart':
+      return name ? `Head ${modifier || 'out'} on ${name}` : 'Start driving';
+    case 'arrive':
+      return 'You have arrived';
+    case 'roundabout':
+    case 'rotary':
+      return maneuver.exit
+        ? `At the roundabout, take exit ${maneuver.exit}${road}`
+        : `Enter the roundabout${road}`;
+    case 'merge':
+      return `Merge${road}`;
+    case 'fork':
+      return `Keep ${modifier.replace('slight ', '') || 'straight'} at the fork${road}`;
+    case 'continue':
+    case 'new name':
+      return `Continue${road || ' straight'}`;
+    default:
+      if (modifier === 'uturn') return `Make a U-turn${road}`;
+      if (modifier === 'straight') return `Go straight${road}`;
+      return modifier ? `Turn ${modifier}${road}` : `Continue${road}`;
+  }
+};
+
+const toStep = (step, nextStep) => {
+  const coordinates = step.geometry?.coordinates || [];
+  const start = fromLngLat(step.maneuver.location);
+  const end = coordinates.length > 0
+    ? fromLngLat(coordinates[coordinates.length - 1])
+    : nextStep ? fromLngLat(nextStep.maneuver.location) : start;
+
+  return {
+    instruction: describeOsrmStep(step),
+    maneuver: toGoogleManeuver(step.maneuver),
+    road: step.name || '',
+    distanceMeters: step.distance,
+    durationSeconds: step.duration,
+    startLocation: start,
+    endLocation: end
+  };
+};
+
+/**
+ * Create an OSRM routing provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Server root, e.g. http://osrm.local:5000
+ * @param {string} [options.profile] - OSRM profile ('driving', 'bike', 'foot')
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {Function} [options.fetchImpl] - fetch replacement, used by tests
+ * @returns {Object} Routing provider
+ */
+export const createOsrmProvider = ({
+  baseUrl = 'https://router.project-osrm.org',
+  profile = 'driving',
+  timeoutMs = 8000,
+  fetchImpl = null
+} = {}) => {
+  const root = baseUrl.replace(/\/$/, '');
+  const request = (path) => fetchJson(`${root}${path}`, {
+    provider: ROUTING_PROVIDERS.OSRM,
+    timeoutMs,
+    fetchImpl
+  });
+  const checkCode = (body, what) => {
+    if (body?.code !== 'Ok') {
+      throw new RoutingError(body?.message || `OSRM ${what} failed (${body?.code || 'no response'})`, {
+        provider: ROUTING_PROVIDERS.OSRM,
+        code: body?.code === 'NoRoute' || body?.code === 'NoSegment' ? 'NO_ROUTE' : 'UNAVAILABLE'
+      });
+    }
+  };
+
+  return {
+    name: ROUTING_PROVIDERS.OSRM,
+
+    async route(waypoints, { steps = true } = {}) {
+      const points = toWaypoints(waypoints);
+      const body = await request(
+        `/route/v1/${profile}/${points.map(toLngLat).join(';')}?overview=full&geometries=geojson&steps=${steps}`
+      );
+      checkCode(body, 'route');
+
+      const [best] = body.routes || [];
+      if (!best) {
+        throw new RoutingError('OSRM returned no route', { provider: ROUTING_PROVIDERS.OSRM, code: 'NO_ROUTE' });
+      }
+
+      return {
+        provider: ROUTING_PROVIDERS.OSRM,
+        distanceMeters: best.distance,
+        durationSeconds: best.duration,
+        geometry: best.geometry.coordinates.map(fromLngLat),
+        legs: best.legs.map(leg => ({
+          distanceMeters: leg.distance,
+          durationSeconds: leg.duration,
+          steps: (leg.steps || []).map((step, index) => toStep(step, leg.steps[index + 1]))
+        })),
+        approximate: false,
+        raw: body
+      };
+    },
+
+    async matrix(origins, destinations = origins) {
+      const sources = origins.map(toLatLng);
+      const targets = destinations.map(toLatLng);
+      if (sources.length === 0 || targets.length === 0) {
+        return { provider: ROUTING_PROVIDERS.OSRM, distances: [], durations: [], approximate: false };
+      }
+
+      const coordinates = [...sources, ...targets].map(toLngLat).join(';');
+      const sourceIndexes = sources.map((_, index) => index).join(';');
+      const targetIndexes = targets.map((_, index) => sources.length + index).join(';');
+      const body = await request(
+        `/table/v1/${profile}/${coordinates}?sources=${sourceIndexes}&destinations=${targetIndexes}&annotations=distance,duration`
+      );
+      checkCode(body, 'table');
+
+      return {
+        provider: ROUTING_PROVIDERS.OSRM,
+        distances: body.distances,
+        durations: body.durations,
+        approximate: false
+      };
+    },
+
+    async snapToRoad(points) {
+      const inputs = points.map(toLatLng);
+      const snapped = await Promise.all(inputs.map(async (point) => {
+        const body = await request(`/nearest/v1/${profile}/${toLngLat(point)}?number=1`);
+        checkCode(body, 'nearest');
+
+        const [nearest] = body.waypoints || [];
+        return nearest
+          ? { ...fromLngLat(nearest.location), snapped: true, offsetMeters: nearest.distance }
+          : { ...point, snapped: false, offsetMeters: 0 };
+      }));
+
+      return { provider: ROUTING_PROVIDERS.OSRM, points: snapped, approximate: false };
+    }
+  };
+};
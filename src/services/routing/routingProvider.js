@@ -0,0 +1,211 @@
+/**
+ * Routing Provider Interface
+ *
+ * Every routing backend (Google, OSRM, GraphHopper, the offline fallback) is wrapped
+ * in an object with the same three methods, so screens don't care which one is
+ * configured:
+ *
+ *   route(waypoints, options)          → Promise<RouteResult>
+ *   matrix(origins, destinations)      → Promise<MatrixResult>
+ *   snapToRoad(points)                 → Promise<SnapResult>
+ *
+ * Points may be given as { lat, lng } or [lat, lng]; results always use { lat, lng },
+ * metres and seconds. Maneuvers use the Google vocabulary ('turn-left', 'keep-right',
+ * 'roundabout-right', ...) so voice prompts in locales/navigationPhrases work for all
+ * providers.
+ */
+
+import { logger } from '../../utils/logger';
+
+/**
+ * @typedef {Object} RouteStep
+ * @property {string} instruction - Human-readable instruction
+ * @property {string} maneuver - Google-style maneuver ('' for none)
+ * @property {number} distanceMeters
+ * @property {number} durationSeconds
+ * @property {{lat: number, lng: number}} startLocation
+ * @property {{lat: number, lng: number}} endLocation
+ */
+
+/**
+ * @typedef {Object} RouteResult
+ * @property {string} provider - Name of the provider that produced the route
+ * @property {number} distanceMeters
+ * @property {number} durationSeconds
+ * @property {Array<{lat: number, lng: number}>} geometry - Polyline along the road
+ * @property {Array<{distanceMeters: number, durationSeconds: number, steps: Array<RouteStep>}>} legs - One per pair of waypoints
+ * @property {boolean} approximate - True when the route isn't along real roads
+ * @property {*} [raw] - Provider's own response (e.g. a google.maps.DirectionsResult)
+ */
+
+/**
+ * @typedef {Object} MatrixResult
+ * @property {string} provider
+ * @property {Array<Array<number|null>>} distances - Metres, [origin][destination]; null if unreachable
+ * @property {Array<Array<number|null>>} durations - Seconds, [origin][destination]; null if unreachable
+ * @property {boolean} approximate
+ */
+
+/**
+ * @typedef {Object} SnapResult
+ * @property {string} provider
+ * @property {Array<{lat: number, lng: number, snapped: boolean, offsetMeters: number}>} points - One per input point
+ * @property {boolean} approximate
+ */
+
+export const ROUTING_PROVIDERS = {
+  GOOGLE: 'google',
+  OSRM: 'osrm',
+  GRAPHHOPPER: 'graphhopper',
+  OFFLINE: 'offline'
+};
+
+/**
+ * Error raised by a routing provider
+ */
+export class RoutingError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.provider] - Provider that failed
+   * @param {string} [details.code] - 'NO_ROUTE', 'INVALID_INPUT', 'HTTP_ERROR', 'TIMEOUT' or 'UNAVAILABLE'
+   * @param {number} [details.status] - HTTP status, when there was one
+   */
+  constructor(message, { provider = null, code = 'UNAVAILABLE', status = null } = {}) {
+    super(message);
+    this.name = 'RoutingError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Normalise a point to { lat, lng }
+ * @param {Object|Array} point - { lat, lng }, { latitude, longitude } or [lat, lng]
+ * @returns {{lat: number, lng: number}}
+ * @throws {RoutingError} When the point has no usable coordinates
+ */
+export const toLatLng = (point) => {
+  const lat = Array.isArray(point) ? point[0] : (point?.lat ?? point?.latitude);
+  const lng = Array.isArray(point) ? point[1] : (point?.lng ?? point?.longitude);
+  const latNum = typeof lat === 'function' ? lat() : Number(lat);
+  const lngNum = typeof lng === 'function' ? lng() : Number(lng);
+
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum) || Math.abs(latNum) > 90 || Math.abs(lngNum) > 180) {
+    throw new RoutingError('Invalid coordinates', { code: 'INVALID_INPUT' });
+  }
+  return { lat: latNum, lng: lngNum };
+};
+
+/**
+ * Great-circle distance in metres
+ */
+export const haversineMeters = (a, b) => {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Short distance label for instructions, e.g. "350 m" or "1.2 km"
+ */
+export const formatStepDistance = (meters) =>
+  meters < 1000 ? `${Math.round(meters / 10) * 10} m` : `${(meters / 1000).toFixed(1)} km`;
+
+/**
+ * Short duration label for instructions, e.g. "1 min" or "12 mins"
+ */
+export const formatStepDuration = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return `${minutes} ${minutes === 1 ? 'min' : 'mins'}`;
+};
+
+/**
+ * Check a waypoint list and normalise it
+ * @throws {RoutingError} When there are fewer than two usable waypoints
+ */
+export const toWaypoints = (waypoints) => {
+  if (!Array.isArray(waypoints) || waypoints.length < 2) {
+    throw new RoutingError('A route needs at least two waypoints', { code: 'INVALID_INPUT' });
+  }
+  return waypoints.map(toLatLng);
+};
+
+/**
+ * Use one provider and fall back to another when it fails
+ *
+ * Invalid input is not retried: the fallback would reject it as well. Results from the
+ * fallback keep its own `provider` name so callers can tell the route is approximate.
+ *
+ * @param {Object} primary - Routing provider
+ * @param {Object} fallback - Routing provider used when primary throws
+ * @returns {Object} Routing provider
+ */
+export const withFallback = (primary, fallback) => {
+  const call = (method) => async (...args) => {
+    try {
+      return await primary[method](...args);
+    } catch (error) {
+      if (error instanceof RoutingError && error.code === 'INVALID_INPUT') {
+        throw error;
+      }
+      logger.warn(`Routing ${method} via ${primary.name} failed, using ${fallback.name}:`, error.message);
+      return fallback[method](...args);
+    }
+  };
+
+  return {
+    name: primary.name,
+    fallback: fallback.name,
+    route: call('route'),
+    matrix: call('matrix'),
+    snapToRoad: call('snapToRoad')
+  };
+};
+
+/**
+ * fetch() JSON with a timeout, raising RoutingError for failures
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.provider - For error reporting
+ * @param {number} options.timeoutMs
+ * @param {Function} [options.fetchImpl] - fetch implementation, defaults to the global one
+ * @param {Object} [options.init] - Extra fetch options (method, headers, body)
+ */
+export const fetchJson = async (url, { provider, timeoutMs, fetchImpl, init = {} }) => {
+  const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+  if (!doFetch) {
+    throw new RoutingError('fetch is not available', { provider });
+  }
+
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  try {
+    const response = await doFetch(url, { ...init, signal: controller?.signal });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const message = body?.message || body?.error || `HTTP ${response.status}`;
+      throw new RoutingError(message, {
+        provider,
+        code: response.status === 400 ? 'NO_ROUTE' : 'HTTP_ERROR',
+        status: response.status
+      });
+    }
+    return body;
+  } catch (error) {
+    if (error instanceof RoutingError) throw error;
+    if (error.name === 'AbortError') {
+      throw new RoutingError(`${provider} did not answer within ${timeoutMs} ms`, { provider, code: 'TIMEOUT' });
+    }
+    throw new RoutingError(error.message || 'Routing request failed', { provider });
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Basemap tile sources
+ *
+ * The Leaflet maps draw every tile through one chain of sources, so the same map works
+ * online, from cached raster tiles and from a local basemap archive without knowing
+ * which one is in use:
+ *
+ * - archive: the PMTiles basemap kept by basemapArchiveService
+ * - online:  OpenStreetMap tiles over the network
+ * - cached:  raster tiles in offlineMapService (region packs and route areas)
+ *
+ * Each source resolves a tile to an image URL or null; the map layer moves on to the
+ * next source when a tile is missing or fails to load.
+ */
+
+import { BASEMAP_PREFERENCE } from '../config/offlineRegionConfig';
+import { basemapArchiveService } from './basemapArchiveService';
+import { offlineMapService } from './offlineMapService';
+
+export const TILE_SOURCES = {
+  ARCHIVE: 'archive',
+  ONLINE: 'online',
+  CACHED: 'cached'
+};
+
+export const ONLINE_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const BASEMAP_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const resolvers = {
+  [TILE_SOURCES.ARCHIVE]: ({ z, x, y }) => basemapArchiveService.getTileUrl(z, x, y),
+  [TILE_SOURCES.ONLINE]: ({ z, x, y }) => ONLINE_TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y),
+  [TILE_SOURCES.CACHED]: ({ z, x, y }) => offlineMapService.getTileUrl(z, x, y)
+};
+
+/**
+ * Order to try the sources in for the current connection
+ *
+ * The local archive comes first by default: it is instant and costs no data. The network
+ * is skipped entirely when the phone knows it is offline.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.online] - Defaults to navigator.onLine
+ * @param {string} [options.preference] - 'archive' or 'online'; defaults to VITE_BASEMAP_PREFERENCE
+ * @returns {string[]} TILE_SOURCES values
+ */
+export const getTileSourceOrder = ({
+  online = navigator.onLine,
+  preference = BASEMAP_PREFERENCE
+} = {}) => {
+  if (!online) return [TILE_SOURCES.ARCHIVE, TILE_SOURCES.CACHED];
+  if (preference === TILE_SOURCES.ONLINE) {
+    return [TILE_SOURCES.ONLINE, TILE_SOURCES.ARCHIVE, TILE_SOURCES.CACHED];
+  }
+  return [TILE_SOURCES.ARCHIVE, TILE_SOURCES.ONLINE, TILE_SOURCES.CACHED];
+};
+
+/**
+ * Image URL for a tile from one source
+ * @param {string} source - TILE_SOURCES value
+ * @param {{z: number, x: number, y: number}} coords
+ * @returns {Promise<string|null>} Network or blob URL; callers revoke blob URLs once drawn
+ */
+export const resolveTileUrl = async (source, coords) => {
+  const resolve = resolvers[source];
+  return resolve ? resolve(coords) : null;
+};
@@ -543,7 +543,8 @@ export async function checkDisbursementStatus(transactionId, reference) {
       throw new Error(result.error || 'Failed to check status');
     }
     
-    const data = result.data;
+    const gatewayData = result.data;
+    const data = (gatewayData && gatewayData.data) ? gatewayData.data : gatewayData;
     const { status, amount } = data;
     const message = data.reason || data.message;
     const completedAt = data.lastUpdated;
@@ -554,7 +555,8 @@ export async function checkDisbursementStatus(transactionId, reference) {
       message,
       amount,
       completedAt,
-      transactionId
+      transactionId,
+      rawData: data
     };
     
   } catch (error) {
@@ -0,0 +1,240 @@
+/**
+ * Weighbridge Service
+ * Tonnage from the weighbridge ticket a site hands over after tipping (migration
+ * 20261031090000).
+ *
+ * The driver types the ticket's weights or photographs it; the photo is read on the
+ * device by tesseract.js, and anything it misses is filled in by hand. The ticket is
+ * kept in IndexedDB and queued on the offline queue like evidence photos: the photo
+ * goes up to the private weighbridge-tickets bucket with a resumable upload, then
+ * record_weighbridge_ticket() stores the weights and shares them over the jobs tipped
+ * on that load.
+ */
+
+import localforage from 'localforage';
+import { supabase } from './supabase';
+import { logger } from '../utils/logger';
+import { OfflineConflictError, QUEUE_ENTITY_TYPES } from '../utils/offlineUtils';
+import { resumableUpload } from '../utils/resumableUpload';
+import { parseTicketText } from '../utils/weighbridgeTicket';
+
+export const WEIGHBRIDGE_TICKET_BUCKET = 'weighbridge-tickets';
+
+const RESUMABLE_ENDPOINT = import.meta.env.VITE_SUPABASE_URL
+  ? `${import.meta.env.VITE_SUPABASE_URL.replace(/\/$/, '')}/storage/v1/upload/resumable`
+  : '';
+
+const ticketStore = localforage.createInstance({
+  name: 'TrashDropCarter',
+  storeName: 'weighbridge_tickets',
+  description: 'Weighbridge tickets waiting to be recorded'
+});
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+/**
+ * Whether this browser can read text from a photo on the device
+ * @returns {boolean}
+ */
+export const canReadTicketPhotos = () =>
+  typeof window !== 'undefined' && typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined';
+
+/**
+ * Read the figures off a photo of a ticket. Nothing leaves the device: the OCR engine
+ * (tesseract.js) is only loaded the first time a ticket is read, and its English
+ * model is downloaded then and kept on the phone. Without it (e.g. offline on first
+ * use) this resolves with nothing found and the driver types the weights.
+ *
+ * @param {Blob} file - Ticket photo
+ * @returns {Promise<{success: boolean, text: string, fields: Object, error?: string}>}
+ *   fields as parseTicketText
+ */
+export async function readTicketPhoto(file) {
+  if (!canReadTicketPhotos()) {
+    return { success: false, text: '', fields: parseTicketText(''), error: 'Text reading is not available on this device' };
+  }
+
+  let worker = null;
+  try {
+    const { createWorker } = await import('tesseract.js');
+    worker = await createWorker('eng');
+    const { data } = await worker.recognize(file);
+    const text = data?.text || '';
+
+    return { success: true, text, fields: parseTicketText(text) };
+  } catch (error) {
+    logger.warn('Could not read weighbridge ticket photo:', error);
+    return { success: false, text: '', fields: parseTicketText(''), error: error?.message || String(error) };
+  } finally {
+    // Tickets are read once a trip; the engine's memory goes back to the maps
+    await worker?.terminate().catch(() => {});
+  }
+}
+
+/**
+ * Where a ticket photo goes in the bucket: <collector>/<ticket>.<ext>
+ * @param {Object} record - Stored ticket
+ * @returns {string}
+ */
+export const weighbridgeTicketPath = (record) =>
+  `${record.collectorId}/${record.id}.${FILE_EXTENSIONS[record.contentType] || 'jpg'}`;
+
+/**
+ * Keep a ticket on the device and queue it to be recorded. The ticket id is the
+ * idempotency key, so saving the same ticket twice records it once.
+ *
+ * @param {Function} queueAction - queueOfflineAction from OfflineContext
+ * @param {string} actionType - OFFLINE_ACTION_TYPES.RECORD_WEIGHBRIDGE_TICKET
+ * @param {Object} ticket
+ * @param {string} ticket.id - uuid, also the weighbridge_tickets id
+ * @param {string} ticket.collectorId
+ * @param {string|null} ticket.disposalCenterId
+ * @param {string|null} ticket.ticketNumber
+ * @param {number|null} ticket.grossKg
+ * @param {number|null} ticket.tareKg
+ * @param {number} ticket.netKg
+ * @param {number} [ticket.tippingFee]
+ * @param {string} ticket.entryMethod - 'manual' or 'ocr'
+ * @param {string} [ticket.ocrText]
+ * @param {string} [ticket.weighedAt] - ISO time, from the ticket or the device
+ * @param {Blob|null} [ticket.photo]
+ * @param {Array<{jobType: string, jobId: string, loadUnits: number}>} ticket.jobs
+ * @returns {Promise<Object>} The queued item
+ */
+export async function queueWeighbridgeTicket(queueAction, actionType, { photo = null, ...ticket }) {
+  await ticketStore.setItem(ticket.id, {
+    ...ticket,
+    blob: photo,
+    contentType: photo?.type || 'image/jpeg',
+    uploadUrl: null
+  });
+
+  return queueAction(actionType, { ticketId: ticket.id }, {
+    entityType: QUEUE_ENTITY_TYPES.WEIGHBRIDGE_TICKET,
+    entityId: ticket.id,
+    idempotencyKey: ticket.id
+  });
+}
+
+/**
+ * Upload a queued ticket's photo and record the ticket; the offline queue's processor
+ * for OFFLINE_ACTION_TYPES.RECORD_WEIGHBRIDGE_TICKET
+ *
+ * @param {Object} payload - { ticketId }
+ * @returns {Promise<Object>} record_weighbridge_ticket() result
+ */
+export const recordQueuedWeighbridgeTicket = async ({ ticketId }) => {
+  const record = await ticketStore.getItem(ticketId);
+  if (!record) {
+    const { data: recorded } = await supabase
+      .from('weighbridge_tickets')
+      .select('id')
+      .eq('id', ticketId)
+      .maybeSingle();
+    if (recorded) return { outcome: 'duplicate', ticket_id: ticketId };
+    throw new OfflineConflictError('The weighbridge ticket is no longer on this device');
+  }
+
+  let photoPath = null;
+  if (record.blob) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) {
+      throw new Error('Not signed in');
+    }
+
+    photoPath = weighbridgeTicketPath(record);
+    await resumableUpload({
+      endpoint: RESUMABLE_ENDPOINT,
+      headers: {
+        authorization: `Bearer ${session.access_token}`,
+        apikey: import.meta.env.VITE_SUPABASE_ANON_KEY
+      },
+      file: record.blob,
+      metadata: {
+        bucketName: WEIGHBRIDGE_TICKET_BUCKET,
+        objectName: photoPath,
+        contentType: record.contentType,
+        cacheControl: '3600'
+      },
+      uploadUrl: record.uploadUrl,
+      onUploadUrl: (uploadUrl) => ticketStore.setItem(ticketId, { ...record, uploadUrl })
+    });
+  }
+
+  const { data, error } = await supabase.rpc('record_weighbridge_ticket', {
+    p_ticket: {
+      id: record.id,
+      disposal_center_id: record.disposalCenterId || null,
+      ticket_number: record.ticketNumber || null,
+      gross_kg: record.grossKg ?? null,
+      tare_kg: record.tareKg ?? null,
+      net_kg: record.netKg,
+      entry_method: record.entryMethod || 'manual',
+      ocr_text: record.ocrText || null,
+      photo_path: photoPath,
+      weighed_at: record.weighedAt || null,
+      tipping_fee: record.tippingFee ?? 0
+    },
+    p_jobs: record.jobs.map(job => ({
+      job_type: job.jobType,
+      job_id: String(job.jobId),
+      load_units: job.loadUnits
+    }))
+  });
+
+  // A ticket number already claimed, or a job that isn't the driver's, won't change on retry
+  if (error?.code === '23505' || error?.code === '42501') {
+    throw new OfflineConflictError(error.message, { status: null, reason: 'weighbridge_rejected' });
+  }
+  if (error) throw error;
+
+  await ticketStore.removeItem(ticketId);
+  logger.info(`⚖️ Weighbridge ticket ${ticketId} recorded (${data?.outcome}, ${data?.net_kg ?? record.netKg} kg)`);
+  return data;
+};
+
+/**
+ * Tonnage tipped per day and site, newest first
+ *
+ * @param {Object} [range]
+ * @param {string} [range.from] - First day, YYYY-MM-DD (Accra)
+ * @param {string} [range.to] - Last day, YYYY-MM-DD (Accra)
+ * @returns {Promise<{success: boolean, data: Array<Object>, totals: Object, error?: string}>}
+ *   totals: { netKg, tickets, jobs, tippingFees, tippingFeesPending }
+ */
+export async function getTonnageReport({ from, to } = {}) {
+  const emptyTotals = { netKg: 0, tickets: 0, jobs: 0, tippingFees: 0, tippingFeesPending: 0 };
+
+  try {
+    let query = supabase
+      .from('collector_tonnage_daily')
+      .select('*')
+      .order('day', { ascending: false });
+    if (from) query = query.gte('day', from);
+    if (to) query = query.lte('day', to);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to fetch tonnage report: ${error.message}`);
+    }
+
+    const rows = data || [];
+    const totals = rows.reduce((sum, row) => ({
+      netKg: sum.netKg + Number(row.net_kg || 0),
+      tickets: sum.tickets + Number(row.tickets || 0),
+      jobs: sum.jobs + Number(row.jobs || 0),
+      tippingFees: sum.tippingFees + Number(row.tipping_fees || 0),
+      tippingFeesPending: sum.tippingFeesPending + Number(row.tipping_fees_pending || 0)
+    }), emptyTotals);
+
+    return { success: true, data: rows, totals };
+  } catch (error) {
+    logger.error('Error loading tonnage report:', error);
+    return { success: false, error: error.message, data: [], totals: emptyTotals };
+  }
+}
@@ -1,22 +1,25 @@
 import '@testing-library/jest-dom';
 
-// Mock window.matchMedia
-window.matchMedia = window.matchMedia || function() {
-  return {
-    matches: false,
-    addListener: function() {},
-    removeListener: function() {}
+// Suites that run in the node environment (`@jest-environment node`) have no window
+if (typeof window !== 'undefined') {
+  // Mock window.matchMedia
+  window.matchMedia = window.matchMedia || function() {
+    return {
+      matches: false,
+      addListener: function() {},
+      removeListener: function() {}
+    };
   };
-};
 
-// Mock window.scrollTo
-window.scrollTo = jest.fn();
+  // Mock window.scrollTo
+  window.scrollTo = jest.fn();
 
-// Mock the ResizeObserver
-class ResizeObserver {
-  observe() {}
-  unobserve() {}
-  disconnect() {}
-}
+  // Mock the ResizeObserver
+  class ResizeObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  }
 
-window.ResizeObserver = ResizeObserver;
+  window.ResizeObserver = ResizeObserver;
+}
@@ -5,7 +5,9 @@ import {
   calculateNearestNeighborRoute, 
   calculateRouteDistance, 
   estimateRouteTime,
-  generateDirectionsUrl
+  generateDirectionsUrl,
+  optimizeRouteOrder,
+  toOptimizerStops
 } from '../utils/routeOptimizationUtils';
 
 describe('Route Optimization Utils', () => {
@@ -169,4 +171,86 @@ describe('Route Optimization Utils', () => {
       }
     });
   });
+
+  describe('optimizeRouteOrder', () => {
+    const accra = { lat: 5.6037, lng: -0.1870 };
+    const at = (dLat, dLng, extra = {}) => ({ latitude: accra.lat + dLat, longitude: accra.lng + dLng, ...extra });
+
+    test('never does worse than nearest neighbour and reports the gain', () => {
+      // Nearest neighbour zig-zags along this line, 2-opt straightens it out
+      const stops = toOptimizerStops([at(0, 0.01), at(0, -0.012), at(0, 0.03), at(0, -0.05), at(0, 0.08)]);
+      const result = optimizeRouteOrder(stops, accra);
+
+      expect([...result.order].sort()).toEqual([0, 1, 2, 3, 4]);
+      expect(result.metrics.distanceKm).toBeLessThan(result.greedyMetrics.distanceKm);
+      expect(result.gain.distanceKm).toBeCloseTo(result.greedyMetrics.distanceKm - result.metrics.distanceKm);
+      expect(result.gain.distancePercent).toBeGreaterThan(0);
+    });
+
+    test('visits an urgent stop first even when it is not the nearest', () => {
+      const stops = toOptimizerStops([
+        at(0.005, 0),
+        at(0.01, 0),
+        at(-0.06, 0, { is_urgent: true })
+      ], { urgentWindowMinutes: 20 });
+      const result = optimizeRouteOrder(stops, accra);
+
+      expect(result.greedyOrder[0]).toBe(0);
+      expect(result.order[0]).toBe(2);
+      expect(result.metrics.lateStops).toBe(0);
+      expect(result.gain.lateStopsAvoided).toBeGreaterThan(0);
+    });
+
+    test('treats assignment_expires_at as a deadline', () => {
+      const startTime = Date.parse('2026-10-19T08:00:00Z');
+      const [stop] = toOptimizerStops([at(0, 0, { assignment_expires_at: '2026-10-19T08:30:00Z' })], { startTime });
+      expect(stop.deadlineMinutes).toBe(30);
+    });
+
+    test('handles 60 stops within the time limit', () => {
+      let seed = 42;
+      const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+      };
+      const stops = toOptimizerStops(
+        Array.from({ length: 60 }, () => at((random() - 0.5) * 0.2, (random() - 0.5) * 0.2))
+      );
+      const result = optimizeRouteOrder(stops, accra, { timeLimitMs: 3000 });
+
+      expect(new Set(result.order).size).toBe(60);
+      expect(result.metrics.distanceKm).toBeLessThanOrEqual(result.greedyMetrics.distanceKm);
+    });
+
+    test('inserts a trip to the closest disposal centre when the next stop would not fit', () => {
+      const stops = toOptimizerStops([
+        at(0, 0.01, { bag_count: 3 }),
+        at(0, 0.02, { bag_count: 3 }),
+        at(0, 0.03, { bag_count: 2 })
+      ]);
+      const disposalSites = [at(0.2, 0.2), at(0, 0.025)];
+      const result = optimizeRouteOrder(stops, accra, {
+        capacity: { bags: 6, litres: 360 },
+        disposalSites
+      });
+      const visits = result.metrics.visits;
+
+      expect(result.metrics.disposalTrips).toBe(1);
+      expect(visits.map(visit => visit.kind)).toEqual(['stop', 'stop', 'disposal', 'stop']);
+      expect(visits[2].siteIndex).toBe(1);
+      expect(visits[2].loadOnArrival.bags).toBe(6);
+      expect(visits.map(visit => visit.load.bags)).toEqual([3, 6, 0, 2]);
+    });
+
+    test('plans no disposal trips while everything fits', () => {
+      const stops = toOptimizerStops([at(0, 0.01), at(0, 0.02, { bin_size_liters: 240 })]);
+      const result = optimizeRouteOrder(stops, accra, {
+        capacity: { bags: 12, litres: 720 },
+        disposalSites: [at(0, 0.015)]
+      });
+
+      expect(result.metrics.disposalTrips).toBe(0);
+      expect(result.metrics.visits[1].load).toEqual({ bags: 2, litres: 300 });
+    });
+  });
 });
@@ -0,0 +1,62 @@
+import {
+  mergeLoadedJobs,
+  describeLoad,
+  isWithinTripGeofence,
+  toTripReceipt,
+  tripErrorMessage,
+  TRIP_JOB_TYPES
+} from '../disposalTrip';
+
+describe('disposal trips', () => {
+  const pickup = (id) => ({ jobType: TRIP_JOB_TYPES.PICKUP_REQUEST, jobId: id });
+  const bin = (id) => ({ jobType: TRIP_JOB_TYPES.DIGITAL_BIN, jobId: id });
+
+  test('merges the server\'s load with the page\'s, once per job', () => {
+    const server = [{ ...pickup('p1'), label: 'from server' }, bin('b1')];
+    const local = [{ ...pickup('p1'), label: 'from page' }, pickup('p2'), { jobType: null, jobId: 'x' }];
+
+    expect(mergeLoadedJobs(server, local)).toEqual([
+      { ...pickup('p1'), label: 'from server' },
+      bin('b1'),
+      pickup('p2')
+    ]);
+    expect(describeLoad(mergeLoadedJobs(server, local))).toBe('2 pickups and 1 digital bin');
+    expect(describeLoad([pickup('p1'), bin('b1'), { jobType: TRIP_JOB_TYPES.ASSIGNMENT, jobId: 'a1' }]))
+      .toBe('1 pickup, 1 digital bin and 1 dumping site');
+    expect(describeLoad([])).toBe('nothing');
+  });
+
+  test('allows for fix accuracy up to the server\'s cap', () => {
+    expect(isWithinTripGeofence(45)).toBe(true);
+    expect(isWithinTripGeofence(70)).toBe(false);
+    expect(isWithinTripGeofence(70, 25)).toBe(true);
+    expect(isWithinTripGeofence(120, 500)).toBe(false);
+    expect(isWithinTripGeofence(NaN, 10)).toBe(false);
+  });
+
+  test('reads receipts and the server\'s refusals', () => {
+    expect(toTripReceipt({
+      trip_id: 't1',
+      receipt_number: 'DT-261101-ABC123',
+      site_name: 'Kpone Landfill',
+      completed_at: '2026-11-01T10:00:00Z',
+      job_count: 2,
+      collector_payout: '31.50',
+      jobs: [{ job_type: 'digital_bin', job_id: 'b1', collector_payout: '12.00' }],
+      outcome: 'duplicate'
+    })).toMatchObject({
+      receiptNumber: 'DT-261101-ABC123',
+      jobCount: 2,
+      collectorPayout: 31.5,
+      jobs: [{ jobType: 'digital_bin', jobId: 'b1', collectorPayout: 12 }],
+      duplicate: true
+    });
+    expect(toTripReceipt(null)).toBeNull();
+
+    expect(tripErrorMessage({ code: 'PT403', details: '{"distance_m": 212.4, "radius_m": 50}' }))
+      .toBe('You were 212 m from the site. Move closer and try again.');
+    expect(tripErrorMessage({ code: 'PT403' })).toMatch(/could not be confirmed/);
+    expect(tripErrorMessage({ code: '23505' })).toMatch(/another disposal trip/);
+    expect(tripErrorMessage({ code: '08006', message: 'connection lost' })).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  buildStatementLines,
+  normalizeStatementTotals,
+  buildEarningsStatementCsv,
+  buildEarningsStatementPdf
+} from '../earningsStatement';
+import { parseCsv } from '../../../supabase/functions/_shared/settlementStatement';
+
+jest.mock('../../services/supabase', () => ({ supabase: {} }));
+jest.mock('../logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const entry = (account_type, component, amount) => ({
+  component,
+  amount: String(amount),
+  ledger_accounts: { account_type, owner_id: account_type === 'collector' ? 'collector-1' : null }
+});
+
+const tx = (id, kind, source_id, entries, extra = {}) => ({
+  id,
+  kind,
+  source_type: 'digital_bin',
+  source_id,
+  metadata: {},
+  occurred_at: '2026-10-01T10:00:00Z',
+  ledger_entries: entries,
+  ...extra
+});
+
+// MoMo bin (30, later part-refunded), e-cash bin (20), cash pickup (10), a tip on the MoMo bin
+const ledger = [
+  tx('c1', 'collection', 'bin-momo', [entry('escrow', 'bill', 30), entry('gateway', 'bill', -30)],
+    { metadata: { payment_mode: 'momo', bill: 30 } }),
+  tx('d1', 'disposal', 'bin-momo', [
+    entry('escrow', 'bill', -30),
+    entry('collector', 'core', 20),
+    entry('collector', 'surge', 2),
+    entry('collector', 'loyalty', 0.5),
+    entry('platform', 'commission', 8)
+  ], { metadata: { payment_mode: 'momo', bill: 30 }, occurred_at: '2026-10-02T09:00:00Z' }),
+  tx('d2', 'disposal', 'bin-ecash', [
+    entry('escrow', 'bill', -20),
+    entry('collector', 'core', 15),
+    entry('platform', 'commission', 5)
+  ], { metadata: { payment_mode: 'e_cash', bill: 20 }, occurred_at: '2026-10-01T12:00:00Z' }),
+  tx('d3', 'disposal', 'pickup-cash', [
+    entry('escrow', 'bill', -10),
+    entry('collector', 'core', 7),
+    entry('platform', 'commission', 3)
+  ], { source_type: 'pickup_request', metadata: { payment_mode: 'cash', bill: 10 }, occurred_at: '2026-10-03T08:00:00Z' }),
+  tx('t1', 'tip', 'tip-1', [entry('tips', 'tips', -4), entry('collector', 'tips', 4)],
+    { source_type: 'collector_tip', metadata: { job_id: 'bin-momo', job_type: 'digital_bin' } }),
+  tx('r1', 'refund', 'dispute-1', [
+    entry('gateway', 'bill', 6),
+    entry('collector', 'core', -4),
+    entry('collector', 'surge', -0.4),
+    entry('platform', 'commission', -1.6)
+  ], { source_type: 'payment_dispute', metadata: { job_id: 'bin-momo', job_type: 'digital_bin', payment_mode: 'momo' },
+    occurred_at: '2026-10-04T10:00:00Z' }),
+  tx('w1', 'withdrawal', 'wd-1', [entry('collector', 'payout', -12), entry('payouts', 'payout', 12)],
+    { source_type: 'withdrawal' })
+];
+
+const statement = () => {
+  const { lines } = buildStatementLines(ledger);
+  return {
+    verificationCode: 'TDS-1A2B-3C4D-5E6F',
+    verifyUrl: 'https://example.supabase.co/functions/v1/verify-earnings-statement',
+    issuedAt: '2026-10-26T08:00:00Z',
+    periodStart: '2026-10-01',
+    periodEnd: '2026-10-31',
+    coveredUntil: '2026-10-26T08:00:00Z',
+    collector: { name: 'Kofi Mensah', phone: '0241234567', region: 'Greater Accra', idType: 'Ghana Card' },
+    totals: normalizeStatementTotals({
+      jobs: 3, billed: 60, tips: 4, refunds: 4.4, earnings: 44.1, withdrawn: 12,
+      by_payment_mode: {
+        cash: { jobs: 1, billed: 10, earnings: 7 },
+        momo: { jobs: 1, billed: 30, earnings: 18.1 },
+        e_cash: { jobs: 1, billed: 20, earnings: 15 },
+        other: { jobs: 0, billed: 0, earnings: 0 }
+      }
+    }),
+    lines,
+    withdrawals: [{ id: 'wd-1', amount: 12, network: 'MTN', created_at: '2026-10-05T10:00:00Z' }]
+  };
+};
+
+describe('earnings statements', () => {
+  test('lines come out one per job and their totals match what the server computes', () => {
+    const { lines, totals } = buildStatementLines(ledger);
+
+    expect(lines.map(line => line.jobId)).toEqual(['bin-ecash', 'bin-momo', 'pickup-cash']);
+    expect(lines[1]).toMatchObject({
+      paymentMode: 'momo', billed: 30, feeShare: 22, loyalty: 0.5, tips: 4, refunds: 4.4, earnings: 22.1
+    });
+    expect(totals).toEqual({
+      jobs: 3,
+      billed: 60,
+      tips: 4,
+      refunds: 4.4,
+      earnings: 44.1,
+      byPaymentMode: statement().totals.byPaymentMode
+    });
+  });
+
+  test('CSV carries identity, totals by payment mode, the job lines and the code', () => {
+    const rows = parseCsv(buildEarningsStatementCsv(statement()));
+
+    expect(rows).toContainEqual(['Collector', 'Kofi Mensah']);
+    expect(rows).toContainEqual(['Verification code', 'TDS-1A2B-3C4D-5E6F']);
+    expect(rows).toContainEqual(['e-Cash', '1', '20.00', '15.00']);
+    expect(rows).toContainEqual(['Total earned (GHS)', '44.10']);
+    expect(rows.find(row => row[0] === 'Total')).toEqual(
+      ['Total', '', '', '', '60.00', '44.00', '0.00', '0.50', '4.00', '4.40', '44.10']
+    );
+    expect(rows[rows.length - 1][0]).toContain('verify-earnings-statement?code=TDS-1A2B-3C4D-5E6F');
+  });
+
+  test('PDF is a printable document naming the verification code', () => {
+    const pdf = buildEarningsStatementPdf(statement());
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('TDS-1A2B-3C4D-5E6F');
+    expect(pdf).toContain('Kofi Mensah');
+  });
+});
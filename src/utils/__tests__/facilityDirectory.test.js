@@ -0,0 +1,78 @@
+import {
+  parseOperatingHours,
+  openingStateAt,
+  wasteCategoryOf,
+  facilityWasteCategories,
+  facilityAvailability,
+  rankFacilities,
+  FACILITY_AVAILABILITY
+} from '../facilityDirectory';
+
+// Friday 30 October 2026 in Accra (GMT)
+const friday = (hours, minutes = 0) => new Date(Date.UTC(2026, 9, 30, hours, minutes));
+
+describe('facility directory', () => {
+  test('reads the opening hours formats found in disposal_centers', () => {
+    expect(parseOperatingHours('8:00 AM - 5:00 PM')[3]).toEqual([[480, 1020]]);
+    expect(parseOperatingHours('24/7')[0]).toEqual([[0, 1440]]);
+    expect(parseOperatingHours('24 Hours')[6]).toEqual([[0, 1440]]);
+
+    const weekdaysAndSaturday = parseOperatingHours('Mo-Fr 09:00-17:00; Sa 06:00-12:00');
+    expect(weekdaysAndSaturday[0]).toEqual([]);
+    expect(weekdaysAndSaturday[5]).toEqual([[540, 1020]]);
+    expect(weekdaysAndSaturday[6]).toEqual([[360, 720]]);
+
+    // A later rule replaces the earlier one for the days it names
+    const saturdayMornings = parseOperatingHours('9:00 AM - 5:00 PM; Sat 6:00 AM - 12:00 PM');
+    expect(saturdayMornings[6]).toEqual([[360, 720]]);
+    expect(saturdayMornings[0]).toEqual([[540, 1020]]);
+
+    expect(parseOperatingHours('Mo-Sa 09:00-17:00; Su 13:30-17:00')[0]).toEqual([[810, 1020]]);
+    expect(parseOperatingHours('Call ahead')).toBeNull();
+    expect(parseOperatingHours(null)).toBeNull();
+  });
+
+  test('says whether a site is open now and when that changes', () => {
+    const hours = parseOperatingHours('Mo-Fr 08:00-17:00');
+
+    expect(openingStateAt(hours, friday(10))).toEqual({ open: true, label: 'Open until 17:00' });
+    expect(openingStateAt(hours, friday(7, 30))).toEqual({ open: false, label: 'Closed, opens 08:00' });
+    expect(openingStateAt(hours, friday(18)).label).toBe('Closed, opens Mon 08:00');
+    expect(openingStateAt(parseOperatingHours('24/7'), friday(3)).label).toBe('Open 24 hours');
+    expect(openingStateAt(parseOperatingHours('Mo-Sa 00:00-24:00'), friday(3)).label).toBe('Open all day');
+    expect(openingStateAt(null, friday(10)).open).toBeNull();
+  });
+
+  test('matches the load on the truck against what a site takes', () => {
+    expect(wasteCategoryOf('plastic')).toBe('recyclable');
+    expect(wasteCategoryOf('e-waste')).toBe('hazardous');
+    expect(wasteCategoryOf('organic')).toBe('general');
+    expect(wasteCategoryOf(undefined)).toBe('general');
+
+    expect(facilityWasteCategories({ waste_type: 'Municipal Solid Waste', center_type: 'landfill' })).toEqual(['general']);
+    expect(facilityWasteCategories({ waste_type: 'Electronic Waste, Scrap Metal' })).toEqual(['recyclable', 'hazardous']);
+    expect(facilityWasteCategories({ waste_type: 'All Waste Types' })).toHaveLength(3);
+    expect(facilityWasteCategories({ waste_type: '', center_type: 'recycling_plant' })).toEqual(['recyclable']);
+    expect(facilityWasteCategories({ waste_type: 'Fecal Sludge, Wastewater', center_type: 'treatment_plant' })).toEqual([]);
+  });
+
+  test('lets a facility report override its published hours, and ranks usable sites first', () => {
+    const landfill = { operating_hours: '6:00 AM - 6:00 PM', capacity: 'available' };
+
+    expect(facilityAvailability(landfill, friday(10)).state).toBe(FACILITY_AVAILABILITY.OPEN);
+    expect(facilityAvailability({ ...landfill, capacity: 'limited' }, friday(10)).state).toBe(FACILITY_AVAILABILITY.BUSY);
+    expect(facilityAvailability({ ...landfill, capacity: 'limited' }, friday(20)).state).toBe(FACILITY_AVAILABILITY.CLOSED);
+    expect(facilityAvailability({ ...landfill, capacity: 'full' }, friday(10))).toMatchObject({ state: 'full', canDispose: false });
+    expect(facilityAvailability({ ...landfill, closed_until: friday(24).toISOString() }, friday(10)))
+      .toMatchObject({ state: 'closed', label: 'Closed today', canDispose: false });
+    expect(facilityAvailability({ ...landfill, closed_until: friday(0).toISOString() }, friday(10)).canDispose).toBe(true);
+
+    const ranked = rankFacilities([
+      { id: 'near-full', availability: { state: 'full' }, driveMinutes: 5 },
+      { id: 'far-open', availability: { state: 'open' }, driveMinutes: 40 },
+      { id: 'near-open', availability: { state: 'open' }, driveMinutes: 12 },
+      { id: 'no-eta', availability: { state: 'open' }, driveMinutes: null, distanceKm: 3 }
+    ]);
+    expect(ranked.map(site => site.id)).toEqual(['near-open', 'far-open', 'no-eta', 'near-full']);
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  REQUEST_SORT,
+  estimateDriveMinutes,
+  passesDriveTimeFilter,
+  sortRequests,
+  withTravelEstimate
+} from '../filterUtils';
+
+jest.mock('../logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+describe('ETA ranking helpers', () => {
+  // Close as the crow flies but across the lagoon, vs. further away on a straight road
+  const acrossLagoon = { id: 'a', distance: 1.2 };
+  const downTheRoad = { id: 'b', distance: 2.5 };
+  const estimates = {
+    a: { distanceKm: 7.8, durationMinutes: 24, approximate: false },
+    b: { distanceKm: 2.9, durationMinutes: 8, approximate: false }
+  };
+
+  test('sorts by straight-line distance by default', () => {
+    expect(sortRequests([downTheRoad, acrossLagoon]).map(r => r.id)).toEqual(['a', 'b']);
+  });
+
+  test('sorts by road ETA when asked', () => {
+    const withEta = [acrossLagoon, downTheRoad].map(r => withTravelEstimate(r, estimates[r.id]));
+    expect(sortRequests(withEta, REQUEST_SORT.ETA).map(r => r.id)).toEqual(['b', 'a']);
+    expect(withEta[0]).toMatchObject({ etaMinutes: 24, roadDistanceKm: 7.8, etaApproximate: false });
+  });
+
+  test('falls back to a straight-line estimate until the lookup returns', () => {
+    const request = withTravelEstimate({ id: 'c', distance: 2 });
+    expect(request.etaApproximate).toBe(true);
+    expect(request.etaMinutes).toBeCloseTo(estimateDriveMinutes(2));
+  });
+
+  test('puts unreachable requests last and hides them under a drive time limit', () => {
+    const unreachable = withTravelEstimate({ id: 'd', distance: 0.5 }, { distanceKm: null, durationMinutes: null });
+    const reachable = withTravelEstimate(downTheRoad, estimates.b);
+
+    expect(sortRequests([unreachable, reachable], REQUEST_SORT.ETA).map(r => r.id)).toEqual(['b', 'd']);
+    expect(passesDriveTimeFilter(unreachable, 15)).toBe(false);
+    expect(passesDriveTimeFilter(reachable, 15)).toBe(true);
+    expect(passesDriveTimeFilter(withTravelEstimate(acrossLagoon, estimates.a), 15)).toBe(false);
+    expect(passesDriveTimeFilter(unreachable, 0)).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+import { loyaltyTierProgress, qualifiesForTier, formatCriterionValue } from '../loyaltyTiers';
+
+// As seeded by the loyalty tier migration
+const levels = [
+  { tier: 'Platinum', rank: 3, cashback_rate: 0.03, monthly_cap: 300, min_jobs: 100, min_disposal_compliance: 0.97, min_rating: 4.7, max_cancellation_rate: 0.05 },
+  { tier: 'Silver', rank: 1, cashback_rate: 0.01, monthly_cap: 100, min_jobs: 0, min_disposal_compliance: 0, min_rating: 0, max_cancellation_rate: 1 },
+  { tier: 'Gold', rank: 2, cashback_rate: 0.02, monthly_cap: 200, min_jobs: 40, min_disposal_compliance: 0.9, min_rating: 4.3, max_cancellation_rate: 0.1 }
+];
+
+describe('loyalty tier progress', () => {
+  test('shows each Gold requirement against a Silver collector\'s month so far', () => {
+    const progress = loyaltyTierProgress({
+      tier: 'Silver',
+      metrics: { completed_jobs: 30, disposal_compliance: 0.95, rating: 4.1, cancellation_rate: 0.2 },
+      levels
+    });
+
+    expect(progress.next.tier).toBe('Gold');
+    expect(progress.onTrack).toBe(false);
+    expect(progress.criteria.map(item => [item.key, item.met])).toEqual([
+      ['jobs', false], ['compliance', true], ['rating', false], ['cancellations', false]
+    ]);
+    expect(progress.criteria[0].progress).toBeCloseTo(0.75);
+    expect(progress.criteria[3].progress).toBeCloseTo(0.5);
+    expect(formatCriterionValue(progress.criteria[3], progress.criteria[3].target)).toBe('10%');
+  });
+
+  test('no ratings or pickups yet do not count against a tier, like loyalty_tier_qualifies', () => {
+    const metrics = { completed_jobs: 45, disposal_compliance: null, rating: null, cancellation_rate: 0 };
+
+    expect(qualifiesForTier(metrics, levels[2])).toBe(true);
+    expect(qualifiesForTier(metrics, levels[0])).toBe(false);
+    expect(loyaltyTierProgress({ tier: 'Platinum', metrics, levels }).next).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { TILE_TYPE, openPmtiles } from '../pmtiles';
+import { isMbtiles, mbtilesToPmtiles, openMbtiles, readSqliteVarint } from '../mbtiles';
+
+/*
+ * Fixtures were written with SQLite's 512-byte pages, so most tiles spill onto overflow
+ * pages and the tile table needs interior pages:
+ *   raster.mbtiles        plain `tiles` table, png, zooms 0-2 complete and half of zoom 3
+ *   deduplicated.mbtiles  `map` + `images` behind a `tiles` view, webp, two shared images
+ * Each tile's bytes are tileBytes(z, x, y) of its XYZ address.
+ */
+const fixture = (name) => new Uint8Array(readFileSync(join(__dirname, 'fixtures', name)));
+
+const tileBytes = (z, x, y) => Array.from(
+  { length: 20 + ((x + y + z) * 397) % 1400 },
+  (_, i) => (z * 31 + x * 7 + y * 3 + i) & 255
+);
+
+const bufferSource = (buffer) => ({
+  getBytes: async (offset, length) => buffer.slice(offset, offset + length).buffer,
+  slice: (offset, length) => buffer.subarray(offset, offset + length)
+});
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let at = 0;
+  parts.forEach(part => {
+    out.set(part, at);
+    at += part.length;
+  });
+  return out;
+};
+
+const convert = async (name) => openPmtiles(bufferSource(concat(await mbtilesToPmtiles(bufferSource(fixture(name))))));
+
+describe('mbtiles', () => {
+  it('recognises SQLite files', () => {
+    expect(isMbtiles(fixture('raster.mbtiles'))).toBe(true);
+    expect(isMbtiles(new TextEncoder().encode('PMTiles'))).toBe(false);
+  });
+
+  it('reads SQLite varints, including the nine-byte form', () => {
+    const cursor = { pos: 0 };
+    const bytes = Uint8Array.from([0x81, 0x00, 0x7f, ...Array(8).fill(0x80), 0xff]);
+    expect(readSqliteVarint(bytes, cursor)).toBe(128);
+    expect(readSqliteVarint(bytes, cursor)).toBe(127);
+    // All eight bits of the ninth byte count
+    expect(readSqliteVarint(bytes, cursor)).toBe(255);
+    expect(cursor.pos).toBe(bytes.length);
+  });
+
+  it('reads the metadata table and flips tile rows to XYZ', async () => {
+    const { metadata, readTiles } = await openMbtiles(bufferSource(fixture('raster.mbtiles')));
+    expect(metadata).toMatchObject({ name: 'Test region', format: 'png', bounds: '-3.25,4.7,1.2,11.2' });
+
+    const tiles = await readTiles();
+    expect(tiles).toHaveLength(1 + 4 + 16 + 32);
+    const tile = tiles.find(({ z, x, y }) => z === 2 && x === 0 && y === 3);
+    expect(tile.length).toBe(tileBytes(2, 0, 3).length);
+    expect(tile.ranges.length).toBeGreaterThan(1);
+  });
+
+  it('converts a tiles table into a PMTiles archive', async () => {
+    const archive = await convert('raster.mbtiles');
+    expect(archive.header).toMatchObject({ tileType: TILE_TYPE.PNG, minZoom: 0, maxZoom: 3 });
+    expect(archive.header.bounds).toEqual({ west: -3.25, south: 4.7, east: 1.2, north: 11.2 });
+    expect(archive.header.center).toEqual({ zoom: 6, lng: -1, lat: 7.9 });
+
+    for (const [z, x, y] of [[0, 0, 0], [1, 1, 0], [2, 3, 1], [3, 2, 4]]) {
+      expect(Array.from(new Uint8Array(await archive.getTile(z, x, y)))).toEqual(tileBytes(z, x, y));
+    }
+    expect(await archive.getTile(3, 1, 0)).toBeNull();
+  });
+
+  it('converts the deduplicated layout, storing shared images once', async () => {
+    const archive = await convert('deduplicated.mbtiles');
+    expect(archive.header.tileType).toBe(TILE_TYPE.WEBP);
+
+    const sea = tileBytes(0, 0, 0);
+    expect(Array.from(new Uint8Array(await archive.getTile(0, 0, 0)))).toEqual(sea);
+    expect(Array.from(new Uint8Array(await archive.getTile(1, 1, 1)))).toEqual(sea);
+    expect(Array.from(new Uint8Array(await archive.getTile(2, 1, 1)))).toEqual(tileBytes(2, 1, 1));
+    expect(await archive.getTile(1, 0, 1)).toBeNull();
+    expect(archive.header.tileDataLength).toBe(sea.length + tileBytes(2, 1, 1).length);
+  });
+
+  it('rejects files that are not SQLite', async () => {
+    await expect(openMbtiles(bufferSource(new Uint8Array(100)))).rejects.toThrow('Not an MBTiles file');
+  });
+});
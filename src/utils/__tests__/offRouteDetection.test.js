@@ -0,0 +1,93 @@
+import {
+  ROUTE_STATUS,
+  createOffRouteDetector,
+  headingDifference,
+  locateOnPolyline
+} from '../offRouteDetection';
+
+// A straight road heading north from Accra, ~1.1 km long
+const ROAD = [{ lat: 5.6, lng: -0.18 }, { lat: 5.61, lng: -0.18 }];
+// ~0.00009° of longitude ≈ 10 m at this latitude
+const east = (meters) => -0.18 + meters * 0.000009;
+
+describe('locateOnPolyline', () => {
+  test('measures the distance to the nearest segment and how far along it is', () => {
+    const located = locateOnPolyline({ lat: 5.605, lng: east(50) }, ROAD);
+
+    expect(located.distance).toBeCloseTo(50, -1);
+    expect(located.point.lng).toBeCloseTo(-0.18, 6);
+    expect(located.distanceAlong).toBeCloseTo(556, -1);
+    expect(located.bearing).toBeCloseTo(0, 3);
+  });
+
+  test('returns null without a usable route', () => {
+    expect(locateOnPolyline({ lat: 5.6, lng: -0.18 }, [ROAD[0]])).toBeNull();
+  });
+});
+
+describe('headingDifference', () => {
+  test('wraps around north', () => {
+    expect(headingDifference(350, 10)).toBe(20);
+    expect(headingDifference(90, 270)).toBe(180);
+  });
+});
+
+describe('createOffRouteDetector', () => {
+  const fix = (meters, extra = {}) => ({ lat: 5.605, lng: east(meters), ...extra });
+
+  test('needs several off-route fixes before rerouting', () => {
+    const detector = createOffRouteDetector({ confirmFixes: 3 });
+
+    expect(detector.update(fix(60), ROAD, 0).shouldReroute).toBe(false);
+    expect(detector.update(fix(60), ROAD, 1000).shouldReroute).toBe(false);
+    const third = detector.update(fix(60), ROAD, 2000);
+    expect(third.status).toBe(ROUTE_STATUS.OFF_ROUTE);
+    expect(third.shouldReroute).toBe(true);
+  });
+
+  test('a single GPS jump in between resets the count', () => {
+    const detector = createOffRouteDetector({ confirmFixes: 2 });
+
+    detector.update(fix(60), ROAD, 0);
+    detector.update(fix(2), ROAD, 1000);
+    expect(detector.update(fix(60), ROAD, 2000).status).toBe(ROUTE_STATUS.ON_ROUTE);
+  });
+
+  test('stays off-route until well inside the corridor', () => {
+    const detector = createOffRouteDetector({ confirmFixes: 1, thresholdMeters: 30, rejoinMeters: 15 });
+
+    detector.update(fix(60), ROAD, 0);
+    expect(detector.update(fix(20), ROAD, 1000).status).toBe(ROUTE_STATUS.OFF_ROUTE);
+    expect(detector.update(fix(5), ROAD, 2000).status).toBe(ROUTE_STATUS.ON_ROUTE);
+  });
+
+  test('driving against the route counts even inside the corridor', () => {
+    const detector = createOffRouteDetector({ confirmFixes: 2 });
+    const southbound = { heading: 180, speed: 8 };
+
+    detector.update(fix(20, southbound), ROAD, 0);
+    const second = detector.update(fix(20, southbound), ROAD, 1000);
+    expect(second.wrongWay).toBe(true);
+    expect(second.shouldReroute).toBe(true);
+
+    // Same position and direction while parked: heading isn't trusted
+    const parked = createOffRouteDetector({ confirmFixes: 1 });
+    expect(parked.update(fix(20, { heading: 180, speed: 0 }), ROAD, 0).status).toBe(ROUTE_STATUS.ON_ROUTE);
+  });
+
+  test('ignores inaccurate fixes and widens the corridor for mediocre ones', () => {
+    const detector = createOffRouteDetector({ confirmFixes: 1, maxAccuracyMeters: 50 });
+
+    expect(detector.update(fix(80, { accuracy: 120 }), ROAD, 0).status).toBe(ROUTE_STATUS.UNKNOWN);
+    expect(detector.update(fix(35, { accuracy: 40 }), ROAD, 0).status).toBe(ROUTE_STATUS.ON_ROUTE);
+  });
+
+  test('waits for the cooldown between reroutes', () => {
+    const detector = createOffRouteDetector({ confirmFixes: 1, cooldownMs: 15000 });
+
+    expect(detector.update(fix(60), ROAD, 0).shouldReroute).toBe(true);
+    detector.reset();
+    expect(detector.update(fix(60), ROAD, 5000).shouldReroute).toBe(false);
+    expect(detector.update(fix(60), ROAD, 16000).shouldReroute).toBe(true);
+  });
+});
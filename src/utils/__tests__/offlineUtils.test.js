@@ -0,0 +1,151 @@
+jest.mock('../logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+// In-memory stand-in for the IndexedDB store
+jest.mock('localforage', () => {
+  const store = new Map();
+  return {
+    createInstance: () => ({
+      setItem: jest.fn(async (key, value) => { store.set(key, value); return value; }),
+      getItem: jest.fn(async (key) => store.get(key) ?? null),
+      removeItem: jest.fn(async (key) => { store.delete(key); }),
+      clear: jest.fn(async () => { store.clear(); }),
+      iterate: jest.fn(async (callback) => { store.forEach((value, key) => callback(value, key)); })
+    })
+  };
+});
+
+import {
+  addToOfflineQueue,
+  getOfflineQueue,
+  processOfflineQueue,
+  retryOfflineAction,
+  clearOfflineQueue,
+  getBackoffDelay,
+  OfflineConflictError,
+  QUEUE_ITEM_STATUS,
+  QUEUE_ENTITY_TYPES,
+  toEntityKey
+} from '../offlineUtils';
+
+describe('offline action queue', () => {
+  const pickup = (id) => ({ entityType: QUEUE_ENTITY_TYPES.PICKUP_REQUEST, entityId: id });
+
+  beforeEach(async () => {
+    await clearOfflineQueue();
+  });
+
+  test('assigns idempotency keys and does not enqueue the same key twice', async () => {
+    const first = await addToOfflineQueue('statusChange', { newStatus: 'en_route' }, pickup('a'));
+    const again = await addToOfflineQueue('statusChange', { newStatus: 'en_route' }, {
+      ...pickup('a'),
+      idempotencyKey: first.idempotencyKey
+    });
+
+    expect(first.idempotencyKey).toEqual(expect.any(String));
+    expect(again.id).toBe(first.id);
+    expect(await getOfflineQueue()).toHaveLength(1);
+  });
+
+  test('replays actions for the same entity in queue order', async () => {
+    await addToOfflineQueue('statusChange', { newStatus: 'en_route' }, pickup('a'));
+    await addToOfflineQueue('statusChange', { newStatus: 'arrived' }, pickup('a'));
+    await addToOfflineQueue('statusChange', { newStatus: 'accepted' }, pickup('b'));
+
+    const seen = [];
+    const results = await processOfflineQueue(async (type, payload, item) => {
+      seen.push(`${item.entityId}:${payload.newStatus}`);
+      return { ok: true };
+    });
+
+    expect(seen).toEqual(['a:en_route', 'a:arrived', 'b:accepted']);
+    expect(results.every(result => result.success)).toBe(true);
+    expect(await getOfflineQueue()).toHaveLength(0);
+  });
+
+  test('a failure backs off and blocks later actions on the same entity only', async () => {
+    await addToOfflineQueue('statusChange', { newStatus: 'en_route' }, pickup('a'));
+    await addToOfflineQueue('statusChange', { newStatus: 'arrived' }, pickup('a'));
+    await addToOfflineQueue('statusChange', { newStatus: 'accepted' }, pickup('b'));
+
+    const seen = [];
+    await processOfflineQueue(async (type, payload, item) => {
+      seen.push(`${item.entityId}:${payload.newStatus}`);
+      if (item.entityId === 'a') throw new Error('Network request failed');
+      return { ok: true };
+    });
+
+    const queue = await getOfflineQueue();
+    expect(seen).toEqual(['a:en_route', 'b:accepted']);
+    expect(queue).toHaveLength(2);
+    expect(queue[0]).toMatchObject({ status: QUEUE_ITEM_STATUS.FAILED, attempts: 1 });
+    expect(new Date(queue[0].nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+    expect(queue[1].status).toBe(QUEUE_ITEM_STATUS.PENDING);
+
+    // Still backing off: nothing is attempted
+    const processor = jest.fn();
+    await processOfflineQueue(processor);
+    expect(processor).not.toHaveBeenCalled();
+  });
+
+  test('conflicts are parked until the driver retries', async () => {
+    const item = await addToOfflineQueue('statusChange', { newStatus: 'collecting' }, pickup('a'));
+
+    await processOfflineQueue(async () => {
+      throw new OfflineConflictError('Request was cancelled', { status: 'cancelled' });
+    });
+
+    let [queued] = await getOfflineQueue();
+    expect(queued.status).toBe(QUEUE_ITEM_STATUS.CONFLICT);
+    expect(queued.serverState).toEqual({ status: 'cancelled' });
+
+    const processor = jest.fn(async () => ({ ok: true }));
+    await processOfflineQueue(processor);
+    expect(processor).not.toHaveBeenCalled();
+
+    await retryOfflineAction(item.id);
+    [queued] = await getOfflineQueue();
+    expect(queued.status).toBe(QUEUE_ITEM_STATUS.PENDING);
+
+    await processOfflineQueue(processor);
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(await getOfflineQueue()).toHaveLength(0);
+  });
+
+  test('an action waits for the entities it depends on', async () => {
+    const trip = {
+      entityType: QUEUE_ENTITY_TYPES.DISPOSAL_TRIP,
+      entityId: 't1',
+      dependsOn: [toEntityKey(QUEUE_ENTITY_TYPES.PICKUP_REQUEST, 'a'), toEntityKey(QUEUE_ENTITY_TYPES.PICKUP_REQUEST, 'b')]
+    };
+    await addToOfflineQueue('statusChange', { newStatus: 'picked_up' }, pickup('a'));
+    await addToOfflineQueue('statusChange', { newStatus: 'picked_up' }, pickup('b'));
+    await addToOfflineQueue('completeDisposalTrip', {}, trip);
+
+    // b fails, so the trip must not go even though a went through
+    const seen = [];
+    await processOfflineQueue(async (type, payload, item) => {
+      seen.push(item.entityId);
+      if (item.entityId === 'b') throw new Error('Network request failed');
+      return { ok: true };
+    });
+    expect(seen).toEqual(['a', 'b']);
+    expect((await getOfflineQueue()).map(item => item.entityId)).toEqual(['b', 't1']);
+
+    const [failed] = await getOfflineQueue();
+    await retryOfflineAction(failed.id);
+    const processor = jest.fn(async () => ({ ok: true }));
+    await processOfflineQueue(processor);
+    expect(processor.mock.calls.map(([, , item]) => item.entityId)).toEqual(['b', 't1']);
+    expect(await getOfflineQueue()).toHaveLength(0);
+  });
+
+  test('backoff grows exponentially and is capped', () => {
+    expect(getBackoffDelay(1)).toBeGreaterThanOrEqual(1600);
+    expect(getBackoffDelay(1)).toBeLessThanOrEqual(2000);
+    expect(getBackoffDelay(3)).toBeGreaterThanOrEqual(6400);
+    expect(getBackoffDelay(3)).toBeLessThanOrEqual(8000);
+    expect(getBackoffDelay(50)).toBeLessThanOrEqual(5 * 60 * 1000);
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  toStatementLine,
+  summarizeStatement,
+  buildStatementCsv,
+  buildStatementPdf,
+  statementFileName
+} from '../payoutStatement';
+import { parseCsv } from '../../../supabase/functions/_shared/settlementStatement';
+
+const withdrawal = {
+  id: '7d3f0c2e-91aa-4a43-b1f4-0e2d6f1c9a10',
+  amount: 41.5,
+  status: 'completed',
+  source: 'scheduled',
+  network: 'MTN',
+  phone_number: '0241234567',
+  created_at: '2026-10-16T17:00:12Z'
+};
+
+const row = (overrides = {}) => ({
+  item_type: 'digital_bin',
+  item_id: 'b1',
+  location: 'East Legon, Accra',
+  waste_type: 'general',
+  completed_at: '2026-10-15T10:20:00Z',
+  gross_fee: '30.00',
+  deadhead_km: '4.2',
+  core_payout: '15.00',
+  deadhead_payout: '2.10',
+  urgent_payout: '3.00',
+  surge_payout: '1.40',
+  surge_multiplier: '1.2',
+  tips: '2.00',
+  recyclables_payout: '0',
+  loyalty_cashback: '0.50',
+  platform_fee: '8.50',
+  collector_total: '24.00',
+  amount_paid: '24.00',
+  ...overrides
+});
+
+const statement = () => ({
+  withdrawal,
+  lines: [
+    row(),
+    row({ item_type: 'pickup_request', item_id: 'p9', location: '=HYPERLINK("x")', gross_fee: 20, core_payout: 12,
+      deadhead_payout: 0, urgent_payout: 0, surge_payout: 0, tips: 0, loyalty_cashback: 0, platform_fee: 8,
+      collector_total: 17.5, amount_paid: 17.5 })
+  ].map(toStatementLine)
+});
+
+describe('payout statements', () => {
+  test('totals the money columns', () => {
+    expect(summarizeStatement(statement().lines)).toMatchObject({
+      grossFee: 50, corePayout: 27, deadheadPayout: 2.1, platformFee: 16.5, amountPaid: 41.5
+    });
+  });
+
+  test('CSV lists every job with its payout split and a total row', () => {
+    const rows = parseCsv(buildStatementCsv(statement()));
+    const header = rows.findIndex(r => r[0] === 'Date');
+    const columns = rows[header];
+
+    expect(rows[0]).toEqual(['Payout', withdrawal.id]);
+    expect(rows.find(r => r[0] === 'Paid to')).toEqual(['Paid to', 'MTN 024****567']);
+    expect(columns).toEqual(expect.arrayContaining(['Gross fee (GHS)', 'Deadhead share (GHS)', 'Urgent (GHS)', 'Surge (GHS)', 'Tips (GHS)', 'Platform fee (GHS)']));
+
+    const [bin, pickup, total] = rows.slice(header + 1);
+    const cell = (r, label) => r[columns.indexOf(label)];
+    expect(cell(bin, 'Location')).toBe('East Legon, Accra');
+    expect(cell(bin, 'Deadhead share (GHS)')).toBe('2.10');
+    expect(cell(bin, 'Surge x')).toBe('1.2');
+    expect(cell(pickup, 'Type')).toBe('Pickup');
+    expect(cell(pickup, 'Location')).toBe('\'=HYPERLINK("x")');
+    expect(total[0]).toBe('Total');
+    expect(cell(total, 'Paid in this payout (GHS)')).toBe('41.50');
+  });
+
+  test('PDF is a well-formed document with a valid cross-reference table', () => {
+    const pdf = buildStatementPdf(statement());
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('(TrashDrop collector payout statement)');
+    expect(pdf).toContain('=HYPERLINK\\("x"\\)');
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  test('names files by date and payout', () => {
+    expect(statementFileName(withdrawal, 'csv')).toBe('trashdrop-payout-2026-10-16-7d3f0c2e.csv');
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  readExifMetadata,
+  checkEvidenceSet,
+  evidenceErrorMessage,
+  fitWithin,
+  EVIDENCE_STAGES
+} from '../photoEvidence';
+
+// Big-endian JPEG with just an APP1 segment: DateTimeOriginal and a GPS fix
+const buildExifJpeg = ({ takenAt, lat, latRef, lng, lngRef }) => {
+  const tiff = new DataView(new ArrayBuffer(178));
+  const ascii = (offset, text) => [...text].forEach((char, i) => tiff.setUint8(offset + i, char.charCodeAt(0)));
+  const entry = (offset, tag, type, count, value) => {
+    tiff.setUint16(offset, tag);
+    tiff.setUint16(offset + 2, type);
+    tiff.setUint32(offset + 4, count);
+    tiff.setUint32(offset + 8, value);
+  };
+  const rationals = (offset, values) => values.forEach(([num, den], i) => {
+    tiff.setUint32(offset + i * 8, num);
+    tiff.setUint32(offset + i * 8 + 4, den);
+  });
+
+  ascii(0, 'MM');
+  tiff.setUint16(2, 42);
+  tiff.setUint32(4, 8);
+
+  tiff.setUint16(8, 2); // IFD0
+  entry(10, 0x8769, 4, 1, 38);
+  entry(22, 0x8825, 4, 1, 76);
+
+  tiff.setUint16(38, 1); // Exif IFD
+  entry(40, 0x9003, 2, 20, 56);
+  ascii(56, takenAt);
+
+  tiff.setUint16(76, 4); // GPS IFD
+  entry(78, 0x0001, 2, 2, 0);
+  ascii(86, latRef);
+  entry(90, 0x0002, 5, 3, 130);
+  entry(102, 0x0003, 2, 2, 0);
+  ascii(110, lngRef);
+  entry(114, 0x0004, 5, 3, 154);
+  rationals(130, lat);
+  rationals(154, lng);
+
+  const jpeg = new Uint8Array(2 + 4 + 6 + tiff.byteLength + 2);
+  const view = new DataView(jpeg.buffer);
+  view.setUint16(0, 0xffd8);
+  view.setUint16(2, 0xffe1);
+  view.setUint16(4, 2 + 6 + tiff.byteLength);
+  jpeg.set([0x45, 0x78, 0x69, 0x66, 0, 0], 6);
+  jpeg.set(new Uint8Array(tiff.buffer), 12);
+  view.setUint16(jpeg.length - 2, 0xffd9);
+  return jpeg.buffer;
+};
+
+describe('photo evidence', () => {
+  test('reads capture time and GPS position from EXIF', () => {
+    const buffer = buildExifJpeg({
+      takenAt: '2026:10:29 14:05:09',
+      lat: [[5, 1], [36, 1], [18, 1]],
+      latRef: 'N',
+      lng: [[0, 1], [11, 1], [132, 10]],
+      lngRef: 'W'
+    });
+
+    const exif = readExifMetadata(buffer);
+
+    expect(exif.takenAt).toBe('2026-10-29T14:05:09');
+    expect(exif.latitude).toBeCloseTo(5.605, 6);
+    expect(exif.longitude).toBeCloseTo(-0.187, 6);
+    expect(readExifMetadata(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toEqual({
+      takenAt: null, latitude: null, longitude: null
+    });
+  });
+
+  test('needs before shots and later after shots taken inside the geofence', () => {
+    const target = [5.6037, -0.187];
+    const at = (minutes) => new Date(Date.UTC(2026, 9, 29, 9, minutes)).toISOString();
+    const onSite = { lat: 5.6038, lng: -0.1871, accuracy: 8 };
+    const photos = [
+      { id: 'b1', stage: EVIDENCE_STAGES.BEFORE, capturedAt: at(10), location: onSite },
+      { id: 'a0', stage: EVIDENCE_STAGES.AFTER, capturedAt: at(5), location: onSite },
+      { id: 'a1', stage: EVIDENCE_STAGES.AFTER, capturedAt: at(40), location: onSite },
+      { id: 'a2', stage: EVIDENCE_STAGES.AFTER, capturedAt: at(41), location: { lat: 5.61, lng: -0.187, accuracy: 10 } },
+      { id: 'a3', stage: EVIDENCE_STAGES.AFTER, capturedAt: at(42), location: null }
+    ];
+
+    const partial = checkEvidenceSet(photos, { jobType: 'assignment', target });
+    expect(partial.complete).toBe(false);
+    expect(partial.after).toBe(1);
+    expect(partial.rejected).toEqual({ a2: 'outside_geofence', a3: 'no_location' });
+    expect(partial.problems).toEqual(['outside_geofence', 'no_location', 'missing_after']);
+
+    const complete = checkEvidenceSet(
+      [...photos, { id: 'a4', stage: EVIDENCE_STAGES.AFTER, capturedAt: at(43), location: onSite }],
+      { jobType: 'assignment', target }
+    );
+    expect(complete.complete).toBe(true);
+    expect(checkEvidenceSet([], { jobType: 'assignment', target }).problems).toEqual(['missing_before', 'missing_after']);
+  });
+
+  test('explains a completion the server refused and scales without upscaling', () => {
+    const message = evidenceErrorMessage({
+      code: 'PT422',
+      hint: 'evidence_required',
+      details: JSON.stringify({ problems: ['missing_before'] })
+    });
+
+    expect(message).toMatch(/before/);
+    expect(evidenceErrorMessage({ code: 'PT409' })).toBeNull();
+    expect(fitWithin(4000, 3000)).toEqual({ width: 1600, height: 1200 });
+    expect(fitWithin(800, 600)).toEqual({ width: 800, height: 600 });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+import {
+  COMPRESSION,
+  HEADER_BYTES,
+  TILE_TYPE,
+  findEntry,
+  openPmtiles,
+  parseDirectory,
+  parseHeader,
+  readVarint,
+  writePmtiles,
+  zxyToTileId
+} from '../pmtiles';
+
+const varint = (value) => {
+  const bytes = [];
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest % 128) | 0x80);
+    rest = Math.floor(rest / 128);
+  }
+  bytes.push(rest);
+  return bytes;
+};
+
+// Entries must be sorted; offsets are written explicitly (offset + 1)
+const encodeDirectory = (entries) => {
+  const bytes = [...varint(entries.length)];
+  let lastId = 0;
+  entries.forEach(entry => {
+    bytes.push(...varint(entry.tileId - lastId));
+    lastId = entry.tileId;
+  });
+  entries.forEach(entry => bytes.push(...varint(entry.runLength)));
+  entries.forEach(entry => bytes.push(...varint(entry.length)));
+  entries.forEach(entry => bytes.push(...varint(entry.offset + 1)));
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Uncompressed archive: tiles is [{ z, x, y, bytes }]; with leafSplit the root holds one
+ * leaf pointer and the tile entries live in a leaf directory
+ */
+const buildArchive = (tiles, { leafSplit = false, minZoom = 0, maxZoom = 2 } = {}) => {
+  const sorted = tiles
+    .map(tile => ({ ...tile, tileId: zxyToTileId(tile.z, tile.x, tile.y) }))
+    .sort((a, b) => a.tileId - b.tileId);
+
+  let offset = 0;
+  const entries = sorted.map(tile => {
+    const entry = { tileId: tile.tileId, offset, length: tile.bytes.length, runLength: 1 };
+    offset += tile.bytes.length;
+    return entry;
+  });
+  const tileData = Uint8Array.from(sorted.flatMap(tile => [...tile.bytes]));
+
+  const leaf = leafSplit ? encodeDirectory(entries) : new Uint8Array(0);
+  const root = leafSplit
+    ? encodeDirectory([{ tileId: entries[0].tileId, offset: 0, length: leaf.length, runLength: 0 }])
+    : encodeDirectory(entries);
+
+  const rootOffset = HEADER_BYTES;
+  const leafOffset = rootOffset + root.length;
+  const dataOffset = leafOffset + leaf.length;
+  const buffer = new Uint8Array(dataOffset + tileData.length);
+  const view = new DataView(buffer.buffer);
+  const u64 = (at, value) => view.setUint32(at, value, true);
+
+  buffer.set([...'PMTiles'].map(c => c.charCodeAt(0)), 0);
+  buffer[7] = 3;
+  u64(8, rootOffset);
+  u64(16, root.length);
+  u64(40, leafOffset);
+  u64(48, leaf.length);
+  u64(56, dataOffset);
+  u64(64, tileData.length);
+  buffer[97] = COMPRESSION.NONE;
+  buffer[98] = COMPRESSION.NONE;
+  buffer[99] = TILE_TYPE.PNG;
+  buffer[100] = minZoom;
+  buffer[101] = maxZoom;
+  view.setInt32(102, -3.25e7, true);
+  view.setInt32(106, 4.7e7, true);
+  view.setInt32(110, 1.2e7, true);
+  view.setInt32(114, 11.2e7, true);
+
+  buffer.set(root, rootOffset);
+  buffer.set(leaf, leafOffset);
+  buffer.set(tileData, dataOffset);
+  return buffer;
+};
+
+const bufferSource = (buffer) => ({
+  getBytes: async (offset, length) => buffer.slice(offset, offset + length).buffer
+});
+
+describe('pmtiles', () => {
+  it('numbers tiles along the Hilbert curve, lower zooms first', () => {
+    expect(zxyToTileId(0, 0, 0)).toBe(0);
+    expect([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => zxyToTileId(1, x, y))).toEqual([1, 2, 3, 4]);
+    expect(zxyToTileId(2, 0, 0)).toBe(5);
+    expect(() => zxyToTileId(1, 2, 0)).toThrow('outside the tile pyramid');
+  });
+
+  it('reads multi-byte varints', () => {
+    const cursor = { pos: 0 };
+    const bytes = Uint8Array.from([...varint(300), ...varint(5)]);
+    expect(readVarint(bytes, cursor)).toBe(300);
+    expect(readVarint(bytes, cursor)).toBe(5);
+    expect(cursor.pos).toBe(3);
+  });
+
+  it('decodes delta tile ids and offsets that follow the previous entry', () => {
+    // Two entries, ids 4 and 6; second offset 0 = straight after the first
+    const bytes = Uint8Array.from([2, 4, 2, 1, 3, 10, 20, 1, 0]);
+    expect(parseDirectory(bytes)).toEqual([
+      { tileId: 4, offset: 0, length: 10, runLength: 1 },
+      { tileId: 6, offset: 10, length: 20, runLength: 3 }
+    ]);
+  });
+
+  it('finds the entry covering a tile, including runs and leaf pointers', () => {
+    const entries = [
+      { tileId: 4, offset: 0, length: 10, runLength: 1 },
+      { tileId: 6, offset: 10, length: 20, runLength: 3 },
+      { tileId: 20, offset: 0, length: 50, runLength: 0 }
+    ];
+    expect(findEntry(entries, 4)).toBe(entries[0]);
+    expect(findEntry(entries, 5)).toBeNull();
+    expect(findEntry(entries, 8)).toBe(entries[1]);
+    expect(findEntry(entries, 9)).toBeNull();
+    expect(findEntry(entries, 25)).toBe(entries[2]);
+    expect(findEntry(entries, 2)).toBeNull();
+  });
+
+  it('parses the header bounds and zoom range', () => {
+    const header = parseHeader(buildArchive([{ z: 0, x: 0, y: 0, bytes: [1] }], { minZoom: 0, maxZoom: 14 }).buffer);
+    expect(header.tileType).toBe(TILE_TYPE.PNG);
+    expect(header.maxZoom).toBe(14);
+    expect(header.bounds).toEqual({ west: -3.25, south: 4.7, east: 1.2, north: 11.2 });
+  });
+
+  it('rejects MBTiles and other files with a clear error', () => {
+    const sqlite = new Uint8Array(HEADER_BYTES);
+    sqlite.set([...'SQLite format 3'].map(c => c.charCodeAt(0)));
+    expect(() => parseHeader(sqlite.buffer)).toThrow('MBTiles');
+    expect(() => parseHeader(new Uint8Array(HEADER_BYTES).buffer)).toThrow('Not a PMTiles archive');
+  });
+
+  it.each([false, true])('reads tiles from the archive (leaf directory: %s)', async (leafSplit) => {
+    const archive = await openPmtiles(bufferSource(buildArchive([
+      { z: 0, x: 0, y: 0, bytes: [10, 11] },
+      { z: 1, x: 1, y: 0, bytes: [20] },
+      { z: 2, x: 3, y: 3, bytes: [30, 31, 32] }
+    ], { leafSplit })));
+
+    expect(Array.from(new Uint8Array(await archive.getTile(1, 1, 0)))).toEqual([20]);
+    expect(Array.from(new Uint8Array(await archive.getTile(2, 3, 3)))).toEqual([30, 31, 32]);
+    expect(await archive.getTile(1, 0, 0)).toBeNull();
+    expect(await archive.getTile(3, 0, 0)).toBeNull();
+  });
+
+  it('writes archives it can read back, moving entries to leaves when the root is full', async () => {
+    // Every third tile of zoom 8, so ids don't run on; the root alone would be too big
+    const cells = Array.from({ length: 6000 }, (_, i) => [Math.floor((i * 3) / 256), (i * 3) % 256]);
+    const tiles = cells.map(([x, y], i) => ({
+      tileId: zxyToTileId(8, x, y),
+      key: i % 5000,
+      length: 2,
+      parts: [Uint8Array.from([i % 5000 % 256, Math.floor((i % 5000) / 256)])]
+    }));
+    const parts = writePmtiles(tiles, {
+      tileType: TILE_TYPE.PNG,
+      minZoom: 8,
+      maxZoom: 8,
+      bounds: { west: -3.25, south: 4.7, east: 1.2, north: 11.2 },
+      center: { zoom: 8, lng: -1, lat: 7.9 }
+    });
+    const buffer = Uint8Array.from(parts.flatMap(part => [...part]));
+
+    const archive = await openPmtiles(bufferSource(buffer));
+    expect(archive.header.leafDirectoryLength).toBeGreaterThan(0);
+    expect(archive.header.rootDirectoryOffset + archive.header.rootDirectoryLength).toBeLessThanOrEqual(16384);
+    expect(archive.header.tileDataLength).toBe(5000 * 2);
+    expect(Array.from(new Uint8Array(await archive.getTile(8, ...cells[300])))).toEqual([44, 1]);
+    // Tile 5001 shares its image with tile 1
+    expect(Array.from(new Uint8Array(await archive.getTile(8, ...cells[5001])))).toEqual([1, 0]);
+    expect(await archive.getTile(8, 0, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+import { resumableUpload, encodeUploadMetadata } from '../resumableUpload';
+
+const response = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null }
+});
+
+const ENDPOINT = 'https://project.supabase.co/storage/v1/upload/resumable';
+const file = new Blob(['0123456789'], { type: 'image/jpeg' });
+const metadata = { bucketName: 'assignment-photos', objectName: 'u/a/p.jpg', contentType: 'image/jpeg' };
+
+describe('resumable uploads', () => {
+  test('creates the upload, remembers its URL and sends the file in chunks', async () => {
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce(response(201, { location: '/storage/v1/upload/resumable/abc' }))
+      .mockResolvedValueOnce(response(204, { 'upload-offset': '4' }))
+      .mockResolvedValueOnce(response(204, { 'upload-offset': '8' }))
+      .mockResolvedValueOnce(response(204, { 'upload-offset': '10' }));
+    const onUploadUrl = jest.fn();
+
+    const result = await resumableUpload({ endpoint: ENDPOINT, file, metadata, onUploadUrl, chunkSize: 4, fetchImpl });
+
+    expect(result.uploadUrl).toBe(`${ENDPOINT}/abc`);
+    expect(onUploadUrl).toHaveBeenCalledWith(`${ENDPOINT}/abc`);
+    expect(fetchImpl.mock.calls[0][1].headers['upload-length']).toBe('10');
+    expect(fetchImpl.mock.calls[0][1].headers['upload-metadata']).toBe(encodeUploadMetadata(metadata));
+    expect(fetchImpl.mock.calls.slice(1).map(([, init]) => init.headers['upload-offset'])).toEqual(['0', '4', '8']);
+  });
+
+  test('picks up an earlier upload from the offset the server has', async () => {
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce(response(200, { 'upload-offset': '8' }))
+      .mockResolvedValueOnce(response(204, { 'upload-offset': '10' }));
+
+    await resumableUpload({ endpoint: ENDPOINT, file, metadata, uploadUrl: `${ENDPOINT}/abc`, chunkSize: 4, fetchImpl });
+
+    expect(fetchImpl.mock.calls.map(([, init]) => init.method)).toEqual(['HEAD', 'PATCH']);
+    expect(fetchImpl.mock.calls[1][1].headers['upload-offset']).toBe('8');
+    expect(fetchImpl.mock.calls[1][1].body.size).toBe(2);
+  });
+});
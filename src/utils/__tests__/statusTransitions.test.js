@@ -0,0 +1,66 @@
+import {
+  canTransition,
+  getTransitionPath,
+  assertTransition,
+  toStatusTransitionError,
+  StatusTransitionError
+} from '../statusTransitions';
+
+describe('pickup status transitions', () => {
+  test('allows forward steps and rejects leaving terminal statuses', () => {
+    expect(canTransition('accepted', 'en_route')).toBe(true);
+    expect(canTransition('collecting', 'disposed')).toBe(true);
+    expect(canTransition('disposed', 'collecting')).toBe(false);
+    expect(canTransition('cancelled', 'accepted')).toBe(false);
+  });
+
+  test('walks every intermediate lifecycle step', () => {
+    expect(getTransitionPath('accepted', 'collecting')).toEqual(['en_route', 'arrived', 'collecting']);
+    expect(getTransitionPath('arrived', 'arrived')).toEqual([]);
+  });
+
+  test('falls back to a single allowed step off the main path', () => {
+    expect(getTransitionPath('en_route', 'cancelled')).toEqual(['cancelled']);
+    expect(getTransitionPath('completed', 'collecting')).toBeNull();
+  });
+});
+
+describe('StatusTransitionError', () => {
+  test('assertTransition throws a typed error with a message for the driver', () => {
+    expect(() => assertTransition('completed', 'collecting', 'pickup_request')).toThrow(StatusTransitionError);
+
+    try {
+      assertTransition('completed', 'collecting', 'pickup_request');
+    } catch (error) {
+      expect(error.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(error.fromStatus).toBe('completed');
+      expect(error.message).toBe("This job is completed and can't be marked as picked up.");
+    }
+  });
+
+  test('an accept that lost to another collector says so', () => {
+    const taken = new StatusTransitionError('accepted', 'accepted', { reason: 'taken', entityType: 'pickup_request' });
+    expect(taken.reason).toBe('taken');
+    expect(taken.message).toBe('Another collector has already accepted this job.');
+  });
+
+  test('legacy spellings follow the same rules', () => {
+    expect(canTransition('available', 'accepted')).toBe(true);
+    expect(getTransitionPath('picked_up', 'completed')).toEqual(['completed']);
+  });
+
+  test('maps trigger rejections from PostgREST and leaves other errors alone', () => {
+    const rejected = toStatusTransitionError({
+      code: 'PT409',
+      message: 'Invalid status transition from disposed to arrived',
+      details: JSON.stringify({ entity_type: 'digital_bin', from_status: 'disposed', to_status: 'arrived' })
+    }, 'arrived');
+
+    expect(rejected).toBeInstanceOf(StatusTransitionError);
+    expect(rejected.entityType).toBe('digital_bin');
+    expect(rejected.fromStatus).toBe('disposed');
+
+    const networkError = { code: '', message: 'Failed to fetch' };
+    expect(toStatusTransitionError(networkError, 'arrived')).toBe(networkError);
+  });
+});
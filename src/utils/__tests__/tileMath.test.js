@@ -0,0 +1,61 @@
+import {
+  countTiles,
+  estimateTileBytes,
+  formatBytes,
+  getTileRanges,
+  latLngToTile,
+  tileAtIndex
+} from '../tileMath';
+
+// Central Accra, roughly Kaneshie to Osu
+const CENTRAL_ACCRA = { north: 5.6, south: 5.54, west: -0.24, east: -0.16 };
+
+describe('tileMath', () => {
+  test('finds the tile under a coordinate', () => {
+    expect(latLngToTile(0, 0, 1)).toEqual({ x: 1, y: 1, z: 1 });
+    // Independence Square at zoom 15
+    expect(latLngToTile(5.5475, -0.1925, 15)).toEqual({ x: 16366, y: 15878, z: 15 });
+  });
+
+  test('counts tiles per zoom without listing them', () => {
+    const ranges = getTileRanges(CENTRAL_ACCRA, 12, 14);
+
+    expect(ranges.map(range => range.z)).toEqual([12, 13, 14]);
+    ranges.forEach(range => {
+      expect(range.count).toBe((range.xMax - range.xMin + 1) * (range.yMax - range.yMin + 1));
+    });
+    expect(countTiles(ranges)).toBe(ranges[0].count + ranges[1].count + ranges[2].count);
+    // Each zoom level roughly quadruples the tile count
+    expect(ranges[2].count).toBeGreaterThan(ranges[1].count * 2);
+  });
+
+  test('addresses every tile exactly once by index', () => {
+    const ranges = getTileRanges(CENTRAL_ACCRA, 13, 15);
+    const total = countTiles(ranges);
+    const seen = new Set();
+
+    for (let i = 0; i < total; i++) {
+      const { z, x, y } = tileAtIndex(ranges, i);
+      seen.add(`${z}/${x}/${y}`);
+    }
+
+    expect(seen.size).toBe(total);
+    expect(tileAtIndex(ranges, total)).toBeNull();
+    expect(tileAtIndex(ranges, 0).z).toBe(13);
+    expect(tileAtIndex(ranges, total - 1).z).toBe(15);
+  });
+
+  test('estimates size from typical tile sizes or a measured average', () => {
+    const ranges = getTileRanges(CENTRAL_ACCRA, 12, 15);
+    const total = countTiles(ranges);
+
+    expect(estimateTileBytes(ranges)).toBeGreaterThan(total * 10000);
+    expect(estimateTileBytes(ranges, 5000)).toBe(total * 5000);
+  });
+
+  test('formats sizes for people', () => {
+    expect(formatBytes(300)).toBe('1 KB');
+    expect(formatBytes(12.4 * 1024 * 1024)).toBe('12.4 MB');
+    expect(formatBytes(1.25 * 1024 * 1024 * 1024)).toBe('1.3 GB');
+  });
+});
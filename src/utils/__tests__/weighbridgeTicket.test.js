@@ -0,0 +1,65 @@
+import {
+  resolveTicketWeights,
+  parseTicketText,
+  allocateTonnage,
+  loadUnitsOf,
+  WEIGHT_UNITS
+} from '../weighbridgeTicket';
+
+describe('weighbridge tickets', () => {
+  test('works out net weight and catches typos', () => {
+    expect(resolveTicketWeights({ gross: '12,340', tare: '8120' })).toEqual({
+      grossKg: 12340, tareKg: 8120, netKg: 4220, problems: []
+    });
+    expect(resolveTicketWeights({ gross: 12.34, tare: 8.12, unit: WEIGHT_UNITS.TONNE }).netKg).toBe(4220);
+    expect(resolveTicketWeights({ net: 850 }).problems).toEqual([]);
+
+    expect(resolveTicketWeights({ gross: 8000, tare: 9000 }).problems).toEqual(['tare_not_below_gross']);
+    expect(resolveTicketWeights({ gross: 12340, tare: 8120, net: 4100 }).problems).toEqual(['net_mismatch']);
+    expect(resolveTicketWeights({}).problems).toEqual(['missing_weight']);
+    expect(resolveTicketWeights({ net: 4220, unit: WEIGHT_UNITS.TONNE }).problems).toEqual(['implausible_weight']);
+  });
+
+  test('reads the figures off a ticket photo\'s text', () => {
+    const text = [
+      'KPONE ENGINEERED LANDFILL',
+      'Ticket No: KP-004512',
+      'Date: 30/10/2026 10:42',
+      'GROSS WT :  12,340 kg',
+      'TARE WT  :   8,120 kg',
+      'NET WT   :   4,220 kg',
+      'Tipping Fee GHS 50.00'
+    ].join('\n');
+
+    expect(parseTicketText(text)).toEqual({
+      ticketNumber: 'KP-004512',
+      gross: 12340,
+      tare: 8120,
+      net: 4220,
+      unit: 'kg',
+      weighedAt: '2026-10-30T10:42:00.000Z',
+      tippingFee: 50
+    });
+    expect(parseTicketText('1st Weight 12.34 t\n2nd Weight 8.12 t')).toMatchObject({ gross: 12.34, tare: 8.12, unit: 't' });
+    expect(parseTicketText('smudged')).toMatchObject({ gross: null, net: null, ticketNumber: null });
+  });
+
+  test('shares the load by bags and keeps the total exact', () => {
+    expect(loadUnitsOf({ bag_count: 3 })).toBe(3);
+    expect(loadUnitsOf({ size: 'Large' })).toBe(6);
+    expect(loadUnitsOf({})).toBe(1);
+
+    const shares = allocateTonnage(1000, [
+      { jobType: 'pickup_request', jobId: 'a', loadUnits: 1 },
+      { jobType: 'pickup_request', jobId: 'b', loadUnits: 1 },
+      { jobType: 'digital_bin', jobId: 'c', loadUnits: 1 }
+    ], 50);
+
+    expect(shares.map(share => share.netKg)).toEqual([333.4, 333.3, 333.3]);
+    expect(shares.map(share => share.tippingFee)).toEqual([16.66, 16.67, 16.67]);
+    expect(allocateTonnage(500, [
+      { jobType: 'pickup_request', jobId: 'a', loadUnits: 4 },
+      { jobType: 'assignment', jobId: 'b', loadUnits: 1 }
+    ]).map(share => share.netKg)).toEqual([400, 100]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Disposal trips: one visit to a disposal site, tipping everything in the vehicle
+ * (migration 20261101090000).
+ *
+ * The trip opens on the device when the driver enters a site's geofence and is
+ * completed by complete_disposal_trip(), which disposes every job on it in one
+ * transaction and returns a single receipt. Earnings from a disposal are only
+ * withdrawable once the job is on a completed trip.
+ */
+
+import { DISPOSAL_SITE_RADIUS_KM, kmToMeters } from '../config/geofenceConfig';
+
+export const TRIP_JOB_TYPES = {
+  PICKUP_REQUEST: 'pickup_request',
+  DIGITAL_BIN: 'digital_bin',
+  ASSIGNMENT: 'assignment'
+};
+
+/**
+ * SQLSTATE raised by complete_disposal_trip() when the completion fix is outside the
+ * site's geofence
+ */
+export const OUTSIDE_SITE_SQLSTATE = 'PT403';
+
+// The server allows the fix's reported error up to this much on top of the radius
+const MAX_ACCURACY_ALLOWANCE_M = 50;
+
+const JOB_TYPE_NAMES = {
+  [TRIP_JOB_TYPES.PICKUP_REQUEST]: ['pickup', 'pickups'],
+  [TRIP_JOB_TYPES.DIGITAL_BIN]: ['digital bin', 'digital bins'],
+  [TRIP_JOB_TYPES.ASSIGNMENT]: ['dumping site', 'dumping sites']
+};
+
+/**
+ * Key identifying a job on a trip
+ * @param {{jobType: string, jobId: string}} job
+ * @returns {string}
+ */
+export const tripJobKey = ({ jobType, jobId }) => `${jobType}:${jobId}`;
+
+/**
+ * Combine job lists into one load, first occurrence of each job winning. The server's
+ * list goes first; the page's own list fills in when the device is offline.
+ *
+ * @param {...Array<Object>} lists - Jobs ({ jobType, jobId, ... })
+ * @returns {Array<Object>}
+ */
+export const mergeLoadedJobs = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(job => {
+    if (!job?.jobType || !job?.jobId) return false;
+    const key = tripJobKey(job);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * What's in a load, e.g. "2 pickups and 1 digital bin"
+ * @param {Array<{jobType: string}>} jobs
+ * @returns {string}
+ */
+export const describeLoad = (jobs = []) => {
+  const parts = Object.entries(JOB_TYPE_NAMES)
+    .map(([jobType, [one, many]]) => {
+      const count = jobs.filter(job => job.jobType === jobType).length;
+      return count > 0 ? `${count} ${count === 1 ? one : many}` : null;
+    })
+    .filter(Boolean);
+
+  if (parts.length === 0) return 'nothing';
+  if (parts.length === 1) return parts[0];
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
+
+/**
+ * Whether a fix is close enough to a site to complete a trip there, allowing for the
+ * fix's reported accuracy the way the server does
+ *
+ * @param {number} distanceM - Distance from the site in metres
+ * @param {number|null} [accuracyM] - Reported accuracy of the fix
+ * @returns {boolean}
+ */
+export const isWithinTripGeofence = (distanceM, accuracyM = null) => {
+  if (!Number.isFinite(distanceM)) return false;
+  const allowance = Math.min(Math.max(Number(accuracyM) || 0, 0), MAX_ACCURACY_ALLOWANCE_M);
+  return distanceM <= kmToMeters(DISPOSAL_SITE_RADIUS_KM) + allowance;
+};
+
+/**
+ * Receipt from complete_disposal_trip()/get_disposal_trip_receipt() in the shape the
+ * app shows it
+ *
+ * @param {Object} receipt - Receipt row (snake_case)
+ * @returns {Object|null} { tripId, receiptNumber, siteName, completedAt, jobCount,
+ *   collectorPayout, jobs: [{ jobType, jobId, collectorPayout }], duplicate }
+ */
+export const toTripReceipt = (receipt) => {
+  if (!receipt?.trip_id) return null;
+  return {
+    tripId: receipt.trip_id,
+    receiptNumber: receipt.receipt_number,
+    siteName: receipt.site_name || 'Disposal site',
+    completedAt: receipt.completed_at,
+    jobCount: Number(receipt.job_count) || 0,
+    collectorPayout: Number(receipt.collector_payout) || 0,
+    jobs: (receipt.jobs || []).map(job => ({
+      jobType: job.job_type,
+      jobId: job.job_id,
+      collectorPayout: Number(job.collector_payout) || 0
+    })),
+    duplicate: receipt.outcome === 'duplicate'
+  };
+};
+
+/**
+ * Message for a trip the server refused, or null when the error isn't one of the
+ * trip's own refusals
+ *
+ * @param {Object} error - Supabase/PostgREST error
+ * @returns {string|null}
+ */
+export const tripErrorMessage = (error) => {
+  if (!error) return null;
+
+  if (error.code === OUTSIDE_SITE_SQLSTATE || error.hint === 'outside_disposal_site') {
+    try {
+      const { distance_m: distance } = JSON.parse(error.details || '{}');
+      if (Number.isFinite(distance)) {
+        return `You were ${Math.round(distance)} m from the site. Move closer and try again.`;
+      }
+    } catch {
+      // No distance to report
+    }
+    return 'Your location could not be confirmed at the disposal site. Move closer and try again.';
+  }
+  if (error.hint === 'trip_job_conflict') {
+    return `${error.message}. Refresh your load and try again.`;
+  }
+  if (error.code === '23505') {
+    return 'Part of this load is already on another disposal trip.';
+  }
+  if (error.code === '42501') {
+    return 'This load includes a job that is not assigned to you.';
+  }
+  return null;
+};
@@ -0,0 +1,325 @@
+/**
+ * Earnings statements
+ *
+ * Proof-of-income statement over any date range: who the collector is, one line per
+ * job from their ledger, totals by how customers paid, tips and withdrawals, and the
+ * verification code issue_earnings_statement() gave it. The totals printed as
+ * verified are the server's; the job lines are worked out here with the same rules
+ * so they add up to them.
+ */
+
+import { buildTextPdf, PAGE_SIZES } from './textPdf';
+import { EARNING_COMPONENTS, LEDGER_ACCOUNTS, LEDGER_KINDS, jobOf } from '../services/ledgerService';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const STATEMENT_PAYMENT_MODES = [
+  { key: 'cash', label: 'Cash' },
+  { key: 'momo', label: 'MoMo' },
+  { key: 'e_cash', label: 'e-Cash' },
+  { key: 'other', label: 'Prepaid/other' }
+];
+
+const MODE_LABELS = Object.fromEntries(STATEMENT_PAYMENT_MODES.map(mode => [mode.key, mode.label]));
+
+const COUNTED_KINDS = [LEDGER_KINDS.DISPOSAL, LEDGER_KINDS.TIP, LEDGER_KINDS.REFUND];
+const FEE_COMPONENTS = ['core', 'urgent', 'distance', 'surge'];
+
+const COMPONENT_LABELS = {
+  core: 'Core', urgent: 'Urgent', distance: 'Distance', surge: 'Surge',
+  tips: 'Tips', recyclables: 'Recyclables', loyalty: 'Loyalty cashback'
+};
+
+const JOB_TYPE_LABELS = { digital_bin: 'Bin', pickup_request: 'Pickup', tip: 'Tip' };
+
+export const LINE_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'jobType', label: 'Type' },
+  { key: 'jobId', label: 'Job ID' },
+  { key: 'paymentMode', label: 'Paid by' },
+  { key: 'billed', label: 'Customer paid', money: true },
+  { key: 'feeShare', label: 'Fee share', money: true },
+  { key: 'recyclables', label: 'Recyclables', money: true },
+  { key: 'loyalty', label: 'Loyalty', money: true },
+  { key: 'tips', label: 'Tips', money: true },
+  { key: 'refunds', label: 'Refunded', money: true },
+  { key: 'earnings', label: 'Earned', money: true }
+];
+
+const MONEY_KEYS = LINE_COLUMNS.filter(column => column.money).map(column => column.key);
+
+/**
+ * How the customer paid for the job a posting belongs to
+ * @param {Object} metadata - ledger transaction metadata
+ * @returns {'cash'|'momo'|'e_cash'|'other'}
+ */
+export const statementPaymentMode = (metadata) =>
+  (['cash', 'momo', 'e_cash'].includes(metadata?.payment_mode) ? metadata.payment_mode : 'other');
+
+const emptyModes = () => Object.fromEntries(
+  STATEMENT_PAYMENT_MODES.map(mode => [mode.key, { jobs: 0, billed: 0, earnings: 0 }])
+);
+
+/**
+ * Per-job lines and totals from a collector's ledger transactions for the period
+ *
+ * Mirrors earnings_statement_totals(): disposal, tip and refund postings (and
+ * reversals of them) count; earnings are collector entries in EARNING_COMPONENTS,
+ * tips are totalled on their own, everything else by the customer's payment mode.
+ *
+ * @param {Object[]} transactions - From getCollectorLedger
+ * @returns {{lines: Object[], totals: Object}}
+ */
+export const buildStatementLines = (transactions = []) => {
+  const byId = new Map(transactions.map(transaction => [transaction.id, transaction]));
+  const lines = new Map();
+  const totals = { jobs: 0, billed: 0, byPaymentMode: emptyModes(), tips: 0, refunds: 0, earnings: 0 };
+
+  transactions.forEach(transaction => {
+    const kind = transaction.kind === LEDGER_KINDS.REVERSAL
+      ? transaction.metadata?.reversed_kind
+      : transaction.kind;
+    if (!COUNTED_KINDS.includes(kind)) return;
+
+    const mode = statementPaymentMode(transaction.metadata);
+    const job = jobOf(transaction, byId);
+    const key = job?.id || transaction.id;
+    const line = lines.get(key) || {
+      date: transaction.occurred_at,
+      jobType: job?.type || 'tip',
+      jobId: job?.id || '',
+      paymentMode: kind === LEDGER_KINDS.TIP ? '' : mode,
+      billed: 0, feeShare: 0, recyclables: 0, loyalty: 0, tips: 0, refunds: 0, earnings: 0
+    };
+
+    if (transaction.kind === LEDGER_KINDS.DISPOSAL) {
+      const bill = round2(transaction.metadata?.bill);
+      line.date = transaction.occurred_at;
+      line.paymentMode = mode;
+      line.billed += bill;
+      totals.jobs += 1;
+      totals.billed += bill;
+      totals.byPaymentMode[mode].jobs += 1;
+      totals.byPaymentMode[mode].billed += bill;
+    }
+
+    (transaction.ledger_entries || []).forEach(entry => {
+      if (entry.ledger_accounts?.account_type !== LEDGER_ACCOUNTS.COLLECTOR) return;
+      if (!EARNING_COMPONENTS.includes(entry.component)) return;
+      const amount = parseFloat(entry.amount) || 0;
+
+      line.earnings += amount;
+      totals.earnings += amount;
+      if (kind === LEDGER_KINDS.REFUND) {
+        line.refunds -= amount;
+        if (transaction.kind === LEDGER_KINDS.REFUND) totals.refunds -= amount;
+      } else if (FEE_COMPONENTS.includes(entry.component)) {
+        line.feeShare += amount;
+      } else {
+        line[entry.component] += amount;
+      }
+
+      if (entry.component === 'tips') {
+        totals.tips += amount;
+      } else {
+        totals.byPaymentMode[mode].earnings += amount;
+      }
+    });
+
+    lines.set(key, line);
+  });
+
+  STATEMENT_PAYMENT_MODES.forEach(({ key }) => {
+    totals.byPaymentMode[key].billed = round2(totals.byPaymentMode[key].billed);
+    totals.byPaymentMode[key].earnings = round2(totals.byPaymentMode[key].earnings);
+  });
+  ['billed', 'tips', 'refunds', 'earnings'].forEach(key => { totals[key] = round2(totals[key]); });
+
+  return {
+    lines: [...lines.values()]
+      .map(line => ({ ...line, ...Object.fromEntries(MONEY_KEYS.map(key => [key, round2(line[key])])) }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date)),
+    totals
+  };
+};
+
+/**
+ * Server totals (issue_earnings_statement) in the shape buildStatementLines uses
+ * @param {Object} totals - earnings_statements.totals
+ * @returns {Object}
+ */
+export const normalizeStatementTotals = (totals = {}) => ({
+  jobs: Number(totals.jobs) || 0,
+  billed: round2(totals.billed),
+  byPaymentMode: Object.fromEntries(STATEMENT_PAYMENT_MODES.map(({ key }) => {
+    const mode = totals.by_payment_mode?.[key] || {};
+    return [key, { jobs: Number(mode.jobs) || 0, billed: round2(mode.billed), earnings: round2(mode.earnings) }];
+  })),
+  tips: round2(totals.tips),
+  refunds: round2(totals.refunds),
+  earnings: round2(totals.earnings),
+  withdrawn: round2(totals.withdrawn)
+});
+
+const formatDate = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : '');
+
+const formatCell = (column, value) => {
+  if (column.key === 'date') return formatDate(value);
+  if (column.key === 'jobType') return JOB_TYPE_LABELS[value] || value;
+  if (column.key === 'paymentMode') return MODE_LABELS[value] || value || '';
+  if (column.money) return (value || 0).toFixed(2);
+  return value ?? '';
+};
+
+// Quote where needed, and keep spreadsheet apps from running a value like "=HYPERLINK(...)"
+const csvField = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Identity and period printed at the top
+ * @param {Object} statement
+ * @returns {Array<[string, string]>}
+ */
+const statementHeader = ({ collector = {}, periodStart, periodEnd, coveredUntil, issuedAt, verificationCode }) => [
+  ['Collector', collector.name || ''],
+  ['Phone', collector.phone || ''],
+  ['ID type', collector.idType || ''],
+  ['Region', collector.region || ''],
+  ['Company', collector.companyName || ''],
+  ['Vehicle', [collector.vehicleType, collector.licensePlate].filter(Boolean).join(' ')],
+  ['Period', `${periodStart} to ${periodEnd}`],
+  ['Covers up to', coveredUntil ? new Date(coveredUntil).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : ''],
+  ['Issued', issuedAt ? new Date(issuedAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : ''],
+  ['Verification code', verificationCode]
+];
+
+const totalsRows = (totals) => [
+  ['Jobs completed', String(totals.jobs)],
+  ['Customers paid (GHS)', totals.billed.toFixed(2)],
+  ['Tips (GHS)', totals.tips.toFixed(2)],
+  ['Refunded (GHS)', totals.refunds.toFixed(2)],
+  ['Total earned (GHS)', totals.earnings.toFixed(2)],
+  ['Withdrawn to MoMo (GHS)', totals.withdrawn.toFixed(2)]
+];
+
+const verifyText = ({ verificationCode, verifyUrl }) => (verifyUrl
+  ? `Check this statement at ${verifyUrl}?code=${verificationCode}`
+  : `Quote verification code ${verificationCode} to TrashDrop support to check this statement`);
+
+/**
+ * Build the CSV statement
+ * @param {Object} statement - { collector, periodStart, periodEnd, coveredUntil, issuedAt,
+ *   verificationCode, verifyUrl, totals, lines, withdrawals, tipsByType }
+ * @returns {string}
+ */
+export const buildEarningsStatementCsv = (statement) => {
+  const { totals, lines, withdrawals = [] } = statement;
+  const rows = [
+    ['TrashDrop collector earnings statement'],
+    ...statementHeader(statement),
+    [],
+    ['Verified totals'],
+    ...totalsRows(totals),
+    [],
+    ['Paid by', 'Jobs', 'Customers paid (GHS)', 'Earned (GHS)'],
+    ...STATEMENT_PAYMENT_MODES.map(({ key, label }) => [
+      label, totals.byPaymentMode[key].jobs, totals.byPaymentMode[key].billed.toFixed(2),
+      totals.byPaymentMode[key].earnings.toFixed(2)
+    ]),
+    ...(statement.components ? [
+      [],
+      ['Payout bucket', 'Earned (GHS)'],
+      ...Object.entries(statement.components).map(([component, amount]) => [
+        COMPONENT_LABELS[component] || component, round2(amount).toFixed(2)
+      ])
+    ] : []),
+    [],
+    LINE_COLUMNS.map(column => (column.money ? `${column.label} (GHS)` : column.label)),
+    ...lines.map(line => LINE_COLUMNS.map(column => formatCell(column, line[column.key]))),
+    LINE_COLUMNS.map((column, index) => {
+      if (index === 0) return 'Total';
+      return column.money ? round2(lines.reduce((sum, line) => sum + line[column.key], 0)).toFixed(2) : '';
+    }),
+    [],
+    ['Withdrawal date', 'Withdrawal ID', 'Network', 'Amount (GHS)'],
+    ...withdrawals.map(withdrawal => [
+      formatDate(withdrawal.created_at), withdrawal.id, withdrawal.network || '', round2(withdrawal.amount).toFixed(2)
+    ]),
+    [],
+    [verifyText(statement)]
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// Fixed-width layout for the PDF
+const PDF_LAYOUT = [
+  ['date', 10, 'Date'], ['jobType', 6, 'Type'], ['jobId', 8, 'Job'], ['paymentMode', 13, 'Paid by'],
+  ['billed', 9, 'Cust.paid'], ['feeShare', 9, 'Fee share'], ['recyclables', 8, 'Recycl.'],
+  ['loyalty', 8, 'Loyalty'], ['tips', 7, 'Tips'], ['refunds', 8, 'Refund'], ['earnings', 9, 'Earned']
+].map(([key, width, heading]) => ({ ...LINE_COLUMNS.find(column => column.key === key), width, heading }));
+
+const pdfRow = (cells) => PDF_LAYOUT.map((column, index) => {
+  const text = String(cells[index] ?? '').slice(0, column.width);
+  return column.money ? text.padStart(column.width) : text.padEnd(column.width);
+}).join(' ');
+
+/**
+ * Build the printable PDF statement
+ * @param {Object} statement - As for buildEarningsStatementCsv
+ * @returns {string} PDF file contents
+ */
+export const buildEarningsStatementPdf = (statement) => {
+  const { totals, lines, withdrawals = [], tipsByType, components } = statement;
+  const rule = '-'.repeat(pdfRow([]).length);
+  const lineTotal = (key) => round2(lines.reduce((sum, line) => sum + line[key], 0)).toFixed(2);
+
+  const text = [
+    { text: 'TrashDrop collector earnings statement', bold: true },
+    '',
+    ...statementHeader(statement).map(([label, value]) => `${label.padEnd(19)}${value}`),
+    '',
+    { text: 'Verified totals', bold: true },
+    ...totalsRows(totals).map(([label, value]) => `${label.padEnd(26)}${value.padStart(12)}`),
+    ...(components ? [
+      '',
+      { text: 'Earned by payout bucket', bold: true },
+      ...Object.entries(components).map(([component, amount]) =>
+        `${(COMPONENT_LABELS[component] || component).padEnd(26)}${round2(amount).toFixed(2).padStart(12)}`)
+    ] : []),
+    ...(tipsByType ? [`  of which tips at checkout ${round2(tipsByType.pre_checkout).toFixed(2)}, after completion ${round2(tipsByType.post_completion).toFixed(2)}`] : []),
+    '',
+    { text: `${'Paid by'.padEnd(16)}${'Jobs'.padStart(6)}${'Cust. paid'.padStart(14)}${'Earned'.padStart(12)}`, bold: true },
+    ...STATEMENT_PAYMENT_MODES.map(({ key, label }) => {
+      const mode = totals.byPaymentMode[key];
+      return `${label.padEnd(16)}${String(mode.jobs).padStart(6)}${mode.billed.toFixed(2).padStart(14)}${mode.earnings.toFixed(2).padStart(12)}`;
+    }),
+    '',
+    { text: pdfRow(PDF_LAYOUT.map(column => column.heading)), bold: true },
+    rule,
+    ...lines.map(line => pdfRow(PDF_LAYOUT.map(column => formatCell(column, line[column.key])))),
+    rule,
+    { text: pdfRow(PDF_LAYOUT.map((column, index) => (index === 0 ? 'Total' : column.money ? lineTotal(column.key) : ''))), bold: true },
+    '',
+    { text: 'Withdrawals', bold: true },
+    ...(withdrawals.length === 0 ? ['None in this period'] : withdrawals.map(withdrawal =>
+      `${formatDate(withdrawal.created_at)}  ${String(withdrawal.network || '').padEnd(10)}${round2(withdrawal.amount).toFixed(2).padStart(12)}`)),
+    '',
+    'All amounts in GHS. Fee share = the collector\'s part of the collection fee (core, urgent, distance, surge).',
+    'Earned = fee share + recyclables + loyalty + tips - refunded.',
+    { text: verifyText(statement), bold: true }
+  ];
+
+  return buildTextPdf(text, { pageSize: PAGE_SIZES.A4_PORTRAIT, fontSize: 7 });
+};
+
+/**
+ * File name for a downloaded earnings statement
+ * @param {Object} statement
+ * @param {'csv'|'pdf'} format
+ * @returns {string}
+ */
+export const earningsStatementFileName = ({ periodStart, periodEnd }, format) =>
+  `trashdrop-earnings-${periodStart}-to-${periodEnd}.${format}`;
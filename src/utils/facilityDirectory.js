@@ -0,0 +1,277 @@
+/**
+ * Disposal facility directory rules
+ *
+ * disposal_centers describes each site in free text: operating_hours as published
+ * ('8:00 AM - 5:00 PM', 'Mo-Fr 08:00-17:00; Sa 06:00-12:00', '24/7') and waste_type as a
+ * list of what it takes ('Municipal Solid Waste', 'Electronic Waste, Scrap Metal'). This
+ * reads both, so a driver only sees sites that are open now and take what is on the
+ * truck, and folds in the live capacity the facility reports
+ * (supabase/migrations/20261030090000_disposal_facility_directory.sql).
+ *
+ * Ghana keeps GMT all year, so opening hours are compared against UTC time.
+ */
+
+/**
+ * What a load can be, for choosing where it may be tipped
+ */
+export const WASTE_CATEGORIES = {
+  GENERAL: 'general',
+  RECYCLABLE: 'recyclable',
+  HAZARDOUS: 'hazardous'
+};
+
+export const WASTE_CATEGORY_LABELS = {
+  general: 'General',
+  recyclable: 'Recyclable',
+  hazardous: 'Hazardous'
+};
+
+/**
+ * Whether a facility can take a load right now
+ */
+export const FACILITY_AVAILABILITY = {
+  OPEN: 'open',
+  BUSY: 'busy',
+  FULL: 'full',
+  CLOSED: 'closed',
+  UNKNOWN: 'unknown'
+};
+
+const DAY_CODES = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME = '(\\d{1,2})(?:[:.](\\d{2}))?\\s*([ap]\\.?m\\.?)?';
+const TIME_RANGE = new RegExp(`${TIME}\\s*(?:-|–|to)\\s*${TIME}`, 'gi');
+const DAY = '(mon?|tue?s?|wed?|thu?r?s?|fri?|sat?|sun?)[a-z]*\\.?';
+const DAY_SPEC = new RegExp(`^\\s*(${DAY}(?:\\s*(?:-|–|,|&)\\s*${DAY})*)\\s*:?`, 'i');
+const ALWAYS_OPEN = /^\s*(24\s*\/\s*7|24\s*hours?|24hrs?|open 24 hours)\s*$/i;
+
+const toMinutes = (hours, minutes, meridiem) => {
+  let hour = parseInt(hours, 10);
+  const minute = minutes ? parseInt(minutes, 10) : 0;
+  if (meridiem) {
+    const pm = meridiem.toLowerCase().startsWith('p');
+    if (hour === 12) hour = pm ? 12 : 0;
+    else if (pm) hour += 12;
+  }
+  if (hour > 24 || minute > 59) return null;
+  return hour * 60 + minute;
+};
+
+const dayIndex = (token) => DAY_CODES.indexOf(token.toLowerCase().slice(0, 2));
+
+// 'Mo-Fr', 'Mon, Wed', 'Sa' -> [1, 2, 3, 4, 5] etc.
+const parseDays = (spec) => {
+  const days = new Set();
+  spec.split(/\s*[,&]\s*/).forEach(part => {
+    const [from, to] = part.split(/\s*[-–]\s*/).map(token => dayIndex(token.trim()));
+    if (from < 0) return;
+    if (to === undefined || to < 0) {
+      days.add(from);
+      return;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  });
+  return [...days];
+};
+
+/**
+ * Read published opening hours into a weekly schedule. Rules are separated by ';' and
+ * a later rule replaces earlier ones for the days it names, as in OpenStreetMap
+ * ('9:00 AM - 5:00 PM; Sat 6:00 AM - 12:00 PM' is Saturday mornings only). A rule
+ * without days applies to every day, and 'off' or 'closed' closes its days.
+ *
+ * @param {string} text - disposal_centers.operating_hours
+ * @returns {Array<Array<[number, number]>>|null} Seven lists (Sunday first) of
+ *   [openMinute, closeMinute] since midnight, or null when the text can't be read
+ */
+export const parseOperatingHours = (text) => {
+  if (!text || typeof text !== 'string') return null;
+  if (ALWAYS_OPEN.test(text)) return Array.from({ length: 7 }, () => [[0, MINUTES_PER_DAY]]);
+
+  const week = Array.from({ length: 7 }, () => []);
+  let understood = false;
+
+  text.split(';').forEach(rule => {
+    let rest = rule.trim();
+    if (!rest) return;
+
+    let days = [0, 1, 2, 3, 4, 5, 6];
+    const daySpec = rest.match(DAY_SPEC);
+    if (daySpec && parseDays(daySpec[1]).length) {
+      days = parseDays(daySpec[1]);
+      rest = rest.slice(daySpec[0].length);
+    }
+
+    if (/^\s*(off|closed)\s*$/i.test(rest)) {
+      days.forEach(day => { week[day] = []; });
+      understood = true;
+      return;
+    }
+
+    const intervals = [];
+    const overnight = [];
+    for (const match of rest.matchAll(TIME_RANGE)) {
+      const open = toMinutes(match[1], match[2], match[3]);
+      const close = toMinutes(match[4], match[5], match[6]);
+      if (open === null || close === null) continue;
+      if (close > open) {
+        intervals.push([open, close]);
+      } else {
+        intervals.push([open, MINUTES_PER_DAY]);
+        if (close > 0) overnight.push([0, close]);
+      }
+    }
+    if (ALWAYS_OPEN.test(rest)) intervals.push([0, MINUTES_PER_DAY]);
+    if (!intervals.length) return;
+
+    understood = true;
+    days.forEach(day => { week[day] = [...intervals]; });
+    if (overnight.length) {
+      days.forEach(day => {
+        const next = (day + 1) % 7;
+        week[next] = [...week[next], ...overnight];
+      });
+    }
+  });
+
+  return understood ? week : null;
+};
+
+const formatMinute = (minute) => {
+  const wrapped = minute % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a schedule is open at a moment, and when that changes
+ *
+ * @param {Array|null} schedule - From parseOperatingHours
+ * @param {Date} [at]
+ * @returns {{open: boolean|null, label: string}} open is null when the hours are unknown
+ */
+export const openingStateAt = (schedule, at = new Date()) => {
+  if (!schedule) return { open: null, label: 'Hours not listed' };
+
+  const today = at.getUTCDay();
+  const minute = at.getUTCHours() * 60 + at.getUTCMinutes();
+  const current = schedule[today].find(([open, close]) => minute >= open && minute < close);
+
+  if (current) {
+    const allDay = (day) => day.some(([open, close]) => open === 0 && close === MINUTES_PER_DAY);
+    if (schedule.every(allDay)) return { open: true, label: 'Open 24 hours' };
+    if (allDay([current])) return { open: true, label: 'Open all day' };
+
+    // Past midnight, an overnight shift carries on into tomorrow's first interval
+    const carriesOn = current[1] === MINUTES_PER_DAY
+      && schedule[(today + 1) % 7].find(([open]) => open === 0);
+    return { open: true, label: `Open until ${formatMinute(carriesOn ? carriesOn[1] : current[1])}` };
+  }
+
+  for (let offset = 0; offset < 7; offset++) {
+    const day = (today + offset) % 7;
+    const next = schedule[day]
+      .filter(([open]) => offset > 0 || open > minute)
+      .sort((a, b) => a[0] - b[0])[0];
+    if (next) {
+      const when = offset === 0 ? '' : offset === 1 ? ' tomorrow' : ` ${DAY_NAMES[day]}`;
+      return { open: false, label: `Closed, opens${when} ${formatMinute(next[0])}` };
+    }
+  }
+  return { open: false, label: 'Closed' };
+};
+
+const HAZARDOUS_WORDS = /hazard|e-?waste|electronic|batter|medical|clinical|chemical|asbestos|toxic|used oil/i;
+const RECYCLABLE_WORDS = /recycl|plastic|sachet|bottle|paper|cardboard|scrap|metal|glass|\bcans?\b|\bpet\b/i;
+const GENERAL_WORDS = /municipal|solid waste|msw|general|household|domestic|mixed|organic|food|compost|green waste/i;
+const ALL_WORDS = /all waste|any waste|all types/i;
+
+// What a site takes when its waste_type says nothing we recognise
+const CENTER_TYPE_CATEGORIES = {
+  landfill: [WASTE_CATEGORIES.GENERAL],
+  compost_plant: [WASTE_CATEGORIES.GENERAL],
+  recycling_plant: [WASTE_CATEGORIES.RECYCLABLE],
+  e_waste: [WASTE_CATEGORIES.HAZARDOUS, WASTE_CATEGORIES.RECYCLABLE]
+};
+
+/**
+ * The category of a job's waste type ('plastic', 'e-waste', 'organic', ...)
+ * @param {string} wasteType
+ * @returns {string} One of WASTE_CATEGORIES; general when unknown
+ */
+export const wasteCategoryOf = (wasteType) => {
+  const text = String(wasteType || '').toLowerCase();
+  if (Object.values(WASTE_CATEGORIES).includes(text)) return text;
+  if (HAZARDOUS_WORDS.test(text)) return WASTE_CATEGORIES.HAZARDOUS;
+  if (text === 'recycling' || RECYCLABLE_WORDS.test(text)) return WASTE_CATEGORIES.RECYCLABLE;
+  return WASTE_CATEGORIES.GENERAL;
+};
+
+/**
+ * Categories of waste a facility takes, from its waste_type and, failing that, its
+ * center_type
+ * @param {Object} facility - disposal_centers row
+ * @returns {Array<string>} Empty when nothing is known
+ */
+export const facilityWasteCategories = (facility) => {
+  const text = facility?.waste_type || '';
+  if (ALL_WORDS.test(text)) return Object.values(WASTE_CATEGORIES);
+
+  const categories = [];
+  if (GENERAL_WORDS.test(text)) categories.push(WASTE_CATEGORIES.GENERAL);
+  if (RECYCLABLE_WORDS.test(text)) categories.push(WASTE_CATEGORIES.RECYCLABLE);
+  if (HAZARDOUS_WORDS.test(text)) categories.push(WASTE_CATEGORIES.HAZARDOUS);
+  return categories.length ? categories : (CENTER_TYPE_CATEGORIES[facility?.center_type] || []);
+};
+
+/**
+ * Whether a facility is open, busy, full or closed at a moment. A facility's own
+ * "closed today" or "full" report wins over its published hours.
+ *
+ * @param {Object} facility - disposal_center_directory row
+ * @param {Date} [at]
+ * @returns {{state: string, label: string, canDispose: boolean}}
+ */
+export const facilityAvailability = (facility, at = new Date()) => {
+  if (facility.closed_until && new Date(facility.closed_until) > at) {
+    return { state: FACILITY_AVAILABILITY.CLOSED, label: 'Closed today', canDispose: false };
+  }
+  if (facility.capacity === 'full') {
+    return { state: FACILITY_AVAILABILITY.FULL, label: 'Full, not accepting loads', canDispose: false };
+  }
+
+  const hours = openingStateAt(parseOperatingHours(facility.operating_hours), at);
+  if (hours.open === false) {
+    return { state: FACILITY_AVAILABILITY.CLOSED, label: hours.label, canDispose: false };
+  }
+  if (facility.capacity === 'limited') {
+    return { state: FACILITY_AVAILABILITY.BUSY, label: 'Busy, expect a wait', canDispose: true };
+  }
+  return hours.open
+    ? { state: FACILITY_AVAILABILITY.OPEN, label: hours.label, canDispose: true }
+    : { state: FACILITY_AVAILABILITY.UNKNOWN, label: hours.label, canDispose: true };
+};
+
+const AVAILABILITY_ORDER = {
+  [FACILITY_AVAILABILITY.OPEN]: 0,
+  [FACILITY_AVAILABILITY.BUSY]: 1,
+  [FACILITY_AVAILABILITY.UNKNOWN]: 1,
+  [FACILITY_AVAILABILITY.FULL]: 2,
+  [FACILITY_AVAILABILITY.CLOSED]: 2
+};
+
+/**
+ * Order facilities for a driver: ones that can take the load first, then by drive
+ * time (straight-line distance when there is no drive time)
+ *
+ * @param {Array<Object>} facilities - With availability, driveMinutes and distanceKm
+ * @returns {Array<Object>} A new, sorted array
+ */
+export const rankFacilities = (facilities) => [...facilities].sort((a, b) =>
+  (AVAILABILITY_ORDER[a.availability?.state] ?? 1) - (AVAILABILITY_ORDER[b.availability?.state] ?? 1)
+  || (a.driveMinutes ?? Infinity) - (b.driveMinutes ?? Infinity)
+  || (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
@@ -1,6 +1,81 @@
 import { calculateDistance } from './distanceUtils';
 import { logger } from './logger';
 
+/** Ways the request list can be ordered */
+export const REQUEST_SORT = {
+  DISTANCE: 'distance', // Straight-line distance
+  ETA: 'eta'            // Drive time by road
+};
+
+// Used when a request has no road ETA yet: Accra roads are ~1.4x the straight line at ~20 km/h
+const STRAIGHT_LINE_DETOUR = 1.4;
+const STRAIGHT_LINE_SPEED_KMH = 20;
+
+/**
+ * Rough drive time from straight-line distance, for requests without a road ETA
+ * @param {number} distanceKm - Straight-line distance
+ * @returns {number} - Minutes
+ */
+export const estimateDriveMinutes = (distanceKm) =>
+  (distanceKm * STRAIGHT_LINE_DETOUR / STRAIGHT_LINE_SPEED_KMH) * 60;
+
+/**
+ * Copy road distance and ETA from distance-matrix results onto a request
+ * @param {Object} request - Request with `distance` (straight-line km)
+ * @param {Object} [estimate] - Entry from distanceMatrixService.getTravelEstimates
+ * @returns {Object} - Request with etaMinutes, roadDistanceKm and etaApproximate
+ */
+export const withTravelEstimate = (request, estimate) => {
+  if (estimate && estimate.durationMinutes != null) {
+    return {
+      ...request,
+      etaMinutes: estimate.durationMinutes,
+      roadDistanceKm: estimate.distanceKm,
+      etaApproximate: estimate.approximate
+    };
+  }
+  if (estimate) {
+    // The router found no road to it
+    return { ...request, etaMinutes: Infinity, roadDistanceKm: null, etaApproximate: false };
+  }
+  return {
+    ...request,
+    etaMinutes: typeof request.distance === 'number' ? estimateDriveMinutes(request.distance) : null,
+    roadDistanceKm: null,
+    etaApproximate: true
+  };
+};
+
+/**
+ * Whether a request is within the maximum drive time
+ * @param {Object} request - Request with etaMinutes
+ * @param {number} [maxDriveMinutes] - 0 or empty means no limit
+ * @returns {boolean}
+ */
+export const passesDriveTimeFilter = (request, maxDriveMinutes) => {
+  if (!maxDriveMinutes) return true;
+  if (request.etaMinutes == null) return true; // Unknown: don't hide it
+  return request.etaMinutes <= maxDriveMinutes;
+};
+
+/**
+ * Order requests by straight-line distance or by drive time
+ * @param {Array} requests - Requests with distance and (for ETA) etaMinutes
+ * @param {string} [sortBy] - A REQUEST_SORT value
+ * @returns {Array} - New sorted array
+ */
+export const sortRequests = (requests, sortBy = REQUEST_SORT.DISTANCE) => {
+  const key = sortBy === REQUEST_SORT.ETA
+    ? request => request.etaMinutes ?? Infinity
+    : request => request.distance ?? Infinity;
+
+  return [...requests].sort((a, b) => {
+    const difference = key(a) - key(b);
+    if (difference !== 0 && !Number.isNaN(difference)) return difference;
+    return (a.distance ?? Infinity) - (b.distance ?? Infinity) || 0;
+  });
+};
+
 /**
  * Filter requests based on current filters and user position
  * @param {Array} requests - Array of request objects
@@ -24,6 +99,9 @@ export const filterRequests = (requests, filters, position) => {
       if (distance > filters.maxDistance) return false;
     }
 
+    // Drive time filter
+    if (!passesDriveTimeFilter(request, filters.maxDriveMinutes)) return false;
+
     // Waste type filter
     if (filters.wasteType && filters.wasteType !== 'all') {
       if (request.type !== filters.wasteType) return false;
@@ -0,0 +1,121 @@
+/**
+ * Loyalty tier progress
+ *
+ * Tiers are decided on the server by evaluate_loyalty_tiers() on the 1st of each month
+ * (supabase/migrations/20261027090000_loyalty_tier_engine.sql), from the previous month's
+ * loyalty_tier_metrics against the loyalty_tier_levels table. This works out, from the
+ * same metrics month-to-date, how far a collector is from the next tier up. The
+ * qualification rules here must match loyalty_tier_qualifies().
+ */
+
+/**
+ * What a tier asks for, in the order the Earnings page lists them
+ */
+export const LOYALTY_CRITERIA = [
+  { key: 'jobs', label: 'Completed jobs', metric: 'completed_jobs', threshold: 'min_jobs', direction: 'min' },
+  {
+    key: 'compliance',
+    label: 'Disposed within 24h',
+    metric: 'disposal_compliance',
+    threshold: 'min_disposal_compliance',
+    direction: 'min',
+    percent: true,
+    // No pickups yet doesn't count against the collector
+    whenMissing: 1
+  },
+  { key: 'rating', label: 'Customer rating', metric: 'rating', threshold: 'min_rating', direction: 'min', whenMissing: 5 },
+  {
+    key: 'cancellations',
+    label: 'Cancellations',
+    metric: 'cancellation_rate',
+    threshold: 'max_cancellation_rate',
+    direction: 'max',
+    percent: true,
+    whenMissing: 0
+  }
+];
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Check one criterion of a level against a set of metrics
+ * @param {Object} criterion - Entry of LOYALTY_CRITERIA
+ * @param {Object} metrics - loyalty_tier_metrics() output
+ * @param {Object} level - loyalty_tier_levels row
+ * @returns {{key: string, label: string, value: number|null, target: number, met: boolean, progress: number, percent: boolean, direction: string}}
+ */
+const checkCriterion = (criterion, metrics, level) => {
+  const value = toNumber(metrics?.[criterion.metric]);
+  const target = toNumber(level[criterion.threshold]) ?? 0;
+  const effective = value ?? criterion.whenMissing ?? 0;
+
+  const met = criterion.direction === 'min' ? effective >= target : effective <= target;
+  let progress;
+  if (met) {
+    progress = 1;
+  } else if (criterion.direction === 'min') {
+    progress = target > 0 ? effective / target : 1;
+  } else {
+    // Over the allowed rate: progress shrinks the further over it is
+    progress = effective > 0 ? target / effective : 1;
+  }
+
+  return {
+    key: criterion.key,
+    label: criterion.label,
+    value,
+    target,
+    met,
+    progress: Math.max(0, Math.min(progress, 1)),
+    percent: Boolean(criterion.percent),
+    direction: criterion.direction
+  };
+};
+
+/**
+ * Whether metrics meet every requirement of a level (loyalty_tier_qualifies)
+ * @param {Object} metrics
+ * @param {Object} level
+ * @returns {boolean}
+ */
+export const qualifiesForTier = (metrics, level) =>
+  LOYALTY_CRITERIA.every(criterion => checkCriterion(criterion, metrics, level).met);
+
+/**
+ * Progress from the current tier to the next one up
+ *
+ * @param {Object} params
+ * @param {string} params.tier - Current tier name
+ * @param {Object} params.metrics - Month-to-date metrics
+ * @param {Array<Object>} params.levels - loyalty_tier_levels rows
+ * @returns {{current: Object|null, next: Object|null, criteria: Array<Object>, onTrack: boolean}}
+ *   next is null at the top tier; onTrack says whether the month so far would earn next
+ */
+export const loyaltyTierProgress = ({ tier, metrics, levels = [] }) => {
+  const ordered = [...levels].sort((a, b) => a.rank - b.rank);
+  const current = ordered.find(level => level.tier === tier) || ordered[0] || null;
+  const next = current ? ordered.find(level => level.rank > current.rank) || null : null;
+
+  if (!next) {
+    return { current, next: null, criteria: [], onTrack: false };
+  }
+
+  const criteria = LOYALTY_CRITERIA.map(criterion => checkCriterion(criterion, metrics, next));
+  return { current, next, criteria, onTrack: criteria.every(item => item.met) };
+};
+
+/**
+ * Format a criterion value or target for display
+ * @param {Object} item - Entry of loyaltyTierProgress().criteria
+ * @param {number|null} value
+ * @returns {string}
+ */
+export const formatCriterionValue = (item, value) => {
+  if (value === null || value === undefined) return '–';
+  if (item.percent) return `${Math.round(value * 100)}%`;
+  if (item.key === 'rating') return value.toFixed(1);
+  return String(Math.round(value));
+};
@@ -23,10 +23,15 @@ const createDustbinIcon = (color, type) => {
       main: '#EF4444', // Red-500
       dark: '#DC2626', // Red-600
       light: '#F87171' // Red-400
+    },
+    disposal: {
+      main: '#8B5CF6', // Violet-500
+      dark: '#7C3AED', // Violet-600
+      light: '#A78BFA' // Violet-400
     }
   };
 
-  const currentColor = type === 'start' ? colors.start : (type === 'request' ? colors.request : colors.assignment);
+  const currentColor = colors[type] || colors.assignment;
   
   // Create SVG dustbin with specified color and type
   const svgTemplate = `
@@ -57,7 +62,7 @@ const createDustbinIcon = (color, type) => {
       <!-- Type indicator -->
       <circle cx="38" cy="12" r="6" fill="white" stroke="${currentColor.dark}" stroke-width="1.5"/>
       <text x="38" y="15" font-size="8" text-anchor="middle" fill="${currentColor.dark}" font-weight="bold" font-family="Arial, sans-serif">
-        ${type === 'start' ? 'S' : (type === 'request' ? 'R' : 'A')}
+        ${{ start: 'S', request: 'R', disposal: 'D' }[type] || 'A'}
       </text>
     </svg>
   `;
@@ -126,10 +131,12 @@ export const startMarkerIcon = createDustbinIcon('#22c55e', 'start'); // Green
 export const assignmentMarkerIcon = createDustbinIcon('#3b82f6', 'assignment'); // Blue
 export const requestMarkerIcon = createDustbinIcon('#ef4444', 'request'); // Red
 export const digitalBinMarkerIcon = createDigitalBinIcon(); // Black for digital bins
+export const disposalMarkerIcon = createDustbinIcon('#8b5cf6', 'disposal'); // Violet for disposal trips
 
 // Function to get the appropriate icon based on stop type
 export const getStopIcon = (stop) => {
   if (!stop) return assignmentMarkerIcon;
+  if (stop.type === 'disposal') return disposalMarkerIcon;
   return stop.type === 'request' ? requestMarkerIcon : assignmentMarkerIcon;
 };
 
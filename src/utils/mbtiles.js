@@ -0,0 +1,378 @@
+/**
+ * MBTiles to PMTiles conversion
+ *
+ * MBTiles archives are SQLite databases. Rather than ship SQLite to the browser, the
+ * few pages that matter are read straight from the file: the schema on page 1, the
+ * metadata table and the tile table. Tile images are never copied; each one comes back
+ * as the byte ranges it occupies in the file, and the PMTiles archive built from them
+ * is a Blob of slices of the original file.
+ *
+ * Both the plain `tiles` table and the deduplicated `map` + `images` layout written by
+ * tilemaker, mb-util and friends are understood. WITHOUT ROWID tables and databases
+ * left in WAL mode with changes still in the -wal file are not.
+ *
+ * Format: https://www.sqlite.org/fileformat2.html and
+ * https://github.com/mapbox/mbtiles-spec/blob/master/1.3/spec.md
+ */
+
+import { PmtilesError, TILE_TYPE, writePmtiles, zxyToTileId } from './pmtiles';
+
+const SQLITE_MAGIC = 'SQLite format 3\u0000';
+const DATABASE_HEADER_BYTES = 100;
+// Pages are read in windows, since overflow chains and sibling leaves are usually adjacent
+const WINDOW_BYTES = 1024 * 1024;
+
+const PAGE_TYPE = {
+  TABLE_INTERIOR: 0x05,
+  TABLE_LEAF: 0x0d
+};
+
+const FORMAT_TILE_TYPES = {
+  png: TILE_TYPE.PNG,
+  jpg: TILE_TYPE.JPEG,
+  jpeg: TILE_TYPE.JPEG,
+  webp: TILE_TYPE.WEBP,
+  avif: TILE_TYPE.AVIF,
+  pbf: TILE_TYPE.MVT,
+  mvt: TILE_TYPE.MVT
+};
+
+/**
+ * Whether the bytes start like a SQLite database (and so, for us, an MBTiles file)
+ * @param {ArrayBuffer|Uint8Array} buffer - At least the first 16 bytes of the file
+ */
+export const isMbtiles = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return bytes.length >= SQLITE_MAGIC.length
+    && String.fromCharCode(...bytes.subarray(0, SQLITE_MAGIC.length)) === SQLITE_MAGIC;
+};
+
+/**
+ * Read a SQLite varint (big-endian, 7 bits per byte, the ninth byte contributing 8)
+ * @param {Uint8Array} bytes
+ * @param {{pos: number}} cursor - Advanced past the varint
+ * @returns {number}
+ */
+export const readSqliteVarint = (bytes, cursor) => {
+  let value = 0;
+  for (let i = 0; i < 9; i++) {
+    if (cursor.pos >= bytes.length) {
+      throw new PmtilesError('MBTiles page is truncated', 'CORRUPT');
+    }
+    const byte = bytes[cursor.pos++];
+    if (i === 8) return value * 256 + byte;
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return value;
+  }
+  return value;
+};
+
+// Bytes a record value of this serial type takes up
+const serialTypeLength = (type) => {
+  if (type >= 12) return Math.floor((type - 12) / 2);
+  return [0, 1, 2, 3, 4, 6, 8, 8, 0, 0][type] ?? 0;
+};
+
+// Big-endian two's complement integer
+const readInteger = (bytes, length) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + bytes[i];
+  return length > 0 && bytes[0] & 0x80 ? value - 2 ** (8 * length) : value;
+};
+
+/**
+ * Column names of a CREATE TABLE statement, and which one aliases the rowid
+ */
+const parseColumns = (sql) => {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const definitions = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      definitions.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  definitions.push(current);
+
+  const columns = [];
+  let rowidColumn = null;
+  for (const definition of definitions) {
+    const trimmed = definition.trim();
+    const name = trimmed.match(/^(?:"([^"]+)"|`([^`]+)`|\[([^\]]+)\]|(\S+))/);
+    if (!name) continue;
+    const column = (name[1] || name[2] || name[3] || name[4]).toLowerCase();
+    // Table constraints, not columns
+    if (['primary', 'unique', 'check', 'foreign', 'constraint'].includes(column)) continue;
+    if (/^\s*integer\s+primary\s+key/i.test(trimmed.slice(name[0].length))) rowidColumn = column;
+    columns.push(column);
+  }
+  return { columns, rowidColumn };
+};
+
+/**
+ * Open an MBTiles database for reading
+ *
+ * @param {{getBytes: Function}} source - `getBytes(offset, length)` resolving to an ArrayBuffer
+ * @returns {Promise<{metadata: Object, readTiles: Function}>} `readTiles()` resolves to
+ *   [{ z, x, y, key, length, ranges }] with y flipped to XYZ, `ranges` the
+ *   [offset, length] pairs holding the image and `key` shared by identical images
+ */
+export const openMbtiles = async (source) => {
+  const first = new Uint8Array(await source.getBytes(0, DATABASE_HEADER_BYTES));
+  if (!isMbtiles(first)) {
+    throw new PmtilesError('Not an MBTiles file', 'NOT_MBTILES');
+  }
+  const header = new DataView(first.buffer, first.byteOffset, first.byteLength);
+  const pageSize = header.getUint16(16) === 1 ? 65536 : header.getUint16(16);
+  const usable = pageSize - first[20];
+  if (header.getUint32(56) !== 1) {
+    throw new PmtilesError('Only UTF-8 MBTiles files are supported', 'UNSUPPORTED_ENCODING');
+  }
+
+  const textDecoder = new TextDecoder('utf-8');
+  let window = { start: -1, bytes: null };
+  const readPage = async (pageNumber) => {
+    const offset = (pageNumber - 1) * pageSize;
+    if (window.start < 0 || offset < window.start || offset + pageSize > window.start + window.bytes.length) {
+      window = { start: offset, bytes: new Uint8Array(await source.getBytes(offset, Math.max(WINDOW_BYTES, pageSize))) };
+    }
+    const page = window.bytes.subarray(offset - window.start, offset - window.start + pageSize);
+    if (page.length < pageSize) {
+      throw new PmtilesError(`MBTiles page ${pageNumber} is past the end of the file`, 'CORRUPT');
+    }
+    return page;
+  };
+
+  // File ranges holding a cell's payload: the part on the page, then the overflow chain
+  const payloadRanges = async (pageNumber, payloadStart, payloadSize, page) => {
+    const maxLocal = usable - 35;
+    if (payloadSize <= maxLocal) {
+      return [[(pageNumber - 1) * pageSize + payloadStart, payloadSize]];
+    }
+    const minLocal = Math.floor(((usable - 12) * 32) / 255) - 23;
+    const spill = minLocal + ((payloadSize - minLocal) % (usable - 4));
+    const local = spill <= maxLocal ? spill : minLocal;
+
+    const ranges = [[(pageNumber - 1) * pageSize + payloadStart, local]];
+    const at = payloadStart + local;
+    let next = ((page[at] << 24) >>> 0) + (page[at + 1] << 16) + (page[at + 2] << 8) + page[at + 3];
+    let remaining = payloadSize - local;
+    while (remaining > 0) {
+      if (next === 0) throw new PmtilesError('MBTiles overflow chain ends early', 'CORRUPT');
+      const overflow = await readPage(next);
+      const length = Math.min(remaining, usable - 4);
+      ranges.push([(next - 1) * pageSize + 4, length]);
+      remaining -= length;
+      next = new DataView(overflow.buffer, overflow.byteOffset, 4).getUint32(0);
+    }
+    return ranges;
+  };
+
+  // Sub-ranges covering bytes [start, start + length) of a payload
+  const sliceRanges = (ranges, start, length) => {
+    const out = [];
+    let skipped = 0;
+    let remaining = length;
+    for (const [offset, size] of ranges) {
+      if (remaining === 0) break;
+      if (skipped + size > start) {
+        const from = Math.max(0, start - skipped);
+        const take = Math.min(size - from, remaining);
+        out.push([offset + from, take]);
+        remaining -= take;
+      }
+      skipped += size;
+    }
+    return out;
+  };
+
+  // Bytes of part of a payload, read back from the file
+  const readRanges = async (ranges, start, length) => {
+    const out = new Uint8Array(length);
+    let written = 0;
+    for (const [offset, size] of sliceRanges(ranges, start, length)) {
+      out.set(new Uint8Array(await source.getBytes(offset, size)), written);
+      written += size;
+    }
+    return out;
+  };
+
+  /**
+   * Decode a record; text and numbers are read, blobs come back as { ranges, length }
+   */
+  const readRecord = async (pageNumber, page, payloadStart, payloadSize) => {
+    const ranges = await payloadRanges(pageNumber, payloadStart, payloadSize, page);
+    const localEnd = payloadStart + ranges[0][1];
+    const local = page.subarray(payloadStart, localEnd);
+
+    const cursor = { pos: 0 };
+    const headerSize = readSqliteVarint(local, cursor);
+    if (headerSize > local.length) {
+      throw new PmtilesError('MBTiles record header is too large to read', 'CORRUPT');
+    }
+    const types = [];
+    while (cursor.pos < headerSize) types.push(readSqliteVarint(local, cursor));
+
+    const values = [];
+    let position = headerSize;
+    for (const type of types) {
+      const length = serialTypeLength(type);
+      if (type === 0) {
+        values.push(null);
+      } else if (type === 8 || type === 9) {
+        values.push(type - 8);
+      } else if (type >= 12 && type % 2 === 0) {
+        values.push({ ranges: sliceRanges(ranges, position, length), length });
+      } else {
+        const bytes = position + length <= local.length
+          ? local.subarray(position, position + length)
+          : await readRanges(ranges, position, length);
+        if (type === 7) {
+          values.push(new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0));
+        } else if (type >= 13) {
+          values.push(textDecoder.decode(bytes));
+        } else {
+          values.push(readInteger(bytes, length));
+        }
+      }
+      position += length;
+    }
+    return values;
+  };
+
+  /**
+   * Every row of a rowid table, in rowid order
+   * @returns {Promise<Array<{rowid: number, values: Array}>>}
+   */
+  const scanTable = async (rootPage) => {
+    const rows = [];
+    const pending = [rootPage];
+    const seen = new Set();
+
+    while (pending.length > 0) {
+      const pageNumber = pending.pop();
+      if (seen.has(pageNumber)) throw new PmtilesError('MBTiles table loops back on itself', 'CORRUPT');
+      seen.add(pageNumber);
+
+      const page = await readPage(pageNumber);
+      const base = pageNumber === 1 ? DATABASE_HEADER_BYTES : 0;
+      const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+      const type = page[base];
+      const cellCount = view.getUint16(base + 3);
+
+      if (type === PAGE_TYPE.TABLE_INTERIOR) {
+        // Children are pushed right to left so they pop in rowid order
+        pending.push(view.getUint32(base + 8));
+        for (let i = cellCount - 1; i >= 0; i--) {
+          pending.push(view.getUint32(view.getUint16(base + 12 + i * 2)));
+        }
+      } else if (type === PAGE_TYPE.TABLE_LEAF) {
+        for (let i = 0; i < cellCount; i++) {
+          const cursor = { pos: view.getUint16(base + 8 + i * 2) };
+          const payloadSize = readSqliteVarint(page, cursor);
+          const rowid = readSqliteVarint(page, cursor);
+          rows.push({ rowid, values: await readRecord(pageNumber, page, cursor.pos, payloadSize) });
+        }
+      } else {
+        throw new PmtilesError('MBTiles tables without a rowid are not supported', 'UNSUPPORTED_SCHEMA');
+      }
+    }
+    return rows;
+  };
+
+  // Rows as objects keyed by column name
+  const readTable = async (schema, name) => {
+    const table = schema.find(entry => entry.type === 'table' && entry.name.toLowerCase() === name);
+    if (!table) return null;
+    const { columns, rowidColumn } = parseColumns(table.sql);
+    const rows = await scanTable(table.rootpage);
+    return rows.map(({ rowid, values }) => Object.fromEntries(columns.map((column, i) => [
+      column,
+      column === rowidColumn && values[i] == null ? rowid : values[i] ?? null
+    ])));
+  };
+
+  const schema = (await scanTable(1)).map(({ values: [type, name, tableName, rootpage, sql] }) => ({
+    type, name, tableName, rootpage, sql: sql || ''
+  }));
+
+  const metadata = {};
+  for (const row of await readTable(schema, 'metadata') || []) {
+    if (typeof row.name === 'string' && typeof row.value === 'string') metadata[row.name] = row.value;
+  }
+
+  const readTiles = async () => {
+    const toTile = (row, data, key) => {
+      const z = Number(row.zoom_level);
+      return { z, x: Number(row.tile_column), y: 2 ** z - 1 - Number(row.tile_row), key, length: data.length, ranges: data.ranges };
+    };
+
+    const tiles = await readTable(schema, 'tiles');
+    if (tiles) {
+      return tiles
+        .filter(row => row.tile_data?.ranges)
+        .map((row, index) => toTile(row, row.tile_data, index));
+    }
+
+    // Deduplicated layout: `tiles` is a view joining map to images on tile_id
+    const map = await readTable(schema, 'map');
+    const images = await readTable(schema, 'images');
+    if (!map || !images) {
+      throw new PmtilesError('This MBTiles file has no tiles table', 'UNSUPPORTED_SCHEMA');
+    }
+    const byId = new Map(images.filter(row => row.tile_data?.ranges).map(row => [String(row.tile_id), row.tile_data]));
+    return map
+      .filter(row => byId.has(String(row.tile_id)))
+      .map(row => toTile(row, byId.get(String(row.tile_id)), `image:${row.tile_id}`));
+  };
+
+  return { metadata, readTiles };
+};
+
+const parseNumbers = (value) => (value || '').split(',').map(Number).filter(Number.isFinite);
+
+/**
+ * Convert an MBTiles database to a PMTiles archive without copying its tiles
+ *
+ * @param {{getBytes: Function, slice: Function}} source - As for openMbtiles, plus
+ *   `slice(offset, length)` returning a Blob part for those bytes
+ * @returns {Promise<Array>} Blob parts making up the archive
+ * @throws {PmtilesError} When the file can't be read or holds no tiles
+ */
+export const mbtilesToPmtiles = async (source) => {
+  const { metadata, readTiles } = await openMbtiles(source);
+  const tileType = FORMAT_TILE_TYPES[(metadata.format || '').toLowerCase()] ?? TILE_TYPE.UNKNOWN;
+  const tiles = await readTiles();
+  if (tiles.length === 0) {
+    throw new PmtilesError('This MBTiles file has no tiles', 'EMPTY');
+  }
+
+  const zooms = tiles.map(tile => tile.z);
+  const minZoom = Math.min(...zooms);
+  const maxZoom = Math.max(...zooms);
+  const [west = -180, south = -85.0511, east = 180, north = 85.0511] = parseNumbers(metadata.bounds);
+  const [lng = (west + east) / 2, lat = (south + north) / 2, zoom = minZoom] = parseNumbers(metadata.center);
+
+  return writePmtiles(
+    tiles.map(tile => ({
+      tileId: zxyToTileId(tile.z, tile.x, tile.y),
+      key: tile.key,
+      length: tile.length,
+      parts: tile.ranges.map(([offset, length]) => source.slice(offset, length))
+    })),
+    {
+      tileType,
+      minZoom,
+      maxZoom,
+      bounds: { west, south, east, north },
+      center: { zoom: Math.round(zoom), lng, lat },
+      metadata
+    }
+  );
+};
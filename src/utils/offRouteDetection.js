@@ -0,0 +1,181 @@
+/**
+ * Off-route detection shared by the navigation maps
+ *
+ * A single GPS fix far from the route is usually noise (urban canyons, a slow fix after
+ * a tunnel), so the detector only declares the driver off-route after several
+ * consecutive bad fixes, and only back on route once they are well inside the corridor
+ * again. Driving against the direction of the route counts as off-route even inside the
+ * corridor, which catches wrong turns onto parallel streets early.
+ */
+
+export const OFF_ROUTE_DEFAULTS = {
+  thresholdMeters: 30,          // Further than this from the route is an off-route fix
+  rejoinMeters: 15,             // Closer than this puts the driver back on route
+  confirmFixes: 3,              // Consecutive off-route fixes before acting
+  headingToleranceDegrees: 75,  // Heading vs. route direction before it counts as wrong-way
+  minSpeedForHeading: 2,        // m/s; GPS heading is meaningless below walking pace
+  maxAccuracyMeters: 50,        // Fixes less accurate than this are ignored
+  cooldownMs: 15000             // Minimum time between reroutes
+};
+
+export const ROUTE_STATUS = {
+  UNKNOWN: 'unknown',
+  ON_ROUTE: 'on-route',
+  OFF_ROUTE: 'off-route'
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+const toRad = (deg) => deg * Math.PI / 180;
+
+const toPoint = (point) => (Array.isArray(point)
+  ? { lat: Number(point[0]), lng: Number(point[1]) }
+  : {
+    lat: Number(typeof point?.lat === 'function' ? point.lat() : point?.lat ?? point?.latitude),
+    lng: Number(typeof point?.lng === 'function' ? point.lng() : point?.lng ?? point?.longitude)
+  });
+
+/**
+ * Smallest angle between two compass headings, 0-180°
+ */
+export const headingDifference = (a, b) => {
+  const diff = Math.abs(((a - b) % 360 + 360) % 360);
+  return diff > 180 ? 360 - diff : diff;
+};
+
+/**
+ * Closest point on a polyline to a position
+ *
+ * Uses a flat projection around the position, which is accurate to well under a metre
+ * over the few hundred metres that matter here.
+ *
+ * @param {Object|Array} position - { lat, lng } or [lat, lng]
+ * @param {Array<Object|Array>} path - Route polyline
+ * @returns {{distance: number, point: {lat: number, lng: number}, segmentIndex: number, bearing: number, distanceAlong: number}|null}
+ *   distance in metres from the route, the closest point on it, the segment it lies on,
+ *   that segment's compass bearing, and how far along the route the point is
+ */
+export const locateOnPolyline = (position, path) => {
+  const origin = toPoint(position);
+  if (!Number.isFinite(origin.lat) || !Number.isFinite(origin.lng) || !Array.isArray(path) || path.length < 2) {
+    return null;
+  }
+
+  const cosLat = Math.cos(toRad(origin.lat));
+  const toXY = ({ lat, lng }) => ({
+    x: toRad(lng - origin.lng) * cosLat * EARTH_RADIUS_METERS,
+    y: toRad(lat - origin.lat) * EARTH_RADIUS_METERS
+  });
+
+  const points = path.map(toPoint).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  let best = null;
+  let along = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = toXY(points[i]);
+    const b = toXY(points[i + 1]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const length = Math.sqrt(lengthSq);
+
+    // Position is the projection origin (0, 0)
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    const px = a.x + t * dx;
+    const py = a.y + t * dy;
+    const distance = Math.sqrt(px * px + py * py);
+
+    if (!best || distance < best.distance) {
+      best = {
+        distance,
+        point: {
+          lat: points[i].lat + t * (points[i + 1].lat - points[i].lat),
+          lng: points[i].lng + t * (points[i + 1].lng - points[i].lng)
+        },
+        segmentIndex: i,
+        bearing: (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360,
+        distanceAlong: along + t * length
+      };
+    }
+    along += length;
+  }
+
+  return best;
+};
+
+/**
+ * Create a detector that follows one driver along one route
+ *
+ * Feed it every GPS fix; when `shouldReroute` comes back true the caller should fetch
+ * a new route and call `reset()` once it is displayed.
+ *
+ * @param {Object} [options] - Overrides for OFF_ROUTE_DEFAULTS
+ * @returns {{update: Function, reset: Function, getStatus: Function}}
+ */
+export const createOffRouteDetector = (options = {}) => {
+  const settings = { ...OFF_ROUTE_DEFAULTS, ...options };
+  let status = ROUTE_STATUS.UNKNOWN;
+  let offFixes = 0;
+  let lastRerouteAt = -Infinity;
+
+  /**
+   * @param {Object} fix - { lat, lng, heading?, speed?, accuracy? }; speed in m/s, accuracy in metres
+   * @param {Array} path - Current route polyline
+   * @param {number} [now] - Timestamp, for tests
+   * @returns {{status: string, distance: number|null, snappedPoint: Object|null, wrongWay: boolean, shouldReroute: boolean}}
+   */
+  const update = (fix, path, now = Date.now()) => {
+    const located = locateOnPolyline(fix, path);
+    if (!located) {
+      return { status, distance: null, snappedPoint: null, wrongWay: false, shouldReroute: false };
+    }
+
+    const result = {
+      distance: located.distance,
+      snappedPoint: located.point,
+      wrongWay: false,
+      shouldReroute: false
+    };
+
+    // A poor fix can neither confirm nor clear an off-route state
+    if (Number.isFinite(fix.accuracy) && fix.accuracy > settings.maxAccuracyMeters) {
+      return { ...result, status };
+    }
+
+    const headingUsable = Number.isFinite(fix.heading) && fix.heading >= 0 &&
+      Number.isFinite(fix.speed) && fix.speed >= settings.minSpeedForHeading;
+    result.wrongWay = headingUsable &&
+      located.distance > settings.rejoinMeters &&
+      headingDifference(fix.heading, located.bearing) > settings.headingToleranceDegrees;
+
+    // A fix with a wide error circle can't be told apart from one on the road
+    const threshold = Math.max(settings.thresholdMeters, Number.isFinite(fix.accuracy) ? fix.accuracy : 0);
+
+    if (located.distance > threshold || result.wrongWay) {
+      offFixes += 1;
+      if (offFixes >= settings.confirmFixes) status = ROUTE_STATUS.OFF_ROUTE;
+    } else {
+      offFixes = 0;
+      if (status !== ROUTE_STATUS.OFF_ROUTE || located.distance <= settings.rejoinMeters) {
+        status = ROUTE_STATUS.ON_ROUTE;
+      }
+    }
+
+    if (status === ROUTE_STATUS.OFF_ROUTE && now - lastRerouteAt >= settings.cooldownMs) {
+      result.shouldReroute = true;
+      lastRerouteAt = now;
+    }
+
+    return { ...result, status };
+  };
+
+  /**
+   * Forget the off-route state, e.g. when a new route has been drawn. The reroute
+   * cooldown is kept so a bad new route can't cause a burst of requests.
+   */
+  const reset = () => {
+    status = ROUTE_STATUS.UNKNOWN;
+    offFixes = 0;
+  };
+
+  return { update, reset, getStatus: () => status };
+};
@@ -1,7 +1,18 @@
 /**
  * Utility functions for offline support in the TrashDrop Mobile Collector Driver app
+ *
+ * The offline action queue lives in IndexedDB (via localforage, same database as
+ * statePersistence) so queued actions survive reloads, crashes and PWA evictions of
+ * localStorage. Every queued action carries:
+ * - a client-generated idempotency key, so a replayed action is applied at most once
+ * - an entity key (pickup request, digital bin, assignment), so actions touching the
+ *   same entity are replayed strictly in the order they were queued
+ * - retry bookkeeping for exponential backoff, and a "conflict" state for actions the
+ *   server rejected because the row moved on while we were offline
  */
 
+import localforage from 'localforage';
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from './logger';
 
 // Check if the device is online
@@ -9,97 +20,412 @@ export const isOnline = () => {
   return navigator.onLine;
 };
 
-// Queue for storing actions to be performed when back online
-let offlineQueue = [];
+/**
+ * Lifecycle of a queued action
+ */
+export const QUEUE_ITEM_STATUS = {
+  PENDING: 'pending',       // Waiting to be sent
+  PROCESSING: 'processing', // Currently being sent
+  FAILED: 'failed',         // Last attempt failed, will be retried after backoff
+  STUCK: 'stuck',           // Gave up retrying automatically, needs the driver
+  CONFLICT: 'conflict'      // Server state moved on, needs the driver
+};
+
+/**
+ * Entities an action can be ordered against
+ */
+export const QUEUE_ENTITY_TYPES = {
+  PICKUP_REQUEST: 'pickup_request',
+  DIGITAL_BIN: 'digital_bin',
+  ASSIGNMENT: 'assignment',
+  WEIGHBRIDGE_TICKET: 'weighbridge_ticket',
+  DISPOSAL_TRIP: 'disposal_trip'
+};
+
+const LEGACY_STORAGE_KEY = 'offlineQueue';
+const BACKOFF_BASE_MS = 2000; // First retry after ~2 seconds
+const BACKOFF_MAX_MS = 5 * 60 * 1000; // Never wait more than 5 minutes
+const MAX_AUTO_ATTEMPTS = 8; // After this many failures, wait for a manual retry
+
+const queueStore = localforage.createInstance({
+  name: 'TrashDropCarter',
+  storeName: 'offline_queue',
+  description: 'Offline actions waiting to be synced'
+});
 
-// Load queue from localStorage on initialization
-try {
-  const savedQueue = localStorage.getItem('offlineQueue');
-  if (savedQueue) {
-    offlineQueue = JSON.parse(savedQueue);
+/**
+ * Raised by an action processor when the server row is no longer in the state the
+ * action expected (e.g. the request was cancelled while the action sat in the queue).
+ * Conflicts are never retried automatically.
+ */
+export class OfflineConflictError extends Error {
+  constructor(message, serverState = null) {
+    super(message);
+    this.name = 'OfflineConflictError';
+    this.serverState = serverState;
   }
-} catch (error) {
-  logger.error('Error loading offline queue from localStorage:', error);
 }
 
-// Save queue to localStorage
-const saveQueue = () => {
+// In-memory mirror of the persisted queue, loaded lazily
+let offlineQueue = null;
+let loadPromise = null;
+let lastSequence = 0;
+const listeners = new Set();
+
+// Serialise every read-modify-write of the queue
+let queueLock = Promise.resolve();
+const withQueueLock = (operation) => {
+  const run = queueLock.then(operation, operation);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+const sortBySequence = (items) => [...items].sort((a, b) => a.sequence - b.sequence);
+
+const notifyListeners = () => {
+  const snapshot = sortBySequence(offlineQueue || []);
+  listeners.forEach(listener => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      logger.error('Offline queue listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Move items queued by older app versions (localStorage) into IndexedDB
+ */
+const migrateLegacyQueue = async () => {
+  let legacyItems = [];
+  try {
+    const savedQueue = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (savedQueue) {
+      legacyItems = JSON.parse(savedQueue) || [];
+    }
+  } catch (error) {
+    logger.error('Error reading legacy offline queue from localStorage:', error);
+  }
+
+  if (legacyItems.length === 0) return [];
+
+  const migrated = legacyItems.map((item, index) => ({
+    id: uuidv4(),
+    idempotencyKey: uuidv4(),
+    actionType: item.actionType,
+    payload: item.payload,
+    entityType: item.payload?.entityType || null,
+    entityId: item.payload?.entityId || null,
+    status: QUEUE_ITEM_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    serverState: null,
+    sequence: index + 1,
+    createdAt: item.timestamp || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }));
+
+  await Promise.all(migrated.map(item => queueStore.setItem(item.id, item)));
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  logger.info(`📦 Migrated ${migrated.length} offline actions from localStorage to IndexedDB`);
+
+  return migrated;
+};
+
+/**
+ * Load the queue from IndexedDB into memory (once)
+ */
+const loadQueue = () => {
+  if (offlineQueue) return Promise.resolve(offlineQueue);
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    const items = [];
+    try {
+      await queueStore.iterate((value) => {
+        items.push(value);
+      });
+      items.push(...await migrateLegacyQueue());
+    } catch (error) {
+      logger.error('Error loading offline queue from IndexedDB:', error);
+    }
+
+    // Anything marked processing was interrupted by a reload or crash
+    for (const item of items) {
+      if (item.status === QUEUE_ITEM_STATUS.PROCESSING) {
+        item.status = QUEUE_ITEM_STATUS.PENDING;
+        await persistItem(item);
+      }
+    }
+
+    offlineQueue = items;
+    lastSequence = items.reduce((max, item) => Math.max(max, item.sequence || 0), 0);
+    loadPromise = null;
+    return offlineQueue;
+  })();
+
+  return loadPromise;
+};
+
+const persistItem = async (item) => {
   try {
-    localStorage.setItem('offlineQueue', JSON.stringify(offlineQueue));
+    await queueStore.setItem(item.id, item);
   } catch (error) {
-    logger.error('Error saving offline queue to localStorage:', error);
+    logger.error('Error saving offline action to IndexedDB:', error);
   }
 };
 
+const updateItem = async (id, changes) => {
+  const item = offlineQueue.find(entry => entry.id === id);
+  if (!item) return null;
+  Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+  await persistItem(item);
+  return item;
+};
+
+/**
+ * Exponential backoff with jitter for the given number of failed attempts
+ * @param {number} attempts - Number of failed attempts so far (>= 1)
+ * @returns {number} - Delay in milliseconds before the next attempt
+ */
+export const getBackoffDelay = (attempts) => {
+  const exponential = BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  const capped = Math.min(exponential, BACKOFF_MAX_MS);
+  // Up to 20% jitter so a fleet of drivers leaving a dead zone doesn't retry in lockstep
+  return Math.round(capped * (0.8 + Math.random() * 0.2));
+};
+
+/**
+ * Key used to order actions: actions on the same entity replay in sequence
+ */
+const getEntityKey = (item) => (
+  item.entityType && item.entityId ? `${item.entityType}:${item.entityId}` : `action:${item.id}`
+);
+
+/**
+ * Entity key for an entity an action depends on
+ * @param {string} entityType - One of QUEUE_ENTITY_TYPES
+ * @param {string} entityId
+ * @returns {string}
+ */
+export const toEntityKey = (entityType, entityId) => `${entityType}:${entityId}`;
+
 /**
  * Add an action to the offline queue
- * @param {string} actionType - Type of action (e.g., 'completePickup', 'disposeBag')
+ * @param {string} actionType - Type of action (e.g., 'statusChange')
  * @param {object} payload - Data needed to perform the action when back online
+ * @param {object} options - Ordering and idempotency options
+ * @param {string} options.entityType - One of QUEUE_ENTITY_TYPES
+ * @param {string} options.entityId - ID of the pickup request, bin or assignment
+ * @param {string} options.idempotencyKey - Reuse a key to make enqueueing idempotent
+ * @param {string[]} [options.dependsOn] - Entity keys (toEntityKey) whose queued actions
+ *   must all be sent first, e.g. the jobs on a disposal trip
+ * @returns {Promise<object>} - The queued item
  */
-export const addToOfflineQueue = (actionType, payload) => {
+export const addToOfflineQueue = (actionType, payload, options = {}) => withQueueLock(async () => {
+  await loadQueue();
+
+  if (options.idempotencyKey) {
+    const existing = offlineQueue.find(item => item.idempotencyKey === options.idempotencyKey);
+    if (existing) {
+      logger.debug(`📦 Offline action ${options.idempotencyKey} already queued`);
+      return existing;
+    }
+  }
+
+  const now = new Date().toISOString();
   const queueItem = {
-    id: Date.now().toString(),
+    id: uuidv4(),
+    idempotencyKey: options.idempotencyKey || uuidv4(),
     actionType,
     payload,
-    timestamp: new Date().toISOString()
+    entityType: options.entityType || null,
+    entityId: options.entityId || null,
+    dependsOn: options.dependsOn || [],
+    status: QUEUE_ITEM_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    serverState: null,
+    sequence: ++lastSequence,
+    createdAt: now,
+    updatedAt: now
   };
-  
+
   offlineQueue.push(queueItem);
-  saveQueue();
-  
-  return queueItem.id;
-};
+  await persistItem(queueItem);
+  notifyListeners();
+  logger.debug(`📦 Queued offline action: ${actionType}`, getEntityKey(queueItem));
+
+  return queueItem;
+});
 
 /**
  * Remove an action from the offline queue
  * @param {string} id - ID of the action to remove
  */
-export const removeFromOfflineQueue = (id) => {
+export const removeFromOfflineQueue = (id) => withQueueLock(async () => {
+  await loadQueue();
   offlineQueue = offlineQueue.filter(item => item.id !== id);
-  saveQueue();
+  try {
+    await queueStore.removeItem(id);
+  } catch (error) {
+    logger.error('Error removing offline action from IndexedDB:', error);
+  }
+  notifyListeners();
+});
+
+/**
+ * Reset a failed, stuck or conflicting action so the next sync attempts it again
+ * @param {string} id - ID of the action to retry
+ */
+export const retryOfflineAction = (id) => withQueueLock(async () => {
+  await loadQueue();
+  const item = await updateItem(id, {
+    status: QUEUE_ITEM_STATUS.PENDING,
+    nextAttemptAt: null,
+    attempts: 0,
+    lastError: null,
+    serverState: null
+  });
+  notifyListeners();
+  return item;
+});
+
+/**
+ * Get all items in the offline queue, in the order they were queued
+ * @returns {Promise<Array>} - Array of queue items
+ */
+export const getOfflineQueue = async () => {
+  await loadQueue();
+  return sortBySequence(offlineQueue);
 };
 
 /**
- * Get all items in the offline queue
- * @returns {Array} - Array of queue items
+ * Subscribe to queue changes
+ * @param {Function} listener - Called with the full queue after every change
+ * @returns {Function} - Unsubscribe function
  */
-export const getOfflineQueue = () => {
-  return [...offlineQueue];
+export const subscribeToOfflineQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
 };
 
 /**
  * Process the offline queue when back online
- * @param {Function} processAction - Function to process each action
- * @returns {Promise} - Promise that resolves when all actions are processed
+ *
+ * Actions are grouped per entity and replayed in queue order. Within a group, a
+ * failed, backing-off or conflicting action blocks every later action so a status
+ * change is never applied before the one it depends on. An action with dependsOn also
+ * waits until nothing is left queued for the entities it names.
+ *
+ * @param {Function} processAction - Called with (actionType, payload, item)
+ * @returns {Promise<Array>} - Result per attempted action
  */
 export const processOfflineQueue = async (processAction) => {
-  if (offlineQueue.length === 0) {
-    return Promise.resolve([]);
+  const queue = await getOfflineQueue();
+  if (queue.length === 0) {
+    return [];
   }
-  
+
+  const groups = new Map();
+  for (const item of queue) {
+    const key = getEntityKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
   const results = [];
-  const currentQueue = [...offlineQueue];
-  
-  for (const item of currentQueue) {
-    try {
-      const result = await processAction(item.actionType, item.payload);
-      results.push({ id: item.id, success: true, result });
-      removeFromOfflineQueue(item.id);
-    } catch (error) {
-      results.push({ id: item.id, success: false, error: error.message });
+  // Items sent successfully in this pass no longer hold up their dependants
+  const sent = new Set();
+  const isWaitingOn = (keys) => keys.some(key => queue.some(other => !sent.has(other.id) && getEntityKey(other) === key));
+
+  for (const group of groups.values()) {
+    for (const item of group) {
+      const now = Date.now();
+      const isBlocked = item.status === QUEUE_ITEM_STATUS.CONFLICT ||
+        item.status === QUEUE_ITEM_STATUS.STUCK ||
+        (item.nextAttemptAt && new Date(item.nextAttemptAt).getTime() > now) ||
+        isWaitingOn(item.dependsOn || []);
+
+      if (isBlocked) break;
+
+      await withQueueLock(() => updateItem(item.id, { status: QUEUE_ITEM_STATUS.PROCESSING }));
+      notifyListeners();
+
+      try {
+        const result = await processAction(item.actionType, item.payload, item);
+        results.push({ id: item.id, success: true, result });
+        sent.add(item.id);
+        await removeFromOfflineQueue(item.id);
+      } catch (error) {
+        const isConflict = error instanceof OfflineConflictError || error?.name === 'OfflineConflictError';
+        const attempts = (item.attempts || 0) + 1;
+
+        let changes;
+        if (isConflict) {
+          changes = {
+            status: QUEUE_ITEM_STATUS.CONFLICT,
+            attempts,
+            nextAttemptAt: null,
+            lastError: error.message,
+            serverState: error.serverState || null
+          };
+          logger.warn(`⚠️ Offline action ${item.actionType} conflicts with server state:`, error.message);
+        } else if (attempts >= MAX_AUTO_ATTEMPTS) {
+          changes = {
+            status: QUEUE_ITEM_STATUS.STUCK,
+            attempts,
+            nextAttemptAt: null,
+            lastError: error?.message || String(error)
+          };
+          logger.error(`❌ Offline action ${item.actionType} gave up after ${attempts} attempts:`, error);
+        } else {
+          changes = {
+            status: QUEUE_ITEM_STATUS.FAILED,
+            attempts,
+            nextAttemptAt: new Date(now + getBackoffDelay(attempts)).toISOString(),
+            lastError: error?.message || String(error)
+          };
+          logger.warn(`🔁 Offline action ${item.actionType} failed (attempt ${attempts}), backing off`);
+        }
+
+        await withQueueLock(() => updateItem(item.id, changes));
+        notifyListeners();
+        results.push({ id: item.id, success: false, conflict: isConflict, error: changes.lastError });
+        break;
+      }
     }
   }
-  
+
   return results;
 };
 
+/**
+ * Earliest time a failed action becomes eligible for retry
+ * @returns {Promise<number|null>} - Epoch milliseconds, or null when nothing is waiting
+ */
+export const getNextRetryTime = async () => {
+  const queue = await getOfflineQueue();
+  const times = queue
+    .filter(item => item.status === QUEUE_ITEM_STATUS.FAILED && item.nextAttemptAt)
+    .map(item => new Date(item.nextAttemptAt).getTime());
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
 /**
  * Clear the entire offline queue
  */
-export const clearOfflineQueue = () => {
+export const clearOfflineQueue = () => withQueueLock(async () => {
   offlineQueue = [];
-  saveQueue();
-};
+  try {
+    await queueStore.clear();
+  } catch (error) {
+    logger.error('Error clearing offline queue in IndexedDB:', error);
+  }
+  notifyListeners();
+});
 
 /**
  * Register online/offline event listeners
@@ -108,10 +434,14 @@ export const clearOfflineQueue = () => {
  */
 export const registerConnectivityListeners = (onOnline, onOffline) => {
   window.addEventListener('online', onOnline);
-  window.addEventListener('offline', onOffline);
-  
+  if (onOffline) {
+    window.addEventListener('offline', onOffline);
+  }
+
   return () => {
     window.removeEventListener('online', onOnline);
-    window.removeEventListener('offline', onOffline);
+    if (onOffline) {
+      window.removeEventListener('offline', onOffline);
+    }
   };
 };
@@ -10,8 +10,37 @@
  * - Tips: 100% collector
  * - Recyclables: 60% collector / 25% user / 15% platform
  * - Loyalty cashback: 1-3% based on tier (from platform App Bucket)
+ *
+ * PAYMENT_SPLITS is the only copy of these percentages in the app. The earnings ledger
+ * splits each disposal server-side by the same rules (ledger_job_fee_shares in the
+ * create_earnings_ledger migration), so a change here has to be made there too; balances
+ * and earnings totals are read back from the ledger (services/ledgerService.js).
  */
 
+// SOP v4.5.6 Payment Model Constants
+// The ledger migration (create_earnings_ledger) mirrors the fee and recyclables splits
+export const PAYMENT_SPLITS = {
+  // Collector shares
+  URGENT_COLLECTOR_SHARE: 0.75,      // 75% of urgent surcharge to collector
+  SURGE_COLLECTOR_SHARE: 0.75,       // 75% of surge uplift to collector
+  TIPS_COLLECTOR_SHARE: 1.0,         // 100% of tips to collector
+  RECYCLABLES_COLLECTOR_SHARE: 0.60, // 60% of recyclables to collector
+  RECYCLABLES_USER_SHARE: 0.25,      // 25% of recyclables to user
+  DISTANCE_COLLECTOR_SHARE: 1.0,     // 100% of distance bonus to collector
+  DEFAULT_DEADHEAD_SHARE: 0.87,      // Average of 85-92% for legacy data without deadhead info
+
+  // Platform shares (App Bucket)
+  URGENT_PLATFORM_SHARE: 0.25,       // 25% of urgent surcharge to platform
+  SURGE_PLATFORM_SHARE: 0.25,        // 25% of surge uplift to platform
+  RECYCLABLES_PLATFORM_SHARE: 0.15,  // 15% of recyclables to platform
+
+  // Platform request fee - excluded from sharing, goes directly to platform
+  PLATFORM_REQUEST_FEE: 1.00,        // GHC 1.00 fixed platform fee
+
+  URGENT_SURCHARGE_RATE: 0.30,       // Urgent adds 30% of base to the fee
+  DISTANCE_RATE_PER_KM: 0.06         // 6% of base per billed km
+};
+
 /**
  * Calculate collector's share based on deadhead distance (SOP v4.5.6)
  * LONGER deadhead = HIGHER share (compensates for travel cost)
@@ -108,10 +137,10 @@ export function calculatePaymentBreakdown({
   const nonDistanceCore = Math.max(0, base + onSite - discount);
   
   // 2. Calculate urgent surcharge (30% of base)
-  const urgentAmt = urgentEnabled ? 0.30 * base : 0;
+  const urgentAmt = urgentEnabled ? PAYMENT_SPLITS.URGENT_SURCHARGE_RATE * base : 0;
   
   // 3. Calculate distance charges (only if urgent enabled)
-  const perKm = urgentEnabled ? 0.06 * base : 0;
+  const perKm = urgentEnabled ? PAYMENT_SPLITS.DISTANCE_RATE_PER_KM * base : 0;
   const distanceAmt = billedKm * perKm;
   
   // 4. Calculate collector's core share based on deadhead
@@ -122,8 +151,8 @@ export function calculatePaymentBreakdown({
   const platformCore = nonDistanceCore - collectorCore;
   
   // 6. Calculate urgent split (75/25)
-  const collectorUrg = 0.75 * urgentAmt;
-  const platformUrg = 0.25 * urgentAmt;
+  const collectorUrg = PAYMENT_SPLITS.URGENT_COLLECTOR_SHARE * urgentAmt;
+  const platformUrg = PAYMENT_SPLITS.URGENT_PLATFORM_SHARE * urgentAmt;
   
   // 7. Distance bonus goes 100% to collector
   const collectorDist = distanceAmt;
@@ -131,13 +160,13 @@ export function calculatePaymentBreakdown({
   // 8. Calculate surge uplift and split (75/25)
   const eligibleSurgeBase = nonDistanceCore + urgentAmt + distanceAmt;
   const surgeUplift = Math.max(0, (surgeMultiplier - 1) * eligibleSurgeBase);
-  const collectorSurge = 0.75 * surgeUplift;
-  const platformSurge = 0.25 * surgeUplift;
+  const collectorSurge = PAYMENT_SPLITS.SURGE_COLLECTOR_SHARE * surgeUplift;
+  const platformSurge = PAYMENT_SPLITS.SURGE_PLATFORM_SHARE * surgeUplift;
   
   // 9. Recyclables split (60/25/15)
-  const collectorRecyclables = 0.60 * recyclerGross;
-  const userRecyclables = 0.25 * recyclerGross;
-  const platformRecyclables = 0.15 * recyclerGross;
+  const collectorRecyclables = PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE * recyclerGross;
+  const userRecyclables = PAYMENT_SPLITS.RECYCLABLES_USER_SHARE * recyclerGross;
+  const platformRecyclables = PAYMENT_SPLITS.RECYCLABLES_PLATFORM_SHARE * recyclerGross;
   
   // 10. Calculate loyalty cashback (before adding tips/recyclables)
   const collectorPayoutPreLoyalty = collectorCore + collectorUrg + collectorDist + collectorSurge;
@@ -217,7 +246,7 @@ export function computeBinPaymentShares({
   totalBill,
   isUrgent = false,
   deadheadKm = 0,
-  requestFee = 1.0
+  requestFee = PAYMENT_SPLITS.PLATFORM_REQUEST_FEE
 }) {
   const bill = parseFloat(totalBill) || 0;
   const fee = parseFloat(requestFee) || 0;
@@ -244,12 +273,12 @@ export function computeBinPaymentShares({
   }
 
   const km = parseFloat(deadheadKm) || 0;
-  const deadheadShare = km > 0 ? getDeadheadShare(km) : 0.87; // Default average
+  const deadheadShare = km > 0 ? getDeadheadShare(km) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
 
   // Split shareable into base and urgent portions (fee already includes 30% urgent surcharge)
   let basePortion, urgentPortion;
   if (isUrgent) {
-    basePortion = shareableAmount / 1.30;
+    basePortion = shareableAmount / (1 + PAYMENT_SPLITS.URGENT_SURCHARGE_RATE);
     urgentPortion = shareableAmount - basePortion;
   } else {
     basePortion = shareableAmount;
@@ -258,12 +287,12 @@ export function computeBinPaymentShares({
 
   // Collector portions
   const collectorCore = basePortion * deadheadShare;
-  const collectorUrgent = urgentPortion * 0.75; // 75% of urgent to collector
+  const collectorUrgent = urgentPortion * PAYMENT_SPLITS.URGENT_COLLECTOR_SHARE;
   const collectorShare = collectorCore + collectorUrgent;
 
   // Platform portions
   const platformCore = basePortion * (1 - deadheadShare);
-  const platformUrgent = urgentPortion * 0.25; // 25% of urgent to platform
+  const platformUrgent = urgentPortion * PAYMENT_SPLITS.URGENT_PLATFORM_SHARE;
   const platformShare = platformCore + platformUrgent + fee;
 
   return {
@@ -283,6 +312,172 @@ export function computeBinPaymentShares({
   };
 }
 
+/**
+ * TrashDrop Pricing Algorithm v4.5.6
+ * 
+ * Payment Sharing Model Components:
+ * 1. Core Collection Fee - Collector gets 85-92% based on deadhead distance
+ * 2. Urgent Request Premium - 75% collector / 25% platform
+ * 3. Distance Bonus - 100% to collector (only when urgent and >5km)
+ * 4. Surge Multiplier - 75% collector / 25% platform
+ * 5. Tips - 100% to collector (fetched from collector_tips table)
+ * 6. Recyclables Bonus - 60% collector / 25% user / 15% platform
+ * 7. Loyalty Cashback - 1-3% based on tier (platform funded)
+ */
+
+/**
+ * Calculate payment sharing based on bin data and payment record
+ * Used at disposal for both digital bins and pickup requests. The stored breakdown is
+ * what the app shows; the earnings ledger works out the same split itself from the bill
+ * it holds (see the create_earnings_ledger migration)
+ * 
+ * CRITICAL: The fee field represents the TOTAL amount the user paid.
+ * All collector payouts from the fee must NOT exceed the fee itself.
+ * Recyclables and tips are external revenue sources that can add on top.
+ * 
+ * @param {Object} digitalBin - Digital bin data from database
+ * @param {Object} payment - Payment record from bin_payments
+ * @param {number} actualTips - Actual tips from collector_tips table (default 0)
+ * @returns {Object} Payout breakdown
+ */
+export function calculatePaymentSharing(digitalBin, payment, actualTips = 0) {
+  // IMPORTANT: Use payment.total_bill as PRIMARY source (the actual amount collected from client)
+  // Fall back to digitalBin.fee only when no payment record exists
+  const totalBill = parseFloat(payment.total_bill) || parseFloat(digitalBin.fee) || parseFloat(digitalBin.payout) || 0;
+  
+  // CRITICAL: Exclude platform request fee from sharing - it goes directly to platform
+  const platformRequestFee = PAYMENT_SPLITS.PLATFORM_REQUEST_FEE;
+  const shareableAmount = Math.max(0, totalBill - platformRequestFee);
+  const bagsCollected = parseInt(digitalBin.bags_collected) || parseInt(payment.bags_collected) || 1;
+  const isUrgent = digitalBin.is_urgent || false;
+  const deadheadKm = parseFloat(digitalBin.deadhead_km) || 0;
+  const surgeMultiplier = parseFloat(digitalBin.surge_multiplier) || 1.0;
+  
+  // Calculate collector's deadhead share (85-92%)
+  // Use DEFAULT_DEADHEAD_SHARE (0.87) for legacy data without deadhead info
+  const deadheadShare = deadheadKm > 0 ? getDeadheadShare(deadheadKm) : PAYMENT_SPLITS.DEFAULT_DEADHEAD_SHARE;
+  
+  // ========================================================================
+  // CRITICAL FIX: Extract components FROM the fee, don't add on top
+  // The fee ALREADY includes urgent surcharge if applicable
+  // ========================================================================
+  
+  // If urgent is enabled, the shareable amount already contains the 30% surcharge
+  // Extract base and urgent portions FROM the shareable amount (after platform fee)
+  let basePortion, urgentPortion;
+  if (isUrgent) {
+    // shareableAmount = base + (base * 0.30) = base * 1.30
+    // Therefore: base = shareableAmount / 1.30
+    basePortion = shareableAmount / (1 + PAYMENT_SPLITS.URGENT_SURCHARGE_RATE);
+    urgentPortion = shareableAmount - basePortion;
+  } else {
+    basePortion = shareableAmount;
+    urgentPortion = 0;
+  }
+  
+  // Component 1: Core Collection Fee - collector gets deadhead share of BASE portion
+  const collectorCorePayout = basePortion * deadheadShare;
+  const platformCoreMargin = basePortion - collectorCorePayout;
+  
+  // Component 2: Urgent Premium - 75/25 split of the URGENT portion (already in fee)
+  const collectorUrgentPayout = urgentPortion * PAYMENT_SPLITS.URGENT_COLLECTOR_SHARE;
+  const platformUrgentShare = urgentPortion * PAYMENT_SPLITS.URGENT_PLATFORM_SHARE;
+  
+  // Component 3: Distance Bonus - 100% to collector (only if urgent and >5km)
+  // NOTE: Distance charges should also be included in the shareable amount if applicable
+  const freeDistanceKm = 5;
+  const billedKm = (isUrgent && deadheadKm > freeDistanceKm) 
+    ? Math.min(deadheadKm, 10) - freeDistanceKm 
+    : 0;
+  // Distance is a small portion, cap it to avoid exceeding shareable amount
+  const maxDistancePortion = shareableAmount * 0.10; // Max 10% of shareable for distance
+  const distanceAmount = Math.min(billedKm * (basePortion * PAYMENT_SPLITS.DISTANCE_RATE_PER_KM), maxDistancePortion);
+  const collectorDistancePayout = distanceAmount * PAYMENT_SPLITS.DISTANCE_COLLECTOR_SHARE;
+  
+  // Component 4: Surge Multiplier - 75/25 split
+  // Surge should also be included in the fee if applicable
+  const eligibleSurgeBase = basePortion + urgentPortion;
+  const surgeUplift = Math.max(0, (surgeMultiplier - 1) * eligibleSurgeBase);
+  // Cap surge to remaining fee after other components
+  const maxSurgePortion = totalBill * 0.20; // Max 20% of fee for surge
+  const cappedSurgeUplift = Math.min(surgeUplift, maxSurgePortion);
+  const collectorSurgePayout = cappedSurgeUplift * PAYMENT_SPLITS.SURGE_COLLECTOR_SHARE;
+  const platformSurgeShare = cappedSurgeUplift * PAYMENT_SPLITS.SURGE_PLATFORM_SHARE;
+  
+  // Calculate payout from fee (before external sources)
+  const payoutFromFee = collectorCorePayout + collectorUrgentPayout + 
+    collectorDistancePayout + collectorSurgePayout;
+  
+  // Component 5: Tips - 100% to collector (EXTERNAL source, can add on top)
+  const collectorTips = actualTips * PAYMENT_SPLITS.TIPS_COLLECTOR_SHARE;
+  
+  // Component 6: Recyclables Bonus - 60/25/15 split (EXTERNAL source from recycler)
+  const recyclablesBonus = parseFloat(digitalBin.recycler_gross_payout) || 0;
+  const collectorRecyclablesPayout = recyclablesBonus * PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE;
+  const userRecyclablesCredit = recyclablesBonus * PAYMENT_SPLITS.RECYCLABLES_USER_SHARE;
+  const platformRecyclablesShare = recyclablesBonus * PAYMENT_SPLITS.RECYCLABLES_PLATFORM_SHARE;
+  
+  // Component 7: Loyalty Cashback (1-3% based on tier, PLATFORM funded)
+  const loyaltyRate = digitalBin.loyalty_rate || 0.01; // Default 1% (Silver tier)
+  const loyaltyCashback = payoutFromFee * loyaltyRate;
+  
+  // Total collector payout = fee share + external sources
+  const collectorTotalPayout = 
+    payoutFromFee +           // From user's fee
+    collectorTips +           // External: tips
+    collectorRecyclablesPayout + // External: recycler
+    loyaltyCashback;          // External: platform
+  
+  // Total platform share (App Bucket) - includes the fixed request fee
+  const platformTotalShare = 
+    platformRequestFee +      // Fixed GHC 1.00 platform fee
+    platformCoreMargin + 
+    platformUrgentShare + 
+    platformSurgeShare + 
+    platformRecyclablesShare;
+  
+  // Breakdown for storage
+  const breakdown = {
+    // Collector components
+    collector_core_payout: collectorCorePayout,
+    collector_urgent_payout: collectorUrgentPayout,
+    collector_distance_payout: collectorDistancePayout,
+    collector_surge_payout: collectorSurgePayout,
+    collector_tips: collectorTips,
+    collector_recyclables_payout: collectorRecyclablesPayout,
+    collector_loyalty_cashback: loyaltyCashback,
+    collector_total_payout: collectorTotalPayout,
+    
+    // Platform share
+    platform_share: platformTotalShare,
+    platform_core_margin: platformCoreMargin,
+    platform_urgent_share: platformUrgentShare,
+    platform_surge_share: platformSurgeShare,
+    platform_recyclables_share: platformRecyclablesShare,
+    
+    // User credit
+    user_recyclables_credit: userRecyclablesCredit,
+    
+    // Metadata
+    surge_multiplier: surgeMultiplier,
+    deadhead_km: deadheadKm,
+    deadhead_share: deadheadShare,
+    loyalty_rate: loyaltyRate,
+    payout_from_fee: payoutFromFee,
+    platform_request_fee: platformRequestFee,
+    
+    // Summary
+    total_bill: totalBill,
+    shareable_amount: shareableAmount,
+    bags_collected: bagsCollected,
+    is_urgent: isUrgent,
+    base_portion: basePortion,
+    urgent_portion: urgentPortion
+  };
+  
+  return breakdown;
+}
+
 /**
  * Get loyalty tier name from cashback rate
  * 
@@ -0,0 +1,180 @@
+/**
+ * Payout statements
+ *
+ * Turns the rows of get_payout_statement() (one per bin or pickup a withdrawal paid
+ * out) into the CSV and PDF statements collectors download from the Earnings page.
+ * Money columns are GHS; "deadhead" is the distance share paid for driving to the job.
+ */
+
+import { buildTextPdf, PAGE_SIZES } from './textPdf';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const STATEMENT_COLUMNS = [
+  { key: 'completedAt', label: 'Date' },
+  { key: 'itemType', label: 'Type' },
+  { key: 'itemId', label: 'Job ID' },
+  { key: 'location', label: 'Location' },
+  { key: 'wasteType', label: 'Waste type' },
+  { key: 'grossFee', label: 'Gross fee', money: true },
+  { key: 'deadheadKm', label: 'Deadhead km', number: true },
+  { key: 'corePayout', label: 'Core', money: true },
+  { key: 'deadheadPayout', label: 'Deadhead share', money: true },
+  { key: 'urgentPayout', label: 'Urgent', money: true },
+  { key: 'surgePayout', label: 'Surge', money: true },
+  { key: 'surgeMultiplier', label: 'Surge x', number: true },
+  { key: 'tips', label: 'Tips', money: true },
+  { key: 'recyclablesPayout', label: 'Recyclables', money: true },
+  { key: 'loyaltyCashback', label: 'Loyalty', money: true },
+  { key: 'platformFee', label: 'Platform fee', money: true },
+  { key: 'collectorTotal', label: 'Collector total', money: true },
+  { key: 'amountPaid', label: 'Paid in this payout', money: true }
+];
+
+const TOTAL_KEYS = STATEMENT_COLUMNS.filter(column => column.money).map(column => column.key);
+
+const ITEM_TYPE_LABELS = { digital_bin: 'Bin', pickup_request: 'Pickup' };
+
+/**
+ * Map a get_payout_statement() row to a statement line
+ * @param {Object} row
+ * @returns {Object}
+ */
+export const toStatementLine = (row) => ({
+  completedAt: row.completed_at || null,
+  itemType: row.item_type,
+  itemId: row.item_id,
+  location: row.location || '',
+  wasteType: row.waste_type || '',
+  grossFee: round2(row.gross_fee),
+  deadheadKm: round2(row.deadhead_km),
+  corePayout: round2(row.core_payout),
+  deadheadPayout: round2(row.deadhead_payout),
+  urgentPayout: round2(row.urgent_payout),
+  surgePayout: round2(row.surge_payout),
+  surgeMultiplier: Number(row.surge_multiplier) || 1,
+  tips: round2(row.tips),
+  recyclablesPayout: round2(row.recyclables_payout),
+  loyaltyCashback: round2(row.loyalty_cashback),
+  platformFee: round2(row.platform_fee),
+  collectorTotal: round2(row.collector_total),
+  amountPaid: round2(row.amount_paid)
+});
+
+/**
+ * Column totals over the money columns
+ * @param {Object[]} lines - statement lines
+ * @returns {Object}
+ */
+export const summarizeStatement = (lines) => Object.fromEntries(
+  TOTAL_KEYS.map(key => [key, round2(lines.reduce((sum, line) => sum + (line[key] || 0), 0))])
+);
+
+const maskPhone = (phone) => (phone ? `${String(phone).slice(0, 3)}****${String(phone).slice(-3)}` : '');
+
+const formatDate = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : '');
+
+const formatCell = (column, value) => {
+  if (column.key === 'completedAt') return formatDate(value);
+  if (column.key === 'itemType') return ITEM_TYPE_LABELS[value] || value;
+  if (column.money) return (value || 0).toFixed(2);
+  if (column.number) return String(value ?? '');
+  return value ?? '';
+};
+
+// Quote where needed, and keep spreadsheet apps from running a location like "=HYPERLINK(...)"
+const csvField = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Header details printed above the line items
+ * @param {Object} withdrawal - withdrawals row
+ * @returns {Array<[string, string]>}
+ */
+const statementHeader = (withdrawal) => [
+  ['Payout', withdrawal.id],
+  ['Payout date', formatDate(withdrawal.created_at)],
+  ['Status', withdrawal.status],
+  ['Type', withdrawal.source === 'scheduled' ? 'Automatic payout' : 'Manual cash-out'],
+  ['Paid to', `${withdrawal.network || ''} ${maskPhone(withdrawal.phone_number)}`.trim()],
+  ['Amount (GHS)', round2(withdrawal.amount).toFixed(2)]
+];
+
+/**
+ * Build the CSV statement
+ * @param {{ withdrawal: Object, lines: Object[] }} statement
+ * @returns {string}
+ */
+export const buildStatementCsv = ({ withdrawal, lines }) => {
+  const totals = summarizeStatement(lines);
+  const rows = [
+    ...statementHeader(withdrawal),
+    [],
+    STATEMENT_COLUMNS.map(column => (column.money ? `${column.label} (GHS)` : column.label)),
+    ...lines.map(line => STATEMENT_COLUMNS.map(column => formatCell(column, line[column.key]))),
+    STATEMENT_COLUMNS.map((column, index) => {
+      if (index === 0) return 'Total';
+      return column.money ? totals[column.key].toFixed(2) : '';
+    })
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// Fixed-width layout for the PDF; long locations are cut to fit the page
+const PDF_LAYOUT = [
+  ['completedAt', 10], ['itemType', 6], ['itemId', 8], ['location', 22], ['grossFee', 9],
+  ['deadheadKm', 6], ['corePayout', 8], ['deadheadPayout', 8], ['urgentPayout', 8], ['surgePayout', 8],
+  ['tips', 7], ['recyclablesPayout', 8], ['loyaltyCashback', 8], ['platformFee', 8],
+  ['collectorTotal', 9], ['amountPaid', 9]
+].map(([key, width]) => ({ ...STATEMENT_COLUMNS.find(column => column.key === key), width }));
+
+const PDF_HEADINGS = {
+  completedAt: 'Date', itemType: 'Type', itemId: 'Job', location: 'Location', grossFee: 'Gross',
+  deadheadKm: 'DH km', corePayout: 'Core', deadheadPayout: 'Deadhead', urgentPayout: 'Urgent',
+  surgePayout: 'Surge', tips: 'Tips', recyclablesPayout: 'Recycl.', loyaltyCashback: 'Loyalty',
+  platformFee: 'Fee', collectorTotal: 'Total', amountPaid: 'Paid'
+};
+
+const pdfRow = (cells) => PDF_LAYOUT.map((column, index) => {
+  const text = String(cells[index] ?? '').slice(0, column.width);
+  return column.money || column.number ? text.padStart(column.width) : text.padEnd(column.width);
+}).join(' ');
+
+/**
+ * Build the PDF statement
+ * @param {{ withdrawal: Object, lines: Object[] }} statement
+ * @returns {string} PDF file contents
+ */
+export const buildStatementPdf = ({ withdrawal, lines }) => {
+  const totals = summarizeStatement(lines);
+  const rule = '-'.repeat(pdfRow([]).length);
+
+  const text = [
+    { text: 'TrashDrop collector payout statement', bold: true },
+    '',
+    ...statementHeader(withdrawal).map(([label, value]) => `${label.padEnd(14)}${value}`),
+    '',
+    { text: pdfRow(PDF_LAYOUT.map(column => PDF_HEADINGS[column.key])), bold: true },
+    rule,
+    ...lines.map(line => pdfRow(PDF_LAYOUT.map(column => formatCell(column, line[column.key])))),
+    rule,
+    { text: pdfRow(PDF_LAYOUT.map((column, index) => (index === 0 ? 'Total' : column.money ? totals[column.key].toFixed(2) : ''))), bold: true },
+    '',
+    'All amounts in GHS. Deadhead = distance share for driving to the job. Fee = platform share of the gross fee.',
+    'Paid = part of this job\'s earnings settled by this payout.'
+  ];
+
+  return buildTextPdf(text, { pageSize: PAGE_SIZES.A4_LANDSCAPE, fontSize: 7 });
+};
+
+/**
+ * File name for a downloaded statement
+ * @param {Object} withdrawal
+ * @param {'csv'|'pdf'} format
+ * @returns {string}
+ */
+export const statementFileName = (withdrawal, format) =>
+  `trashdrop-payout-${formatDate(withdrawal.created_at) || 'statement'}-${String(withdrawal.id).slice(0, 8)}.${format}`;
@@ -0,0 +1,393 @@
+/**
+ * Before/after photo evidence
+ *
+ * Every evidence photo is processed on the device at the moment it is taken: the EXIF
+ * time and GPS of the original are read (the re-encode below drops them), the image is
+ * resized and re-compressed, the capture time, fix and stage are burnt into a band at
+ * the bottom, and the SHA-256 of the resulting JPEG is recorded. That hash is what the
+ * server keeps, so the stored object can always be checked against it.
+ *
+ * The server re-checks everything on upload (migration 20261029090000); checkEvidenceSet()
+ * mirrors its rules so the driver hears about a missing or out-of-area shot before
+ * leaving the site.
+ */
+
+import { calculateDistance } from './locationUtils';
+import {
+  ASSIGNMENT_COMPLETION_RADIUS_KM,
+  PICKUP_MANUAL_ARRIVAL_RADIUS_KM,
+  kmToMeters
+} from '../config/geofenceConfig';
+
+export const EVIDENCE_STAGES = {
+  BEFORE: 'before',
+  AFTER: 'after'
+};
+
+const STAGE_LABELS = {
+  [EVIDENCE_STAGES.BEFORE]: 'BEFORE',
+  [EVIDENCE_STAGES.AFTER]: 'AFTER'
+};
+
+// Long edge of the stored image; plenty to judge a site, ~200-400 KB as JPEG
+export const EVIDENCE_MAX_DIMENSION = 1600;
+export const EVIDENCE_JPEG_QUALITY = 0.8;
+
+/**
+ * SQLSTATE raised by the completion gate when evidence is missing
+ */
+export const EVIDENCE_SQLSTATE = 'PT422';
+
+/**
+ * Shots and geofence per job type; keep in step with job_evidence_requirements
+ */
+export const EVIDENCE_REQUIREMENTS = {
+  assignment: { minBefore: 1, minAfter: 2, radiusM: kmToMeters(ASSIGNMENT_COMPLETION_RADIUS_KM) },
+  pickup_request: { minBefore: 1, minAfter: 1, radiusM: kmToMeters(PICKUP_MANUAL_ARRIVAL_RADIUS_KM) },
+  digital_bin: { minBefore: 1, minAfter: 1, radiusM: kmToMeters(PICKUP_MANUAL_ARRIVAL_RADIUS_KM) }
+};
+
+// The server allows the same benefit of the doubt (job_evidence_requirements.max_accuracy_m)
+const MAX_ACCURACY_ALLOWANCE_M = 50;
+
+const PROBLEM_MESSAGES = {
+  missing_before: 'Take a "before" photo of the site before you start.',
+  missing_after: 'Take the "after" photos once the site is clear.',
+  no_location: 'Some photos have no GPS fix. Turn on location and retake them.',
+  outside_geofence: 'Some photos were taken too far from the job location.',
+  exif_outside_geofence: 'The camera placed some photos away from the job location.',
+  taken_before_job: 'Some photos were taken before you accepted this job.',
+  taken_in_future: 'Some photos have a capture time in the future. Check the phone clock.',
+  exif_time_mismatch: 'The camera time on some photos does not match when they were taken.',
+  missing_hash: 'Some photos were not processed on capture. Retake them.',
+  reused_photo: 'A photo was already used for another job.'
+};
+
+/**
+ * Driver-facing explanation of evidence problem codes
+ * @param {string[]} problems - Codes from checkEvidenceSet() or the server
+ * @returns {string}
+ */
+export const describeEvidenceProblems = (problems = []) => {
+  const messages = [...new Set(problems)].map(code => PROBLEM_MESSAGES[code]).filter(Boolean);
+  return messages.length > 0 ? messages.join(' ') : 'Photo evidence for this job is incomplete.';
+};
+
+/**
+ * Message for a status change the server refused for lack of evidence, or null when
+ * the error is something else
+ * @param {Object} error - Supabase/PostgREST error
+ * @returns {string|null}
+ */
+export const evidenceErrorMessage = (error) => {
+  if (!error || (error.code !== EVIDENCE_SQLSTATE && error.hint !== 'evidence_required')) {
+    return null;
+  }
+  try {
+    const status = JSON.parse(error.details || '{}');
+    return describeEvidenceProblems(status.problems);
+  } catch {
+    return describeEvidenceProblems();
+  }
+};
+
+// ---------------------------------------------------------------------------
+// EXIF
+// ---------------------------------------------------------------------------
+
+const EMPTY_EXIF = Object.freeze({ takenAt: null, latitude: null, longitude: null });
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME = 0x0132;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// Bytes per value for the EXIF types we read (BYTE, ASCII, SHORT, LONG, RATIONAL)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 };
+
+const readIfd = (view, tiffStart, ifdOffset, little) => {
+  const entries = new Map();
+  const start = tiffStart + ifdOffset;
+  if (start + 2 > view.byteLength) return entries;
+
+  const count = view.getUint16(start, little);
+  for (let i = 0; i < count; i += 1) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    entries.set(view.getUint16(entry, little), {
+      type: view.getUint16(entry + 2, little),
+      count: view.getUint32(entry + 4, little),
+      valueOffset: entry + 8
+    });
+  }
+  return entries;
+};
+
+// Values of up to four bytes sit in the entry itself, larger ones elsewhere in the TIFF block
+const valueStart = (view, tiffStart, entry, little) =>
+  (TYPE_SIZES[entry.type] || 1) * entry.count <= 4
+    ? entry.valueOffset
+    : tiffStart + view.getUint32(entry.valueOffset, little);
+
+const readAscii = (view, tiffStart, entry, little) => {
+  if (!entry) return null;
+  const start = valueStart(view, tiffStart, entry, little);
+  let text = '';
+  for (let i = 0; i < entry.count && start + i < view.byteLength; i += 1) {
+    const code = view.getUint8(start + i);
+    if (code === 0) break;
+    text += String.fromCharCode(code);
+  }
+  return text || null;
+};
+
+const readRationals = (view, tiffStart, entry, little) => {
+  if (!entry || entry.type !== 5) return null;
+  const start = valueStart(view, tiffStart, entry, little);
+  const values = [];
+  for (let i = 0; i < entry.count; i += 1) {
+    const numerator = view.getUint32(start + i * 8, little);
+    const denominator = view.getUint32(start + i * 8 + 4, little);
+    values.push(denominator ? numerator / denominator : 0);
+  }
+  return values;
+};
+
+const toDegrees = (parts, ref) => {
+  if (!parts || parts.length < 3) return null;
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+// "2026:10:29 14:05:09" -> "2026-10-29T14:05:09" (camera clock, no time zone)
+const toIsoLocal = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+};
+
+const parseTiff = (view, tiffStart) => {
+  const byteOrder = view.getUint16(tiffStart);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return EMPTY_EXIF;
+  const little = byteOrder === 0x4949;
+  if (view.getUint16(tiffStart + 2, little) !== 42) return EMPTY_EXIF;
+
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+
+  let takenAt = null;
+  const exifPointer = ifd0.get(TAG_EXIF_IFD);
+  if (exifPointer) {
+    const exifIfd = readIfd(view, tiffStart, view.getUint32(exifPointer.valueOffset, little), little);
+    takenAt = toIsoLocal(readAscii(view, tiffStart, exifIfd.get(TAG_DATE_TIME_ORIGINAL), little));
+  }
+  takenAt = takenAt || toIsoLocal(readAscii(view, tiffStart, ifd0.get(TAG_DATE_TIME), little));
+
+  let latitude = null;
+  let longitude = null;
+  const gpsPointer = ifd0.get(TAG_GPS_IFD);
+  if (gpsPointer) {
+    const gps = readIfd(view, tiffStart, view.getUint32(gpsPointer.valueOffset, little), little);
+    latitude = toDegrees(
+      readRationals(view, tiffStart, gps.get(TAG_GPS_LATITUDE), little),
+      readAscii(view, tiffStart, gps.get(TAG_GPS_LATITUDE_REF), little)
+    );
+    longitude = toDegrees(
+      readRationals(view, tiffStart, gps.get(TAG_GPS_LONGITUDE), little),
+      readAscii(view, tiffStart, gps.get(TAG_GPS_LONGITUDE_REF), little)
+    );
+  }
+
+  return { takenAt, latitude, longitude };
+};
+
+/**
+ * Capture time and GPS position a camera wrote into a JPEG, if any. Photos from the
+ * in-app camera have none; that is expected, the device fix is the primary record.
+ *
+ * @param {ArrayBuffer} buffer - Original file bytes
+ * @returns {{takenAt: string|null, latitude: number|null, longitude: number|null}}
+ */
+export const readExifMetadata = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return EMPTY_EXIF;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // start of scan: no more metadata
+      const length = view.getUint16(offset + 2);
+      // APP1 segment starting "Exif\0\0"
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+        return parseTiff(view, offset + 10);
+      }
+      offset += 2 + length;
+    }
+  } catch {
+    // Truncated or malformed metadata; treat as none
+  }
+  return EMPTY_EXIF;
+};
+
+// ---------------------------------------------------------------------------
+// Image processing
+// ---------------------------------------------------------------------------
+
+/**
+ * Size that fits within a square of `max` pixels, keeping the aspect ratio; never upscales
+ * @returns {{width: number, height: number}}
+ */
+export const fitWithin = (width, height, max = EVIDENCE_MAX_DIMENSION) => {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Text burnt into the bottom of an evidence photo
+ *
+ * @param {Object} params
+ * @param {string} params.stage - EVIDENCE_STAGES value
+ * @param {string} params.capturedAt - ISO time
+ * @param {Object|null} params.location - { lat, lng, accuracy }
+ * @param {string} [params.label] - Job reference
+ * @returns {string[]}
+ */
+export const formatWatermarkLines = ({ stage, capturedAt, location, label }) => [
+  [STAGE_LABELS[stage] || String(stage).toUpperCase(), label].filter(Boolean).join(' · '),
+  `${new Date(capturedAt).toISOString().slice(0, 19).replace('T', ' ')} UTC`,
+  location
+    ? `${location.lat.toFixed(6)}, ${location.lng.toFixed(6)}${location.accuracy ? ` ±${Math.round(location.accuracy)}m` : ''}`
+    : 'No GPS fix'
+];
+
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const drawWatermark = (ctx, width, height, lines) => {
+  const fontSize = Math.max(14, Math.round(width / 45));
+  const lineHeight = Math.round(fontSize * 1.3);
+  const padding = Math.round(fontSize * 0.6);
+  const bandHeight = lines.length * lineHeight + padding * 2;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(0, height - bandHeight, width, bandHeight);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `600 ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'top';
+  lines.forEach((line, index) => {
+    ctx.fillText(line, padding, height - bandHeight + padding + index * lineHeight);
+  });
+};
+
+/**
+ * Hex SHA-256 of a blob
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Turn a freshly taken photo into an evidence image: resized, compressed, watermarked
+ * and hashed
+ *
+ * @param {File|Blob} file - As taken
+ * @param {Object} params
+ * @param {string} params.stage - EVIDENCE_STAGES value
+ * @param {string} params.capturedAt - ISO time
+ * @param {Object|null} params.location - { lat, lng, accuracy }
+ * @param {string} [params.label] - Job reference for the watermark
+ * @returns {Promise<{blob: Blob, width: number, height: number, sha256: string, exif: Object}>}
+ */
+export const prepareEvidencePhoto = async (file, { stage, capturedAt, location, label }) => {
+  const exif = readExifMetadata(await file.arrayBuffer());
+  const image = await decodeImage(file);
+  const { width, height } = fitWithin(image.width, image.height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  drawWatermark(ctx, width, height, formatWatermarkLines({ stage, capturedAt, location, label }));
+  if (typeof image.close === 'function') image.close();
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('Could not encode the photo'))),
+      'image/jpeg',
+      EVIDENCE_JPEG_QUALITY
+    );
+  });
+
+  return { blob, width, height, sha256: await sha256Hex(blob), exif };
+};
+
+// ---------------------------------------------------------------------------
+// Completeness
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a set of photos would satisfy the server, and which photos it would reject
+ *
+ * @param {Array<Object>} photos - { id, stage, location, capturedAt }
+ * @param {Object} params
+ * @param {string} params.jobType - Key of EVIDENCE_REQUIREMENTS
+ * @param {Array<number>|null} params.target - Job location [lat, lng]
+ * @returns {{complete: boolean, problems: string[], before: number, after: number, rejected: Object<string, string>}}
+ *   rejected maps photo id to its problem code
+ */
+export const checkEvidenceSet = (photos, { jobType, target }) => {
+  const { minBefore, minAfter, radiusM } = EVIDENCE_REQUIREMENTS[jobType];
+  const rejected = {};
+
+  photos.forEach(photo => {
+    if (!photo.location) {
+      rejected[photo.id] = 'no_location';
+      return;
+    }
+    if (!target) return;
+    const allowance = radiusM + Math.min(photo.location.accuracy || 0, MAX_ACCURACY_ALLOWANCE_M);
+    if (calculateDistance([photo.location.lat, photo.location.lng], target) > allowance) {
+      rejected[photo.id] = 'outside_geofence';
+    }
+  });
+
+  const usable = photos.filter(photo => !rejected[photo.id]);
+  const befores = usable.filter(photo => photo.stage === EVIDENCE_STAGES.BEFORE);
+  const firstBefore = befores.length > 0
+    ? Math.min(...befores.map(photo => new Date(photo.capturedAt).getTime()))
+    : null;
+  const after = firstBefore === null ? 0 : usable.filter(photo =>
+    photo.stage === EVIDENCE_STAGES.AFTER && new Date(photo.capturedAt).getTime() >= firstBefore
+  ).length;
+
+  const problems = [...new Set(Object.values(rejected))];
+  if (befores.length < minBefore) problems.unshift('missing_before');
+  if (after < minAfter) problems.push('missing_after');
+
+  return {
+    complete: befores.length >= minBefore && after >= minAfter,
+    problems,
+    before: befores.length,
+    after,
+    rejected
+  };
+};
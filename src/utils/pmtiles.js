@@ -0,0 +1,411 @@
+/**
+ * PMTiles v3 archive reader and writer
+ *
+ * PMTiles packs a whole tile pyramid into one file with a small index, so a single
+ * sideloaded or downloaded file can serve a region's basemap without unpacking it into
+ * thousands of IndexedDB records. Reads go through a byte-range source (a Blob slice
+ * on the phone), so only the index and the tiles being drawn are ever in memory.
+ *
+ * Format: https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ *
+ * MBTiles archives are converted to PMTiles on import (see ./mbtiles); the writer here
+ * only builds the index, so the tiles themselves can stay slices of the original file.
+ */
+
+export const HEADER_BYTES = 127;
+
+export const COMPRESSION = {
+  UNKNOWN: 0,
+  NONE: 1,
+  GZIP: 2,
+  BROTLI: 3,
+  ZSTD: 4
+};
+
+export const TILE_TYPE = {
+  UNKNOWN: 0,
+  MVT: 1,
+  PNG: 2,
+  JPEG: 3,
+  WEBP: 4,
+  AVIF: 5
+};
+
+export const TILE_MIME_TYPES = {
+  [TILE_TYPE.PNG]: 'image/png',
+  [TILE_TYPE.JPEG]: 'image/jpeg',
+  [TILE_TYPE.WEBP]: 'image/webp',
+  [TILE_TYPE.AVIF]: 'image/avif'
+};
+
+// Leaf directories can't nest deeper than this in a valid archive
+const MAX_DIRECTORY_DEPTH = 3;
+// The header and root directory must fit in the first 16 KiB
+const ROOT_DIRECTORY_BYTES = 16384 - 127;
+const FIRST_LEAF_ENTRIES = 4096;
+const LEAF_CACHE_SIZE = 64;
+const SQLITE_MAGIC = 'SQLite format 3';
+
+export class PmtilesError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PmtilesError';
+    this.code = code;
+  }
+}
+
+const readAscii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+// 64-bit values are read as two halves; archives stay far below 2^53 bytes
+const readUint64 = (view, offset) => view.getUint32(offset + 4, true) * 2 ** 32 + view.getUint32(offset, true);
+
+/**
+ * Read an unsigned LEB128 varint
+ * @param {Uint8Array} bytes
+ * @param {{pos: number}} cursor - Advanced past the varint
+ * @returns {number}
+ */
+export const readVarint = (bytes, cursor) => {
+  let value = 0;
+  let multiplier = 1;
+  for (;;) {
+    if (cursor.pos >= bytes.length) {
+      throw new PmtilesError('Archive index is truncated', 'CORRUPT');
+    }
+    const byte = bytes[cursor.pos++];
+    value += (byte & 0x7f) * multiplier;
+    if (byte < 0x80) return value;
+    multiplier *= 128;
+  }
+};
+
+/**
+ * Position of a tile along the archive's Hilbert curve, counting all lower zooms first
+ * @returns {number}
+ */
+export const zxyToTileId = (z, x, y) => {
+  const n = 2 ** z;
+  if (z > 26 || x < 0 || y < 0 || x >= n || y >= n) {
+    throw new PmtilesError(`Tile ${z}/${x}/${y} is outside the tile pyramid`, 'OUT_OF_RANGE');
+  }
+
+  let tx = x;
+  let ty = y;
+  let d = 0;
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (tx & s) > 0 ? 1 : 0;
+    const ry = (ty & s) > 0 ? 1 : 0;
+    d += s * s * ((3 * rx) ^ ry);
+    if (ry === 0) {
+      if (rx === 1) {
+        tx = n - 1 - tx;
+        ty = n - 1 - ty;
+      }
+      [tx, ty] = [ty, tx];
+    }
+  }
+
+  return (4 ** z - 1) / 3 + d;
+};
+
+/**
+ * Parse the fixed-size archive header
+ * @param {ArrayBuffer} buffer - At least the first 127 bytes of the archive
+ * @returns {Object} Offsets, compression, tile type, zoom range, bounds and center
+ */
+export const parseHeader = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length >= SQLITE_MAGIC.length && readAscii(bytes, 0, SQLITE_MAGIC.length) === SQLITE_MAGIC) {
+    throw new PmtilesError('This looks like an MBTiles file. Convert it to PMTiles first.', 'MBTILES');
+  }
+  if (bytes.length < HEADER_BYTES || readAscii(bytes, 0, 7) !== 'PMTiles') {
+    throw new PmtilesError('Not a PMTiles archive', 'NOT_PMTILES');
+  }
+  if (bytes[7] !== 3) {
+    throw new PmtilesError(`PMTiles version ${bytes[7]} is not supported (expected 3)`, 'UNSUPPORTED_VERSION');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const e7 = (offset) => view.getInt32(offset, true) / 1e7;
+
+  return {
+    rootDirectoryOffset: readUint64(view, 8),
+    rootDirectoryLength: readUint64(view, 16),
+    metadataOffset: readUint64(view, 24),
+    metadataLength: readUint64(view, 32),
+    leafDirectoryOffset: readUint64(view, 40),
+    leafDirectoryLength: readUint64(view, 48),
+    tileDataOffset: readUint64(view, 56),
+    tileDataLength: readUint64(view, 64),
+    addressedTiles: readUint64(view, 72),
+    clustered: bytes[96] === 1,
+    internalCompression: bytes[97],
+    tileCompression: bytes[98],
+    tileType: bytes[99],
+    minZoom: bytes[100],
+    maxZoom: bytes[101],
+    bounds: { west: e7(102), south: e7(106), east: e7(110), north: e7(114) },
+    center: { zoom: bytes[118], lng: e7(119), lat: e7(123) }
+  };
+};
+
+/**
+ * Decode a (decompressed) directory into entries sorted by tile id
+ *
+ * A tile entry covers `runLength` consecutive tile ids with identical content; an
+ * entry with runLength 0 points at a leaf directory instead.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Array<{tileId: number, offset: number, length: number, runLength: number}>}
+ */
+export const parseDirectory = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const cursor = { pos: 0 };
+  const count = readVarint(bytes, cursor);
+  const entries = [];
+
+  let tileId = 0;
+  for (let i = 0; i < count; i++) {
+    tileId += readVarint(bytes, cursor);
+    entries.push({ tileId, offset: 0, length: 0, runLength: 1 });
+  }
+  for (const entry of entries) entry.runLength = readVarint(bytes, cursor);
+  for (const entry of entries) entry.length = readVarint(bytes, cursor);
+  entries.forEach((entry, i) => {
+    const value = readVarint(bytes, cursor);
+    // 0 means "straight after the previous entry"; anything else is offset + 1
+    entry.offset = value === 0 && i > 0
+      ? entries[i - 1].offset + entries[i - 1].length
+      : value - 1;
+  });
+
+  return entries;
+};
+
+/**
+ * Entry covering a tile id: the tile itself, the leaf directory to look in, or null
+ */
+export const findEntry = (entries, tileId) => {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].tileId < tileId) low = mid + 1;
+    else if (entries[mid].tileId > tileId) high = mid - 1;
+    else return entries[mid];
+  }
+
+  // `high` is now the last entry starting before the tile
+  if (high >= 0) {
+    const entry = entries[high];
+    if (entry.runLength === 0) return entry;
+    if (tileId - entry.tileId < entry.runLength) return entry;
+  }
+  return null;
+};
+
+/**
+ * Undo the archive's compression with the browser's DecompressionStream
+ */
+export const decompress = async (buffer, compression) => {
+  if (compression === COMPRESSION.NONE || compression === COMPRESSION.UNKNOWN) return buffer;
+  if (compression === COMPRESSION.GZIP && typeof DecompressionStream !== 'undefined') {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+  throw new PmtilesError(`Compression type ${compression} is not supported on this device`, 'UNSUPPORTED_COMPRESSION');
+};
+
+/**
+ * Byte-range source over a Blob or File
+ */
+export const blobSource = (blob) => ({
+  size: blob.size,
+  getBytes: (offset, length) => blob.slice(offset, offset + length).arrayBuffer(),
+  slice: (offset, length) => blob.slice(offset, offset + length)
+});
+
+/**
+ * Open an archive for reading
+ *
+ * @param {{getBytes: Function}} source - `getBytes(offset, length)` resolving to an ArrayBuffer
+ * @param {Object} [options]
+ * @param {Function} [options.decompress] - (buffer, compression) => ArrayBuffer; override for tests
+ * @returns {Promise<{header: Object, getTile: Function}>} `getTile(z, x, y)` resolves to the
+ *   tile bytes, or null when the archive has no such tile
+ */
+export const openPmtiles = async (source, { decompress: inflate = decompress } = {}) => {
+  const header = parseHeader(await source.getBytes(0, HEADER_BYTES));
+  const root = parseDirectory(await inflate(
+    await source.getBytes(header.rootDirectoryOffset, header.rootDirectoryLength),
+    header.internalCompression
+  ));
+  const leaves = new Map();
+
+  const readLeaf = async (entry) => {
+    if (leaves.has(entry.offset)) return leaves.get(entry.offset);
+    const raw = await source.getBytes(header.leafDirectoryOffset + entry.offset, entry.length);
+    const directory = parseDirectory(await inflate(raw, header.internalCompression));
+    if (leaves.size >= LEAF_CACHE_SIZE) leaves.delete(leaves.keys().next().value);
+    leaves.set(entry.offset, directory);
+    return directory;
+  };
+
+  const getTile = async (z, x, y) => {
+    if (z < header.minZoom || z > header.maxZoom) return null;
+    const tileId = zxyToTileId(z, x, y);
+
+    let directory = root;
+    for (let depth = 0; depth <= MAX_DIRECTORY_DEPTH; depth++) {
+      const entry = findEntry(directory, tileId);
+      if (!entry) return null;
+      if (entry.runLength > 0) {
+        const data = await source.getBytes(header.tileDataOffset + entry.offset, entry.length);
+        return inflate(data, header.tileCompression);
+      }
+      directory = await readLeaf(entry);
+    }
+    throw new PmtilesError('Archive directories are nested too deeply', 'CORRUPT');
+  };
+
+  return { header, getTile };
+};
+
+const writeVarint = (bytes, value) => {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest % 128) | 0x80);
+    rest = Math.floor(rest / 128);
+  }
+  bytes.push(rest);
+};
+
+/**
+ * Encode directory entries (sorted by tile id) without compression
+ * @returns {Uint8Array}
+ */
+export const serializeDirectory = (entries) => {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+  let lastId = 0;
+  entries.forEach(entry => {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  });
+  entries.forEach(entry => writeVarint(bytes, entry.runLength));
+  entries.forEach(entry => writeVarint(bytes, entry.length));
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    const follows = i > 0 && entry.offset === previous.offset + previous.length;
+    writeVarint(bytes, follows ? 0 : entry.offset + 1);
+  });
+  return Uint8Array.from(bytes);
+};
+
+// Root directory, splitting entries into leaves until it fits next to the header
+const buildDirectories = (entries) => {
+  const root = serializeDirectory(entries);
+  if (root.length <= ROOT_DIRECTORY_BYTES) return { root, leaves: new Uint8Array(0) };
+
+  for (let perLeaf = FIRST_LEAF_ENTRIES; ; perLeaf *= 2) {
+    const leafParts = [];
+    const rootEntries = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i += perLeaf) {
+      const leaf = serializeDirectory(entries.slice(i, i + perLeaf));
+      rootEntries.push({ tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0 });
+      leafParts.push(leaf);
+      offset += leaf.length;
+    }
+    const rootBytes = serializeDirectory(rootEntries);
+    if (rootBytes.length <= ROOT_DIRECTORY_BYTES) {
+      const leaves = new Uint8Array(offset);
+      let at = 0;
+      leafParts.forEach(leaf => {
+        leaves.set(leaf, at);
+        at += leaf.length;
+      });
+      return { root: rootBytes, leaves };
+    }
+  }
+};
+
+/**
+ * Build an uncompressed-index archive around tiles supplied as Blob parts
+ *
+ * Tiles sharing a `key` are stored once and pointed at by every entry.
+ *
+ * @param {Array<{tileId: number, key: *, length: number, parts: Array}>} tiles
+ * @param {Object} options
+ * @param {number} options.tileType - TILE_TYPE
+ * @param {number} options.minZoom
+ * @param {number} options.maxZoom
+ * @param {{west: number, south: number, east: number, north: number}} options.bounds
+ * @param {{zoom: number, lng: number, lat: number}} options.center
+ * @param {Object} [options.metadata] - Written as the archive's JSON metadata
+ * @returns {Array} Blob parts: header, root directory, metadata, leaves, then tile data
+ */
+export const writePmtiles = (tiles, { tileType, minZoom, maxZoom, bounds, center, metadata = {} }) => {
+  const sorted = [...tiles].sort((a, b) => a.tileId - b.tileId);
+  const stored = new Map();
+  const dataParts = [];
+  let dataLength = 0;
+  const entries = [];
+
+  sorted.forEach(tile => {
+    if (entries.length > 0 && entries[entries.length - 1].tileId === tile.tileId) return;
+    let offset = stored.get(tile.key);
+    if (offset === undefined) {
+      offset = dataLength;
+      stored.set(tile.key, offset);
+      dataParts.push(...tile.parts);
+      dataLength += tile.length;
+    }
+    entries.push({ tileId: tile.tileId, offset, length: tile.length, runLength: 1 });
+  });
+
+  const { root, leaves } = buildDirectories(entries);
+  const metadataBytes = new TextEncoder().encode(JSON.stringify(metadata));
+
+  const header = new Uint8Array(HEADER_BYTES);
+  const view = new DataView(header.buffer);
+  const u64 = (at, value) => {
+    view.setUint32(at, value % 2 ** 32, true);
+    view.setUint32(at + 4, Math.floor(value / 2 ** 32), true);
+  };
+  const e7 = (at, value) => view.setInt32(at, Math.round(value * 1e7), true);
+
+  const rootOffset = HEADER_BYTES;
+  const metadataOffset = rootOffset + root.length;
+  const leafOffset = metadataOffset + metadataBytes.length;
+  const dataOffset = leafOffset + leaves.length;
+
+  header.set([...'PMTiles'].map(c => c.charCodeAt(0)), 0);
+  header[7] = 3;
+  u64(8, rootOffset);
+  u64(16, root.length);
+  u64(24, metadataOffset);
+  u64(32, metadataBytes.length);
+  u64(40, leafOffset);
+  u64(48, leaves.length);
+  u64(56, dataOffset);
+  u64(64, dataLength);
+  u64(72, entries.length);
+  u64(80, entries.length);
+  u64(88, stored.size);
+  header[96] = stored.size === entries.length ? 1 : 0;
+  header[97] = COMPRESSION.NONE;
+  header[98] = COMPRESSION.NONE;
+  header[99] = tileType;
+  header[100] = minZoom;
+  header[101] = maxZoom;
+  e7(102, bounds.west);
+  e7(106, bounds.south);
+  e7(110, bounds.east);
+  e7(114, bounds.north);
+  header[118] = center.zoom;
+  e7(119, center.lng);
+  e7(123, center.lat);
+
+  return [header, root, metadataBytes, leaves, ...dataParts];
+};
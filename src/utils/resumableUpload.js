@@ -0,0 +1,137 @@
+/**
+ * Resumable uploads (tus 1.0.0) against Supabase Storage
+ *
+ * Supabase exposes tus at /storage/v1/upload/resumable. An upload is created once,
+ * then sent in chunks; the server remembers how far it got, so an upload cut off by a
+ * dead zone carries on from its last confirmed offset instead of starting over. The
+ * caller keeps the upload URL (onUploadUrl) to resume after a reload.
+ */
+
+const TUS_VERSION = '1.0.0';
+
+// Supabase only accepts 6 MB chunks (the last one may be shorter)
+export const RESUMABLE_CHUNK_SIZE = 6 * 1024 * 1024;
+
+/**
+ * Error with the HTTP status the storage server answered with
+ */
+export class ResumableUploadError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ResumableUploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Encode the Upload-Metadata header: comma separated "key base64(value)" pairs
+ * @param {Object} metadata
+ * @returns {string}
+ */
+export const encodeUploadMetadata = (metadata) => Object.entries(metadata)
+  .filter(([, value]) => value !== null && value !== undefined)
+  .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(String(value))))}`)
+  .join(',');
+
+const readOffset = (response) => parseInt(response.headers.get('upload-offset'), 10);
+
+/**
+ * Ask the server how much of an earlier upload it has
+ * @returns {Promise<number|null>} Offset, or null when the upload is gone and must be recreated
+ */
+const fetchOffset = async (fetchImpl, uploadUrl, headers) => {
+  const response = await fetchImpl(uploadUrl, {
+    method: 'HEAD',
+    headers: { ...headers, 'tus-resumable': TUS_VERSION }
+  });
+  if (response.status === 404 || response.status === 410 || response.status === 403) return null;
+  if (!response.ok) {
+    throw new ResumableUploadError(`Could not resume upload (HTTP ${response.status})`, response.status);
+  }
+  const offset = readOffset(response);
+  return Number.isFinite(offset) ? offset : 0;
+};
+
+/**
+ * Upload a file, resuming an earlier attempt when its URL is known
+ *
+ * @param {Object} params
+ * @param {string} params.endpoint - e.g. `${SUPABASE_URL}/storage/v1/upload/resumable`
+ * @param {Object} params.headers - Auth headers (authorization, apikey)
+ * @param {Blob} params.file
+ * @param {Object} params.metadata - bucketName, objectName, contentType, ...
+ * @param {string|null} [params.uploadUrl] - From an earlier attempt
+ * @param {Function} [params.onUploadUrl] - Called with the URL of a newly created upload
+ * @param {Function} [params.onProgress] - Called with (bytesSent, bytesTotal)
+ * @param {number} [params.chunkSize]
+ * @param {Function} [params.fetchImpl]
+ * @returns {Promise<{uploadUrl: string, size: number}>}
+ */
+export const resumableUpload = async ({
+  endpoint,
+  headers = {},
+  file,
+  metadata,
+  uploadUrl = null,
+  onUploadUrl,
+  onProgress,
+  chunkSize = RESUMABLE_CHUNK_SIZE,
+  fetchImpl = (...args) => fetch(...args)
+}) => {
+  const size = file.size;
+  let url = uploadUrl;
+  let offset = url ? await fetchOffset(fetchImpl, url, headers) : null;
+
+  if (offset === null) {
+    const response = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'tus-resumable': TUS_VERSION,
+        'upload-length': String(size),
+        'upload-metadata': encodeUploadMetadata(metadata),
+        // A retry after the object landed but before we heard back overwrites it with the same bytes
+        'x-upsert': 'true'
+      }
+    });
+    if (!response.ok) {
+      throw new ResumableUploadError(`Could not start upload (HTTP ${response.status})`, response.status);
+    }
+    url = new URL(response.headers.get('location'), endpoint).href;
+    offset = 0;
+    if (onUploadUrl) await onUploadUrl(url);
+  }
+
+  while (offset < size) {
+    const response = await fetchImpl(url, {
+      method: 'PATCH',
+      headers: {
+        ...headers,
+        'tus-resumable': TUS_VERSION,
+        'upload-offset': String(offset),
+        'content-type': 'application/offset+octet-stream'
+      },
+      body: file.slice(offset, offset + chunkSize)
+    });
+
+    if (response.status === 409) {
+      // Our idea of the offset is stale (an earlier chunk landed after all)
+      offset = await fetchOffset(fetchImpl, url, headers);
+      if (offset === null) {
+        throw new ResumableUploadError('Upload expired on the server', 410);
+      }
+      continue;
+    }
+    if (!response.ok) {
+      throw new ResumableUploadError(`Upload failed at byte ${offset} (HTTP ${response.status})`, response.status);
+    }
+
+    offset = readOffset(response);
+    if (!Number.isFinite(offset)) {
+      throw new ResumableUploadError('Upload server did not confirm an offset', response.status);
+    }
+    if (onProgress) onProgress(offset, size);
+  }
+
+  return { uploadUrl: url, size };
+};
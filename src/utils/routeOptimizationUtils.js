@@ -8,6 +8,10 @@
  * require solving the NP-hard Traveling Salesman Problem), it provides a good approximation
  * with reasonable performance characteristics for the typical number of assignments a driver
  * would handle in a day.
+ *
+ * optimizeRouteOrder builds on it: it improves the greedy route with 2-opt and Or-opt moves
+ * and treats assignment expiry and urgent requests as deadlines. It is normally run off the
+ * main thread through the route optimizer worker (see routeOptimizerWorkerClient.js).
  * 
  * @module routeOptimizationUtils
  * @requires locationUtils
@@ -15,6 +19,7 @@
  * @version 1.0.0
  */
 import { calculateDistance } from './locationUtils';
+import { getStopLoad } from '../config/vehicleCapacityConfig';
 
 /**
  * Calculate the nearest neighbor route for a set of assignments.
@@ -218,3 +223,348 @@ export const generateDirectionsUrl = (route, startPosition) => {
   // Create OSRM URL using GraphHopper (OSM-based routing)
   return `https://www.openstreetmap.org/directions?engine=graphhopper_car&route=${coordinates}`;
 };
+
+/**
+ * Default tuning for optimizeRoute. Lateness is converted to distance so both can be
+ * minimised together: with the defaults, arriving one minute late costs as much as
+ * driving an extra kilometre.
+ */
+export const ROUTE_OPTIMIZER_DEFAULTS = {
+  averageSpeed: 30,            // km/h, same as estimateRouteTime
+  averagePickupTime: 10,       // minutes spent at each stop
+  urgentWindowMinutes: 45,     // urgent stops should be reached within this long
+  latePenaltyKmPerMinute: 1,
+  maxSegmentLength: 3,         // longest segment Or-opt tries to move
+  timeLimitMs: 2000,           // stop improving after this long and keep the best so far
+  disposalMinutes: 15,         // time spent emptying the vehicle at a disposal centre
+  capacity: null               // { bags, litres }; null plans as if capacity were unlimited
+};
+
+/**
+ * Reduce stops to what the optimizer needs, so only plain numbers cross into the worker.
+ *
+ * A stop gets a deadline from `assignment_expires_at`; urgent stops (`is_urgent` or
+ * `urgent_enabled`) must also be reached within `urgentWindowMinutes`, whichever is sooner.
+ *
+ * @param {Array} stops - Stops with latitude/longitude and optional deadline/urgency fields
+ * @param {Object} options - Optimizer options (see ROUTE_OPTIMIZER_DEFAULTS)
+ * @param {number} [options.startTime=Date.now()] - When the driver sets off (ms)
+ * @returns {Array<{latitude: number, longitude: number, deadlineMinutes: number|null, urgent: boolean, bags: number, litres: number}>}
+ */
+export const toOptimizerStops = (stops, options = {}) => {
+  const { startTime = Date.now(), urgentWindowMinutes = ROUTE_OPTIMIZER_DEFAULTS.urgentWindowMinutes } = options;
+
+  return stops.map(stop => {
+    const urgent = Boolean(stop.is_urgent || stop.urgent_enabled);
+    const expiresAt = stop.assignment_expires_at ? new Date(stop.assignment_expires_at).getTime() : NaN;
+    const deadlines = [];
+
+    if (!isNaN(expiresAt)) deadlines.push((expiresAt - startTime) / 60000);
+    if (urgent) deadlines.push(urgentWindowMinutes);
+
+    const { bags, litres } = getStopLoad(stop);
+
+    return {
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      deadlineMinutes: deadlines.length > 0 ? Math.min(...deadlines) : null,
+      urgent,
+      bags,
+      litres
+    };
+  });
+};
+
+/**
+ * Distances between every pair of points in km. Index 0 is the start position,
+ * index i + 1 is stops[i] and index stops.length + 1 + j is disposalSites[j].
+ * @param {Array} stops - Stops with latitude/longitude
+ * @param {Object} startPosition - { lat, lng }
+ * @param {Array} [disposalSites] - Disposal centres with latitude/longitude
+ * @returns {Array<Float64Array>}
+ */
+export const buildDistanceMatrix = (stops, startPosition, disposalSites = []) => {
+  const points = [
+    { latitude: startPosition.lat, longitude: startPosition.lng },
+    ...stops.map(stop => ({ latitude: stop.latitude, longitude: stop.longitude })),
+    ...disposalSites.map(site => ({ latitude: site.latitude, longitude: site.longitude }))
+  ];
+
+  const matrix = points.map(() => new Float64Array(points.length));
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const km = calculateDistance(points[i], points[j]) / 1000;
+      matrix[i][j] = km;
+      matrix[j][i] = km;
+    }
+  }
+  return matrix;
+};
+
+/**
+ * Cheapest disposal centre to visit between two points of the matrix
+ * @returns {number} - Matrix index of the site, or -1 when there are none
+ */
+const bestDisposalDetour = (from, to, matrix, firstSiteIndex) => {
+  let best = -1;
+  for (let site = firstSiteIndex; site < matrix.length; site++) {
+    if (best === -1 || matrix[from][site] + matrix[site][to] < matrix[from][best] + matrix[best][to]) {
+      best = site;
+    }
+  }
+  return best;
+};
+
+/**
+ * Walk a route order and work out distance, time, deadline misses and vehicle load.
+ *
+ * With a capacity and disposal sites, a trip to the best disposal centre is inserted
+ * before any stop whose waste would not fit; the detour counts towards the route.
+ *
+ * @param {Array<number>} order - Stop indexes in visiting order
+ * @param {Array} stops - Output of toOptimizerStops
+ * @param {Array<Float64Array>} matrix - Output of buildDistanceMatrix
+ * @param {Object} options - Optimizer options
+ * @param {Object} [options.initialLoad] - { bags, litres } already on the vehicle
+ * @param {boolean} [options.detailed] - Also return every visit with its load
+ * @returns {{distanceKm: number, durationMinutes: number, lateStops: number, latenessMinutes: number, disposalTrips: number, cost: number, arrivals: Array<number>, visits?: Array<Object>}}
+ */
+export const evaluateRouteOrder = (order, stops, matrix, options = {}) => {
+  const {
+    averageSpeed = ROUTE_OPTIMIZER_DEFAULTS.averageSpeed,
+    averagePickupTime = ROUTE_OPTIMIZER_DEFAULTS.averagePickupTime,
+    latePenaltyKmPerMinute = ROUTE_OPTIMIZER_DEFAULTS.latePenaltyKmPerMinute,
+    disposalMinutes = ROUTE_OPTIMIZER_DEFAULTS.disposalMinutes,
+    capacity = null,
+    initialLoad = null,
+    detailed = false
+  } = options;
+
+  const firstSiteIndex = stops.length + 1;
+  const canDispose = Boolean(capacity) && matrix.length > firstSiteIndex;
+
+  let distanceKm = 0;
+  let minutes = 0;
+  let lateStops = 0;
+  let latenessMinutes = 0;
+  let disposalTrips = 0;
+  let previous = 0;
+  let loadBags = initialLoad?.bags || 0;
+  let loadLitres = initialLoad?.litres || 0;
+  const arrivals = new Array(order.length);
+  const visits = detailed ? [] : null;
+
+  for (let position = 0; position < order.length; position++) {
+    const stopIndex = order[position];
+    const stop = stops[stopIndex];
+
+    const wouldOverflow = loadBags + stop.bags > capacity?.bags || loadLitres + stop.litres > capacity?.litres;
+    if (canDispose && wouldOverflow && (loadBags > 0 || loadLitres > 0)) {
+      const site = bestDisposalDetour(previous, stopIndex + 1, matrix, firstSiteIndex);
+      const leg = matrix[previous][site];
+      distanceKm += leg;
+      minutes += (leg / averageSpeed) * 60;
+
+      if (visits) {
+        visits.push({
+          kind: 'disposal',
+          siteIndex: site - firstSiteIndex,
+          arrivalMinutes: minutes,
+          loadOnArrival: { bags: loadBags, litres: loadLitres },
+          load: { bags: 0, litres: 0 }
+        });
+      }
+
+      minutes += disposalMinutes;
+      loadBags = 0;
+      loadLitres = 0;
+      disposalTrips++;
+      previous = site;
+    }
+
+    const leg = matrix[previous][stopIndex + 1];
+    distanceKm += leg;
+    minutes += (leg / averageSpeed) * 60;
+    arrivals[position] = minutes;
+
+    const deadline = stop.deadlineMinutes;
+    const isLate = deadline !== null && minutes > deadline;
+    if (isLate) {
+      lateStops++;
+      latenessMinutes += minutes - deadline;
+    }
+
+    loadBags += stop.bags;
+    loadLitres += stop.litres;
+
+    if (visits) {
+      visits.push({
+        kind: 'stop',
+        stopIndex,
+        arrivalMinutes: minutes,
+        isLate,
+        load: { bags: loadBags, litres: loadLitres }
+      });
+    }
+
+    minutes += averagePickupTime;
+    previous = stopIndex + 1;
+  }
+
+  return {
+    distanceKm,
+    durationMinutes: Math.round(minutes),
+    lateStops,
+    latenessMinutes,
+    disposalTrips,
+    cost: distanceKm + latenessMinutes * latePenaltyKmPerMinute,
+    arrivals,
+    ...(visits ? { visits } : {})
+  };
+};
+
+/**
+ * Nearest-neighbour order over the distance matrix (same result as
+ * calculateNearestNeighborRoute, as indexes)
+ */
+const nearestNeighborOrder = (count, matrix) => {
+  const unvisited = new Set(Array.from({ length: count }, (_, i) => i));
+  const order = [];
+  let previous = 0;
+
+  while (unvisited.size > 0) {
+    let best = -1;
+    for (const candidate of unvisited) {
+      if (best === -1 || matrix[previous][candidate + 1] < matrix[previous][best + 1]) {
+        best = candidate;
+      }
+    }
+    order.push(best);
+    unvisited.delete(best);
+    previous = best + 1;
+  }
+  return order;
+};
+
+/**
+ * One pass of 2-opt: reverse every segment and keep the first change that lowers cost.
+ * @returns {Array<number>|null} - Improved order, or null when no reversal helps
+ */
+const twoOptPass = (order, currentCost, evaluate) => {
+  for (let i = 0; i < order.length - 1; i++) {
+    for (let j = i + 1; j < order.length; j++) {
+      const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+      if (evaluate(candidate) < currentCost - 1e-9) return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * One pass of Or-opt: move runs of 1..maxSegmentLength consecutive stops elsewhere.
+ * @returns {Array<number>|null} - Improved order, or null when no move helps
+ */
+const orOptPass = (order, currentCost, evaluate, maxSegmentLength) => {
+  for (let length = 1; length <= maxSegmentLength; length++) {
+    for (let from = 0; from + length <= order.length; from++) {
+      const segment = order.slice(from, from + length);
+      const rest = [...order.slice(0, from), ...order.slice(from + length)];
+
+      for (let to = 0; to <= rest.length; to++) {
+        if (to === from) continue;
+        const candidate = [...rest.slice(0, to), ...segment, ...rest.slice(to)];
+        if (evaluate(candidate) < currentCost - 1e-9) return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Optimise the order of a multi-stop route.
+ *
+ * Starts from the better of nearest-neighbour and earliest-deadline-first, then applies
+ * 2-opt and Or-opt moves until neither improves the route or the time limit is hit.
+ * The cost being minimised is driving distance plus a penalty for every minute a stop
+ * is reached after its deadline (see toOptimizerStops). When `options.capacity` and
+ * `options.disposalSites` are given, disposal trips are inserted as the vehicle fills
+ * and their detours are part of the cost, so the order is chosen with them in mind.
+ * The route is open: it ends at the last stop.
+ *
+ * Pure and synchronous, so it can run in the route optimizer Web Worker as well as on
+ * the main thread.
+ *
+ * @param {Array} stops - Output of toOptimizerStops
+ * @param {Object} startPosition - { lat, lng }
+ * @param {Object} [options] - Overrides for ROUTE_OPTIMIZER_DEFAULTS
+ * @param {Array} [options.disposalSites] - Disposal centres with latitude/longitude
+ * @param {Object} [options.initialLoad] - { bags, litres } already on the vehicle
+ * @returns {{order: Array<number>, greedyOrder: Array<number>, metrics: Object, greedyMetrics: Object, gain: Object, stats: Object}}
+ *   metrics.visits lists stops and inserted disposal trips in order, with the load after each
+ */
+export const optimizeRouteOrder = (stops, startPosition, options = {}) => {
+  const { disposalSites = [], ...rest } = options;
+  const settings = { ...ROUTE_OPTIMIZER_DEFAULTS, ...rest };
+  const startedAt = Date.now();
+
+  if (!stops || stops.length === 0) {
+    const empty = { distanceKm: 0, durationMinutes: 0, lateStops: 0, latenessMinutes: 0, disposalTrips: 0, cost: 0, arrivals: [], visits: [] };
+    return {
+      order: [],
+      greedyOrder: [],
+      metrics: empty,
+      greedyMetrics: empty,
+      gain: { distanceKm: 0, distancePercent: 0, minutes: 0, lateStopsAvoided: 0 },
+      stats: { passes: 0, improvements: 0, elapsedMs: 0, timedOut: false }
+    };
+  }
+
+  const matrix = buildDistanceMatrix(stops, startPosition, disposalSites);
+  const evaluate = order => evaluateRouteOrder(order, stops, matrix, settings).cost;
+
+  const greedyOrder = nearestNeighborOrder(stops.length, matrix);
+  const deadlineOrder = stops
+    .map((stop, index) => ({ index, deadline: stop.deadlineMinutes ?? Infinity }))
+    .sort((a, b) => a.deadline - b.deadline)
+    .map(entry => entry.index);
+
+  let order = evaluate(deadlineOrder) < evaluate(greedyOrder) ? deadlineOrder : greedyOrder;
+  let cost = evaluate(order);
+  let passes = 0;
+  let improvements = 0;
+  let timedOut = false;
+
+  while (true) {
+    if (Date.now() - startedAt > settings.timeLimitMs) {
+      timedOut = true;
+      break;
+    }
+    passes++;
+
+    const improved = twoOptPass(order, cost, evaluate) ||
+      orOptPass(order, cost, evaluate, settings.maxSegmentLength);
+    if (!improved) break;
+
+    order = improved;
+    cost = evaluate(order);
+    improvements++;
+  }
+
+  const metrics = evaluateRouteOrder(order, stops, matrix, { ...settings, detailed: true });
+  const greedyMetrics = evaluateRouteOrder(greedyOrder, stops, matrix, settings);
+  const savedKm = greedyMetrics.distanceKm - metrics.distanceKm;
+
+  return {
+    order,
+    greedyOrder,
+    metrics,
+    greedyMetrics,
+    gain: {
+      distanceKm: savedKm,
+      distancePercent: greedyMetrics.distanceKm > 0 ? (savedKm / greedyMetrics.distanceKm) * 100 : 0,
+      minutes: greedyMetrics.durationMinutes - metrics.durationMinutes,
+      lateStopsAvoided: greedyMetrics.lateStops - metrics.lateStops
+    },
+    stats: { passes, improvements, elapsedMs: Date.now() - startedAt, timedOut }
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * Client for the route optimizer Web Worker
+ *
+ * One worker is shared by every caller and created on first use. Where Web Workers
+ * aren't available, or the worker fails to start, the optimizer runs on the main
+ * thread instead so a route is always produced.
+ */
+import { optimizeRouteOrder, toOptimizerStops } from './routeOptimizationUtils';
+import { getVehicleCapacity } from '../config/vehicleCapacityConfig';
+import { logger } from './logger';
+
+let worker = null;
+let workerBroken = false;
+let nextJobId = 1;
+const pendingJobs = new Map();
+
+const rejectPendingJobs = (message) => {
+  pendingJobs.forEach(({ reject }) => reject(new Error(message)));
+  pendingJobs.clear();
+};
+
+const getWorker = () => {
+  if (worker || workerBroken || typeof Worker === 'undefined') {
+    return worker;
+  }
+
+  try {
+    worker = new Worker(new URL('../workers/routeOptimizer.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const { id, result, error } = event.data;
+      const job = pendingJobs.get(id);
+      if (!job) return;
+
+      pendingJobs.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+    };
+
+    worker.onerror = (event) => {
+      logger.error('Route optimizer worker crashed, falling back to main thread:', event.message);
+      workerBroken = true;
+      worker.terminate();
+      worker = null;
+      rejectPendingJobs('Route optimizer worker crashed');
+    };
+  } catch (error) {
+    logger.warn('Could not start route optimizer worker:', error.message);
+    workerBroken = true;
+    worker = null;
+  }
+
+  return worker;
+};
+
+const toLoad = ({ bags, litres }, capacity) => ({
+  bags,
+  litres,
+  percent: capacity
+    ? Math.round(Math.max(bags / capacity.bags, litres / capacity.litres) * 100)
+    : null
+});
+
+/**
+ * Route entry for a disposal trip inserted by the optimizer
+ */
+const toDisposalStop = (center, visit, tripNumber, capacity) => ({
+  id: `disposal-${center.id}-${tripNumber}`,
+  type: 'disposal',
+  disposal_center_id: center.id,
+  latitude: center.latitude,
+  longitude: center.longitude,
+  customer_name: center.name,
+  location: center.address,
+  etaMinutes: Math.round(visit.arrivalMinutes),
+  isLate: false,
+  loadOnArrival: toLoad(visit.loadOnArrival, capacity),
+  load: toLoad(visit.load, capacity)
+});
+
+/**
+ * Optimise the order of a route's stops without blocking the UI
+ *
+ * When a vehicle type (or explicit capacity) and disposal centres are given, trips to
+ * the best disposal centre are inserted wherever the next stop would overfill the
+ * vehicle.
+ *
+ * @param {Array} stops - Stops with latitude/longitude (and optional assignment_expires_at, is_urgent, urgent_enabled, bag_count, bin_size_liters)
+ * @param {Object} startPosition - { lat, lng }
+ * @param {Object} [options] - Overrides for ROUTE_OPTIMIZER_DEFAULTS
+ * @param {string} [options.vehicleType] - collector_profiles.vehicle_type, used when no capacity is given
+ * @param {Array} [options.disposalCenters] - { id, name, address, latitude, longitude }
+ * @returns {Promise<{route: Array, greedyRoute: Array, metrics: Object, greedyMetrics: Object, gain: Object, stats: Object, capacity: Object|null}>}
+ *   route holds the original stop objects and any disposal trips in visiting order; every
+ *   entry gets `etaMinutes`, `isLate` and `load` ({ bags, litres, percent } on board when
+ *   leaving it). greedyRoute is the nearest-neighbour order of the original stops.
+ */
+export const optimizeRoute = async (stops, startPosition, options = {}) => {
+  const { vehicleType, disposalCenters = [], ...optimizerOptions } = options;
+  const capacity = optimizerOptions.capacity ||
+    (vehicleType !== undefined ? getVehicleCapacity(vehicleType) : null);
+  const centers = disposalCenters.filter(center =>
+    Number.isFinite(center?.latitude) && Number.isFinite(center?.longitude)
+  );
+
+  const jobOptions = {
+    startTime: Date.now(),
+    ...optimizerOptions,
+    capacity,
+    disposalSites: centers.map(({ latitude, longitude }) => ({ latitude, longitude }))
+  };
+  const optimizerStops = toOptimizerStops(stops, jobOptions);
+  const activeWorker = getWorker();
+
+  let result;
+  if (activeWorker) {
+    try {
+      result = await new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        pendingJobs.set(id, { resolve, reject });
+        activeWorker.postMessage({ id, stops: optimizerStops, startPosition, options: jobOptions });
+      });
+    } catch (error) {
+      logger.warn('Worker optimisation failed, running on main thread:', error.message);
+    }
+  }
+
+  if (!result) {
+    result = optimizeRouteOrder(optimizerStops, startPosition, jobOptions);
+  }
+
+  let disposalTrip = 0;
+  const route = result.metrics.visits.map(visit => {
+    if (visit.kind === 'disposal') {
+      disposalTrip++;
+      return toDisposalStop(centers[visit.siteIndex], visit, disposalTrip, capacity);
+    }
+
+    return {
+      ...stops[visit.stopIndex],
+      etaMinutes: Math.round(visit.arrivalMinutes),
+      isLate: visit.isLate,
+      load: toLoad(visit.load, capacity)
+    };
+  });
+
+  return {
+    ...result,
+    capacity,
+    route,
+    greedyRoute: result.greedyOrder.map(stopIndex => stops[stopIndex])
+  };
+};
@@ -0,0 +1,195 @@
+/**
+ * Pickup lifecycle status graph
+ *
+ * Mirrors the job_status_transitions table enforced by the enforce_job_status_transition
+ * trigger (supabase/migrations/20261019110000_job_status_state_machine.sql). Keep the two
+ * in sync: the server is the authority, this copy lets the app reject an illegal change
+ * before it is sent or queued for offline replay.
+ */
+
+import { PickupRequestStatus } from './types';
+
+const {
+  PENDING,
+  ACCEPTED,
+  EN_ROUTE,
+  ARRIVED,
+  COLLECTING,
+  COMPLETED,
+  DISPOSED,
+  CANCELLED,
+  EXPIRED
+} = PickupRequestStatus;
+
+/**
+ * Allowed next statuses for each status
+ */
+export const PICKUP_STATUS_TRANSITIONS = {
+  [PENDING]: [ACCEPTED, CANCELLED, EXPIRED],
+  // Back to pending when an assignment is released or times out
+  [ACCEPTED]: [EN_ROUTE, ARRIVED, COLLECTING, CANCELLED, EXPIRED, PENDING],
+  [EN_ROUTE]: [ARRIVED, COLLECTING, CANCELLED, EXPIRED, PENDING],
+  [ARRIVED]: [COLLECTING, COMPLETED, DISPOSED, CANCELLED, PENDING],
+  [COLLECTING]: [COMPLETED, DISPOSED, CANCELLED],
+  [COMPLETED]: [DISPOSED],
+  [DISPOSED]: [],
+  [CANCELLED]: [],
+  [EXPIRED]: []
+};
+
+/**
+ * The forward path a job normally takes, used to walk intermediate steps
+ */
+export const PICKUP_LIFECYCLE_ORDER = [PENDING, ACCEPTED, EN_ROUTE, ARRIVED, COLLECTING, COMPLETED, DISPOSED];
+
+/**
+ * Legacy spellings still found on older rows
+ */
+const LEGACY_STATUS_ALIASES = {
+  available: PENDING,
+  picked_up: COLLECTING,
+  canceled: CANCELLED
+};
+
+/**
+ * Wording used when telling the driver why a change was refused
+ */
+const STATUS_LABELS = {
+  [PENDING]: 'available',
+  [ACCEPTED]: 'accepted',
+  [EN_ROUTE]: 'on the way',
+  [ARRIVED]: 'arrived',
+  [COLLECTING]: 'picked up',
+  [COMPLETED]: 'completed',
+  [DISPOSED]: 'disposed',
+  [CANCELLED]: 'cancelled',
+  [EXPIRED]: 'expired'
+};
+
+/**
+ * SQLSTATE raised by the enforcement trigger (PostgREST returns it as the error code)
+ */
+export const STATUS_TRANSITION_SQLSTATE = 'PT409';
+
+/**
+ * Map legacy status spellings onto the current ones
+ * @param {string} status - Status as stored
+ * @returns {string}
+ */
+export const normalizeStatus = (status) => LEGACY_STATUS_ALIASES[status] || status;
+
+const describeTransitionError = (fromStatus, toStatus, reason) => {
+  const to = STATUS_LABELS[normalizeStatus(toStatus)] || toStatus;
+  const from = STATUS_LABELS[normalizeStatus(fromStatus)] || fromStatus;
+
+  if (reason === 'not_found') {
+    return 'This job no longer exists.';
+  }
+  if (reason === 'taken') {
+    return 'Another collector has already accepted this job.';
+  }
+  if (reason === 'status_changed') {
+    return `This job was updated elsewhere and is now ${from}. Refresh to see the latest.`;
+  }
+  if (!from) {
+    return `This job can't be marked as ${to} right now.`;
+  }
+  return `This job is ${from} and can't be marked as ${to}.`;
+};
+
+/**
+ * A status change the state machine does not allow, or that lost a race with another
+ * change. `message` is written for the driver and can be shown as-is.
+ */
+export class StatusTransitionError extends Error {
+  /**
+   * @param {string|null} fromStatus - Status the job is actually in (null when unknown)
+   * @param {string} toStatus - Status that was requested
+   * @param {object} options
+   * @param {string} options.reason - 'invalid_transition', 'status_changed', 'taken' or 'not_found'
+   * @param {string} options.entityType - Entity the change was for
+   */
+  constructor(fromStatus, toStatus, { reason = 'invalid_transition', entityType = null } = {}) {
+    super(describeTransitionError(fromStatus, toStatus, reason));
+    this.name = 'StatusTransitionError';
+    this.code = 'INVALID_STATUS_TRANSITION';
+    this.reason = reason;
+    this.entityType = entityType;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+export const canTransition = (fromStatus, toStatus) => {
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+  if (from === to) return true;
+  return (PICKUP_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Throw a StatusTransitionError unless the change is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {string} entityType - Entity the change is for (carried on the error)
+ */
+export const assertTransition = (fromStatus, toStatus, entityType = null) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new StatusTransitionError(fromStatus, toStatus, { entityType });
+  }
+};
+
+/**
+ * Recognise a transition rejected by the database trigger and turn it into a
+ * StatusTransitionError; any other error is returned unchanged.
+ * @param {object} error - Supabase/PostgREST error
+ * @param {string} toStatus - Status that was requested
+ * @returns {Error|object}
+ */
+export const toStatusTransitionError = (error, toStatus) => {
+  if (!error || error instanceof StatusTransitionError) return error;
+  if (error.code !== STATUS_TRANSITION_SQLSTATE && !/invalid status transition/i.test(error.message || '')) {
+    return error;
+  }
+
+  let detail = {};
+  try {
+    detail = JSON.parse(error.details || '{}');
+  } catch {
+    // Older trigger versions don't send structured details
+  }
+
+  return new StatusTransitionError(detail.from_status || null, detail.to_status || toStatus, {
+    entityType: detail.entity_type || null
+  });
+};
+
+/**
+ * Every forward step between two statuses, so each one is recorded as its own event
+ * (e.g. accepted → collecting yields [en_route, arrived, collecting]).
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Target status
+ * @returns {Array<string>|null} - Steps to apply in order, or null when unreachable
+ */
+export const getTransitionPath = (rawFromStatus, rawToStatus) => {
+  const fromStatus = normalizeStatus(rawFromStatus);
+  const toStatus = normalizeStatus(rawToStatus);
+  if (fromStatus === toStatus) return [];
+
+  const fromIndex = PICKUP_LIFECYCLE_ORDER.indexOf(fromStatus);
+  const toIndex = PICKUP_LIFECYCLE_ORDER.indexOf(toStatus);
+
+  if (fromIndex !== -1 && toIndex > fromIndex) {
+    const path = PICKUP_LIFECYCLE_ORDER.slice(fromIndex + 1, toIndex + 1);
+    const isWalkable = path.every((step, index) => canTransition(index === 0 ? fromStatus : path[index - 1], step));
+    if (isWalkable) return path;
+  }
+
+  return canTransition(fromStatus, toStatus) ? [toStatus] : null;
+};
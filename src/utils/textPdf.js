@@ -0,0 +1,82 @@
+/**
+ * Minimal text-only PDF writer
+ *
+ * Enough PDF to print a monospaced report: lines of Courier text, paginated, no
+ * images or embedded fonts. Keeps statement downloads working offline without
+ * pulling a PDF library into the bundle. Text is limited to printable ASCII;
+ * anything else is replaced before it reaches the file.
+ */
+
+export const PAGE_SIZES = {
+  A4_PORTRAIT: [595, 842],
+  A4_LANDSCAPE: [842, 595]
+};
+
+const escapeText = (text) => String(text)
+  .replace(/₵/g, 'GHS ')
+  .replace(/[^\x20-\x7E]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Render lines of text into a PDF document
+ *
+ * @param {Array<string|{text: string, bold?: boolean}>} lines
+ * @param {Object} [options]
+ * @param {number[]} [options.pageSize] - [width, height] in points
+ * @param {number} [options.fontSize=8]
+ * @param {number} [options.margin=36]
+ * @returns {string} PDF file contents (ASCII, one byte per character)
+ */
+export const buildTextPdf = (lines, { pageSize = PAGE_SIZES.A4_PORTRAIT, fontSize = 8, margin = 36 } = {}) => {
+  const [width, height] = pageSize;
+  const leading = Math.round(fontSize * 1.35 * 100) / 100;
+  const linesPerPage = Math.max(1, Math.floor((height - margin * 2) / leading));
+
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page + content stream pair per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const content = [
+      'BT',
+      `${leading} TL`,
+      `${margin} ${height - margin - fontSize} Td`,
+      ...pageLines.map(line => {
+        const { text, bold } = typeof line === 'string' ? { text: line, bold: false } : line;
+        return `/${bold ? 'F2' : 'F1'} ${fontSize} Tf (${escapeText(text)}) Tj T*`;
+      }),
+      'ET'
+    ].join('\n');
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return pdf;
+};
@@ -0,0 +1,97 @@
+/**
+ * Slippy-map tile arithmetic for offline map downloads
+ *
+ * A region pack can cover tens of thousands of tiles, so tiles are described as
+ * per-zoom ranges and addressed by index instead of being listed up front. That keeps
+ * size estimates instant and lets a download resume from a single saved index.
+ */
+
+// Rough PNG sizes for OSM-style raster tiles; dense city blocks are larger at high zoom
+const AVERAGE_TILE_BYTES_BY_ZOOM = {
+  10: 12000,
+  11: 12000,
+  12: 14000,
+  13: 16000,
+  14: 18000,
+  15: 20000,
+  16: 18000,
+  17: 15000,
+  18: 12000
+};
+const DEFAULT_TILE_BYTES = 20000;
+
+/**
+ * Tile containing a coordinate at a zoom level
+ * @returns {{x: number, y: number, z: number}}
+ */
+export const latLngToTile = (lat, lng, zoom) => {
+  const n = Math.pow(2, zoom);
+  const x = Math.floor((lng + 180) / 360 * n);
+  const latRad = lat * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return { x, y, z: zoom };
+};
+
+/**
+ * Tile ranges covering a bounding box, one per zoom level
+ *
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {Array<{z: number, xMin: number, xMax: number, yMin: number, yMax: number, count: number}>}
+ */
+export const getTileRanges = (bounds, minZoom, maxZoom) => {
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const nw = latLngToTile(bounds.north, bounds.west, z);
+    const se = latLngToTile(bounds.south, bounds.east, z);
+    const xMin = Math.min(nw.x, se.x);
+    const xMax = Math.max(nw.x, se.x);
+    const yMin = Math.min(nw.y, se.y);
+    const yMax = Math.max(nw.y, se.y);
+    ranges.push({ z, xMin, xMax, yMin, yMax, count: (xMax - xMin + 1) * (yMax - yMin + 1) });
+  }
+  return ranges;
+};
+
+export const countTiles = (ranges) => ranges.reduce((sum, range) => sum + range.count, 0);
+
+/**
+ * The index-th tile across all ranges (zoom by zoom, then column by column)
+ * @returns {{z: number, x: number, y: number}|null} null past the last tile
+ */
+export const tileAtIndex = (ranges, index) => {
+  let remaining = index;
+  for (const range of ranges) {
+    if (remaining < range.count) {
+      const height = range.yMax - range.yMin + 1;
+      return {
+        z: range.z,
+        x: range.xMin + Math.floor(remaining / height),
+        y: range.yMin + (remaining % height)
+      };
+    }
+    remaining -= range.count;
+  }
+  return null;
+};
+
+/**
+ * Expected download size of a set of tile ranges
+ * @param {Array} ranges - From getTileRanges
+ * @param {number} [measuredTileBytes] - Average from tiles already downloaded, if known
+ * @returns {number} Bytes
+ */
+export const estimateTileBytes = (ranges, measuredTileBytes = null) => ranges.reduce((sum, range) => {
+  const perTile = measuredTileBytes || AVERAGE_TILE_BYTES_BY_ZOOM[range.z] || DEFAULT_TILE_BYTES;
+  return sum + range.count * perTile;
+}, 0);
+
+/**
+ * Human-readable size, e.g. "850 KB", "12.4 MB", "1.2 GB"
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
@@ -0,0 +1,194 @@
+/**
+ * Weighbridge tickets
+ *
+ * A site with a weighbridge weighs the truck in (gross) and out (tare) and prints the
+ * difference (net) on a ticket. This checks what the driver typed or what was read off
+ * a photo of the ticket, pulls the figures out of that text, and previews how the net
+ * weight is shared over the jobs tipped on the load. The sharing rule must match
+ * record_weighbridge_ticket() (supabase/migrations/20261031090000_weighbridge_tickets.sql),
+ * which is what gets stored.
+ */
+
+export const WEIGHT_UNITS = {
+  KG: 'kg',
+  TONNE: 't'
+};
+
+// Gross and net may differ from gross less tare by this much (rounding on the ticket)
+export const NET_WEIGHT_TOLERANCE_KG = 1;
+
+// Heavier than any truck we run; almost certainly a misread or a typo
+const MAX_PLAUSIBLE_KG = 40000;
+
+// Dumping sites have no bag count; size them against an average pickup
+const ASSIGNMENT_SIZE_UNITS = { small: 1, medium: 3, large: 6 };
+
+export const TICKET_PROBLEM_MESSAGES = {
+  missing_weight: 'Enter the net weight, or both gross and tare',
+  tare_not_below_gross: 'Tare has to be less than gross',
+  net_mismatch: 'Net weight does not match gross minus tare',
+  implausible_weight: 'That weight looks too high, check the unit'
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * @param {number|string} value
+ * @param {string} unit - One of WEIGHT_UNITS
+ * @returns {number|null} Kilograms, to 0.1 kg
+ */
+export const toKilograms = (value, unit = WEIGHT_UNITS.KG) => {
+  const number = toNumber(value);
+  if (number === null) return null;
+  const kg = unit === WEIGHT_UNITS.TONNE ? number * 1000 : number;
+  return Math.round(kg * 10) / 10;
+};
+
+/**
+ * Work out and check the ticket's weights; net is gross less tare when left out
+ *
+ * @param {Object} entry - { gross, tare, net, unit } as entered
+ * @returns {{grossKg: number|null, tareKg: number|null, netKg: number|null, problems: Array<string>}}
+ */
+export const resolveTicketWeights = ({ gross, tare, net, unit = WEIGHT_UNITS.KG } = {}) => {
+  const grossKg = toKilograms(gross, unit);
+  const tareKg = toKilograms(tare, unit);
+  let netKg = toKilograms(net, unit);
+  const problems = [];
+
+  if (grossKg !== null && tareKg !== null) {
+    if (tareKg >= grossKg) {
+      problems.push('tare_not_below_gross');
+    } else if (netKg === null) {
+      netKg = Math.round((grossKg - tareKg) * 10) / 10;
+    } else if (Math.abs(netKg - (grossKg - tareKg)) > NET_WEIGHT_TOLERANCE_KG) {
+      problems.push('net_mismatch');
+    }
+  }
+
+  if (netKg === null || netKg <= 0) {
+    if (!problems.includes('tare_not_below_gross')) problems.push('missing_weight');
+  } else if (Math.max(netKg, grossKg || 0) > MAX_PLAUSIBLE_KG) {
+    problems.push('implausible_weight');
+  }
+
+  return { grossKg, tareKg, netKg: netKg > 0 ? netKg : null, problems };
+};
+
+const NUMBER = '(\\d{1,3}(?:[,\\s]\\d{3})+|\\d+)(?:\\.(\\d+))?';
+const UNIT = '\\s*(kgs?|kilograms?|t|tons?|tonnes?|mt)?\\b';
+const weightPattern = (label) => new RegExp(`(?:${label})[^\\d\\n]{0,20}${NUMBER}${UNIT}`, 'i');
+
+const WEIGHT_PATTERNS = {
+  gross: weightPattern('gross|1st\\s*weight|first\\s*weight|weight\\s*in'),
+  tare: weightPattern('tare|2nd\\s*weight|second\\s*weight|weight\\s*out'),
+  net: weightPattern('net')
+};
+const TICKET_NUMBER = /(?:ticket|tkt|receipt|slip)\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z0-9][A-Z0-9/-]{2,})/i;
+const FEE = /(?:tipping\s*fee|fee|amount|total|paid)[^\d\n]{0,12}(?:gh[s₵¢]?|ghc|₵)?\s*(\d+(?:[.,]\d{1,2})?)/i;
+const DATE_TIME = /(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[^\d\n]{1,5}(\d{1,2}):(\d{2}))?/;
+
+const readNumber = (whole, fraction) => {
+  const digits = whole.replace(/[,\s]/g, '');
+  return parseFloat(fraction ? `${digits}.${fraction}` : digits);
+};
+
+/**
+ * Pull the figures out of a weighbridge ticket's text (as read from a photo). Tickets
+ * differ from site to site, so anything not found is null and left for the driver.
+ *
+ * @param {string} text
+ * @returns {{ticketNumber: string|null, gross: number|null, tare: number|null, net: number|null,
+ *   unit: string, weighedAt: string|null, tippingFee: number|null}}
+ */
+export const parseTicketText = (text = '') => {
+  const result = {
+    ticketNumber: null,
+    gross: null,
+    tare: null,
+    net: null,
+    unit: WEIGHT_UNITS.KG,
+    weighedAt: null,
+    tippingFee: null
+  };
+
+  let tonnes = false;
+  Object.entries(WEIGHT_PATTERNS).forEach(([field, pattern]) => {
+    const match = text.match(pattern);
+    if (!match) return;
+    result[field] = readNumber(match[1], match[2]);
+    if (match[3] && /^(t|tons?|tonnes?|mt)$/i.test(match[3])) tonnes = true;
+  });
+  if (tonnes) result.unit = WEIGHT_UNITS.TONNE;
+
+  const ticket = text.match(TICKET_NUMBER);
+  if (ticket) result.ticketNumber = ticket[1];
+
+  const fee = text.match(FEE);
+  if (fee) result.tippingFee = parseFloat(fee[1].replace(',', '.'));
+
+  // Ghana writes dates day first; the time on the ticket is Accra time, i.e. UTC
+  const date = text.match(DATE_TIME);
+  if (date) {
+    const [, day, month, rawYear, hours = '0', minutes = '0'] = date;
+    const year = rawYear.length === 2 ? 2000 + parseInt(rawYear, 10) : parseInt(rawYear, 10);
+    const at = new Date(Date.UTC(year, parseInt(month, 10) - 1, parseInt(day, 10), parseInt(hours, 10), parseInt(minutes, 10)));
+    if (!Number.isNaN(at.getTime()) && at.getUTCDate() === parseInt(day, 10)) {
+      result.weighedAt = at.toISOString();
+    }
+  }
+
+  return result;
+};
+
+/**
+ * How much of a shared load a job is, relative to the others on the ticket
+ * @param {Object} job - Pickup, digital bin or assignment as listed in the app
+ * @returns {number}
+ */
+export const loadUnitsOf = (job) => {
+  const bags = parseInt(job?.bag_count ?? job?.bags_collected ?? job?.bags, 10);
+  if (bags > 0) return bags;
+  const size = ASSIGNMENT_SIZE_UNITS[String(job?.size || '').toLowerCase()];
+  return size || 1;
+};
+
+/**
+ * Share a ticket's net weight and tipping fee over its jobs by load units. Weight is
+ * rounded to 0.1 kg and fee to the pesewa; the rounding difference goes to the largest
+ * share, so the parts always add up to the ticket.
+ *
+ * @param {number} netKg
+ * @param {Array<{jobType: string, jobId: string, loadUnits: number}>} jobs
+ * @param {number} [tippingFee]
+ * @returns {Array<{jobType: string, jobId: string, loadUnits: number, netKg: number, tippingFee: number}>}
+ */
+export const allocateTonnage = (netKg, jobs, tippingFee = 0) => {
+  if (!jobs?.length) return [];
+
+  const units = jobs.map(job => Math.max(toNumber(job.loadUnits) ?? 1, 0.01));
+  const total = units.reduce((sum, value) => sum + value, 0);
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+  const shares = jobs.map((job, index) => ({
+    ...job,
+    loadUnits: units[index],
+    netKg: round(netKg * units[index] / total, 1),
+    tippingFee: round(tippingFee * units[index] / total, 2)
+  }));
+
+  // Same tie-break as the SQL: most units, then job id
+  const largest = shares.reduce((best, share) => (
+    share.loadUnits > best.loadUnits || (share.loadUnits === best.loadUnits && String(share.jobId) < String(best.jobId))
+      ? share
+      : best
+  ));
+  largest.netKg = round(largest.netKg + netKg - shares.reduce((sum, share) => sum + share.netKg, 0), 1);
+  largest.tippingFee = round(largest.tippingFee + tippingFee - shares.reduce((sum, share) => sum + share.tippingFee, 0), 2);
+
+  return shares;
+};
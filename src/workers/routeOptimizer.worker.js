@@ -0,0 +1,21 @@
+/**
+ * Route optimizer Web Worker
+ *
+ * Runs optimizeRouteOrder off the main thread so the map stays responsive while
+ * large routes (50+ stops) are improved.
+ *
+ * Message in:  { id, stops, startPosition, options }
+ * Message out: { id, result } or { id, error }
+ */
+import { optimizeRouteOrder } from '../utils/routeOptimizationUtils';
+
+self.onmessage = (event) => {
+  const { id, stops, startPosition, options } = event.data;
+
+  try {
+    const result = optimizeRouteOrder(stops, startPosition, options);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Route optimization failed' });
+  }
+};
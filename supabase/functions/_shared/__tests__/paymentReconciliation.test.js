@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+import {
+  assessPayment,
+  toPaymentRecord,
+  ingestSettlementStatement,
+  reconcileStalePayments,
+  RECONCILIATION_ISSUES
+} from '../paymentReconciliation';
+
+// Query builder that answers from tables and records inserts
+const fakeSupabase = (tables = {}) => {
+  const inserted = [];
+  const from = (table) => {
+    let inserting = null;
+    const builder = {};
+    ['select', 'update', 'eq', 'neq', 'lt', 'gte', 'lte', 'in', 'order', 'limit'].forEach(method => {
+      builder[method] = () => builder;
+    });
+    builder.insert = (rows) => {
+      inserting = rows.map((row, i) => ({ id: `${table}-${inserted.length + i}`, ...row }));
+      inserted.push(...inserting.map(row => ({ table, row })));
+      return builder;
+    };
+    builder.single = async () => ({ data: inserting ? inserting[0] : null, error: null });
+    builder.then = (resolve, reject) => Promise.resolve({ data: tables[table] || [], error: null }).then(resolve, reject);
+    return builder;
+  };
+  return {
+    from,
+    rpc: jest.fn(async () => ({ data: { applied: true }, error: null })),
+    items: () => inserted.filter(i => i.table === 'payment_reconciliation_items').map(i => i.row)
+  };
+};
+
+const PAYMENT_ID = '0b8e2a61-5f1c-4f7e-9a53-1d1c0c1f2a01';
+
+const pendingPayment = (overrides = {}) => ({
+  id: PAYMENT_ID,
+  collector_id: 'collector-1',
+  type: 'collection',
+  total_bill: 20,
+  status: 'pending',
+  gateway_transaction_id: '4410001',
+  created_at: '2026-10-18T09:00:00Z',
+  ...overrides
+});
+
+describe('assessPayment', () => {
+  const record = toPaymentRecord('bin_payments', pendingPayment());
+
+  test('settles a pending payment the gateway has settled', () => {
+    expect(assessPayment(record, { status: 'success', amount: 20 })).toMatchObject({
+      issue: RECONCILIATION_ISSUES.STATUS_MISMATCH, resolveTo: 'success'
+    });
+    expect(assessPayment(record, { status: 'expired' })).toMatchObject({ resolveTo: 'failed' });
+  });
+
+  test('leaves money disagreements open', () => {
+    expect(assessPayment(record, { status: 'success', amount: 19 })).toMatchObject({
+      issue: RECONCILIATION_ISSUES.AMOUNT_MISMATCH, resolveTo: null
+    });
+
+    const settled = toPaymentRecord('bin_payments', pendingPayment({ status: 'success' }));
+    expect(assessPayment(settled, { status: 'failed', amount: 20 })).toMatchObject({ resolveTo: null });
+    expect(assessPayment(settled, null).issue).toBe(RECONCILIATION_ISSUES.MISSING_AT_PROVIDER);
+  });
+
+  test('treats in-flight on both sides and matching outcomes as agreement', () => {
+    expect(assessPayment(record, { status: 'processing' })).toBeNull();
+
+    const withdrawal = toPaymentRecord('withdrawals', { id: 'w1', amount: 50, status: 'completed' });
+    expect(assessPayment(withdrawal, { status: 'success', amount: 50 })).toBeNull();
+  });
+});
+
+describe('reconciliation runs', () => {
+  test('stale check auto-resolves through the audit RPC', async () => {
+    const supabase = fakeSupabase({ bin_payments: [pendingPayment()], withdrawals: [] });
+    const checkStatus = jest.fn(async () => ({ success: true, status: 'success', amount: 20 }));
+
+    const result = await reconcileStalePayments(supabase, checkStatus);
+
+    expect(checkStatus).toHaveBeenCalledWith(expect.objectContaining({ id: PAYMENT_ID, transactionId: '4410001' }));
+    expect(result).toMatchObject({ success: true, checked: 1, mismatches: 1, autoResolved: 1 });
+    expect(supabase.rpc).toHaveBeenCalledWith('apply_payment_reconciliation', expect.objectContaining({
+      p_new_status: 'success', p_resolution: 'auto_resolved'
+    }));
+  });
+
+  test('settlement file flags rows missing on either side', async () => {
+    const supabase = fakeSupabase({ bin_payments: [pendingPayment()], withdrawals: [] });
+    const csv = [
+      'reference,rrn,amount,status,date',
+      `${PAYMENT_ID},4410001,20.00,successful,2026-10-18T09:05:00Z`,
+      'unknown-ref,4419999,7.00,successful,2026-10-18T11:00:00Z'
+    ].join('\n');
+
+    const result = await ingestSettlementStatement(supabase, csv, { fileName: 'oct-18.csv' });
+
+    expect(result).toMatchObject({ success: true, autoResolved: 1 });
+    expect(supabase.items().map(i => i.issue)).toEqual([
+      RECONCILIATION_ISSUES.STATUS_MISMATCH,
+      RECONCILIATION_ISSUES.MISSING_INTERNALLY
+    ]);
+    expect(supabase.items()[1]).toMatchObject({ payment_id: null, provider_reference: '4419999', provider_amount: 7 });
+  });
+});
@@ -0,0 +1,42 @@
+import { parseCsv, parseSettlementStatement } from '../settlementStatement';
+
+describe('parseCsv', () => {
+  test('handles quotes, embedded commas and CRLF', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"']
+    ]);
+  });
+});
+
+describe('parseSettlementStatement', () => {
+  test('reads entries whatever the header spelling', () => {
+    const csv = [
+      'Transaction Date,Merchant Reference,RRN,Amount (GHS),Status,Transaction Type',
+      '2026-10-18T09:00:00Z,pay-1,4410001,"1,250.50",SUCCESSFUL,purchase',
+      '2026-10-18T10:00:00Z,wd-1_retry2,4410002,20,failed,deposit'
+    ].join('\n');
+
+    const { entries, errors } = parseSettlementStatement(csv);
+
+    expect(errors).toEqual([]);
+    expect(entries[0]).toMatchObject({
+      line: 2, reference: 'pay-1', transactionId: '4410001', amount: 1250.5, status: 'success', type: 'collection'
+    });
+    expect(entries[1]).toMatchObject({ reference: 'wd-1_retry2', status: 'failed', type: 'disbursement' });
+  });
+
+  test('converts pesewa amounts and reports unreadable lines', () => {
+    const csv = 'reference,amount_pesewas\npay-1,1500\npay-2,\n,300';
+    const { entries, errors } = parseSettlementStatement(csv);
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].amount).toBe(15);
+    expect(errors).toEqual(['Line 3: unreadable amount', 'Line 4: no reference or rrn']);
+  });
+
+  test('refuses files without the columns it needs', () => {
+    expect(parseSettlementStatement('date,amount\n2026-10-18,5').errors[0]).toMatch(/reference or rrn/);
+    expect(parseSettlementStatement('').errors[0]).toMatch(/empty/);
+  });
+});
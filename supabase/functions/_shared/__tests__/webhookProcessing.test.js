@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+import {
+  processWebhook, verifySignature, checkTimestamp, eventIdOf, signBody, SIGNATURE_HEADER
+} from '../webhookProcessing';
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-10-23T10:00:00Z');
+
+const callback = (overrides = {}) => ({
+  reference: '550e8400-e29b-41d4-a716-446655440000',
+  externalId: 'TP-1',
+  rrn: 'RRN-1',
+  type: 'collection',
+  amount: 5000,
+  status: 'successful',
+  code: '000',
+  lastUpdated: '2026-10-23T09:59:00Z',
+  timestamp: '2026-10-23T09:59:30Z',
+  ...overrides
+});
+
+const signed = async (payload, raw = JSON.stringify(payload)) => ({
+  rawBody: new TextEncoder().encode(raw),
+  headers: { [SIGNATURE_HEADER]: await signBody(SECRET, raw) }
+});
+
+// Stands in for process_payment_webhook: dedups on event id, first one applies
+const fakeRpc = () => {
+  const seen = new Set();
+  return jest.fn(async (name, args) => {
+    const duplicate = seen.has(args.p_event_id);
+    seen.add(args.p_event_id);
+    return {
+      data: duplicate
+        ? { duplicate: true, outcome: 'applied', previous_status: 'pending', new_status: 'success' }
+        : { duplicate: false, outcome: 'applied', target_table: 'bin_payments', previous_status: 'pending', new_status: 'success' },
+      error: null
+    };
+  });
+};
+
+describe('verifySignature', () => {
+  test('signs the bytes as received, not a re-serialization of them', async () => {
+    const raw = '{ "reference": "abc",  "status": "successful" }';
+    const signature = await signBody(SECRET, raw);
+
+    expect(await verifySignature(SECRET, new TextEncoder().encode(raw), signature)).toBe(true);
+    expect(await verifySignature(SECRET, raw, `sha256=${signature.toUpperCase()}`)).toBe(true);
+    expect(await verifySignature(SECRET, JSON.stringify(JSON.parse(raw)), signature)).toBe(false);
+    expect(await verifySignature(SECRET, raw, signature.slice(0, -2))).toBe(false);
+    expect(await verifySignature('', raw, signature)).toBe(false);
+  });
+});
+
+describe('checkTimestamp', () => {
+  test('accepts timestamps inside the tolerance only', () => {
+    expect(checkTimestamp('2026-10-23T09:56:00Z', { now: NOW })).toEqual({ ok: true });
+    expect(checkTimestamp(NOW / 1000 + 60, { now: NOW })).toEqual({ ok: true });
+    expect(checkTimestamp('2026-10-23T09:54:00Z', { now: NOW }).ok).toBe(false);
+    expect(checkTimestamp('2026-10-23T09:59:00Z', { now: NOW, toleranceSeconds: 30 }).ok).toBe(false);
+    expect(checkTimestamp(undefined, { now: NOW })).toEqual({ ok: false, error: 'Missing timestamp' });
+  });
+});
+
+describe('eventIdOf', () => {
+  test('prefers the provider id and otherwise is stable across redeliveries', () => {
+    expect(eventIdOf(callback({ eventId: 'evt_1' }))).toBe('evt_1');
+    expect(eventIdOf(callback(), { 'x-trendipay-event-id': 'evt_2' })).toBe('evt_2');
+    expect(eventIdOf(callback({ timestamp: 'later' }))).toBe(eventIdOf(callback()));
+    expect(eventIdOf(callback({ status: 'failed', code: '101' }))).not.toBe(eventIdOf(callback()));
+  });
+});
+
+describe('processWebhook', () => {
+  test('records the event with its normalized fields', async () => {
+    const rpc = fakeRpc();
+    const response = await processWebhook(await signed(callback()), { secret: SECRET, rpc, now: NOW });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, duplicate: false, outcome: 'applied', status: 'success' });
+    expect(rpc).toHaveBeenCalledWith('process_payment_webhook', expect.objectContaining({
+      p_provider: 'trendipay',
+      p_reference: '550e8400-e29b-41d4-a716-446655440000',
+      p_status: 'success',
+      p_event_type: 'collection',
+      p_transaction_id: 'TP-1',
+      p_gateway_reference: 'RRN-1',
+      p_amount: 50,
+      p_event_at: '2026-10-23T09:59:00.000Z'
+    }));
+  });
+
+  test('acknowledges a redelivery as a duplicate', async () => {
+    const rpc = fakeRpc();
+    await processWebhook(await signed(callback()), { secret: SECRET, rpc, now: NOW });
+    const again = await processWebhook(
+      await signed(callback({ timestamp: '2026-10-23T09:59:45Z' })),
+      { secret: SECRET, rpc, now: NOW }
+    );
+
+    expect(again.status).toBe(200);
+    expect(again.body.duplicate).toBe(true);
+    expect(rpc.mock.calls[0][1].p_event_id).toBe(rpc.mock.calls[1][1].p_event_id);
+  });
+
+  test('rejects bad signatures, replays and bodies without a reference before touching the database', async () => {
+    const rpc = fakeRpc();
+    const tampered = await signed(callback());
+    tampered.rawBody = new TextEncoder().encode(JSON.stringify(callback({ amount: 1 })));
+
+    expect((await processWebhook(tampered, { secret: SECRET, rpc, now: NOW })).status).toBe(401);
+    expect((await processWebhook(
+      await signed(callback({ timestamp: '2026-10-23T08:00:00Z' })), { secret: SECRET, rpc, now: NOW }
+    )).body.error).toBe('Timestamp outside tolerance');
+    expect((await processWebhook(
+      await signed(callback({ reference: undefined, externalId: undefined })), { secret: SECRET, rpc, now: NOW }
+    )).status).toBe(400);
+    expect((await processWebhook(await signed(callback()), { secret: '', rpc, now: NOW })).status).toBe(500);
+    expect(rpc).not.toHaveBeenCalled();
+  });
+
+  test('asks the gateway to retry when the event could not be recorded', async () => {
+    const rpc = jest.fn(async () => ({ data: null, error: { message: 'connection reset' } }));
+    const response = await processWebhook(await signed(callback()), { secret: SECRET, rpc, now: NOW });
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,462 @@
+/**
+ * Payment reconciliation, for the payment-reconciliation Edge Function
+ *
+ * Compares our bin_payments and withdrawals with what the gateway says happened, in
+ * two ways:
+ *
+ * - reconcileStalePayments(): asks the gateway about payments that have been pending
+ *   for a while (the webhook may never have arrived)
+ * - ingestSettlementStatement(): reads the provider's settlement CSV and matches it
+ *   row by row, both ways
+ *
+ * Every mismatch becomes a payment_reconciliation_items row. A pending payment the
+ * gateway has clearly settled is resolved on the spot through
+ * apply_payment_reconciliation(), which also writes payment_status_audit. Anything
+ * involving money we can't account for (amounts that differ, a settled payment the
+ * gateway disagrees with, rows missing on either side) stays open for a person.
+ *
+ * Every function takes a service-role Supabase client: runs, items and the RPC are
+ * closed to the app.
+ */
+
+import { parseSettlementStatement } from './settlementStatement.js';
+
+export const RECONCILIATION_ISSUES = {
+  STATUS_MISMATCH: 'status_mismatch',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  MISSING_AT_PROVIDER: 'missing_at_provider',
+  MISSING_INTERNALLY: 'missing_internally'
+};
+
+export const RECONCILIATION_RESOLUTIONS = {
+  OPEN: 'open',
+  AUTO_RESOLVED: 'auto_resolved',
+  MANUALLY_RESOLVED: 'manually_resolved',
+  IGNORED: 'ignored',
+  SUPERSEDED: 'superseded'
+};
+
+// Pending this long before we go and ask the gateway
+const STALE_AFTER_MINUTES = 15;
+// Pending this long without ever reaching the gateway
+const UNSENT_AFTER_HOURS = 24;
+const AMOUNT_TOLERANCE = 0.01;
+const LOOKUP_CHUNK = 100;
+
+// Each table's own status words, read as gateway statuses (see normalizeGatewayStatus)
+const TABLE_STATUSES = {
+  bin_payments: {
+    pending: 'pending',
+    success: 'success',
+    failed: 'failed'
+  },
+  withdrawals: {
+    pending: 'pending',
+    processing: 'processing',
+    completed: 'success',
+    failed: 'failed',
+    cancelled: 'failed'
+  }
+};
+
+// ...and the word each table uses for a settled outcome
+const SETTLED_STATUSES = {
+  bin_payments: { success: 'success', failed: 'failed' },
+  withdrawals: { success: 'completed', failed: 'failed' }
+};
+
+const IN_FLIGHT = ['pending', 'processing'];
+
+/**
+ * One bin_payments or withdrawals row, in the shape reconciliation works with
+ * @param {'bin_payments'|'withdrawals'} table
+ * @param {Object} row
+ * @returns {Object}
+ */
+export const toPaymentRecord = (table, row) => {
+  const isPayout = table === 'withdrawals' || row.type === 'disbursement';
+  return {
+    table,
+    id: row.id,
+    collectorId: row.collector_id || null,
+    type: isPayout ? 'disbursement' : 'collection',
+    amount: Number(table === 'withdrawals' ? row.amount : (isPayout ? row.collector_share : row.total_bill)) || 0,
+    rawStatus: row.status,
+    status: TABLE_STATUSES[table][row.status] || 'pending',
+    transactionId: row.gateway_transaction_id || null,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Compare one of our payments with the gateway's view of it
+ *
+ * @param {Object} record - From toPaymentRecord
+ * @param {Object|null} providerRecord - { status, amount (GHS) }, null if the gateway has none
+ * @returns {Object|null} null when they agree (or the payment is simply still in flight),
+ *   otherwise { issue, resolveTo, action } where resolveTo is the status to apply
+ *   automatically, or null to leave the item open
+ */
+export const assessPayment = (record, providerRecord) => {
+  if (!providerRecord) {
+    return { issue: RECONCILIATION_ISSUES.MISSING_AT_PROVIDER, resolveTo: null, action: null };
+  }
+
+  const providerAmount = Number(providerRecord.amount);
+  if (providerRecord.amount != null && Number.isFinite(providerAmount) &&
+      Math.abs(providerAmount - record.amount) > AMOUNT_TOLERANCE) {
+    return { issue: RECONCILIATION_ISSUES.AMOUNT_MISMATCH, resolveTo: null, action: null };
+  }
+
+  const ours = record.status;
+  const theirs = providerRecord.status === 'expired' ? 'failed' : providerRecord.status;
+  const oursInFlight = IN_FLIGHT.includes(ours);
+
+  if (ours === theirs || (oursInFlight && IN_FLIGHT.includes(theirs))) return null;
+
+  if (oursInFlight) {
+    return {
+      issue: RECONCILIATION_ISSUES.STATUS_MISMATCH,
+      resolveTo: theirs,
+      action: theirs === 'success'
+        ? 'Marked successful: settled at the gateway'
+        : `Marked failed: gateway reports ${providerRecord.status}`
+    };
+  }
+
+  return { issue: RECONCILIATION_ISSUES.STATUS_MISMATCH, resolveTo: null, action: null };
+};
+
+const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+};
+
+// Retries go out as `${id}_retry${n}`
+const referenceId = (reference) => String(reference || '').replace(/_retry\d+$/, '');
+
+const startRun = async (supabase, source, extra = {}) => {
+  const { data, error } = await supabase
+    .from('payment_reconciliation_runs')
+    .insert([{ source, ...extra }])
+    .select()
+    .single();
+
+  if (error) throw new Error(`Could not start reconciliation run: ${error.message}`);
+  return data;
+};
+
+const finishRun = async (supabase, runId, stats, runError = null) => {
+  const { error } = await supabase
+    .from('payment_reconciliation_runs')
+    .update({
+      checked_count: stats.checked,
+      matched_count: stats.matched,
+      mismatch_count: stats.mismatches,
+      auto_resolved_count: stats.autoResolved,
+      error: runError,
+      finished_at: new Date().toISOString()
+    })
+    .eq('id', runId);
+
+  if (error) console.warn('[reconciliation] Could not finish run:', error.message);
+};
+
+/**
+ * Record a mismatch, and settle the payment when the outcome is clear-cut
+ * @returns {Promise<boolean>} Whether the payment was resolved automatically
+ */
+const recordMismatch = async (supabase, runId, record, providerRecord, assessment, details = {}) => {
+  const { data: item, error } = await supabase
+    .from('payment_reconciliation_items')
+    .insert([{
+      run_id: runId,
+      payment_table: record?.table || null,
+      payment_id: record?.id || null,
+      collector_id: record?.collectorId || null,
+      provider_reference: providerRecord?.transactionId || record?.transactionId || null,
+      issue: assessment.issue,
+      internal_status: record?.rawStatus || null,
+      provider_status: providerRecord?.status || null,
+      internal_amount: record ? record.amount : null,
+      provider_amount: providerRecord?.amount ?? null,
+      details
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('[reconciliation] Could not record item:', error.message);
+    return false;
+  }
+
+  if (!assessment.resolveTo) return false;
+
+  const { data: result, error: applyError } = await supabase.rpc('apply_payment_reconciliation', {
+    p_item_id: item.id,
+    p_new_status: SETTLED_STATUSES[record.table][assessment.resolveTo],
+    p_resolution: RECONCILIATION_RESOLUTIONS.AUTO_RESOLVED,
+    p_action: assessment.action,
+    p_notes: providerRecord?.message || null
+  });
+
+  if (applyError) {
+    // Left open for someone to settle by hand
+    console.warn(`[reconciliation] Could not auto-resolve ${record.table} ${record.id}:`, applyError.message);
+    return false;
+  }
+  return Boolean(result?.applied);
+};
+
+const emptyStats = () => ({ checked: 0, matched: 0, mismatches: 0, autoResolved: 0, errors: [] });
+
+const tally = async (supabase, stats, runId, record, providerRecord, details) => {
+  stats.checked += 1;
+  const assessment = assessPayment(record, providerRecord);
+  if (!assessment) {
+    stats.matched += 1;
+    return;
+  }
+  stats.mismatches += 1;
+  if (await recordMismatch(supabase, runId, record, providerRecord, assessment, details)) {
+    stats.autoResolved += 1;
+  }
+};
+
+/**
+ * Ask the gateway about payments that have been pending for too long
+ *
+ * @param {Object} supabase - Service-role client
+ * @param {Function} checkStatus - async (record) => { success, status, amount (GHS), message, error }
+ * @param {Object} [options]
+ * @param {number} [options.staleAfterMinutes]
+ * @param {number} [options.limit] - Per table
+ * @param {string} [options.source] - Recorded against each item, e.g. 'trendipay'
+ * @returns {Promise<Object>} { success, runId, checked, matched, mismatches, autoResolved, errors }
+ */
+export async function reconcileStalePayments(
+  supabase,
+  checkStatus,
+  { staleAfterMinutes = STALE_AFTER_MINUTES, limit = 50, source = null } = {}
+) {
+  const stats = emptyStats();
+  let run = null;
+
+  try {
+    const cutoff = new Date(Date.now() - staleAfterMinutes * 60000).toISOString();
+    const unsentCutoff = Date.now() - UNSENT_AFTER_HOURS * 3600000;
+
+    const [payments, withdrawals] = await Promise.all([
+      supabase
+        .from('bin_payments')
+        .select('*')
+        .eq('status', 'pending')
+        .neq('payment_mode', 'cash')
+        .lt('created_at', cutoff)
+        .order('created_at', { ascending: true })
+        .limit(limit),
+      supabase
+        .from('withdrawals')
+        .select('*')
+        .in('status', ['pending', 'processing'])
+        .lt('created_at', cutoff)
+        .order('created_at', { ascending: true })
+        .limit(limit)
+    ]);
+
+    if (payments.error) throw new Error(`Database error: ${payments.error.message}`);
+    if (withdrawals.error) throw new Error(`Database error: ${withdrawals.error.message}`);
+
+    const records = [
+      ...(payments.data || []).map(row => toPaymentRecord('bin_payments', row)),
+      ...(withdrawals.data || []).map(row => toPaymentRecord('withdrawals', row))
+    ];
+    if (records.length === 0) {
+      return { success: true, runId: null, ...stats };
+    }
+
+    run = await startRun(supabase, 'status_check');
+
+    for (const record of records) {
+      if (!record.transactionId) {
+        // Never reached the gateway; only worth flagging once it's clearly not coming
+        if (new Date(record.createdAt).getTime() < unsentCutoff) {
+          await tally(supabase, stats, run.id, record, null, { reason: 'No gateway transaction id' });
+        }
+        continue;
+      }
+
+      const result = await checkStatus(record);
+      if (!result.success) {
+        stats.errors.push(`${record.table} ${record.id}: ${result.error}`);
+        continue;
+      }
+
+      await tally(supabase, stats, run.id, record, { ...result, transactionId: record.transactionId }, { source });
+    }
+
+    await finishRun(supabase, run.id, stats);
+    return { success: true, runId: run.id, ...stats };
+
+  } catch (error) {
+    console.error('[reconciliation] Stale payment check failed:', error.message);
+    if (run) await finishRun(supabase, run.id, stats, error.message);
+    return { success: false, error: error.message, runId: run?.id || null };
+  }
+}
+
+const lookUp = async (supabase, table, column, values) => {
+  const rows = [];
+  for (const part of chunk([...new Set(values)], LOOKUP_CHUNK)) {
+    const { data, error } = await supabase.from(table).select('*').in(column, part);
+    if (error) throw new Error(`Database error: ${error.message}`);
+    rows.push(...(data || []));
+  }
+  return rows;
+};
+
+/**
+ * Match a provider settlement file against our payments
+ *
+ * @param {Object} supabase - Service-role client
+ * @param {string} csvText - Settlement CSV as downloaded from the gateway
+ * @param {Object} [options]
+ * @param {string} [options.fileName]
+ * @returns {Promise<Object>} { success, runId, checked, matched, mismatches, autoResolved, errors }
+ */
+export async function ingestSettlementStatement(supabase, csvText, { fileName = null } = {}) {
+  const { entries, errors: parseErrors } = parseSettlementStatement(csvText);
+  if (entries.length === 0) {
+    return { success: false, error: parseErrors[0] || 'No transactions in settlement file', errors: parseErrors };
+  }
+
+  const stats = { ...emptyStats(), errors: [...parseErrors] };
+  const dates = entries.map(e => e.settledAt).filter(Boolean).sort();
+  const periodStart = dates[0] || null;
+  const periodEnd = dates[dates.length - 1] || null;
+  let run = null;
+
+  try {
+    run = await startRun(supabase, 'settlement_file', { file_name: fileName, period_start: periodStart, period_end: periodEnd });
+
+    const uuidLike = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const ids = entries.map(e => referenceId(e.reference)).filter(id => uuidLike.test(id));
+    const rrns = entries.map(e => e.transactionId).filter(Boolean);
+
+    const rows = [
+      ...(await lookUp(supabase, 'bin_payments', 'id', ids)).map(row => toPaymentRecord('bin_payments', row)),
+      ...(await lookUp(supabase, 'bin_payments', 'gateway_transaction_id', rrns)).map(row => toPaymentRecord('bin_payments', row)),
+      ...(await lookUp(supabase, 'withdrawals', 'id', ids)).map(row => toPaymentRecord('withdrawals', row)),
+      ...(await lookUp(supabase, 'withdrawals', 'gateway_transaction_id', rrns)).map(row => toPaymentRecord('withdrawals', row))
+    ];
+    const byId = new Map(rows.map(r => [r.id, r]));
+    const byTransaction = new Map(rows.filter(r => r.transactionId).map(r => [r.transactionId, r]));
+    const seen = new Set();
+
+    for (const entry of entries) {
+      const record = byId.get(referenceId(entry.reference)) || byTransaction.get(entry.transactionId);
+      const details = { line: entry.line, reference: entry.reference, file: fileName };
+
+      if (!record) {
+        stats.checked += 1;
+        stats.mismatches += 1;
+        await recordMismatch(supabase, run.id, null, entry, { issue: RECONCILIATION_ISSUES.MISSING_INTERNALLY, resolveTo: null }, details);
+        continue;
+      }
+
+      seen.add(record.id);
+      await tally(supabase, stats, run.id, record, entry, details);
+    }
+
+    // Settled on our side during the statement period, but absent from the file
+    if (periodStart && periodEnd) {
+      const [payments, withdrawals] = await Promise.all([
+        supabase.from('bin_payments').select('*').eq('status', 'success').neq('payment_mode', 'cash')
+          .gte('created_at', periodStart).lte('created_at', periodEnd),
+        supabase.from('withdrawals').select('*').eq('status', 'completed')
+          .gte('created_at', periodStart).lte('created_at', periodEnd)
+      ]);
+      if (payments.error) throw new Error(`Database error: ${payments.error.message}`);
+      if (withdrawals.error) throw new Error(`Database error: ${withdrawals.error.message}`);
+
+      const unmatched = [
+        ...(payments.data || []).map(row => toPaymentRecord('bin_payments', row)),
+        ...(withdrawals.data || []).map(row => toPaymentRecord('withdrawals', row))
+      ].filter(record => !seen.has(record.id) && record.transactionId && !record.transactionId.startsWith('stub_'));
+
+      for (const record of unmatched) {
+        await tally(supabase, stats, run.id, record, null, { file: fileName });
+      }
+    }
+
+    await finishRun(supabase, run.id, stats);
+    return { success: true, runId: run.id, ...stats };
+
+  } catch (error) {
+    console.error('[reconciliation] Settlement file failed:', error.message);
+    if (run) await finishRun(supabase, run.id, stats, error.message);
+    return { success: false, error: error.message, runId: run?.id || null };
+  }
+}
+
+/**
+ * Reconciliation items, newest first
+ *
+ * @param {Object} supabase - Service-role client
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Only this run
+ * @param {string} [options.resolution] - e.g. 'open'; all when omitted
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} { success, items }
+ */
+export async function getReconciliationReport(supabase, { runId = null, resolution = null, limit = 200 } = {}) {
+  let query = supabase
+    .from('payment_reconciliation_items')
+    .select('*, payment_reconciliation_runs(source, file_name, started_at)')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (runId) query = query.eq('run_id', runId);
+  if (resolution) query = query.eq('resolution', resolution);
+
+  const { data, error } = await query;
+  if (error) return { success: false, error: error.message, items: [] };
+  return { success: true, items: data || [] };
+}
+
+/**
+ * Settle an open item by hand
+ *
+ * @param {Object} supabase - Service-role client
+ * @param {string} itemId
+ * @param {Object} options
+ * @param {string|null} options.status - 'success' | 'failed' to give the payment; null closes the item as ignored
+ * @param {string} [options.notes]
+ * @returns {Promise<Object>} { success, applied, resolution }
+ */
+export async function resolveReconciliationItem(supabase, itemId, { status = null, notes = null } = {}) {
+  const { data: item, error: fetchError } = await supabase
+    .from('payment_reconciliation_items')
+    .select('id, payment_table')
+    .eq('id', itemId)
+    .single();
+
+  if (fetchError) return { success: false, error: fetchError.message };
+
+  const newStatus = status ? SETTLED_STATUSES[item.payment_table]?.[status] : null;
+  if (status && !newStatus) {
+    return { success: false, error: `Cannot set ${item.payment_table || 'this item'} to ${status}` };
+  }
+
+  const { data, error } = await supabase.rpc('apply_payment_reconciliation', {
+    p_item_id: itemId,
+    p_new_status: newStatus,
+    p_resolution: status ? RECONCILIATION_RESOLUTIONS.MANUALLY_RESOLVED : RECONCILIATION_RESOLUTIONS.IGNORED,
+    p_action: status ? `Marked ${newStatus} by hand` : 'Ignored',
+    p_notes: notes
+  });
+
+  if (error) return { success: false, error: error.message };
+  return { success: true, applied: data?.applied, resolution: data?.resolution };
+}
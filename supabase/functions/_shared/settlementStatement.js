@@ -0,0 +1,142 @@
+/**
+ * Settlement statement parsing
+ *
+ * Reads the CSV settlement report downloaded from the TrendiPay merchant dashboard.
+ * Column names vary between exports, so each field accepts a few header aliases
+ * (matched case-insensitively, ignoring spaces and punctuation).
+ */
+
+import { normalizeGatewayStatus } from './webhookProcessing.js';
+
+const COLUMN_ALIASES = {
+  reference: ['reference', 'merchantreference', 'externalreference', 'clientreference'],
+  transactionId: ['rrn', 'transactionid', 'transactionreference', 'gatewayreference'],
+  amount: ['amount', 'amountghs', 'transactionamount'],
+  amountPesewas: ['amountpesewas', 'amountminor'],
+  status: ['status', 'transactionstatus'],
+  type: ['type', 'transactiontype'],
+  accountNumber: ['accountnumber', 'msisdn', 'phonenumber', 'wallet'],
+  settledAt: ['date', 'settledat', 'transactiondate', 'createdat', 'timestamp']
+};
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields with commas, escaped
+ * quotes and line breaks, and CRLF line endings.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * @typedef {Object} SettlementEntry
+ * @property {number} line - Line in the file, for error messages
+ * @property {string|null} reference - Our payment id, as sent with the request
+ * @property {string|null} transactionId - Gateway rrn
+ * @property {number} amount - GHS
+ * @property {string} status - PAYMENT_STATUS value
+ * @property {string} type - 'collection' | 'disbursement'
+ * @property {string|null} accountNumber
+ * @property {string|null} settledAt - ISO timestamp
+ */
+
+/**
+ * Parse a settlement file into entries
+ * @param {string} text - CSV contents
+ * @returns {{ entries: SettlementEntry[], errors: string[] }}
+ */
+export const parseSettlementStatement = (text) => {
+  const [header, ...rows] = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) return { entries: [], errors: ['Settlement file is empty'] };
+
+  const keys = header.map(headerKey);
+  const columns = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, keys.findIndex(key => aliases.includes(key))])
+  );
+
+  if (columns.reference < 0 && columns.transactionId < 0) {
+    return { entries: [], errors: ['Settlement file needs a reference or rrn column'] };
+  }
+  if (columns.amount < 0 && columns.amountPesewas < 0) {
+    return { entries: [], errors: ['Settlement file needs an amount column'] };
+  }
+
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((values, index) => {
+    const line = index + 2;
+    const read = (field) => (columns[field] >= 0 ? (values[columns[field]] || '').trim() : '');
+
+    const amount = columns.amountPesewas >= 0
+      ? Number(read('amountPesewas')) / 100
+      : Number(read('amount').replace(/[^0-9.-]/g, ''));
+    if (!Number.isFinite(amount) || read(columns.amountPesewas >= 0 ? 'amountPesewas' : 'amount') === '') {
+      errors.push(`Line ${line}: unreadable amount`);
+      return;
+    }
+
+    const reference = read('reference') || null;
+    const transactionId = read('transactionId') || null;
+    if (!reference && !transactionId) {
+      errors.push(`Line ${line}: no reference or rrn`);
+      return;
+    }
+
+    const type = read('type').toLowerCase();
+    const settledAt = read('settledAt') ? new Date(read('settledAt')) : null;
+
+    entries.push({
+      line,
+      reference,
+      transactionId,
+      amount: Math.round(amount * 100) / 100,
+      status: normalizeGatewayStatus(read('status') || 'successful'),
+      type: ['deposit', 'disbursement', 'payout'].includes(type) ? 'disbursement' : 'collection',
+      accountNumber: read('accountNumber') || null,
+      settledAt: settledAt && !Number.isNaN(settledAt.getTime()) ? settledAt.toISOString() : null
+    });
+  });
+
+  return { entries, errors };
+};
@@ -0,0 +1,133 @@
+/**
+ * Send money to a MoMo wallet through TrendiPay, for Edge Functions that pay out
+ * server-side (scheduled-payouts, payment-disputes). The result arrives later on
+ * the trendipay-webhook callback, keyed by `reference`; transactionStatus() asks
+ * for it directly when the callback is late.
+ */
+
+const NETWORK_CODES = {
+  mtn: 'mtn',
+  vodafone: 'vodafone',
+  telecel: 'vodafone',
+  airteltigo: 'airteltigo'
+};
+
+/**
+ * The gateway answered and turned the disbursement down, so no money moved. Any
+ * other error from disburse() (network, timeout, 5xx) leaves that unknown.
+ */
+export class DisbursementRefusedError extends Error {
+  constructor(message, httpStatus = null) {
+    super(message);
+    this.name = 'DisbursementRefusedError';
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Read the TrendiPay settings every payout function needs
+ * @param {Function} getEnv - (name) => string | undefined, e.g. Deno.env.get
+ * @returns {Object}
+ */
+export const trendiPayEnv = (getEnv) => ({
+  supabaseUrl: getEnv('SUPABASE_URL') ?? '',
+  apiUrl: getEnv('TRENDIPAY_API_URL') ?? '',
+  apiKey: getEnv('TRENDIPAY_API_KEY') ?? '',
+  merchantId: getEnv('TRENDIPAY_MERCHANT_ID') ?? '',
+  terminalId: getEnv('TRENDIPAY_TERMINAL_ID') ?? ''
+});
+
+/**
+ * @param {Object} env - From trendiPayEnv
+ * @returns {boolean}
+ */
+export const isDisbursementConfigured = (env) =>
+  Boolean(env.supabaseUrl && env.apiUrl && env.apiKey && env.terminalId);
+
+/**
+ * Start a disbursement
+ *
+ * @param {Object} payout
+ * @param {string} payout.reference - Our row id; comes back on the callback
+ * @param {string} payout.accountNumber - MoMo number
+ * @param {string} [payout.network] - mtn | vodafone | telecel | airteltigo
+ * @param {number|string} payout.amount - GHS
+ * @param {string} payout.description
+ * @param {string} [payout.accountName]
+ * @param {Object} env - From trendiPayEnv
+ * @returns {Promise<Object>} Gateway transaction (rrn, externalId...)
+ * @throws {DisbursementRefusedError} When the gateway refuses the request (4xx or success: false)
+ * @throws {Error} When there's no telling whether it went out (network, timeout, 5xx)
+ */
+export const disburse = async ({ reference, accountNumber, network, amount, description, accountName }, env) => {
+  const response = await fetch(
+    `${env.apiUrl}/v1/terminals/${env.terminalId}/disbursements`,
+    {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        authorization: `Bearer ${env.apiKey}`,
+        'x-merchant-id': env.merchantId
+      },
+      body: JSON.stringify({
+        reference,
+        accountNumber,
+        rSwitch: NETWORK_CODES[(network || 'mtn').toLowerCase()] || 'mtn',
+        amount: Math.round(Number(amount) * 100), // pesewas
+        description,
+        accountName: accountName || accountNumber,
+        senderName: 'TrashDrop',
+        callbackUrl: `${env.supabaseUrl}/functions/v1/trendipay-webhook`,
+        type: 'deposit',
+        currency: 'GHS'
+      })
+    }
+  );
+
+  const body = await response.json().catch(() => ({}));
+  const data = body?.data ?? body;
+  const message = data?.message || body?.message || `Gateway returned HTTP ${response.status}`;
+  // A 408 may still have gone through; any other 4xx was turned away
+  const refused = response.status >= 400 && response.status < 500 && response.status !== 408;
+  if (refused || (response.ok && body?.success === false)) {
+    throw new DisbursementRefusedError(message, response.status);
+  }
+  if (!response.ok) {
+    throw new Error(message);
+  }
+  return data;
+};
+
+/**
+ * Gateway id to store against the row, whichever one this response carries
+ * @param {Object} data
+ * @returns {string|null}
+ */
+export const gatewayTransactionId = (data) => data?.rrn || data?.externalId || data?.transactionId || null;
+
+/**
+ * Ask TrendiPay where a transaction stands
+ *
+ * @param {string} transactionId - Gateway id stored against the row (rrn)
+ * @param {Object} env - From trendiPayEnv
+ * @returns {Promise<Object>} Gateway transaction (status, amount in pesewas, reference...)
+ * @throws {Error} When the gateway can't be asked or doesn't answer
+ */
+export const transactionStatus = async (transactionId, env) => {
+  const response = await fetch(
+    `${env.apiUrl}/v1/merchants/${env.merchantId}/transactions/${encodeURIComponent(transactionId)}/status`,
+    {
+      headers: {
+        accept: 'application/json',
+        authorization: `Bearer ${env.apiKey}`,
+        'x-merchant-id': env.merchantId
+      }
+    }
+  );
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body?.success === false) {
+    throw new Error(body?.message || `Gateway returned HTTP ${response.status}`);
+  }
+  return body?.data ?? body;
+};
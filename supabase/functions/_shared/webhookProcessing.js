@@ -0,0 +1,250 @@
+/**
+ * Payment webhook processing shared by the trendipay-* Edge Functions, the
+ * Express handlers in backend_webhooks and the app's payment providers
+ * (src/services/payments).
+ *
+ * Plain ES module on Web Crypto only, so it runs unchanged under Deno, Node 20+
+ * and the browser.
+ *
+ * A callback is accepted when:
+ *   - its X-TrendiPay-Signature is the hex HMAC-SHA256 of the raw request bytes
+ *     (compared in constant time), and
+ *   - the signed `timestamp` in the body is within the tolerance of our clock.
+ * It is then handed to process_payment_webhook() (migration 20261023090000), which
+ * records it in webhook_events under its event id and only moves a payment forward.
+ * Duplicates and stale callbacks are acknowledged with 200 so the gateway stops
+ * retrying; database errors get a 500 so it tries again later.
+ */
+
+export const SIGNATURE_HEADER = 'x-trendipay-signature';
+export const EVENT_ID_HEADER = 'x-trendipay-event-id';
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Made on first use: the settlement parser loads this module where there's no TextEncoder
+const encode = (text) => new TextEncoder().encode(text);
+
+const toBytes = (body) => {
+  if (typeof body === 'string') return encode(body);
+  if (body instanceof Uint8Array) return body;
+  if (body instanceof ArrayBuffer) return new Uint8Array(body);
+  throw new TypeError('Webhook body must be a string or bytes');
+};
+
+const readHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const value = headers[name] ?? headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value ?? null;
+};
+
+/**
+ * Hex HMAC-SHA256 of the exact bytes received
+ * @param {string} secret
+ * @param {string|Uint8Array|ArrayBuffer} body
+ * @returns {Promise<string>}
+ */
+export const signBody = async (secret, body) => {
+  const key = await globalThis.crypto.subtle.importKey(
+    'raw',
+    encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await globalThis.crypto.subtle.sign('HMAC', key, toBytes(body));
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Runs over the full length whatever the input, so timing says nothing about where they differ
+const constantTimeEqual = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < length; i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+};
+
+/**
+ * Check a signature header against the raw body
+ * @param {string} secret
+ * @param {string|Uint8Array|ArrayBuffer} rawBody - Exactly as received, before any parsing
+ * @param {string} signature - Hex digest, optionally prefixed "sha256="
+ * @returns {Promise<boolean>}
+ */
+export const verifySignature = async (secret, rawBody, signature) => {
+  if (!secret || !signature) return false;
+  const received = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+  const expected = await signBody(secret, rawBody);
+  return constantTimeEqual(received, expected);
+};
+
+/**
+ * Reject callbacks signed too long ago (or too far in the future) to be fresh
+ * @param {string|number} timestamp - ISO string, or epoch seconds/milliseconds
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch ms
+ * @param {number} [options.toleranceSeconds]
+ * @returns {{ ok: boolean, error?: string }}
+ */
+export const checkTimestamp = (timestamp, { now = Date.now(), toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) => {
+  if (timestamp === undefined || timestamp === null || timestamp === '') {
+    return { ok: false, error: 'Missing timestamp' };
+  }
+
+  let at;
+  if (typeof timestamp === 'number' || /^\d+$/.test(String(timestamp))) {
+    const value = Number(timestamp);
+    at = value < 1e12 ? value * 1000 : value;
+  } else {
+    at = Date.parse(timestamp);
+  }
+
+  if (!Number.isFinite(at)) return { ok: false, error: 'Invalid timestamp' };
+  if (Math.abs(now - at) > toleranceSeconds * 1000) {
+    return { ok: false, error: 'Timestamp outside tolerance' };
+  }
+  return { ok: true };
+};
+
+/**
+ * TrendiPay status (or code) to pending | processing | success | failed | expired
+ * @param {string} status
+ * @param {Object} [codes]
+ * @returns {string}
+ */
+export const normalizeGatewayStatus = (status, { code, responseCode } = {}) => {
+  const s = String(status || '').toLowerCase();
+
+  if (['successful', 'success', 'completed'].includes(s) || code === '000' || responseCode === '00') return 'success';
+  if (['expired', 'timeout', 'timed_out'].includes(s)) return 'expired';
+  if (['processing', 'in_progress'].includes(s)) return 'processing';
+  if (['pending', 'initiated'].includes(s) || code === '111') return 'pending';
+  return 'failed';
+};
+
+/**
+ * The provider's id for this event. Gateways that don't send one get an id built
+ * from the state change itself, which is the same on every redelivery of it.
+ * @param {Object} payload
+ * @param {Object|Headers} [headers]
+ * @returns {string|null}
+ */
+export const eventIdOf = (payload, headers) => {
+  const explicit = payload.eventId || payload.event_id || readHeader(headers, EVENT_ID_HEADER);
+  if (explicit) return String(explicit);
+
+  const reference = payload.reference || payload.externalId || payload.transactionId;
+  if (!reference) return null;
+  return [
+    reference,
+    payload.externalId || payload.transactionId || payload.rrn,
+    normalizeGatewayStatus(payload.status, payload),
+    payload.code,
+    payload.lastUpdated
+  ].filter(Boolean).join(':');
+};
+
+/**
+ * Read a callback body into the fields process_payment_webhook needs
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export const parseEvent = (payload) => {
+  const amount = Number(payload.amount);
+  const lastUpdated = payload.lastUpdated ? Date.parse(payload.lastUpdated) : NaN;
+  return {
+    reference: payload.reference ? String(payload.reference) : null,
+    status: normalizeGatewayStatus(payload.status, payload),
+    type: payload.type === 'deposit' || payload.type === 'disbursement' ? 'disbursement' : 'collection',
+    transactionId: payload.externalId || payload.transactionId || null,
+    gatewayReference: payload.rrn || null,
+    reason: payload.reason || payload.message || null,
+    // Callbacks carry pesewas
+    amount: payload.amount !== undefined && payload.amount !== null && Number.isFinite(amount) ? amount / 100 : null,
+    eventAt: Number.isFinite(lastUpdated) ? new Date(lastUpdated).toISOString() : null
+  };
+};
+
+/**
+ * Verify, record and apply one callback
+ *
+ * @param {Object} request
+ * @param {string|Uint8Array|ArrayBuffer} request.rawBody
+ * @param {Object|Headers} request.headers
+ * @param {Object} options
+ * @param {string} options.secret - Webhook signing secret
+ * @param {Function} options.rpc - (name, args) => Promise<{ data, error }>, e.g. supabase.rpc bound to a service-role client
+ * @param {string} [options.provider]
+ * @param {number} [options.toleranceSeconds]
+ * @param {number} [options.now] - Epoch ms
+ * @returns {Promise<{ status: number, body: Object, event?: Object, result?: Object }>}
+ *   status/body are the HTTP response to send; result is what the database did
+ */
+export const processWebhook = async (
+  { rawBody, headers },
+  { secret, rpc, provider = 'trendipay', toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }
+) => {
+  if (!secret) {
+    return { status: 500, body: { success: false, error: 'Webhook secret not configured' } };
+  }
+
+  if (!(await verifySignature(secret, rawBody, readHeader(headers, SIGNATURE_HEADER)))) {
+    return { status: 401, body: { success: false, error: 'Invalid signature' } };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(typeof rawBody === 'string' ? rawBody : new TextDecoder().decode(toBytes(rawBody)));
+  } catch {
+    return { status: 400, body: { success: false, error: 'Invalid JSON body' } };
+  }
+  if (!payload || typeof payload !== 'object') {
+    return { status: 400, body: { success: false, error: 'Invalid JSON body' } };
+  }
+
+  const freshness = checkTimestamp(payload.timestamp, { now, toleranceSeconds });
+  if (!freshness.ok) {
+    return { status: 401, body: { success: false, error: freshness.error } };
+  }
+
+  const event = parseEvent(payload);
+  const eventId = eventIdOf(payload, headers);
+  if (!event.reference || !eventId) {
+    return { status: 400, body: { success: false, error: 'Missing reference' } };
+  }
+
+  const { data: result, error } = await rpc('process_payment_webhook', {
+    p_provider: provider,
+    p_event_id: eventId,
+    p_reference: event.reference,
+    p_status: event.status,
+    p_event_type: event.type,
+    p_transaction_id: event.transactionId,
+    p_gateway_reference: event.gatewayReference,
+    p_reason: event.reason,
+    p_amount: event.amount,
+    p_payload: payload,
+    p_event_at: event.eventAt
+  });
+
+  if (error) {
+    return { status: 500, body: { success: false, error: 'Could not record webhook' }, event: { ...event, eventId } };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      eventId,
+      reference: event.reference,
+      duplicate: Boolean(result?.duplicate),
+      outcome: result?.outcome,
+      status: result?.new_status ?? result?.previous_status ?? null
+    },
+    event: { ...event, eventId },
+    result
+  };
+};
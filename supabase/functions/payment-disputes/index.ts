@@ -0,0 +1,140 @@
+// @ts-nocheck
+/**
+ * payment-disputes – Supabase Edge Function
+ *
+ * Support's side of the dispute flow (migration 20261024090000). Collectors
+ * raise disputes from the app; support raises, approves or rejects them here:
+ *
+ *   POST /  Authorization: Bearer <service role key | SUPPORT_API_SECRET>
+ *     { action: 'raise', binPaymentId, reason, requestedAmount, details?, refundMomo?, refundNetwork? }
+ *     { action: 'approve', disputeId, refundAmount?, notes?, resolvedBy? }
+ *     { action: 'reject', disputeId, notes?, resolvedBy? }
+ *
+ * refundMomo/refundNetwork default to the wallet the customer paid from; only
+ * support can name another one (a collector's dispute always uses the payer's).
+ *
+ * Approving sends the refund to the customer's MoMo wallet with the dispute id
+ * as reference; trendipay-webhook marks it refunded (which posts the earnings
+ * adjustment) or refund_failed, after which it can be approved again.
+ *
+ * Required Deno env secrets:
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+ *   TRENDIPAY_API_URL, TRENDIPAY_API_KEY, TRENDIPAY_MERCHANT_ID, TRENDIPAY_TERMINAL_ID
+ * Optional:
+ *   SUPPORT_API_SECRET        – lets the support tool call without the service role key
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { disburse, gatewayTransactionId, isDisbursementConfigured, trendiPayEnv } from '../_shared/trendiPayDisbursement.js';
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') {
+    return json({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  const env = {
+    ...trendiPayEnv((name) => Deno.env.get(name)),
+    serviceRoleKey: Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    supportSecret: Deno.env.get('SUPPORT_API_SECRET') ?? '',
+  };
+
+  const token = (req.headers.get('authorization') ?? '').replace(/^Bearer\s+/i, '');
+  if (!token || (token !== env.serviceRoleKey && token !== env.supportSecret)) {
+    return json({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  if (!env.supabaseUrl || !env.serviceRoleKey) {
+    return json({ success: false, error: 'Server not configured' }, 500);
+  }
+
+  let request: any;
+  try {
+    request = await req.json();
+  } catch {
+    return json({ success: false, error: 'Invalid JSON body' }, 400);
+  }
+
+  const supabase = createClient(env.supabaseUrl, env.serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  if (request.action === 'raise') {
+    const { data, error } = await supabase
+      .from('payment_disputes')
+      .insert({
+        bin_payment_id: request.binPaymentId,
+        reason: request.reason,
+        details: request.details ?? null,
+        requested_amount: request.requestedAmount,
+        refund_momo: request.refundMomo ?? null,
+        refund_network: request.refundNetwork ?? null,
+      })
+      .select()
+      .single();
+
+    if (error) return json({ success: false, error: error.message }, 400);
+    return json({ success: true, dispute: data });
+  }
+
+  if (request.action !== 'approve' && request.action !== 'reject') {
+    return json({ success: false, error: 'Unknown action' }, 400);
+  }
+
+  if (request.action === 'approve' && !isDisbursementConfigured(env)) {
+    return json({ success: false, error: 'Refunds not configured on server' }, 500);
+  }
+
+  const { data: dispute, error: resolveError } = await supabase.rpc('resolve_payment_dispute', {
+    p_dispute_id: request.disputeId,
+    p_decision: request.action,
+    p_refund_amount: request.refundAmount ?? null,
+    p_notes: request.notes ?? null,
+    p_resolved_by: request.resolvedBy ?? null,
+  });
+
+  if (resolveError) {
+    return json({ success: false, error: resolveError.message }, 400);
+  }
+
+  if (dispute.status !== 'refunding') {
+    return json({ success: true, dispute });
+  }
+
+  try {
+    const data = await disburse({
+      reference: dispute.id,
+      accountNumber: dispute.refund_momo,
+      network: dispute.refund_network,
+      amount: dispute.refund_amount,
+      description: `TrashDrop refund ${dispute.id}`,
+    }, env);
+
+    const { data: updated } = await supabase
+      .from('payment_disputes')
+      .update({ gateway_transaction_id: gatewayTransactionId(data) })
+      .eq('id', dispute.id)
+      .eq('status', 'refunding')
+      .select()
+      .maybeSingle();
+
+    return json({ success: true, dispute: updated ?? dispute });
+  } catch (err) {
+    console.error(`[payment-disputes] Refund ${dispute.id} failed:`, err.message);
+    const { data: failed } = await supabase
+      .from('payment_disputes')
+      .update({ status: 'refund_failed', gateway_error: err.message })
+      .eq('id', dispute.id)
+      .eq('status', 'refunding')
+      .select()
+      .maybeSingle();
+
+    return json({ success: false, error: err.message, dispute: failed ?? dispute }, 502);
+  }
+});
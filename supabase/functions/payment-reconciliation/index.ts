@@ -0,0 +1,119 @@
+// @ts-nocheck
+/**
+ * payment-reconciliation – Supabase Edge Function
+ *
+ * Reconciles bin_payments and withdrawals against TrendiPay. Runs, items and
+ * apply_payment_reconciliation() belong to the service role, so this is the
+ * only way in:
+ *
+ *   POST /   Authorization: Bearer <service role key | RECONCILIATION_CRON_SECRET>
+ *     {}                                             stale payment check (the timer's call)
+ *     { action: 'settlement_file', csv, fileName }   match a settlement CSV
+ *     { action: 'report', runId?, resolution? }      reconciliation items
+ *     { action: 'resolve', itemId, status?, notes? } settle an item by hand
+ *
+ * The stale check is meant to be called on a timer (pg_cron + pg_net, see the
+ * 20261020090000_create_payment_reconciliation migration).
+ *
+ * Required Deno env secrets:
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+ *   TRENDIPAY_API_URL, TRENDIPAY_API_KEY, TRENDIPAY_MERCHANT_ID
+ * Optional:
+ *   RECONCILIATION_CRON_SECRET – lets the scheduler call without the service role key
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import {
+  getReconciliationReport,
+  ingestSettlementStatement,
+  reconcileStalePayments,
+  resolveReconciliationItem,
+} from '../_shared/paymentReconciliation.js';
+import { parseEvent } from '../_shared/webhookProcessing.js';
+import { transactionStatus, trendiPayEnv } from '../_shared/trendiPayDisbursement.js';
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') {
+    return json({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  const env = {
+    ...trendiPayEnv((name) => Deno.env.get(name)),
+    serviceRoleKey: Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    cronSecret: Deno.env.get('RECONCILIATION_CRON_SECRET') ?? '',
+  };
+
+  const token = (req.headers.get('authorization') ?? '').replace(/^Bearer\s+/i, '');
+  if (!token || (token !== env.serviceRoleKey && token !== env.cronSecret)) {
+    return json({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  if (!env.supabaseUrl || !env.serviceRoleKey) {
+    console.error('[payment-reconciliation] Missing Supabase configuration');
+    return json({ success: false, error: 'Reconciliation not configured on server' }, 500);
+  }
+
+  // The timer posts no body
+  const request = await req.json().catch(() => ({}));
+  const supabase = createClient(env.supabaseUrl, env.serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  const action = request.action ?? 'stale_check';
+  let result;
+  switch (action) {
+    case 'stale_check': {
+      if (!env.apiUrl || !env.apiKey || !env.merchantId) {
+        return json({ success: false, error: 'No payment gateway configured' }, 500);
+      }
+      // Collections and disbursements share the gateway's transaction status endpoint
+      const checkStatus = async (record) => {
+        try {
+          const event = parseEvent(await transactionStatus(record.transactionId, env));
+          return { success: true, status: event.status, amount: event.amount, message: event.reason };
+        } catch (err) {
+          return { success: false, error: err.message };
+        }
+      };
+      result = await reconcileStalePayments(supabase, checkStatus, { source: 'trendipay' });
+      break;
+    }
+
+    case 'settlement_file':
+      if (typeof request.csv !== 'string' || !request.csv.trim()) {
+        return json({ success: false, error: 'Expected { csv, fileName }' }, 400);
+      }
+      result = await ingestSettlementStatement(supabase, request.csv, { fileName: request.fileName ?? null });
+      break;
+
+    case 'report':
+      result = await getReconciliationReport(supabase, {
+        runId: request.runId ?? null,
+        resolution: request.resolution ?? null,
+      });
+      break;
+
+    case 'resolve':
+      if (!request.itemId) {
+        return json({ success: false, error: 'Expected { itemId }' }, 400);
+      }
+      result = await resolveReconciliationItem(supabase, request.itemId, {
+        status: request.status ?? null,
+        notes: request.notes ?? null,
+      });
+      break;
+
+    default:
+      return json({ success: false, error: `Unknown action: ${action}` }, 400);
+  }
+
+  console.log(`[payment-reconciliation] ${action}: ${result.success ? 'done' : result.error}`, result.runId ?? '');
+  return json(result, result.success ? 200 : 500);
+});
@@ -0,0 +1,143 @@
+// @ts-nocheck
+/**
+ * payment-status – Supabase Edge Function
+ *
+ * Settles a collector's pending collection or cash remittance when its
+ * trendipay-webhook callback is late. The app used to ask the gateway and
+ * write the status itself; a remittance turning 'success' credits the
+ * collector's ledger, so that write now only happens here:
+ *
+ *   POST /  Authorization: Bearer <user's access token>
+ *     { table: 'bin_payments' | 'cash_remittances', id }
+ *
+ * The row is read with the caller's token, so they only get to check
+ * payments their own policies let them see. What the gateway answers goes
+ * through process_payment_webhook() like a callback would, which keeps
+ * the forward-only status rules and the amount check in one place.
+ *
+ * Required Deno env secrets:
+ *   SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+ *   TRENDIPAY_API_URL, TRENDIPAY_API_KEY, TRENDIPAY_MERCHANT_ID
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { parseEvent } from '../_shared/webhookProcessing.js';
+import { transactionStatus, trendiPayEnv } from '../_shared/trendiPayDisbursement.js';
+
+const TABLES = ['bin_payments', 'cash_remittances'];
+
+const CORS_HEADERS: Record<string, string> = {
+  'access-control-allow-origin': '*',
+  'access-control-allow-methods': 'POST, OPTIONS',
+  'access-control-allow-headers': 'content-type, authorization, apikey, x-client-info',
+};
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8', ...CORS_HEADERS },
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+
+  if (req.method !== 'POST') {
+    return json({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  const env = {
+    ...trendiPayEnv((name) => Deno.env.get(name)),
+    anonKey: Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+    serviceRoleKey: Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+  };
+  if (!env.supabaseUrl || !env.anonKey || !env.serviceRoleKey) {
+    return json({ success: false, error: 'Server not configured' }, 500);
+  }
+
+  const authorization = req.headers.get('authorization') ?? '';
+  if (!/^Bearer\s+\S+/i.test(authorization)) {
+    return json({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  let request: any;
+  try {
+    request = await req.json();
+  } catch {
+    return json({ success: false, error: 'Invalid JSON body' }, 400);
+  }
+  if (!TABLES.includes(request.table) || !request.id) {
+    return json({ success: false, error: 'Expected { table, id }' }, 400);
+  }
+
+  const asCaller = createClient(env.supabaseUrl, env.anonKey, {
+    auth: { persistSession: false },
+    global: { headers: { Authorization: authorization } },
+  });
+
+  const { data: row, error: rowError } = await asCaller
+    .from(request.table)
+    .select('*')
+    .eq('id', request.id)
+    .maybeSingle();
+
+  if (rowError) {
+    return json({ success: false, error: rowError.message }, 400);
+  }
+  if (!row) {
+    return json({ success: false, error: 'Payment not found' }, 404);
+  }
+
+  // Settled already, or nothing the gateway could be asked about yet
+  if (row.status !== 'pending' || !row.gateway_transaction_id || !env.apiUrl || !env.apiKey) {
+    return json({ success: true, status: row.status, payment: row });
+  }
+
+  let gateway: any;
+  try {
+    gateway = await transactionStatus(row.gateway_transaction_id, env);
+  } catch (err) {
+    console.warn(`[payment-status] Gateway check for ${request.table} ${row.id} failed:`, err.message);
+    return json({ success: true, status: row.status, payment: row });
+  }
+
+  const event = parseEvent(gateway);
+  if (event.status === 'pending' || event.status === 'processing') {
+    return json({ success: true, status: row.status, payment: row });
+  }
+
+  const supabase = createClient(env.supabaseUrl, env.serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  // The same answer always gets the same id, so repeated checks are recorded once
+  const { data: result, error } = await supabase.rpc('process_payment_webhook', {
+    p_provider: 'trendipay',
+    p_event_id: `status-check:${row.gateway_transaction_id}:${event.status}`,
+    p_reference: row.id,
+    p_status: event.status,
+    p_event_type: 'collection',
+    p_transaction_id: event.transactionId ?? row.gateway_transaction_id,
+    p_gateway_reference: event.gatewayReference,
+    p_reason: event.reason,
+    p_amount: event.amount,
+    p_payload: gateway,
+    p_event_at: event.eventAt,
+  });
+
+  if (error) {
+    console.error(`[payment-status] Could not apply ${event.status} to ${request.table} ${row.id}:`, error.message);
+    return json({ success: false, error: 'Could not record payment status' }, 500);
+  }
+
+  const { data: updated } = await asCaller
+    .from(request.table)
+    .select('*')
+    .eq('id', row.id)
+    .maybeSingle();
+
+  console.log(`[payment-status] ${request.table} ${row.id}: gateway ${event.status} → ${result?.outcome}`);
+  return json({ success: true, status: updated?.status ?? row.status, payment: updated ?? row });
+});
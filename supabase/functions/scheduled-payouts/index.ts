@@ -0,0 +1,129 @@
+// @ts-nocheck
+/**
+ * scheduled-payouts – Supabase Edge Function
+ *
+ * Runs the automatic payout batch: run_scheduled_payouts() picks the
+ * collectors whose daily/weekly schedule is due and whose balance is over
+ * their threshold, creates one withdrawal each, and this function sends
+ * each of them to TrendiPay as a disbursement.
+ *
+ * Only a refusal from the gateway fails a withdrawal (which hands the money
+ * back to the collector's balance). When there's no telling whether the
+ * disbursement went out, it stays 'processing' for the trendipay-webhook
+ * callback or reconciliation to settle, so it can't be paid twice.
+ *
+ * Meant to be called on a timer (pg_cron + pg_net, see the
+ * 20261021090000_scheduled_payouts migration), not from the app:
+ *   POST /   Authorization: Bearer <service role key | PAYOUT_CRON_SECRET>
+ *
+ * Required Deno env secrets (set via `supabase secrets set`):
+ *   SUPABASE_URL              – project URL (auto-available)
+ *   SUPABASE_SERVICE_ROLE_KEY – service role key for DB writes
+ *   TRENDIPAY_API_URL         – e.g. https://api.trendipay.com
+ *   TRENDIPAY_API_KEY         – Bearer token
+ *   TRENDIPAY_MERCHANT_ID     – X-Merchant-ID header value
+ *   TRENDIPAY_TERMINAL_ID     – terminal the disbursements go out from
+ * Optional:
+ *   PAYOUT_CRON_SECRET        – lets the scheduler call without the service role key
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { DisbursementRefusedError, disburse, gatewayTransactionId, isDisbursementConfigured, trendiPayEnv } from '../_shared/trendiPayDisbursement.js';
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') {
+    return json({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  const env = {
+    ...trendiPayEnv((name) => Deno.env.get(name)),
+    serviceRoleKey: Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    cronSecret: Deno.env.get('PAYOUT_CRON_SECRET') ?? '',
+  };
+
+  const token = (req.headers.get('authorization') ?? '').replace(/^Bearer\s+/i, '');
+  if (!token || (token !== env.serviceRoleKey && token !== env.cronSecret)) {
+    return json({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  if (!env.serviceRoleKey || !isDisbursementConfigured(env)) {
+    console.error('[scheduled-payouts] Missing Supabase or TrendiPay configuration');
+    return json({ success: false, error: 'Payouts not configured on server' }, 500);
+  }
+
+  const supabase = createClient(env.supabaseUrl, env.serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  const { data: batch, error: batchError } = await supabase.rpc('run_scheduled_payouts');
+  if (batchError) {
+    console.error('[scheduled-payouts] Batch failed:', batchError.message);
+    return json({ success: false, error: batchError.message }, 500);
+  }
+
+  let disbursed = 0;
+  let failed = 0;
+  let unconfirmed = 0;
+
+  const updateWithdrawal = async (id: string, fields: Record<string, unknown>) => {
+    const { error } = await supabase.from('withdrawals').update(fields).eq('id', id);
+    if (error) {
+      console.error(`[scheduled-payouts] Could not update withdrawal ${id}:`, error.message);
+    }
+  };
+
+  // One at a time: the gateway rate-limits per terminal and batches are small
+  for (const withdrawal of batch.withdrawals ?? []) {
+    try {
+      const data = await disburse({
+        reference: withdrawal.withdrawal_id,
+        accountNumber: withdrawal.momo_number,
+        network: withdrawal.momo_provider,
+        amount: withdrawal.amount,
+        description: `TrashDrop scheduled payout ${withdrawal.withdrawal_id}`,
+        accountName: withdrawal.account_name,
+      }, env);
+      await updateWithdrawal(withdrawal.withdrawal_id, {
+        status: 'processing',
+        gateway_transaction_id: gatewayTransactionId(data),
+        gateway_response: data,
+      });
+      disbursed++;
+    } catch (err) {
+      if (err instanceof DisbursementRefusedError) {
+        console.error(`[scheduled-payouts] Withdrawal ${withdrawal.withdrawal_id} refused:`, err.message);
+        // Failing the withdrawal reverses its ledger debit, so the money is back for the next run
+        await updateWithdrawal(withdrawal.withdrawal_id, { status: 'failed', gateway_error: err.message });
+        failed++;
+      } else {
+        // The money may have gone out; the callback or reconciliation settles it, keyed by our reference
+        console.error(`[scheduled-payouts] Withdrawal ${withdrawal.withdrawal_id} unconfirmed:`, err.message);
+        await updateWithdrawal(withdrawal.withdrawal_id, { status: 'processing', gateway_error: err.message });
+        unconfirmed++;
+      }
+    }
+  }
+
+  const total = (batch.withdrawals ?? []).length;
+  const { error: finishError } = await supabase
+    .from('payout_batches')
+    .update({
+      status: total > 0 && failed === total ? 'failed' : 'completed',
+      disbursed_count: disbursed,
+      failed_count: failed,
+      finished_at: new Date().toISOString(),
+    })
+    .eq('id', batch.batch_id);
+  if (finishError) {
+    console.error(`[scheduled-payouts] Could not close batch ${batch.batch_id}:`, finishError.message);
+  }
+
+  return json({ success: true, batchId: batch.batch_id, withdrawals: total, disbursed, failed, unconfirmed });
+});
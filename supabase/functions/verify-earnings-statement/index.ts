@@ -0,0 +1,63 @@
+// @ts-nocheck
+/**
+ * verify-earnings-statement – Supabase Edge Function
+ *
+ * Lets a bank, landlord or tax officer check an earnings statement a
+ * collector handed them (migration 20261026090000). The PDF prints the
+ * code and this URL:
+ *   GET /?code=TDS-XXXX-XXXX-XXXX
+ *
+ * Returns the collector's name, masked phone, the statement period and the
+ * totals the server worked out when it was issued; 404 when no statement
+ * has that code. No auth – the code is the secret.
+ *
+ * Required Deno env secrets:
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const CODE_PATTERN = /^TDS-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/;
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'content-type': 'application/json; charset=utf-8',
+      'access-control-allow-origin': '*',
+      'cache-control': 'no-store',
+    },
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'GET') {
+    return json({ valid: false, error: 'Method not allowed' }, 405);
+  }
+
+  const code = (new URL(req.url).searchParams.get('code') ?? '').trim().toUpperCase();
+  if (!CODE_PATTERN.test(code)) {
+    return json({ valid: false, error: 'Expected a code like TDS-1A2B-3C4D-5E6F' }, 400);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+  if (!supabaseUrl || !serviceRoleKey) {
+    return json({ valid: false, error: 'Server not configured' }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  const { data, error } = await supabase.rpc('verify_earnings_statement', { p_code: code });
+  if (error) {
+    console.error('[verify-earnings-statement] Lookup failed:', error.message);
+    return json({ valid: false, error: 'Lookup failed' }, 500);
+  }
+  if (!data) {
+    return json({ valid: false, error: 'No statement was issued with this code' }, 404);
+  }
+
+  return json({ valid: true, statement: data });
+});
@@ -0,0 +1,127 @@
+-- ============================================================
+-- Migration: offline action receipts + apply_offline_action RPC
+-- Date: 2026-10-19
+-- Purpose:
+--   Drivers queue status changes while offline and replay them on
+--   reconnect. A replay can reach the server more than once (lost
+--   response, app reload mid-sync), and the row can change while the
+--   action sits in the queue (e.g. the request is cancelled).
+--   1. offline_action_receipts stores one row per client-generated
+--      idempotency key so a replayed action is applied at most once.
+--   2. apply_offline_action applies a queued status change only when
+--      the row is still in the status the client expected, otherwise
+--      it reports a conflict without touching the row.
+-- ============================================================
+
+-- 1. Receipts table
+CREATE TABLE IF NOT EXISTS offline_action_receipts (
+  idempotency_key uuid        NOT NULL,
+  collector_id    uuid        DEFAULT auth.uid(),
+  action_type     text        NOT NULL,
+  entity_type     text        NOT NULL CHECK (entity_type IN ('pickup_request', 'digital_bin', 'assignment')),
+  entity_id       text        NOT NULL,
+  result          jsonb       NOT NULL,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT offline_action_receipts_pkey PRIMARY KEY (idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_action_receipts_entity
+  ON offline_action_receipts(entity_type, entity_id);
+
+ALTER TABLE offline_action_receipts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors read own offline receipts" ON offline_action_receipts;
+CREATE POLICY "Collectors read own offline receipts" ON offline_action_receipts
+  FOR SELECT USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors insert own offline receipts" ON offline_action_receipts;
+CREATE POLICY "Collectors insert own offline receipts" ON offline_action_receipts
+  FOR INSERT WITH CHECK (collector_id = auth.uid());
+
+GRANT SELECT, INSERT ON offline_action_receipts TO authenticated;
+
+-- ============================================================
+-- 2. apply_offline_action
+--    Runs as the caller (SECURITY INVOKER) so the same RLS policies
+--    that guard direct updates from the app still apply.
+--    Returns jsonb: { outcome: applied | already_applied | duplicate | conflict,
+--                     current_status, reason }
+-- ============================================================
+CREATE OR REPLACE FUNCTION apply_offline_action(
+  p_idempotency_key uuid,
+  p_action_type     text,
+  p_entity_type     text,
+  p_entity_id       text,
+  p_expected_status text,
+  p_new_status      text,
+  p_fields          jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_table   text;
+  v_current text;
+  v_set     text;
+  v_fields  jsonb;
+  v_result  jsonb;
+BEGIN
+  -- Replayed action: return the original outcome
+  SELECT result INTO v_result
+  FROM offline_action_receipts
+  WHERE idempotency_key = p_idempotency_key;
+
+  IF FOUND THEN
+    RETURN v_result || jsonb_build_object('outcome', 'duplicate');
+  END IF;
+
+  v_table := CASE p_entity_type
+    WHEN 'pickup_request' THEN 'pickup_requests'
+    WHEN 'digital_bin'    THEN 'digital_bins'
+    WHEN 'assignment'     THEN 'illegal_dumping_mobile'
+  END;
+
+  IF v_table IS NULL THEN
+    RAISE EXCEPTION 'Unsupported entity type: %', p_entity_type;
+  END IF;
+
+  EXECUTE format('SELECT status::text FROM %I WHERE id::text = $1 FOR UPDATE', v_table)
+    INTO v_current
+    USING p_entity_id;
+
+  IF v_current IS NULL THEN
+    RETURN jsonb_build_object('outcome', 'conflict', 'reason', 'not_found');
+  END IF;
+
+  IF v_current = p_new_status THEN
+    v_result := jsonb_build_object('outcome', 'already_applied', 'current_status', v_current);
+  ELSIF p_expected_status IS NOT NULL AND v_current <> p_expected_status THEN
+    -- Not recorded as a receipt: the driver may retry once the conflict is resolved
+    RETURN jsonb_build_object('outcome', 'conflict', 'reason', 'status_changed', 'current_status', v_current);
+  ELSE
+    -- Status travels through the record too so enum-typed columns are cast correctly
+    v_fields := COALESCE(p_fields, '{}'::jsonb) || jsonb_build_object('status', p_new_status);
+
+    SELECT string_agg(format('%I = r.%I', key, key), ', ')
+      INTO v_set
+      FROM jsonb_object_keys(v_fields) AS key
+      WHERE key <> 'id';
+
+    EXECUTE format(
+      'UPDATE %I t SET %s FROM jsonb_populate_record(NULL::%I, $1) r WHERE t.id::text = $2',
+      v_table,
+      v_set,
+      v_table
+    ) USING v_fields, p_entity_id;
+
+    v_result := jsonb_build_object('outcome', 'applied', 'current_status', p_new_status);
+  END IF;
+
+  INSERT INTO offline_action_receipts (idempotency_key, action_type, entity_type, entity_id, result)
+  VALUES (p_idempotency_key, p_action_type, p_entity_type, p_entity_id, v_result);
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_offline_action(uuid, text, text, text, text, text, jsonb) TO authenticated;
@@ -0,0 +1,156 @@
+-- ============================================================
+-- Migration: job_status_events + event capture in apply_offline_action
+-- Date: 2026-10-19
+-- Purpose:
+--   Pickup lifecycle changes (accept, en_route, arrived, collecting,
+--   completed, disposed) can now be made offline and replayed later.
+--   1. job_status_events records every status change with the time
+--      and GPS fix captured on the device when the driver acted,
+--      next to the time the server received it.
+--   2. apply_offline_action accepts the captured time and fix, writes
+--      the event, and only writes columns that exist on the target
+--      table (pickup_requests / digital_bins / illegal_dumping_mobile
+--      have different timestamp columns).
+-- ============================================================
+
+-- 1. Events table
+CREATE TABLE IF NOT EXISTS job_status_events (
+  id              uuid        NOT NULL DEFAULT gen_random_uuid(),
+  entity_type     text        NOT NULL CHECK (entity_type IN ('pickup_request', 'digital_bin', 'assignment')),
+  entity_id       text        NOT NULL,
+  from_status     text,
+  to_status       text        NOT NULL,
+  actor_id        uuid        DEFAULT auth.uid(),
+  occurred_at     timestamptz NOT NULL DEFAULT now(),  -- device time of the driver's action
+  recorded_at     timestamptz NOT NULL DEFAULT now(),  -- server time the change was applied
+  latitude        double precision,
+  longitude       double precision,
+  accuracy_m      double precision,
+  source          text        NOT NULL DEFAULT 'online' CHECK (source IN ('online', 'offline_replay', 'server')),
+  idempotency_key uuid,
+  CONSTRAINT job_status_events_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_status_events_entity
+  ON job_status_events(entity_type, entity_id, occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_job_status_events_actor
+  ON job_status_events(actor_id, occurred_at DESC);
+
+ALTER TABLE job_status_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors read own status events" ON job_status_events;
+CREATE POLICY "Collectors read own status events" ON job_status_events
+  FOR SELECT USING (actor_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors insert own status events" ON job_status_events;
+CREATE POLICY "Collectors insert own status events" ON job_status_events
+  FOR INSERT WITH CHECK (actor_id = auth.uid());
+
+GRANT SELECT, INSERT ON job_status_events TO authenticated;
+
+-- ============================================================
+-- 2. apply_offline_action with captured time and fix
+-- ============================================================
+DROP FUNCTION IF EXISTS apply_offline_action(uuid, text, text, text, text, text, jsonb);
+
+CREATE OR REPLACE FUNCTION apply_offline_action(
+  p_idempotency_key uuid,
+  p_action_type     text,
+  p_entity_type     text,
+  p_entity_id       text,
+  p_expected_status text,
+  p_new_status      text,
+  p_fields          jsonb            DEFAULT '{}'::jsonb,
+  p_occurred_at     timestamptz      DEFAULT NULL,
+  p_latitude        double precision DEFAULT NULL,
+  p_longitude       double precision DEFAULT NULL,
+  p_accuracy_m      double precision DEFAULT NULL,
+  p_source          text             DEFAULT 'online'
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_table   text;
+  v_current text;
+  v_set     text;
+  v_fields  jsonb;
+  v_result  jsonb;
+BEGIN
+  -- Replayed action: return the original outcome
+  SELECT result INTO v_result
+  FROM offline_action_receipts
+  WHERE idempotency_key = p_idempotency_key;
+
+  IF FOUND THEN
+    RETURN v_result || jsonb_build_object('outcome', 'duplicate');
+  END IF;
+
+  v_table := CASE p_entity_type
+    WHEN 'pickup_request' THEN 'pickup_requests'
+    WHEN 'digital_bin'    THEN 'digital_bins'
+    WHEN 'assignment'     THEN 'illegal_dumping_mobile'
+  END;
+
+  IF v_table IS NULL THEN
+    RAISE EXCEPTION 'Unsupported entity type: %', p_entity_type;
+  END IF;
+
+  EXECUTE format('SELECT status::text FROM %I WHERE id::text = $1 FOR UPDATE', v_table)
+    INTO v_current
+    USING p_entity_id;
+
+  IF v_current IS NULL THEN
+    RETURN jsonb_build_object('outcome', 'conflict', 'reason', 'not_found');
+  END IF;
+
+  IF v_current = p_new_status THEN
+    v_result := jsonb_build_object('outcome', 'already_applied', 'current_status', v_current);
+  ELSIF p_expected_status IS NOT NULL AND v_current <> p_expected_status THEN
+    -- Not recorded as a receipt: the driver may retry once the conflict is resolved
+    RETURN jsonb_build_object('outcome', 'conflict', 'reason', 'status_changed', 'current_status', v_current);
+  ELSE
+    -- Status travels through the record too so enum-typed columns are cast correctly
+    v_fields := COALESCE(p_fields, '{}'::jsonb) || jsonb_build_object('status', p_new_status);
+
+    SELECT string_agg(format('%I = r.%I', key, key), ', ')
+      INTO v_set
+      FROM jsonb_object_keys(v_fields) AS key
+      WHERE key <> 'id'
+        AND EXISTS (
+          SELECT 1 FROM information_schema.columns c
+          WHERE c.table_schema = 'public'
+            AND c.table_name = v_table
+            AND c.column_name = key
+        );
+
+    EXECUTE format(
+      'UPDATE %I t SET %s FROM jsonb_populate_record(NULL::%I, $1) r WHERE t.id::text = $2',
+      v_table,
+      v_set,
+      v_table
+    ) USING v_fields, p_entity_id;
+
+    INSERT INTO job_status_events (
+      entity_type, entity_id, from_status, to_status,
+      occurred_at, latitude, longitude, accuracy_m, source, idempotency_key
+    ) VALUES (
+      p_entity_type, p_entity_id, v_current, p_new_status,
+      COALESCE(p_occurred_at, now()), p_latitude, p_longitude, p_accuracy_m,
+      COALESCE(p_source, 'online'), p_idempotency_key
+    );
+
+    v_result := jsonb_build_object('outcome', 'applied', 'current_status', p_new_status);
+  END IF;
+
+  INSERT INTO offline_action_receipts (idempotency_key, action_type, entity_type, entity_id, result)
+  VALUES (p_idempotency_key, p_action_type, p_entity_type, p_entity_id, v_result);
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_offline_action(
+  uuid, text, text, text, text, text, jsonb, timestamptz, double precision, double precision, double precision, text
+) TO authenticated;
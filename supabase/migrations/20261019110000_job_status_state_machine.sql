@@ -0,0 +1,403 @@
+-- ============================================================
+-- Migration: Server-authoritative job status state machine
+-- Date: 2026-10-19
+-- Purpose:
+--   Status strings for pickup_requests and digital_bins are written
+--   from several places in the app. The only guard so far was the
+--   one-off scripts/fix-digital-bins-status-transition-trigger.sql.
+--
+--   1. job_status_transitions holds the allowed transitions in one
+--      table (mirrored by src/utils/statusTransitions.js).
+--   2. enforce_job_status_transition() rejects any other transition
+--      with SQLSTATE PT409, which PostgREST returns as HTTP 409 with
+--      code 'PT409' so the app can show a typed error.
+--   3. record_job_status_event() writes a job_status_events row for
+--      every status change, whichever path made it.
+--   4. transition_job_status() is the RPC the app uses to change a
+--      status together with the actor's time and GPS fix.
+--   5. apply_offline_action() now delegates to transition_job_status().
+--
+-- A job held by one collector can't be accepted by another: the
+-- accept is a conflict with reason 'taken', and a replayed change
+-- only counts as already applied for the collector who holds the job.
+-- ============================================================
+
+-- 1. Transition table
+CREATE TABLE IF NOT EXISTS job_status_transitions (
+  entity_type text NOT NULL CHECK (entity_type IN ('pickup_request', 'digital_bin')),
+  from_status text NOT NULL,
+  to_status   text NOT NULL,
+  CONSTRAINT job_status_transitions_pkey PRIMARY KEY (entity_type, from_status, to_status)
+);
+
+ALTER TABLE job_status_transitions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read status transitions" ON job_status_transitions;
+CREATE POLICY "Anyone can read status transitions" ON job_status_transitions
+  FOR SELECT USING (true);
+
+GRANT SELECT ON job_status_transitions TO authenticated;
+
+INSERT INTO job_status_transitions (entity_type, from_status, to_status)
+SELECT e.entity_type, t.from_status, t.to_status
+FROM (VALUES ('pickup_request'), ('digital_bin')) AS e(entity_type)
+CROSS JOIN (VALUES
+  ('pending',    'accepted'),
+  ('pending',    'cancelled'),
+  ('pending',    'expired'),
+  ('accepted',   'en_route'),
+  ('accepted',   'arrived'),
+  ('accepted',   'collecting'),
+  ('accepted',   'cancelled'),
+  ('accepted',   'expired'),
+  ('accepted',   'pending'),   -- assignment released or timed out
+  ('en_route',   'arrived'),
+  ('en_route',   'collecting'),
+  ('en_route',   'cancelled'),
+  ('en_route',   'expired'),
+  ('en_route',   'pending'),
+  ('arrived',    'collecting'),
+  ('arrived',    'completed'),
+  ('arrived',    'disposed'),
+  ('arrived',    'cancelled'),
+  ('arrived',    'pending'),
+  ('collecting', 'completed'),
+  ('collecting', 'disposed'),
+  ('collecting', 'cancelled'),
+  ('completed',  'disposed')
+) AS t(from_status, to_status)
+ON CONFLICT DO NOTHING;
+
+-- Legacy spellings still present in older rows
+CREATE OR REPLACE FUNCTION normalize_job_status(p_status text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_status
+    WHEN 'available' THEN 'pending'
+    WHEN 'picked_up' THEN 'collecting'
+    WHEN 'canceled'  THEN 'cancelled'
+    ELSE p_status
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION is_job_status_transition_allowed(
+  p_entity_type text,
+  p_from_status text,
+  p_to_status   text
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT normalize_job_status(p_from_status) = normalize_job_status(p_to_status)
+    OR EXISTS (
+      SELECT 1 FROM job_status_transitions
+      WHERE entity_type = p_entity_type
+        AND from_status = normalize_job_status(p_from_status)
+        AND to_status   = normalize_job_status(p_to_status)
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION is_job_status_transition_allowed(text, text, text) TO authenticated;
+
+-- ============================================================
+-- 2. Enforcement trigger (replaces validate_*_status_transition)
+-- ============================================================
+DROP TRIGGER IF EXISTS validate_digital_bin_status ON digital_bins;
+DROP TRIGGER IF EXISTS validate_pickup_request_status ON pickup_requests;
+DROP FUNCTION IF EXISTS validate_digital_bin_status_transition();
+DROP FUNCTION IF EXISTS validate_pickup_request_status_transition();
+
+CREATE OR REPLACE FUNCTION enforce_job_status_transition()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status::text IS NOT DISTINCT FROM OLD.status::text THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT is_job_status_transition_allowed(TG_ARGV[0], OLD.status::text, NEW.status::text) THEN
+    RAISE EXCEPTION 'Invalid status transition from % to %', OLD.status, NEW.status
+      USING ERRCODE = 'PT409',
+            DETAIL  = json_build_object(
+                        'entity_type', TG_ARGV[0],
+                        'from_status', OLD.status,
+                        'to_status',   NEW.status
+                      )::text,
+            HINT    = 'invalid_status_transition';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_pickup_request_status ON pickup_requests;
+CREATE TRIGGER enforce_pickup_request_status
+  BEFORE UPDATE OF status ON pickup_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_job_status_transition('pickup_request');
+
+DROP TRIGGER IF EXISTS enforce_digital_bin_status ON digital_bins;
+CREATE TRIGGER enforce_digital_bin_status
+  BEFORE UPDATE OF status ON digital_bins
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_job_status_transition('digital_bin');
+
+-- ============================================================
+-- 3. Audit trigger
+-- Time, fix and source come from transaction-local settings that
+-- transition_job_status() sets; plain UPDATEs are still recorded,
+-- just without coordinates.
+-- ============================================================
+CREATE OR REPLACE FUNCTION record_job_status_event()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status::text IS NOT DISTINCT FROM OLD.status::text THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO job_status_events (
+    entity_type, entity_id, from_status, to_status, actor_id,
+    occurred_at, latitude, longitude, accuracy_m, source, idempotency_key
+  ) VALUES (
+    TG_ARGV[0],
+    NEW.id::text,
+    OLD.status::text,
+    NEW.status::text,
+    auth.uid(),
+    COALESCE(NULLIF(current_setting('trashdrop.status_occurred_at', true), '')::timestamptz, now()),
+    NULLIF(current_setting('trashdrop.status_latitude', true), '')::double precision,
+    NULLIF(current_setting('trashdrop.status_longitude', true), '')::double precision,
+    NULLIF(current_setting('trashdrop.status_accuracy_m', true), '')::double precision,
+    COALESCE(
+      NULLIF(current_setting('trashdrop.status_source', true), ''),
+      CASE WHEN auth.uid() IS NULL THEN 'server' ELSE 'online' END
+    ),
+    NULLIF(current_setting('trashdrop.status_idempotency_key', true), '')::uuid
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_pickup_request_status_event ON pickup_requests;
+CREATE TRIGGER record_pickup_request_status_event
+  AFTER UPDATE OF status ON pickup_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION record_job_status_event('pickup_request');
+
+DROP TRIGGER IF EXISTS record_digital_bin_status_event ON digital_bins;
+CREATE TRIGGER record_digital_bin_status_event
+  AFTER UPDATE OF status ON digital_bins
+  FOR EACH ROW
+  EXECUTE FUNCTION record_job_status_event('digital_bin');
+
+-- Assignments keep their own status set, but their history goes to the same table
+DROP TRIGGER IF EXISTS record_assignment_status_event ON illegal_dumping_mobile;
+CREATE TRIGGER record_assignment_status_event
+  AFTER UPDATE OF status ON illegal_dumping_mobile
+  FOR EACH ROW
+  EXECUTE FUNCTION record_job_status_event('assignment');
+
+-- ============================================================
+-- 4. transition_job_status RPC
+-- ============================================================
+CREATE OR REPLACE FUNCTION transition_job_status(
+  p_entity_type     text,
+  p_entity_id       text,
+  p_to_status       text,
+  p_expected_status text             DEFAULT NULL,
+  p_fields          jsonb            DEFAULT '{}'::jsonb,
+  p_occurred_at     timestamptz      DEFAULT NULL,
+  p_latitude        double precision DEFAULT NULL,
+  p_longitude       double precision DEFAULT NULL,
+  p_accuracy_m      double precision DEFAULT NULL,
+  p_source          text             DEFAULT 'online',
+  p_idempotency_key uuid             DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_table   text;
+  v_current text;
+  v_owner   text;
+  v_set     text;
+  v_fields  jsonb;
+BEGIN
+  v_table := CASE p_entity_type
+    WHEN 'pickup_request' THEN 'pickup_requests'
+    WHEN 'digital_bin'    THEN 'digital_bins'
+    WHEN 'assignment'     THEN 'illegal_dumping_mobile'
+  END;
+
+  IF v_table IS NULL THEN
+    RAISE EXCEPTION 'Unsupported entity type: %', p_entity_type;
+  END IF;
+
+  EXECUTE format('SELECT status::text, to_jsonb(t)->>''collector_id'' FROM %I t WHERE id::text = $1 FOR UPDATE', v_table)
+    INTO v_current, v_owner
+    USING p_entity_id;
+
+  IF v_current IS NULL THEN
+    RETURN jsonb_build_object('outcome', 'conflict', 'reason', 'not_found');
+  END IF;
+
+  -- Held by someone else: accepting it again would take it from them
+  IF normalize_job_status(p_to_status) = 'accepted'
+     AND normalize_job_status(v_current) <> 'pending'
+     AND v_owner IS NOT NULL
+     AND auth.uid() IS NOT NULL
+     AND v_owner <> auth.uid()::text THEN
+    RETURN jsonb_build_object(
+      'outcome', 'conflict',
+      'reason', 'taken',
+      'from_status', v_current,
+      'current_status', v_current
+    );
+  END IF;
+
+  -- Checked before "already applied" so two collectors accepting the same job can't both win
+  IF p_expected_status IS NOT NULL
+     AND normalize_job_status(v_current) <> normalize_job_status(p_expected_status) THEN
+    RETURN jsonb_build_object(
+      'outcome', 'conflict',
+      'reason', 'status_changed',
+      'from_status', v_current,
+      'current_status', v_current
+    );
+  END IF;
+
+  IF normalize_job_status(v_current) = normalize_job_status(p_to_status) THEN
+    RETURN jsonb_build_object('outcome', 'already_applied', 'from_status', v_current, 'current_status', v_current);
+  END IF;
+
+  IF p_entity_type <> 'assignment'
+     AND NOT is_job_status_transition_allowed(p_entity_type, v_current, p_to_status) THEN
+    RETURN jsonb_build_object(
+      'outcome', 'rejected',
+      'reason', 'invalid_transition',
+      'from_status', v_current,
+      'current_status', v_current
+    );
+  END IF;
+
+  -- Picked up by record_job_status_event() for this transaction only
+  PERFORM set_config('trashdrop.status_occurred_at', COALESCE(p_occurred_at, now())::text, true);
+  PERFORM set_config('trashdrop.status_latitude', COALESCE(p_latitude::text, ''), true);
+  PERFORM set_config('trashdrop.status_longitude', COALESCE(p_longitude::text, ''), true);
+  PERFORM set_config('trashdrop.status_accuracy_m', COALESCE(p_accuracy_m::text, ''), true);
+  PERFORM set_config('trashdrop.status_source', COALESCE(p_source, 'online'), true);
+  PERFORM set_config('trashdrop.status_idempotency_key', COALESCE(p_idempotency_key::text, ''), true);
+
+  -- Status travels through the record too so enum-typed columns are cast correctly
+  v_fields := COALESCE(p_fields, '{}'::jsonb) || jsonb_build_object('status', p_to_status);
+
+  SELECT string_agg(format('%I = r.%I', key, key), ', ')
+    INTO v_set
+    FROM jsonb_object_keys(v_fields) AS key
+    WHERE key <> 'id'
+      AND EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = v_table
+          AND c.column_name = key
+      );
+
+  EXECUTE format(
+    'UPDATE %I t SET %s FROM jsonb_populate_record(NULL::%I, $1) r WHERE t.id::text = $2',
+    v_table,
+    v_set,
+    v_table
+  ) USING v_fields, p_entity_id;
+
+  RETURN jsonb_build_object('outcome', 'applied', 'from_status', v_current, 'current_status', p_to_status);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION transition_job_status(
+  text, text, text, text, jsonb, timestamptz, double precision, double precision, double precision, text, uuid
+) TO authenticated;
+
+-- ============================================================
+-- 5. apply_offline_action on top of transition_job_status
+-- ============================================================
+CREATE OR REPLACE FUNCTION apply_offline_action(
+  p_idempotency_key uuid,
+  p_action_type     text,
+  p_entity_type     text,
+  p_entity_id       text,
+  p_expected_status text,
+  p_new_status      text,
+  p_fields          jsonb            DEFAULT '{}'::jsonb,
+  p_occurred_at     timestamptz      DEFAULT NULL,
+  p_latitude        double precision DEFAULT NULL,
+  p_longitude       double precision DEFAULT NULL,
+  p_accuracy_m      double precision DEFAULT NULL,
+  p_source          text             DEFAULT 'online'
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_table   text;
+  v_current text;
+  v_owner   text;
+  v_result  jsonb;
+BEGIN
+  -- Replayed action: return the original outcome
+  SELECT result INTO v_result
+  FROM offline_action_receipts
+  WHERE idempotency_key = p_idempotency_key;
+
+  IF FOUND THEN
+    RETURN v_result || jsonb_build_object('outcome', 'duplicate');
+  END IF;
+
+  v_table := CASE p_entity_type
+    WHEN 'pickup_request' THEN 'pickup_requests'
+    WHEN 'digital_bin'    THEN 'digital_bins'
+    WHEN 'assignment'     THEN 'illegal_dumping_mobile'
+  END;
+
+  IF v_table IS NULL THEN
+    RAISE EXCEPTION 'Unsupported entity type: %', p_entity_type;
+  END IF;
+
+  -- A queued change the server already reached some other way is not a conflict, as
+  -- long as it was this collector's job; anyone else goes through the expected-status
+  -- and ownership checks in transition_job_status(). Assignments are held through
+  -- collector_profiles rather than collector_id and are never accepted here.
+  EXECUTE format('SELECT status::text, to_jsonb(t)->>''collector_id'' FROM %I t WHERE id::text = $1 FOR UPDATE', v_table)
+    INTO v_current, v_owner
+    USING p_entity_id;
+
+  IF v_current IS NOT NULL
+     AND normalize_job_status(v_current) = normalize_job_status(p_new_status)
+     AND (p_entity_type = 'assignment' OR v_owner = auth.uid()::text) THEN
+    v_result := jsonb_build_object('outcome', 'already_applied', 'current_status', v_current);
+  ELSE
+    v_result := transition_job_status(
+      p_entity_type, p_entity_id, p_new_status, p_expected_status, p_fields,
+      p_occurred_at, p_latitude, p_longitude, p_accuracy_m, p_source, p_idempotency_key
+    );
+
+    -- Not recorded as a receipt: the driver may retry once the conflict is resolved
+    IF v_result->>'outcome' IN ('conflict', 'rejected') THEN
+      RETURN v_result;
+    END IF;
+  END IF;
+
+  INSERT INTO offline_action_receipts (idempotency_key, action_type, entity_type, entity_id, result)
+  VALUES (p_idempotency_key, p_action_type, p_entity_type, p_entity_id, v_result);
+
+  RETURN v_result;
+END;
+$$;
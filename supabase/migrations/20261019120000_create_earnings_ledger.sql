@@ -0,0 +1,947 @@
+-- ============================================================
+-- Migration: Double-entry earnings ledger
+-- Date: 2026-10-19
+-- Purpose:
+--   Collector payouts used to be re-derived from job columns every
+--   time they were needed (earningsService, disposalService,
+--   utils/paymentCalculations and get_collector_available_earnings
+--   each had their own rules), so the Earnings page could not be
+--   traced back to anything.
+--
+--   1. ledger_accounts / ledger_transactions / ledger_entries: an
+--      append-only double-entry ledger. Each transaction's entries
+--      sum to zero (checked at commit) and rows can't be updated or
+--      deleted; corrections are reversal transactions.
+--   2. post_ledger_transaction() / reverse_ledger_transaction() are
+--      the only writers. Posting is idempotent per
+--      (kind, source_type, source_id).
+--   3. Triggers post from the tables the app already writes:
+--        bin_payments        -> collection, legacy disbursement
+--        digital_bins,
+--        pickup_requests     -> collection (prepaid) + disposal
+--        collector_tips      -> tip
+--        withdrawals         -> withdrawal, reversal on failure
+--      A disposal is split server-side (ledger_job_fee_shares, the
+--      SOP split in utils/paymentCalculations) from the bill in
+--      escrow; recyclables come from recycler_gross_payout. Once a
+--      collector has a job, the app can no longer change its fee,
+--      payment method or recyclables. The app can only mark a cash
+--      collection 'success' in bin_payments; MoMo payments and
+--      payouts are settled by the service role from what the
+--      gateway reports, and a retried payout must be covered by the
+--      collector's balance.
+--   4. get_collector_available_earnings() and validate_cashout()
+--      read the collector's ledger balance.
+--   5. Existing payments, disposals, tips and withdrawals are
+--      backfilled; old disposals are split by the same rules.
+--
+-- Sign convention: amount > 0 credits an account, amount < 0 debits
+-- it. A collector account's balance is what the platform owes that
+-- collector. Cash a collector takes from a customer is debited to
+-- them at collection, so after disposal only the platform's cut of a
+-- cash job is left against them and is netted off digital earnings.
+--
+-- Accounts:
+--   collector         per collector (owner_id = auth user)
+--   user_recyclables  per customer: their share of recyclables
+--   platform          App Bucket revenue
+--   escrow            customer money held until the job is disposed
+--   gateway           money received through the payment gateway
+--   tips              tips paid in by customers
+--   loyalty           platform-funded loyalty cashback
+--   recycler          recycler proceeds
+--   payouts           money sent out to collectors' MoMo wallets
+-- ============================================================
+
+-- 1. Tables
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  account_type text        NOT NULL CHECK (account_type IN (
+                 'collector', 'user_recyclables', 'platform', 'escrow',
+                 'gateway', 'tips', 'loyalty', 'recycler', 'payouts')),
+  owner_id     uuid,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT ledger_accounts_pkey PRIMARY KEY (id),
+  CONSTRAINT ledger_accounts_owner_check
+    CHECK ((account_type IN ('collector', 'user_recyclables')) = (owner_id IS NOT NULL)),
+  CONSTRAINT ledger_accounts_type_owner_key UNIQUE NULLS NOT DISTINCT (account_type, owner_id)
+);
+
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+  id           uuid        NOT NULL DEFAULT gen_random_uuid(),
+  kind         text        NOT NULL CHECK (kind IN ('collection', 'disposal', 'tip', 'withdrawal', 'reversal')),
+  source_type  text        NOT NULL,  -- digital_bin | pickup_request | collector_tip | withdrawal | bin_payment | ledger_transaction
+  source_id    text        NOT NULL,
+  collector_id uuid,                  -- collector the money concerns, for statements and RLS
+  description  text,
+  metadata     jsonb       NOT NULL DEFAULT '{}',
+  reverses_id  uuid,
+  occurred_at  timestamptz NOT NULL DEFAULT now(),
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT ledger_transactions_pkey PRIMARY KEY (id),
+  CONSTRAINT ledger_transactions_source_key UNIQUE (kind, source_type, source_id),
+  CONSTRAINT ledger_transactions_reverses_fkey FOREIGN KEY (reverses_id)
+    REFERENCES ledger_transactions(id)
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id             bigint        GENERATED ALWAYS AS IDENTITY,
+  transaction_id uuid          NOT NULL,
+  account_id     uuid          NOT NULL,
+  component      text          NOT NULL,  -- bill | cash_collected | core | urgent | distance | surge | commission | recyclables | loyalty | tips | payout
+  amount         numeric(14,2) NOT NULL CHECK (amount <> 0),
+  created_at     timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT ledger_entries_pkey PRIMARY KEY (id),
+  CONSTRAINT ledger_entries_transaction_fkey FOREIGN KEY (transaction_id)
+    REFERENCES ledger_transactions(id),
+  CONSTRAINT ledger_entries_account_fkey FOREIGN KEY (account_id)
+    REFERENCES ledger_accounts(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_collector ON ledger_transactions(collector_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_source ON ledger_transactions(source_type, source_id);
+
+-- 2. Immutability and balance
+CREATE OR REPLACE FUNCTION ledger_reject_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION '% rows are immutable; post a reversal instead', TG_TABLE_NAME;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_transactions_immutable ON ledger_transactions;
+CREATE TRIGGER ledger_transactions_immutable
+  BEFORE UPDATE OR DELETE ON ledger_transactions
+  FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+DROP TRIGGER IF EXISTS ledger_entries_immutable ON ledger_entries;
+CREATE TRIGGER ledger_entries_immutable
+  BEFORE UPDATE OR DELETE ON ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+DROP TRIGGER IF EXISTS ledger_entries_no_truncate ON ledger_entries;
+CREATE TRIGGER ledger_entries_no_truncate
+  BEFORE TRUNCATE ON ledger_entries
+  FOR EACH STATEMENT EXECUTE FUNCTION ledger_reject_change();
+
+-- Checked at commit, so a transaction's entries can be inserted one by one
+CREATE OR REPLACE FUNCTION ledger_check_balanced()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_total numeric;
+BEGIN
+  SELECT COALESCE(SUM(amount), 0) INTO v_total
+  FROM ledger_entries
+  WHERE transaction_id = NEW.transaction_id;
+
+  IF v_total <> 0 THEN
+    RAISE EXCEPTION 'Ledger transaction % is unbalanced by %', NEW.transaction_id, v_total;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entries_balanced ON ledger_entries;
+CREATE CONSTRAINT TRIGGER ledger_entries_balanced
+  AFTER INSERT ON ledger_entries
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION ledger_check_balanced();
+
+-- 3. Posting
+CREATE OR REPLACE FUNCTION ledger_account_id(p_account_type text, p_owner_id uuid DEFAULT NULL)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_id uuid;
+BEGIN
+  SELECT id INTO v_id
+  FROM ledger_accounts
+  WHERE account_type = p_account_type AND owner_id IS NOT DISTINCT FROM p_owner_id;
+
+  IF v_id IS NULL THEN
+    INSERT INTO ledger_accounts (account_type, owner_id)
+    VALUES (p_account_type, p_owner_id)
+    ON CONFLICT ON CONSTRAINT ledger_accounts_type_owner_key DO NOTHING
+    RETURNING id INTO v_id;
+
+    IF v_id IS NULL THEN
+      SELECT id INTO v_id
+      FROM ledger_accounts
+      WHERE account_type = p_account_type AND owner_id IS NOT DISTINCT FROM p_owner_id;
+    END IF;
+  END IF;
+
+  RETURN v_id;
+END;
+$$;
+
+-- p_entries: [{ "account_type": ..., "owner_id": ..., "component": ..., "amount": ... }]
+-- Amounts must already be rounded to 2 dp so the balance check is exact.
+-- Returns the existing transaction when the source was already posted.
+CREATE OR REPLACE FUNCTION post_ledger_transaction(
+  p_kind        text,
+  p_source_type text,
+  p_source_id   text,
+  p_collector_id uuid,
+  p_entries     jsonb,
+  p_description text DEFAULT NULL,
+  p_metadata    jsonb DEFAULT '{}',
+  p_occurred_at timestamptz DEFAULT now()
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_id     uuid;
+  v_entry  jsonb;
+  v_amount numeric(14,2);
+BEGIN
+  INSERT INTO ledger_transactions (kind, source_type, source_id, collector_id, description, metadata, occurred_at)
+  VALUES (p_kind, p_source_type, p_source_id, p_collector_id, p_description,
+          COALESCE(p_metadata, '{}'), COALESCE(p_occurred_at, now()))
+  ON CONFLICT ON CONSTRAINT ledger_transactions_source_key DO NOTHING
+  RETURNING id INTO v_id;
+
+  IF v_id IS NULL THEN
+    SELECT id INTO v_id
+    FROM ledger_transactions
+    WHERE kind = p_kind AND source_type = p_source_type AND source_id = p_source_id;
+    RETURN v_id;
+  END IF;
+
+  FOR v_entry IN SELECT value FROM jsonb_array_elements(p_entries) LOOP
+    v_amount := (v_entry->>'amount')::numeric;
+    CONTINUE WHEN v_amount IS NULL OR v_amount = 0;
+
+    INSERT INTO ledger_entries (transaction_id, account_id, component, amount)
+    VALUES (
+      v_id,
+      ledger_account_id(v_entry->>'account_type', NULLIF(v_entry->>'owner_id', '')::uuid),
+      v_entry->>'component',
+      v_amount
+    );
+  END LOOP;
+
+  RETURN v_id;
+END;
+$$;
+
+-- Post the mirror image of a transaction. Returns the reversal's id.
+CREATE OR REPLACE FUNCTION reverse_ledger_transaction(p_transaction_id uuid, p_reason text DEFAULT NULL)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_original ledger_transactions%ROWTYPE;
+  v_id       uuid;
+BEGIN
+  SELECT * INTO v_original FROM ledger_transactions WHERE id = p_transaction_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ledger transaction % not found', p_transaction_id;
+  END IF;
+  IF v_original.kind = 'reversal' THEN
+    RAISE EXCEPTION 'A reversal cannot be reversed; post a new transaction instead';
+  END IF;
+
+  INSERT INTO ledger_transactions (kind, source_type, source_id, collector_id, description, metadata, reverses_id)
+  VALUES ('reversal', 'ledger_transaction', p_transaction_id::text, v_original.collector_id,
+          COALESCE(p_reason, 'Reversal of ' || v_original.kind),
+          v_original.metadata || jsonb_build_object('reversed_kind', v_original.kind),
+          p_transaction_id)
+  ON CONFLICT ON CONSTRAINT ledger_transactions_source_key DO NOTHING
+  RETURNING id INTO v_id;
+
+  IF v_id IS NULL THEN
+    SELECT id INTO v_id
+    FROM ledger_transactions
+    WHERE kind = 'reversal' AND source_type = 'ledger_transaction' AND source_id = p_transaction_id::text;
+    RETURN v_id;
+  END IF;
+
+  INSERT INTO ledger_entries (transaction_id, account_id, component, amount)
+  SELECT v_id, account_id, component, -amount
+  FROM ledger_entries
+  WHERE transaction_id = p_transaction_id;
+
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION get_collector_ledger_balance(p_collector_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT COALESCE(SUM(e.amount), 0)
+  FROM ledger_entries e
+  INNER JOIN ledger_accounts a ON a.id = e.account_id
+  WHERE a.account_type = 'collector' AND a.owner_id = p_collector_id;
+$$;
+
+-- 4. Posting rules
+-- Customer money for a job enters escrow; cash goes through the collector's hands
+CREATE OR REPLACE FUNCTION ledger_post_collection(
+  p_source_type  text,
+  p_source_id    text,
+  p_collector_id uuid,
+  p_bill         numeric,
+  p_payment_mode text,
+  p_occurred_at  timestamptz DEFAULT now()
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_bill numeric(14,2) := round(COALESCE(p_bill, 0), 2);
+  v_cash boolean := COALESCE(p_payment_mode, '') = 'cash';
+BEGIN
+  IF p_collector_id IS NULL OR v_bill <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN post_ledger_transaction(
+    'collection', p_source_type, p_source_id, p_collector_id,
+    jsonb_build_array(
+      jsonb_build_object('account_type', 'escrow', 'component', 'bill', 'amount', v_bill),
+      CASE WHEN v_cash
+        THEN jsonb_build_object('account_type', 'collector', 'owner_id', p_collector_id, 'component', 'cash_collected', 'amount', -v_bill)
+        ELSE jsonb_build_object('account_type', 'gateway', 'component', 'bill', 'amount', -v_bill)
+      END
+    ),
+    CASE WHEN v_cash THEN 'Cash collected from customer' ELSE 'Customer payment received' END,
+    jsonb_build_object('payment_mode', COALESCE(p_payment_mode, 'digital'), 'bill', v_bill),
+    p_occurred_at
+  );
+END;
+$$;
+
+-- The collector's part of a job's fee, split the way
+-- utils/paymentCalculations.calculatePaymentSharing does (SOP v4.5.6). Keep the two
+-- in step: the app shows this split, the ledger posts it.
+CREATE OR REPLACE FUNCTION ledger_job_fee_shares(
+  p_bill        numeric,
+  p_is_urgent   boolean,
+  p_deadhead_km numeric,
+  p_surge       numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  -- Mirror PAYMENT_SPLITS
+  c_request_fee   CONSTANT numeric := 1.00;
+  c_urgent_rate   CONSTANT numeric := 0.30;
+  c_urgent_share  CONSTANT numeric := 0.75;
+  c_distance_rate CONSTANT numeric := 0.06;
+  c_surge_share   CONSTANT numeric := 0.75;
+
+  v_bill      numeric := GREATEST(COALESCE(p_bill, 0), 0);
+  v_shareable numeric := GREATEST(v_bill - c_request_fee, 0);
+  v_km        numeric := GREATEST(COALESCE(p_deadhead_km, 0), 0);
+  v_base      numeric;
+  v_urgent    numeric := 0;
+  v_share     numeric;
+  v_billed_km numeric := 0;
+BEGIN
+  IF COALESCE(p_is_urgent, false) THEN
+    v_base := v_shareable / (1 + c_urgent_rate);
+    v_urgent := v_shareable - v_base;
+  ELSE
+    v_base := v_shareable;
+  END IF;
+
+  -- getDeadheadShare(); jobs with no deadhead recorded get the 87% average
+  v_share := CASE
+    WHEN v_km <= 0 THEN 0.87
+    WHEN v_km <= 2 THEN 0.85
+    WHEN v_km <= 5 THEN 0.87
+    WHEN v_km <= 10 THEN 0.89
+    ELSE 0.92
+  END;
+
+  IF COALESCE(p_is_urgent, false) AND v_km > 5 THEN
+    v_billed_km := LEAST(v_km, 10) - 5;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'core', round(v_base * v_share, 2),
+    'urgent', round(v_urgent * c_urgent_share, 2),
+    'distance', round(LEAST(v_billed_km * v_base * c_distance_rate, v_shareable * 0.10), 2),
+    'surge', round(LEAST(GREATEST(COALESCE(p_surge, 1) - 1, 0) * (v_base + v_urgent), v_bill * 0.20) * c_surge_share, 2)
+  );
+END;
+$$;
+
+-- Split a disposed job's escrow. The fee share is worked out here from the bill held
+-- in escrow, and recyclables from recycler_gross_payout, which only the service role
+-- can set (jobs_guard_payment_columns below); the payout columns the device writes at
+-- disposal are for display only. Tips are posted on their own.
+CREATE OR REPLACE FUNCTION ledger_post_job_disposal(p_source_type text, p_job jsonb)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  -- Mirror PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE / RECYCLABLES_USER_SHARE
+  c_collector_recyclables_share CONSTANT numeric := 0.60;
+  c_user_recyclables_share      CONSTANT numeric := 0.25;
+
+  v_collector uuid := NULLIF(p_job->>'collector_id', '')::uuid;
+  v_user      uuid := NULLIF(p_job->>'user_id', '')::uuid;
+  v_source_id text := p_job->>'id';
+  v_mode      text;
+  v_bill      numeric(14,2);
+  v_shares    jsonb;
+  v_core      numeric(14,2);
+  v_urgent    numeric(14,2);
+  v_distance  numeric(14,2);
+  v_surge     numeric(14,2);
+  v_gross     numeric(14,2) := round(GREATEST(COALESCE((p_job->>'recycler_gross_payout')::numeric, 0), 0), 2);
+  v_coll_rec  numeric(14,2);
+  v_user_rec  numeric(14,2);
+  v_fee_share numeric(14,2);
+  v_scale     numeric;
+  v_entries   jsonb := '[]'::jsonb;
+BEGIN
+  IF v_collector IS NULL OR v_source_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- Prepaid pickups never went through bin_payments: post their collection now
+  IF p_source_type = 'pickup_request' THEN
+    PERFORM ledger_post_collection(
+      'pickup_request', v_source_id, v_collector,
+      COALESCE((p_job->>'fee')::numeric, (p_job->>'base_amount')::numeric, 0),
+      COALESCE(p_job->>'payment_mode', p_job->>'payment_type', 'digital'),
+      COALESCE((p_job->>'accepted_at')::timestamptz, (p_job->>'created_at')::timestamptz, now())
+    );
+  END IF;
+
+  SELECT COALESCE(SUM(e.amount), 0), MAX(t.metadata->>'payment_mode')
+  INTO v_bill, v_mode
+  FROM ledger_entries e
+  INNER JOIN ledger_accounts a ON a.id = e.account_id
+  INNER JOIN ledger_transactions t ON t.id = e.transaction_id
+  WHERE a.account_type = 'escrow'
+    AND t.source_type = p_source_type
+    AND t.source_id = v_source_id;
+
+  v_shares := ledger_job_fee_shares(
+    v_bill,
+    COALESCE((p_job->>'is_urgent')::boolean, (p_job->>'urgent_enabled')::boolean, false),
+    COALESCE(NULLIF((p_job->>'deadhead_km')::numeric, 0), (p_job->>'distance_km')::numeric),
+    (p_job->>'surge_multiplier')::numeric
+  );
+  v_core := (v_shares->>'core')::numeric;
+  v_urgent := (v_shares->>'urgent')::numeric;
+  v_distance := (v_shares->>'distance')::numeric;
+  v_surge := (v_shares->>'surge')::numeric;
+
+  -- The caps in the split can still add up to more than the customer paid
+  v_fee_share := v_core + v_urgent + v_distance + v_surge;
+  IF v_fee_share > v_bill THEN
+    v_scale := CASE WHEN v_fee_share > 0 THEN v_bill / v_fee_share ELSE 0 END;
+    v_urgent := round(v_urgent * v_scale, 2);
+    v_distance := round(v_distance * v_scale, 2);
+    v_surge := round(v_surge * v_scale, 2);
+    v_core := v_bill - v_urgent - v_distance - v_surge;
+    v_fee_share := v_bill;
+  END IF;
+
+  v_entries := jsonb_build_array(
+    jsonb_build_object('account_type', 'escrow', 'component', 'bill', 'amount', -v_bill),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'core', 'amount', v_core),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'urgent', 'amount', v_urgent),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'distance', 'amount', v_distance),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'surge', 'amount', v_surge),
+    jsonb_build_object('account_type', 'platform', 'component', 'commission', 'amount', v_bill - v_fee_share)
+  );
+
+  IF v_gross > 0 THEN
+    v_coll_rec := round(v_gross * c_collector_recyclables_share, 2);
+    v_user_rec := CASE WHEN v_user IS NULL THEN 0 ELSE round(v_gross * c_user_recyclables_share, 2) END;
+    v_entries := v_entries || jsonb_build_array(
+      jsonb_build_object('account_type', 'recycler', 'component', 'recyclables', 'amount', -v_gross),
+      jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'recyclables', 'amount', v_coll_rec),
+      jsonb_build_object('account_type', 'user_recyclables', 'owner_id', v_user, 'component', 'recyclables', 'amount', v_user_rec),
+      jsonb_build_object('account_type', 'platform', 'component', 'recyclables', 'amount', v_gross - v_coll_rec - v_user_rec)
+    );
+  END IF;
+
+  RETURN post_ledger_transaction(
+    'disposal', p_source_type, v_source_id, v_collector, v_entries,
+    'Job disposed',
+    jsonb_build_object('payment_mode', COALESCE(v_mode, 'digital'), 'bill', v_bill),
+    COALESCE((p_job->>'disposed_at')::timestamptz, now())
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_post_tip(p_tip jsonb)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_collector uuid := NULLIF(p_tip->>'collector_id', '')::uuid;
+  v_amount    numeric(14,2) := round(COALESCE((p_tip->>'amount')::numeric, 0), 2);
+BEGIN
+  IF v_collector IS NULL OR v_amount <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN post_ledger_transaction(
+    'tip', 'collector_tip', p_tip->>'id', v_collector,
+    jsonb_build_array(
+      jsonb_build_object('account_type', 'tips', 'component', 'tips', 'amount', -v_amount),
+      jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'tips', 'amount', v_amount)
+    ),
+    'Tip received',
+    jsonb_build_object('job_type', COALESCE(p_tip->>'request_type', 'pickup_request'), 'job_id', p_tip->>'request_id'),
+    COALESCE((p_tip->>'created_at')::timestamptz, now())
+  );
+END;
+$$;
+
+-- p_check_balance is off only for the historical backfill
+CREATE OR REPLACE FUNCTION ledger_post_withdrawal(
+  p_source_type  text,
+  p_source_id    text,
+  p_collector_id uuid,
+  p_amount       numeric,
+  p_occurred_at  timestamptz DEFAULT now(),
+  p_check_balance boolean DEFAULT true
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_amount  numeric(14,2) := round(COALESCE(p_amount, 0), 2);
+  v_account uuid;
+BEGIN
+  IF p_collector_id IS NULL OR v_amount <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_check_balance THEN
+    -- Serialise withdrawals per collector so two requests can't spend the same balance
+    v_account := ledger_account_id('collector', p_collector_id);
+    PERFORM 1 FROM ledger_accounts WHERE id = v_account FOR UPDATE;
+
+    IF get_collector_ledger_balance(p_collector_id) < v_amount THEN
+      RAISE EXCEPTION 'Insufficient balance';
+    END IF;
+  END IF;
+
+  RETURN post_ledger_transaction(
+    'withdrawal', p_source_type, p_source_id, p_collector_id,
+    jsonb_build_array(
+      jsonb_build_object('account_type', 'collector', 'owner_id', p_collector_id, 'component', 'payout', 'amount', -v_amount),
+      jsonb_build_object('account_type', 'payouts', 'component', 'payout', 'amount', v_amount)
+    ),
+    'Withdrawal to mobile money',
+    '{}'::jsonb,
+    p_occurred_at
+  );
+END;
+$$;
+
+-- 5. Triggers on the app's tables
+CREATE OR REPLACE FUNCTION ledger_on_bin_payment()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_collector uuid;
+BEGIN
+  IF NEW.status <> 'success' THEN
+    RETURN NEW;
+  END IF;
+
+  -- Legacy payouts (retried from the Earnings page) spend the collector's balance like
+  -- any withdrawal; bin_payments_guard checks it again before a retry is sent
+  IF NEW.type = 'disbursement' THEN
+    SELECT user_id INTO v_collector FROM collector_profiles WHERE id = NEW.collector_id;
+    PERFORM ledger_post_withdrawal('bin_payment', NEW.id::text, v_collector,
+                                   NEW.collector_share, NEW.created_at, true);
+    RETURN NEW;
+  END IF;
+
+  IF NEW.type <> 'collection' OR NEW.digital_bin_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT collector_id INTO v_collector FROM digital_bins WHERE id = NEW.digital_bin_id;
+  PERFORM ledger_post_collection('digital_bin', NEW.digital_bin_id::text, v_collector,
+                                 NEW.total_bill, NEW.payment_mode, NEW.created_at);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bin_payments_ledger ON bin_payments;
+CREATE TRIGGER bin_payments_ledger
+  AFTER INSERT OR UPDATE OF status ON bin_payments
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_bin_payment();
+
+-- A payment turning 'success' posts to the ledger, and only the gateway can say a MoMo
+-- payment or payout went through: the app settles cash collections, the webhook, the
+-- payment-status check and reconciliation (all service role) settle the rest.
+CREATE OR REPLACE FUNCTION bin_payments_guard()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Service role, and migrations run without a JWT
+  IF COALESCE(auth.role(), 'service_role') = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    IF OLD.status = 'success' AND NEW.status <> 'success' THEN
+      RAISE EXCEPTION 'Payment % is already success', OLD.id
+        USING ERRCODE = '42501';
+    END IF;
+    IF NEW.type IS DISTINCT FROM OLD.type
+       OR NEW.payment_mode IS DISTINCT FROM OLD.payment_mode
+       OR NEW.total_bill IS DISTINCT FROM OLD.total_bill
+       OR NEW.collector_share IS DISTINCT FROM OLD.collector_share
+       OR NEW.platform_share IS DISTINCT FROM OLD.platform_share
+       OR NEW.collector_id IS DISTINCT FROM OLD.collector_id
+       OR NEW.digital_bin_id IS DISTINCT FROM OLD.digital_bin_id THEN
+      RAISE EXCEPTION 'Only the status and gateway details of a payment can change'
+        USING ERRCODE = '42501';
+    END IF;
+  END IF;
+
+  IF NEW.status = 'success' AND (TG_OP = 'INSERT' OR OLD.status <> 'success')
+     AND NOT (NEW.type = 'collection' AND NEW.payment_mode = 'cash') THEN
+    RAISE EXCEPTION 'Only the payment gateway can confirm a % payment', NEW.payment_mode
+      USING ERRCODE = '42501';
+  END IF;
+
+  -- Retrying a failed payout sends the money again
+  IF TG_OP = 'UPDATE' AND NEW.type = 'disbursement' AND OLD.status = 'failed' AND NEW.status = 'pending'
+     AND get_collector_ledger_balance(auth.uid()) < NEW.collector_share THEN
+    RAISE EXCEPTION 'Insufficient balance';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bin_payments_guard ON bin_payments;
+CREATE TRIGGER bin_payments_guard
+  BEFORE INSERT OR UPDATE ON bin_payments
+  FOR EACH ROW EXECUTE FUNCTION bin_payments_guard();
+
+CREATE OR REPLACE FUNCTION ledger_on_job_disposed()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_source_type text := CASE TG_TABLE_NAME WHEN 'digital_bins' THEN 'digital_bin' ELSE 'pickup_request' END;
+  v_payment     record;
+BEGIN
+  IF NEW.status <> 'disposed' OR OLD.status = 'disposed' THEN
+    RETURN NEW;
+  END IF;
+
+  -- Cash bins can be disposed before their payment row reaches 'success'
+  IF v_source_type = 'digital_bin' THEN
+    SELECT total_bill, payment_mode, created_at INTO v_payment
+    FROM bin_payments
+    WHERE digital_bin_id = NEW.id AND type = 'collection' AND status <> 'failed'
+    ORDER BY (status = 'success') DESC, created_at DESC
+    LIMIT 1;
+
+    IF FOUND THEN
+      PERFORM ledger_post_collection('digital_bin', NEW.id::text, NEW.collector_id,
+                                     v_payment.total_bill, v_payment.payment_mode, v_payment.created_at);
+    END IF;
+  END IF;
+
+  PERFORM ledger_post_job_disposal(v_source_type, to_jsonb(NEW));
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS digital_bins_ledger ON digital_bins;
+CREATE TRIGGER digital_bins_ledger
+  AFTER UPDATE OF status ON digital_bins
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_job_disposed();
+
+DROP TRIGGER IF EXISTS pickup_requests_ledger ON pickup_requests;
+CREATE TRIGGER pickup_requests_ledger
+  AFTER UPDATE OF status ON pickup_requests
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_job_disposed();
+
+-- What a job is worth is the customer's to set, until a collector has it, and the
+-- recycler settlement's; collectors' devices can't change it on the way to disposal.
+-- Checked on the row as jsonb since not every column exists on both tables.
+CREATE OR REPLACE FUNCTION jobs_guard_payment_columns()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_old      jsonb := to_jsonb(OLD);
+  v_new      jsonb := to_jsonb(NEW);
+  v_customer boolean;
+BEGIN
+  -- Service role, and migrations run without a JWT
+  IF COALESCE(auth.role(), 'service_role') = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  v_customer := v_old->>'collector_id' IS NULL AND v_old->>'user_id' = auth.uid()::text;
+
+  IF NOT v_customer AND (
+       v_new->'fee' IS DISTINCT FROM v_old->'fee'
+    OR v_new->'base_amount' IS DISTINCT FROM v_old->'base_amount'
+    OR v_new->'payment_mode' IS DISTINCT FROM v_old->'payment_mode'
+    OR v_new->'payment_type' IS DISTINCT FROM v_old->'payment_type'
+  ) THEN
+    RAISE EXCEPTION 'The fee and payment method of a job can''t be changed once a collector has it'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_new->'recycler_gross_payout' IS DISTINCT FROM v_old->'recycler_gross_payout'
+     OR v_new->'recyclables_settled_at' IS DISTINCT FROM v_old->'recyclables_settled_at' THEN
+    RAISE EXCEPTION 'Recyclables are settled by the recycler, not from the app'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS digital_bins_guard_payment ON digital_bins;
+CREATE TRIGGER digital_bins_guard_payment
+  BEFORE UPDATE ON digital_bins
+  FOR EACH ROW EXECUTE FUNCTION jobs_guard_payment_columns();
+
+DROP TRIGGER IF EXISTS pickup_requests_guard_payment ON pickup_requests;
+CREATE TRIGGER pickup_requests_guard_payment
+  BEFORE UPDATE ON pickup_requests
+  FOR EACH ROW EXECUTE FUNCTION jobs_guard_payment_columns();
+
+CREATE OR REPLACE FUNCTION ledger_on_tip()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF COALESCE(to_jsonb(NEW)->>'status', 'confirmed') = 'confirmed' THEN
+    PERFORM ledger_post_tip(to_jsonb(NEW));
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS collector_tips_ledger ON collector_tips;
+CREATE TRIGGER collector_tips_ledger
+  AFTER INSERT OR UPDATE ON collector_tips
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_tip();
+
+CREATE OR REPLACE FUNCTION ledger_on_withdrawal()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_transaction uuid;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.status NOT IN ('failed', 'cancelled') THEN
+      PERFORM ledger_post_withdrawal('withdrawal', NEW.id::text, NEW.collector_id, NEW.amount, NEW.created_at);
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  -- A failed or cancelled payout gives the money back
+  IF NEW.status IN ('failed', 'cancelled') AND OLD.status NOT IN ('failed', 'cancelled') THEN
+    SELECT id INTO v_transaction
+    FROM ledger_transactions
+    WHERE kind = 'withdrawal' AND source_type = 'withdrawal' AND source_id = NEW.id::text;
+
+    IF v_transaction IS NOT NULL THEN
+      PERFORM reverse_ledger_transaction(v_transaction,
+        'Withdrawal ' || NEW.status || COALESCE(': ' || NEW.gateway_error, ''));
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS withdrawals_ledger ON withdrawals;
+CREATE TRIGGER withdrawals_ledger
+  AFTER INSERT OR UPDATE OF status ON withdrawals
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_withdrawal();
+
+-- 6. Cashout reads the ledger
+DROP FUNCTION IF EXISTS get_collector_available_earnings(uuid);
+
+CREATE OR REPLACE FUNCTION get_collector_available_earnings(p_collector_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT GREATEST(get_collector_ledger_balance(p_collector_id), 0);
+$$;
+
+DROP FUNCTION IF EXISTS validate_cashout(uuid, numeric);
+
+CREATE OR REPLACE FUNCTION validate_cashout(
+  p_collector_id uuid,
+  p_amount numeric
+)
+RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_balance   numeric;
+  v_available numeric;
+BEGIN
+  v_balance := get_collector_ledger_balance(p_collector_id);
+  v_available := GREATEST(v_balance, 0);
+
+  IF p_amount <= 0 THEN
+    RETURN json_build_object(
+      'valid', false,
+      'error', 'Amount must be greater than zero',
+      'available', v_available,
+      'balance', v_balance
+    );
+  END IF;
+
+  IF p_amount > v_available THEN
+    RETURN json_build_object(
+      'valid', false,
+      'error', 'Insufficient balance',
+      'available', v_available,
+      'balance', v_balance,
+      'requested', p_amount
+    );
+  END IF;
+
+  RETURN json_build_object(
+    'valid', true,
+    'available', v_available,
+    'balance', v_balance,
+    'requested', p_amount,
+    'remaining', v_available - p_amount
+  );
+END;
+$$;
+
+-- 7. Access: collectors read their own money; only the functions above write
+ALTER TABLE ledger_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors read own and system accounts" ON ledger_accounts;
+CREATE POLICY "Collectors read own and system accounts" ON ledger_accounts
+  FOR SELECT USING (owner_id IS NULL OR owner_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors read own transactions" ON ledger_transactions;
+CREATE POLICY "Collectors read own transactions" ON ledger_transactions
+  FOR SELECT USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors read entries of own transactions" ON ledger_entries;
+CREATE POLICY "Collectors read entries of own transactions" ON ledger_entries
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM ledger_transactions t
+      WHERE t.id = ledger_entries.transaction_id AND t.collector_id = auth.uid()
+    )
+  );
+
+GRANT SELECT ON ledger_accounts, ledger_transactions, ledger_entries TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION ledger_account_id(text, uuid) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION ledger_account_id(text, uuid) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION post_ledger_transaction(text, text, text, uuid, jsonb, text, jsonb, timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION post_ledger_transaction(text, text, text, uuid, jsonb, text, jsonb, timestamptz) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reverse_ledger_transaction(uuid, text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION reverse_ledger_transaction(uuid, text) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_post_collection(text, text, uuid, numeric, text, timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION ledger_post_collection(text, text, uuid, numeric, text, timestamptz) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_post_job_disposal(text, jsonb) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION ledger_post_job_disposal(text, jsonb) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_post_tip(jsonb) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION ledger_post_tip(jsonb) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_post_withdrawal(text, text, uuid, numeric, timestamptz, boolean) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION ledger_post_withdrawal(text, text, uuid, numeric, timestamptz, boolean) FROM anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION get_collector_ledger_balance(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_collector_available_earnings(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION validate_cashout(uuid, numeric) TO authenticated;
+
+-- 8. Backfill, oldest first so balances build up in order
+DO $$
+DECLARE
+  r record;
+BEGIN
+  FOR r IN
+    SELECT DISTINCT ON (bp.digital_bin_id) bp.digital_bin_id, bp.total_bill, bp.payment_mode, bp.created_at, db.collector_id
+    FROM bin_payments bp
+    INNER JOIN digital_bins db ON db.id = bp.digital_bin_id
+    WHERE bp.type = 'collection' AND bp.status = 'success'
+    ORDER BY bp.digital_bin_id, bp.created_at
+  LOOP
+    PERFORM ledger_post_collection('digital_bin', r.digital_bin_id::text, r.collector_id,
+                                   r.total_bill, r.payment_mode, r.created_at);
+  END LOOP;
+
+  FOR r IN SELECT to_jsonb(db) AS job FROM digital_bins db WHERE db.status = 'disposed' ORDER BY db.disposed_at NULLS FIRST LOOP
+    PERFORM ledger_post_job_disposal('digital_bin', r.job);
+  END LOOP;
+
+  FOR r IN SELECT to_jsonb(pr) AS job FROM pickup_requests pr WHERE pr.status = 'disposed' ORDER BY pr.disposed_at NULLS FIRST LOOP
+    PERFORM ledger_post_job_disposal('pickup_request', r.job);
+  END LOOP;
+
+  FOR r IN SELECT to_jsonb(ct) AS tip FROM collector_tips ct ORDER BY ct.created_at LOOP
+    IF COALESCE(r.tip->>'status', 'confirmed') = 'confirmed' THEN
+      PERFORM ledger_post_tip(r.tip);
+    END IF;
+  END LOOP;
+
+  FOR r IN
+    SELECT id, collector_id, amount, created_at
+    FROM withdrawals
+    WHERE status NOT IN ('failed', 'cancelled')
+    ORDER BY created_at
+  LOOP
+    PERFORM ledger_post_withdrawal('withdrawal', r.id::text, r.collector_id, r.amount, r.created_at, false);
+  END LOOP;
+
+  -- Payouts from before the withdrawals table were bin_payments disbursements
+  FOR r IN
+    SELECT bp.id, cp.user_id, bp.collector_share, bp.created_at
+    FROM bin_payments bp
+    INNER JOIN collector_profiles cp ON cp.id = bp.collector_id
+    WHERE bp.type = 'disbursement' AND bp.status = 'success'
+    ORDER BY bp.created_at
+  LOOP
+    PERFORM ledger_post_withdrawal('bin_payment', r.id::text, r.user_id, r.collector_share, r.created_at, false);
+  END LOOP;
+END;
+$$;
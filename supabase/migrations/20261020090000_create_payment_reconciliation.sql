@@ -0,0 +1,211 @@
+-- ============================================================
+-- Migration: Payment reconciliation
+-- Date: 2026-10-20
+-- Purpose:
+--   A bin_payments row or withdrawal stays pending for good when
+--   the gateway's callback is lost, and nothing compared our rows
+--   with what TrendiPay actually settled.
+--
+--   1. payment_reconciliation_runs: one row per pass, either a
+--      status check of stale pending payments or an ingested
+--      provider settlement file.
+--   2. payment_reconciliation_items: every mismatch a run found
+--      (amount, status, missing on either side) and what became
+--      of it. Clear-cut cases are resolved by the run; the rest
+--      stay 'open' for someone to look at.
+--   3. payment_status_audit: who or what changed a payment's
+--      status during reconciliation, from what to what, and why.
+--   4. apply_payment_reconciliation(): changes the payment, writes
+--      the audit row and closes the item in one transaction. The
+--      payment is only touched if its status is still the one the
+--      run saw, so a webhook landing meanwhile wins.
+--
+-- Reconciliation runs server-side, in the payment-reconciliation
+-- Edge Function: runs, items and apply_payment_reconciliation()
+-- are the service role's. Collectors can read the audit trail of
+-- their own payments.
+--
+-- Schedule the stale payment check every 10 minutes with pg_cron + pg_net, e.g.
+--   SELECT cron.schedule('payment-reconciliation', '*/10 * * * *', $$
+--     SELECT net.http_post(
+--       url := 'https://<project-ref>.supabase.co/functions/v1/payment-reconciliation',
+--       headers := jsonb_build_object('Authorization', 'Bearer <service-role-key>')
+--     ) $$);
+-- ============================================================
+
+-- 1. Tables
+CREATE TABLE IF NOT EXISTS payment_reconciliation_runs (
+  id                  uuid        NOT NULL DEFAULT gen_random_uuid(),
+  source              text        NOT NULL CHECK (source IN ('status_check', 'settlement_file')),
+  file_name           text,
+  period_start        timestamptz,           -- settlement files: first and last transaction on the file
+  period_end          timestamptz,
+  checked_count       integer     NOT NULL DEFAULT 0,
+  matched_count       integer     NOT NULL DEFAULT 0,
+  mismatch_count      integer     NOT NULL DEFAULT 0,
+  auto_resolved_count integer     NOT NULL DEFAULT 0,
+  error               text,
+  started_by          uuid        DEFAULT auth.uid(),
+  started_at          timestamptz NOT NULL DEFAULT now(),
+  finished_at         timestamptz,
+  CONSTRAINT payment_reconciliation_runs_pkey PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS payment_reconciliation_items (
+  id                 uuid          NOT NULL DEFAULT gen_random_uuid(),
+  run_id             uuid          NOT NULL,
+  payment_table      text          CHECK (payment_table IN ('bin_payments', 'withdrawals')),
+  payment_id         uuid,                   -- NULL when the provider has a payment we don't
+  collector_id       uuid,
+  provider_reference text,                   -- gateway transaction id (rrn)
+  issue              text          NOT NULL CHECK (issue IN (
+                       'status_mismatch', 'amount_mismatch', 'missing_at_provider', 'missing_internally')),
+  internal_status    text,
+  provider_status    text,
+  internal_amount    numeric(10,2),
+  provider_amount    numeric(10,2),
+  resolution         text          NOT NULL DEFAULT 'open' CHECK (resolution IN (
+                       'open', 'auto_resolved', 'manually_resolved', 'ignored', 'superseded')),
+  resolution_action  text,
+  notes              text,
+  details            jsonb         NOT NULL DEFAULT '{}',
+  resolved_by        uuid,
+  resolved_at        timestamptz,
+  created_at         timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT payment_reconciliation_items_pkey PRIMARY KEY (id),
+  CONSTRAINT payment_reconciliation_items_run_fkey FOREIGN KEY (run_id)
+    REFERENCES payment_reconciliation_runs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS payment_status_audit (
+  id                     bigint      GENERATED ALWAYS AS IDENTITY,
+  payment_table          text        NOT NULL,
+  payment_id             uuid        NOT NULL,
+  old_status             text,
+  new_status             text        NOT NULL,
+  source                 text        NOT NULL DEFAULT 'reconciliation',
+  reason                 text,
+  reconciliation_item_id uuid,
+  changed_by             uuid        DEFAULT auth.uid(),
+  created_at             timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT payment_status_audit_pkey PRIMARY KEY (id),
+  CONSTRAINT payment_status_audit_item_fkey FOREIGN KEY (reconciliation_item_id)
+    REFERENCES payment_reconciliation_items(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run ON payment_reconciliation_items(run_id);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_open ON payment_reconciliation_items(created_at)
+  WHERE resolution = 'open';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_payment ON payment_reconciliation_items(payment_table, payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_status_audit_payment ON payment_status_audit(payment_table, payment_id, created_at);
+
+-- Stale-payment scans
+CREATE INDEX IF NOT EXISTS idx_bin_payments_pending_created ON bin_payments(created_at)
+  WHERE status = 'pending';
+
+-- 2. Settle one item
+CREATE OR REPLACE FUNCTION apply_payment_reconciliation(
+  p_item_id    uuid,
+  p_new_status text,          -- status to give the payment, or NULL to close the item only
+  p_resolution text,          -- auto_resolved | manually_resolved | ignored
+  p_action     text,
+  p_notes      text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item    payment_reconciliation_items%ROWTYPE;
+  v_updated integer := 0;
+BEGIN
+  IF p_resolution NOT IN ('auto_resolved', 'manually_resolved', 'ignored') THEN
+    RAISE EXCEPTION 'Unknown resolution %', p_resolution;
+  END IF;
+
+  SELECT * INTO v_item FROM payment_reconciliation_items WHERE id = p_item_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reconciliation item % not found', p_item_id;
+  END IF;
+  IF v_item.resolution <> 'open' THEN
+    RETURN jsonb_build_object('applied', false, 'resolution', v_item.resolution);
+  END IF;
+
+  IF p_new_status IS NOT NULL THEN
+    IF v_item.payment_id IS NULL THEN
+      RAISE EXCEPTION 'Item % has no payment to update', p_item_id;
+    END IF;
+
+    IF v_item.payment_table = 'bin_payments' THEN
+      UPDATE bin_payments
+      SET status = p_new_status,
+          gateway_error = CASE WHEN p_new_status = 'failed' THEN COALESCE(p_notes, gateway_error) ELSE NULL END,
+          updated_at = now()
+      WHERE id = v_item.payment_id AND status = v_item.internal_status;
+    ELSE
+      UPDATE withdrawals
+      SET status = p_new_status,
+          gateway_error = CASE WHEN p_new_status = 'failed' THEN COALESCE(p_notes, gateway_error) ELSE gateway_error END,
+          completed_at = CASE WHEN p_new_status = 'completed' THEN now() ELSE completed_at END
+      WHERE id = v_item.payment_id AND status = v_item.internal_status;
+    END IF;
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+    IF v_updated = 0 THEN
+      -- Someone (usually the webhook) moved the payment on since the run looked at it
+      UPDATE payment_reconciliation_items
+      SET resolution = 'superseded',
+          resolution_action = 'payment changed before it could be resolved',
+          resolved_by = auth.uid(),
+          resolved_at = now()
+      WHERE id = p_item_id;
+      RETURN jsonb_build_object('applied', false, 'resolution', 'superseded');
+    END IF;
+
+    INSERT INTO payment_status_audit (
+      payment_table, payment_id, old_status, new_status, reason, reconciliation_item_id
+    ) VALUES (
+      v_item.payment_table, v_item.payment_id, v_item.internal_status, p_new_status, p_action, p_item_id
+    );
+  END IF;
+
+  UPDATE payment_reconciliation_items
+  SET resolution = p_resolution,
+      resolution_action = p_action,
+      notes = COALESCE(p_notes, notes),
+      resolved_by = auth.uid(),
+      resolved_at = now()
+  WHERE id = p_item_id;
+
+  RETURN jsonb_build_object(
+    'applied', true,
+    'resolution', p_resolution,
+    'previous_status', v_item.internal_status,
+    'new_status', p_new_status
+  );
+END;
+$$;
+
+-- 3. Access: reconciliation is the service role's; collectors read the audit of their own payments
+ALTER TABLE payment_reconciliation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_reconciliation_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_status_audit ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage own reconciliation runs" ON payment_reconciliation_runs;
+DROP POLICY IF EXISTS "Users manage items of own runs" ON payment_reconciliation_items;
+DROP POLICY IF EXISTS "Audit rows are written by their author" ON payment_status_audit;
+
+DROP POLICY IF EXISTS "Collectors read audit of own payments" ON payment_status_audit;
+CREATE POLICY "Collectors read audit of own payments" ON payment_status_audit
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM bin_payments bp WHERE bp.id = payment_id AND bp.collector_id = auth.uid())
+    OR EXISTS (SELECT 1 FROM withdrawals w WHERE w.id = payment_id AND w.collector_id = auth.uid())
+  );
+
+REVOKE ALL ON payment_reconciliation_runs, payment_reconciliation_items FROM anon, authenticated;
+REVOKE ALL ON payment_status_audit FROM anon, authenticated;
+GRANT SELECT ON payment_status_audit TO authenticated;
+GRANT ALL ON payment_reconciliation_runs, payment_reconciliation_items, payment_status_audit TO service_role;
+
+REVOKE EXECUTE ON FUNCTION apply_payment_reconciliation(uuid, text, text, text, text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION apply_payment_reconciliation(uuid, text, text, text, text) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_payment_reconciliation(uuid, text, text, text, text) TO service_role;
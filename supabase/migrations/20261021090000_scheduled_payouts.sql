@@ -0,0 +1,327 @@
+-- ============================================================
+-- Migration: Scheduled payouts and payout statements
+-- Date: 2026-10-21
+-- Purpose:
+--   Collectors could only cash out by hand, one disbursement per
+--   tap, and had nothing to show for what a payout covered.
+--
+--   1. payout_schedules: a collector's opt-in to automatic daily or
+--      weekly payouts once their balance reaches a threshold.
+--      next_run_at is kept by trigger, at PAYOUT_HOUR (17:00 UTC,
+--      which is 17:00 in Accra). Collectors can only write the
+--      schedule's own settings, not next_run_at or last_run_at.
+--   2. payout_batches + withdrawals.batch_id / source: one batch per
+--      run of the scheduler, grouping the withdrawals it created.
+--   3. run_scheduled_payouts(): for every schedule that is due,
+--      creates a withdrawal for the collector's ledger balance and
+--      links the disposed digital jobs it covers through
+--      withdrawal_items. The scheduled-payouts Edge Function calls
+--      it (service role only) and then sends each withdrawal to the
+--      gateway.
+--   4. get_payout_statement(): one line per bin/pickup in a
+--      withdrawal, from the payout breakdown columns on
+--      digital_bins / pickup_requests.
+--
+-- Schedule the Edge Function hourly with pg_cron + pg_net, e.g.
+--   SELECT cron.schedule('scheduled-payouts', '5 * * * *', $$
+--     SELECT net.http_post(
+--       url := 'https://<project-ref>.supabase.co/functions/v1/scheduled-payouts',
+--       headers := jsonb_build_object('Authorization', 'Bearer <service-role-key>')
+--     ) $$);
+-- ============================================================
+
+-- 1. Schedules
+CREATE TABLE IF NOT EXISTS payout_schedules (
+  collector_id  uuid          NOT NULL,
+  frequency     text          NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  weekday       smallint      CHECK (weekday BETWEEN 0 AND 6),   -- 0 = Sunday, weekly only
+  threshold     numeric(10,2) NOT NULL DEFAULT 50 CHECK (threshold >= 1),
+  momo_number   text          NOT NULL,
+  momo_provider text          NOT NULL DEFAULT 'mtn',
+  account_name  text,
+  enabled       boolean       NOT NULL DEFAULT true,
+  next_run_at   timestamptz,
+  last_run_at   timestamptz,
+  created_at    timestamptz   NOT NULL DEFAULT now(),
+  updated_at    timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT payout_schedules_pkey PRIMARY KEY (collector_id),
+  CONSTRAINT payout_schedules_weekday_check CHECK (frequency <> 'weekly' OR weekday IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_schedules_due ON payout_schedules(next_run_at) WHERE enabled;
+
+CREATE OR REPLACE FUNCTION payout_next_run(p_frequency text, p_weekday smallint, p_from timestamptz)
+RETURNS timestamptz
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  -- PAYOUT_HOUR: 17:00 UTC
+  SELECT CASE
+    WHEN p_frequency = 'daily' THEN
+      date_trunc('day', p_from AT TIME ZONE 'UTC') + interval '17 hours'
+        + CASE WHEN (p_from AT TIME ZONE 'UTC') >= date_trunc('day', p_from AT TIME ZONE 'UTC') + interval '17 hours'
+               THEN interval '1 day' ELSE interval '0' END
+    ELSE
+      date_trunc('day', p_from AT TIME ZONE 'UTC') + interval '17 hours'
+        + make_interval(days => ((p_weekday - extract(dow FROM p_from AT TIME ZONE 'UTC')::int + 7) % 7))
+        + CASE WHEN p_weekday = extract(dow FROM p_from AT TIME ZONE 'UTC')::int
+                AND (p_from AT TIME ZONE 'UTC') >= date_trunc('day', p_from AT TIME ZONE 'UTC') + interval '17 hours'
+               THEN interval '7 days' ELSE interval '0' END
+  END AT TIME ZONE 'UTC';
+$$;
+
+CREATE OR REPLACE FUNCTION payout_schedules_touch()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := now();
+  IF NEW.frequency = 'daily' THEN
+    NEW.weekday := NULL;
+  END IF;
+  IF TG_OP = 'INSERT'
+     OR NEW.frequency IS DISTINCT FROM OLD.frequency
+     OR NEW.weekday IS DISTINCT FROM OLD.weekday
+     OR (NEW.enabled AND NOT OLD.enabled) THEN
+    NEW.next_run_at := payout_next_run(NEW.frequency, NEW.weekday, now());
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payout_schedules_touch ON payout_schedules;
+CREATE TRIGGER payout_schedules_touch
+  BEFORE INSERT OR UPDATE ON payout_schedules
+  FOR EACH ROW EXECUTE FUNCTION payout_schedules_touch();
+
+-- 2. Batches
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id               uuid          NOT NULL DEFAULT gen_random_uuid(),
+  status           text          NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  due_count        integer       NOT NULL DEFAULT 0,
+  withdrawal_count integer       NOT NULL DEFAULT 0,
+  skipped_count    integer       NOT NULL DEFAULT 0,
+  disbursed_count  integer       NOT NULL DEFAULT 0,
+  failed_count     integer       NOT NULL DEFAULT 0,
+  total_amount     numeric(12,2) NOT NULL DEFAULT 0,
+  error            text,
+  started_at       timestamptz   NOT NULL DEFAULT now(),
+  finished_at      timestamptz,
+  CONSTRAINT payout_batches_pkey PRIMARY KEY (id)
+);
+
+ALTER TABLE withdrawals
+  ADD COLUMN IF NOT EXISTS source   text NOT NULL DEFAULT 'manual',
+  ADD COLUMN IF NOT EXISTS batch_id uuid REFERENCES payout_batches(id);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_batch ON withdrawals(batch_id) WHERE batch_id IS NOT NULL;
+
+-- 3. The batch
+CREATE OR REPLACE FUNCTION run_scheduled_payouts(p_now timestamptz DEFAULT now())
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_batch_id    uuid;
+  v_schedule    payout_schedules%ROWTYPE;
+  v_available   numeric(12,2);
+  v_withdrawal  uuid;
+  v_remaining   numeric(12,2);
+  v_job         record;
+  v_created     jsonb := '[]'::jsonb;
+  v_due         integer := 0;
+  v_skipped     integer := 0;
+  v_total       numeric(12,2) := 0;
+BEGIN
+  INSERT INTO payout_batches DEFAULT VALUES RETURNING id INTO v_batch_id;
+
+  FOR v_schedule IN
+    SELECT * FROM payout_schedules
+    WHERE enabled AND next_run_at <= p_now
+    ORDER BY next_run_at
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    v_due := v_due + 1;
+
+    UPDATE payout_schedules
+    SET next_run_at = payout_next_run(frequency, weekday, p_now),
+        last_run_at = p_now
+    WHERE collector_id = v_schedule.collector_id;
+
+    v_available := get_collector_available_earnings(v_schedule.collector_id);
+    IF v_available < v_schedule.threshold THEN
+      v_skipped := v_skipped + 1;
+      CONTINUE;
+    END IF;
+
+    BEGIN
+      INSERT INTO withdrawals (
+        collector_id, amount, status, payment_method, phone_number, network,
+        payment_details, source, batch_id
+      ) VALUES (
+        v_schedule.collector_id, v_available, 'pending', 'mobile_money',
+        v_schedule.momo_number, upper(v_schedule.momo_provider),
+        jsonb_build_object('accountName', COALESCE(v_schedule.account_name, 'Collector'), 'scheduled', true),
+        'scheduled', v_batch_id
+      )
+      RETURNING id INTO v_withdrawal;
+
+      -- Oldest disposed digital jobs first, as processDigitalBinDisbursement does
+      v_remaining := v_available;
+      FOR v_job IN
+        SELECT t.source_type, t.source_id, SUM(e.amount) AS earned
+        FROM ledger_transactions t
+        INNER JOIN ledger_entries e ON e.transaction_id = t.id
+        INNER JOIN ledger_accounts a ON a.id = e.account_id
+        WHERE t.kind = 'disposal'
+          AND t.collector_id = v_schedule.collector_id
+          AND a.account_type = 'collector'
+          AND COALESCE(t.metadata->>'payment_mode', '') <> 'cash'
+          AND NOT EXISTS (
+            SELECT 1 FROM withdrawal_items wi
+            INNER JOIN withdrawals w ON w.id = wi.withdrawal_id
+            WHERE wi.item_type = t.source_type AND wi.item_id = t.source_id
+              AND w.status NOT IN ('failed', 'cancelled')
+          )
+        GROUP BY t.source_type, t.source_id, t.occurred_at
+        HAVING SUM(e.amount) > 0
+        ORDER BY t.occurred_at
+      LOOP
+        EXIT WHEN v_remaining <= 0;
+        INSERT INTO withdrawal_items (withdrawal_id, item_type, item_id, amount)
+        VALUES (v_withdrawal, v_job.source_type, v_job.source_id, LEAST(v_job.earned, v_remaining));
+        v_remaining := v_remaining - LEAST(v_job.earned, v_remaining);
+      END LOOP;
+
+      v_total := v_total + v_available;
+      v_created := v_created || jsonb_build_object(
+        'withdrawal_id', v_withdrawal,
+        'collector_id', v_schedule.collector_id,
+        'amount', v_available,
+        'momo_number', v_schedule.momo_number,
+        'momo_provider', v_schedule.momo_provider,
+        'account_name', v_schedule.account_name
+      );
+    EXCEPTION WHEN OTHERS THEN
+      -- e.g. the balance moved under us; this collector waits for the next run
+      RAISE WARNING 'Scheduled payout for % skipped: %', v_schedule.collector_id, SQLERRM;
+      v_skipped := v_skipped + 1;
+    END;
+  END LOOP;
+
+  UPDATE payout_batches
+  SET due_count = v_due,
+      withdrawal_count = jsonb_array_length(v_created),
+      skipped_count = v_skipped,
+      total_amount = v_total
+  WHERE id = v_batch_id;
+
+  RETURN jsonb_build_object('batch_id', v_batch_id, 'withdrawals', v_created);
+END;
+$$;
+
+-- 4. Statements
+CREATE OR REPLACE FUNCTION get_payout_statement(p_withdrawal_id uuid)
+RETURNS TABLE (
+  item_type          text,
+  item_id            text,
+  location           text,
+  waste_type         text,
+  completed_at       timestamptz,
+  gross_fee          numeric,
+  deadhead_km        numeric,
+  core_payout        numeric,
+  deadhead_payout    numeric,
+  urgent_payout      numeric,
+  surge_payout       numeric,
+  surge_multiplier   numeric,
+  tips               numeric,
+  recyclables_payout numeric,
+  loyalty_cashback   numeric,
+  platform_fee       numeric,
+  collector_total    numeric,
+  amount_paid        numeric
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM withdrawals w
+    WHERE w.id = p_withdrawal_id
+      AND (w.collector_id = auth.uid() OR auth.role() = 'service_role')
+  ) THEN
+    RAISE EXCEPTION 'Withdrawal % not found', p_withdrawal_id;
+  END IF;
+
+  RETURN QUERY
+  WITH items AS (
+    SELECT wi.item_type, wi.item_id, wi.amount, wi.created_at,
+           CASE wi.item_type
+             WHEN 'digital_bin' THEN (SELECT to_jsonb(db) FROM digital_bins db WHERE db.id::text = wi.item_id)
+             ELSE (SELECT to_jsonb(pr) FROM pickup_requests pr WHERE pr.id::text = wi.item_id)
+           END AS job,
+           (SELECT to_jsonb(bp) FROM bin_payments bp
+            WHERE wi.item_type = 'digital_bin' AND bp.digital_bin_id::text = wi.item_id
+              AND bp.type = 'collection' AND bp.status = 'success'
+            ORDER BY bp.created_at DESC LIMIT 1) AS payment
+    FROM withdrawal_items wi
+    WHERE wi.withdrawal_id = p_withdrawal_id
+  ),
+  lines AS (
+    SELECT i.*,
+           COALESCE((i.payment->>'total_bill')::numeric, (i.job->>'fee')::numeric, 0) AS gross,
+           COALESCE((i.job->>'collector_core_payout')::numeric, 0) AS core,
+           COALESCE((i.job->>'collector_distance_payout')::numeric, 0) AS distance,
+           COALESCE((i.job->>'collector_urgent_payout')::numeric, 0) AS urgent,
+           COALESCE((i.job->>'collector_surge_payout')::numeric, 0) AS surge
+    FROM items i
+  )
+  SELECT
+    l.item_type,
+    l.item_id,
+    l.job->>'location',
+    l.job->>'waste_type',
+    COALESCE((l.job->>'disposed_at')::timestamptz, (l.job->>'collected_at')::timestamptz, l.created_at),
+    round(l.gross, 2),
+    round(COALESCE((l.job->>'deadhead_km')::numeric, 0), 2),
+    round(l.core, 2),
+    round(l.distance, 2),
+    round(l.urgent, 2),
+    round(l.surge, 2),
+    COALESCE((l.job->>'surge_multiplier')::numeric, 1),
+    round(COALESCE((l.job->>'collector_tips')::numeric, 0), 2),
+    round(COALESCE((l.job->>'collector_recyclables_payout')::numeric, 0), 2),
+    round(COALESCE((l.job->>'collector_loyalty_cashback')::numeric, 0), 2),
+    round(COALESCE((l.payment->>'platform_share')::numeric, (l.job->>'platform_share')::numeric,
+                   GREATEST(l.gross - (l.core + l.distance + l.urgent + l.surge), 0)), 2),
+    round(COALESCE((l.job->>'collector_total_payout')::numeric, l.core + l.distance + l.urgent + l.surge), 2),
+    round(l.amount, 2)
+  FROM lines l
+  ORDER BY 5;
+END;
+$$;
+
+-- 5. Access
+ALTER TABLE payout_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_batches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors manage own payout schedule" ON payout_schedules;
+CREATE POLICY "Collectors manage own payout schedule" ON payout_schedules
+  FOR ALL USING (collector_id = auth.uid()) WITH CHECK (collector_id = auth.uid());
+
+-- Collectors set the cadence, threshold and wallet; next_run_at is the trigger's and
+-- last_run_at the scheduler's. Revoking the table-wide grants first also clears any
+-- column grants, so only the columns below stay writable.
+REVOKE INSERT, UPDATE ON payout_schedules FROM anon, authenticated;
+GRANT SELECT, DELETE ON payout_schedules TO authenticated;
+GRANT INSERT (collector_id, frequency, weekday, threshold, momo_number, momo_provider, account_name, enabled),
+      UPDATE (collector_id, frequency, weekday, threshold, momo_number, momo_provider, account_name, enabled)
+  ON payout_schedules TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION run_scheduled_payouts(timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION run_scheduled_payouts(timestamptz) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION run_scheduled_payouts(timestamptz) TO service_role;
+GRANT EXECUTE ON FUNCTION get_payout_statement(uuid) TO authenticated;
@@ -0,0 +1,129 @@
+-- ============================================================
+-- Migration: Cash custody and remittances
+-- Date: 2026-10-22
+-- Purpose:
+--   On a cash job the collector keeps the customer's money, platform
+--   share included. The ledger already debits the cash to the
+--   collector at collection and credits their share at disposal, so
+--   the platform's cut nets off their digital earnings; what was
+--   missing is a way to pay back what digital earnings don't cover.
+--
+--   1. ledger_transactions.kind gains 'remittance'.
+--   2. cash_remittances: a collector paying platform cash back by
+--      MoMo collection. Once the gateway settles it (the
+--      trendipay-webhook callback, or the payment-status function
+--      asking the gateway) the row turns 'success' and the trigger
+--      posts
+--        gateway -amount / collector +amount   (component remittance)
+--   3. Only status and gateway fields can change after insert, and
+--      only while the remittance is pending. Collectors can record
+--      the gateway's reference or a refusal; only the service role
+--      marks a remittance 'success', since that credits the ledger.
+--
+-- The outstanding remittance is derived from the ledger on the
+-- client (services/cashCustodyService): platform share of disposed
+-- cash jobs, less remittances, less what positive digital earnings
+-- already cover.
+-- ============================================================
+
+-- 1. New posting kind
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_kind_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_kind_check
+  CHECK (kind IN ('collection', 'disposal', 'tip', 'withdrawal', 'reversal', 'remittance'));
+
+-- 2. Remittances
+CREATE TABLE IF NOT EXISTS cash_remittances (
+  id                     uuid          NOT NULL DEFAULT gen_random_uuid(),
+  collector_id           uuid          NOT NULL DEFAULT auth.uid(),
+  amount                 numeric(10,2) NOT NULL CHECK (amount >= 1),   -- gateway minimum is 1 GHS
+  status                 text          NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+  payment_method         text          NOT NULL DEFAULT 'mobile_money',
+  phone_number           text          NOT NULL,
+  network                text          NOT NULL,
+  gateway_transaction_id text,
+  gateway_reference      text,
+  gateway_error          text,
+  created_at             timestamptz   NOT NULL DEFAULT now(),
+  updated_at             timestamptz   NOT NULL DEFAULT now(),
+  completed_at           timestamptz,
+  CONSTRAINT cash_remittances_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_remittances_collector ON cash_remittances(collector_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_cash_remittances_pending ON cash_remittances(created_at) WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION cash_remittances_guard()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.status <> 'pending' THEN
+    RAISE EXCEPTION 'Remittance % is already %', OLD.id, OLD.status;
+  END IF;
+  IF NEW.amount <> OLD.amount OR NEW.collector_id <> OLD.collector_id
+     OR NEW.phone_number <> OLD.phone_number OR NEW.network <> OLD.network THEN
+    RAISE EXCEPTION 'Only the status and gateway details of a remittance can change';
+  END IF;
+
+  NEW.updated_at := now();
+  IF NEW.status = 'success' THEN
+    NEW.completed_at := COALESCE(NEW.completed_at, now());
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS cash_remittances_guard ON cash_remittances;
+CREATE TRIGGER cash_remittances_guard
+  BEFORE UPDATE ON cash_remittances
+  FOR EACH ROW EXECUTE FUNCTION cash_remittances_guard();
+
+-- 3. Posting
+CREATE OR REPLACE FUNCTION ledger_on_cash_remittance()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_amount numeric(14,2) := round(NEW.amount, 2);
+BEGIN
+  IF NEW.status <> 'success' THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM post_ledger_transaction(
+    'remittance', 'cash_remittance', NEW.id::text, NEW.collector_id,
+    jsonb_build_array(
+      jsonb_build_object('account_type', 'gateway', 'component', 'remittance', 'amount', -v_amount),
+      jsonb_build_object('account_type', 'collector', 'owner_id', NEW.collector_id, 'component', 'remittance', 'amount', v_amount)
+    ),
+    'Cash remitted by mobile money',
+    jsonb_build_object('network', NEW.network, 'gateway_transaction_id', NEW.gateway_transaction_id),
+    COALESCE(NEW.completed_at, now())
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS cash_remittances_ledger ON cash_remittances;
+CREATE TRIGGER cash_remittances_ledger
+  AFTER INSERT OR UPDATE OF status ON cash_remittances
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_cash_remittance();
+
+-- 4. Access: collectors start their own remittances and can only fail them; success is the service role's
+ALTER TABLE cash_remittances ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors read own remittances" ON cash_remittances;
+CREATE POLICY "Collectors read own remittances" ON cash_remittances
+  FOR SELECT USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors start own remittances" ON cash_remittances;
+CREATE POLICY "Collectors start own remittances" ON cash_remittances
+  FOR INSERT WITH CHECK (collector_id = auth.uid() AND status = 'pending');
+
+DROP POLICY IF EXISTS "Collectors update own pending remittances" ON cash_remittances;
+CREATE POLICY "Collectors update own pending remittances" ON cash_remittances
+  FOR UPDATE USING (collector_id = auth.uid() AND status = 'pending')
+  WITH CHECK (collector_id = auth.uid() AND status IN ('pending', 'failed'));
+
+GRANT SELECT, INSERT, UPDATE ON cash_remittances TO authenticated;
@@ -0,0 +1,214 @@
+-- ============================================================
+-- Migration: Webhook event log and idempotent payment callbacks
+-- Date: 2026-10-23
+-- Purpose:
+--   Gateway callbacks were applied straight onto bin_payments with
+--   no memory of what had already been seen. A redelivered callback
+--   ran the update again, and a late 'pending' or 'failed' callback
+--   could overwrite a payment that had already succeeded.
+--
+--   1. webhook_events: every callback we accept, keyed by
+--      (provider, event_id), with what it did to which payment.
+--   2. process_payment_webhook(): records the event and applies it
+--      in one transaction. The event insert is the idempotency
+--      check; the payment row is locked while its status is
+--      compared, so two deliveries racing each other can't both
+--      apply. Status only moves forward:
+--        pending -> processing -> success | failed
+--      Completed payments (success, completed, failed, cancelled)
+--      are never changed by a callback; a contradicting one is kept
+--      as a 'conflict' for reconciliation to look at.
+--   3. Applied changes are written to payment_status_audit with
+--      source 'webhook'.
+--
+-- The reference on the callback is our row id. It is looked up in
+-- bin_payments, withdrawals and cash_remittances, in that order.
+-- Only the service role (webhook handlers) may call the function.
+-- ============================================================
+
+-- 1. Event log
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id              bigint        GENERATED ALWAYS AS IDENTITY,
+  provider        text          NOT NULL,
+  event_id        text          NOT NULL,
+  reference       text,
+  event_type      text,                     -- collection | disbursement
+  gateway_status  text,                     -- normalized: pending, processing, success, failed, expired
+  amount          numeric(10,2),
+  payload         jsonb         NOT NULL DEFAULT '{}',
+  event_at        timestamptz,              -- when the gateway says the status changed
+  received_at     timestamptz   NOT NULL DEFAULT now(),
+  processed_at    timestamptz,
+  target_table    text,
+  target_id       uuid,
+  previous_status text,
+  new_status      text,
+  outcome         text          NOT NULL DEFAULT 'received' CHECK (outcome IN (
+                    'received', 'applied', 'ignored', 'conflict', 'amount_mismatch', 'unknown_reference')),
+  CONSTRAINT webhook_events_pkey PRIMARY KEY (id),
+  CONSTRAINT webhook_events_provider_event_key UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_target ON webhook_events(target_table, target_id, received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_reference ON webhook_events(reference);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_attention ON webhook_events(received_at)
+  WHERE outcome IN ('conflict', 'amount_mismatch', 'unknown_reference');
+
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+-- No policies: only the service role reads or writes the log
+
+-- 2. Record and apply one callback
+CREATE OR REPLACE FUNCTION process_payment_webhook(
+  p_provider          text,
+  p_event_id          text,
+  p_reference         text,
+  p_status            text,                 -- normalized gateway status
+  p_event_type        text DEFAULT NULL,
+  p_transaction_id    text DEFAULT NULL,
+  p_gateway_reference text DEFAULT NULL,
+  p_reason            text DEFAULT NULL,
+  p_amount            numeric DEFAULT NULL, -- GHS
+  p_payload           jsonb DEFAULT '{}',
+  p_event_at          timestamptz DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_event_id   bigint;
+  v_existing   webhook_events%ROWTYPE;
+  v_table      text;
+  v_target     uuid;
+  v_current    text;
+  v_amount     numeric;
+  v_new        text;
+  v_outcome    text;
+  v_bin        uuid;
+BEGIN
+  IF p_status NOT IN ('pending', 'processing', 'success', 'failed', 'expired') THEN
+    RAISE EXCEPTION 'Unknown gateway status %', p_status;
+  END IF;
+
+  INSERT INTO webhook_events (provider, event_id, reference, event_type, gateway_status, amount, payload, event_at)
+  VALUES (p_provider, p_event_id, p_reference, p_event_type, p_status, p_amount, COALESCE(p_payload, '{}'), p_event_at)
+  ON CONFLICT (provider, event_id) DO NOTHING
+  RETURNING id INTO v_event_id;
+
+  IF v_event_id IS NULL THEN
+    SELECT * INTO v_existing FROM webhook_events WHERE provider = p_provider AND event_id = p_event_id;
+    RETURN jsonb_build_object(
+      'duplicate', true,
+      'outcome', v_existing.outcome,
+      'target_table', v_existing.target_table,
+      'target_id', v_existing.target_id,
+      'previous_status', v_existing.previous_status,
+      'new_status', v_existing.new_status
+    );
+  END IF;
+
+  -- Find and lock the payment the callback is about
+  IF p_reference ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+    SELECT id, status, CASE WHEN type = 'disbursement' THEN collector_share ELSE total_bill END
+    INTO v_target, v_current, v_amount
+    FROM bin_payments WHERE id = p_reference::uuid FOR UPDATE;
+    IF FOUND THEN
+      v_table := 'bin_payments';
+    ELSE
+      SELECT id, status, amount INTO v_target, v_current, v_amount
+      FROM withdrawals WHERE id = p_reference::uuid FOR UPDATE;
+      IF FOUND THEN
+        v_table := 'withdrawals';
+      ELSE
+        SELECT id, status, amount INTO v_target, v_current, v_amount
+        FROM cash_remittances WHERE id = p_reference::uuid FOR UPDATE;
+        IF FOUND THEN
+          v_table := 'cash_remittances';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  IF v_table IS NULL THEN
+    v_outcome := 'unknown_reference';
+  ELSE
+    -- What this callback would make the row
+    v_new := CASE
+      WHEN p_status = 'success' THEN CASE WHEN v_table = 'withdrawals' THEN 'completed' ELSE 'success' END
+      WHEN p_status IN ('failed', 'expired') THEN 'failed'
+      WHEN p_status = 'processing' AND v_table = 'withdrawals' THEN 'processing'
+      ELSE NULL
+    END;
+
+    IF v_current IN ('success', 'completed', 'failed', 'cancelled') THEN
+      -- Settled rows stay settled; a late callback that disagrees is flagged, not applied
+      v_outcome := CASE WHEN v_new IS NOT NULL AND v_new <> v_current AND p_status <> 'processing'
+                        THEN 'conflict' ELSE 'ignored' END;
+      v_new := NULL;
+    ELSIF v_new IS NULL OR v_new = v_current THEN
+      v_outcome := 'ignored';
+      v_new := NULL;
+    ELSIF v_new IN ('success', 'completed') AND p_amount IS NOT NULL AND v_amount IS NOT NULL
+          AND abs(p_amount - v_amount) > 0.01 THEN
+      v_outcome := 'amount_mismatch';
+      v_new := NULL;
+    ELSE
+      v_outcome := 'applied';
+    END IF;
+  END IF;
+
+  IF v_outcome = 'applied' THEN
+    IF v_table = 'bin_payments' THEN
+      UPDATE bin_payments
+      SET status = v_new,
+          gateway_reference = COALESCE(p_gateway_reference, gateway_reference),
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_error = CASE WHEN v_new = 'failed' THEN COALESCE(p_reason, 'Payment ' || p_status) ELSE NULL END,
+          updated_at = now()
+      WHERE id = v_target
+      RETURNING digital_bin_id INTO v_bin;
+    ELSIF v_table = 'withdrawals' THEN
+      UPDATE withdrawals
+      SET status = v_new,
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_response = COALESCE(p_payload, gateway_response),
+          gateway_error = CASE WHEN v_new = 'failed' THEN COALESCE(p_reason, 'Payout ' || p_status) ELSE gateway_error END,
+          completed_at = CASE WHEN v_new = 'completed' THEN COALESCE(p_event_at, now()) ELSE completed_at END
+      WHERE id = v_target;
+    ELSE
+      UPDATE cash_remittances
+      SET status = v_new,
+          gateway_reference = COALESCE(p_gateway_reference, gateway_reference),
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_error = CASE WHEN v_new = 'failed' THEN COALESCE(p_reason, 'Payment ' || p_status) ELSE NULL END
+      WHERE id = v_target;
+    END IF;
+
+    INSERT INTO payment_status_audit (payment_table, payment_id, old_status, new_status, source, reason)
+    VALUES (v_table, v_target, v_current, v_new, 'webhook', p_provider || ' event ' || p_event_id);
+  END IF;
+
+  UPDATE webhook_events
+  SET processed_at = now(),
+      target_table = v_table,
+      target_id = v_target,
+      previous_status = v_current,
+      new_status = v_new,
+      outcome = v_outcome
+  WHERE id = v_event_id;
+
+  RETURN jsonb_build_object(
+    'duplicate', false,
+    'outcome', v_outcome,
+    'target_table', v_table,
+    'target_id', v_target,
+    'previous_status', v_current,
+    'new_status', v_new,
+    'digital_bin_id', v_bin
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION process_payment_webhook(text, text, text, text, text, text, text, text, numeric, jsonb, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION process_payment_webhook(text, text, text, text, text, text, text, text, numeric, jsonb, timestamptz) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION process_payment_webhook(text, text, text, text, text, text, text, text, numeric, jsonb, timestamptz) TO service_role;
@@ -0,0 +1,515 @@
+-- ============================================================
+-- Migration: Payment disputes and refunds
+-- Date: 2026-10-24
+-- Purpose:
+--   A settled digital bin payment could only be corrected by hand in
+--   the database (wrong amount keyed in, a bag scanned twice in
+--   DigitalBinPaymentModal). This adds a dispute that ends in a
+--   refund to the customer's MoMo wallet and an earnings adjustment.
+--
+--   1. payment_disputes: raised on a successful collection by the
+--      bin's collector (from the app) or by support (service role).
+--      A collector's dispute always refunds to the wallet the customer
+--      paid from; only support can name another one.
+--        open -> refunding -> refunded
+--                          -> refund_failed -> refunding (retry)
+--        open -> rejected
+--   2. resolve_payment_dispute(): support approves (with the amount
+--      to refund) or rejects. Approval moves the dispute to
+--      'refunding'; the payment-disputes Edge Function then sends the
+--      disbursement with the dispute id as reference and the
+--      trendipay-webhook callback settles it.
+--   3. ledger_transactions.kind gains 'refund'. When a dispute turns
+--      'refunded' the refund is posted against the bin's disposal:
+--        gateway   +refund                         (money back out)
+--        collector -refund x their fee share of the bill, per component
+--        platform  -the rest
+--      metadata.original_transaction_id links it to the disposal.
+--   4. process_payment_webhook() also resolves payment_disputes
+--      references (success -> refunded, failed -> refund_failed).
+--
+-- Refunds are only settled once the bin is disposed, when the split
+-- of the bill between collector and platform is known. The total
+-- refunded on a payment can never exceed what the customer paid.
+-- ============================================================
+
+-- 1. New posting kind
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_kind_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_kind_check
+  CHECK (kind IN ('collection', 'disposal', 'tip', 'withdrawal', 'reversal', 'remittance', 'refund'));
+
+-- 2. Disputes
+CREATE TABLE IF NOT EXISTS payment_disputes (
+  id                     uuid          NOT NULL DEFAULT gen_random_uuid(),
+  bin_payment_id         uuid          NOT NULL,
+  digital_bin_id         uuid,
+  collector_id           uuid          NOT NULL DEFAULT auth.uid(),  -- auth user, as on the ledger
+  raised_by              uuid          DEFAULT auth.uid(),
+  raised_by_role         text          NOT NULL DEFAULT 'collector' CHECK (raised_by_role IN ('collector', 'support')),
+  reason                 text          NOT NULL CHECK (reason IN (
+                           'wrong_amount', 'double_scan', 'duplicate_payment', 'service_not_rendered', 'other')),
+  details                text,
+  payment_amount         numeric(10,2),                              -- bin_payments.total_bill, filled on insert
+  requested_amount       numeric(10,2) NOT NULL CHECK (requested_amount > 0),
+  refund_amount          numeric(10,2) CHECK (refund_amount > 0),     -- set on approval
+  refund_momo            text,
+  refund_network         text,
+  status                 text          NOT NULL DEFAULT 'open' CHECK (status IN (
+                           'open', 'rejected', 'refunding', 'refunded', 'refund_failed')),
+  resolution_notes       text,
+  resolved_by            uuid,
+  resolved_at            timestamptz,
+  gateway_transaction_id text,
+  gateway_reference      text,
+  gateway_error          text,
+  created_at             timestamptz   NOT NULL DEFAULT now(),
+  updated_at             timestamptz   NOT NULL DEFAULT now(),
+  refunded_at            timestamptz,
+  CONSTRAINT payment_disputes_pkey PRIMARY KEY (id),
+  CONSTRAINT payment_disputes_payment_fkey FOREIGN KEY (bin_payment_id) REFERENCES bin_payments(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_collector ON payment_disputes(collector_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_open ON payment_disputes(created_at) WHERE status IN ('open', 'refund_failed');
+-- One live dispute per payment at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_disputes_live
+  ON payment_disputes(bin_payment_id) WHERE status IN ('open', 'refunding', 'refund_failed');
+
+-- What can still be refunded on a payment, leaving one dispute out of the count
+CREATE OR REPLACE FUNCTION payment_refundable_amount(p_bin_payment_id uuid, p_except_dispute uuid DEFAULT NULL)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT bp.total_bill - COALESCE((
+    SELECT SUM(d.refund_amount)
+    FROM payment_disputes d
+    WHERE d.bin_payment_id = bp.id
+      AND d.status IN ('refunding', 'refunded')
+      AND d.id IS DISTINCT FROM p_except_dispute
+  ), 0)
+  FROM bin_payments bp
+  WHERE bp.id = p_bin_payment_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION payment_refundable_amount(uuid, uuid) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION payment_refundable_amount(uuid, uuid) FROM anon, authenticated;
+
+CREATE OR REPLACE FUNCTION payment_disputes_prepare()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_payment bin_payments%ROWTYPE;
+  v_bin_collector uuid;
+BEGIN
+  SELECT * INTO v_payment FROM bin_payments WHERE id = NEW.bin_payment_id;
+  IF NOT FOUND OR v_payment.type <> 'collection' OR v_payment.status <> 'success' THEN
+    RAISE EXCEPTION 'Only successful customer payments can be disputed';
+  END IF;
+
+  SELECT collector_id INTO v_bin_collector FROM digital_bins WHERE id = v_payment.digital_bin_id;
+
+  IF auth.role() = 'service_role' THEN
+    NEW.raised_by_role := 'support';
+  ELSE
+    IF v_bin_collector IS DISTINCT FROM auth.uid() THEN
+      RAISE EXCEPTION 'You can only dispute payments for your own collections';
+    END IF;
+    NEW.raised_by_role := 'collector';
+  END IF;
+
+  NEW.status := 'open';
+  NEW.collector_id := v_bin_collector;
+  NEW.digital_bin_id := v_payment.digital_bin_id;
+  NEW.payment_amount := v_payment.total_bill;
+  NEW.refund_amount := NULL;
+  IF NEW.raised_by_role = 'support' THEN
+    NEW.refund_momo := COALESCE(NULLIF(NEW.refund_momo, ''), v_payment.client_momo);
+    NEW.refund_network := COALESCE(NULLIF(NEW.refund_network, ''), v_payment.client_rswitch);
+  ELSE
+    -- Whatever the app sent, the money goes back where it came from
+    NEW.refund_momo := v_payment.client_momo;
+    NEW.refund_network := v_payment.client_rswitch;
+  END IF;
+
+  IF NEW.requested_amount > payment_refundable_amount(NEW.bin_payment_id) THEN
+    RAISE EXCEPTION 'At most % can still be refunded on this payment', payment_refundable_amount(NEW.bin_payment_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_disputes_prepare ON payment_disputes;
+CREATE TRIGGER payment_disputes_prepare
+  BEFORE INSERT ON payment_disputes
+  FOR EACH ROW EXECUTE FUNCTION payment_disputes_prepare();
+
+CREATE OR REPLACE FUNCTION payment_disputes_guard()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.status IN ('refunded', 'rejected') THEN
+    RAISE EXCEPTION 'Dispute % is already %', OLD.id, OLD.status;
+  END IF;
+  IF NEW.bin_payment_id <> OLD.bin_payment_id OR NEW.collector_id <> OLD.collector_id
+     OR NEW.payment_amount IS DISTINCT FROM OLD.payment_amount THEN
+    RAISE EXCEPTION 'A dispute cannot be moved to another payment or collector';
+  END IF;
+
+  NEW.updated_at := now();
+  IF NEW.status = 'refunded' THEN
+    NEW.refunded_at := COALESCE(NEW.refunded_at, now());
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_disputes_guard ON payment_disputes;
+CREATE TRIGGER payment_disputes_guard
+  BEFORE UPDATE ON payment_disputes
+  FOR EACH ROW EXECUTE FUNCTION payment_disputes_guard();
+
+-- 3. Support decision
+CREATE OR REPLACE FUNCTION resolve_payment_dispute(
+  p_dispute_id    uuid,
+  p_decision      text,             -- approve | reject
+  p_refund_amount numeric DEFAULT NULL,
+  p_notes         text DEFAULT NULL,
+  p_resolved_by   uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_dispute payment_disputes%ROWTYPE;
+  v_amount  numeric(10,2);
+BEGIN
+  IF p_decision NOT IN ('approve', 'reject') THEN
+    RAISE EXCEPTION 'Unknown decision %', p_decision;
+  END IF;
+
+  SELECT * INTO v_dispute FROM payment_disputes WHERE id = p_dispute_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Dispute % not found', p_dispute_id;
+  END IF;
+  IF v_dispute.status NOT IN ('open', 'refund_failed') THEN
+    RAISE EXCEPTION 'Dispute % is %, not awaiting a decision', p_dispute_id, v_dispute.status;
+  END IF;
+
+  IF p_decision = 'reject' THEN
+    UPDATE payment_disputes
+    SET status = 'rejected', resolution_notes = p_notes, resolved_by = p_resolved_by, resolved_at = now()
+    WHERE id = p_dispute_id
+    RETURNING * INTO v_dispute;
+    RETURN to_jsonb(v_dispute);
+  END IF;
+
+  v_amount := round(COALESCE(p_refund_amount, v_dispute.refund_amount, v_dispute.requested_amount), 2);
+  IF v_amount <= 0 OR v_amount > payment_refundable_amount(v_dispute.bin_payment_id, p_dispute_id) THEN
+    RAISE EXCEPTION 'Refund of % is more than is left on the payment', v_amount;
+  END IF;
+  IF v_dispute.refund_momo IS NULL THEN
+    RAISE EXCEPTION 'Dispute % has no MoMo number to refund to', p_dispute_id;
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM ledger_transactions
+    WHERE kind = 'disposal' AND source_type = 'digital_bin' AND source_id = v_dispute.digital_bin_id::text
+  ) THEN
+    RAISE EXCEPTION 'Bin % is not disposed yet; refunds are settled after disposal', v_dispute.digital_bin_id;
+  END IF;
+
+  UPDATE payment_disputes
+  SET status = 'refunding',
+      refund_amount = v_amount,
+      resolution_notes = COALESCE(p_notes, resolution_notes),
+      resolved_by = p_resolved_by,
+      resolved_at = now(),
+      gateway_transaction_id = NULL,
+      gateway_reference = NULL,
+      gateway_error = NULL
+  WHERE id = p_dispute_id
+  RETURNING * INTO v_dispute;
+
+  RETURN to_jsonb(v_dispute);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION resolve_payment_dispute(uuid, text, numeric, text, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION resolve_payment_dispute(uuid, text, numeric, text, uuid) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_payment_dispute(uuid, text, numeric, text, uuid) TO service_role;
+
+-- 4. Posting
+CREATE OR REPLACE FUNCTION ledger_on_payment_refund()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_disposal  ledger_transactions%ROWTYPE;
+  v_refund    numeric(14,2) := round(NEW.refund_amount, 2);
+  v_bill      numeric(14,2);
+  v_component record;
+  v_part      numeric(14,2);
+  v_collector numeric(14,2) := 0;
+  v_entries   jsonb := '[]'::jsonb;
+BEGIN
+  IF NEW.status <> 'refunded' OR OLD.status = 'refunded' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_disposal
+  FROM ledger_transactions
+  WHERE kind = 'disposal' AND source_type = 'digital_bin' AND source_id = NEW.digital_bin_id::text;
+  v_bill := (v_disposal.metadata->>'bill')::numeric;
+  IF v_disposal.id IS NULL OR COALESCE(v_bill, 0) <= 0 THEN
+    RAISE EXCEPTION 'Bin % has no disposal to refund against', NEW.digital_bin_id;
+  END IF;
+
+  -- The collector gives back their share of the refunded part of the bill, component by component
+  FOR v_component IN
+    SELECT e.component, SUM(e.amount) AS amount
+    FROM ledger_entries e
+    INNER JOIN ledger_accounts a ON a.id = e.account_id
+    WHERE e.transaction_id = v_disposal.id
+      AND a.account_type = 'collector'
+      AND e.component IN ('core', 'urgent', 'distance', 'surge')
+    GROUP BY e.component
+  LOOP
+    v_part := round(v_refund * v_component.amount / v_bill, 2);
+    CONTINUE WHEN v_part = 0;
+    v_collector := v_collector + v_part;
+    v_entries := v_entries || jsonb_build_array(jsonb_build_object(
+      'account_type', 'collector', 'owner_id', v_disposal.collector_id, 'component', v_component.component, 'amount', -v_part));
+  END LOOP;
+
+  v_entries := v_entries || jsonb_build_array(
+    jsonb_build_object('account_type', 'gateway', 'component', 'refund', 'amount', v_refund),
+    jsonb_build_object('account_type', 'platform', 'component', 'refund', 'amount', -(v_refund - v_collector))
+  );
+
+  PERFORM post_ledger_transaction(
+    'refund', 'payment_dispute', NEW.id::text, v_disposal.collector_id, v_entries,
+    'Refund to customer',
+    jsonb_build_object(
+      'job_type', 'digital_bin',
+      'job_id', NEW.digital_bin_id,
+      'bin_payment_id', NEW.bin_payment_id,
+      'dispute_id', NEW.id,
+      'reason', NEW.reason,
+      'refund_amount', v_refund,
+      'payment_mode', v_disposal.metadata->>'payment_mode',
+      'original_transaction_id', v_disposal.id
+    ),
+    COALESCE(NEW.refunded_at, now())
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS payment_disputes_ledger ON payment_disputes;
+CREATE TRIGGER payment_disputes_ledger
+  AFTER UPDATE OF status ON payment_disputes
+  FOR EACH ROW EXECUTE FUNCTION ledger_on_payment_refund();
+
+-- 5. Access: collectors raise and follow disputes on their own bins; support resolves them
+ALTER TABLE payment_disputes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors read own disputes" ON payment_disputes;
+CREATE POLICY "Collectors read own disputes" ON payment_disputes
+  FOR SELECT USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors raise disputes" ON payment_disputes;
+CREATE POLICY "Collectors raise disputes" ON payment_disputes
+  FOR INSERT WITH CHECK (raised_by = auth.uid());
+
+GRANT SELECT, INSERT ON payment_disputes TO authenticated;
+
+-- 6. Refund callbacks: process_payment_webhook() learns the disputes table
+CREATE OR REPLACE FUNCTION process_payment_webhook(
+  p_provider          text,
+  p_event_id          text,
+  p_reference         text,
+  p_status            text,
+  p_event_type        text DEFAULT NULL,
+  p_transaction_id    text DEFAULT NULL,
+  p_gateway_reference text DEFAULT NULL,
+  p_reason            text DEFAULT NULL,
+  p_amount            numeric DEFAULT NULL,
+  p_payload           jsonb DEFAULT '{}',
+  p_event_at          timestamptz DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_event_id   bigint;
+  v_existing   webhook_events%ROWTYPE;
+  v_table      text;
+  v_target     uuid;
+  v_current    text;
+  v_amount     numeric;
+  v_new        text;
+  v_outcome    text;
+  v_bin        uuid;
+BEGIN
+  IF p_status NOT IN ('pending', 'processing', 'success', 'failed', 'expired') THEN
+    RAISE EXCEPTION 'Unknown gateway status %', p_status;
+  END IF;
+
+  INSERT INTO webhook_events (provider, event_id, reference, event_type, gateway_status, amount, payload, event_at)
+  VALUES (p_provider, p_event_id, p_reference, p_event_type, p_status, p_amount, COALESCE(p_payload, '{}'), p_event_at)
+  ON CONFLICT (provider, event_id) DO NOTHING
+  RETURNING id INTO v_event_id;
+
+  IF v_event_id IS NULL THEN
+    SELECT * INTO v_existing FROM webhook_events WHERE provider = p_provider AND event_id = p_event_id;
+    RETURN jsonb_build_object(
+      'duplicate', true,
+      'outcome', v_existing.outcome,
+      'target_table', v_existing.target_table,
+      'target_id', v_existing.target_id,
+      'previous_status', v_existing.previous_status,
+      'new_status', v_existing.new_status
+    );
+  END IF;
+
+  -- Find and lock the payment the callback is about
+  IF p_reference ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+    SELECT id, status, CASE WHEN type = 'disbursement' THEN collector_share ELSE total_bill END
+    INTO v_target, v_current, v_amount
+    FROM bin_payments WHERE id = p_reference::uuid FOR UPDATE;
+    IF FOUND THEN
+      v_table := 'bin_payments';
+    ELSE
+      SELECT id, status, amount INTO v_target, v_current, v_amount
+      FROM withdrawals WHERE id = p_reference::uuid FOR UPDATE;
+      IF FOUND THEN
+        v_table := 'withdrawals';
+      ELSE
+        SELECT id, status, amount INTO v_target, v_current, v_amount
+        FROM cash_remittances WHERE id = p_reference::uuid FOR UPDATE;
+        IF FOUND THEN
+          v_table := 'cash_remittances';
+        ELSE
+          SELECT id, status, refund_amount INTO v_target, v_current, v_amount
+          FROM payment_disputes WHERE id = p_reference::uuid FOR UPDATE;
+          IF FOUND THEN
+            v_table := 'payment_disputes';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  IF v_table IS NULL THEN
+    v_outcome := 'unknown_reference';
+  ELSIF v_table = 'payment_disputes' THEN
+    -- Only a refund that is out with the gateway can be settled by a callback
+    v_new := CASE
+      WHEN p_status = 'success' THEN 'refunded'
+      WHEN p_status IN ('failed', 'expired') THEN 'refund_failed'
+      ELSE NULL
+    END;
+
+    IF v_current <> 'refunding' THEN
+      v_outcome := CASE WHEN v_current = 'refunded' AND v_new = 'refund_failed' THEN 'conflict' ELSE 'ignored' END;
+      v_new := NULL;
+    ELSIF v_new IS NULL THEN
+      v_outcome := 'ignored';
+    ELSIF v_new = 'refunded' AND p_amount IS NOT NULL AND v_amount IS NOT NULL AND abs(p_amount - v_amount) > 0.01 THEN
+      v_outcome := 'amount_mismatch';
+      v_new := NULL;
+    ELSE
+      v_outcome := 'applied';
+    END IF;
+  ELSE
+    -- What this callback would make the row
+    v_new := CASE
+      WHEN p_status = 'success' THEN CASE WHEN v_table = 'withdrawals' THEN 'completed' ELSE 'success' END
+      WHEN p_status IN ('failed', 'expired') THEN 'failed'
+      WHEN p_status = 'processing' AND v_table = 'withdrawals' THEN 'processing'
+      ELSE NULL
+    END;
+
+    IF v_current IN ('success', 'completed', 'failed', 'cancelled') THEN
+      -- Settled rows stay settled; a late callback that disagrees is flagged, not applied
+      v_outcome := CASE WHEN v_new IS NOT NULL AND v_new <> v_current AND p_status <> 'processing'
+                        THEN 'conflict' ELSE 'ignored' END;
+      v_new := NULL;
+    ELSIF v_new IS NULL OR v_new = v_current THEN
+      v_outcome := 'ignored';
+      v_new := NULL;
+    ELSIF v_new IN ('success', 'completed') AND p_amount IS NOT NULL AND v_amount IS NOT NULL
+          AND abs(p_amount - v_amount) > 0.01 THEN
+      v_outcome := 'amount_mismatch';
+      v_new := NULL;
+    ELSE
+      v_outcome := 'applied';
+    END IF;
+  END IF;
+
+  IF v_outcome = 'applied' THEN
+    IF v_table = 'bin_payments' THEN
+      UPDATE bin_payments
+      SET status = v_new,
+          gateway_reference = COALESCE(p_gateway_reference, gateway_reference),
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_error = CASE WHEN v_new = 'failed' THEN COALESCE(p_reason, 'Payment ' || p_status) ELSE NULL END,
+          updated_at = now()
+      WHERE id = v_target
+      RETURNING digital_bin_id INTO v_bin;
+    ELSIF v_table = 'withdrawals' THEN
+      UPDATE withdrawals
+      SET status = v_new,
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_response = COALESCE(p_payload, gateway_response),
+          gateway_error = CASE WHEN v_new = 'failed' THEN COALESCE(p_reason, 'Payout ' || p_status) ELSE gateway_error END,
+          completed_at = CASE WHEN v_new = 'completed' THEN COALESCE(p_event_at, now()) ELSE completed_at END
+      WHERE id = v_target;
+    ELSIF v_table = 'cash_remittances' THEN
+      UPDATE cash_remittances
+      SET status = v_new,
+          gateway_reference = COALESCE(p_gateway_reference, gateway_reference),
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_error = CASE WHEN v_new = 'failed' THEN COALESCE(p_reason, 'Payment ' || p_status) ELSE NULL END
+      WHERE id = v_target;
+    ELSE
+      UPDATE payment_disputes
+      SET status = v_new,
+          gateway_reference = COALESCE(p_gateway_reference, gateway_reference),
+          gateway_transaction_id = COALESCE(p_transaction_id, gateway_transaction_id),
+          gateway_error = CASE WHEN v_new = 'refund_failed' THEN COALESCE(p_reason, 'Refund ' || p_status) ELSE NULL END,
+          refunded_at = CASE WHEN v_new = 'refunded' THEN COALESCE(p_event_at, now()) ELSE refunded_at END
+      WHERE id = v_target;
+    END IF;
+
+    INSERT INTO payment_status_audit (payment_table, payment_id, old_status, new_status, source, reason)
+    VALUES (v_table, v_target, v_current, v_new, 'webhook', p_provider || ' event ' || p_event_id);
+  END IF;
+
+  UPDATE webhook_events
+  SET processed_at = now(),
+      target_table = v_table,
+      target_id = v_target,
+      previous_status = v_current,
+      new_status = v_new,
+      outcome = v_outcome
+  WHERE id = v_event_id;
+
+  RETURN jsonb_build_object(
+    'duplicate', false,
+    'outcome', v_outcome,
+    'target_table', v_table,
+    'target_id', v_target,
+    'previous_status', v_current,
+    'new_status', v_new,
+    'digital_bin_id', v_bin
+  );
+END;
+$$;
@@ -0,0 +1,235 @@
+-- ============================================================
+-- Migration: Earnings time series
+-- Date: 2026-10-25
+-- Purpose:
+--   The Earnings chart was drawn from whatever transactions the page
+--   had already loaded, so it could not show more than a few weeks
+--   and had no notion of hours worked or distance. This adds a
+--   server-side series the chart can ask for a year of at a time.
+--
+--   1. collector_earnings_buckets(): one row per day, week or month
+--      between two dates, with what the collector earned split into
+--        pickup       fee share of disposed pickup requests
+--        digital_bin  fee share of disposed digital bins
+--        tips
+--        loyalty      loyalty cashback
+--      Amounts come from the collector's ledger entries (disposal,
+--      tip and refund postings and their reversals), so refunds and
+--      corrections land in the bucket they happened in.
+--      Each row also has the jobs disposed, hours online and km
+--      driven:
+--        hours_online  collector_sessions rows are status changes;
+--                      an 'online' row lasts until the next change,
+--                      or until the collector's last activity for
+--                      the latest one
+--        km_driven     deadhead_km of the jobs disposed (the drive
+--                      to the pickup, the only distance recorded per
+--                      job)
+--   2. get_collector_earnings_aggregate(collector, start, end,
+--      granularity): the buckets plus totals for the range and for
+--      the range of the same length just before it. The older
+--      three-argument overload (scripts/create-earnings-aggregate-rpc.sql)
+--      is left alone.
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_collector_sessions_status_change
+  ON collector_sessions ((collector_id::text), last_status_change);
+
+-- 1. Buckets
+CREATE OR REPLACE FUNCTION collector_earnings_buckets(
+  p_collector_id uuid,
+  p_start        timestamptz,
+  p_end          timestamptz,
+  p_granularity  text
+)
+RETURNS TABLE (
+  bucket_start timestamptz,
+  pickup       numeric,
+  digital_bin  numeric,
+  tips         numeric,
+  loyalty      numeric,
+  jobs         integer,
+  hours_online numeric,
+  km_driven    numeric
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH buckets AS (
+    SELECT b AS bucket_start, b + ('1 ' || p_granularity)::interval AS bucket_end
+    FROM generate_series(date_trunc(p_granularity, p_start), p_end - interval '1 microsecond',
+                         ('1 ' || p_granularity)::interval) AS b
+  ),
+  earned AS (
+    SELECT t.occurred_at,
+           e.amount,
+           CASE
+             WHEN e.component = 'loyalty' THEN 'loyalty'
+             WHEN e.component = 'tips' THEN 'tips'
+             WHEN COALESCE(t.metadata->>'job_type', o.source_type, t.source_type) = 'digital_bin' THEN 'digital_bin'
+             ELSE 'pickup'
+           END AS category
+    FROM ledger_transactions t
+    INNER JOIN ledger_entries e ON e.transaction_id = t.id
+    INNER JOIN ledger_accounts a ON a.id = e.account_id
+    LEFT JOIN ledger_transactions o ON o.id = t.reverses_id
+    WHERE t.collector_id = p_collector_id
+      AND a.account_type = 'collector' AND a.owner_id = p_collector_id
+      AND t.occurred_at >= p_start AND t.occurred_at < p_end
+      AND (t.kind IN ('disposal', 'tip', 'refund')
+           OR (t.kind = 'reversal' AND o.kind IN ('disposal', 'tip', 'refund')))
+  ),
+  disposals AS (
+    SELECT t.occurred_at,
+           COALESCE(db.deadhead_km, pr.deadhead_km, 0)::numeric AS km
+    FROM ledger_transactions t
+    LEFT JOIN digital_bins db ON t.source_type = 'digital_bin' AND db.id::text = t.source_id
+    LEFT JOIN pickup_requests pr ON t.source_type = 'pickup_request' AND pr.id::text = t.source_id
+    WHERE t.collector_id = p_collector_id
+      AND t.kind = 'disposal'
+      AND t.occurred_at >= p_start AND t.occurred_at < p_end
+  ),
+  status_changes AS (
+    SELECT s.status,
+           s.last_status_change AS started_at,
+           COALESCE(
+             LEAD(s.last_status_change) OVER (ORDER BY s.last_status_change),
+             LEAST(now(), GREATEST(s.last_activity, s.last_status_change))
+           ) AS ended_at
+    FROM collector_sessions s
+    WHERE s.collector_id::text = p_collector_id::text
+      AND s.last_status_change >= p_start - interval '1 day'
+      AND s.last_status_change < p_end
+  ),
+  online AS (
+    SELECT GREATEST(started_at, p_start) AS started_at, LEAST(ended_at, p_end) AS ended_at
+    FROM status_changes
+    WHERE status = 'online' AND ended_at > p_start
+  ),
+  earned_by_bucket AS (
+    SELECT date_trunc(p_granularity, occurred_at) AS bucket_start,
+           SUM(amount) FILTER (WHERE category = 'pickup') AS pickup,
+           SUM(amount) FILTER (WHERE category = 'digital_bin') AS digital_bin,
+           SUM(amount) FILTER (WHERE category = 'tips') AS tips,
+           SUM(amount) FILTER (WHERE category = 'loyalty') AS loyalty
+    FROM earned
+    GROUP BY 1
+  ),
+  disposals_by_bucket AS (
+    SELECT date_trunc(p_granularity, occurred_at) AS bucket_start,
+           COUNT(*)::integer AS jobs,
+           SUM(km) AS km
+    FROM disposals
+    GROUP BY 1
+  )
+  SELECT
+    b.bucket_start,
+    COALESCE(x.pickup, 0),
+    COALESCE(x.digital_bin, 0),
+    COALESCE(x.tips, 0),
+    COALESCE(x.loyalty, 0),
+    COALESCE(d.jobs, 0),
+    (SELECT round(COALESCE(SUM(EXTRACT(EPOCH FROM
+              LEAST(s.ended_at, b.bucket_end) - GREATEST(s.started_at, b.bucket_start))), 0) / 3600, 2)
+       FROM online s
+      WHERE s.started_at < b.bucket_end AND s.ended_at > b.bucket_start),
+    round(COALESCE(d.km, 0), 2)
+  FROM buckets b
+  LEFT JOIN earned_by_bucket x ON x.bucket_start = b.bucket_start
+  LEFT JOIN disposals_by_bucket d ON d.bucket_start = b.bucket_start
+  ORDER BY b.bucket_start;
+$$;
+
+-- 2. Series for the Earnings chart
+CREATE OR REPLACE FUNCTION get_collector_earnings_aggregate(
+  p_collector_id uuid,
+  p_start_date   timestamptz,
+  p_end_date     timestamptz,
+  p_granularity  text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_end      timestamptz := COALESCE(p_end_date, now());
+  v_start    timestamptz;
+  v_prev     timestamptz;
+  v_buckets  jsonb;
+  v_totals   jsonb;
+  v_previous jsonb;
+BEGIN
+  IF p_collector_id IS DISTINCT FROM auth.uid() AND auth.role() <> 'service_role' THEN
+    RAISE EXCEPTION 'Earnings of collector % not found', p_collector_id;
+  END IF;
+
+  IF p_granularity NOT IN ('day', 'week', 'month') THEN
+    RAISE EXCEPTION 'Unknown granularity %', p_granularity;
+  END IF;
+
+  v_start := date_trunc(p_granularity, COALESCE(p_start_date, v_end - interval '30 days'));
+  IF v_start >= v_end THEN
+    RAISE EXCEPTION 'Start date must be before end date';
+  END IF;
+  IF v_end - v_start > interval '750 days' THEN
+    RAISE EXCEPTION 'Range is limited to two years';
+  END IF;
+  v_prev := v_start - (v_end - v_start);
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'start', b.bucket_start,
+           'pickup', b.pickup,
+           'digital_bin', b.digital_bin,
+           'tips', b.tips,
+           'loyalty', b.loyalty,
+           'total', b.pickup + b.digital_bin + b.tips + b.loyalty,
+           'jobs', b.jobs,
+           'hours_online', b.hours_online,
+           'km_driven', b.km_driven
+         ) ORDER BY b.bucket_start), '[]'::jsonb),
+         jsonb_build_object(
+           'pickup', COALESCE(SUM(b.pickup), 0),
+           'digital_bin', COALESCE(SUM(b.digital_bin), 0),
+           'tips', COALESCE(SUM(b.tips), 0),
+           'loyalty', COALESCE(SUM(b.loyalty), 0),
+           'total', COALESCE(SUM(b.pickup + b.digital_bin + b.tips + b.loyalty), 0),
+           'jobs', COALESCE(SUM(b.jobs), 0),
+           'hours_online', COALESCE(SUM(b.hours_online), 0),
+           'km_driven', COALESCE(SUM(b.km_driven), 0)
+         )
+  INTO v_buckets, v_totals
+  FROM collector_earnings_buckets(p_collector_id, v_start, v_end, p_granularity) b;
+
+  -- Same length, ending where this range starts
+  SELECT jsonb_build_object(
+           'start', v_prev,
+           'end', v_start,
+           'pickup', COALESCE(SUM(b.pickup), 0),
+           'digital_bin', COALESCE(SUM(b.digital_bin), 0),
+           'tips', COALESCE(SUM(b.tips), 0),
+           'loyalty', COALESCE(SUM(b.loyalty), 0),
+           'total', COALESCE(SUM(b.pickup + b.digital_bin + b.tips + b.loyalty), 0),
+           'jobs', COALESCE(SUM(b.jobs), 0),
+           'hours_online', COALESCE(SUM(b.hours_online), 0),
+           'km_driven', COALESCE(SUM(b.km_driven), 0)
+         )
+  INTO v_previous
+  FROM collector_earnings_buckets(p_collector_id, v_prev, v_start, p_granularity) b;
+
+  RETURN jsonb_build_object(
+    'granularity', p_granularity,
+    'start', v_start,
+    'end', v_end,
+    'buckets', v_buckets,
+    'totals', v_totals,
+    'previous', v_previous
+  );
+END;
+$$;
+
+-- 3. Access
+REVOKE EXECUTE ON FUNCTION collector_earnings_buckets(uuid, timestamptz, timestamptz, text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION collector_earnings_buckets(uuid, timestamptz, timestamptz, text) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_collector_earnings_aggregate(uuid, timestamptz, timestamptz, text) TO authenticated;
@@ -0,0 +1,192 @@
+-- ============================================================
+-- Migration: Earnings statements with verification codes
+-- Date: 2026-10-26
+-- Purpose:
+--   Collectors need proof of income for tax returns and loan
+--   applications. The app builds the CSV/PDF statement; this gives
+--   each statement a code that a bank or the GRA can check against
+--   figures the server worked out itself, so an edited PDF doesn't
+--   pass.
+--
+--   1. earnings_statements: one row per statement issued, holding
+--      the collector's name as printed, the period, and the totals
+--      computed from the ledger at issue time.
+--   2. issue_earnings_statement(start, end): the collector asks for
+--      a statement over whole days (UTC, which is Ghana time). The
+--      period is cut off at the moment of issue (covered_until), so
+--      postings made after it can't make the statement disagree with
+--      its code. Totals:
+--        jobs, billed          disposed jobs and what customers paid
+--        by_payment_mode       cash / momo / e_cash / other (prepaid
+--                              and legacy jobs): jobs, billed, earnings
+--        tips
+--        refunds               collector share taken back by refunds
+--        earnings              everything above net of refunds and
+--                              reversals (= sum of modes + tips)
+--        withdrawn             completed withdrawals in the period
+--      Earnings follow ledgerService: collector entries in the
+--      EARNING_COMPONENTS of disposal, tip and refund postings and of
+--      reversals of those.
+--   3. verify_earnings_statement(code): open to anyone with the code
+--      (anon role, and the verify-earnings-statement Edge Function);
+--      returns the name, masked phone, period and totals.
+-- ============================================================
+
+-- 1. Statements
+CREATE TABLE IF NOT EXISTS earnings_statements (
+  id                uuid        NOT NULL DEFAULT gen_random_uuid(),
+  collector_id      uuid        NOT NULL,
+  verification_code text        NOT NULL,
+  collector_name    text,
+  collector_phone   text,
+  period_start      date        NOT NULL,
+  period_end        date        NOT NULL,
+  covered_until     timestamptz NOT NULL,
+  totals            jsonb       NOT NULL,
+  issued_at         timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT earnings_statements_pkey PRIMARY KEY (id),
+  CONSTRAINT earnings_statements_code_key UNIQUE (verification_code),
+  CONSTRAINT earnings_statements_period_check CHECK (period_end >= period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_earnings_statements_collector
+  ON earnings_statements(collector_id, issued_at DESC);
+
+-- 2. Totals
+CREATE OR REPLACE FUNCTION earnings_statement_totals(
+  p_collector_id uuid,
+  p_from         timestamptz,
+  p_until        timestamptz
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH postings AS (
+    SELECT t.id, t.kind, t.metadata,
+           CASE WHEN t.metadata->>'payment_mode' IN ('cash', 'momo', 'e_cash')
+                THEN t.metadata->>'payment_mode' ELSE 'other' END AS mode
+    FROM ledger_transactions t
+    WHERE t.collector_id = p_collector_id
+      AND t.occurred_at >= p_from AND t.occurred_at <= p_until
+      AND (t.kind IN ('disposal', 'tip', 'refund')
+           OR (t.kind = 'reversal' AND t.metadata->>'reversed_kind' IN ('disposal', 'tip', 'refund')))
+  ),
+  earned AS (
+    SELECT p.kind, p.mode, e.component, e.amount
+    FROM postings p
+    INNER JOIN ledger_entries e ON e.transaction_id = p.id
+    INNER JOIN ledger_accounts a ON a.id = e.account_id
+    WHERE a.account_type = 'collector' AND a.owner_id = p_collector_id
+      AND e.component IN ('core', 'urgent', 'distance', 'surge', 'tips', 'recyclables', 'loyalty')
+  ),
+  modes AS (
+    SELECT m.mode,
+           (SELECT COUNT(*) FROM postings p WHERE p.kind = 'disposal' AND p.mode = m.mode) AS jobs,
+           (SELECT COALESCE(SUM((p.metadata->>'bill')::numeric), 0) FROM postings p
+             WHERE p.kind = 'disposal' AND p.mode = m.mode) AS billed,
+           (SELECT COALESCE(SUM(x.amount), 0) FROM earned x
+             WHERE x.mode = m.mode AND x.component <> 'tips') AS earnings
+    FROM (VALUES ('cash'), ('momo'), ('e_cash'), ('other')) AS m(mode)
+  )
+  SELECT jsonb_build_object(
+    'jobs', (SELECT SUM(jobs) FROM modes),
+    'billed', (SELECT round(SUM(billed), 2) FROM modes),
+    'by_payment_mode', (SELECT jsonb_object_agg(mode, jsonb_build_object(
+                          'jobs', jobs, 'billed', round(billed, 2), 'earnings', round(earnings, 2)))
+                        FROM modes),
+    'tips', (SELECT round(COALESCE(SUM(amount), 0), 2) FROM earned WHERE component = 'tips'),
+    'refunds', (SELECT round(COALESCE(-SUM(amount), 0), 2) FROM earned WHERE kind = 'refund'),
+    'earnings', (SELECT round(COALESCE(SUM(amount), 0), 2) FROM earned),
+    'withdrawn', (SELECT round(COALESCE(SUM(w.amount), 0), 2) FROM withdrawals w
+                  WHERE w.collector_id = p_collector_id AND w.status = 'completed'
+                    AND w.created_at >= p_from AND w.created_at <= p_until)
+  );
+$$;
+
+-- 3. Issue
+CREATE OR REPLACE FUNCTION issue_earnings_statement(p_start date, p_end date)
+RETURNS earnings_statements
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_collector uuid := auth.uid();
+  v_profile   collector_profiles;
+  v_until     timestamptz := LEAST(now(), (p_end + 1)::timestamptz - interval '1 microsecond');
+  v_code      text;
+  v_row       earnings_statements;
+BEGIN
+  IF v_collector IS NULL THEN
+    RAISE EXCEPTION 'Not signed in';
+  END IF;
+  IF p_start IS NULL OR p_end IS NULL OR p_end < p_start THEN
+    RAISE EXCEPTION 'Statement period is invalid';
+  END IF;
+  IF p_start::timestamptz > now() THEN
+    RAISE EXCEPTION 'Statement period has not started yet';
+  END IF;
+
+  SELECT * INTO v_profile FROM collector_profiles WHERE user_id = v_collector;
+
+  -- TDS-XXXX-XXXX-XXXX: 48 random bits, read out over the phone if need be
+  LOOP
+    v_code := upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 12));
+    v_code := 'TDS-' || substr(v_code, 1, 4) || '-' || substr(v_code, 5, 4) || '-' || substr(v_code, 9, 4);
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM earnings_statements WHERE verification_code = v_code);
+  END LOOP;
+
+  INSERT INTO earnings_statements (
+    collector_id, verification_code, collector_name, collector_phone,
+    period_start, period_end, covered_until, totals
+  )
+  VALUES (
+    v_collector, v_code,
+    NULLIF(trim(concat_ws(' ', v_profile.first_name, v_profile.last_name)), ''),
+    v_profile.phone,
+    p_start, p_end, v_until,
+    earnings_statement_totals(v_collector, p_start::timestamptz, v_until)
+  )
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- 4. Verify
+CREATE OR REPLACE FUNCTION verify_earnings_statement(p_code text)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT jsonb_build_object(
+    'verification_code', s.verification_code,
+    'collector_name', s.collector_name,
+    'collector_phone', CASE WHEN s.collector_phone IS NULL THEN NULL
+                       ELSE left(s.collector_phone, 3) || '****' || right(s.collector_phone, 3) END,
+    'period_start', s.period_start,
+    'period_end', s.period_end,
+    'covered_until', s.covered_until,
+    'issued_at', s.issued_at,
+    'totals', s.totals
+  )
+  FROM earnings_statements s
+  WHERE s.verification_code = upper(trim(p_code));
+$$;
+
+-- 5. Access
+ALTER TABLE earnings_statements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors view own earnings statements" ON earnings_statements;
+CREATE POLICY "Collectors view own earnings statements" ON earnings_statements
+  FOR SELECT USING (collector_id = auth.uid());
+
+GRANT SELECT ON earnings_statements TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION earnings_statement_totals(uuid, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION earnings_statement_totals(uuid, timestamptz, timestamptz) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION issue_earnings_statement(date, date) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION issue_earnings_statement(date, date) TO authenticated;
+GRANT EXECUTE ON FUNCTION verify_earnings_statement(text) TO anon, authenticated;
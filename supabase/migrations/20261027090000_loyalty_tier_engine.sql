@@ -0,0 +1,563 @@
+-- ============================================================
+-- Migration: Loyalty tier engine
+-- Date: 2026-10-27
+-- Purpose:
+--   collector_loyalty_tiers (scripts/create-loyalty-tiers-table.sql)
+--   was read by the Earnings page but nothing ever wrote to it, and
+--   loyalty cashback was whatever rate the disposing device put on
+--   the job (1% unless a bin said otherwise), with no monthly cap.
+--
+--   1. loyalty_tier_levels: Silver / Gold / Platinum with their
+--      cashback rate, monthly cap and what a collector needs over a
+--      month to hold the tier:
+--        min_jobs                disposed jobs (not reversed)
+--        min_disposal_compliance share of pickups disposed within
+--                                24 hours of being collected
+--        min_rating              average customer rating
+--        max_cancellation_rate   share of accepted jobs the
+--                                collector dropped or cancelled
+--   2. loyalty_tier_metrics(collector, from, until): the four
+--      measures over any window, from the ledger, job_status_events
+--      and pickup ratings. A collector with no ratings or no pickups
+--      yet is not held back on those two.
+--   3. evaluate_loyalty_tiers(month): run on the 1st for the month
+--      just ended. Each collector gets the highest tier they
+--      qualified for; a collector who falls short drops one tier per
+--      month rather than straight to Silver. The result is written as
+--      next month's collector_loyalty_tiers row and a
+--      loyalty_tier_history row. Safe to re-run for the same month.
+--   4. Cashback accrues in the ledger at disposal: the collector's
+--      fee share times their tier rate for the month the job was
+--      disposed, up to what is left of the monthly cap.
+--      ledger_post_job_disposal() now works this out itself instead
+--      of trusting collector_loyalty_cashback from the device, and
+--      keeps cashback_earned on the tier row in step with the ledger.
+--   5. get_loyalty_progress(): the collector's tier for this month,
+--      month-to-date metrics and the level table, for the progress
+--      card on the Earnings page.
+--
+-- Schedule the evaluation with pg_cron, e.g.
+--   SELECT cron.schedule('loyalty-tiers', '30 0 1 * *', $$
+--     SELECT evaluate_loyalty_tiers() $$);
+-- ============================================================
+
+-- 1. Levels
+CREATE TABLE IF NOT EXISTS loyalty_tier_levels (
+  tier                    text          NOT NULL,
+  rank                    smallint      NOT NULL,
+  cashback_rate           numeric(4,3)  NOT NULL CHECK (cashback_rate >= 0 AND cashback_rate <= 0.1),
+  monthly_cap             numeric(10,2) NOT NULL CHECK (monthly_cap >= 0),
+  min_jobs                integer       NOT NULL DEFAULT 0,
+  min_disposal_compliance numeric(4,3)  NOT NULL DEFAULT 0,
+  min_rating              numeric(3,2)  NOT NULL DEFAULT 0,
+  max_cancellation_rate   numeric(4,3)  NOT NULL DEFAULT 1,
+  CONSTRAINT loyalty_tier_levels_pkey PRIMARY KEY (tier),
+  CONSTRAINT loyalty_tier_levels_rank_key UNIQUE (rank)
+);
+
+INSERT INTO loyalty_tier_levels (
+  tier, rank, cashback_rate, monthly_cap,
+  min_jobs, min_disposal_compliance, min_rating, max_cancellation_rate
+)
+VALUES
+  ('Silver',   1, 0.01, 100,   0, 0,    0,    1),
+  ('Gold',     2, 0.02, 200,  40, 0.90, 4.30, 0.10),
+  ('Platinum', 3, 0.03, 300, 100, 0.97, 4.70, 0.05)
+ON CONFLICT (tier) DO NOTHING;
+
+ALTER TABLE loyalty_tier_levels ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read loyalty tier levels" ON loyalty_tier_levels;
+CREATE POLICY "Anyone can read loyalty tier levels" ON loyalty_tier_levels
+  FOR SELECT USING (true);
+
+GRANT SELECT ON loyalty_tier_levels TO authenticated;
+
+-- Monthly tier rows (first created by scripts/create-loyalty-tiers-table.sql)
+CREATE TABLE IF NOT EXISTS collector_loyalty_tiers (
+  id                    uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+  collector_id          uuid          NOT NULL REFERENCES auth.users(id),
+  month                 date          NOT NULL,
+  tier                  varchar(20)   NOT NULL DEFAULT 'Silver',
+  cashback_rate         decimal(4,3)  NOT NULL DEFAULT 0.01,
+  monthly_cap           decimal(10,2) NOT NULL DEFAULT 100,
+  cashback_earned       decimal(10,2) NOT NULL DEFAULT 0,
+  total_jobs_this_month integer       NOT NULL DEFAULT 0,
+  created_at            timestamp     DEFAULT now(),
+  updated_at            timestamp     DEFAULT now(),
+  UNIQUE (collector_id, month)
+);
+
+-- metrics: what the tier was decided on (the previous month's loyalty_tier_metrics)
+ALTER TABLE collector_loyalty_tiers ADD COLUMN IF NOT EXISTS metrics      jsonb;
+ALTER TABLE collector_loyalty_tiers ADD COLUMN IF NOT EXISTS evaluated_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_tiers_collector
+  ON collector_loyalty_tiers(collector_id, month);
+
+ALTER TABLE collector_loyalty_tiers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS view_own_loyalty_tier ON collector_loyalty_tiers;
+CREATE POLICY view_own_loyalty_tier ON collector_loyalty_tiers
+  FOR SELECT TO authenticated USING (collector_id = auth.uid());
+
+GRANT SELECT ON collector_loyalty_tiers TO authenticated;
+
+-- Promotions and demotions
+CREATE TABLE IF NOT EXISTS loyalty_tier_history (
+  id              uuid        NOT NULL DEFAULT gen_random_uuid(),
+  collector_id    uuid        NOT NULL,
+  evaluated_month date        NOT NULL,   -- the month the metrics cover
+  effective_month date        NOT NULL,   -- the month the tier applies to
+  from_tier       text,
+  to_tier         text        NOT NULL,
+  change          text        NOT NULL CHECK (change IN ('initial', 'promoted', 'demoted', 'retained')),
+  metrics         jsonb       NOT NULL,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT loyalty_tier_history_pkey PRIMARY KEY (id),
+  CONSTRAINT loyalty_tier_history_month_key UNIQUE (collector_id, effective_month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_tier_history_collector
+  ON loyalty_tier_history(collector_id, effective_month DESC);
+
+ALTER TABLE loyalty_tier_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors view own tier history" ON loyalty_tier_history;
+CREATE POLICY "Collectors view own tier history" ON loyalty_tier_history
+  FOR SELECT USING (collector_id = auth.uid());
+
+GRANT SELECT ON loyalty_tier_history TO authenticated;
+
+-- ============================================================
+-- 2. Metrics
+-- ============================================================
+CREATE OR REPLACE FUNCTION loyalty_tier_metrics(
+  p_collector_id uuid,
+  p_from         timestamptz,
+  p_until        timestamptz
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH completed AS (
+    SELECT COUNT(*) AS jobs
+    FROM ledger_transactions t
+    WHERE t.collector_id = p_collector_id
+      AND t.kind = 'disposal'
+      AND t.occurred_at >= p_from AND t.occurred_at < p_until
+      AND NOT EXISTS (SELECT 1 FROM ledger_transactions r WHERE r.reverses_id = t.id)
+  ),
+  -- Jobs this collector took on, and how many of those they let go again
+  taken AS (
+    SELECT e.entity_type, e.entity_id,
+           bool_or(normalize_job_status(e.from_status) IN ('accepted', 'en_route', 'arrived', 'collecting')
+                   AND normalize_job_status(e.to_status) IN ('pending', 'cancelled')) AS dropped
+    FROM job_status_events e
+    WHERE e.actor_id = p_collector_id
+      AND e.entity_type IN ('pickup_request', 'digital_bin')
+      AND e.occurred_at >= p_from AND e.occurred_at < p_until
+    GROUP BY e.entity_type, e.entity_id
+    HAVING bool_or(normalize_job_status(e.to_status) = 'accepted')
+  ),
+  -- When each job was collected (or went straight to disposal) and when it was disposed
+  pickups AS (
+    SELECT e.entity_type, e.entity_id,
+           MIN(e.occurred_at) FILTER (
+             WHERE normalize_job_status(e.to_status) IN ('collecting', 'completed', 'disposed')
+           ) AS collected_at,
+           MIN(e.occurred_at) FILTER (WHERE e.to_status = 'disposed') AS disposed_at
+    FROM job_status_events e
+    WHERE e.entity_type IN ('pickup_request', 'digital_bin')
+      AND e.occurred_at >= p_from
+      AND EXISTS (
+        SELECT 1 FROM job_status_events mine
+        WHERE mine.entity_type = e.entity_type AND mine.entity_id = e.entity_id
+          AND mine.actor_id = p_collector_id
+      )
+    GROUP BY e.entity_type, e.entity_id
+  ),
+  compliance AS (
+    SELECT COUNT(*) AS picked_up,
+           COUNT(*) FILTER (WHERE disposed_at <= collected_at + interval '24 hours') AS on_time
+    FROM pickups
+    WHERE collected_at >= p_from AND collected_at < p_until
+      -- Still inside its 24 hours: neither on time nor late yet
+      AND (disposed_at IS NOT NULL OR collected_at + interval '24 hours' <= now())
+  ),
+  ratings AS (
+    SELECT COUNT(*) AS rated, AVG((to_jsonb(pr)->>'rating')::numeric) AS rating
+    FROM pickup_requests pr
+    WHERE pr.collector_id = p_collector_id
+      AND pr.disposed_at >= p_from AND pr.disposed_at < p_until
+      AND to_jsonb(pr)->>'rating' IS NOT NULL
+  )
+  SELECT jsonb_build_object(
+    'completed_jobs', c.jobs,
+    'accepted_jobs', (SELECT COUNT(*) FROM taken),
+    'cancellations', (SELECT COUNT(*) FILTER (WHERE dropped) FROM taken),
+    'cancellation_rate', (SELECT CASE WHEN COUNT(*) = 0 THEN 0
+                                 ELSE round(COUNT(*) FILTER (WHERE dropped)::numeric / COUNT(*), 3) END
+                          FROM taken),
+    'picked_up', p.picked_up,
+    'disposed_on_time', p.on_time,
+    'disposal_compliance', CASE WHEN p.picked_up = 0 THEN NULL
+                           ELSE round(p.on_time::numeric / p.picked_up, 3) END,
+    'ratings', r.rated,
+    'rating', round(r.rating, 2)
+  )
+  FROM completed c, compliance p, ratings r;
+$$;
+
+-- ============================================================
+-- 3. Monthly evaluation
+-- ============================================================
+CREATE OR REPLACE FUNCTION loyalty_tier_qualifies(p_metrics jsonb, p_level loyalty_tier_levels)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT (p_metrics->>'completed_jobs')::int >= p_level.min_jobs
+     AND COALESCE((p_metrics->>'disposal_compliance')::numeric, 1) >= p_level.min_disposal_compliance
+     AND COALESCE((p_metrics->>'rating')::numeric, 5) >= p_level.min_rating
+     AND (p_metrics->>'cancellation_rate')::numeric <= p_level.max_cancellation_rate;
+$$;
+
+CREATE OR REPLACE FUNCTION evaluate_loyalty_tiers(
+  p_month date DEFAULT (date_trunc('month', now() AT TIME ZONE 'UTC') - interval '1 month')::date
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_month     date := date_trunc('month', p_month)::date;
+  v_next      date := (date_trunc('month', p_month) + interval '1 month')::date;
+  v_collector uuid;
+  v_metrics   jsonb;
+  v_current   loyalty_tier_levels;
+  v_earned    loyalty_tier_levels;
+  v_new       loyalty_tier_levels;
+  v_count     integer := 0;
+BEGIN
+  IF v_next > date_trunc('month', now() AT TIME ZONE 'UTC')::date THEN
+    RAISE EXCEPTION 'Month % has not ended yet', v_month;
+  END IF;
+
+  FOR v_collector IN
+    SELECT user_id FROM collector_profiles WHERE user_id IS NOT NULL
+    UNION
+    SELECT collector_id FROM collector_loyalty_tiers WHERE month = v_month
+  LOOP
+    v_metrics := loyalty_tier_metrics(v_collector, v_month::timestamptz, v_next::timestamptz);
+
+    SELECT l.* INTO v_current
+    FROM collector_loyalty_tiers t
+    INNER JOIN loyalty_tier_levels l ON l.tier = t.tier
+    WHERE t.collector_id = v_collector AND t.month = v_month;
+
+    SELECT * INTO v_earned
+    FROM loyalty_tier_levels l
+    WHERE loyalty_tier_qualifies(v_metrics, l)
+    ORDER BY l.rank DESC
+    LIMIT 1;
+
+    -- Falling short costs one tier a month
+    IF v_current.tier IS NOT NULL AND v_earned.rank < v_current.rank - 1 THEN
+      SELECT * INTO v_new FROM loyalty_tier_levels WHERE rank = v_current.rank - 1;
+    ELSE
+      v_new := v_earned;
+    END IF;
+
+    INSERT INTO collector_loyalty_tiers (
+      collector_id, month, tier, cashback_rate, monthly_cap, metrics, evaluated_at
+    )
+    VALUES (v_collector, v_next, v_new.tier, v_new.cashback_rate, v_new.monthly_cap, v_metrics, now())
+    ON CONFLICT (collector_id, month) DO UPDATE
+      SET tier = EXCLUDED.tier,
+          cashback_rate = EXCLUDED.cashback_rate,
+          monthly_cap = EXCLUDED.monthly_cap,
+          metrics = EXCLUDED.metrics,
+          evaluated_at = EXCLUDED.evaluated_at,
+          updated_at = now();
+
+    INSERT INTO loyalty_tier_history (
+      collector_id, evaluated_month, effective_month, from_tier, to_tier, change, metrics
+    )
+    VALUES (
+      v_collector, v_month, v_next, v_current.tier, v_new.tier,
+      CASE
+        WHEN v_current.tier IS NULL THEN 'initial'
+        WHEN v_new.rank > v_current.rank THEN 'promoted'
+        WHEN v_new.rank < v_current.rank THEN 'demoted'
+        ELSE 'retained'
+      END,
+      v_metrics
+    )
+    ON CONFLICT (collector_id, effective_month) DO UPDATE
+      SET from_tier = EXCLUDED.from_tier,
+          to_tier = EXCLUDED.to_tier,
+          change = EXCLUDED.change,
+          metrics = EXCLUDED.metrics,
+          created_at = now();
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- ============================================================
+-- 4. Cashback accrual
+-- ============================================================
+
+-- The collector's row for the month of p_at, locked. A month that was never
+-- evaluated carries the last known tier forward.
+CREATE OR REPLACE FUNCTION collector_loyalty_tier_for_update(p_collector_id uuid, p_at timestamptz)
+RETURNS collector_loyalty_tiers
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_month date := date_trunc('month', p_at AT TIME ZONE 'UTC')::date;
+  v_row   collector_loyalty_tiers;
+BEGIN
+  INSERT INTO collector_loyalty_tiers (collector_id, month, tier, cashback_rate, monthly_cap)
+  SELECT p_collector_id, v_month, l.tier, l.cashback_rate, l.monthly_cap
+  FROM loyalty_tier_levels l
+  WHERE l.tier = COALESCE(
+    (SELECT t.tier FROM collector_loyalty_tiers t
+     WHERE t.collector_id = p_collector_id AND t.month < v_month
+     ORDER BY t.month DESC LIMIT 1),
+    'Silver'
+  )
+  ON CONFLICT (collector_id, month) DO NOTHING;
+
+  SELECT * INTO v_row
+  FROM collector_loyalty_tiers
+  WHERE collector_id = p_collector_id AND month = v_month
+  FOR UPDATE;
+
+  RETURN v_row;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION accrue_loyalty_cashback(
+  p_collector_id uuid,
+  p_fee_share    numeric,
+  p_at           timestamptz
+)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_tier   collector_loyalty_tiers := collector_loyalty_tier_for_update(p_collector_id, p_at);
+  v_earned numeric(14,2);
+  v_amount numeric(14,2);
+BEGIN
+  -- From the ledger rather than the counter, so reversed disposals free up the cap
+  SELECT COALESCE(SUM(e.amount), 0) INTO v_earned
+  FROM ledger_entries e
+  INNER JOIN ledger_accounts a ON a.id = e.account_id
+  INNER JOIN ledger_transactions t ON t.id = e.transaction_id
+  WHERE a.account_type = 'collector' AND a.owner_id = p_collector_id
+    AND e.component = 'loyalty'
+    AND t.occurred_at >= v_tier.month::timestamptz
+    AND t.occurred_at < (v_tier.month + interval '1 month');
+
+  v_amount := GREATEST(0, LEAST(round(GREATEST(p_fee_share, 0) * v_tier.cashback_rate, 2),
+                                v_tier.monthly_cap - v_earned));
+
+  UPDATE collector_loyalty_tiers
+  SET cashback_earned = v_earned + v_amount,
+      total_jobs_this_month = total_jobs_this_month + 1,
+      updated_at = now()
+  WHERE id = v_tier.id;
+
+  RETURN v_amount;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_post_job_disposal(p_source_type text, p_job jsonb)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  -- Mirror PAYMENT_SPLITS.RECYCLABLES_COLLECTOR_SHARE / RECYCLABLES_USER_SHARE
+  c_collector_recyclables_share CONSTANT numeric := 0.60;
+  c_user_recyclables_share      CONSTANT numeric := 0.25;
+
+  v_collector uuid := NULLIF(p_job->>'collector_id', '')::uuid;
+  v_user      uuid := NULLIF(p_job->>'user_id', '')::uuid;
+  v_source_id text := p_job->>'id';
+  v_at        timestamptz := COALESCE((p_job->>'disposed_at')::timestamptz, now());
+  v_mode      text;
+  v_bill      numeric(14,2);
+  v_shares    jsonb;
+  v_core      numeric(14,2);
+  v_urgent    numeric(14,2);
+  v_distance  numeric(14,2);
+  v_surge     numeric(14,2);
+  v_loyalty   numeric(14,2);
+  v_gross     numeric(14,2) := round(GREATEST(COALESCE((p_job->>'recycler_gross_payout')::numeric, 0), 0), 2);
+  v_coll_rec  numeric(14,2);
+  v_user_rec  numeric(14,2);
+  v_fee_share numeric(14,2);
+  v_scale     numeric;
+  v_entries   jsonb := '[]'::jsonb;
+  v_existing  uuid;
+BEGIN
+  IF v_collector IS NULL OR v_source_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- Posted once per job (ledger_transactions_source_key): a repeat mustn't accrue cashback again
+  SELECT id INTO v_existing
+  FROM ledger_transactions
+  WHERE kind = 'disposal' AND source_type = p_source_type AND source_id = v_source_id;
+  IF v_existing IS NOT NULL THEN
+    RETURN v_existing;
+  END IF;
+
+  -- Prepaid pickups never went through bin_payments: post their collection now
+  IF p_source_type = 'pickup_request' THEN
+    PERFORM ledger_post_collection(
+      'pickup_request', v_source_id, v_collector,
+      COALESCE((p_job->>'fee')::numeric, (p_job->>'base_amount')::numeric, 0),
+      COALESCE(p_job->>'payment_mode', p_job->>'payment_type', 'digital'),
+      COALESCE((p_job->>'accepted_at')::timestamptz, (p_job->>'created_at')::timestamptz, now())
+    );
+  END IF;
+
+  SELECT COALESCE(SUM(e.amount), 0), MAX(t.metadata->>'payment_mode')
+  INTO v_bill, v_mode
+  FROM ledger_entries e
+  INNER JOIN ledger_accounts a ON a.id = e.account_id
+  INNER JOIN ledger_transactions t ON t.id = e.transaction_id
+  WHERE a.account_type = 'escrow'
+    AND t.source_type = p_source_type
+    AND t.source_id = v_source_id;
+
+  v_shares := ledger_job_fee_shares(
+    v_bill,
+    COALESCE((p_job->>'is_urgent')::boolean, (p_job->>'urgent_enabled')::boolean, false),
+    COALESCE(NULLIF((p_job->>'deadhead_km')::numeric, 0), (p_job->>'distance_km')::numeric),
+    (p_job->>'surge_multiplier')::numeric
+  );
+  v_core := (v_shares->>'core')::numeric;
+  v_urgent := (v_shares->>'urgent')::numeric;
+  v_distance := (v_shares->>'distance')::numeric;
+  v_surge := (v_shares->>'surge')::numeric;
+
+  -- The caps in the split can still add up to more than the customer paid
+  v_fee_share := v_core + v_urgent + v_distance + v_surge;
+  IF v_fee_share > v_bill THEN
+    v_scale := CASE WHEN v_fee_share > 0 THEN v_bill / v_fee_share ELSE 0 END;
+    v_urgent := round(v_urgent * v_scale, 2);
+    v_distance := round(v_distance * v_scale, 2);
+    v_surge := round(v_surge * v_scale, 2);
+    v_core := v_bill - v_urgent - v_distance - v_surge;
+    v_fee_share := v_bill;
+  END IF;
+
+  v_entries := jsonb_build_array(
+    jsonb_build_object('account_type', 'escrow', 'component', 'bill', 'amount', -v_bill),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'core', 'amount', v_core),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'urgent', 'amount', v_urgent),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'distance', 'amount', v_distance),
+    jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'surge', 'amount', v_surge),
+    jsonb_build_object('account_type', 'platform', 'component', 'commission', 'amount', v_bill - v_fee_share)
+  );
+
+  IF v_gross > 0 THEN
+    v_coll_rec := round(v_gross * c_collector_recyclables_share, 2);
+    v_user_rec := CASE WHEN v_user IS NULL THEN 0 ELSE round(v_gross * c_user_recyclables_share, 2) END;
+    v_entries := v_entries || jsonb_build_array(
+      jsonb_build_object('account_type', 'recycler', 'component', 'recyclables', 'amount', -v_gross),
+      jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'recyclables', 'amount', v_coll_rec),
+      jsonb_build_object('account_type', 'user_recyclables', 'owner_id', v_user, 'component', 'recyclables', 'amount', v_user_rec),
+      jsonb_build_object('account_type', 'platform', 'component', 'recyclables', 'amount', v_gross - v_coll_rec - v_user_rec)
+    );
+  END IF;
+
+  -- Tier rate for the month of disposal, within what is left of the monthly cap
+  v_loyalty := accrue_loyalty_cashback(v_collector, v_fee_share, v_at);
+  IF v_loyalty > 0 THEN
+    v_entries := v_entries || jsonb_build_array(
+      jsonb_build_object('account_type', 'loyalty', 'component', 'loyalty', 'amount', -v_loyalty),
+      jsonb_build_object('account_type', 'collector', 'owner_id', v_collector, 'component', 'loyalty', 'amount', v_loyalty)
+    );
+  END IF;
+
+  RETURN post_ledger_transaction(
+    'disposal', p_source_type, v_source_id, v_collector, v_entries,
+    'Job disposed',
+    jsonb_build_object('payment_mode', COALESCE(v_mode, 'digital'), 'bill', v_bill),
+    v_at
+  );
+END;
+$$;
+
+-- ============================================================
+-- 5. Progress for the Earnings page
+-- ============================================================
+CREATE OR REPLACE FUNCTION get_loyalty_progress()
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_collector uuid := auth.uid();
+  v_month     date := date_trunc('month', now() AT TIME ZONE 'UTC')::date;
+  v_tier      collector_loyalty_tiers;
+  v_level     loyalty_tier_levels;
+BEGIN
+  IF v_collector IS NULL THEN
+    RAISE EXCEPTION 'Not signed in';
+  END IF;
+
+  SELECT * INTO v_tier
+  FROM collector_loyalty_tiers
+  WHERE collector_id = v_collector AND month <= v_month
+  ORDER BY month DESC
+  LIMIT 1;
+
+  SELECT * INTO v_level FROM loyalty_tier_levels WHERE tier = COALESCE(v_tier.tier, 'Silver');
+
+  RETURN jsonb_build_object(
+    'month', v_month,
+    'tier', v_level.tier,
+    'cashback_rate', v_level.cashback_rate,
+    'monthly_cap', v_level.monthly_cap,
+    'cashback_earned', CASE WHEN v_tier.month = v_month THEN v_tier.cashback_earned ELSE 0 END,
+    'metrics', loyalty_tier_metrics(v_collector, v_month::timestamptz, now()),
+    'levels', (SELECT jsonb_agg(to_jsonb(l) ORDER BY l.rank) FROM loyalty_tier_levels l),
+    'history', (SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                   'effective_month', h.effective_month,
+                   'from_tier', h.from_tier,
+                   'to_tier', h.to_tier,
+                   'change', h.change
+                 ) ORDER BY h.effective_month DESC), '[]'::jsonb)
+                FROM (SELECT * FROM loyalty_tier_history
+                      WHERE collector_id = v_collector
+                      ORDER BY effective_month DESC LIMIT 6) h)
+  );
+END;
+$$;
+
+-- 6. Access
+REVOKE EXECUTE ON FUNCTION loyalty_tier_metrics(uuid, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION loyalty_tier_metrics(uuid, timestamptz, timestamptz) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION collector_loyalty_tier_for_update(uuid, timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION collector_loyalty_tier_for_update(uuid, timestamptz) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION accrue_loyalty_cashback(uuid, numeric, timestamptz) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION accrue_loyalty_cashback(uuid, numeric, timestamptz) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION evaluate_loyalty_tiers(date) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION evaluate_loyalty_tiers(date) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION evaluate_loyalty_tiers(date) TO service_role;
+GRANT EXECUTE ON FUNCTION get_loyalty_progress() TO authenticated;
@@ -0,0 +1,74 @@
+-- ============================================================
+-- Migration: Completion photos for authority assignments
+-- Date: 2026-10-28
+-- Purpose:
+--   Completing an assignment only changed illegal_dumping_mobile's
+--   status; the photos taken in CompletionModal were counted and
+--   dropped. Authorities need them as evidence.
+--
+--   1. assignment-photos storage bucket (private). The app uploads
+--      with Supabase's resumable (TUS) endpoint so a photo taken in
+--      a dead zone finishes uploading later instead of starting
+--      over. Objects live under <collector user id>/<assignment id>/.
+--   2. assignment_photos links each uploaded object to its
+--      assignment with the time and GPS fix captured on the device.
+--      The id is the one the device gave the photo, so a replayed
+--      upload doesn't link it twice.
+-- ============================================================
+
+-- 1. Bucket
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('assignment-photos', 'assignment-photos', false, 10485760,
+        ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/heic'])
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Collectors upload own assignment photos" ON storage.objects;
+CREATE POLICY "Collectors upload own assignment photos" ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (bucket_id = 'assignment-photos' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- Resumable uploads with x-upsert update the object when a retry finds it already there
+DROP POLICY IF EXISTS "Collectors replace own assignment photos" ON storage.objects;
+CREATE POLICY "Collectors replace own assignment photos" ON storage.objects
+  FOR UPDATE TO authenticated
+  USING (bucket_id = 'assignment-photos' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Collectors read own assignment photos" ON storage.objects;
+CREATE POLICY "Collectors read own assignment photos" ON storage.objects
+  FOR SELECT TO authenticated
+  USING (bucket_id = 'assignment-photos' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- 2. Links
+CREATE TABLE IF NOT EXISTS assignment_photos (
+  id            uuid        NOT NULL,
+  assignment_id text        NOT NULL,
+  collector_id  uuid        NOT NULL DEFAULT auth.uid(),
+  storage_path  text        NOT NULL,
+  content_type  text,
+  size_bytes    integer,
+  captured_at   timestamptz NOT NULL,   -- device time the photo was taken
+  latitude      double precision,
+  longitude     double precision,
+  accuracy_m    double precision,
+  uploaded_at   timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT assignment_photos_pkey PRIMARY KEY (id),
+  CONSTRAINT assignment_photos_path_key UNIQUE (storage_path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_photos_assignment
+  ON assignment_photos(assignment_id, captured_at);
+
+ALTER TABLE assignment_photos ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors view own assignment photos" ON assignment_photos;
+CREATE POLICY "Collectors view own assignment photos" ON assignment_photos
+  FOR SELECT USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors link own assignment photos" ON assignment_photos;
+CREATE POLICY "Collectors link own assignment photos" ON assignment_photos
+  FOR INSERT WITH CHECK (
+    collector_id = auth.uid()
+    AND split_part(storage_path, '/', 1) = auth.uid()::text
+  );
+
+GRANT SELECT, INSERT ON assignment_photos TO authenticated;
@@ -0,0 +1,462 @@
+-- ============================================================
+-- Migration: Before/after photo evidence with integrity checks
+-- Date: 2026-10-29
+-- Purpose:
+--   assignment_photos took any photo the device sent and nothing
+--   stopped a job from being completed without one, or with a photo
+--   taken somewhere else, days earlier, or already used for another
+--   job.
+--
+--   1. assignment_photos becomes job_evidence_photos so pickups and
+--      digital bins can use it too. Each photo is a 'before' or an
+--      'after' shot and carries what the device recorded when it was
+--      taken: the SHA-256 of the uploaded (resized, watermarked)
+--      image, its size, and the EXIF time and GPS of the original if
+--      the camera wrote any. Rows from before this migration were
+--      completion photos and become 'after' shots.
+--   2. job_evidence_requirements: per job type, whether evidence is
+--      required, which status it gates, how many verified shots of
+--      each stage are needed, the geofence radius and clock slack.
+--      Every job type requires it from now on: assignments before
+--      they are completed, pickups and digital bins before they are
+--      collected.
+--   3. verify_job_evidence_photo(): run as each photo is linked.
+--      Checks the device fix (and the EXIF GPS if present) against
+--      the job location, the capture time (and EXIF time) against the
+--      job window - from when the collector accepted the job until
+--      the photo reaches the server - and that the hash hasn't been
+--      used for another job. The outcome is kept on the row.
+--   4. job_evidence_status(type, id): verified before/after counts
+--      and what is still missing. An 'after' shot only counts if it
+--      was taken after the first verified 'before' shot.
+--   5. enforce_job_evidence(): refuses any change that takes a job
+--      into the gated status or past it (arrived -> completed, a
+--      disposal trip straight to disposed) while evidence is missing,
+--      with SQLSTATE PT422 (HTTP 422 through PostgREST), HINT
+--      'evidence_required' and the problems as DETAIL. Jobs that were
+--      already past the gate before this migration are left alone.
+--
+--   The storage bucket keeps its assignment-photos name and object
+--   layout (<collector>/<job>/<photo>.<ext>).
+-- ============================================================
+
+-- 1. Evidence table
+ALTER TABLE IF EXISTS assignment_photos RENAME TO job_evidence_photos;
+ALTER TABLE job_evidence_photos RENAME COLUMN assignment_id TO job_id;
+ALTER TABLE job_evidence_photos RENAME CONSTRAINT assignment_photos_pkey TO job_evidence_photos_pkey;
+ALTER TABLE job_evidence_photos RENAME CONSTRAINT assignment_photos_path_key TO job_evidence_photos_path_key;
+
+ALTER TABLE job_evidence_photos
+  ADD COLUMN IF NOT EXISTS job_type       text    NOT NULL DEFAULT 'assignment'
+    CHECK (job_type IN ('assignment', 'pickup_request', 'digital_bin')),
+  ADD COLUMN IF NOT EXISTS stage          text    NOT NULL DEFAULT 'after'
+    CHECK (stage IN ('before', 'after')),
+  ADD COLUMN IF NOT EXISTS sha256         text
+    CHECK (sha256 ~ '^[0-9a-f]{64}$'),
+  ADD COLUMN IF NOT EXISTS width          integer,
+  ADD COLUMN IF NOT EXISTS height         integer,
+  ADD COLUMN IF NOT EXISTS exif_taken_at  timestamp,          -- camera clock, no time zone
+  ADD COLUMN IF NOT EXISTS exif_latitude  double precision,
+  ADD COLUMN IF NOT EXISTS exif_longitude double precision,
+  ADD COLUMN IF NOT EXISTS distance_m     double precision,   -- device fix to job location
+  ADD COLUMN IF NOT EXISTS verified       boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS verification   jsonb   NOT NULL DEFAULT '{}'::jsonb;
+
+DROP INDEX IF EXISTS idx_assignment_photos_assignment;
+CREATE INDEX IF NOT EXISTS idx_job_evidence_photos_job
+  ON job_evidence_photos(job_type, job_id, stage, captured_at);
+
+CREATE INDEX IF NOT EXISTS idx_job_evidence_photos_sha256
+  ON job_evidence_photos(sha256)
+  WHERE sha256 IS NOT NULL;
+
+DROP POLICY IF EXISTS "Collectors view own assignment photos" ON job_evidence_photos;
+DROP POLICY IF EXISTS "Collectors link own assignment photos" ON job_evidence_photos;
+
+DROP POLICY IF EXISTS "Collectors view own evidence photos" ON job_evidence_photos;
+CREATE POLICY "Collectors view own evidence photos" ON job_evidence_photos
+  FOR SELECT USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors link own evidence photos" ON job_evidence_photos;
+CREATE POLICY "Collectors link own evidence photos" ON job_evidence_photos
+  FOR INSERT WITH CHECK (
+    collector_id = auth.uid()
+    AND split_part(storage_path, '/', 1) = auth.uid()::text
+  );
+
+GRANT SELECT, INSERT ON job_evidence_photos TO authenticated;
+
+-- 2. Requirements
+CREATE TABLE IF NOT EXISTS job_evidence_requirements (
+  job_type         text     NOT NULL,
+  required         boolean  NOT NULL DEFAULT false,
+  complete_status  text     NOT NULL,                       -- status the evidence gates
+  min_before       integer  NOT NULL DEFAULT 1,
+  min_after        integer  NOT NULL DEFAULT 1,
+  radius_m         numeric  NOT NULL,
+  max_accuracy_m   numeric  NOT NULL DEFAULT 50,            -- GPS error we give the benefit of the doubt
+  clock_skew       interval NOT NULL DEFAULT interval '10 minutes',
+  exif_clock_slack interval NOT NULL DEFAULT interval '1 hour',  -- camera clocks drift and ignore time zones
+  CONSTRAINT job_evidence_requirements_pkey PRIMARY KEY (job_type)
+);
+
+-- Radii follow src/config/geofenceConfig.js
+INSERT INTO job_evidence_requirements (job_type, required, complete_status, min_before, min_after, radius_m) VALUES
+  ('assignment',     true,  'completed',  1, 2, 50),
+  ('pickup_request', true,  'collecting', 1, 1, 40),
+  ('digital_bin',    true,  'collecting', 1, 1, 40)
+ON CONFLICT (job_type) DO NOTHING;
+
+ALTER TABLE job_evidence_requirements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone signed in reads evidence requirements" ON job_evidence_requirements;
+CREATE POLICY "Anyone signed in reads evidence requirements" ON job_evidence_requirements
+  FOR SELECT TO authenticated USING (true);
+
+GRANT SELECT ON job_evidence_requirements TO authenticated;
+
+-- ============================================================
+-- 3. Job location, window and per-photo verification
+-- ============================================================
+
+-- Locations are stored as GeoJSON, POINT text (some rows as
+-- POINT(lat lng), see normalizeCoords in Request.jsx), {lat, lng}
+-- or [lat, lng]
+CREATE OR REPLACE FUNCTION job_evidence_point(
+  p_value jsonb,
+  OUT lat double precision,
+  OUT lng double precision
+)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_match text[];
+  v_first double precision;
+  v_second double precision;
+BEGIN
+  IF p_value IS NULL OR jsonb_typeof(p_value) = 'null' THEN
+    RETURN;
+  END IF;
+
+  IF jsonb_typeof(p_value) = 'object' AND p_value->>'type' = 'Point' THEN
+    lng := (p_value->'coordinates'->>0)::double precision;
+    lat := (p_value->'coordinates'->>1)::double precision;
+  ELSIF jsonb_typeof(p_value) = 'string' THEN
+    v_match := regexp_match(p_value #>> '{}', 'POINT\s*\(\s*([-0-9.]+)\s+([-0-9.]+)\s*\)', 'i');
+    IF v_match IS NOT NULL THEN
+      v_first := v_match[1]::double precision;
+      v_second := v_match[2]::double precision;
+      -- In Accra |lat| (~5.6) is larger than |lng| (~-0.2)
+      IF abs(v_first) > abs(v_second) THEN
+        lat := v_first;  lng := v_second;
+      ELSE
+        lat := v_second; lng := v_first;
+      END IF;
+    END IF;
+  ELSIF jsonb_typeof(p_value) = 'object' AND p_value ? 'lat' AND p_value ? 'lng' THEN
+    lat := (p_value->>'lat')::double precision;
+    lng := (p_value->>'lng')::double precision;
+  ELSIF jsonb_typeof(p_value) = 'array' AND jsonb_array_length(p_value) >= 2 THEN
+    lat := (p_value->>0)::double precision;
+    lng := (p_value->>1)::double precision;
+  END IF;
+
+  IF lat = 0 AND lng = 0 THEN
+    lat := NULL;
+    lng := NULL;
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION haversine_m(
+  p_lat1 double precision,
+  p_lng1 double precision,
+  p_lat2 double precision,
+  p_lng2 double precision
+)
+RETURNS double precision
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 2 * 6371000 * asin(sqrt(
+    power(sin(radians(p_lat2 - p_lat1) / 2), 2)
+    + cos(radians(p_lat1)) * cos(radians(p_lat2)) * power(sin(radians(p_lng2 - p_lng1) / 2), 2)
+  ));
+$$;
+
+-- Where the job is and when the collector took it on (first accept
+-- event, or when the job was created if there is none)
+CREATE OR REPLACE FUNCTION job_evidence_target(
+  p_job_type text,
+  p_job_id   text,
+  OUT lat          double precision,
+  OUT lng          double precision,
+  OUT window_start timestamptz
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_created timestamptz;
+BEGIN
+  IF p_job_type = 'assignment' THEN
+    SELECT idm.latitude::double precision, idm.longitude::double precision, idm.created_at
+      INTO lat, lng, v_created
+      FROM illegal_dumping_mobile idm
+      WHERE idm.id::text = p_job_id;
+  ELSIF p_job_type = 'pickup_request' THEN
+    SELECT pt.lat, pt.lng, pr.created_at
+      INTO lat, lng, v_created
+      FROM pickup_requests pr
+      CROSS JOIN LATERAL job_evidence_point(to_jsonb(pr)->'coordinates') pt
+      WHERE pr.id::text = p_job_id;
+  ELSIF p_job_type = 'digital_bin' THEN
+    SELECT COALESCE(site.lat, own.lat), COALESCE(site.lng, own.lng), db.created_at
+      INTO lat, lng, v_created
+      FROM digital_bins db
+      LEFT JOIN bin_locations bl ON bl.id = db.location_id
+      CROSS JOIN LATERAL job_evidence_point(to_jsonb(bl)->'coordinates') site
+      CROSS JOIN LATERAL job_evidence_point(to_jsonb(db)->'coordinates') own
+      WHERE db.id::text = p_job_id;
+  ELSE
+    RAISE EXCEPTION 'Unsupported job type: %', p_job_type;
+  END IF;
+
+  SELECT min(e.occurred_at)
+    INTO window_start
+    FROM job_status_events e
+    WHERE e.entity_type = p_job_type
+      AND e.entity_id = p_job_id
+      AND normalize_job_status(e.to_status) IN ('accepted', 'in_progress');
+
+  window_start := COALESCE(window_start, v_created);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION verify_job_evidence_photo()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_req        job_evidence_requirements%ROWTYPE;
+  v_target     record;
+  v_window_end timestamptz := now();
+  v_allowance  double precision;
+  v_exif_at    timestamptz;
+  v_problems   text[] := ARRAY[]::text[];
+BEGIN
+  SELECT * INTO v_req FROM job_evidence_requirements WHERE job_type = NEW.job_type;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No evidence requirements for job type %', NEW.job_type;
+  END IF;
+
+  SELECT * INTO v_target FROM job_evidence_target(NEW.job_type, NEW.job_id);
+
+  IF NEW.sha256 IS NULL THEN
+    v_problems := v_problems || 'missing_hash';
+  ELSIF EXISTS (
+    SELECT 1 FROM job_evidence_photos other
+    WHERE other.sha256 = NEW.sha256
+      AND other.id <> NEW.id
+      AND (other.job_type, other.job_id) IS DISTINCT FROM (NEW.job_type, NEW.job_id)
+  ) THEN
+    v_problems := v_problems || 'reused_photo';
+  END IF;
+
+  -- Geofence: the reported GPS error counts in the collector's favour, up to a limit
+  v_allowance := v_req.radius_m + LEAST(COALESCE(NEW.accuracy_m, 0), v_req.max_accuracy_m);
+
+  IF NEW.latitude IS NULL OR NEW.longitude IS NULL THEN
+    v_problems := v_problems || 'no_location';
+  ELSIF v_target.lat IS NOT NULL AND v_target.lng IS NOT NULL THEN
+    NEW.distance_m := haversine_m(NEW.latitude, NEW.longitude, v_target.lat, v_target.lng);
+    IF NEW.distance_m > v_allowance THEN
+      v_problems := v_problems || 'outside_geofence';
+    END IF;
+  END IF;
+
+  IF NEW.exif_latitude IS NOT NULL AND NEW.exif_longitude IS NOT NULL
+     AND v_target.lat IS NOT NULL AND v_target.lng IS NOT NULL
+     AND haversine_m(NEW.exif_latitude, NEW.exif_longitude, v_target.lat, v_target.lng) > v_allowance THEN
+    v_problems := v_problems || 'exif_outside_geofence';
+  END IF;
+
+  -- Job window: from acceptance until the photo reaches us
+  IF v_target.window_start IS NOT NULL AND NEW.captured_at < v_target.window_start - v_req.clock_skew THEN
+    v_problems := v_problems || 'taken_before_job';
+  END IF;
+  IF NEW.captured_at > v_window_end + v_req.clock_skew THEN
+    v_problems := v_problems || 'taken_in_future';
+  END IF;
+
+  IF NEW.exif_taken_at IS NOT NULL THEN
+    v_exif_at := NEW.exif_taken_at AT TIME ZONE 'Africa/Accra';
+    IF abs(extract(epoch FROM v_exif_at - NEW.captured_at)) > extract(epoch FROM v_req.exif_clock_slack) THEN
+      v_problems := v_problems || 'exif_time_mismatch';
+    END IF;
+  END IF;
+
+  NEW.verified := cardinality(v_problems) = 0;
+  NEW.verification := jsonb_build_object(
+    'checked_at',   now(),
+    'problems',     to_jsonb(v_problems),
+    'radius_m',     v_req.radius_m,
+    'allowance_m',  round(v_allowance::numeric, 1),
+    'job_location', CASE WHEN v_target.lat IS NULL OR v_target.lng IS NULL THEN NULL
+                         ELSE jsonb_build_object('lat', v_target.lat, 'lng', v_target.lng) END,
+    'window_start', v_target.window_start,
+    'window_end',   v_window_end
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS verify_job_evidence_photo ON job_evidence_photos;
+CREATE TRIGGER verify_job_evidence_photo
+  BEFORE INSERT ON job_evidence_photos
+  FOR EACH ROW
+  EXECUTE FUNCTION verify_job_evidence_photo();
+
+-- ============================================================
+-- 4. Evidence status of a job
+-- ============================================================
+CREATE OR REPLACE FUNCTION job_evidence_status(p_job_type text, p_job_id text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_req          job_evidence_requirements%ROWTYPE;
+  v_first_before timestamptz;
+  v_before       integer;
+  v_after        integer;
+  v_rejected     integer;
+  v_problems     text[] := ARRAY[]::text[];
+BEGIN
+  SELECT * INTO v_req FROM job_evidence_requirements WHERE job_type = p_job_type;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No evidence requirements for job type %', p_job_type;
+  END IF;
+
+  SELECT min(captured_at), count(*)
+    INTO v_first_before, v_before
+    FROM job_evidence_photos
+    WHERE job_type = p_job_type AND job_id = p_job_id AND stage = 'before' AND verified;
+
+  SELECT count(*)
+    INTO v_after
+    FROM job_evidence_photos
+    WHERE job_type = p_job_type AND job_id = p_job_id AND stage = 'after' AND verified
+      AND v_first_before IS NOT NULL AND captured_at >= v_first_before;
+
+  SELECT count(*)
+    INTO v_rejected
+    FROM job_evidence_photos
+    WHERE job_type = p_job_type AND job_id = p_job_id AND NOT verified;
+
+  IF v_before < v_req.min_before THEN
+    v_problems := v_problems || 'missing_before';
+  END IF;
+  IF v_after < v_req.min_after THEN
+    v_problems := v_problems || 'missing_after';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'job_type',   p_job_type,
+    'job_id',     p_job_id,
+    'required',   v_req.required,
+    'complete',   cardinality(v_problems) = 0,
+    'before',     v_before,
+    'after',      v_after,
+    'min_before', v_req.min_before,
+    'min_after',  v_req.min_after,
+    'rejected',   v_rejected,
+    'problems',   to_jsonb(v_problems)
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION job_evidence_status(text, text) TO authenticated;
+
+-- ============================================================
+-- 5. Completion gate
+-- ============================================================
+
+-- How far along a job is, for pickups, bins and assignments alike;
+-- NULL for statuses off the main path (cancelled, expired)
+CREATE OR REPLACE FUNCTION job_status_rank(p_status text)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT array_position(
+    ARRAY['pending', 'verified', 'accepted', 'in_progress', 'en_route', 'arrived', 'collecting', 'completed', 'disposed'],
+    normalize_job_status(p_status)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION enforce_job_evidence()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_req    job_evidence_requirements%ROWTYPE;
+  v_gate   integer;
+  v_from   integer;
+  v_to     integer;
+  v_status jsonb;
+BEGIN
+  IF NEW.status::text IS NOT DISTINCT FROM OLD.status::text THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_req FROM job_evidence_requirements WHERE job_type = TG_ARGV[0];
+  IF NOT FOUND OR NOT v_req.required THEN
+    RETURN NEW;
+  END IF;
+
+  -- Crossing the gate by any route: onto it, or past it without stopping
+  v_gate := job_status_rank(v_req.complete_status);
+  v_from := job_status_rank(OLD.status::text);
+  v_to := job_status_rank(NEW.status::text);
+  IF v_to IS NULL OR v_to < v_gate OR (v_from IS NOT NULL AND v_from >= v_gate) THEN
+    RETURN NEW;
+  END IF;
+
+  v_status := job_evidence_status(TG_ARGV[0], NEW.id::text);
+  IF NOT (v_status->>'complete')::boolean THEN
+    RAISE EXCEPTION 'Before and after photos are required to mark this job %', NEW.status
+      USING ERRCODE = 'PT422',
+            DETAIL  = v_status::text,
+            HINT    = 'evidence_required';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_assignment_evidence ON illegal_dumping_mobile;
+CREATE TRIGGER enforce_assignment_evidence
+  BEFORE UPDATE OF status ON illegal_dumping_mobile
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_job_evidence('assignment');
+
+DROP TRIGGER IF EXISTS enforce_pickup_request_evidence ON pickup_requests;
+CREATE TRIGGER enforce_pickup_request_evidence
+  BEFORE UPDATE OF status ON pickup_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_job_evidence('pickup_request');
+
+DROP TRIGGER IF EXISTS enforce_digital_bin_evidence ON digital_bins;
+CREATE TRIGGER enforce_digital_bin_evidence
+  BEFORE UPDATE OF status ON digital_bins
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_job_evidence('digital_bin');
@@ -0,0 +1,174 @@
+-- ============================================================
+-- Migration: Disposal facility directory
+-- Date: 2026-10-30
+-- Purpose:
+--   disposal_centers already carries operating_hours, waste_type,
+--   center_type and capacity_notes (scripts/add-ghana-waste-
+--   facilities.sql), but nothing says whether a site can take a load
+--   right now. Drivers were sent to landfills that had shut for the
+--   day or were turning trucks away.
+--
+--   1. disposal_center_staff: who may speak for a facility. Filled
+--      by support; a user can be staff at more than one site.
+--   2. disposal_center_status: one live row per facility.
+--        capacity      available | limited (long queue, nearly full)
+--                      | full
+--        capacity_until when a limited/full report lapses; defaults
+--                      to the end of the day in Accra so a flag that
+--                      is never cleared doesn't close a site for good
+--        closed_until  set by "closed today"
+--   3. set_disposal_center_status(): staff (or support through the
+--      service role) report capacity, closed today, or clear both.
+--   4. disposal_center_directory: active facilities with the status
+--      folded in, lapsed flags already treated as cleared. The app
+--      reads this instead of disposal_centers.
+--
+-- Opening hours stay free text and are read by the app
+-- (utils/facilityDirectory); Ghana keeps GMT all year, so the
+-- published hours are UTC hours.
+-- ============================================================
+
+-- 1. Facility staff
+CREATE TABLE IF NOT EXISTS disposal_center_staff (
+  center_id   text        NOT NULL REFERENCES disposal_centers(id) ON DELETE CASCADE,
+  user_id     uuid        NOT NULL,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT disposal_center_staff_pkey PRIMARY KEY (center_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disposal_center_staff_user ON disposal_center_staff(user_id);
+
+ALTER TABLE disposal_center_staff ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Staff can see their own facilities" ON disposal_center_staff;
+CREATE POLICY "Staff can see their own facilities" ON disposal_center_staff
+  FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+-- 2. Live status
+CREATE TABLE IF NOT EXISTS disposal_center_status (
+  center_id       text        NOT NULL REFERENCES disposal_centers(id) ON DELETE CASCADE,
+  capacity        text        NOT NULL DEFAULT 'available' CHECK (capacity IN ('available', 'limited', 'full')),
+  capacity_until  timestamptz,
+  closed_until    timestamptz,
+  note            text,
+  updated_by      uuid        DEFAULT auth.uid(),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT disposal_center_status_pkey PRIMARY KEY (center_id)
+);
+
+ALTER TABLE disposal_center_status ENABLE ROW LEVEL SECURITY;
+
+-- Everyone signed in reads it; writes go through set_disposal_center_status()
+DROP POLICY IF EXISTS "Drivers can read facility status" ON disposal_center_status;
+CREATE POLICY "Drivers can read facility status" ON disposal_center_status
+  FOR SELECT TO authenticated
+  USING (true);
+
+-- Drivers' directories update as soon as a facility reports
+DO $$
+BEGIN
+  ALTER PUBLICATION supabase_realtime ADD TABLE disposal_center_status;
+EXCEPTION
+  WHEN duplicate_object OR undefined_object THEN NULL;
+END $$;
+
+-- Midnight in Accra after p_at
+CREATE OR REPLACE FUNCTION accra_end_of_day(p_at timestamptz DEFAULT now())
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (date_trunc('day', p_at AT TIME ZONE 'Africa/Accra') + interval '1 day') AT TIME ZONE 'Africa/Accra';
+$$;
+
+-- 3. Reporting
+CREATE OR REPLACE FUNCTION set_disposal_center_status(
+  p_center_id    text,
+  p_capacity     text    DEFAULT NULL,  -- NULL keeps the current capacity
+  p_closed_today boolean DEFAULT NULL,  -- NULL keeps the current closure
+  p_note         text    DEFAULT NULL,
+  p_until        timestamptz DEFAULT NULL
+)
+RETURNS disposal_center_status
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row disposal_center_status%ROWTYPE;
+  v_until timestamptz := COALESCE(p_until, accra_end_of_day());
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' AND NOT EXISTS (
+    SELECT 1 FROM disposal_center_staff
+    WHERE center_id = p_center_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Only staff of this facility can change its status'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF p_capacity IS NOT NULL AND p_capacity NOT IN ('available', 'limited', 'full') THEN
+    RAISE EXCEPTION 'Unknown capacity %', p_capacity;
+  END IF;
+
+  IF v_until <= now() THEN
+    RAISE EXCEPTION 'A status has to last past now';
+  END IF;
+
+  INSERT INTO disposal_center_status (center_id) VALUES (p_center_id)
+  ON CONFLICT (center_id) DO NOTHING;
+
+  UPDATE disposal_center_status
+  SET capacity = COALESCE(p_capacity, capacity),
+      capacity_until = CASE
+        WHEN p_capacity IS NULL THEN capacity_until
+        WHEN p_capacity = 'available' THEN NULL
+        ELSE v_until
+      END,
+      closed_until = CASE
+        WHEN p_closed_today IS NULL THEN closed_until
+        WHEN p_closed_today THEN v_until
+        ELSE NULL
+      END,
+      note = COALESCE(p_note, note),
+      updated_by = auth.uid(),
+      updated_at = now()
+  WHERE center_id = p_center_id
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_disposal_center_status(text, text, boolean, text, timestamptz) TO authenticated, service_role;
+
+-- 4. Directory
+CREATE OR REPLACE VIEW disposal_center_directory
+WITH (security_invoker = true) AS
+SELECT
+  c.id,
+  c.name,
+  c.address,
+  c.latitude,
+  c.longitude,
+  c.waste_type,
+  c.center_type,
+  c.region,
+  c.district,
+  c.operating_hours,
+  c.phone,
+  c.rating,
+  c.capacity_notes,
+  CASE
+    WHEN s.capacity <> 'available' AND (s.capacity_until IS NULL OR s.capacity_until > now()) THEN s.capacity
+    ELSE 'available'
+  END AS capacity,
+  CASE WHEN s.capacity_until > now() THEN s.capacity_until END AS capacity_until,
+  CASE WHEN s.closed_until > now() THEN s.closed_until END AS closed_until,
+  s.note AS status_note,
+  s.updated_at AS status_updated_at
+FROM disposal_centers c
+LEFT JOIN disposal_center_status s ON s.center_id = c.id
+WHERE COALESCE(c.status, 'active') = 'active';
+
+GRANT SELECT ON disposal_center_directory TO authenticated;
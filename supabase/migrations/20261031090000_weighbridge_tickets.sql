@@ -0,0 +1,265 @@
+-- ============================================================
+-- Migration: Weighbridge tickets and tonnage
+-- Date: 2026-10-31
+-- Purpose:
+--   Disposal only flipped a job to 'disposed' with a site id. Sites
+--   with a weighbridge (Kpone, Oblogo, Mallam...) weigh the truck in
+--   and out and hand over a ticket; nothing kept it, so there was no
+--   record of how much a collector tipped and no proof for tipping
+--   fee reimbursement.
+--
+--   1. weighbridge-tickets storage bucket (private), one folder per
+--      collector, uploaded resumably like evidence photos.
+--   2. weighbridge_tickets: gross, tare and net weight in kg, how
+--      they were entered (typed, or read from the ticket photo on
+--      the device), the ticket number and the tipping fee paid. A
+--      site's ticket number can only be claimed once. The id is the
+--      device's, so a replayed upload records the ticket once.
+--   3. weighbridge_allocations: the net weight (and fee) shared out
+--      over the jobs tipped on that load, in proportion to each
+--      job's load units (bags, or the size of a dumping site). A job
+--      is on at most one ticket.
+--   4. record_weighbridge_ticket(ticket, jobs): records a ticket and
+--      its allocation in one go, checking every job is the caller's.
+--   5. collector_tonnage_daily: tonnage, loads and tipping fees per
+--      collector, day (Accra) and site, for tonnage reports.
+--      Tipping fees wait in reimbursement_status 'pending' until
+--      support approves and pays them.
+-- ============================================================
+
+-- 1. Bucket
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('weighbridge-tickets', 'weighbridge-tickets', false, 10485760,
+        ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/heic'])
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Collectors upload own weighbridge tickets" ON storage.objects;
+CREATE POLICY "Collectors upload own weighbridge tickets" ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (bucket_id = 'weighbridge-tickets' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Collectors replace own weighbridge tickets" ON storage.objects;
+CREATE POLICY "Collectors replace own weighbridge tickets" ON storage.objects
+  FOR UPDATE TO authenticated
+  USING (bucket_id = 'weighbridge-tickets' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Collectors read own weighbridge tickets" ON storage.objects;
+CREATE POLICY "Collectors read own weighbridge tickets" ON storage.objects
+  FOR SELECT TO authenticated
+  USING (bucket_id = 'weighbridge-tickets' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- 2. Tickets
+CREATE TABLE IF NOT EXISTS weighbridge_tickets (
+  id                    uuid          NOT NULL,
+  collector_id          uuid          NOT NULL DEFAULT auth.uid(),
+  disposal_center_id    text          REFERENCES disposal_centers(id) ON DELETE SET NULL,
+  ticket_number         text,
+  gross_kg              numeric(10,1) CHECK (gross_kg > 0),
+  tare_kg               numeric(10,1) CHECK (tare_kg >= 0),
+  net_kg                numeric(10,1) NOT NULL CHECK (net_kg > 0),
+  entry_method          text          NOT NULL DEFAULT 'manual' CHECK (entry_method IN ('manual', 'ocr')),
+  ocr_text              text,                                    -- what the device read, for audit
+  photo_path            text,
+  weighed_at            timestamptz   NOT NULL,
+  tipping_fee           numeric(10,2) NOT NULL DEFAULT 0 CHECK (tipping_fee >= 0),
+  reimbursement_status  text          NOT NULL DEFAULT 'none' CHECK (reimbursement_status IN (
+                          'none', 'pending', 'approved', 'rejected', 'paid')),
+  created_at            timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT weighbridge_tickets_pkey PRIMARY KEY (id),
+  CONSTRAINT weighbridge_tickets_tare_check CHECK (gross_kg IS NULL OR tare_kg IS NULL OR tare_kg < gross_kg),
+  -- Net is gross less tare when both were read; 1 kg slack for rounding on the ticket
+  CONSTRAINT weighbridge_tickets_net_check CHECK (
+    gross_kg IS NULL OR tare_kg IS NULL OR abs(net_kg - (gross_kg - tare_kg)) <= 1
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_weighbridge_tickets_number
+  ON weighbridge_tickets(disposal_center_id, lower(ticket_number))
+  WHERE ticket_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_weighbridge_tickets_collector ON weighbridge_tickets(collector_id, weighed_at);
+CREATE INDEX IF NOT EXISTS idx_weighbridge_tickets_reimbursement
+  ON weighbridge_tickets(created_at) WHERE reimbursement_status = 'pending';
+
+ALTER TABLE weighbridge_tickets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors view own weighbridge tickets" ON weighbridge_tickets;
+CREATE POLICY "Collectors view own weighbridge tickets" ON weighbridge_tickets
+  FOR SELECT USING (collector_id = auth.uid());
+
+GRANT SELECT ON weighbridge_tickets TO authenticated;
+
+-- 3. Allocations
+CREATE TABLE IF NOT EXISTS weighbridge_allocations (
+  ticket_id    uuid          NOT NULL REFERENCES weighbridge_tickets(id) ON DELETE CASCADE,
+  job_type     text          NOT NULL CHECK (job_type IN ('pickup_request', 'digital_bin', 'assignment')),
+  job_id       text          NOT NULL,
+  load_units   numeric(8,2)  NOT NULL CHECK (load_units > 0),
+  net_kg       numeric(10,1) NOT NULL,
+  tipping_fee  numeric(10,2) NOT NULL DEFAULT 0,
+  CONSTRAINT weighbridge_allocations_pkey PRIMARY KEY (job_type, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_weighbridge_allocations_ticket ON weighbridge_allocations(ticket_id);
+
+ALTER TABLE weighbridge_allocations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors view own weighbridge allocations" ON weighbridge_allocations;
+CREATE POLICY "Collectors view own weighbridge allocations" ON weighbridge_allocations
+  FOR SELECT USING (EXISTS (
+    SELECT 1 FROM weighbridge_tickets t
+    WHERE t.id = ticket_id AND t.collector_id = auth.uid()
+  ));
+
+GRANT SELECT ON weighbridge_allocations TO authenticated;
+
+-- The collector (auth user) a job belongs to
+CREATE OR REPLACE FUNCTION job_collector_user(p_job_type text, p_job_id text)
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE p_job_type
+    WHEN 'pickup_request' THEN (SELECT collector_id FROM pickup_requests WHERE id::text = p_job_id)
+    WHEN 'digital_bin'    THEN (SELECT collector_id FROM digital_bins WHERE id::text = p_job_id)
+    WHEN 'assignment'     THEN (
+      SELECT cp.user_id
+      FROM illegal_dumping_mobile idm
+      JOIN collector_profiles cp ON cp.id = idm.assigned_to
+      WHERE idm.id::text = p_job_id
+    )
+  END;
+$$;
+
+-- 4. Recording a ticket
+--   p_ticket: { id, disposal_center_id, ticket_number, gross_kg, tare_kg,
+--               net_kg, entry_method, ocr_text, photo_path, weighed_at,
+--               tipping_fee }
+--   p_jobs:   [{ job_type, job_id, load_units }]
+-- Weight and fee are split by load units; what rounding leaves over goes
+-- to the largest share so the allocations add up to the ticket.
+CREATE OR REPLACE FUNCTION record_weighbridge_ticket(p_ticket jsonb, p_jobs jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_collector uuid := auth.uid();
+  v_id        uuid := (p_ticket->>'id')::uuid;
+  v_existing  weighbridge_tickets%ROWTYPE;
+  v_ticket    weighbridge_tickets%ROWTYPE;
+  v_gross     numeric := NULLIF(p_ticket->>'gross_kg', '')::numeric;
+  v_tare      numeric := NULLIF(p_ticket->>'tare_kg', '')::numeric;
+  v_net       numeric := COALESCE(NULLIF(p_ticket->>'net_kg', '')::numeric, v_gross - v_tare);
+  v_fee       numeric := COALESCE(NULLIF(p_ticket->>'tipping_fee', '')::numeric, 0);
+  v_total     numeric;
+  v_job       jsonb;
+  v_owner     uuid;
+BEGIN
+  IF v_collector IS NULL THEN
+    RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+  END IF;
+
+  -- Replayed from the offline queue
+  SELECT * INTO v_existing FROM weighbridge_tickets WHERE id = v_id;
+  IF FOUND THEN
+    IF v_existing.collector_id <> v_collector THEN
+      RAISE EXCEPTION 'Ticket % belongs to another collector', v_id USING ERRCODE = '42501';
+    END IF;
+    RETURN jsonb_build_object('outcome', 'duplicate', 'ticket_id', v_id);
+  END IF;
+
+  IF jsonb_typeof(p_jobs) <> 'array' OR jsonb_array_length(p_jobs) = 0 THEN
+    RAISE EXCEPTION 'A weighbridge ticket needs at least one job';
+  END IF;
+
+  FOR v_job IN SELECT * FROM jsonb_array_elements(p_jobs) LOOP
+    v_owner := job_collector_user(v_job->>'job_type', v_job->>'job_id');
+    IF v_owner IS DISTINCT FROM v_collector THEN
+      RAISE EXCEPTION 'Job % % is not yours', v_job->>'job_type', v_job->>'job_id' USING ERRCODE = '42501';
+    END IF;
+  END LOOP;
+
+  INSERT INTO weighbridge_tickets (
+    id, collector_id, disposal_center_id, ticket_number, gross_kg, tare_kg, net_kg,
+    entry_method, ocr_text, photo_path, weighed_at, tipping_fee, reimbursement_status
+  ) VALUES (
+    v_id,
+    v_collector,
+    NULLIF(p_ticket->>'disposal_center_id', ''),
+    NULLIF(trim(p_ticket->>'ticket_number'), ''),
+    v_gross,
+    v_tare,
+    v_net,
+    COALESCE(p_ticket->>'entry_method', 'manual'),
+    p_ticket->>'ocr_text',
+    p_ticket->>'photo_path',
+    COALESCE((p_ticket->>'weighed_at')::timestamptz, now()),
+    v_fee,
+    CASE WHEN v_fee > 0 THEN 'pending' ELSE 'none' END
+  )
+  RETURNING * INTO v_ticket;
+
+  WITH jobs AS (
+    SELECT
+      j->>'job_type' AS job_type,
+      j->>'job_id' AS job_id,
+      GREATEST(COALESCE(NULLIF(j->>'load_units', '')::numeric, 1), 0.01) AS load_units
+    FROM jsonb_array_elements(p_jobs) AS j
+  ),
+  shares AS (
+    SELECT
+      jobs.*,
+      round(v_ticket.net_kg * load_units / SUM(load_units) OVER (), 1) AS net_kg,
+      round(v_ticket.tipping_fee * load_units / SUM(load_units) OVER (), 2) AS tipping_fee,
+      row_number() OVER (ORDER BY load_units DESC, job_id) AS rank
+    FROM jobs
+  )
+  INSERT INTO weighbridge_allocations (ticket_id, job_type, job_id, load_units, net_kg, tipping_fee)
+  SELECT
+    v_ticket.id,
+    job_type,
+    job_id,
+    load_units,
+    net_kg + CASE WHEN rank = 1 THEN v_ticket.net_kg - SUM(net_kg) OVER () ELSE 0 END,
+    tipping_fee + CASE WHEN rank = 1 THEN v_ticket.tipping_fee - SUM(tipping_fee) OVER () ELSE 0 END
+  FROM shares;
+
+  SELECT COUNT(*) INTO v_total FROM weighbridge_allocations WHERE ticket_id = v_ticket.id;
+
+  RETURN jsonb_build_object(
+    'outcome', 'recorded',
+    'ticket_id', v_ticket.id,
+    'net_kg', v_ticket.net_kg,
+    'jobs', v_total
+  );
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'This ticket, or one of its jobs, has already been recorded'
+      USING ERRCODE = '23505';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_weighbridge_ticket(jsonb, jsonb) TO authenticated;
+
+-- 5. Tonnage report
+CREATE OR REPLACE VIEW collector_tonnage_daily
+WITH (security_invoker = true) AS
+SELECT
+  t.collector_id,
+  (t.weighed_at AT TIME ZONE 'Africa/Accra')::date AS day,
+  t.disposal_center_id,
+  dc.name AS disposal_center_name,
+  COUNT(*) AS tickets,
+  SUM((SELECT COUNT(*) FROM weighbridge_allocations a WHERE a.ticket_id = t.id)) AS jobs,
+  SUM(t.net_kg) AS net_kg,
+  SUM(t.tipping_fee) AS tipping_fees,
+  SUM(t.tipping_fee) FILTER (WHERE t.reimbursement_status = 'pending') AS tipping_fees_pending,
+  SUM(t.tipping_fee) FILTER (WHERE t.reimbursement_status = 'paid') AS tipping_fees_paid
+FROM weighbridge_tickets t
+LEFT JOIN disposal_centers dc ON dc.id = t.disposal_center_id
+GROUP BY t.collector_id, (t.weighed_at AT TIME ZONE 'Africa/Accra')::date, t.disposal_center_id, dc.name;
+
+GRANT SELECT ON collector_tonnage_daily TO authenticated;
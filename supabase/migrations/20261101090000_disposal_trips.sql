@@ -0,0 +1,557 @@
+-- ============================================================
+-- Migration: Disposal trips
+-- Date: 2026-11-01
+-- Purpose:
+--   Tipping a load was one disposal call per job (the dispose-all
+--   loop in Request.jsx, Assign.jsx updating illegal_dumping_mobile
+--   itself), so a dead zone halfway through left a load half
+--   disposed, and nothing recorded which jobs were tipped together.
+--
+--   1. disposal_trips: one visit to a disposal site. The trip opens
+--      on the device when the collector enters the site's geofence
+--      and is recorded here when completed, with where and when it
+--      opened and completed and a receipt number. The id is the
+--      device's, so a replayed completion is recorded once.
+--   2. disposal_trip_items: the pickups, digital bins and
+--      assignments tipped on the trip, with each one's collector
+--      payout as the ledger posted it. A job is on at most one trip.
+--   3. complete_disposal_trip(trip, jobs): checks the completion fix
+--      is inside the site's geofence and every job is the caller's,
+--      then disposes them all through transition_job_status() in one
+--      transaction. A job that can't be disposed rolls the whole
+--      trip back. The device only sends the disposal site for each
+--      job; payouts are read from the ledger's disposal posting and
+--      written onto the job.
+--   4. get_disposal_trip_receipt(trip): the receipt shown to the
+--      driver.
+--   5. Withdrawals: a disposal credit in the ledger only becomes
+--      withdrawable once its job is on a completed trip.
+--      get_collector_available_earnings() and validate_cashout() now
+--      read get_collector_withdrawable_balance().
+--   6. Jobs disposed before trips existed are backfilled into one
+--      trip per collector and day, so their earnings stay
+--      withdrawable.
+-- ============================================================
+
+-- 1. Trips
+CREATE TABLE IF NOT EXISTS disposal_trips (
+  id                  uuid          NOT NULL,
+  collector_id        uuid          NOT NULL,
+  disposal_center_id  text          REFERENCES disposal_centers(id) ON DELETE SET NULL,
+  site_name           text,
+  receipt_number      text          NOT NULL,
+  opened_at           timestamptz,
+  opened_latitude     double precision,
+  opened_longitude    double precision,
+  completed_at        timestamptz   NOT NULL,
+  latitude            double precision,
+  longitude           double precision,
+  accuracy_m          double precision,
+  distance_m          double precision,
+  job_count           integer       NOT NULL DEFAULT 0,
+  collector_payout    numeric(14,2) NOT NULL DEFAULT 0,
+  source              text          NOT NULL DEFAULT 'online' CHECK (source IN ('online', 'offline_replay', 'backfill')),
+  created_at          timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT disposal_trips_pkey PRIMARY KEY (id),
+  CONSTRAINT disposal_trips_receipt_key UNIQUE (receipt_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disposal_trips_collector ON disposal_trips(collector_id, completed_at DESC);
+
+-- 2. Jobs on a trip
+CREATE TABLE IF NOT EXISTS disposal_trip_items (
+  job_type          text          NOT NULL CHECK (job_type IN ('pickup_request', 'digital_bin', 'assignment')),
+  job_id            text          NOT NULL,
+  trip_id           uuid          NOT NULL REFERENCES disposal_trips(id) ON DELETE CASCADE,
+  from_status       text,
+  collector_payout  numeric(14,2) NOT NULL DEFAULT 0,
+  CONSTRAINT disposal_trip_items_pkey PRIMARY KEY (job_type, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disposal_trip_items_trip ON disposal_trip_items(trip_id);
+
+-- Written only by complete_disposal_trip(); collectors read their own
+ALTER TABLE disposal_trips ENABLE ROW LEVEL SECURITY;
+ALTER TABLE disposal_trip_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Collectors read own disposal trips" ON disposal_trips;
+CREATE POLICY "Collectors read own disposal trips" ON disposal_trips
+  FOR SELECT TO authenticated
+  USING (collector_id = auth.uid());
+
+DROP POLICY IF EXISTS "Collectors read own disposal trip items" ON disposal_trip_items;
+CREATE POLICY "Collectors read own disposal trip items" ON disposal_trip_items
+  FOR SELECT TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM disposal_trips t WHERE t.id = trip_id AND t.collector_id = auth.uid()
+  ));
+
+-- Where a site is. latitude/longitude hold plain numbers on most rows,
+-- but some carry a point (as parseCenterCoordinates() reads them)
+CREATE OR REPLACE FUNCTION disposal_center_point(
+  p_center_id text,
+  OUT lat double precision,
+  OUT lng double precision
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row   jsonb;
+  v_point jsonb;
+  v_match text[];
+BEGIN
+  SELECT to_jsonb(dc) INTO v_row FROM disposal_centers dc WHERE dc.id = p_center_id;
+  IF v_row IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF (v_row->>'latitude') ~ '^\s*-?[0-9]+(\.[0-9]+)?\s*$'
+     AND (v_row->>'longitude') ~ '^\s*-?[0-9]+(\.[0-9]+)?\s*$' THEN
+    lat := (v_row->>'latitude')::double precision;
+    lng := (v_row->>'longitude')::double precision;
+    RETURN;
+  END IF;
+
+  -- A point reads "(x,y)" as text or {x, y} as json, x being the longitude
+  v_point := COALESCE(NULLIF(v_row->'latitude', 'null'::jsonb), v_row->'longitude');
+  v_match := regexp_match(v_point #>> '{}', '^\(\s*([-0-9.]+)\s*,\s*([-0-9.]+)\s*\)$');
+  IF v_match IS NOT NULL THEN
+    lng := v_match[1]::double precision;
+    lat := v_match[2]::double precision;
+    RETURN;
+  END IF;
+  IF jsonb_typeof(v_point) = 'object' AND v_point ? 'x' AND v_point ? 'y' THEN
+    lng := (v_point->>'x')::double precision;
+    lat := (v_point->>'y')::double precision;
+    RETURN;
+  END IF;
+
+  SELECT p.lat, p.lng INTO lat, lng FROM job_evidence_point(v_point) p;
+END;
+$$;
+
+-- What disposing a job credited its collector, read back from the ledger's disposal
+-- posting (ledger_post_job_disposal() splits it server-side) and written onto the job's
+-- payout columns for display. Assignments aren't posted, so they come to 0.
+CREATE OR REPLACE FUNCTION record_job_disposal_payout(p_job_type text, p_job_id text)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_table   text := CASE p_job_type WHEN 'pickup_request' THEN 'pickup_requests' WHEN 'digital_bin' THEN 'digital_bins' END;
+  v_credits jsonb;
+  v_tips    numeric(14,2);
+  v_total   numeric(14,2);
+  v_fields  jsonb;
+  v_set     text;
+BEGIN
+  IF v_table IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  SELECT COALESCE(jsonb_object_agg(component, amount), '{}'::jsonb), COALESCE(SUM(amount), 0)
+  INTO v_credits, v_total
+  FROM (
+    SELECT e.component, SUM(e.amount) AS amount
+    FROM ledger_transactions t
+    INNER JOIN ledger_entries e ON e.transaction_id = t.id
+    INNER JOIN ledger_accounts a ON a.id = e.account_id
+    WHERE t.kind = 'disposal' AND t.source_type = p_job_type AND t.source_id = p_job_id
+      AND a.account_type = 'collector'
+      AND NOT EXISTS (SELECT 1 FROM ledger_transactions r WHERE r.reverses_id = t.id)
+    GROUP BY e.component
+  ) c;
+
+  SELECT COALESCE(SUM(e.amount), 0) INTO v_tips
+  FROM ledger_transactions t
+  INNER JOIN ledger_entries e ON e.transaction_id = t.id
+  INNER JOIN ledger_accounts a ON a.id = e.account_id
+  WHERE t.kind = 'tip' AND a.account_type = 'collector'
+    AND COALESCE(t.metadata->>'job_type', 'pickup_request') = p_job_type
+    AND t.metadata->>'job_id' = p_job_id;
+
+  v_fields := jsonb_build_object(
+    'collector_core_payout', COALESCE((v_credits->>'core')::numeric, 0),
+    'collector_urgent_payout', COALESCE((v_credits->>'urgent')::numeric, 0),
+    'collector_distance_payout', COALESCE((v_credits->>'distance')::numeric, 0),
+    'collector_surge_payout', COALESCE((v_credits->>'surge')::numeric, 0),
+    'collector_recyclables_payout', COALESCE((v_credits->>'recyclables')::numeric, 0),
+    'collector_loyalty_cashback', COALESCE((v_credits->>'loyalty')::numeric, 0),
+    'collector_tips', v_tips,
+    'collector_total_payout', v_total + v_tips
+  );
+
+  -- Only the columns this table has
+  SELECT string_agg(format('%I = r.%I', key, key), ', ')
+    INTO v_set
+    FROM jsonb_object_keys(v_fields) AS key
+    WHERE EXISTS (
+      SELECT 1 FROM information_schema.columns c
+      WHERE c.table_schema = 'public' AND c.table_name = v_table AND c.column_name = key
+    );
+
+  IF v_set IS NOT NULL THEN
+    EXECUTE format(
+      'UPDATE %I t SET %s FROM jsonb_populate_record(NULL::%I, $1) r WHERE t.id::text = $2',
+      v_table, v_set, v_table
+    ) USING v_fields, p_job_id;
+  END IF;
+
+  RETURN v_total;
+END;
+$$;
+
+-- 4. Receipt (defined first, complete_disposal_trip() returns it)
+CREATE OR REPLACE FUNCTION get_disposal_trip_receipt(p_trip_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_trip disposal_trips%ROWTYPE;
+BEGIN
+  SELECT * INTO v_trip FROM disposal_trips WHERE id = p_trip_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  IF auth.uid() IS NOT NULL AND v_trip.collector_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Disposal trip % belongs to another collector', p_trip_id USING ERRCODE = '42501';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'trip_id',            v_trip.id,
+    'receipt_number',     v_trip.receipt_number,
+    'disposal_center_id', v_trip.disposal_center_id,
+    'site_name',          v_trip.site_name,
+    'opened_at',          v_trip.opened_at,
+    'completed_at',       v_trip.completed_at,
+    'distance_m',         round(v_trip.distance_m::numeric, 1),
+    'job_count',          v_trip.job_count,
+    'collector_payout',   v_trip.collector_payout,
+    'jobs', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'job_type', i.job_type,
+               'job_id', i.job_id,
+               'collector_payout', i.collector_payout
+             ) ORDER BY i.job_type, i.job_id)
+      FROM disposal_trip_items i
+      WHERE i.trip_id = v_trip.id
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+-- 3. Completing a trip
+--   p_trip: { id, disposal_center_id, opened_at, opened_latitude,
+--             opened_longitude, completed_at, latitude, longitude,
+--             accuracy_m, source }
+--   p_jobs: [{ job_type, job_id, expected_status, fields }]
+--     fields are the columns disposal writes on the job (payout
+--     breakdown, site); disposed_at is the trip's completion time.
+CREATE OR REPLACE FUNCTION complete_disposal_trip(p_trip jsonb, p_jobs jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  -- Mirrors DISPOSAL_SITE_RADIUS_KM; the fix's reported error counts up to c_max_accuracy_m
+  c_radius_m       CONSTANT double precision := 50;
+  c_max_accuracy_m CONSTANT double precision := 50;
+  -- All a trip writes onto a job besides the status and when; payouts are the ledger's
+  c_job_fields     CONSTANT text[] := ARRAY['disposal_site', 'disposal_site_id', 'disposal_site_name', 'disposal_timestamp'];
+
+  v_collector    uuid := auth.uid();
+  v_id           uuid := (p_trip->>'id')::uuid;
+  v_center_id    text := NULLIF(p_trip->>'disposal_center_id', '');
+  v_completed_at timestamptz := COALESCE(NULLIF(p_trip->>'completed_at', '')::timestamptz, now());
+  v_lat          double precision := NULLIF(p_trip->>'latitude', '')::double precision;
+  v_lng          double precision := NULLIF(p_trip->>'longitude', '')::double precision;
+  v_accuracy     double precision := NULLIF(p_trip->>'accuracy_m', '')::double precision;
+  v_source       text := COALESCE(NULLIF(p_trip->>'source', ''), 'online');
+  v_owner        uuid;
+  v_site_name    text;
+  v_site         record;
+  v_distance     double precision;
+  v_job          jsonb;
+  v_type         text;
+  v_job_id       text;
+  v_fields       jsonb;
+  v_result       jsonb;
+  v_payout       numeric(14,2);
+  v_total        numeric(14,2) := 0;
+  v_count        integer := 0;
+BEGIN
+  IF v_collector IS NULL THEN
+    RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+  END IF;
+
+  -- Replayed from the offline queue
+  SELECT collector_id INTO v_owner FROM disposal_trips WHERE id = v_id;
+  IF FOUND THEN
+    IF v_owner <> v_collector THEN
+      RAISE EXCEPTION 'Disposal trip % belongs to another collector', v_id USING ERRCODE = '42501';
+    END IF;
+    RETURN get_disposal_trip_receipt(v_id) || jsonb_build_object('outcome', 'duplicate');
+  END IF;
+
+  IF jsonb_typeof(p_jobs) <> 'array' OR jsonb_array_length(p_jobs) = 0 THEN
+    RAISE EXCEPTION 'A disposal trip needs at least one job' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT name INTO v_site_name FROM disposal_centers WHERE id = v_center_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Unknown disposal site %', v_center_id USING ERRCODE = '22023';
+  END IF;
+
+  -- Sites without coordinates can't be checked; the fix is still kept
+  SELECT * INTO v_site FROM disposal_center_point(v_center_id);
+  IF v_site.lat IS NOT NULL AND v_site.lng IS NOT NULL THEN
+    IF v_lat IS NULL OR v_lng IS NULL THEN
+      RAISE EXCEPTION 'Your location is needed to dispose at %', v_site_name
+        USING ERRCODE = 'PT403', HINT = 'outside_disposal_site';
+    END IF;
+
+    v_distance := haversine_m(v_lat, v_lng, v_site.lat, v_site.lng);
+    IF v_distance > c_radius_m + LEAST(COALESCE(v_accuracy, 0), c_max_accuracy_m) THEN
+      RAISE EXCEPTION 'You are % m from %; dispose within % m of the site', round(v_distance), v_site_name, c_radius_m
+        USING ERRCODE = 'PT403',
+              DETAIL  = jsonb_build_object('distance_m', round(v_distance::numeric, 1), 'radius_m', c_radius_m)::text,
+              HINT    = 'outside_disposal_site';
+    END IF;
+  END IF;
+
+  INSERT INTO disposal_trips (
+    id, collector_id, disposal_center_id, site_name, receipt_number,
+    opened_at, opened_latitude, opened_longitude,
+    completed_at, latitude, longitude, accuracy_m, distance_m, source
+  ) VALUES (
+    v_id,
+    v_collector,
+    v_center_id,
+    v_site_name,
+    'DT-' || to_char(v_completed_at AT TIME ZONE 'Africa/Accra', 'YYMMDD') || '-'
+      || upper(substr(replace(v_id::text, '-', ''), 1, 6)),
+    NULLIF(p_trip->>'opened_at', '')::timestamptz,
+    NULLIF(p_trip->>'opened_latitude', '')::double precision,
+    NULLIF(p_trip->>'opened_longitude', '')::double precision,
+    v_completed_at,
+    v_lat,
+    v_lng,
+    v_accuracy,
+    v_distance,
+    v_source
+  );
+
+  FOR v_job IN SELECT value FROM jsonb_array_elements(p_jobs) LOOP
+    v_type := v_job->>'job_type';
+    v_job_id := v_job->>'job_id';
+
+    IF job_collector_user(v_type, v_job_id) IS DISTINCT FROM v_collector THEN
+      RAISE EXCEPTION 'Job % % is not yours', v_type, v_job_id USING ERRCODE = '42501';
+    END IF;
+
+    SELECT COALESCE(jsonb_object_agg(f.key, f.value), '{}'::jsonb) INTO v_fields
+    FROM jsonb_each(COALESCE(v_job->'fields', '{}'::jsonb)) f
+    WHERE f.key = ANY(c_job_fields);
+    v_fields := v_fields || jsonb_build_object('disposed_at', v_completed_at, 'updated_at', v_completed_at);
+
+    v_result := transition_job_status(
+      v_type, v_job_id, 'disposed',
+      NULLIF(v_job->>'expected_status', ''),
+      v_fields,
+      v_completed_at, v_lat, v_lng, v_accuracy,
+      v_source, v_id
+    );
+
+    -- Disposed already is fine as long as it isn't on another trip (primary key below)
+    IF v_result->>'outcome' NOT IN ('applied', 'already_applied') THEN
+      RAISE EXCEPTION '% % can no longer be disposed', v_type, v_job_id
+        USING ERRCODE = 'PT409',
+              DETAIL  = jsonb_build_object(
+                          'entity_type', v_type,
+                          'job_id', v_job_id,
+                          'from_status', v_result->>'current_status',
+                          'to_status', 'disposed',
+                          'reason', v_result->>'reason'
+                        )::text,
+              HINT    = 'trip_job_conflict';
+    END IF;
+
+    -- Posted by the ledger trigger on the status change above
+    v_payout := record_job_disposal_payout(v_type, v_job_id);
+
+    INSERT INTO disposal_trip_items (job_type, job_id, trip_id, from_status, collector_payout)
+    VALUES (v_type, v_job_id, v_id, v_result->>'from_status', v_payout);
+
+    v_total := v_total + v_payout;
+    v_count := v_count + 1;
+  END LOOP;
+
+  UPDATE disposal_trips SET job_count = v_count, collector_payout = v_total WHERE id = v_id;
+
+  RETURN get_disposal_trip_receipt(v_id) || jsonb_build_object('outcome', 'recorded');
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'One of these jobs is already on another disposal trip' USING ERRCODE = '23505';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION complete_disposal_trip(jsonb, jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_disposal_trip_receipt(uuid) TO authenticated;
+
+-- 5. Withdrawable balance
+-- Disposal credits whose job isn't on a completed trip (and wasn't reversed) are held
+CREATE OR REPLACE FUNCTION get_collector_withdrawable_balance(
+  p_collector_id uuid,
+  OUT balance numeric,
+  OUT held numeric,
+  OUT withdrawable numeric
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  balance := get_collector_ledger_balance(p_collector_id);
+
+  SELECT GREATEST(COALESCE(SUM(e.amount), 0), 0) INTO held
+  FROM ledger_transactions t
+  INNER JOIN ledger_entries e ON e.transaction_id = t.id
+  INNER JOIN ledger_accounts a ON a.id = e.account_id
+  WHERE t.kind = 'disposal'
+    AND a.account_type = 'collector'
+    AND a.owner_id = p_collector_id
+    AND NOT EXISTS (
+      SELECT 1 FROM disposal_trip_items i
+      WHERE i.job_type = t.source_type AND i.job_id = t.source_id
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM ledger_transactions r WHERE r.reverses_id = t.id
+    );
+
+  withdrawable := GREATEST(balance - held, 0);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION get_collector_available_earnings(p_collector_id uuid)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT withdrawable FROM get_collector_withdrawable_balance(p_collector_id);
+$$;
+
+CREATE OR REPLACE FUNCTION validate_cashout(
+  p_collector_id uuid,
+  p_amount numeric
+)
+RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_balance   record;
+BEGIN
+  SELECT * INTO v_balance FROM get_collector_withdrawable_balance(p_collector_id);
+
+  IF p_amount <= 0 THEN
+    RETURN json_build_object(
+      'valid', false,
+      'error', 'Amount must be greater than zero',
+      'available', v_balance.withdrawable,
+      'balance', v_balance.balance,
+      'held', v_balance.held
+    );
+  END IF;
+
+  IF p_amount > v_balance.withdrawable THEN
+    RETURN json_build_object(
+      'valid', false,
+      'error', CASE WHEN v_balance.held > 0
+                 THEN 'Some earnings are waiting on a disposal trip'
+                 ELSE 'Insufficient balance' END,
+      'available', v_balance.withdrawable,
+      'balance', v_balance.balance,
+      'held', v_balance.held,
+      'requested', p_amount
+    );
+  END IF;
+
+  RETURN json_build_object(
+    'valid', true,
+    'available', v_balance.withdrawable,
+    'balance', v_balance.balance,
+    'held', v_balance.held,
+    'requested', p_amount,
+    'remaining', v_balance.withdrawable - p_amount
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION disposal_center_point(text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION disposal_center_point(text) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_job_disposal_payout(text, text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION record_job_disposal_payout(text, text) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_collector_withdrawable_balance(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_collector_available_earnings(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION validate_cashout(uuid, numeric) TO authenticated;
+
+-- 6. Backfill: earlier disposals become one trip per collector and Accra day
+CREATE TEMP TABLE disposal_trip_backfill ON COMMIT DROP AS
+SELECT
+  md5('backfill:' || d.collector_id::text || ':' || (d.disposed_at AT TIME ZONE 'Africa/Accra')::date::text)::uuid AS trip_id,
+  d.*
+FROM (
+  -- Through to_jsonb(): not every table carries disposed_at
+  SELECT 'pickup_request' AS job_type, pr.id::text AS job_id, pr.collector_id,
+         COALESCE((to_jsonb(pr)->>'disposed_at')::timestamptz, (to_jsonb(pr)->>'updated_at')::timestamptz, pr.created_at) AS disposed_at,
+         record_job_disposal_payout('pickup_request', pr.id::text) AS collector_payout
+  FROM pickup_requests pr
+  WHERE pr.status = 'disposed' AND pr.collector_id IS NOT NULL
+  UNION ALL
+  SELECT 'digital_bin', db.id::text, db.collector_id,
+         COALESCE((to_jsonb(db)->>'disposed_at')::timestamptz, (to_jsonb(db)->>'updated_at')::timestamptz, db.created_at),
+         record_job_disposal_payout('digital_bin', db.id::text)
+  FROM digital_bins db
+  WHERE db.status = 'disposed' AND db.collector_id IS NOT NULL
+  UNION ALL
+  SELECT 'assignment', idm.id::text, cp.user_id,
+         COALESCE(idm.disposed_at, idm.updated_at, idm.created_at),
+         0
+  FROM illegal_dumping_mobile idm
+  INNER JOIN collector_profiles cp ON cp.id = idm.assigned_to
+  WHERE idm.status = 'disposed'
+) d
+WHERE NOT EXISTS (
+  SELECT 1 FROM disposal_trip_items i WHERE i.job_type = d.job_type AND i.job_id = d.job_id
+);
+
+INSERT INTO disposal_trips (id, collector_id, receipt_number, opened_at, completed_at, job_count, collector_payout, source)
+SELECT
+  trip_id,
+  collector_id,
+  'DT-' || to_char(MIN(disposed_at) AT TIME ZONE 'Africa/Accra', 'YYMMDD') || '-'
+    || upper(substr(replace(trip_id::text, '-', ''), 1, 6)),
+  MIN(disposed_at),
+  MAX(disposed_at),
+  COUNT(*),
+  SUM(collector_payout),
+  'backfill'
+FROM disposal_trip_backfill
+GROUP BY trip_id, collector_id
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO disposal_trip_items (job_type, job_id, trip_id, from_status, collector_payout)
+SELECT job_type, job_id, trip_id, NULL, collector_payout
+FROM disposal_trip_backfill
+ON CONFLICT (job_type, job_id) DO NOTHING;